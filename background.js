@@ -25,6 +25,146 @@ import {
   listExtensionTestScenarios,
 } from './testing/mockScenarios.js';
 import { BRIDGE_TRUSTED_ORIGINS, isAllowedBridgePath } from './shared/bridgePaths.js';
+import {
+  PENDING_THREAD_FOCUS_STORAGE_KEY,
+  REMINDERS_STORAGE_KEY,
+  REMINDER_ALARM_PREFIX,
+  createReminder,
+  markReminderDone,
+  markReminderFired,
+  normalizeReminderList,
+  reminderAlarmName,
+  reminderIdFromAlarmName,
+  reminderIdFromNotificationId,
+  reminderNotificationId,
+  remindersToArm,
+  rescheduleReminder,
+  validateReminderWhen,
+} from './shared/reminders.mjs';
+import {
+  OUTBOX_CONFLICTS_STORAGE_KEY,
+  OUTBOX_STORAGE_KEY,
+  applyOutboxOperationsToCategorizedEmails,
+  createOutboxConflict,
+  createOutboxOperation,
+  enqueueOutboxOperation,
+  isOutboxOperationExpired,
+  isRetryableOutboxError,
+  isRetryableOutboxResponse,
+  markOutboxAttemptFailed,
+  normalizeOutbox,
+  normalizeOutboxConflicts,
+  outboxOperationsDue,
+  outboxTargetKey,
+} from './shared/outbox.mjs';
+import {
+  MANUAL_APPLICATIONS_STORAGE_KEY,
+  MAX_MANUAL_APPLICATION_IMPORT,
+  createManualApplication,
+  isManualApplicationId,
+  normalizeManualApplications,
+  updateManualApplication,
+  validateManualApplicationInput,
+} from './shared/manualApplications.mjs';
+import {
+  HELD_NOTIFICATIONS_ALARM_NAME,
+  HELD_NOTIFICATIONS_STORAGE_KEY,
+  NOTIFICATION_ACTION_TITLES,
+  NOTIFICATION_RULES_STORAGE_KEY,
+  NOTIFICATION_TARGETS_STORAGE_KEY,
+  appendHeldNotifications,
+  buildNotificationTarget,
+  emailNotificationId,
+  evaluateNotificationRules,
+  isWithinQuietHours,
+  nextHeldNotificationsFlushAt,
+  normalizeNotificationRules,
+  recordNotificationTarget,
+  remindTomorrowAt,
+  summarizeHeldNotifications,
+  validateNotificationRulesInput,
+} from './shared/notificationRules.mjs';
+import {
+  BACKUP_STORAGE_KEYS,
+  USER_SCOPED_BACKUP_KEYS,
+  buildRestorePatch,
+  createBackup,
+  validateBackup,
+} from './shared/backup.mjs';
+import {
+  DIGEST_ALARM_NAME,
+  DIGEST_NOTIFICATION_PREFIX,
+  DIGEST_SETTINGS_STORAGE_KEY,
+  PENDING_DIGEST_OPEN_STORAGE_KEY,
+  buildDigest,
+  nextDigestAt,
+  normalizeDigestSettings,
+  summarizeDigestNotification,
+  validateDigestSettingsInput,
+} from './shared/digest.mjs';
+import {
+  INTERVIEW_PREP_STORAGE_KEY,
+  normalizeInterviewPrepStore,
+  saveInterviewPrepInStore,
+  validateInterviewPrepInput,
+} from './shared/interviewPrep.mjs';
+import { isApplicationRecordKey } from './shared/applicationRecords.mjs';
+import {
+  APPLICATION_DETAILS_STORAGE_KEY,
+  CUSTOM_FIELDS_STORAGE_KEY,
+  normalizeApplicationDetailsStore,
+  normalizeCustomFieldDefinitions,
+  saveApplicationDetailsInStore,
+  validateApplicationDetailsInput,
+  validateCustomFieldDefinitionsInput,
+} from './shared/applicationDetails.mjs';
+import {
+  FOLLOW_UP_TEMPLATES_STORAGE_KEY,
+  normalizeFollowUpTemplates,
+  validateFollowUpTemplatesInput,
+} from './shared/followUpTemplates.mjs';
+import {
+  CADENCE_SUGGESTIONS_STORAGE_KEY,
+  FOLLOW_UP_CADENCE_STORAGE_KEY,
+  evaluateCadenceRules,
+  mergeFollowUpSuggestions,
+  normalizeCadenceRules,
+  validateCadenceRulesInput,
+} from './shared/followUpCadence.mjs';
+import {
+  JOB_DESCRIPTIONS_STORAGE_KEY,
+  normalizeJobDescriptionStore,
+  saveJobDescriptionInStore,
+  validateJobDescriptionInput,
+} from './shared/jobDescriptions.mjs';
+import {
+  OFFERS_STORAGE_KEY,
+  daysUntilOfferDeadline,
+  nextOfferDeadlineReminderAt,
+  normalizeOffers,
+  offerDeadlineAlarmName,
+  offerDeadlineNotificationId,
+  offerKeyFromAlarmName,
+  offerKeyFromNotificationId,
+  saveOfferInStore,
+  validateOfferInput,
+} from './shared/offers.mjs';
+import {
+  GMAIL_CONTENT_SCRIPT_ID,
+  GMAIL_INTEGRATION_STORAGE_KEY,
+  GMAIL_ORIGIN_PATTERN,
+  MAX_GMAIL_THREAD_IDS,
+  buildGmailThreadSummaries,
+  normalizeGmailThreadId,
+} from './shared/gmailThreads.mjs';
+import {
+  JOB_CAPTURE_CONTENT_SCRIPT_ID,
+  JOB_CAPTURE_ORIGIN_PATTERNS,
+  JOB_CAPTURE_STORAGE_KEY,
+  linkCapturedApplications,
+  upsertCapturedApplication,
+  validateJobCaptureInput,
+} from './shared/jobCapture.mjs';
 
 const FIREBASE_AUTH_AVAILABLE = firebaseConfigIsComplete;
 
@@ -41,6 +181,7 @@ const UNDO_TIMEOUT_MS = 10000; // 10 seconds for undo toast
 const STUCK_LOCK_THRESHOLD_MIN = 15; // minutes a sync may run before considered stuck
 const WATCHDOG_INTERVAL_MIN = 5; // how often to check for stuck syncs
 const EMAILS_CACHE_META_KEY = 'emailsCacheMetaV1';
+const SELECTED_THREAD_STORAGE_KEY = 'applendiumSelectedThread';
 const STORED_EMAILS_CACHE_MAX_AGE_MS = 15 * 1000;
 const APP_LINK_BACKFILL_STATE_KEY = 'appLinksBackfillStateV2';
 const APP_LINK_BACKFILL_MIN_INTERVAL_MS = 6 * 60 * 60 * 1000;
@@ -443,6 +584,274 @@ function validateIncomingMessage(message) {
       return { valid: true, message: { ...normalized, threadId: threadId.value } };
     }
 
+    case 'CREATE_REMINDER': {
+      if (!isPlainObject(message.payload)) {
+        return { valid: false, error: 'Invalid payload for CREATE_REMINDER.' };
+      }
+      const threadId = validateOptionalString(message.payload.threadId, { maxLength: 255 });
+      if (!threadId.valid) return { valid: false, error: `Invalid threadId: ${threadId.error}` };
+      if (!threadId.value) return { valid: false, error: 'Missing reminder threadId.' };
+      const when = validateReminderWhen(message.payload.when, Date.now());
+      if (!when.valid) return { valid: false, error: when.error };
+      return { valid: true, message: { ...normalized, payload: { threadId: threadId.value, when: when.when } } };
+    }
+
+    case 'CANCEL_REMINDER':
+    case 'COMPLETE_REMINDER': {
+      if (!isPlainObject(message.payload)) {
+        return { valid: false, error: `Invalid payload for ${type}.` };
+      }
+      const reminderId = validateOptionalString(message.payload.reminderId, { maxLength: 100 });
+      if (!reminderId.valid) return { valid: false, error: `Invalid reminderId: ${reminderId.error}` };
+      if (!reminderId.value) return { valid: false, error: 'Missing reminderId.' };
+      return { valid: true, message: { ...normalized, payload: { reminderId: reminderId.value } } };
+    }
+
+    case 'RESCHEDULE_REMINDER': {
+      if (!isPlainObject(message.payload)) {
+        return { valid: false, error: 'Invalid payload for RESCHEDULE_REMINDER.' };
+      }
+      const reminderId = validateOptionalString(message.payload.reminderId, { maxLength: 100 });
+      if (!reminderId.valid) return { valid: false, error: `Invalid reminderId: ${reminderId.error}` };
+      if (!reminderId.value) return { valid: false, error: 'Missing reminderId.' };
+      const when = validateReminderWhen(message.payload.when, Date.now());
+      if (!when.valid) return { valid: false, error: when.error };
+      return { valid: true, message: { ...normalized, payload: { reminderId: reminderId.value, when: when.when } } };
+    }
+
+    case 'CREATE_MANUAL_APPLICATION': {
+      if (!isPlainObject(message.payload)) {
+        return { valid: false, error: 'Invalid payload for CREATE_MANUAL_APPLICATION.' };
+      }
+      const fields = validateManualApplicationInput(message.payload, Date.now());
+      if (!fields.valid) return { valid: false, error: fields.error };
+      return { valid: true, message: { ...normalized, payload: fields.value } };
+    }
+
+    case 'IMPORT_MANUAL_APPLICATIONS': {
+      const applications = message.payload?.applications;
+      if (!Array.isArray(applications) || applications.length === 0) {
+        return { valid: false, error: 'Invalid payload for IMPORT_MANUAL_APPLICATIONS.' };
+      }
+      if (applications.length > MAX_MANUAL_APPLICATION_IMPORT) {
+        return { valid: false, error: `Import at most ${MAX_MANUAL_APPLICATION_IMPORT} applications at a time.` };
+      }
+      const fieldsList = [];
+      for (const [index, input] of applications.entries()) {
+        const fields = validateManualApplicationInput(input, Date.now());
+        if (!fields.valid) return { valid: false, error: `Row ${index + 1}: ${fields.error}` };
+        fieldsList.push(fields.value);
+      }
+      return { valid: true, message: { ...normalized, payload: { applications: fieldsList } } };
+    }
+
+    case 'UNDO_MANUAL_APPLICATION_IMPORT': {
+      if (!isPlainObject(message.payload)) {
+        return { valid: false, error: 'Invalid payload for UNDO_MANUAL_APPLICATION_IMPORT.' };
+      }
+      const batchId = validateOptionalString(message.payload.batchId, { maxLength: 100 });
+      if (!batchId.valid) return { valid: false, error: `Invalid batchId: ${batchId.error}` };
+      if (!batchId.value) return { valid: false, error: 'Missing batchId.' };
+      return { valid: true, message: { ...normalized, payload: { batchId: batchId.value } } };
+    }
+
+    case 'UPDATE_MANUAL_APPLICATION':
+    case 'DELETE_MANUAL_APPLICATION': {
+      if (!isPlainObject(message.payload)) {
+        return { valid: false, error: `Invalid payload for ${type}.` };
+      }
+      const applicationId = validateOptionalString(message.payload.applicationId, { maxLength: 100 });
+      if (!applicationId.valid) return { valid: false, error: `Invalid applicationId: ${applicationId.error}` };
+      if (!isManualApplicationId(applicationId.value)) return { valid: false, error: 'Missing manual applicationId.' };
+      if (type === 'DELETE_MANUAL_APPLICATION') {
+        return { valid: true, message: { ...normalized, payload: { applicationId: applicationId.value } } };
+      }
+      if (!isPlainObject(message.payload.changes)) return { valid: false, error: 'Missing application changes.' };
+      return {
+        valid: true,
+        message: { ...normalized, payload: { applicationId: applicationId.value, changes: message.payload.changes } },
+      };
+    }
+
+    case 'UPDATE_NOTIFICATION_SETTINGS': {
+      if (!isPlainObject(message.payload)) {
+        return { valid: false, error: 'Invalid payload for UPDATE_NOTIFICATION_SETTINGS.' };
+      }
+      const { enabled, rules } = message.payload;
+      if (enabled !== undefined && typeof enabled !== 'boolean') return { valid: false, error: 'enabled must be a boolean.' };
+      let normalizedRules;
+      if (rules !== undefined) {
+        const validation = validateNotificationRulesInput(rules);
+        if (!validation.valid) return { valid: false, error: validation.error };
+        normalizedRules = validation.value;
+      }
+      return { valid: true, message: { ...normalized, payload: { enabled, rules: normalizedRules } } };
+    }
+
+    case 'GET_DIGEST': {
+      const frequency = isPlainObject(message.payload) ? message.payload.frequency : undefined;
+      if (frequency !== undefined && !['daily', 'weekly'].includes(frequency)) {
+        return { valid: false, error: 'Digest frequency must be daily or weekly.' };
+      }
+      return { valid: true, message: { ...normalized, payload: { frequency } } };
+    }
+
+    case 'UPDATE_DIGEST_SETTINGS': {
+      if (!isPlainObject(message.payload)) {
+        return { valid: false, error: 'Invalid payload for UPDATE_DIGEST_SETTINGS.' };
+      }
+      const validation = validateDigestSettingsInput(message.payload.settings);
+      if (!validation.valid) return { valid: false, error: validation.error };
+      return { valid: true, message: { ...normalized, payload: { settings: validation.value } } };
+    }
+
+    case 'SAVE_INTERVIEW_PREP': {
+      if (!isPlainObject(message.payload)) {
+        return { valid: false, error: 'Invalid payload for SAVE_INTERVIEW_PREP.' };
+      }
+      const { key, fallbackKey = null } = message.payload;
+      if (!isApplicationRecordKey(key)) return { valid: false, error: 'Missing application key.' };
+      if (fallbackKey !== null && !isApplicationRecordKey(fallbackKey)) return { valid: false, error: 'Invalid fallback key.' };
+      const validation = validateInterviewPrepInput(message.payload.prep);
+      if (!validation.valid) return { valid: false, error: validation.error };
+      return { valid: true, message: { ...normalized, payload: { key, fallbackKey, prep: validation.value } } };
+    }
+
+    case 'SAVE_JOB_DESCRIPTION': {
+      if (!isPlainObject(message.payload)) {
+        return { valid: false, error: 'Invalid payload for SAVE_JOB_DESCRIPTION.' };
+      }
+      const { key, fallbackKey = null } = message.payload;
+      if (!isApplicationRecordKey(key)) return { valid: false, error: 'Missing application key.' };
+      if (fallbackKey !== null && !isApplicationRecordKey(fallbackKey)) return { valid: false, error: 'Invalid fallback key.' };
+      const validation = validateJobDescriptionInput(message.payload.description);
+      if (!validation.valid) return { valid: false, error: validation.error };
+      return { valid: true, message: { ...normalized, payload: { key, fallbackKey, description: validation.value } } };
+    }
+
+    case 'SAVE_APPLICATION_DETAILS': {
+      if (!isPlainObject(message.payload)) {
+        return { valid: false, error: 'Invalid payload for SAVE_APPLICATION_DETAILS.' };
+      }
+      const { key, fallbackKey = null, details } = message.payload;
+      if (!isApplicationRecordKey(key)) return { valid: false, error: 'Missing application key.' };
+      if (fallbackKey !== null && !isApplicationRecordKey(fallbackKey)) return { valid: false, error: 'Invalid fallback key.' };
+      // Field values are checked in the handler, against the stored definitions.
+      if (!isPlainObject(details)) return { valid: false, error: 'Application details are required.' };
+      return { valid: true, message: { ...normalized, payload: { key, fallbackKey, details } } };
+    }
+
+    case 'SAVE_CUSTOM_FIELDS': {
+      if (!isPlainObject(message.payload)) {
+        return { valid: false, error: 'Invalid payload for SAVE_CUSTOM_FIELDS.' };
+      }
+      const validation = validateCustomFieldDefinitionsInput(message.payload.fields);
+      if (!validation.valid) return { valid: false, error: validation.error };
+      return { valid: true, message: { ...normalized, payload: { fields: validation.value } } };
+    }
+
+    case 'SAVE_FOLLOW_UP_CADENCE': {
+      if (!isPlainObject(message.payload)) {
+        return { valid: false, error: 'Invalid payload for SAVE_FOLLOW_UP_CADENCE.' };
+      }
+      const validation = validateCadenceRulesInput(message.payload.rules);
+      if (!validation.valid) return { valid: false, error: validation.error };
+      return { valid: true, message: { ...normalized, payload: { rules: validation.value } } };
+    }
+
+    case 'SAVE_FOLLOW_UP_TEMPLATES': {
+      if (!isPlainObject(message.payload)) {
+        return { valid: false, error: 'Invalid payload for SAVE_FOLLOW_UP_TEMPLATES.' };
+      }
+      const validation = validateFollowUpTemplatesInput(message.payload.templates);
+      if (!validation.valid) return { valid: false, error: validation.error };
+      return { valid: true, message: { ...normalized, payload: { templates: validation.value } } };
+    }
+
+    case 'SAVE_OFFER': {
+      if (!isPlainObject(message.payload)) {
+        return { valid: false, error: 'Invalid payload for SAVE_OFFER.' };
+      }
+      const { key, fallbackKey = null, offer = null } = message.payload;
+      if (!isApplicationRecordKey(key)) return { valid: false, error: 'Missing application key.' };
+      if (fallbackKey !== null && !isApplicationRecordKey(fallbackKey)) return { valid: false, error: 'Invalid fallback key.' };
+      // A null offer removes the role's details.
+      if (offer === null) return { valid: true, message: { ...normalized, payload: { key, fallbackKey, offer: null } } };
+      const validation = validateOfferInput(offer);
+      if (!validation.valid) return { valid: false, error: validation.error };
+      return { valid: true, message: { ...normalized, payload: { key, fallbackKey, offer: validation.value } } };
+    }
+
+    case 'CREATE_BACKUP': {
+      // Older popups send no payload; they get the full backup.
+      const payload = message.payload ?? {};
+      if (!isPlainObject(payload) || (payload.includeJobDescriptions !== undefined && typeof payload.includeJobDescriptions !== 'boolean')) {
+        return { valid: false, error: 'Invalid payload for CREATE_BACKUP.' };
+      }
+      return { valid: true, message: { ...normalized, payload: { includeJobDescriptions: payload.includeJobDescriptions !== false } } };
+    }
+
+    case 'RESTORE_BACKUP': {
+      if (!isPlainObject(message.payload) || !isPlainObject(message.payload.backup)) {
+        return { valid: false, error: 'Invalid payload for RESTORE_BACKUP.' };
+      }
+      return { valid: true, message: { ...normalized, payload: { backup: message.payload.backup } } };
+    }
+
+    case 'SET_SELECTED_THREAD': {
+      if (!isPlainObject(message.payload)) {
+        return { valid: false, error: 'Invalid payload for SET_SELECTED_THREAD.' };
+      }
+      // A null threadId means the surface went back to its list.
+      const threadId = validateOptionalString(message.payload.threadId, { maxLength: 200 });
+      if (!threadId.valid) return { valid: false, error: `Invalid threadId: ${threadId.error}` };
+      const source = validateOptionalString(message.payload.source, { maxLength: 100 });
+      if (!source.valid) return { valid: false, error: `Invalid source: ${source.error}` };
+      return { valid: true, message: { ...normalized, payload: { threadId: threadId.value || null, source: source.value || null } } };
+    }
+
+    case 'SET_GMAIL_INTEGRATION': {
+      if (!isPlainObject(message.payload) || typeof message.payload.enabled !== 'boolean') {
+        return { valid: false, error: 'Invalid payload for SET_GMAIL_INTEGRATION.' };
+      }
+      return { valid: true, message: { ...normalized, payload: { enabled: message.payload.enabled } } };
+    }
+
+    case 'GET_GMAIL_THREAD_STATUSES': {
+      if (!isPlainObject(message.payload) || !Array.isArray(message.payload.threadIds)) {
+        return { valid: false, error: 'Invalid payload for GET_GMAIL_THREAD_STATUSES.' };
+      }
+      if (message.payload.threadIds.length > MAX_GMAIL_THREAD_IDS) {
+        return { valid: false, error: `At most ${MAX_GMAIL_THREAD_IDS} thread ids per request.` };
+      }
+      const threadIds = message.payload.threadIds.map(normalizeGmailThreadId);
+      if (threadIds.some((threadId) => !threadId)) return { valid: false, error: 'Invalid Gmail thread id.' };
+      return { valid: true, message: { ...normalized, payload: { threadIds: [...new Set(threadIds)] } } };
+    }
+
+    case 'SET_JOB_CAPTURE': {
+      if (!isPlainObject(message.payload) || typeof message.payload.enabled !== 'boolean') {
+        return { valid: false, error: 'Invalid payload for SET_JOB_CAPTURE.' };
+      }
+      return { valid: true, message: { ...normalized, payload: { enabled: message.payload.enabled } } };
+    }
+
+    case 'CAPTURE_JOB_APPLICATION': {
+      const capture = validateJobCaptureInput(message.payload);
+      if (!capture.valid) return { valid: false, error: capture.error };
+      return { valid: true, message: { ...normalized, payload: capture.value } };
+    }
+
+    case 'DISMISS_OUTBOX_CONFLICT': {
+      if (!isPlainObject(message.payload)) {
+        return { valid: false, error: 'Invalid payload for DISMISS_OUTBOX_CONFLICT.' };
+      }
+      const conflictId = validateOptionalString(message.payload.conflictId, { maxLength: 200 });
+      if (!conflictId.valid) return { valid: false, error: `Invalid conflictId: ${conflictId.error}` };
+      if (!conflictId.value) return { valid: false, error: 'Missing conflictId.' };
+      return { valid: true, message: { ...normalized, payload: { conflictId: conflictId.value } } };
+    }
+
     default:
       return { valid: true, message: normalized };
   }
@@ -833,17 +1242,24 @@ async function maybeNotifyNewEmails(prevCategorizedEmails, nextCategorizedEmails
   const brandNew = nextAll.filter((e) => e?.id && !prevIds.has(e.id));
   if (brandNew.length === 0) return;
 
+  const rules = await readNotificationRules();
+  const { immediate, held } = evaluateNotificationRules(brandNew, rules, Date.now());
+  if (held.length > 0) await holdNotifications(held, rules);
+  const notified = [...immediate, ...held];
+  if (notified.length === 0) return;
+
   const byCategory = { applied: [], interviewed: [], offers: [], rejected: [] };
-  for (const email of brandNew) {
+  for (const email of immediate) {
     const cat = normalizeCategoryKey(email.category);
     if (byCategory[cat]) byCategory[cat].push(email);
   }
 
-  // Determine the "highest" severity category for badge coloring.
+  // Determine the "highest" severity category for badge coloring. Held emails
+  // count too: the badge is the quiet signal that something is waiting.
   const severity = { applied: 1, interviewed: 2, offers: 3, rejected: 3 };
   let topCategory = 'applied';
-  for (const [cat, list] of Object.entries(byCategory)) {
-    if (list.length === 0) continue;
+  for (const email of notified) {
+    const cat = normalizeCategoryKey(email.category);
     if ((severity[cat] || 0) > (severity[topCategory] || 0)) topCategory = cat;
   }
 
@@ -860,23 +1276,13 @@ async function maybeNotifyNewEmails(prevCategorizedEmails, nextCategorizedEmails
         ? (targetLabel || meta.title)
         : (targetLabel ? `${list.length} new ${meta.plural}. Latest: ${targetLabel}` : `${list.length} new ${meta.plural}.`);
 
-    try {
-      chrome.notifications.create(`applendium_${cat}_${sample.id || Date.now()}`, {
-        type: 'basic',
-        iconUrl: 'icons/icon128.png',
-        title,
-        message,
-        priority: 1,
-      });
-    } catch (e) {
-      bgLogger.warn('Failed to create notification:', e?.message);
-    }
+    await showEmailNotification(emailNotificationId(cat, sample.id || Date.now()), { title, message }, list);
   }
 
   // Optional: show a small badge count as a secondary, color-coded signal.
   try {
     if (chrome.action?.setBadgeText) {
-      chrome.action.setBadgeText({ text: String(brandNew.length) });
+      chrome.action.setBadgeText({ text: String(notified.length) });
       const color = CATEGORY_NOTIFICATION_META[topCategory]?.badgeColor;
       if (color && chrome.action?.setBadgeBackgroundColor) {
         chrome.action.setBadgeBackgroundColor({ color });
@@ -887,2872 +1293,4595 @@ async function maybeNotifyNewEmails(prevCategorizedEmails, nextCategorizedEmails
   }
 }
 
-// Define your backend endpoints.
-const CONFIG_ENDPOINTS = {
-  BACKEND_BASE_URL: BUNDLED_BACKEND_BASE_URL,
-  AUTH_URL: '/api/auth/auth-url',
-  AUTH_TOKEN: '/api/auth/token',
-  SYNC_EMAILS: '/api/emails',
-  FETCH_STORED_EMAILS: '/api/emails/stored-emails', // This endpoint is not used by background script directly for fetching
-  REPAIR_APPLICATION_LINKS: '/api/emails/applications/:applicationId/repair-links',
-  FOLLOWUP_NEEDED: '/api/emails/followup-needed',
-  SYNC_STATUS: '/api/emails/sync-status',
-  // Backfill endpoints removed
-  // CORRECTED: Changed endpoint to match backend route /misclassification
-  REPORT_MISCLASSIFICATION: '/api/emails/misclassification',
-  REVIEW_QUEUE: '/api/emails/review-queue',
-  // CORRECTED: Changed endpoint to match backend route /undo-misclassification
-  UNDO_MISCLASSIFICATION: '/api/emails/undo-misclassification',
-  FETCH_USER_PLAN: '/api/user',
-  UPDATE_USER_PLAN: '/api/user/update-plan',
-  SEND_REPLY: '/api/emails/send-reply',
-  ARCHIVE_EMAIL: '/api/emails/archive', // Ensure this matches your backend's archive endpoint
-  UPDATE_COMPANY_NAME: '/api/emails/:emailId/company', // PATCH endpoint for company name correction
-  CORRECTION_ANALYTICS: '/api/emails/analytics/corrections', // GET endpoint for correction analytics
-  APPLICATION_STATS: '/api/emails/applications/stats', // GET endpoint for application lifecycle statistics
-  CLOSE_APPLICATION: '/api/emails/applications/:applicationId/close',
-  REOPEN_APPLICATION: '/api/emails/applications/:applicationId/reopen',
-};
+// --- Notification rules ---
+// Which new-email notifications to show and when (see shared/notificationRules.mjs).
+// Held notifications wait in storage behind a one-shot alarm and are shown as
+// a single summary once quiet hours end or the batch interval passes.
+async function readNotificationRules() {
+  const stored = await chrome.storage.local.get([NOTIFICATION_RULES_STORAGE_KEY]);
+  return normalizeNotificationRules(stored?.[NOTIFICATION_RULES_STORAGE_KEY]);
+}
 
-// --- Authentication Readiness Promise ---
-// This promise will resolve once Firebase Auth has initialized and determined
-// the user's state (logged in or logged out).
-const AUTH_READY_TIMEOUT_MS = 5000;
-let authReadyResolve;
-let authReadyResolved = false;
-const authReadyPromise = new Promise(resolve => {
-  authReadyResolve = resolve;
-});
+async function getNotificationSettings() {
+  const stored = await chrome.storage.local.get([NOTIFICATIONS_ENABLED_KEY, NOTIFICATION_RULES_STORAGE_KEY]);
+  return {
+    enabled: stored?.[NOTIFICATIONS_ENABLED_KEY] !== false,
+    rules: normalizeNotificationRules(stored?.[NOTIFICATION_RULES_STORAGE_KEY]),
+  };
+}
 
-function resolveAuthReady(reason = 'unspecified') {
-  if (authReadyResolved) return;
-  authReadyResolved = true;
-  try {
-    console.log(`[bg] Auth ready resolved via ${reason}.`);
-  } catch (_) {
-    // ignore
+async function updateNotificationSettings({ enabled, rules }) {
+  const patch = {};
+  if (typeof enabled === 'boolean') patch[NOTIFICATIONS_ENABLED_KEY] = enabled;
+  if (rules) patch[NOTIFICATION_RULES_STORAGE_KEY] = rules;
+  await chrome.storage.local.set(patch);
+  const settings = await getNotificationSettings();
+  safeRuntimeSendMessage({ type: 'NOTIFICATION_SETTINGS_UPDATED', ...settings });
+  // New rules may release (or drop) whatever is already held.
+  if (!settings.enabled) {
+    await clearHeldNotifications();
+  } else {
+    await scheduleHeldNotificationsFlush(settings.rules, { reschedule: true });
   }
-  authReadyResolve();
+  return settings;
 }
 
-function getFirebaseAuthUnavailableResponse() {
-  return {
-    success: false,
-    error: 'Firebase auth is not configured for this build.',
-    errorCode: 'AUTH_CONFIG_MISSING',
-  };
+async function holdNotifications(emails, rules) {
+  const stored = await chrome.storage.local.get([HELD_NOTIFICATIONS_STORAGE_KEY]);
+  await chrome.storage.local.set({
+    [HELD_NOTIFICATIONS_STORAGE_KEY]: appendHeldNotifications(stored?.[HELD_NOTIFICATIONS_STORAGE_KEY], emails),
+  });
+  await scheduleHeldNotificationsFlush(rules);
 }
 
-async function waitForAuthReady(timeoutMs = AUTH_READY_TIMEOUT_MS) {
-  if (authReadyResolved) return;
+/**
+ * Arms the flush alarm. An alarm that is already due sooner is kept unless
+ * `reschedule` is set, so a steady trickle of emails can't keep pushing the
+ * summary back.
+ */
+async function scheduleHeldNotificationsFlush(rules, { reschedule = false } = {}) {
+  const stored = await chrome.storage.local.get([HELD_NOTIFICATIONS_STORAGE_KEY]);
+  if (!Array.isArray(stored?.[HELD_NOTIFICATIONS_STORAGE_KEY]) || stored[HELD_NOTIFICATIONS_STORAGE_KEY].length === 0) return;
+
+  const flushAt = nextHeldNotificationsFlushAt(rules, Date.now());
+  if (flushAt <= Date.now()) {
+    await chrome.alarms.clear(HELD_NOTIFICATIONS_ALARM_NAME);
+    await flushHeldNotifications();
+    return;
+  }
+  const existing = await chrome.alarms.get(HELD_NOTIFICATIONS_ALARM_NAME);
+  if (existing && !reschedule && existing.scheduledTime <= flushAt) return;
+  chrome.alarms.create(HELD_NOTIFICATIONS_ALARM_NAME, { when: flushAt });
+}
 
-  let timeoutId;
+async function flushHeldNotifications() {
+  const { enabled, rules } = await getNotificationSettings();
+  const stored = await chrome.storage.local.get([HELD_NOTIFICATIONS_STORAGE_KEY]);
+  const held = stored?.[HELD_NOTIFICATIONS_STORAGE_KEY];
+  if (!enabled || !Array.isArray(held) || held.length === 0) {
+    await clearHeldNotifications();
+    return;
+  }
+  // Quiet hours may have been switched on after the alarm was set.
+  if (isWithinQuietHours(rules, Date.now())) {
+    await scheduleHeldNotificationsFlush(rules, { reschedule: true });
+    return;
+  }
+
+  const summary = summarizeHeldNotifications(held);
+  await showEmailNotification(`applendium_batch_${Date.now()}`, summary, held);
+  await chrome.storage.local.remove([HELD_NOTIFICATIONS_STORAGE_KEY]);
+}
+
+async function clearHeldNotifications() {
   try {
-    await Promise.race([
-      authReadyPromise,
-      new Promise((resolve) => {
-        timeoutId = setTimeout(() => {
-          try {
-            console.warn(`[bg] Auth readiness timed out after ${timeoutMs}ms; continuing with current auth state.`);
-          } catch (_) {
-            // ignore
-          }
-          resolve();
-        }, timeoutMs);
-      }),
-    ]);
-  } finally {
-    if (timeoutId) clearTimeout(timeoutId);
+    await chrome.alarms.clear(HELD_NOTIFICATIONS_ALARM_NAME);
+    await chrome.storage.local.remove([HELD_NOTIFICATIONS_STORAGE_KEY]);
+  } catch (error) {
+    bgLogger.warn('Failed to clear held notifications:', formatBackgroundError(error));
   }
 }
 
-if (!FIREBASE_AUTH_AVAILABLE) {
+// --- Notification actions ---
+// New-email and summary notifications open the popup on their thread when
+// clicked, and carry "Mark read" / "Remind me tomorrow" buttons that act
+// without opening any UI. The target of each notification is kept in storage
+// because the worker is usually gone by the time the user clicks.
+async function showEmailNotification(notificationId, { title, message }, emails) {
+  const target = buildNotificationTarget(emails, Date.now());
   try {
-    console.warn('[bg] Firebase auth disabled because config is incomplete.');
-  } catch (_) {
-    // ignore
+    const stored = await chrome.storage.local.get([NOTIFICATION_TARGETS_STORAGE_KEY]);
+    await chrome.storage.local.set({
+      [NOTIFICATION_TARGETS_STORAGE_KEY]: recordNotificationTarget(
+        stored?.[NOTIFICATION_TARGETS_STORAGE_KEY], notificationId, target, Date.now()
+      ),
+    });
+  } catch (error) {
+    bgLogger.warn('Failed to store notification target:', formatBackgroundError(error));
+  }
+  try {
+    chrome.notifications.create(notificationId, {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title,
+      message,
+      priority: 1,
+      buttons: target.actions.map((action) => ({ title: NOTIFICATION_ACTION_TITLES[action] })),
+    });
+  } catch (e) {
+    bgLogger.warn('Failed to create notification:', e?.message);
   }
-  resolveAuthReady('firebase-config-missing');
 }
 
-// --- Backend base URL override ---
-// We intentionally restrict overrides to localhost or the approved deployed backend
-// to avoid malicious redirects while still allowing quick dev/prod switching.
-const BACKEND_BASE_URL_STORAGE_KEY = 'backendBaseUrlOverride';
-const DEFAULT_BACKEND_BASE_URL = CONFIG_ENDPOINTS.BACKEND_BASE_URL;
-let backendBaseUrl = DEFAULT_BACKEND_BASE_URL;
+async function readNotificationTarget(notificationId) {
+  const stored = await chrome.storage.local.get([NOTIFICATION_TARGETS_STORAGE_KEY]);
+  return stored?.[NOTIFICATION_TARGETS_STORAGE_KEY]?.[notificationId] || null;
+}
 
-// --- Premium dashboard URL override (dev-only) ---
-// This lets you test the premium web app locally without rebuilding the extension.
-// Allowed:
-// - https://... anywhere
-// - http://localhost / http://127.0.0.1 (dev only)
-const PREMIUM_DASHBOARD_URL_STORAGE_KEY = 'premiumDashboardUrlOverride';
-const DEFAULT_PREMIUM_DASHBOARD_URL = BUNDLED_PREMIUM_DASHBOARD_URL;
-let premiumDashboardUrl = DEFAULT_PREMIUM_DASHBOARD_URL;
+async function forgetNotificationTarget(notificationId) {
+  const stored = await chrome.storage.local.get([NOTIFICATION_TARGETS_STORAGE_KEY]);
+  const targets = stored?.[NOTIFICATION_TARGETS_STORAGE_KEY];
+  if (!isPlainObject(targets) || !targets[notificationId]) return;
+  const { [notificationId]: _removed, ...rest } = targets;
+  await chrome.storage.local.set({ [NOTIFICATION_TARGETS_STORAGE_KEY]: rest });
+}
 
-function isAllowedBackendBaseUrlOverride(url) {
-  if (!url || typeof url !== 'string') return false;
-  let parsed;
-  try {
-    parsed = new URL(url);
-  } catch (_) {
-    return false;
+/**
+ * Marks the given emails read on the backend, then in the cached categories so
+ * the popup's unread counts match the next time it opens.
+ */
+async function markNotificationEmailsRead(emailIds) {
+  const testingState = await getExtensionTestingState();
+  if (testingState.active) {
+    for (const emailId of emailIds) await setExtensionTestingEmailReadState(emailId, true);
+  } else {
+    await waitForAuthReady();
+    for (const emailId of emailIds) {
+      const response = await apiFetch('/api/emails/mark-as-read', { method: 'POST', body: { emailId } });
+      if (response?.success === false) throw new Error(response.error || 'Could not mark the email as read.');
+    }
+    const ids = new Set(emailIds.map(String));
+    const { categorizedEmails } = await getCachedSyncState();
+    const updated = {};
+    for (const [category, emails] of Object.entries(categorizedEmails)) {
+      updated[category] = emails.map((email) => (ids.has(String(email?.id)) ? { ...email, is_read: true } : email));
+    }
+    await chrome.storage.local.set(buildCategorizedEmailStoragePayload(updated));
   }
-  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return false;
-  const host = parsed.hostname;
-  const isLocal =
-    host === 'localhost' ||
-    host === '127.0.0.1' ||
-    host === '0.0.0.0' ||
-    host === '[::1]';
-  const normalizedBaseUrl = normalizeBaseUrl(parsed.href);
-  const allowedRemoteTargets = new Set([
-    normalizeBaseUrl(PRODUCTION_BACKEND_BASE_URL),
-    normalizeBaseUrl(BUNDLED_BACKEND_BASE_URL),
-  ]);
-  const isKnownRemoteTarget = allowedRemoteTargets.has(normalizedBaseUrl);
-  if (!isLocal && !isKnownRemoteTarget) return false;
+  const { userEmail } = await chrome.storage.local.get(['userEmail']);
+  safeRuntimeSendMessage({ type: 'NEW_EMAILS_UPDATED', userEmail, syncInProgress: false });
+}
 
-  const manifest = chrome.runtime.getManifest?.() || {};
-  const hostPermissions = Array.isArray(manifest?.host_permissions) ? manifest.host_permissions : [];
-  const extensionPageCsp = manifest?.content_security_policy?.extension_pages || '';
-  const normalizedOrigin = parsed.origin.replace(/\/$/, '');
+async function handleNotificationButton(notificationId, buttonIndex) {
+  const target = await readNotificationTarget(notificationId);
+  const action = target?.actions?.[buttonIndex];
+  if (!action) return;
 
-  const hostPermissionAllowed = hostPermissions.some((pattern) => {
-    const normalizedPattern = String(pattern || '').trim();
-    return (
-      normalizedPattern === `${normalizedOrigin}/*` ||
-      normalizedPattern === `${normalizedBaseUrl}/*` ||
-      normalizedPattern.includes(normalizedOrigin)
-    );
-  });
+  if (action === 'markRead') {
+    await markNotificationEmailsRead(target.emailIds);
+  } else if (action === 'remindTomorrow') {
+    await createThreadReminder({ threadId: target.threadId, when: remindTomorrowAt(Date.now()) });
+  }
+  chrome.notifications.clear(notificationId);
+  await forgetNotificationTarget(notificationId);
+}
 
-  const cspAllowed = extensionPageCsp.includes(normalizedOrigin);
-  return hostPermissionAllowed && cspAllowed;
+// --- Digest ---
+// Optional daily or weekly summary (see shared/digest.mjs). One alarm at the
+// next delivery time; each delivery arms the following one. Quiet periods send
+// nothing, but the popup's Digest panel can always build one on demand.
+async function readDigestSettings() {
+  const stored = await chrome.storage.local.get([DIGEST_SETTINGS_STORAGE_KEY]);
+  return normalizeDigestSettings(stored?.[DIGEST_SETTINGS_STORAGE_KEY]);
 }
 
-function isAllowedPremiumDashboardUrlOverride(url) {
-  if (!url || typeof url !== 'string') return false;
-  let parsed;
+async function scheduleDigestAlarm(settings) {
+  const when = nextDigestAt(settings, Date.now());
+  if (!when) {
+    await chrome.alarms.clear(DIGEST_ALARM_NAME);
+    return;
+  }
+  chrome.alarms.create(DIGEST_ALARM_NAME, { when });
+}
+
+// Alarms can be lost across a browser restart; re-create one if it is missing.
+async function ensureDigestAlarm() {
   try {
-    parsed = new URL(url);
-  } catch (_) {
-    return false;
+    const existing = await chrome.alarms.get(DIGEST_ALARM_NAME);
+    if (!existing) await scheduleDigestAlarm(await readDigestSettings());
+  } catch (error) {
+    bgLogger.warn('Failed to arm the digest alarm:', formatBackgroundError(error));
   }
-  if (parsed.protocol === 'https:') return true;
-  if (parsed.protocol !== 'http:') return false;
-  if (IS_PRODUCTION_EXTENSION_BUILD) return false;
-  const host = parsed.hostname;
-  const isLocal =
-    host === 'localhost' ||
-    host === '127.0.0.1' ||
-    host === '0.0.0.0' ||
-    host === '[::1]';
-  return isLocal;
 }
 
-function normalizeBaseUrl(url) {
-  return url.endsWith('/') ? url.slice(0, -1) : url;
+async function updateDigestSettings(settings) {
+  await chrome.storage.local.set({ [DIGEST_SETTINGS_STORAGE_KEY]: settings });
+  await scheduleDigestAlarm(settings);
+  safeRuntimeSendMessage({ type: 'DIGEST_SETTINGS_UPDATED', settings });
+  return settings;
 }
 
-function getForcedBackendBaseUrl() {
-  if (FORCED_BACKEND_TARGET === 'local') {
-    return normalizeBaseUrl(process.env.BACKEND_BASE_URL || BUNDLED_BACKEND_BASE_URL);
-  }
+async function buildCurrentDigest(frequency) {
+  const { categorizedEmails } = await getCachedSyncState();
+  const stored = await chrome.storage.local.get({
+    followUpSuggestions: [],
+    [CADENCE_SUGGESTIONS_STORAGE_KEY]: [],
+    followedUpMap: {},
+    respondedMap: {},
+  });
+  return buildDigest({
+    categorizedEmails,
+    followUpSuggestions: mergeFollowUpSuggestions(stored.followUpSuggestions, stored[CADENCE_SUGGESTIONS_STORAGE_KEY]),
+    followedUpMap: stored.followedUpMap,
+    respondedMap: stored.respondedMap,
+    reminders: await readReminders(),
+    frequency,
+    now: Date.now(),
+  });
+}
 
-  if (FORCED_BACKEND_TARGET === 'production') {
-    return normalizeBaseUrl(PRODUCTION_BACKEND_BASE_URL);
+async function deliverDigest() {
+  const settings = await readDigestSettings();
+  if (settings.frequency === 'off') return;
+  try {
+    const { userId } = await chrome.storage.local.get(['userId']);
+    if (!userId) return;
+    const summary = summarizeDigestNotification(await buildCurrentDigest(settings.frequency));
+    if (!summary) return;
+    chrome.notifications.create(`${DIGEST_NOTIFICATION_PREFIX}${Date.now()}`, {
+      type: 'list',
+      iconUrl: 'icons/icon128.png',
+      title: summary.title,
+      message: summary.message,
+      items: summary.items,
+      priority: 1,
+    });
+  } finally {
+    await scheduleDigestAlarm(settings);
   }
+}
 
-  return '';
+async function openPopupOnDigest() {
+  await chrome.storage.local.set({ [PENDING_DIGEST_OPEN_STORAGE_KEY]: { requestedAt: Date.now() } });
+  await openPopupOnThread(null);
 }
 
-function isLocalBaseUrl(url) {
-  if (!url || typeof url !== 'string') return false;
+// --- Thread reminders ---
+// Reminder records live in storage (see shared/reminders.mjs); alarms only wake the
+// worker. Every mutation goes through writeReminders so the popup stays in sync,
+// and runs in queueReminderChange so two at once (a notification button and the
+// popup) can't overwrite each other's read of the list.
+let reminderChangeQueue = Promise.resolve();
+
+function queueReminderChange(change) {
+  const result = reminderChangeQueue.then(change);
+  reminderChangeQueue = result.catch(() => {});
+  return result;
+}
+
+async function readReminders() {
+  const stored = await chrome.storage.local.get([REMINDERS_STORAGE_KEY]);
+  return normalizeReminderList(stored?.[REMINDERS_STORAGE_KEY], Date.now());
+}
+
+async function writeReminders(reminders) {
+  await chrome.storage.local.set({ [REMINDERS_STORAGE_KEY]: reminders });
+  safeRuntimeSendMessage({ type: 'REMINDERS_UPDATED', reminders });
+  return reminders;
+}
+
+function armReminderAlarm(reminderId, when) {
+  chrome.alarms.create(reminderAlarmName(reminderId), { when });
+}
+
+async function clearReminderAlarm(reminderId) {
   try {
-    const parsed = new URL(url);
-    return ['localhost', '127.0.0.1', '0.0.0.0', '[::1]'].includes(parsed.hostname);
+    await chrome.alarms.clear(reminderAlarmName(reminderId));
   } catch (_) {
-    return false;
+    // Alarm already fired or never existed.
   }
 }
 
-let backendBaseUrlReadyResolve;
-const backendBaseUrlReadyPromise = new Promise((resolve) => {
-  backendBaseUrlReadyResolve = resolve;
-});
+async function createThreadReminder({ threadId, when }) {
+  return queueReminderChange(async () => {
+    const now = Date.now();
+    const reminders = await readReminders();
+    const reminder = createReminder({ id: crypto.randomUUID(), threadId, when, now });
+    await writeReminders([...reminders, reminder]);
+    armReminderAlarm(reminder.id, reminder.when);
+    return reminder;
+  });
+}
 
-(async () => {
-  try {
-    const forcedBackendBaseUrl = getForcedBackendBaseUrl();
-    if (forcedBackendBaseUrl && isAllowedBackendBaseUrlOverride(forcedBackendBaseUrl)) {
-      backendBaseUrl = forcedBackendBaseUrl;
-      if (backendBaseUrl === DEFAULT_BACKEND_BASE_URL) {
-        try { await chrome.storage.local.remove([BACKEND_BASE_URL_STORAGE_KEY]); } catch (_) {}
-      } else {
-        try { await chrome.storage.local.set({ [BACKEND_BASE_URL_STORAGE_KEY]: backendBaseUrl }); } catch (_) {}
-      }
-      try { console.log('[bg][info]', `Forcing backend base URL for ${FORCED_BACKEND_TARGET} build: ${backendBaseUrl}`); } catch (_) {}
-    } else {
-      const stored = await chrome.storage?.local?.get([BACKEND_BASE_URL_STORAGE_KEY]);
-      const override = stored?.[BACKEND_BASE_URL_STORAGE_KEY];
-      if (isAllowedBackendBaseUrlOverride(override)) {
-        backendBaseUrl = normalizeBaseUrl(override);
-        try { console.log('[bg][info]', `Using backend base URL override: ${backendBaseUrl}`); } catch (_) {}
-      } else if (override) {
-        try { console.warn('[bg][warn]', `Ignoring unsafe backend base URL override: ${String(override)}`); } catch (_) {}
-        try { await chrome.storage.local.remove([BACKEND_BASE_URL_STORAGE_KEY]); } catch (_) {}
-      }
+async function rescheduleThreadReminder(reminderId, when) {
+  return queueReminderChange(async () => {
+    const reminders = await readReminders();
+    const existing = reminders.find((reminder) => reminder.id === reminderId);
+    if (!existing) return null;
+    const updated = rescheduleReminder(existing, when, Date.now());
+    await writeReminders(reminders.map((reminder) => (reminder.id === reminderId ? updated : reminder)));
+    armReminderAlarm(updated.id, updated.when);
+    return updated;
+  });
+}
+
+async function completeThreadReminder(reminderId) {
+  return queueReminderChange(async () => {
+    const reminders = await readReminders();
+    const existing = reminders.find((reminder) => reminder.id === reminderId);
+    if (!existing) return null;
+    const updated = markReminderDone(existing, Date.now());
+    await writeReminders(reminders.map((reminder) => (reminder.id === reminderId ? updated : reminder)));
+    await clearReminderAlarm(reminderId);
+    try {
+      chrome.notifications.clear(reminderNotificationId(reminderId));
+    } catch (_) {
+      // ignore
     }
-  } catch (e) {
-    try { console.warn('[bg][warn]', 'Failed to load backend base URL override:', e?.message || e); } catch (_) {}
-  } finally {
-    backendBaseUrlReadyResolve();
-  }
-})();
+    return updated;
+  });
+}
 
-let premiumDashboardUrlReadyResolve;
-const premiumDashboardUrlReadyPromise = new Promise((resolve) => {
-  premiumDashboardUrlReadyResolve = resolve;
-});
+async function cancelThreadReminder(reminderId) {
+  return queueReminderChange(async () => {
+    const reminders = await readReminders();
+    const remaining = reminders.filter((reminder) => reminder.id !== reminderId);
+    if (remaining.length === reminders.length) return false;
+    await writeReminders(remaining);
+    await clearReminderAlarm(reminderId);
+    try {
+      chrome.notifications.clear(reminderNotificationId(reminderId));
+    } catch (_) {
+      // ignore
+    }
+    return true;
+  });
+}
 
-(async () => {
+/**
+ * Re-creates alarms for every pending reminder. Alarms normally survive a worker
+ * restart but can be dropped across a browser restart; storage never is, so this
+ * runs on every worker start and is safe to repeat.
+ */
+async function rearmReminderAlarms() {
   try {
-    const stored = await chrome.storage?.local?.get([PREMIUM_DASHBOARD_URL_STORAGE_KEY]);
-    const override = stored?.[PREMIUM_DASHBOARD_URL_STORAGE_KEY];
-    if (isAllowedPremiumDashboardUrlOverride(override)) {
-      premiumDashboardUrl = normalizeBaseUrl(override);
-      try { console.log('[bg][info]', `Using premium dashboard URL override: ${premiumDashboardUrl}`); } catch (_) {}
-    } else if (override) {
-      try { console.warn('[bg][warn]', `Ignoring unsafe premium dashboard URL override: ${String(override)}`); } catch (_) {}
+    const reminders = await readReminders();
+    const existingAlarms = await chrome.alarms.getAll();
+    const armedIds = new Set(
+      (existingAlarms || [])
+        .map((alarm) => reminderIdFromAlarmName(alarm?.name))
+        .filter(Boolean)
+    );
+    const pendingIds = new Set(reminders.filter((reminder) => reminder.status === 'pending').map((reminder) => reminder.id));
+
+    for (const { reminder, when } of remindersToArm(reminders, Date.now())) {
+      if (!armedIds.has(reminder.id)) armReminderAlarm(reminder.id, when);
     }
-  } catch (e) {
-    try { console.warn('[bg][warn]', 'Failed to load premium dashboard URL override:', e?.message || e); } catch (_) {}
-  } finally {
-    premiumDashboardUrlReadyResolve();
+    for (const orphanId of armedIds) {
+      if (!pendingIds.has(orphanId)) await clearReminderAlarm(orphanId);
+    }
+  } catch (error) {
+    bgLogger.warn('Failed to re-arm reminder alarms:', formatBackgroundError(error));
   }
-})();
-
-// --- Sync de-duplication state ---
-let syncInFlight = false;
-let lastSyncStartTs = 0;
-
-// --- Token refresh de-duplication ---
-let tokenRefreshPromise = null;
+}
 
-async function getFreshToken(user) {
-  if (!tokenRefreshPromise) {
-    // Avoid forcing refresh on every request; Firebase refreshes tokens automatically.
-    // If we hit a rare edge-case where the cached token is invalid, fall back to a forced refresh once.
-    tokenRefreshPromise = user
-      .getIdToken()
-      .catch(() => user.getIdToken(true))
-      .finally(() => {
-        tokenRefreshPromise = null;
-      });
+async function clearAllReminders() {
+  try {
+    const existingAlarms = await chrome.alarms.getAll();
+    for (const alarm of existingAlarms || []) {
+      if (alarm?.name?.startsWith(REMINDER_ALARM_PREFIX)) await chrome.alarms.clear(alarm.name);
+    }
+    await queueReminderChange(() => chrome.storage.local.remove([REMINDERS_STORAGE_KEY, PENDING_THREAD_FOCUS_STORAGE_KEY]));
+  } catch (error) {
+    bgLogger.warn('Failed to clear reminders:', formatBackgroundError(error));
   }
-  return tokenRefreshPromise;
 }
 
-// --- Helper Functions ---
-
-function capitalizeFirst(s) {
-  if (!s) return s;
-  return s.charAt(0).toUpperCase() + s.slice(1);
+async function findCachedEmailForThread(threadId) {
+  const { categorizedEmails } = await getCachedSyncState();
+  const matches = flattenCategorizedEmails(categorizedEmails)
+    .filter((email) => String(email?.thread_id || email?.threadId || '') === String(threadId))
+    .sort((a, b) => new Date(b?.date || 0).getTime() - new Date(a?.date || 0).getTime());
+  return matches[0] || null;
 }
 
-// Minimal background logger to centralize and tag messages; easy to disable later
-const bgLogger = {
-  info: (...args) => {
-    if (!ENABLE_VERBOSE_EXTENSION_LOGS) return;
-    try { console.log('[bg][info]', ...args); } catch (_) {}
-  },
-  warn: (...args) => {
-    try { console.warn('[bg][warn]', ...args); } catch (_) {}
-  },
-  error: (...args) => {
-    try { console.error('[bg][error]', ...args); } catch (_) {}
+async function fireThreadReminder(reminderId) {
+  const reminder = await queueReminderChange(async () => {
+    const reminders = await readReminders();
+    const pending = reminders.find((item) => item.id === reminderId);
+    // Cancelled, already fired, or wiped by logout: nothing to announce.
+    if (!pending || pending.status !== 'pending') return null;
+    const fired = markReminderFired(pending, Date.now());
+    await writeReminders(reminders.map((item) => (item.id === reminderId ? fired : item)));
+    return fired;
+  });
+  if (!reminder) return;
+
+  const email = await findCachedEmailForThread(reminder.threadId);
+  const targetLabel = formatNotificationTarget(email);
+  try {
+    chrome.notifications.create(reminderNotificationId(reminder.id), {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title: 'Follow-up reminder',
+      message: targetLabel || 'Time to check in on this application.',
+      priority: 2,
+      requireInteraction: true,
+    });
+  } catch (e) {
+    bgLogger.warn('Failed to create reminder notification:', e?.message);
   }
-};
+}
 
-function formatBackgroundError(error) {
-  if (!error) return 'Unknown error';
-  if (typeof error === 'string') return error;
-  if (typeof error?.message === 'string' && error.message.trim()) return error.message.trim();
+/**
+ * Opens the popup focused on a thread (or on its usual view when `threadId` is
+ * empty). The popup reads the parked thread id on mount; when Chrome refuses `openPopup` (no focused window, older versions) the
+ * same page opens in a tab instead.
+ */
+async function openPopupOnThread(threadId) {
+  if (threadId) {
+    await chrome.storage.local.set({
+      // The tab fallback below loads the popup page too, so 'popup' covers both.
+      [PENDING_THREAD_FOCUS_STORAGE_KEY]: { threadId: String(threadId), surface: 'popup', requestedAt: Date.now() },
+    });
+  }
   try {
-    return JSON.stringify(error);
-  } catch (_) {
-    return String(error);
+    await chrome.action.openPopup();
+    return;
+  } catch (error) {
+    bgLogger.info('openPopup unavailable, opening the popup page in a tab instead:', error?.message);
   }
+  const popupPath = chrome.runtime.getManifest?.()?.action?.default_popup || 'popup/public/index.html';
+  await chrome.tabs.create({ url: chrome.runtime.getURL(popupPath), active: true });
 }
 
-function createAuthRequiredError(endpoint) {
-  const error = new Error('Sign in required before calling protected API.');
-  error.errorCode = 'AUTH_REQUIRED';
-  error.authRequired = true;
-  error.endpoint = endpoint;
-  return error;
+// --- Manual applications ---
+// Roles the user added by hand (see shared/manualApplications.mjs). They never
+// touch the backend or the cached *Emails keys; the popup merges them in. They
+// exist nowhere but this browser, so they are kept per account instead of being
+// wiped on logout like the rest of the cache.
+async function readManualApplicationsByUser() {
+  const stored = await chrome.storage.local.get([MANUAL_APPLICATIONS_STORAGE_KEY, 'userId']);
+  const byUser = isPlainObject(stored?.[MANUAL_APPLICATIONS_STORAGE_KEY]) ? stored[MANUAL_APPLICATIONS_STORAGE_KEY] : {};
+  return { byUser, userId: stored?.userId || null };
 }
 
-function isAuthRequiredError(error) {
-  return Boolean(error?.authRequired || error?.errorCode === 'AUTH_REQUIRED');
+async function readManualApplications() {
+  const { byUser, userId } = await readManualApplicationsByUser();
+  return userId ? normalizeManualApplications(byUser[userId]) : [];
 }
 
-function persistBackgroundDiagnostic(entry) {
-  return chrome.storage.local
-    .get([BACKGROUND_DIAGNOSTICS_STORAGE_KEY])
-    .then((stored) => {
-      const existing = Array.isArray(stored?.[BACKGROUND_DIAGNOSTICS_STORAGE_KEY])
-        ? stored[BACKGROUND_DIAGNOSTICS_STORAGE_KEY]
-        : [];
-      const next = [...existing.slice(-(MAX_BACKGROUND_DIAGNOSTICS - 1)), entry];
-      return chrome.storage.local.set({ [BACKGROUND_DIAGNOSTICS_STORAGE_KEY]: next });
-    });
+async function writeManualApplications(applications) {
+  const { byUser, userId } = await readManualApplicationsByUser();
+  if (!userId) throw new Error('Sign in to save applications.');
+  await chrome.storage.local.set({ [MANUAL_APPLICATIONS_STORAGE_KEY]: { ...byUser, [userId]: applications } });
+  safeRuntimeSendMessage({ type: 'MANUAL_APPLICATIONS_UPDATED', applications });
+  return applications;
 }
 
-function reportBackgroundWarning({
-  code,
-  context,
-  error = null,
-  userMessage = null,
-  timeout = 8000,
-  detail = null,
-}) {
-  const detailMessage = detail || formatBackgroundError(error);
-  bgLogger.warn(`[${code}] ${context}: ${detailMessage}`);
+async function addManualApplication(fields) {
+  const applications = await readManualApplications();
+  const application = createManualApplication({ id: crypto.randomUUID(), fields, now: Date.now() });
+  await writeManualApplications([...applications, application]);
+  return application;
+}
 
-  persistBackgroundDiagnostic({
-    at: new Date().toISOString(),
-    level: 'warn',
-    code,
-    context,
-    detail: detailMessage,
-  }).catch((persistError) => {
-    bgLogger.warn('Failed to persist background diagnostic:', formatBackgroundError(persistError));
-  });
+/**
+ * Applies a partial edit. The merged record is re-validated as a whole, so an
+ * edit can't leave a stored entry in a state the form would have refused.
+ * @returns {Promise<{application?: object, error?: string}>}
+ */
+async function editManualApplication(applicationId, changes) {
+  const applications = await readManualApplications();
+  const existing = applications.find((application) => application.id === applicationId);
+  if (!existing) return { error: 'Application not found.' };
+  const validation = validateManualApplicationInput({ ...existing, ...changes }, Date.now());
+  if (!validation.valid) return { error: validation.error };
+  const application = updateManualApplication(existing, validation.value, Date.now());
+  await writeManualApplications(applications.map((item) => (item.id === applicationId ? application : item)));
+  return { application };
+}
 
-  if (userMessage) {
-    safeRuntimeSendMessage({
-      type: 'BACKGROUND_WARNING',
-      code,
-      message: userMessage,
-      detail: detailMessage,
-      timeout,
-    });
-  }
+async function removeManualApplication(applicationId) {
+  const applications = await readManualApplications();
+  if (!applications.some((application) => application.id === applicationId)) return false;
+  await writeManualApplications(applications.filter((application) => application.id !== applicationId));
+  return true;
 }
 
-function buildExtensionTestingStatus(testState = null) {
-  if (!EXTENSION_TESTING_ENABLED) {
-    return {
-      supported: false,
-      active: false,
-      scenarioId: null,
-      label: null,
-      description: null,
-      activatedAt: null,
-      sync: null,
-    };
-  }
-
-  return {
-    supported: true,
-    active: Boolean(testState?.active),
-    scenarioId: testState?.scenarioId || null,
-    label: testState?.label || null,
-    description: testState?.description || null,
-    activatedAt: testState?.activatedAt || null,
-    sync: testState?.sync || null,
-  };
+/**
+ * Stores one spreadsheet import. Every record shares a batch id so the whole
+ * import can be taken back with undoManualApplicationImport.
+ * @returns {Promise<{batchId: string, imported: number}>}
+ */
+async function importManualApplications(fieldsList) {
+  const applications = await readManualApplications();
+  const batchId = crypto.randomUUID();
+  const now = Date.now();
+  const imported = fieldsList.map((fields) => createManualApplication({
+    id: crypto.randomUUID(),
+    fields,
+    now,
+    importBatchId: batchId,
+  }));
+  await writeManualApplications([...applications, ...imported]);
+  return { batchId, imported: imported.length };
 }
 
-function getCategorizedEmailsFromStorageRecord(stored = {}) {
-  return {
-    applied: stored.appliedEmails || [],
-    interviewed: stored.interviewedEmails || [],
-    offers: stored.offersEmails || [],
-    rejected: stored.rejectedEmails || [],
-    irrelevant: stored.irrelevantEmails || [],
-  };
+async function undoManualApplicationImport(batchId) {
+  const applications = await readManualApplications();
+  const kept = applications.filter((application) => application.importBatchId !== batchId);
+  const removed = applications.length - kept.length;
+  if (removed > 0) await writeManualApplications(kept);
+  return removed;
 }
 
-function buildCategorizedEmailStoragePayload(categorizedEmails = {}) {
-  return {
-    appliedEmails: categorizedEmails.applied || [],
-    interviewedEmails: categorizedEmails.interviewed || [],
-    offersEmails: categorizedEmails.offers || [],
-    rejectedEmails: categorizedEmails.rejected || [],
-    irrelevantEmails: categorizedEmails.irrelevant || [],
-  };
+// --- Interview prep ---
+// Per-application prep notes (see shared/interviewPrep.mjs). Like manual
+// applications they live only in this browser, so they are kept per account
+// and survive logout.
+async function readInterviewPrepByUser() {
+  const stored = await chrome.storage.local.get([INTERVIEW_PREP_STORAGE_KEY, 'userId']);
+  const byUser = isPlainObject(stored?.[INTERVIEW_PREP_STORAGE_KEY]) ? stored[INTERVIEW_PREP_STORAGE_KEY] : {};
+  return { byUser, userId: stored?.userId || null };
 }
 
-function buildTestingCategoryTotals(categorizedEmails = {}) {
-  return {
-    applied: (categorizedEmails.applied || []).length,
-    interviewed: (categorizedEmails.interviewed || []).length,
-    offers: (categorizedEmails.offers || []).length,
-    rejected: (categorizedEmails.rejected || []).length,
-    irrelevant: (categorizedEmails.irrelevant || []).length,
-    relevant: countRelevantCategorizedEmails(categorizedEmails),
-  };
+async function readInterviewPrep() {
+  const { byUser, userId } = await readInterviewPrepByUser();
+  return userId ? normalizeInterviewPrepStore(byUser[userId]) : {};
 }
 
-function getTestingThreadId(email) {
-  return (
-    email?.thread_id ||
-    email?.threadId ||
-    email?.thread ||
-    email?.id ||
-    null
-  );
+async function saveInterviewPrep({ key, fallbackKey, prep }) {
+  const { byUser, userId } = await readInterviewPrepByUser();
+  if (!userId) throw new Error('Sign in to save interview prep.');
+  const store = saveInterviewPrepInStore(normalizeInterviewPrepStore(byUser[userId]), { key, fallbackKey }, prep, Date.now());
+  await chrome.storage.local.set({ [INTERVIEW_PREP_STORAGE_KEY]: { ...byUser, [userId]: store } });
+  safeRuntimeSendMessage({ type: 'INTERVIEW_PREP_UPDATED', prep: store });
+  return store;
 }
 
-function countTrackedApplicationsFromCategorizedEmails(categorizedEmails = {}) {
-  const keys = new Set();
-  const relevantCategories = ['applied', 'interviewed', 'offers', 'rejected'];
-
-  for (const category of relevantCategories) {
-    for (const email of categorizedEmails[category] || []) {
-      const appId = email?.applicationId || email?.application_id;
-      const company = (email?.company_name || '').toString().trim().toLowerCase();
-      const position = (email?.position || '').toString().trim().toLowerCase();
-      const threadId = getTestingThreadId(email);
-      const fallbackId = email?.id;
-      const key =
-        (appId ? `app:${appId}` : null) ||
-        (company && position ? `cp:${company}:${position}` : null) ||
-        (threadId ? `thread:${threadId}` : null) ||
-        (fallbackId ? `email:${fallbackId}` : null);
+// --- Job descriptions ---
+// Posting text saved per application (see shared/jobDescriptions.mjs), stored
+// per account like interview prep.
+async function readJobDescriptionsByUser() {
+  const stored = await chrome.storage.local.get([JOB_DESCRIPTIONS_STORAGE_KEY, 'userId']);
+  const byUser = isPlainObject(stored?.[JOB_DESCRIPTIONS_STORAGE_KEY]) ? stored[JOB_DESCRIPTIONS_STORAGE_KEY] : {};
+  return { byUser, userId: stored?.userId || null };
+}
 
-      if (key) keys.add(String(key));
-    }
-  }
+async function readJobDescriptions() {
+  const { byUser, userId } = await readJobDescriptionsByUser();
+  return userId ? normalizeJobDescriptionStore(byUser[userId]) : {};
+}
 
-  return keys.size;
+async function saveJobDescription({ key, fallbackKey, description }) {
+  const { byUser, userId } = await readJobDescriptionsByUser();
+  if (!userId) throw new Error('Sign in to save job descriptions.');
+  const store = saveJobDescriptionInStore(normalizeJobDescriptionStore(byUser[userId]), { key, fallbackKey }, description, Date.now());
+  await chrome.storage.local.set({ [JOB_DESCRIPTIONS_STORAGE_KEY]: { ...byUser, [userId]: store } });
+  safeRuntimeSendMessage({ type: 'JOB_DESCRIPTIONS_UPDATED', descriptions: store });
+  return store;
 }
 
-function buildExtensionTestingSnapshot(stored = {}, state = null) {
-  const categorizedEmails = getCategorizedEmailsFromStorageRecord(stored);
-  const categoryTotals = stored.categoryTotals || buildTestingCategoryTotals(categorizedEmails);
-  const trackedApplications = Number.isFinite(stored?.quotaData?.trackedApplications)
-    ? stored.quotaData.trackedApplications
-    : countTrackedApplicationsFromCategorizedEmails(categorizedEmails);
+// --- Application details ---
+// Notes, tags and custom field values per application (see
+// shared/applicationDetails.mjs), stored per account like interview prep. The
+// custom field definitions are one list per account.
+async function readApplicationDetailsByUser() {
+  const stored = await chrome.storage.local.get([APPLICATION_DETAILS_STORAGE_KEY, CUSTOM_FIELDS_STORAGE_KEY, 'userId']);
+  const byUser = isPlainObject(stored?.[APPLICATION_DETAILS_STORAGE_KEY]) ? stored[APPLICATION_DETAILS_STORAGE_KEY] : {};
+  const fieldsByUser = isPlainObject(stored?.[CUSTOM_FIELDS_STORAGE_KEY]) ? stored[CUSTOM_FIELDS_STORAGE_KEY] : {};
+  return { byUser, fieldsByUser, userId: stored?.userId || null };
+}
 
+async function readApplicationDetails() {
+  const { byUser, fieldsByUser, userId } = await readApplicationDetailsByUser();
+  if (!userId) return { details: {}, customFields: [] };
   return {
-    auth: {
-      isLoggedIn: Boolean(stored.userEmail && stored.userId),
-      email: stored.userEmail || null,
-      name: stored.userName || null,
-      userId: stored.userId || null,
-    },
-    userPlan: stored.userPlan || 'free',
-    quota: stored.quotaData || null,
-    trackedApplications,
-    categoryTotals,
-    sync: state?.sync || null,
+    details: normalizeApplicationDetailsStore(byUser[userId]),
+    customFields: normalizeCustomFieldDefinitions(fieldsByUser[userId]),
   };
 }
 
-function buildLightweightExtensionTestingSnapshot(stored = {}, state = null) {
-  const categoryTotals = stored.categoryTotals || {
-    applied: 0,
-    interviewed: 0,
-    offers: 0,
-    rejected: 0,
-    irrelevant: 0,
-    relevant: 0,
-  };
-  const trackedApplications = Number.isFinite(stored?.quotaData?.trackedApplications)
-    ? stored.quotaData.trackedApplications
-    : Number(categoryTotals.relevant || 0);
+async function saveApplicationDetails({ key, fallbackKey, details }) {
+  const { byUser, fieldsByUser, userId } = await readApplicationDetailsByUser();
+  if (!userId) throw new Error('Sign in to save application details.');
+  const customFields = normalizeCustomFieldDefinitions(fieldsByUser[userId]);
+  const validation = validateApplicationDetailsInput(details, customFields);
+  if (!validation.valid) throw new Error(validation.error);
+  const store = saveApplicationDetailsInStore(normalizeApplicationDetailsStore(byUser[userId]), { key, fallbackKey }, validation.value, Date.now());
+  await chrome.storage.local.set({ [APPLICATION_DETAILS_STORAGE_KEY]: { ...byUser, [userId]: store } });
+  safeRuntimeSendMessage({ type: 'APPLICATION_DETAILS_UPDATED', details: store, customFields });
+  return { details: store, customFields };
+}
 
-  return {
-    auth: {
-      isLoggedIn: Boolean(stored.userEmail && stored.userId),
-      email: stored.userEmail || null,
-      name: stored.userName || null,
-      userId: stored.userId || null,
-    },
-    userPlan: stored.userPlan || 'free',
-    quota: stored.quotaData || null,
-    trackedApplications,
-    categoryTotals,
-    sync: state?.sync || null,
-  };
+/**
+ * Replaces the account's field definitions. Values saved for a removed field
+ * stay in storage until that application is next saved, so re-adding a field
+ * under the same id brings them back.
+ */
+async function saveCustomFields({ fields }) {
+  const { byUser, fieldsByUser, userId } = await readApplicationDetailsByUser();
+  if (!userId) throw new Error('Sign in to edit custom fields.');
+  await chrome.storage.local.set({ [CUSTOM_FIELDS_STORAGE_KEY]: { ...fieldsByUser, [userId]: fields } });
+  const details = normalizeApplicationDetailsStore(byUser[userId]);
+  safeRuntimeSendMessage({ type: 'APPLICATION_DETAILS_UPDATED', details, customFields: fields });
+  return { details, customFields: fields };
 }
 
-async function getExtensionTestingState() {
-  const stored = await chrome.storage.local.get([
-    EXTENSION_TEST_STATE_KEY,
-    EXTENSION_TEST_APPLICATIONS_KEY,
-    EXTENSION_TEST_LAST_MISCLASSIFICATION_KEY,
-    'userEmail',
-    'userName',
-    'userId',
-    'userPlan',
-    'quotaData',
-    'categoryTotals',
-    'appliedEmails',
-    'interviewedEmails',
-    'offersEmails',
-    'rejectedEmails',
-    'irrelevantEmails',
-  ]);
-  const state = stored[EXTENSION_TEST_STATE_KEY] || null;
-  return {
-    supported: EXTENSION_TESTING_ENABLED,
-    active: Boolean(EXTENSION_TESTING_ENABLED && state?.active),
-    state,
-    applications: stored[EXTENSION_TEST_APPLICATIONS_KEY] || {},
-    lastMisclassification: stored[EXTENSION_TEST_LAST_MISCLASSIFICATION_KEY] || null,
-    snapshot: buildExtensionTestingSnapshot(stored, state),
-  };
+// --- Follow-up cadence ---
+// Local rules for when to follow up (see shared/followUpCadence.mjs), one list
+// per account like the templates. They are evaluated against the cached
+// pipeline on the syncEmails alarm and whenever they change; the result is
+// stored beside the backend's followUpSuggestions and merged with them by the
+// popup and the digest.
+async function readFollowUpCadenceByUser() {
+  const stored = await chrome.storage.local.get([FOLLOW_UP_CADENCE_STORAGE_KEY, CADENCE_SUGGESTIONS_STORAGE_KEY, 'userId']);
+  const byUser = isPlainObject(stored?.[FOLLOW_UP_CADENCE_STORAGE_KEY]) ? stored[FOLLOW_UP_CADENCE_STORAGE_KEY] : {};
+  const suggestions = Array.isArray(stored?.[CADENCE_SUGGESTIONS_STORAGE_KEY]) ? stored[CADENCE_SUGGESTIONS_STORAGE_KEY] : [];
+  return { byUser, suggestions, userId: stored?.userId || null };
 }
 
-async function getExtensionTestingLabState() {
-  const stored = await chrome.storage.local.get([
-    EXTENSION_TEST_STATE_KEY,
-    'userEmail',
-    'userName',
-    'userId',
-    'userPlan',
-    'quotaData',
-    'categoryTotals',
-  ]);
-  const state = stored[EXTENSION_TEST_STATE_KEY] || null;
-  return {
-    supported: EXTENSION_TESTING_ENABLED,
-    active: Boolean(EXTENSION_TESTING_ENABLED && state?.active),
-    state,
-    snapshot: buildLightweightExtensionTestingSnapshot(stored, state),
-  };
+async function readFollowUpCadence() {
+  const { byUser, suggestions, userId } = await readFollowUpCadenceByUser();
+  return { rules: normalizeCadenceRules(userId ? byUser[userId] : undefined), suggestions };
 }
 
-async function captureExtensionTestingSnapshotIfNeeded() {
-  if (!EXTENSION_TESTING_ENABLED) return null;
+async function refreshCadenceSuggestions() {
+  const { byUser, userId } = await readFollowUpCadenceByUser();
+  const rules = normalizeCadenceRules(userId ? byUser[userId] : undefined);
+  let suggestions = [];
+  if (userId) {
+    const { categorizedEmails } = await getCachedSyncState();
+    const stored = await chrome.storage.local.get({ followedUpMap: {}, respondedMap: {} });
+    suggestions = evaluateCadenceRules(categorizedEmails, rules, {
+      now: Date.now(),
+      followedUpMap: stored.followedUpMap,
+      respondedMap: stored.respondedMap,
+    });
+  }
+  await chrome.storage.local.set({ [CADENCE_SUGGESTIONS_STORAGE_KEY]: suggestions });
+  safeRuntimeSendMessage({ type: 'FOLLOW_UP_CADENCE_UPDATED', rules, suggestions });
+  return { rules, suggestions };
+}
 
-  const stored = await chrome.storage.local.get([
-    EXTENSION_TEST_SNAPSHOT_KEY,
-    ...EXTENSION_TEST_MUTABLE_STORAGE_KEYS,
-  ]);
+async function saveFollowUpCadence({ rules }) {
+  const { byUser, userId } = await readFollowUpCadenceByUser();
+  if (!userId) throw new Error('Sign in to save follow-up rules.');
+  await chrome.storage.local.set({ [FOLLOW_UP_CADENCE_STORAGE_KEY]: { ...byUser, [userId]: rules } });
+  return refreshCadenceSuggestions();
+}
 
-  if (stored[EXTENSION_TEST_SNAPSHOT_KEY]) {
-    return stored[EXTENSION_TEST_SNAPSHOT_KEY];
-  }
+// --- Follow-up templates ---
+// The user's message templates (see shared/followUpTemplates.mjs), one list
+// per account. Accounts that never saved a list get the defaults.
+async function readFollowUpTemplatesByUser() {
+  const stored = await chrome.storage.local.get([FOLLOW_UP_TEMPLATES_STORAGE_KEY, 'userId']);
+  const byUser = isPlainObject(stored?.[FOLLOW_UP_TEMPLATES_STORAGE_KEY]) ? stored[FOLLOW_UP_TEMPLATES_STORAGE_KEY] : {};
+  return { byUser, userId: stored?.userId || null };
+}
 
-  const snapshot = {
-    capturedAt: new Date().toISOString(),
-  };
+async function readFollowUpTemplates() {
+  const { byUser, userId } = await readFollowUpTemplatesByUser();
+  return normalizeFollowUpTemplates(userId ? byUser[userId] : undefined);
+}
 
-  for (const key of EXTENSION_TEST_MUTABLE_STORAGE_KEYS) {
-    if (Object.prototype.hasOwnProperty.call(stored, key)) {
-      snapshot[key] = stored[key];
-    }
+async function saveFollowUpTemplates({ templates }) {
+  const { byUser, userId } = await readFollowUpTemplatesByUser();
+  if (!userId) throw new Error('Sign in to save follow-up templates.');
+  await chrome.storage.local.set({ [FOLLOW_UP_TEMPLATES_STORAGE_KEY]: { ...byUser, [userId]: templates } });
+  safeRuntimeSendMessage({ type: 'FOLLOW_UP_TEMPLATES_UPDATED', templates });
+  return templates;
+}
+
+// --- Offers ---
+// Offer details for the comparison view (see shared/offers.mjs), stored per
+// account like interview prep. Each offer with a deadline keeps one alarm that
+// reminds the morning before and the morning of.
+async function readOffersByUser() {
+  const stored = await chrome.storage.local.get([OFFERS_STORAGE_KEY, 'userId']);
+  const byUser = isPlainObject(stored?.[OFFERS_STORAGE_KEY]) ? stored[OFFERS_STORAGE_KEY] : {};
+  return { byUser, userId: stored?.userId || null };
+}
+
+async function readOffers() {
+  const { byUser, userId } = await readOffersByUser();
+  return userId ? normalizeOffers(byUser[userId]) : {};
+}
+
+async function armOfferDeadlineAlarm(key, offer) {
+  const when = nextOfferDeadlineReminderAt(offer, Date.now());
+  if (when) {
+    chrome.alarms.create(offerDeadlineAlarmName(key), { when });
+  } else {
+    await chrome.alarms.clear(offerDeadlineAlarmName(key));
   }
+}
 
-  await chrome.storage.local.set({ [EXTENSION_TEST_SNAPSHOT_KEY]: snapshot });
-  return snapshot;
+async function saveOffer({ key, fallbackKey, offer }) {
+  const { byUser, userId } = await readOffersByUser();
+  if (!userId) throw new Error('Sign in to save offer details.');
+  const offers = saveOfferInStore(normalizeOffers(byUser[userId]), { key, fallbackKey }, offer, Date.now());
+  await chrome.storage.local.set({ [OFFERS_STORAGE_KEY]: { ...byUser, [userId]: offers } });
+  if (fallbackKey && fallbackKey !== key) await chrome.alarms.clear(offerDeadlineAlarmName(fallbackKey));
+  await armOfferDeadlineAlarm(key, offers[key] || null);
+  safeRuntimeSendMessage({ type: 'OFFERS_UPDATED', offers });
+  return offers;
 }
 
-async function updateExtensionTestingStateRecord(mutator) {
-  if (!EXTENSION_TESTING_ENABLED) return null;
-  const stored = await chrome.storage.local.get([EXTENSION_TEST_STATE_KEY]);
-  const current = stored[EXTENSION_TEST_STATE_KEY] || null;
-  const next = await mutator(current);
-  if (next == null) {
-    await chrome.storage.local.remove([EXTENSION_TEST_STATE_KEY]);
-    return null;
+/** Re-creates deadline alarms from storage; safe to repeat, like rearmReminderAlarms. */
+async function rearmOfferDeadlineAlarms() {
+  try {
+    const offers = await readOffers();
+    const existingAlarms = await chrome.alarms.getAll();
+    for (const alarm of existingAlarms || []) {
+      const key = offerKeyFromAlarmName(alarm?.name);
+      if (key && !offers[key]) await chrome.alarms.clear(alarm.name);
+    }
+    for (const [key, offer] of Object.entries(offers)) await armOfferDeadlineAlarm(key, offer);
+  } catch (error) {
+    bgLogger.warn('Failed to re-arm offer deadline alarms:', formatBackgroundError(error));
   }
-  await chrome.storage.local.set({ [EXTENSION_TEST_STATE_KEY]: next });
-  return next;
 }
 
-async function updateExtensionTestingApplications(mutator) {
-  if (!EXTENSION_TESTING_ENABLED) return {};
-  const stored = await chrome.storage.local.get([EXTENSION_TEST_APPLICATIONS_KEY]);
-  const current = stored[EXTENSION_TEST_APPLICATIONS_KEY] || {};
-  const next = await mutator(current);
-  await chrome.storage.local.set({ [EXTENSION_TEST_APPLICATIONS_KEY]: next || {} });
-  return next || {};
+async function fireOfferDeadlineReminder(key) {
+  const offer = (await readOffers())[key];
+  // Removed, or the account signed out since the alarm was set.
+  if (!offer) return;
+  const days = daysUntilOfferDeadline(offer, Date.now());
+  if (days === null || days < 0) return;
+  const label = [offer.company, offer.position].filter(Boolean).join(' - ') || 'An offer';
+  try {
+    chrome.notifications.create(offerDeadlineNotificationId(key), {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title: days === 0 ? 'Offer deadline today' : 'Offer deadline tomorrow',
+      message: `${label}. Compare your offers before you answer.`,
+      priority: 2,
+      requireInteraction: true,
+    });
+  } catch (e) {
+    bgLogger.warn('Failed to create offer deadline notification:', e?.message);
+  }
+  // Moves on to the day-of reminder, or clears the alarm after it.
+  await armOfferDeadlineAlarm(key, offer);
 }
 
-async function broadcastExtensionTestingState(testStateOverride = undefined) {
-  const stored = await chrome.storage.local.get([
-    ...EXTENSION_TEST_MUTABLE_STORAGE_KEYS,
-    EXTENSION_TEST_STATE_KEY,
-  ]);
-  const categorizedEmails = getCategorizedEmailsFromStorageRecord(stored);
-  const testingState = typeof testStateOverride === 'undefined'
-    ? (stored[EXTENSION_TEST_STATE_KEY] || null)
-    : testStateOverride;
+// --- Selected thread ---
+// The thread open in the popup, the side panel or the full view. Each surface
+// reports what it opens and follows SELECTED_THREAD_UPDATED, so the side panel
+// stays on the thread picked in the popup and the other way round. Kept in
+// session storage: a selection does not outlive the browser session.
+async function readSelectedThread() {
+  const stored = await chrome.storage.session.get([SELECTED_THREAD_STORAGE_KEY]);
+  const selection = stored?.[SELECTED_THREAD_STORAGE_KEY];
+  return isPlainObject(selection) ? selection : { threadId: null, source: null, updatedAt: null };
+}
 
-  broadcastAuthStateToContentScripts(Boolean(stored.userEmail), stored.userEmail || null);
-  safeRuntimeSendMessage({
-    type: 'EMAILS_SYNCED',
-    success: true,
-    categorizedEmails,
-    categoryTotals: stored.categoryTotals || buildTestingCategoryTotals(categorizedEmails),
-    syncInProgress: Boolean(testingState?.sync?.inProgress),
-  });
-  safeRuntimeSendMessage({
-    type: 'EXTENSION_TEST_STATE_CHANGED',
-    testing: buildExtensionTestingStatus(testingState),
-  });
+async function setSelectedThread({ threadId, source }) {
+  const selection = { threadId, source, updatedAt: Date.now() };
+  await chrome.storage.session.set({ [SELECTED_THREAD_STORAGE_KEY]: selection });
+  safeRuntimeSendMessage({ type: 'SELECTED_THREAD_UPDATED', selection });
+  return selection;
 }
 
-async function refreshExtensionTestingQuota(categorizedEmails) {
-  const stored = await chrome.storage.local.get(['quotaData', 'userPlan', EXTENSION_TEST_STATE_KEY]);
-  const existingQuota = stored.quotaData || null;
-  if (!existingQuota) return null;
-  if (stored[EXTENSION_TEST_STATE_KEY]?.quotaLocked) {
-    return existingQuota;
+async function clearSelectedThread() {
+  try {
+    await chrome.storage.session.remove(SELECTED_THREAD_STORAGE_KEY);
+  } catch (error) {
+    bgLogger.warn('Failed to clear the selected thread:', formatBackgroundError(error));
   }
+}
 
-  const trackedApplications = countTrackedApplicationsFromCategorizedEmails(categorizedEmails);
-  const relevantMessagesProcessed = countRelevantCategorizedEmails(categorizedEmails);
-  const nextQuota = {
-    ...existingQuota,
-    trackedApplications,
-    totalProcessed: trackedApplications,
-    relevantMessagesProcessed,
-    limitReached: stored.userPlan === 'premium'
-      ? false
-      : trackedApplications >= Number(existingQuota.limit || 100),
-  };
-  await chrome.storage.local.set({ quotaData: nextQuota });
-  return nextQuota;
+// --- Gmail integration ---
+// Optional: gmailContent.js adds status chips and a lifecycle card inside
+// Gmail. It is registered at runtime, and only while the user has it switched
+// on and has granted the mail.google.com host permission, so nothing is
+// injected into Gmail for anyone who never opted in.
+function isGmailSenderUrl(senderUrl) {
+  if (typeof senderUrl !== 'string' || !senderUrl) return false;
+  try {
+    return new URL(senderUrl).origin === 'https://mail.google.com';
+  } catch (_) {
+    return false;
+  }
 }
 
-async function mutateExtensionTestingCategorizedEmails(mutator) {
-  const stored = await chrome.storage.local.get([
-    'appliedEmails',
-    'interviewedEmails',
-    'offersEmails',
-    'rejectedEmails',
-    'irrelevantEmails',
-    'categoryTotals',
-    EMAILS_CACHE_META_KEY,
-  ]);
-  const current = getCategorizedEmailsFromStorageRecord(stored);
-  const result = await mutator(current);
-  if (!result) return null;
-
-  const nextCategorizedEmails = result.categorizedEmails || result;
-  const categoryTotals = result.categoryTotals || buildTestingCategoryTotals(nextCategorizedEmails);
-  const nextQuota = await refreshExtensionTestingQuota(nextCategorizedEmails);
-
-  await chrome.storage.local.set({
-    ...buildCategorizedEmailStoragePayload(nextCategorizedEmails),
-    categoryTotals,
-    ...(nextQuota ? { quotaData: nextQuota } : {}),
-    [EMAILS_CACHE_META_KEY]: buildEmailsCacheMeta(stored[EMAILS_CACHE_META_KEY], {
-      syncInProgress: false,
-      lastCompletedAt: new Date().toISOString(),
-      totalRelevantCount: countRelevantCategorizedEmails(nextCategorizedEmails),
-    }),
-  });
-
-  safeRuntimeSendMessage({
-    type: 'EMAILS_SYNCED',
-    success: true,
-    categorizedEmails: nextCategorizedEmails,
-    categoryTotals,
-    syncInProgress: false,
-  });
-
-  return {
-    ...(result && typeof result === 'object' ? result : {}),
-    categorizedEmails: nextCategorizedEmails,
-    categoryTotals,
-  };
+async function getGmailIntegrationState() {
+  const stored = await chrome.storage.local.get([GMAIL_INTEGRATION_STORAGE_KEY]);
+  const hasPermission = await chrome.permissions.contains({ origins: [GMAIL_ORIGIN_PATTERN] });
+  return { enabled: stored?.[GMAIL_INTEGRATION_STORAGE_KEY] === true, hasPermission };
 }
 
-async function installExtensionTestScenario(scenarioId) {
-  if (!EXTENSION_TESTING_ENABLED) {
-    return { success: false, error: 'Extension test mode is only available in the development build.' };
+/**
+ * Registers or unregisters an opt-in content script. Shared with the job-board
+ * capture script below.
+ */
+async function syncOptionalContentScript({ id, shouldRun, matches, js }) {
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [id] });
+  if (shouldRun && registered.length === 0) {
+    await chrome.scripting.registerContentScripts([{ id, matches, js, runAt: 'document_idle' }]);
+  } else if (!shouldRun && registered.length > 0) {
+    await chrome.scripting.unregisterContentScripts({ ids: [id] });
   }
+}
 
-  const scenario = getExtensionTestScenario(scenarioId);
-  if (!scenario) {
-    return { success: false, error: `Unknown test scenario: ${String(scenarioId)}` };
+/** Registers or unregisters gmailContent.js to match the stored switch and the permission. */
+async function syncGmailContentScript() {
+  try {
+    const { enabled, hasPermission } = await getGmailIntegrationState();
+    await syncOptionalContentScript({
+      id: GMAIL_CONTENT_SCRIPT_ID,
+      shouldRun: enabled && hasPermission,
+      matches: [GMAIL_ORIGIN_PATTERN],
+      js: ['gmailContent.js'],
+    });
+  } catch (error) {
+    bgLogger.warn('Failed to sync the Gmail content script:', formatBackgroundError(error));
   }
+}
 
-  captureExtensionTestingSnapshotIfNeeded().catch((error) => {
-    bgLogger.warn?.('Failed to capture extension test snapshot before scenario activation:', error?.message || error);
-  });
-
-  const categorizedEmails = scenario.categorizedEmails || {};
-  const testingState = {
-    active: true,
-    scenarioId: scenario.id,
-    label: scenario.label,
-    description: scenario.description,
-    activatedAt: new Date().toISOString(),
-    quotaLocked: scenario.lockQuota !== false,
-    simulatedFailures: scenario.simulatedFailures || null,
-    sync: {
-      inProgress: Boolean(scenario.sync?.inProgress),
-      startedAt: scenario.sync?.startedAt || null,
-      lastSyncAt: scenario.sync?.lastSyncAt || null,
-      lastCompletedAt: scenario.sync?.lastCompletedAt || scenario.sync?.lastSyncAt || null,
-    },
-    gmailAuth: scenario.gmailAuth || null,
-  };
-
-  const payload = {
-    ...buildCategorizedEmailStoragePayload(categorizedEmails),
-    categoryTotals: scenario.categoryTotals || buildTestingCategoryTotals(categorizedEmails),
-    [EMAILS_CACHE_META_KEY]: buildEmailsCacheMeta(null, {
-      syncInProgress: false,
-      lastCompletedAt: scenario.sync?.lastCompletedAt || scenario.sync?.lastSyncAt || new Date().toISOString(),
-      totalRelevantCount: countRelevantCategorizedEmails(categorizedEmails),
-    }),
-    [EXTENSION_TEST_STATE_KEY]: testingState,
-    [EXTENSION_TEST_APPLICATIONS_KEY]: scenario.applications || {},
-  };
+async function setGmailIntegrationEnabled(enabled) {
+  await chrome.storage.local.set({ [GMAIL_INTEGRATION_STORAGE_KEY]: enabled });
+  await syncGmailContentScript();
+  const state = await getGmailIntegrationState();
+  safeRuntimeSendMessage({ type: 'GMAIL_INTEGRATION_UPDATED', ...state });
+  return state;
+}
 
-  if (scenario.auth) {
-    payload.userEmail = scenario.auth.email;
-    payload.userName = scenario.auth.name || scenario.auth.email;
-    payload.userId = scenario.auth.userId;
-    payload.userPlan = scenario.userPlan || 'free';
-  }
+async function getGmailThreadStatuses(threadIds) {
+  const { categorizedEmails } = await getCachedSyncState();
+  return buildGmailThreadSummaries(categorizedEmails, threadIds);
+}
 
-  if (scenario.quotaData) {
-    payload.quotaData = scenario.quotaData;
+// --- Job board capture ---
+// Opt-in like the Gmail integration: jobBoardContent.js runs on the boards in
+// JOB_CAPTURE_PLATFORMS only while switched on and permitted. Each submit it
+// sees becomes a pending manual application (shared/jobCapture.mjs), and
+// linkPendingCaptures attaches it to its Gmail confirmation after each sync.
+function isJobBoardSenderUrl(senderUrl) {
+  if (typeof senderUrl !== 'string' || !senderUrl) return false;
+  try {
+    const url = new URL(senderUrl);
+    if (url.protocol !== 'https:') return false;
+    return JOB_CAPTURE_ORIGIN_PATTERNS.some((pattern) => {
+      const host = pattern.slice('https://'.length, -'/*'.length);
+      return host.startsWith('*.') ? url.hostname.endsWith(host.slice(1)) : url.hostname === host;
+    });
+  } catch (_) {
+    return false;
   }
+}
 
-  await chrome.storage.local.set(payload);
+async function getJobCaptureState() {
+  const stored = await chrome.storage.local.get([JOB_CAPTURE_STORAGE_KEY]);
+  const hasPermission = await chrome.permissions.contains({ origins: [...JOB_CAPTURE_ORIGIN_PATTERNS] });
+  return { enabled: stored?.[JOB_CAPTURE_STORAGE_KEY] === true, hasPermission };
+}
 
-  const keysToRemove = [EXTENSION_TEST_LAST_MISCLASSIFICATION_KEY];
-  if (!scenario.auth) {
-    keysToRemove.push('userEmail', 'userName', 'userId', 'userPlan', 'quotaData');
-  } else if (!scenario.quotaData) {
-    keysToRemove.push('quotaData');
-  }
-  if (keysToRemove.length > 0) {
-    await chrome.storage.local.remove(Array.from(new Set(keysToRemove)));
+async function syncJobCaptureContentScript() {
+  try {
+    const { enabled, hasPermission } = await getJobCaptureState();
+    await syncOptionalContentScript({
+      id: JOB_CAPTURE_CONTENT_SCRIPT_ID,
+      shouldRun: enabled && hasPermission,
+      matches: [...JOB_CAPTURE_ORIGIN_PATTERNS],
+      js: ['jobBoardContent.js'],
+    });
+  } catch (error) {
+    bgLogger.warn('Failed to sync the job board content script:', formatBackgroundError(error));
   }
+}
 
-  await broadcastExtensionTestingState(testingState);
-
-  return {
-    success: true,
-    testing: buildExtensionTestingStatus(testingState),
-    scenario: {
-      id: scenario.id,
-      label: scenario.label,
-      description: scenario.description,
-    },
-  };
+async function setJobCaptureEnabled(enabled) {
+  await chrome.storage.local.set({ [JOB_CAPTURE_STORAGE_KEY]: enabled });
+  await syncJobCaptureContentScript();
+  const state = await getJobCaptureState();
+  safeRuntimeSendMessage({ type: 'JOB_CAPTURE_UPDATED', ...state });
+  return state;
 }
 
-async function deactivateExtensionTestMode() {
-  if (!EXTENSION_TESTING_ENABLED) {
-    return { success: true, testing: buildExtensionTestingStatus(null), restored: false };
+/**
+ * Links pending captures to confirmations in the cached (or given) emails.
+ * Best-effort: a capture that can't be linked now is retried after the next sync.
+ * @returns {Promise<number>} How many captures were linked.
+ */
+async function linkPendingCaptures(categorizedEmails = null) {
+  try {
+    const applications = await readManualApplications();
+    if (!applications.some((application) => application.pending === true)) return 0;
+    const emails = categorizedEmails || (await getCachedSyncState()).categorizedEmails;
+    const { records, linked } = linkCapturedApplications(applications, emails, Date.now());
+    if (linked > 0) await writeManualApplications(records);
+    return linked;
+  } catch (error) {
+    bgLogger.warn('Failed to link captured applications:', formatBackgroundError(error));
+    return 0;
   }
+}
 
-  const stored = await chrome.storage.local.get([EXTENSION_TEST_SNAPSHOT_KEY]);
-  const snapshot = stored[EXTENSION_TEST_SNAPSHOT_KEY] || null;
-  const restorePayload = {};
-  const keysToRemove = [
-    EXTENSION_TEST_STATE_KEY,
-    EXTENSION_TEST_APPLICATIONS_KEY,
-    EXTENSION_TEST_LAST_MISCLASSIFICATION_KEY,
-    EXTENSION_TEST_SNAPSHOT_KEY,
-  ];
-
-  for (const key of EXTENSION_TEST_MUTABLE_STORAGE_KEYS) {
-    if (snapshot && Object.prototype.hasOwnProperty.call(snapshot, key)) {
-      restorePayload[key] = snapshot[key];
-    } else {
-      keysToRemove.push(key);
-    }
-  }
+async function captureJobApplication(capture) {
+  // Tabs opened before the switch was turned off still run the old script.
+  const { enabled } = await getJobCaptureState();
+  if (!enabled) throw new Error('Job capture is turned off.');
+  const applications = await readManualApplications();
+  const result = upsertCapturedApplication(applications, capture, { id: crypto.randomUUID(), now: Date.now() });
+  await writeManualApplications(result.records);
+  // Some boards email before the user is back in the inbox; link right away if so.
+  await linkPendingCaptures();
+  return { application: result.application, created: result.created };
+}
 
-  if (Object.keys(restorePayload).length > 0) {
-    await chrome.storage.local.set(restorePayload);
-  }
-  await chrome.storage.local.remove(Array.from(new Set(keysToRemove)));
-  await broadcastExtensionTestingState(null);
+// --- Edit outbox ---
+// User edits land in the cached *Emails keys before the backend sees them. When
+// the backend can't be reached the edit waits in the outbox (see
+// shared/outbox.mjs) and is replayed on the syncEmails alarm; edits the backend
+// refuses on replay are kept as conflicts until the user dismisses them.
+let outboxReplayPromise = null;
 
-  return {
-    success: true,
-    restored: Boolean(snapshot),
-    testing: buildExtensionTestingStatus(null),
-  };
+async function readOutbox() {
+  const stored = await chrome.storage.local.get([OUTBOX_STORAGE_KEY]);
+  return normalizeOutbox(stored?.[OUTBOX_STORAGE_KEY]);
 }
 
-async function touchExtensionTestingSyncState() {
-  const now = new Date().toISOString();
-  return updateExtensionTestingStateRecord((current) => {
-    if (!current) return current;
-    return {
-      ...current,
-      sync: {
-        ...(current.sync || {}),
-        inProgress: false,
-        startedAt: null,
-        lastSyncAt: now,
-        lastCompletedAt: now,
-      },
-    };
-  });
+async function readOutboxConflicts() {
+  const stored = await chrome.storage.local.get([OUTBOX_CONFLICTS_STORAGE_KEY]);
+  return normalizeOutboxConflicts(stored?.[OUTBOX_CONFLICTS_STORAGE_KEY]);
 }
 
-function findEmailInCategorizedEmails(categorizedEmails, emailId) {
-  const normalizedEmailId = String(emailId);
-  for (const category of ['applied', 'interviewed', 'offers', 'rejected', 'irrelevant']) {
-    const emails = categorizedEmails[category] || [];
-    const email = emails.find((item) => String(item?.id) === normalizedEmailId);
-    if (email) {
-      return { category, email };
-    }
-  }
-  return null;
+async function getOutboxState() {
+  const [pending, conflicts] = await Promise.all([readOutbox(), readOutboxConflicts()]);
+  return { pending, conflicts };
 }
 
-async function setExtensionTestingEmailReadState(emailId, isRead = true) {
-  return mutateExtensionTestingCategorizedEmails((categorizedEmails) => {
-    const located = findEmailInCategorizedEmails(categorizedEmails, emailId);
-    if (!located) return null;
+async function broadcastOutboxState() {
+  safeRuntimeSendMessage({ type: 'OUTBOX_UPDATED', ...(await getOutboxState()) });
+}
 
-    return {
-      ...categorizedEmails,
-      [located.category]: (categorizedEmails[located.category] || []).map((email) => (
-        String(email?.id) === String(emailId) ? { ...email, is_read: Boolean(isRead) } : email
-      )),
-    };
-  });
+async function writeOutbox(operations) {
+  await chrome.storage.local.set({ [OUTBOX_STORAGE_KEY]: operations });
+  await broadcastOutboxState();
+  return operations;
 }
 
-async function markExtensionTestingCategoryRead(category) {
-  const normalizedCategory = normalizeCategoryKey(category);
-  return mutateExtensionTestingCategorizedEmails((categorizedEmails) => ({
-    ...categorizedEmails,
-    [normalizedCategory]: (categorizedEmails[normalizedCategory] || []).map((email) => ({
-      ...email,
-      is_read: true,
-    })),
-  }));
+async function writeOutboxConflicts(conflicts) {
+  const normalized = normalizeOutboxConflicts(conflicts);
+  await chrome.storage.local.set({ [OUTBOX_CONFLICTS_STORAGE_KEY]: normalized });
+  await broadcastOutboxState();
+  return normalized;
 }
 
-async function updateExtensionTestingEmailFields(emailId, updates = {}) {
-  return mutateExtensionTestingCategorizedEmails((categorizedEmails) => {
-    const located = findEmailInCategorizedEmails(categorizedEmails, emailId);
-    if (!located) return null;
+async function queueOutboxOperation(operation) {
+  return writeOutbox(enqueueOutboxOperation(await readOutbox(), operation));
+}
 
-    return {
-      ...categorizedEmails,
-      [located.category]: (categorizedEmails[located.category] || []).map((email) => (
-        String(email?.id) === String(emailId)
-          ? { ...email, ...updates }
-          : email
-      )),
-    };
-  });
+async function dismissOutboxConflict(conflictId) {
+  const conflicts = await readOutboxConflicts();
+  if (!conflicts.some((conflict) => conflict.id === conflictId)) return false;
+  await writeOutboxConflicts(conflicts.filter((conflict) => conflict.id !== conflictId));
+  return true;
 }
 
-async function moveExtensionTestingEmailToCategory(emailId, targetCategory) {
-  const normalizedTargetCategory = normalizeCategoryKey(targetCategory);
-  if (!VALID_MARK_AS_READ_CATEGORIES.has(normalizedTargetCategory)) {
-    return null;
+async function clearOutbox() {
+  try {
+    await chrome.storage.local.remove([OUTBOX_STORAGE_KEY, OUTBOX_CONFLICTS_STORAGE_KEY]);
+  } catch (error) {
+    bgLogger.warn('Failed to clear edit outbox:', formatBackgroundError(error));
   }
+}
 
-  return mutateExtensionTestingCategorizedEmails((categorizedEmails) => {
-    const located = findEmailInCategorizedEmails(categorizedEmails, emailId);
-    if (!located) return null;
-
-    const originalEmail = located.email;
-    const sourceEmails = (categorizedEmails[located.category] || []).filter((email) => String(email?.id) !== String(emailId));
-    const targetEmails = categorizedEmails[normalizedTargetCategory] || [];
-    const movedEmail = {
-      ...originalEmail,
-      category: capitalizeFirst(normalizedTargetCategory),
-      displayCategory: normalizedTargetCategory,
-    };
+// The optimistic version of each edit. Close / reopen keep the application's
+// pipeline status and only flip the user-closed flags the backend would set.
+function applyOutboxOperationToEmail(email, operation) {
+  const { payload } = operation;
+  switch (operation.kind) {
+    case 'company':
+      return { ...email, company_name: payload.companyName, company_name_corrected: true };
+    case 'position':
+      return { ...email, position: payload.position, position_corrected: true };
+    case 'star':
+      return { ...email, is_starred: Boolean(payload.isStarred) };
+    case 'closeApplication': {
+      const manualCloseKind = classifyManualCloseKind(payload.reason);
+      return applyResolvedStateToEmail(email, {
+        applicationId: email.applicationId,
+        applicationStatus: email.applicationStatus,
+        isClosed: true,
+        isUserClosed: true,
+        isUserRejected: manualCloseKind === 'rejection',
+        manualCloseKind,
+        isOutcomeClosed: email.isOutcomeClosed,
+        displayCategory: deriveDisplayCategory(email.category, email.applicationStatus, true),
+      });
+    }
+    case 'reopenApplication': {
+      const isClosed = Boolean(email.isOutcomeClosed);
+      return {
+        ...applyResolvedStateToEmail(email, {
+          applicationId: email.applicationId,
+          applicationStatus: email.applicationStatus,
+          isClosed,
+          isUserClosed: false,
+          isUserRejected: false,
+          isOutcomeClosed: email.isOutcomeClosed,
+          displayCategory: deriveDisplayCategory(email.category, email.applicationStatus, isClosed),
+        }),
+        manualCloseKind: null,
+      };
+    }
+    case 'misclassification':
+      return { ...email, category: capitalizeFirst(normalizeCategoryKey(payload.correctedCategory)) };
+    default:
+      return email;
+  }
+}
 
-    return {
-      categorizedEmails: {
-        ...categorizedEmails,
-        [located.category]: sourceEmails,
-        [normalizedTargetCategory]: [movedEmail, ...targetEmails],
-      },
-      movedEmail,
-      originalEmail,
-      sourceCategory: located.category,
-      targetCategory: normalizedTargetCategory,
-    };
-  });
+async function applyOutboxOperationsLocally(operations) {
+  return updateCachedEmails((categorizedEmails) => (
+    applyOutboxOperationsToCategorizedEmails(categorizedEmails, operations, applyOutboxOperationToEmail)
+  ));
 }
 
-async function archiveExtensionTestingThread(threadId) {
-  return mutateExtensionTestingCategorizedEmails((categorizedEmails) => {
+async function patchCachedEmailFields(emailId, fields) {
+  return updateCachedEmails((categorizedEmails) => {
     const next = {};
-    for (const category of ['applied', 'interviewed', 'offers', 'rejected', 'irrelevant']) {
-      next[category] = (categorizedEmails[category] || []).filter((email) => String(getTestingThreadId(email)) !== String(threadId));
+    for (const [key, emails] of Object.entries(categorizedEmails)) {
+      next[key] = (emails || []).map((email) => (
+        String(email?.id) === String(emailId) ? { ...email, ...fields } : email
+      ));
     }
     return next;
   });
 }
 
-async function appendExtensionTestingReply(threadId, recipient, subject, body, currentUserEmail) {
-  const response = await mutateExtensionTestingCategorizedEmails((categorizedEmails) => {
-    let matchedCategory = null;
-    let latestEmail = null;
-
-    for (const category of ['applied', 'interviewed', 'offers', 'rejected', 'irrelevant']) {
-      const threadEmails = (categorizedEmails[category] || []).filter((email) => String(getTestingThreadId(email)) === String(threadId));
-      if (threadEmails.length > 0) {
-        matchedCategory = category;
-        latestEmail = threadEmails
-          .slice()
-          .sort((a, b) => new Date(b?.date || 0) - new Date(a?.date || 0))[0];
-        break;
-      }
-    }
-
-    if (!matchedCategory || !latestEmail) return null;
-
-    const replyId = Date.now();
-    const replyDate = new Date().toISOString();
-    const replyEmail = {
-      ...latestEmail,
-      id: replyId,
-      thread_id: getTestingThreadId(latestEmail),
-      from: currentUserEmail || 'me@applendium.dev',
-      sender: currentUserEmail || 'me@applendium.dev',
-      subject,
-      body,
-      html_body: `<p>${body}</p>`,
-      preview: body,
-      date: replyDate,
-      is_read: true,
-    };
-
-    return {
-      ...categorizedEmails,
-      [matchedCategory]: [replyEmail, ...(categorizedEmails[matchedCategory] || [])],
-    };
-  });
-
-  if (!response) {
-    return { success: false, error: 'Thread not found.' };
+function sendOutboxOperation(operation) {
+  const { payload } = operation;
+  switch (operation.kind) {
+    case 'company':
+      return apiFetch(`/api/emails/${operation.emailId}/company`, {
+        method: 'PATCH',
+        body: { companyName: payload.companyName },
+      });
+    case 'position':
+      return apiFetch(`/api/emails/${operation.emailId}/position`, {
+        method: 'PATCH',
+        body: { position: payload.position },
+      });
+    case 'star':
+      return apiFetch(`/api/emails/${operation.emailId}/star`, {
+        method: 'POST',
+        body: { isStarred: payload.isStarred },
+      });
+    case 'closeApplication':
+      return apiFetch(CONFIG_ENDPOINTS.CLOSE_APPLICATION.replace(':applicationId', encodeURIComponent(operation.applicationId)), {
+        method: 'POST',
+        body: { reason: payload.reason, emailId: payload.emailId },
+      });
+    case 'reopenApplication':
+      return apiFetch(CONFIG_ENDPOINTS.REOPEN_APPLICATION.replace(':applicationId', encodeURIComponent(operation.applicationId)), {
+        method: 'POST',
+        body: { emailId: payload.emailId },
+      });
+    case 'misclassification':
+      return apiFetch(CONFIG_ENDPOINTS.REPORT_MISCLASSIFICATION, {
+        method: 'POST',
+        body: payload,
+      });
+    default:
+      return Promise.reject(new Error(`Unknown outbox operation: ${operation.kind}`));
   }
-
-  return {
-    success: true,
-    gmailMessageId: `mock-${Date.now()}`,
-    threadId,
-  };
 }
 
-async function maybeHandleExtensionTestingMessage({ msg, sendResponse, testingState, currentUserEmail }) {
-  switch (msg.type) {
-    case 'LIST_EXTENSION_TEST_SCENARIOS':
-      sendResponse({
-        success: true,
-        scenarios: EXTENSION_TESTING_ENABLED ? listExtensionTestScenarios() : [],
-        testing: buildExtensionTestingStatus(testingState.state),
-        snapshot: testingState.snapshot || null,
+// Folds the backend's answer over the optimistic patch.
+async function applyOutboxServerResult(operation, response) {
+  switch (operation.kind) {
+    case 'company':
+      if (!response.email) return;
+      await patchCachedEmailFields(operation.emailId, {
+        company_name: response.email.company_name,
+        company_name_corrected: response.email.company_name_corrected,
+        extraction_method: response.email.extraction_method,
       });
-      return true;
-
-    case 'GET_EXTENSION_TEST_STATE':
-      sendResponse({
-        success: true,
-        scenarios: EXTENSION_TESTING_ENABLED ? listExtensionTestScenarios() : [],
-        testing: buildExtensionTestingStatus(testingState.state),
-        snapshot: testingState.snapshot || null,
+      bgLogger.info(`Updated company name for email ${operation.emailId}`);
+      return;
+    case 'position':
+      if (!response.email) return;
+      await patchCachedEmailFields(operation.emailId, {
+        position: response.email.position,
+        position_corrected: response.email.position_corrected,
+        extraction_method: response.email.extraction_method,
       });
-      return true;
-
-    case 'ACTIVATE_EXTENSION_TEST_SCENARIO':
-      sendResponse(
-        EXTENSION_TESTING_ENABLED
-          ? await installExtensionTestScenario(msg.scenarioId)
-          : { success: false, error: 'Extension test mode is only available in the development build.' }
-      );
-      return true;
-
-    case 'DEACTIVATE_EXTENSION_TEST_MODE':
-      sendResponse(await deactivateExtensionTestMode());
-      return true;
-
+      bgLogger.info(`Updated position for email ${operation.emailId}`);
+      return;
+    case 'star':
+      await patchCachedEmailFields(operation.emailId, { is_starred: operation.payload.isStarred });
+      safeRuntimeSendMessage({
+        type: 'EMAIL_STARRED_UPDATED',
+        emailId: operation.payload.emailId,
+        isStarred: operation.payload.isStarred,
+      });
+      return;
+    case 'closeApplication':
+    case 'reopenApplication':
+      if (!response.application) return;
+      await patchCachedEmailsForApplication(response.application.id || operation.applicationId, response.application);
+      try {
+        await refreshStoredEmailsCache();
+      } catch (e) {
+        bgLogger.warn?.(`Failed to refresh stored emails after ${operation.kind}:`, e?.message);
+      }
+      return;
+    case 'misclassification':
+      // The backend deletes some reported emails outright.
+      if (response.removed === true) {
+        await updateCachedEmails((categorizedEmails) => Object.fromEntries(
+          Object.entries(categorizedEmails).map(([key, emails]) => [
+            key,
+            (emails || []).filter((email) => String(email?.id) !== operation.emailId),
+          ])
+        ));
+      }
+      try {
+        await refreshStoredEmailsCache(undefined, { skipBackfill: true });
+      } catch (e) {
+        bgLogger.warn?.('Failed to refresh stored emails after misclassification:', e?.message);
+      }
+      // Refreshes counts/quota. Not awaited so the popup gets a fast response
+      // and the service worker isn't held open.
+      triggerEmailSync(operation.payload.userEmail, operation.payload.userId, false).catch((e) => {
+        console.error('Applendium Background: triggerEmailSync failed after misclassification:', e);
+      });
+      return;
     default:
-      break;
+      return;
   }
+}
 
-  if (!testingState.active) {
-    return false;
+// Re-fetches the cache after the backend refused an edit, dropping its
+// optimistic value. Still-queued edits are re-applied by the refresh itself.
+async function restoreCachedEmailsAfterRefusedEdit() {
+  try {
+    await refreshStoredEmailsCache(undefined, { skipBackfill: true });
+  } catch (error) {
+    bgLogger.warn('Failed to refresh stored emails after a refused edit:', formatBackgroundError(error));
   }
+}
 
-  switch (msg.type) {
-    case 'LOGIN_GOOGLE_OAUTH': {
-      const nextScenarioId = testingState.state?.scenarioId === 'logged-out'
-        ? DEFAULT_EXTENSION_TEST_SCENARIO_ID
-        : (testingState.state?.scenarioId || DEFAULT_EXTENSION_TEST_SCENARIO_ID);
-      sendResponse(await installExtensionTestScenario(nextScenarioId));
-      return true;
+/**
+ * Runs one user edit: patch the cache, then send it. An unreachable backend
+ * queues the edit and answers `{ success: true, queued: true }`; a refusal is
+ * returned (or thrown) exactly as the backend gave it.
+ */
+async function performOutboxableEdit(operation) {
+  const patched = await applyOutboxOperationsLocally([operation]);
+  const optimisticEmail = operation.emailId
+    ? Object.values(patched || {}).flat().find((email) => String(email?.id) === operation.emailId) || null
+    : null;
+  const queuedResponse = { success: true, queued: true, ...(optimisticEmail ? { email: optimisticEmail } : {}) };
+
+  // An older edit to the same target is still waiting. Sending this one past it
+  // could land out of order, so coalesce it into the queue and nudge a replay.
+  const targetKey = outboxTargetKey(operation);
+  if ((await readOutbox()).some((queued) => outboxTargetKey(queued) === targetKey)) {
+    await queueOutboxOperation(operation);
+    replayOutbox();
+    return queuedResponse;
+  }
+
+  let response;
+  try {
+    response = await sendOutboxOperation(operation);
+  } catch (error) {
+    if (!isRetryableOutboxError(error)) {
+      await restoreCachedEmailsAfterRefusedEdit();
+      throw error;
     }
+    bgLogger.warn(`Backend unreachable, queued ${operation.kind} edit:`, formatBackgroundError(error));
+    await queueOutboxOperation(markOutboxAttemptFailed(operation, error.message, Date.now()));
+    return queuedResponse;
+  }
 
-    case 'LOGOUT':
-      sendResponse(await installExtensionTestScenario('logged-out'));
-      return true;
+  if (response?.success) {
+    await applyOutboxServerResult(operation, response);
+  } else if (isRetryableOutboxResponse(response)) {
+    await queueOutboxOperation(markOutboxAttemptFailed(operation, response.error, Date.now()));
+    return queuedResponse;
+  } else {
+    await restoreCachedEmailsAfterRefusedEdit();
+  }
+  return response;
+}
 
-    case 'REFRESH_STORED_EMAILS_CACHE':
-    case 'FETCH_NEW_EMAILS': {
-      const refreshFailure = testingState.state?.simulatedFailures?.refresh || null;
-      if (refreshFailure) {
-        sendResponse({
-          success: false,
-          error: refreshFailure.error || 'Mock refresh failure.',
-          testing: buildExtensionTestingStatus(testingState.state),
-        });
-        return true;
-      }
+async function replayDueOutboxOperations() {
+  const user = auth.currentUser;
+  if (!user || user.isAnonymous) return;
 
-      const nextTestingState = await touchExtensionTestingSyncState();
-      const stored = await chrome.storage.local.get([
-        'quotaData',
-        'categoryTotals',
-        'appliedEmails',
-        'interviewedEmails',
-        'offersEmails',
-        'rejectedEmails',
-        'irrelevantEmails',
-      ]);
-      const categorizedEmails = getCategorizedEmailsFromStorageRecord(stored);
-      safeRuntimeSendMessage({
-        type: 'EMAILS_SYNCED',
-        success: true,
-        categorizedEmails,
-        categoryTotals: stored.categoryTotals || buildTestingCategoryTotals(categorizedEmails),
-        syncInProgress: false,
-      });
-      sendResponse({
-        success: true,
-        categorizedEmails,
-        quota: stored.quotaData || null,
-        testing: buildExtensionTestingStatus(nextTestingState),
-      });
-      return true;
+  const now = Date.now();
+  const due = outboxOperationsDue(await readOutbox(), now);
+  if (due.length === 0) return;
+
+  const settledIds = new Set();
+  const retried = new Map();
+  const conflicts = [];
+  for (const operation of due) {
+    if (isOutboxOperationExpired(operation, now)) {
+      settledIds.add(operation.id);
+      conflicts.push(createOutboxConflict(operation, { expired: true }, now));
+      continue;
     }
 
-    case 'FETCH_QUOTA_DATA': {
-      const stored = await chrome.storage.local.get(['quotaData']);
-      sendResponse({
-        success: true,
-        quota: stored.quotaData || null,
-        sync: testingState.state?.sync || null,
-        gmailAuth: testingState.state?.gmailAuth || null,
-        testing: buildExtensionTestingStatus(testingState.state),
-      });
-      return true;
+    let response;
+    try {
+      response = await sendOutboxOperation(operation);
+    } catch (error) {
+      if (isRetryableOutboxError(error)) {
+        // Still offline: the rest would only burn through their backoff.
+        retried.set(operation.id, markOutboxAttemptFailed(operation, error.message, now));
+        break;
+      }
+      settledIds.add(operation.id);
+      conflicts.push(createOutboxConflict(operation, { message: error.message, statusCode: error.statusCode ?? null }, now));
+      continue;
     }
 
-    case 'MARK_SINGLE_EMAIL_AS_READ': {
-      const result = await setExtensionTestingEmailReadState(msg.payload.emailId, true);
-      sendResponse(result ? { success: true } : { success: false, error: 'Email not found.' });
-      return true;
+    if (response?.success) {
+      settledIds.add(operation.id);
+      await applyOutboxServerResult(operation, response);
+    } else if (isRetryableOutboxResponse(response)) {
+      retried.set(operation.id, markOutboxAttemptFailed(operation, response.error, now));
+      break;
+    } else {
+      settledIds.add(operation.id);
+      conflicts.push(createOutboxConflict(operation, { message: response?.error, statusCode: response?.statusCode ?? null }, now));
     }
+  }
 
-    case 'MARK_AS_READ': {
-      const result = await markExtensionTestingCategoryRead(msg.payload.category);
-      sendResponse(result ? { success: true } : { success: false, error: 'Category not found.' });
-      return true;
-    }
+  // Re-read rather than reuse `due`: edits queued while this ran must survive,
+  // and a coalesced replacement carries a new id so it is never dropped here.
+  const remaining = (await readOutbox())
+    .filter((operation) => !settledIds.has(operation.id))
+    .map((operation) => retried.get(operation.id) || operation);
+  await writeOutbox(remaining);
+  bgLogger.info(`Outbox replay: ${settledIds.size - conflicts.length} sent, ${conflicts.length} refused, ${remaining.length} waiting.`);
+
+  if (conflicts.length === 0) return;
+  await writeOutboxConflicts([...(await readOutboxConflicts()), ...conflicts]);
+  reportBackgroundWarning({
+    code: 'outbox_conflict',
+    context: 'Queued edits were refused on replay',
+    detail: conflicts.map((conflict) => `${conflict.kind}: ${conflict.message}`).join('; '),
+    userMessage: conflicts.length === 1
+      ? `Couldn't save your ${conflicts[0].description}: ${conflicts[0].message}`
+      : `${conflicts.length} offline edits couldn't be saved. Open Applendium to review them.`,
+  });
+  await restoreCachedEmailsAfterRefusedEdit();
+}
 
-    case 'UPDATE_COMPANY_NAME': {
-      const result = await updateExtensionTestingEmailFields(msg.emailId, {
-        company_name: msg.companyName,
-        company_name_corrected: msg.companyName,
-        extraction_method: 'manual-test-mode',
+/**
+ * Sends every due outbox edit, oldest first. Shared so an alarm tick and an
+ * edit-triggered replay never send the same operation twice.
+ */
+function replayOutbox() {
+  if (!outboxReplayPromise) {
+    outboxReplayPromise = replayDueOutboxOperations()
+      .catch((error) => bgLogger.warn('Outbox replay failed:', formatBackgroundError(error)))
+      .finally(() => {
+        outboxReplayPromise = null;
       });
-      sendResponse(
-        result
-          ? {
-              success: true,
-              email: {
-                id: msg.emailId,
-                company_name: msg.companyName,
-                company_name_corrected: msg.companyName,
-                extraction_method: 'manual-test-mode',
-              },
-            }
-          : { success: false, error: 'Email not found.' }
-      );
-      return true;
-    }
+  }
+  return outboxReplayPromise;
+}
 
-    case 'UPDATE_POSITION': {
-      const result = await updateExtensionTestingEmailFields(msg.emailId, {
-        position: msg.position,
-        position_corrected: msg.position,
-        extraction_method: 'manual-test-mode',
-      });
-      sendResponse(
-        result
-          ? {
-              success: true,
-              email: {
-                id: msg.emailId,
-                position: msg.position,
-                position_corrected: msg.position,
-                extraction_method: 'manual-test-mode',
-              },
-            }
-          : { success: false, error: 'Email not found.' }
-      );
-      return true;
-    }
+// --- Backup and restore ---
+// A backup is a JSON snapshot of the Applendium-owned storage keys for the
+// signed-in account (see shared/backup.mjs). Restore only ever writes those
+// keys, and only for the account that made the backup.
+async function buildStorageBackup({ includeJobDescriptions = true } = {}) {
+  const stored = await chrome.storage.local.get([...BACKUP_STORAGE_KEYS, 'userId', 'userEmail']);
+  if (!stored?.userId) throw new Error('Sign in to back up your data.');
+  return createBackup(stored, {
+    userId: stored.userId,
+    userEmail: stored.userEmail || null,
+    extensionVersion: chrome.runtime.getManifest?.()?.version || null,
+    now: Date.now(),
+    includeJobDescriptions,
+  });
+}
 
-    case 'ARCHIVE_EMAIL': {
-      const result = await archiveExtensionTestingThread(msg.threadId);
-      sendResponse(result ? { success: true } : { success: false, error: 'Thread not found.' });
-      return true;
-    }
+/**
+ * @returns {Promise<{restoredKeys: Array<string>, skippedKeys: Array<string>}>}
+ */
+async function restoreStorageBackup(backup) {
+  const stored = await chrome.storage.local.get(['userId', ...USER_SCOPED_BACKUP_KEYS]);
+  const validation = validateBackup(backup, { userId: stored?.userId || null });
+  if (!validation.valid) throw new Error(validation.error);
+
+  await chrome.storage.local.set(buildRestorePatch(validation.data, stored, stored.userId));
+  // Alarms and open popups only learn about storage through these paths.
+  await rearmReminderAlarms();
+  await scheduleDigestAlarm(await readDigestSettings());
+  safeRuntimeSendMessage({ type: 'REMINDERS_UPDATED', reminders: await readReminders() });
+  safeRuntimeSendMessage({ type: 'MANUAL_APPLICATIONS_UPDATED', applications: await readManualApplications() });
+  safeRuntimeSendMessage({ type: 'INTERVIEW_PREP_UPDATED', prep: await readInterviewPrep() });
+  safeRuntimeSendMessage({ type: 'JOB_DESCRIPTIONS_UPDATED', descriptions: await readJobDescriptions() });
+  safeRuntimeSendMessage({ type: 'APPLICATION_DETAILS_UPDATED', ...(await readApplicationDetails()) });
+  safeRuntimeSendMessage({ type: 'FOLLOW_UP_TEMPLATES_UPDATED', templates: await readFollowUpTemplates() });
+  await refreshCadenceSuggestions();
+  await rearmOfferDeadlineAlarms();
+  safeRuntimeSendMessage({ type: 'OFFERS_UPDATED', offers: await readOffers() });
+  await broadcastOutboxState();
+  bgLogger.info(`Restored backup from ${backup.exportedAt || 'unknown date'}.`);
+  return { restoredKeys: Object.keys(validation.data), skippedKeys: validation.skippedKeys };
+}
 
-    case 'REPORT_MISCLASSIFICATION': {
-      const moveResult = await moveExtensionTestingEmailToCategory(
-        msg.emailData.emailId,
-        msg.emailData.correctedCategory
-      );
-      if (!moveResult) {
-        sendResponse({ success: false, error: 'Email not found.' });
-        return true;
-      }
+// Define your backend endpoints.
+const CONFIG_ENDPOINTS = {
+  BACKEND_BASE_URL: BUNDLED_BACKEND_BASE_URL,
+  AUTH_URL: '/api/auth/auth-url',
+  AUTH_TOKEN: '/api/auth/token',
+  SYNC_EMAILS: '/api/emails',
+  FETCH_STORED_EMAILS: '/api/emails/stored-emails', // This endpoint is not used by background script directly for fetching
+  REPAIR_APPLICATION_LINKS: '/api/emails/applications/:applicationId/repair-links',
+  FOLLOWUP_NEEDED: '/api/emails/followup-needed',
+  SYNC_STATUS: '/api/emails/sync-status',
+  // Backfill endpoints removed
+  // CORRECTED: Changed endpoint to match backend route /misclassification
+  REPORT_MISCLASSIFICATION: '/api/emails/misclassification',
+  REVIEW_QUEUE: '/api/emails/review-queue',
+  // CORRECTED: Changed endpoint to match backend route /undo-misclassification
+  UNDO_MISCLASSIFICATION: '/api/emails/undo-misclassification',
+  FETCH_USER_PLAN: '/api/user',
+  UPDATE_USER_PLAN: '/api/user/update-plan',
+  SEND_REPLY: '/api/emails/send-reply',
+  ARCHIVE_EMAIL: '/api/emails/archive', // Ensure this matches your backend's archive endpoint
+  UPDATE_COMPANY_NAME: '/api/emails/:emailId/company', // PATCH endpoint for company name correction
+  CORRECTION_ANALYTICS: '/api/emails/analytics/corrections', // GET endpoint for correction analytics
+  APPLICATION_STATS: '/api/emails/applications/stats', // GET endpoint for application lifecycle statistics
+  CLOSE_APPLICATION: '/api/emails/applications/:applicationId/close',
+  REOPEN_APPLICATION: '/api/emails/applications/:applicationId/reopen',
+};
 
-      await chrome.storage.local.set({
-        [EXTENSION_TEST_LAST_MISCLASSIFICATION_KEY]: {
-          emailId: msg.emailData.emailId,
-          sourceCategory: moveResult.sourceCategory,
-          targetCategory: moveResult.targetCategory,
-          snapshot: moveResult.originalEmail,
-        },
-      });
+// --- Authentication Readiness Promise ---
+// This promise will resolve once Firebase Auth has initialized and determined
+// the user's state (logged in or logged out).
+const AUTH_READY_TIMEOUT_MS = 5000;
+let authReadyResolve;
+let authReadyResolved = false;
+const authReadyPromise = new Promise(resolve => {
+  authReadyResolve = resolve;
+});
 
-      sendResponse({
-        success: true,
-        removed: moveResult.targetCategory === 'irrelevant',
-      });
-      return true;
-    }
+function resolveAuthReady(reason = 'unspecified') {
+  if (authReadyResolved) return;
+  authReadyResolved = true;
+  try {
+    console.log(`[bg] Auth ready resolved via ${reason}.`);
+  } catch (_) {
+    // ignore
+  }
+  authReadyResolve();
+}
 
-    case 'UNDO_MISCLASSIFICATION': {
-      const undoState = testingState.lastMisclassification;
-      if (!undoState || String(undoState.emailId) !== String(msg.undoData.emailId)) {
-        sendResponse({ success: false, error: 'No matching misclassification to undo.' });
-        return true;
-      }
+function getFirebaseAuthUnavailableResponse() {
+  return {
+    success: false,
+    error: 'Firebase auth is not configured for this build.',
+    errorCode: 'AUTH_CONFIG_MISSING',
+  };
+}
 
-      const undoResult = await mutateExtensionTestingCategorizedEmails((categorizedEmails) => {
-        const next = {};
-        for (const category of ['applied', 'interviewed', 'offers', 'rejected', 'irrelevant']) {
-          next[category] = (categorizedEmails[category] || []).filter((email) => String(email?.id) !== String(undoState.emailId));
-        }
-        next[undoState.sourceCategory] = [undoState.snapshot, ...(next[undoState.sourceCategory] || [])];
-        return next;
-      });
+async function waitForAuthReady(timeoutMs = AUTH_READY_TIMEOUT_MS) {
+  if (authReadyResolved) return;
 
-      if (!undoResult) {
-        sendResponse({ success: false, error: 'Failed to restore the previous email state.' });
-        return true;
-      }
+  let timeoutId;
+  try {
+    await Promise.race([
+      authReadyPromise,
+      new Promise((resolve) => {
+        timeoutId = setTimeout(() => {
+          try {
+            console.warn(`[bg] Auth readiness timed out after ${timeoutMs}ms; continuing with current auth state.`);
+          } catch (_) {
+            // ignore
+          }
+          resolve();
+        }, timeoutMs);
+      }),
+    ]);
+  } finally {
+    if (timeoutId) clearTimeout(timeoutId);
+  }
+}
 
-      await chrome.storage.local.remove([EXTENSION_TEST_LAST_MISCLASSIFICATION_KEY]);
-      sendResponse({ success: true });
-      return true;
-    }
+if (!FIREBASE_AUTH_AVAILABLE) {
+  try {
+    console.warn('[bg] Firebase auth disabled because config is incomplete.');
+  } catch (_) {
+    // ignore
+  }
+  resolveAuthReady('firebase-config-missing');
+}
 
-    case 'SEND_EMAIL_REPLY':
-      sendResponse(await appendExtensionTestingReply(
-        msg.threadId,
-        msg.recipient,
-        msg.subject,
-        msg.body,
-        currentUserEmail
-      ));
-      return true;
+// --- Backend base URL override ---
+// We intentionally restrict overrides to localhost or the approved deployed backend
+// to avoid malicious redirects while still allowing quick dev/prod switching.
+const BACKEND_BASE_URL_STORAGE_KEY = 'backendBaseUrlOverride';
+const DEFAULT_BACKEND_BASE_URL = CONFIG_ENDPOINTS.BACKEND_BASE_URL;
+let backendBaseUrl = DEFAULT_BACKEND_BASE_URL;
 
-    case 'FETCH_APPLICATION_LIFECYCLE': {
-      const application = testingState.applications?.[msg.applicationId] || testingState.applications?.[String(msg.applicationId)];
-      if (!application) {
-        sendResponse({ success: false, error: 'Application not found in test mode.' });
-        return true;
-      }
-      sendResponse({
-        success: true,
-        application: application.application,
-        lifecycle: application.lifecycle || [],
-      });
-      return true;
-    }
+// --- Premium dashboard URL override (dev-only) ---
+// This lets you test the premium web app locally without rebuilding the extension.
+// Allowed:
+// - https://... anywhere
+// - http://localhost / http://127.0.0.1 (dev only)
+const PREMIUM_DASHBOARD_URL_STORAGE_KEY = 'premiumDashboardUrlOverride';
+const DEFAULT_PREMIUM_DASHBOARD_URL = BUNDLED_PREMIUM_DASHBOARD_URL;
+let premiumDashboardUrl = DEFAULT_PREMIUM_DASHBOARD_URL;
 
-    case 'LINK_APPLICATION_ROLE': {
-      const stored = await chrome.storage.local.get([
-        'appliedEmails',
-        'interviewedEmails',
-        'offersEmails',
-        'rejectedEmails',
-        'irrelevantEmails',
-      ]);
-      const categorizedEmails = getCategorizedEmailsFromStorageRecord(stored);
-      const located = findEmailInCategorizedEmails(categorizedEmails, msg.emailId);
-      sendResponse({
-        success: true,
-        applicationId: located?.email?.applicationId || located?.email?.application_id || null,
-        linkedApplicationId: located?.email?.applicationId || located?.email?.application_id || null,
-      });
-      return true;
-    }
+function isAllowedBackendBaseUrlOverride(url) {
+  if (!url || typeof url !== 'string') return false;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (_) {
+    return false;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return false;
+  const host = parsed.hostname;
+  const isLocal =
+    host === 'localhost' ||
+    host === '127.0.0.1' ||
+    host === '0.0.0.0' ||
+    host === '[::1]';
+  const normalizedBaseUrl = normalizeBaseUrl(parsed.href);
+  const allowedRemoteTargets = new Set([
+    normalizeBaseUrl(PRODUCTION_BACKEND_BASE_URL),
+    normalizeBaseUrl(BUNDLED_BACKEND_BASE_URL),
+  ]);
+  const isKnownRemoteTarget = allowedRemoteTargets.has(normalizedBaseUrl);
+  if (!isLocal && !isKnownRemoteTarget) return false;
 
-    case 'CLOSE_APPLICATION': {
-      const updatedApplications = await updateExtensionTestingApplications((current) => {
-        const existing = current?.[msg.applicationId] || current?.[String(msg.applicationId)];
-        if (!existing) return current;
-        return {
-          ...current,
-          [msg.applicationId]: {
-            ...existing,
-            application: {
-              ...existing.application,
-              is_closed: true,
-              user_closed_at: new Date().toISOString(),
-              close_reason: msg.reason || null,
-            },
-          },
-        };
-      });
-      const updatedEntry = updatedApplications?.[msg.applicationId] || updatedApplications?.[String(msg.applicationId)];
-      if (!updatedEntry) {
-        sendResponse({ success: false, error: 'Application not found.' });
-        return true;
-      }
-      await patchCachedEmailsForApplication(msg.applicationId, updatedEntry.application);
-      sendResponse({ success: true, application: updatedEntry.application });
-      return true;
-    }
+  const manifest = chrome.runtime.getManifest?.() || {};
+  const hostPermissions = Array.isArray(manifest?.host_permissions) ? manifest.host_permissions : [];
+  const extensionPageCsp = manifest?.content_security_policy?.extension_pages || '';
+  const normalizedOrigin = parsed.origin.replace(/\/$/, '');
 
-    case 'REOPEN_APPLICATION': {
-      const updatedApplications = await updateExtensionTestingApplications((current) => {
-        const existing = current?.[msg.applicationId] || current?.[String(msg.applicationId)];
-        if (!existing) return current;
-        return {
-          ...current,
-          [msg.applicationId]: {
-            ...existing,
-            application: {
-              ...existing.application,
-              is_closed: false,
-              user_closed_at: null,
-              close_reason: null,
-            },
-          },
-        };
-      });
-      const updatedEntry = updatedApplications?.[msg.applicationId] || updatedApplications?.[String(msg.applicationId)];
-      if (!updatedEntry) {
-        sendResponse({ success: false, error: 'Application not found.' });
-        return true;
-      }
-      await patchCachedEmailsForApplication(msg.applicationId, updatedEntry.application);
-      sendResponse({ success: true, application: updatedEntry.application });
-      return true;
-    }
+  const hostPermissionAllowed = hostPermissions.some((pattern) => {
+    const normalizedPattern = String(pattern || '').trim();
+    return (
+      normalizedPattern === `${normalizedOrigin}/*` ||
+      normalizedPattern === `${normalizedBaseUrl}/*` ||
+      normalizedPattern.includes(normalizedOrigin)
+    );
+  });
 
-    case 'REPAIR_APPLICATION_LINKS': {
-      const application = testingState.applications?.[msg.applicationId] || testingState.applications?.[String(msg.applicationId)];
-      sendResponse({
-        success: Boolean(application),
-        applicationId: application?.application?.id || msg.applicationId,
-        emailUpdates: [],
-        ...(application ? {} : { error: 'Application not found.' }),
-      });
-      return true;
-    }
+  const cspAllowed = extensionPageCsp.includes(normalizedOrigin);
+  return hostPermissionAllowed && cspAllowed;
+}
 
-    default:
-      return false;
+function isAllowedPremiumDashboardUrlOverride(url) {
+  if (!url || typeof url !== 'string') return false;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (_) {
+    return false;
   }
+  if (parsed.protocol === 'https:') return true;
+  if (parsed.protocol !== 'http:') return false;
+  if (IS_PRODUCTION_EXTENSION_BUILD) return false;
+  const host = parsed.hostname;
+  const isLocal =
+    host === 'localhost' ||
+    host === '127.0.0.1' ||
+    host === '0.0.0.0' ||
+    host === '[::1]';
+  return isLocal;
 }
 
-/**
- * Generic fetch wrapper for backend API calls.
- * Automatically adds authorization header if a Firebase user is logged in.
- * Ensures a fresh ID token is obtained.
- * @param {string} endpoint - The API endpoint (e.g., '/api/emails').
- * @param {object} options - Fetch options (method, headers, body, etc.).
- * @returns {Promise<object>} The JSON response from the backend.
- */
-async function apiFetch(endpoint, options = {}) {
-  const {
-    skipAuthReady = false,
-    allowUnauthenticated = false,
-    query,
-    timeoutMs = DEFAULT_API_TIMEOUT_MS,
-    signal,
-    ...fetchOptions
-  } = options;
+function normalizeBaseUrl(url) {
+  return url.endsWith('/') ? url.slice(0, -1) : url;
+}
 
-  // Do not block pre-login OAuth bootstrap/exchange calls on Firebase auth initialization.
-  if (!skipAuthReady) {
-    await waitForAuthReady();
+function getForcedBackendBaseUrl() {
+  if (FORCED_BACKEND_TARGET === 'local') {
+    return normalizeBaseUrl(process.env.BACKEND_BASE_URL || BUNDLED_BACKEND_BASE_URL);
   }
-  await backendBaseUrlReadyPromise;
-
-  const user = auth.currentUser;
-  const headers = {
-    'Content-Type': 'application/json',
-    ...fetchOptions.headers,
-  };
-
-  const isPublicAuthEndpoint =
-    endpoint === CONFIG_ENDPOINTS.AUTH_URL || endpoint === CONFIG_ENDPOINTS.AUTH_TOKEN;
-  const requiresFirebaseUser =
-    !allowUnauthenticated && !isPublicAuthEndpoint && !isLocalBaseUrl(backendBaseUrl);
 
-  if (requiresFirebaseUser && (!user || user.isAnonymous)) {
-    throw createAuthRequiredError(endpoint);
+  if (FORCED_BACKEND_TARGET === 'production') {
+    return normalizeBaseUrl(PRODUCTION_BACKEND_BASE_URL);
   }
 
-  if (user && !user.isAnonymous) { // Only attempt to get ID token for non-anonymous users
-    try {
-      const idToken = await getFreshToken(user); // Use deduplicated token refresh
-      headers['Authorization'] = `Bearer ${idToken}`;
-      bgLogger.info(`Attached fresh ID token for user: ${user.uid}`);
-    } catch (error) {
-      bgLogger.error("Failed to get fresh Firebase ID token:", error);
-      
-      if (error.code === 'auth/user-token-expired' || error.code === 'auth/invalid-user-token') {
-        console.warn("Applendium: Unrecoverable auth token error. Forcing user logout.");
+  return '';
+}
 
-        await signOut(auth);
+function isLocalBaseUrl(url) {
+  if (!url || typeof url !== 'string') return false;
+  try {
+    const parsed = new URL(url);
+    return ['localhost', '127.0.0.1', '0.0.0.0', '[::1]'].includes(parsed.hostname);
+  } catch (_) {
+    return false;
+  }
+}
 
-        safeRuntimeSendMessage({
-          type: 'FORCE_LOGOUT',
-          reason: 'Your session has expired. Please log in again.'
-        });
+let backendBaseUrlReadyResolve;
+const backendBaseUrlReadyPromise = new Promise((resolve) => {
+  backendBaseUrlReadyResolve = resolve;
+});
 
-        throw new Error("User session expired and was forcefully terminated.");
+(async () => {
+  try {
+    const forcedBackendBaseUrl = getForcedBackendBaseUrl();
+    if (forcedBackendBaseUrl && isAllowedBackendBaseUrlOverride(forcedBackendBaseUrl)) {
+      backendBaseUrl = forcedBackendBaseUrl;
+      if (backendBaseUrl === DEFAULT_BACKEND_BASE_URL) {
+        try { await chrome.storage.local.remove([BACKEND_BASE_URL_STORAGE_KEY]); } catch (_) {}
+      } else {
+        try { await chrome.storage.local.set({ [BACKEND_BASE_URL_STORAGE_KEY]: backendBaseUrl }); } catch (_) {}
+      }
+      try { console.log('[bg][info]', `Forcing backend base URL for ${FORCED_BACKEND_TARGET} build: ${backendBaseUrl}`); } catch (_) {}
+    } else {
+      const stored = await chrome.storage?.local?.get([BACKEND_BASE_URL_STORAGE_KEY]);
+      const override = stored?.[BACKEND_BASE_URL_STORAGE_KEY];
+      if (isAllowedBackendBaseUrlOverride(override)) {
+        backendBaseUrl = normalizeBaseUrl(override);
+        try { console.log('[bg][info]', `Using backend base URL override: ${backendBaseUrl}`); } catch (_) {}
+      } else if (override) {
+        try { console.warn('[bg][warn]', `Ignoring unsafe backend base URL override: ${String(override)}`); } catch (_) {}
+        try { await chrome.storage.local.remove([BACKEND_BASE_URL_STORAGE_KEY]); } catch (_) {}
       }
     }
-  } else if (user && user.isAnonymous) {
-    bgLogger.info("Anonymous user, skipping ID token attachment.");
-  } else {
-    bgLogger.info("No authenticated user, skipping ID token attachment.");
+  } catch (e) {
+    try { console.warn('[bg][warn]', 'Failed to load backend base URL override:', e?.message || e); } catch (_) {}
+  } finally {
+    backendBaseUrlReadyResolve();
   }
+})();
 
+let premiumDashboardUrlReadyResolve;
+const premiumDashboardUrlReadyPromise = new Promise((resolve) => {
+  premiumDashboardUrlReadyResolve = resolve;
+});
 
-  // Build URL with optional query params support
-  let url = `${backendBaseUrl}${endpoint}`;
-  if (query && typeof query === 'object') {
-    const qs = new URLSearchParams(query).toString();
-    if (qs) {
-      url += (url.includes('?') ? '&' : '?') + qs;
+(async () => {
+  try {
+    const stored = await chrome.storage?.local?.get([PREMIUM_DASHBOARD_URL_STORAGE_KEY]);
+    const override = stored?.[PREMIUM_DASHBOARD_URL_STORAGE_KEY];
+    if (isAllowedPremiumDashboardUrlOverride(override)) {
+      premiumDashboardUrl = normalizeBaseUrl(override);
+      try { console.log('[bg][info]', `Using premium dashboard URL override: ${premiumDashboardUrl}`); } catch (_) {}
+    } else if (override) {
+      try { console.warn('[bg][warn]', `Ignoring unsafe premium dashboard URL override: ${String(override)}`); } catch (_) {}
     }
+  } catch (e) {
+    try { console.warn('[bg][warn]', 'Failed to load premium dashboard URL override:', e?.message || e); } catch (_) {}
+  } finally {
+    premiumDashboardUrlReadyResolve();
   }
-  bgLogger.info(`API call: ${url} method=${fetchOptions.method || 'GET'}`);
+})();
 
-  const abortController = typeof AbortController === 'function' ? new AbortController() : null;
-  let timeoutHandle = null;
-  let timedOut = false;
-  let removeAbortRelay = null;
+// --- Sync de-duplication state ---
+let syncInFlight = false;
+let lastSyncStartTs = 0;
 
-  if (abortController && signal) {
-    if (signal.aborted) {
-      abortController.abort(signal.reason);
-    } else {
-      const relayAbort = () => abortController.abort(signal.reason);
-      signal.addEventListener('abort', relayAbort, { once: true });
-      removeAbortRelay = () => signal.removeEventListener('abort', relayAbort);
-    }
-  }
+// --- Token refresh de-duplication ---
+let tokenRefreshPromise = null;
 
-  if (abortController && Number.isFinite(timeoutMs) && timeoutMs > 0) {
-    timeoutHandle = setTimeout(() => {
-      timedOut = true;
-      abortController.abort(new Error(`Request timed out after ${timeoutMs}ms`));
-    }, timeoutMs);
+async function getFreshToken(user) {
+  if (!tokenRefreshPromise) {
+    // Avoid forcing refresh on every request; Firebase refreshes tokens automatically.
+    // If we hit a rare edge-case where the cached token is invalid, fall back to a forced refresh once.
+    tokenRefreshPromise = user
+      .getIdToken()
+      .catch(() => user.getIdToken(true))
+      .finally(() => {
+        tokenRefreshPromise = null;
+      });
   }
+  return tokenRefreshPromise;
+}
 
-  try {
-    const response = await fetch(url, {
-      ...fetchOptions,
-      headers,
-      // Ensure body is stringified only if it's an object and not already a string
-      body: fetchOptions.body && typeof fetchOptions.body === 'object' ? JSON.stringify(fetchOptions.body) : fetchOptions.body,
-      ...(abortController ? { signal: abortController.signal } : {}),
-    });
-    const requestId = response.headers.get('x-request-id') || null;
+// --- Helper Functions ---
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      let errorJson = null;
-      console.error(`❌ Applendium: API Error ${response.status} from ${url}:`, errorText);
-      
-      // Try to parse error as JSON to preserve errorCode and other fields
-      try {
-        errorJson = JSON.parse(errorText);
-        if (errorJson.errorCode || errorJson.requiresReauth) {
-          // Return the structured error response instead of throwing
-          // This allows the caller to handle auth errors properly
-          return {
-            success: false,
-            error: errorJson.error || errorJson.message || `Backend error: ${response.status}`,
-            errorCode: errorJson.errorCode,
-            requiresReauth: errorJson.requiresReauth,
-            requestId: errorJson.requestId || requestId,
-            statusCode: response.status,
-          };
-        }
-      } catch (parseError) {
-        // Not JSON, continue with default error handling
-      }
-      
-      const backendMessage = errorJson?.error
-        || errorJson?.message
-        || errorText
-        || `Backend error: ${response.status}`;
-      if (requestId) {
-        console.error(`Applendium: backend requestId for ${url}: ${requestId}`);
-      }
-      const backendError = new Error(backendMessage);
-      backendError.backendResponse = true;
-      backendError.statusCode = response.status;
-      backendError.requestId = errorJson?.requestId || requestId || null;
-      backendError.errorCode = errorJson?.errorCode || null;
-      backendError.requiresReauth = Boolean(errorJson?.requiresReauth);
-      throw backendError;
-    }
+function capitalizeFirst(s) {
+  if (!s) return s;
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
 
-    let data;
-    try {
-      data = await response.json();
-    } catch (parseError) {
-      const backendParseError = new Error(`Backend returned invalid JSON: ${parseError.message}`);
-      backendParseError.backendResponse = true;
-      backendParseError.statusCode = response.status;
-      backendParseError.requestId = requestId;
-      throw backendParseError;
-    }
-    bgLogger.info(`API success: ${url}`, data);
-    return data;
-  } catch (error) {
-    console.error(`❌ Applendium: Network or parsing error for ${url}:`, error);
-    if (timedOut || error?.name === 'AbortError') {
-      const timeoutOrAbortError = new Error(
-        timedOut
-          ? `Request timed out after ${timeoutMs}ms`
-          : 'Request was cancelled before completion.'
-      );
-      timeoutOrAbortError.timeout = timedOut;
-      timeoutOrAbortError.aborted = !timedOut;
-      timeoutOrAbortError.statusCode = timedOut ? 408 : null;
-      throw timeoutOrAbortError;
-    }
-    if (error.backendResponse) {
-      throw error;
-    }
-    if (isLocalBaseUrl(backendBaseUrl)) {
-      const overrideActive = backendBaseUrl !== DEFAULT_BACKEND_BASE_URL;
-      const localBackendMessage = overrideActive
-        ? `Local backend override is active (${backendBaseUrl}) but that server is unreachable. Reset the backend override or switch back to the production extension build.`
-        : `This extension build is configured for the local backend (${backendBaseUrl}) but that server is unreachable. Start the backend locally or use the production extension build.`;
-      throw new Error(localBackendMessage);
-    }
-    throw new Error(`Network or server error: ${error.message}`);
-  } finally {
-    if (timeoutHandle) {
-      clearTimeout(timeoutHandle);
-    }
-    if (removeAbortRelay) {
-      removeAbortRelay();
-    }
+// Minimal background logger to centralize and tag messages; easy to disable later
+const bgLogger = {
+  info: (...args) => {
+    if (!ENABLE_VERBOSE_EXTENSION_LOGS) return;
+    try { console.log('[bg][info]', ...args); } catch (_) {}
+  },
+  warn: (...args) => {
+    try { console.warn('[bg][warn]', ...args); } catch (_) {}
+  },
+  error: (...args) => {
+    try { console.error('[bg][error]', ...args); } catch (_) {}
+  }
+};
+
+function formatBackgroundError(error) {
+  if (!error) return 'Unknown error';
+  if (typeof error === 'string') return error;
+  if (typeof error?.message === 'string' && error.message.trim()) return error.message.trim();
+  try {
+    return JSON.stringify(error);
+  } catch (_) {
+    return String(error);
   }
 }
 
-function startPostLoginBackgroundWork(user) {
-  if (!user || user.isAnonymous) return;
+function createAuthRequiredError(endpoint) {
+  const error = new Error('Sign in required before calling protected API.');
+  error.errorCode = 'AUTH_REQUIRED';
+  error.authRequired = true;
+  error.endpoint = endpoint;
+  return error;
+}
 
-  refreshStoredEmailsCache(true, { skipNotify: true, skipBackfill: true }).catch((e) => {
-    bgLogger.warn?.('Failed to prefetch stored emails after auth:', e?.message);
+function isAuthRequiredError(error) {
+  return Boolean(error?.authRequired || error?.errorCode === 'AUTH_REQUIRED');
+}
+
+function persistBackgroundDiagnostic(entry) {
+  return chrome.storage.local
+    .get([BACKGROUND_DIAGNOSTICS_STORAGE_KEY])
+    .then((stored) => {
+      const existing = Array.isArray(stored?.[BACKGROUND_DIAGNOSTICS_STORAGE_KEY])
+        ? stored[BACKGROUND_DIAGNOSTICS_STORAGE_KEY]
+        : [];
+      const next = [...existing.slice(-(MAX_BACKGROUND_DIAGNOSTICS - 1)), entry];
+      return chrome.storage.local.set({ [BACKGROUND_DIAGNOSTICS_STORAGE_KEY]: next });
+    });
+}
+
+function reportBackgroundWarning({
+  code,
+  context,
+  error = null,
+  userMessage = null,
+  timeout = 8000,
+  detail = null,
+}) {
+  const detailMessage = detail || formatBackgroundError(error);
+  bgLogger.warn(`[${code}] ${context}: ${detailMessage}`);
+
+  persistBackgroundDiagnostic({
+    at: new Date().toISOString(),
+    level: 'warn',
+    code,
+    context,
+    detail: detailMessage,
+  }).catch((persistError) => {
+    bgLogger.warn('Failed to persist background diagnostic:', formatBackgroundError(persistError));
   });
 
-  (async () => {
-    try {
-      const response = await apiFetch(CONFIG_ENDPOINTS.FETCH_USER_PLAN, {
-        method: 'POST',
-        body: { email: user.email, userId: user.uid }
-      });
-      if (response.success) {
-        await chrome.storage.local.set({ userPlan: response.plan });
-        console.log('✅ Applendium Background: User plan fetched and stored:', response.plan);
-      } else {
-        console.error('❌ Applendium Background: Failed to fetch user plan during auth state change:', response.error);
-      }
-    } catch (error) {
-      console.error('❌ Applendium Background: Network/communication error fetching user plan during auth state change:', error);
-    }
-  })();
+  if (userMessage) {
+    safeRuntimeSendMessage({
+      type: 'BACKGROUND_WARNING',
+      code,
+      message: userMessage,
+      detail: detailMessage,
+      timeout,
+    });
+  }
+}
 
-  (async () => {
-    let shouldFull = false;
-    try {
-      const status = await apiFetch(CONFIG_ENDPOINTS.SYNC_STATUS, { method: 'GET' });
-      const meta = await chrome.storage.local.get([EMAILS_CACHE_META_KEY]).catch((error) => {
-        bgLogger.warn('Failed to read cache metadata after auth state change; defaulting sync decision to backend status only:', error?.message || error);
-        return {};
-      });
-      const lastRaw = meta?.[EMAILS_CACHE_META_KEY]?.lastCompletedAt || status?.sync?.lastSyncAt;
-      const last = lastRaw ? new Date(lastRaw) : null;
-      if (last && (Date.now() - last.getTime()) < 24 * 60 * 60 * 1000) {
-        shouldFull = false;
-      }
-    } catch (error) {
-      bgLogger.warn('Failed to inspect prior sync state after auth state change; using preview/incremental sync:', error?.message || error);
-      shouldFull = false;
-    }
+function buildExtensionTestingStatus(testState = null) {
+  if (!EXTENSION_TESTING_ENABLED) {
+    return {
+      supported: false,
+      active: false,
+      scenarioId: null,
+      label: null,
+      description: null,
+      activatedAt: null,
+      sync: null,
+    };
+  }
 
-    try {
-      await triggerEmailSync(user.email, user.uid, shouldFull);
-    } catch (e) {
-      console.error('Applendium Background: triggerEmailSync failed after auth state change:', e);
-    }
-  })();
+  return {
+    supported: true,
+    active: Boolean(testState?.active),
+    scenarioId: testState?.scenarioId || null,
+    label: testState?.label || null,
+    description: testState?.description || null,
+    activatedAt: testState?.activatedAt || null,
+    sync: testState?.sync || null,
+  };
 }
 
-/**
- * Fetch stored emails from backend and update local cache, then notify popup.
- */
-async function refreshStoredEmailsCache(syncInProgress = undefined, options = {}) {
-  const { skipBackfill = false, skipNotify = false, markSyncCompleted = false } = options || {};
-  try {
-    // Snapshot prior cache before fetching so we can detect newly-added emails.
-    let previousCache = null;
-    let previousCacheMeta = null;
-    try {
-      const prev = await chrome.storage.local.get([
-        'appliedEmails',
-        'interviewedEmails',
-        'offersEmails',
-        'rejectedEmails',
-        'irrelevantEmails',
-        EMAILS_CACHE_META_KEY,
-      ]);
-      previousCache = {
-        applied: prev.appliedEmails || [],
-        interviewed: prev.interviewedEmails || [],
-        offers: prev.offersEmails || [],
-        rejected: prev.rejectedEmails || [],
-        irrelevant: prev.irrelevantEmails || [],
-      };
-      previousCacheMeta = prev[EMAILS_CACHE_META_KEY] || null;
-    } catch (error) {
-      bgLogger.warn('Failed to snapshot stored email cache before refresh; continuing without cache diff context:', error?.message || error);
-      previousCache = null;
-      previousCacheMeta = null;
-    }
+function getCategorizedEmailsFromStorageRecord(stored = {}) {
+  return {
+    applied: stored.appliedEmails || [],
+    interviewed: stored.interviewedEmails || [],
+    offers: stored.offersEmails || [],
+    rejected: stored.rejectedEmails || [],
+    irrelevant: stored.irrelevantEmails || [],
+  };
+}
 
-    // While a sync is in progress, keep these refreshes lightweight to avoid hammering the backend.
-    // We'll do one full refresh once the sync completes.
-    const isSyncing = syncInProgress === true;
-    const response = await apiFetch(CONFIG_ENDPOINTS.FETCH_STORED_EMAILS, {
-      method: 'POST',
-      body: { limit: isSyncing ? 200 : 5000 }, // backend clamps per-plan
-    });
-    if (response.success && response.categorizedEmails) {
-      const responseCategorizedEmails = response.categorizedEmails;
-      const previousRelevantCount = countRelevantCategorizedEmails(previousCache);
-      const responseRelevantCount = countRelevantCategorizedEmails(responseCategorizedEmails);
-      const shouldPreservePreviousCache =
-        isSyncing &&
-        previousRelevantCount > 0 &&
-        responseRelevantCount > 0 &&
-        responseRelevantCount < previousRelevantCount;
+function buildCategorizedEmailStoragePayload(categorizedEmails = {}) {
+  return {
+    appliedEmails: categorizedEmails.applied || [],
+    interviewedEmails: categorizedEmails.interviewed || [],
+    offersEmails: categorizedEmails.offers || [],
+    rejectedEmails: categorizedEmails.rejected || [],
+    irrelevantEmails: categorizedEmails.irrelevant || [],
+  };
+}
 
-      // During sync we intentionally fetch a smaller slice to reduce backend load.
-      // Do not let that partial slice replace a fuller cache already shown in the popup.
-      const nextCategorizedEmails = shouldPreservePreviousCache
-        ? {
-            applied: previousCache.applied || [],
-            interviewed: previousCache.interviewed || [],
-            offers: previousCache.offers || [],
-            rejected: previousCache.rejected || [],
-            irrelevant: previousCache.irrelevant || [],
-          }
-        : responseCategorizedEmails;
-      const nextRelevantCount = countRelevantCategorizedEmails(nextCategorizedEmails);
-      const nextCacheMeta = buildEmailsCacheMeta(previousCacheMeta, {
-        syncInProgress: isSyncing,
-        totalRelevantCount: nextRelevantCount,
-        ...(markSyncCompleted ? { lastCompletedAt: new Date().toISOString() } : {}),
-      });
+function buildTestingCategoryTotals(categorizedEmails = {}) {
+  return {
+    applied: (categorizedEmails.applied || []).length,
+    interviewed: (categorizedEmails.interviewed || []).length,
+    offers: (categorizedEmails.offers || []).length,
+    rejected: (categorizedEmails.rejected || []).length,
+    irrelevant: (categorizedEmails.irrelevant || []).length,
+    relevant: countRelevantCategorizedEmails(categorizedEmails),
+  };
+}
 
-      // Update cache + UI immediately. Any optional backfill happens asynchronously after users see emails.
-      await chrome.storage.local.set({
-        appliedEmails: nextCategorizedEmails.applied || [],
-        interviewedEmails: nextCategorizedEmails.interviewed || [],
-        offersEmails: nextCategorizedEmails.offers || [],
-        rejectedEmails: nextCategorizedEmails.rejected || [],
-        irrelevantEmails: nextCategorizedEmails.irrelevant || [],
-        [EMAILS_CACHE_META_KEY]: nextCacheMeta,
-        // Keep totals in sync with DB so the dashboard doesn't depend on local array size.
-        ...(response.categoryTotals ? { categoryTotals: response.categoryTotals } : {}),
-        ...(response.applicationCount ? { applicationCount: response.applicationCount } : {}),
-      });
+function getTestingThreadId(email) {
+  return (
+    email?.thread_id ||
+    email?.threadId ||
+    email?.thread ||
+    email?.id ||
+    null
+  );
+}
 
-      if (!skipNotify) {
-        safeRuntimeSendMessage({
-          type: 'EMAILS_SYNCED',
-          success: true,
-          categorizedEmails: nextCategorizedEmails,
-          ...(response.categoryTotals ? { categoryTotals: response.categoryTotals } : {}),
-          ...(response.applicationCount ? { applicationCount: response.applicationCount } : {}),
-          syncInProgress,
-        });
-      }
+function countTrackedApplicationsFromCategorizedEmails(categorizedEmails = {}) {
+  const keys = new Set();
+  const relevantCategories = ['applied', 'interviewed', 'offers', 'rejected'];
 
-      // Best-effort notifications (never block the UI update).
-      if (!isSyncing && !skipNotify) {
-        try {
-          await maybeNotifyNewEmails(previousCache, nextCategorizedEmails, syncInProgress);
-        } catch (e) {
-          bgLogger.warn('Notification check failed:', e?.message);
-        }
-      }
+  for (const category of relevantCategories) {
+    for (const email of categorizedEmails[category] || []) {
+      const appId = email?.applicationId || email?.application_id;
+      const company = (email?.company_name || '').toString().trim().toLowerCase();
+      const position = (email?.position || '').toString().trim().toLowerCase();
+      const threadId = getTestingThreadId(email);
+      const fallbackId = email?.id;
+      const key =
+        (appId ? `app:${appId}` : null) ||
+        (company && position ? `cp:${company}:${position}` : null) ||
+        (threadId ? `thread:${threadId}` : null) ||
+        (fallbackId ? `email:${fallbackId}` : null);
 
-      // Migration-style backfill is disabled by default in production builds.
-      // Linking fixes remain available through explicit user actions.
-      if (ENABLE_APPLICATION_LINK_BACKFILL && !isSyncing && !skipBackfill) {
-        (async () => {
-          const backfillState = await chrome.storage.local.get([APP_LINK_BACKFILL_STATE_KEY]).catch(() => ({}));
-          const state = backfillState?.[APP_LINK_BACKFILL_STATE_KEY] || {};
-          const signatureState = buildApplicationBackfillSignature(response.categorizedEmails);
-          const shouldSkip =
-            signatureState.count === 0 ||
-            (
-              state.signature === signatureState.signature &&
-              state.lastRunAt &&
-              (Date.now() - Number(state.lastRunAt)) < APP_LINK_BACKFILL_MIN_INTERVAL_MS
-            );
+      if (key) keys.add(String(key));
+    }
+  }
 
-          if (shouldSkip) {
-            if (signatureState.count === 0) {
-              await chrome.storage.local.set({
-                [APP_LINK_BACKFILL_STATE_KEY]: {
-                  signature: '',
-                  count: 0,
-                  lastRunAt: Date.now(),
-                }
-              }).catch((error) => {
-                reportBackgroundWarning({
-                  code: 'backfill_state_reset_failed',
-                  context: 'Failed to reset application-link backfill state',
-                  error,
-                });
-              });
-            }
-            return;
-          }
+  return keys.size;
+}
 
-          try {
-            bgLogger.info('[backfill] Running application linking backfill...');
-            const backfillRes = await apiFetch('/api/emails/applications/backfill', {
-              method: 'POST',
-              body: { limit: 5000 },
-            });
-            if (!backfillRes || !backfillRes.success) return;
+function buildExtensionTestingSnapshot(stored = {}, state = null) {
+  const categorizedEmails = getCategorizedEmailsFromStorageRecord(stored);
+  const categoryTotals = stored.categoryTotals || buildTestingCategoryTotals(categorizedEmails);
+  const trackedApplications = Number.isFinite(stored?.quotaData?.trackedApplications)
+    ? stored.quotaData.trackedApplications
+    : countTrackedApplicationsFromCategorizedEmails(categorizedEmails);
 
-            await chrome.storage.local.set({
-              [APP_LINK_BACKFILL_STATE_KEY]: {
-                signature: signatureState.signature,
-                count: signatureState.count,
-                lastRunAt: Date.now(),
-              }
-            }).catch((error) => {
-              reportBackgroundWarning({
-                code: 'backfill_state_persist_failed',
-                context: 'Failed to persist application-link backfill state',
-                error,
-              });
-            });
+  return {
+    auth: {
+      isLoggedIn: Boolean(stored.userEmail && stored.userId),
+      email: stored.userEmail || null,
+      name: stored.userName || null,
+      userId: stored.userId || null,
+    },
+    userPlan: stored.userPlan || 'free',
+    quota: stored.quotaData || null,
+    trackedApplications,
+    categoryTotals,
+    sync: state?.sync || null,
+  };
+}
 
-            // Refetch once so cached emails include `applicationId` and updated `isClosed`.
-            const refreshed = await apiFetch(CONFIG_ENDPOINTS.FETCH_STORED_EMAILS, {
-              method: 'POST',
-              body: { limit: 5000 },
-            });
-            if (refreshed.success && refreshed.categorizedEmails) {
-              await chrome.storage.local.set({
-                appliedEmails: refreshed.categorizedEmails.applied || [],
-                interviewedEmails: refreshed.categorizedEmails.interviewed || [],
-                offersEmails: refreshed.categorizedEmails.offers || [],
-                rejectedEmails: refreshed.categorizedEmails.rejected || [],
-                irrelevantEmails: refreshed.categorizedEmails.irrelevant || [],
-                [EMAILS_CACHE_META_KEY]: buildEmailsCacheMeta(nextCacheMeta, {
-                  syncInProgress: false,
-                  totalRelevantCount:
-                    (refreshed.categorizedEmails.applied || []).length +
-                    (refreshed.categorizedEmails.interviewed || []).length +
-                    (refreshed.categorizedEmails.offers || []).length +
-                    (refreshed.categorizedEmails.rejected || []).length,
-                }),
-              });
-              safeRuntimeSendMessage({
-                type: 'EMAILS_SYNCED',
-                success: true,
-                categorizedEmails: refreshed.categorizedEmails,
-                syncInProgress: false,
-              });
-            }
-          } catch (e) {
-            bgLogger.warn?.('[backfill] Backfill failed:', e?.message || e);
-          }
-        })();
-      } else if (!ENABLE_APPLICATION_LINK_BACKFILL) {
-        await chrome.storage.local.remove([APP_LINK_BACKFILL_STATE_KEY]).catch((error) => {
-          reportBackgroundWarning({
-            code: 'backfill_state_clear_failed',
-            context: 'Failed to clear disabled application-link backfill state',
-            error,
-          });
-        });
-      }
+function buildLightweightExtensionTestingSnapshot(stored = {}, state = null) {
+  const categoryTotals = stored.categoryTotals || {
+    applied: 0,
+    interviewed: 0,
+    offers: 0,
+    rejected: 0,
+    irrelevant: 0,
+    relevant: 0,
+  };
+  const trackedApplications = Number.isFinite(stored?.quotaData?.trackedApplications)
+    ? stored.quotaData.trackedApplications
+    : Number(categoryTotals.relevant || 0);
 
-      const totalRelevantCount =
-        typeof response.totalRelevantCount === 'number'
-          ? Math.max(response.totalRelevantCount, nextRelevantCount)
-          : typeof response.totalCount === 'number'
-            ? Math.max(response.totalCount, nextRelevantCount)
-            : nextRelevantCount;
+  return {
+    auth: {
+      isLoggedIn: Boolean(stored.userEmail && stored.userId),
+      email: stored.userEmail || null,
+      name: stored.userName || null,
+      userId: stored.userId || null,
+    },
+    userPlan: stored.userPlan || 'free',
+    quota: stored.quotaData || null,
+    trackedApplications,
+    categoryTotals,
+    sync: state?.sync || null,
+  };
+}
 
-      return { success: true, totalRelevantCount };
-    }
-  } catch (e) {
-    console.warn('Applendium Background: refreshStoredEmailsCache failed:', e?.message);
-  }
-  return { success: false, totalRelevantCount: 0 };
+async function getExtensionTestingState() {
+  const stored = await chrome.storage.local.get([
+    EXTENSION_TEST_STATE_KEY,
+    EXTENSION_TEST_APPLICATIONS_KEY,
+    EXTENSION_TEST_LAST_MISCLASSIFICATION_KEY,
+    'userEmail',
+    'userName',
+    'userId',
+    'userPlan',
+    'quotaData',
+    'categoryTotals',
+    'appliedEmails',
+    'interviewedEmails',
+    'offersEmails',
+    'rejectedEmails',
+    'irrelevantEmails',
+  ]);
+  const state = stored[EXTENSION_TEST_STATE_KEY] || null;
+  return {
+    supported: EXTENSION_TESTING_ENABLED,
+    active: Boolean(EXTENSION_TESTING_ENABLED && state?.active),
+    state,
+    applications: stored[EXTENSION_TEST_APPLICATIONS_KEY] || {},
+    lastMisclassification: stored[EXTENSION_TEST_LAST_MISCLASSIFICATION_KEY] || null,
+    snapshot: buildExtensionTestingSnapshot(stored, state),
+  };
 }
 
-/**
- * Poll the sync status and periodically refresh stored emails until complete or timeout.
- * FIXED: Reduced polling from 2s to 10s to avoid exhausting Gmail API quota
- */
-async function pollSyncStatusAndRefresh(maxSeconds = 15 * 60, intervalMs = 10000, options = {}) {
-  const { waitForStart = false, waitForStartMs = 60_000 } = options || {};
-  const start = Date.now();
-  let lastRefreshAt = 0;
-  let hasAnyStoredEmails = false;
-  let sawInProgress = false;
-  const EARLY_REFRESH_MS = 10_000; // fast updates so users see their first emails quickly
-  const STEADY_REFRESH_MS = 60_000; // reduce backend load once we have any results
-  while (Date.now() - start < maxSeconds * 1000) {
-    try {
-    const status = await apiFetch(CONFIG_ENDPOINTS.SYNC_STATUS, { method: 'GET' });
-      if (status?.success) {
-        if (status.sync?.inProgress) {
-          sawInProgress = true;
-          // While syncing, refresh cached emails sparingly to reduce backend load.
-          // This prevents production-only stalls caused by repeated heavy /stored-emails queries.
-          const now = Date.now();
-          const refreshInterval = hasAnyStoredEmails ? STEADY_REFRESH_MS : EARLY_REFRESH_MS;
-          if (now - lastRefreshAt >= refreshInterval) {
-            lastRefreshAt = now;
-            const refreshed = await refreshStoredEmailsCache(true);
-            if ((refreshed?.totalRelevantCount || 0) > 0) {
-              hasAnyStoredEmails = true;
-            }
-          }
-        } else {
-          // If we're waiting for a sync to *start*, do not treat an early "false" as terminal.
-          // This avoids a race where we poll before the backend acquires the sync lock.
-          if (waitForStart && !sawInProgress && (Date.now() - start) < waitForStartMs) {
-            // keep polling
-          } else {
-            // One final refresh at completion
-            await refreshStoredEmailsCache(false, { markSyncCompleted: true });
-            return;
-          }
-        }
-      }
-    } catch (e) {
-      if (isAuthRequiredError(e)) return;
-      console.warn('Applendium Background: sync-status polling error:', e?.message);
-    }
-    await new Promise(r => setTimeout(r, intervalMs));
-  }
+async function getExtensionTestingLabState() {
+  const stored = await chrome.storage.local.get([
+    EXTENSION_TEST_STATE_KEY,
+    'userEmail',
+    'userName',
+    'userId',
+    'userPlan',
+    'quotaData',
+    'categoryTotals',
+  ]);
+  const state = stored[EXTENSION_TEST_STATE_KEY] || null;
+  return {
+    supported: EXTENSION_TESTING_ENABLED,
+    active: Boolean(EXTENSION_TESTING_ENABLED && state?.active),
+    state,
+    snapshot: buildLightweightExtensionTestingSnapshot(stored, state),
+  };
 }
 
-/**
- * Watchdog: checks whether a sync has been in-progress for too long and notifies UI.
- * Non-fatal: best-effort and silent on errors.
- */
-async function checkSyncWatchdog() {
-  try {
-    const status = await apiFetch(CONFIG_ENDPOINTS.SYNC_STATUS, { method: 'GET' });
-    if (!status?.success || !status?.sync?.inProgress) return;
+async function captureExtensionTestingSnapshotIfNeeded() {
+  if (!EXTENSION_TESTING_ENABLED) return null;
 
-    // Try several possible timestamp fields for when the sync/lock started
-    const startedIso = status.sync.startedAt
-      || status.sync.lockAcquiredAt
-      || status.sync.lock?.acquiredAt
-      || status.sync.lock?.since
-      || status.sync.started
-      || status.sync.started_at
-      || status.sync.lastSyncAt; // fallback if nothing else
+  const stored = await chrome.storage.local.get([
+    EXTENSION_TEST_SNAPSHOT_KEY,
+    ...EXTENSION_TEST_MUTABLE_STORAGE_KEYS,
+  ]);
 
-    const startedMs = startedIso ? new Date(startedIso).getTime() : Date.now();
-    const mins = (Date.now() - startedMs) / 60000;
+  if (stored[EXTENSION_TEST_SNAPSHOT_KEY]) {
+    return stored[EXTENSION_TEST_SNAPSHOT_KEY];
+  }
 
-    if (mins >= STUCK_LOCK_THRESHOLD_MIN) {
-      // Let the UI know the sync might be stuck; include snapshot for context
-      safeRuntimeSendMessage({
-        type: 'SYNC_STUCK',
-        minutesInProgress: Math.round(mins),
-        thresholdMinutes: STUCK_LOCK_THRESHOLD_MIN,
-        sync: status.sync,
-      });
+  const snapshot = {
+    capturedAt: new Date().toISOString(),
+  };
+
+  for (const key of EXTENSION_TEST_MUTABLE_STORAGE_KEYS) {
+    if (Object.prototype.hasOwnProperty.call(stored, key)) {
+      snapshot[key] = stored[key];
     }
-  } catch (e) {
-    if (isAuthRequiredError(e)) return;
-    console.warn('Applendium Background: watchdog check failed:', e?.message);
   }
-}
 
-/**
- * Sends an email reply using the Gmail API (via backend).
- * @param {string} threadId - The ID of the email thread to reply to.
- * @param {string} to - Recipient email address.
- * @param {string} subject - Subject of the reply.
- * @param {string} body - Body of the reply.
- * @param {string} userEmail - The email of the authenticated user (sender).
- * @param {string} userId - The Firebase UID of the user.
- * @returns {Promise<object>} Result of the send operation.
- */
-async function sendGmailReply(threadId, to, subject, body, userEmail, userId) { // Now always use backend implementation
-  const user = auth.currentUser;
-  if (!user) throw new Error('User not authenticated for sending email.');
-  // Call backend route which handles refresh token + Gmail API; keeps logic centralized
-  const resp = await apiFetch(CONFIG_ENDPOINTS.SEND_REPLY, {
-    method: 'POST',
-    body: { threadId, to, subject, body, userEmail, userId }
-  });
-  return resp; // { success, gmailMessageId?, threadId?, needsReauth? }
+  await chrome.storage.local.set({ [EXTENSION_TEST_SNAPSHOT_KEY]: snapshot });
+  return snapshot;
 }
 
-/**
- * Helper function to trigger email synchronization with the backend and cache results locally.
- * This is called by alarms and explicit FETCH_NEW_EMAILS messages.
- * @param {string} userEmail - The email of the authenticated user.
- * @param {string} userId - The Firebase UID of the user.
- * @param {boolean} fullRefresh - If true, requests a full re-sync from Gmail.
- * @returns {Promise<Object>} An object containing success status, updated categorized emails, and quota.
- */
-async function triggerEmailSync(userEmail, userId, fullRefresh = false) {
-  // Ensure userEmail and userId are provided before making the API call
-  if (!userEmail || !userId) {
-    console.error('❌ Applendium Background: Cannot trigger email sync, userEmail or userId is missing.');
-    return { success: false, error: 'User email or ID missing for sync.' };
+async function updateExtensionTestingStateRecord(mutator) {
+  if (!EXTENSION_TESTING_ENABLED) return null;
+  const stored = await chrome.storage.local.get([EXTENSION_TEST_STATE_KEY]);
+  const current = stored[EXTENSION_TEST_STATE_KEY] || null;
+  const next = await mutator(current);
+  if (next == null) {
+    await chrome.storage.local.remove([EXTENSION_TEST_STATE_KEY]);
+    return null;
   }
+  await chrome.storage.local.set({ [EXTENSION_TEST_STATE_KEY]: next });
+  return next;
+}
 
-  // Coalesce duplicate sync triggers
-  if (syncInFlight) {
-    // Return current cached emails immediately instead of hitting backend again
-    const cached = await getCachedSyncState();
-    return {
-      success: true,
-      categorizedEmails: cached.categorizedEmails,
-      quota: cached.quota,
-      sync: { inProgress: true }
-    };
-  }
+async function updateExtensionTestingApplications(mutator) {
+  if (!EXTENSION_TESTING_ENABLED) return {};
+  const stored = await chrome.storage.local.get([EXTENSION_TEST_APPLICATIONS_KEY]);
+  const current = stored[EXTENSION_TEST_APPLICATIONS_KEY] || {};
+  const next = await mutator(current);
+  await chrome.storage.local.set({ [EXTENSION_TEST_APPLICATIONS_KEY]: next || {} });
+  return next || {};
+}
 
-  try {
-    const status = await apiFetch(CONFIG_ENDPOINTS.SYNC_STATUS, { method: 'GET' });
-    if (status?.success && status?.sync?.inProgress) {
-      const cached = await getCachedSyncState();
-      const nextQuota = status.quota || cached.quota || null;
-      const nextMeta = buildEmailsCacheMeta(cached.meta, {
-        syncInProgress: true,
-        totalRelevantCount: countRelevantCategorizedEmails(cached.categorizedEmails),
-      });
+async function broadcastExtensionTestingState(testStateOverride = undefined) {
+  const stored = await chrome.storage.local.get([
+    ...EXTENSION_TEST_MUTABLE_STORAGE_KEYS,
+    EXTENSION_TEST_STATE_KEY,
+  ]);
+  const categorizedEmails = getCategorizedEmailsFromStorageRecord(stored);
+  const testingState = typeof testStateOverride === 'undefined'
+    ? (stored[EXTENSION_TEST_STATE_KEY] || null)
+    : testStateOverride;
 
-      await chrome.storage.local.set({
-        quotaData: nextQuota,
-        [EMAILS_CACHE_META_KEY]: nextMeta,
-      });
+  broadcastAuthStateToContentScripts(Boolean(stored.userEmail), stored.userEmail || null);
+  safeRuntimeSendMessage({
+    type: 'EMAILS_SYNCED',
+    success: true,
+    categorizedEmails,
+    categoryTotals: stored.categoryTotals || buildTestingCategoryTotals(categorizedEmails),
+    syncInProgress: Boolean(testingState?.sync?.inProgress),
+  });
+  safeRuntimeSendMessage({
+    type: 'EXTENSION_TEST_STATE_CHANGED',
+    testing: buildExtensionTestingStatus(testingState),
+  });
+}
 
-      safeRuntimeSendMessage({
-        type: 'EMAILS_SYNCED',
-        success: true,
-        categorizedEmails: cached.categorizedEmails,
-        ...(cached.categoryTotals ? { categoryTotals: cached.categoryTotals } : {}),
-        ...(cached.applicationCount ? { applicationCount: cached.applicationCount } : {}),
-        ...(cached.applicationStats ? { applicationStats: cached.applicationStats } : {}),
-        quota: nextQuota,
-        userEmail,
-        syncInProgress: true
-      });
+async function refreshExtensionTestingQuota(categorizedEmails) {
+  const stored = await chrome.storage.local.get(['quotaData', 'userPlan', EXTENSION_TEST_STATE_KEY]);
+  const existingQuota = stored.quotaData || null;
+  if (!existingQuota) return null;
+  if (stored[EXTENSION_TEST_STATE_KEY]?.quotaLocked) {
+    return existingQuota;
+  }
 
-      const cachedCount = countRelevantCategorizedEmails(cached.categorizedEmails);
-      if (cachedCount === 0 || !cached.categoryTotals) {
-        refreshStoredEmailsCache(true, { skipBackfill: true }).catch((e) => {
-          bgLogger.warn?.('Failed to refresh stored emails while reusing active sync:', e?.message || e);
-        });
-      }
+  const trackedApplications = countTrackedApplicationsFromCategorizedEmails(categorizedEmails);
+  const relevantMessagesProcessed = countRelevantCategorizedEmails(categorizedEmails);
+  const nextQuota = {
+    ...existingQuota,
+    trackedApplications,
+    totalProcessed: trackedApplications,
+    relevantMessagesProcessed,
+    limitReached: stored.userPlan === 'premium'
+      ? false
+      : trackedApplications >= Number(existingQuota.limit || 100),
+  };
+  await chrome.storage.local.set({ quotaData: nextQuota });
+  return nextQuota;
+}
 
-      pollSyncStatusAndRefresh().catch((e) => {
-        console.warn('Applendium Background: polling failed while reusing active sync:', e?.message);
-      });
+async function mutateExtensionTestingCategorizedEmails(mutator) {
+  const stored = await chrome.storage.local.get([
+    'appliedEmails',
+    'interviewedEmails',
+    'offersEmails',
+    'rejectedEmails',
+    'irrelevantEmails',
+    'categoryTotals',
+    EMAILS_CACHE_META_KEY,
+  ]);
+  const current = getCategorizedEmailsFromStorageRecord(stored);
+  const result = await mutator(current);
+  if (!result) return null;
 
-      return {
-        success: true,
-        categorizedEmails: cached.categorizedEmails,
-        quota: nextQuota,
-        sync: {
-          inProgress: true,
-          startedAt: status?.sync?.startedAt || null,
-        },
-      };
-    }
-  } catch (error) {
-    bgLogger.warn?.('Sync preflight status check failed; proceeding with sync request:', error?.message || error);
-  }
+  const nextCategorizedEmails = result.categorizedEmails || result;
+  const categoryTotals = result.categoryTotals || buildTestingCategoryTotals(nextCategorizedEmails);
+  const nextQuota = await refreshExtensionTestingQuota(nextCategorizedEmails);
 
-  syncInFlight = true;
-  lastSyncStartTs = Date.now();
+  await chrome.storage.local.set({
+    ...buildCategorizedEmailStoragePayload(nextCategorizedEmails),
+    categoryTotals,
+    ...(nextQuota ? { quotaData: nextQuota } : {}),
+    [EMAILS_CACHE_META_KEY]: buildEmailsCacheMeta(stored[EMAILS_CACHE_META_KEY], {
+      syncInProgress: false,
+      lastCompletedAt: new Date().toISOString(),
+      totalRelevantCount: countRelevantCategorizedEmails(nextCategorizedEmails),
+    }),
+  });
 
-  try {
-    // Sidecar polling: improves "time to first emails" during long-running sync calls.
-    // In Cloud Run, /api/emails often performs an inline sync that can take minutes; while
-    // that request is in-flight, we can poll /sync-status + refresh /stored-emails to
-    // progressively populate the popup.
-    pollSyncStatusAndRefresh(15 * 60, 10_000, { waitForStart: true, waitForStartMs: 60_000 })
-      .catch((e) => bgLogger.warn?.('Applendium Background: sidecar polling failed:', e?.message || e));
+  safeRuntimeSendMessage({
+    type: 'EMAILS_SYNCED',
+    success: true,
+    categorizedEmails: nextCategorizedEmails,
+    categoryTotals,
+    syncInProgress: false,
+  });
 
-    // Snapshot prior cache before syncing so we can detect newly-added emails and notify on completion.
-    let previousCache = null;
-    try {
-      const prev = await chrome.storage.local.get([
-        'appliedEmails',
-        'interviewedEmails',
-        'offersEmails',
-        'rejectedEmails',
-        EMAILS_CACHE_META_KEY,
-      ]);
-      previousCache = {
-        applied: prev.appliedEmails || [],
-        interviewed: prev.interviewedEmails || [],
-        offers: prev.offersEmails || [],
-        rejected: prev.rejectedEmails || [],
-      };
-      previousCache.meta = prev[EMAILS_CACHE_META_KEY] || null;
-    } catch (error) {
-      bgLogger.warn('Failed to snapshot stored email cache before sync; continuing without pre-sync cache context:', error?.message || error);
-      previousCache = null;
-    }
+  return {
+    ...(result && typeof result === 'object' ? result : {}),
+    categorizedEmails: nextCategorizedEmails,
+    categoryTotals,
+  };
+}
 
-    const response = await apiFetch(CONFIG_ENDPOINTS.SYNC_EMAILS, {
-      method: 'POST',
-      timeoutMs: LONG_RUNNING_API_TIMEOUT_MS,
-      body: { userEmail, userId, fullRefresh, email: userEmail }
-    });
+async function installExtensionTestScenario(scenarioId) {
+  if (!EXTENSION_TESTING_ENABLED) {
+    return { success: false, error: 'Extension test mode is only available in the development build.' };
+  }
 
-    // Fetch application stats without blocking initial email visibility.
-    // On cold Cloud Run instances, this endpoint can add noticeable latency.
-    let applicationStats = null;
-    const applicationStatsPromise = (async () => {
-      try {
-        const planSnapshot = await chrome.storage.local.get(['userPlan']);
-        if (planSnapshot?.userPlan !== 'premium') {
-          return null;
-        }
-        const statsResponse = await apiFetch(CONFIG_ENDPOINTS.APPLICATION_STATS, { method: 'GET' });
-        if (statsResponse.success && statsResponse.stats) {
-          return statsResponse.stats;
-        }
-      } catch (error) {
-        bgLogger.warn?.('Failed to fetch application stats (non-fatal):', error?.message || error);
-      }
-      return null;
-    })();
+  const scenario = getExtensionTestScenario(scenarioId);
+  if (!scenario) {
+    return { success: false, error: `Unknown test scenario: ${String(scenarioId)}` };
+  }
 
-    if (response.success && response.categorizedEmails) {
-      // CRITICAL FIX: Only update chrome.storage if sync is NOT in progress
-      // This prevents overwriting fresh local data with stale database data
-      if (!response.sync?.inProgress) {
-        try {
-          await maybeNotifyNewEmails(previousCache, response.categorizedEmails, false);
-        } catch (e) {
-          bgLogger.warn('Notification check failed:', e?.message);
-        }
-        
-        // Save categorized emails to chrome.storage.local
-        await chrome.storage.local.set({
-          appliedEmails: response.categorizedEmails.applied || [],
-          interviewedEmails: response.categorizedEmails.interviewed || [],
-          offersEmails: response.categorizedEmails.offers || [],
-          rejectedEmails: response.categorizedEmails.rejected || [],
-          quotaData: response.quota || null, // Also cache quota data
-          [EMAILS_CACHE_META_KEY]: buildEmailsCacheMeta(previousCache?.meta, {
-            syncInProgress: false,
-            totalRelevantCount: countRelevantCategorizedEmails(response.categorizedEmails),
-            lastCompletedAt: new Date().toISOString(),
-          }),
-          categoryTotals: response.categoryTotals || null, // NEW: Cache accurate category counts
-          applicationCount: response.applicationCount || null, // Canonical count, computed backend-side
-          applicationStats: applicationStats || null // NEW: Cache application statistics
-        });
-        bgLogger.info('Emails and quota cached successfully in local storage.');
+  captureExtensionTestingSnapshotIfNeeded().catch((error) => {
+    bgLogger.warn?.('Failed to capture extension test snapshot before scenario activation:', error?.message || error);
+  });
 
-        // Notify the popup that emails have been synced and cached
-        safeRuntimeSendMessage({
-          type: 'EMAILS_SYNCED',
-          success: true,
-          categorizedEmails: response.categorizedEmails,
-          categoryTotals: response.categoryTotals, // NEW: Pass category totals to popup
-          applicationCount: response.applicationCount, // Canonical count, computed backend-side
-          applicationStats: applicationStats, // NEW: Pass application stats to popup
-          quota: response.quota,
-          userEmail: userEmail, // Include userEmail for targeted updates in popup
-          syncInProgress: false
-        });
-      } else {
-        // Sync in progress - don't overwrite storage, just update quota and category totals
-        const currentCache = await chrome.storage.local.get([
-          'appliedEmails', 'interviewedEmails', 'offersEmails', 'rejectedEmails', 'irrelevantEmails'
-        ]);
-        const cachedEmails = {
-          applied: currentCache.appliedEmails || [],
-          interviewed: currentCache.interviewedEmails || [],
-          offers: currentCache.offersEmails || [],
-          rejected: currentCache.rejectedEmails || [],
-          irrelevant: currentCache.irrelevantEmails || [],
-        };
-        const mergedEmails = mergeCategorizedEmails(cachedEmails, response.categorizedEmails || {});
-        const cachedCount =
-          (mergedEmails.applied || []).length +
-          (mergedEmails.interviewed || []).length +
-          (mergedEmails.offers || []).length +
-          (mergedEmails.rejected || []).length +
-          (mergedEmails.irrelevant || []).length;
+  const categorizedEmails = scenario.categorizedEmails || {};
+  const testingState = {
+    active: true,
+    scenarioId: scenario.id,
+    label: scenario.label,
+    description: scenario.description,
+    activatedAt: new Date().toISOString(),
+    quotaLocked: scenario.lockQuota !== false,
+    simulatedFailures: scenario.simulatedFailures || null,
+    sync: {
+      inProgress: Boolean(scenario.sync?.inProgress),
+      startedAt: scenario.sync?.startedAt || null,
+      lastSyncAt: scenario.sync?.lastSyncAt || null,
+      lastCompletedAt: scenario.sync?.lastCompletedAt || scenario.sync?.lastSyncAt || null,
+    },
+    gmailAuth: scenario.gmailAuth || null,
+  };
 
-        await chrome.storage.local.set({
-          appliedEmails: mergedEmails.applied || [],
-          interviewedEmails: mergedEmails.interviewed || [],
-          offersEmails: mergedEmails.offers || [],
-          rejectedEmails: mergedEmails.rejected || [],
-          irrelevantEmails: mergedEmails.irrelevant || [],
-          quotaData: response.quota || null,
-          [EMAILS_CACHE_META_KEY]: buildEmailsCacheMeta(previousCache?.meta, {
-            syncInProgress: true,
-            totalRelevantCount: cachedCount,
-          }),
-          categoryTotals: response.categoryTotals || null, // NEW: Update category totals even during sync
-          applicationCount: response.applicationCount || null, // Canonical count, computed backend-side
-          applicationStats: applicationStats || null // NEW: Update application stats even during sync
-        });
-        bgLogger.info('Sync in progress - merged backend emails into cache and updated quota/category totals.');
+  const payload = {
+    ...buildCategorizedEmailStoragePayload(categorizedEmails),
+    categoryTotals: scenario.categoryTotals || buildTestingCategoryTotals(categorizedEmails),
+    [EMAILS_CACHE_META_KEY]: buildEmailsCacheMeta(null, {
+      syncInProgress: false,
+      lastCompletedAt: scenario.sync?.lastCompletedAt || scenario.sync?.lastSyncAt || new Date().toISOString(),
+      totalRelevantCount: countRelevantCategorizedEmails(categorizedEmails),
+    }),
+    [EXTENSION_TEST_STATE_KEY]: testingState,
+    [EXTENSION_TEST_APPLICATIONS_KEY]: scenario.applications || {},
+  };
 
-        const emailsForUi = mergedEmails;
+  if (scenario.auth) {
+    payload.userEmail = scenario.auth.email;
+    payload.userName = scenario.auth.name || scenario.auth.email;
+    payload.userId = scenario.auth.userId;
+    payload.userPlan = scenario.userPlan || 'free';
+  }
 
-        // Notify UI with current cached data (or primed response data) without blocking sync.
-        safeRuntimeSendMessage({
-          type: 'EMAILS_SYNCED',
-          success: true,
-          categorizedEmails: emailsForUi,
-          categoryTotals: response.categoryTotals, // NEW: Pass category totals to popup
-          applicationCount: response.applicationCount, // Canonical count, computed backend-side
-          applicationStats: applicationStats, // NEW: Pass application stats to popup
-          quota: response.quota,
-          userEmail: userEmail,
-          syncInProgress: true
-        });
+  if (scenario.quotaData) {
+    payload.quotaData = scenario.quotaData;
+  }
 
-        // If the cache is empty (common right after a fresh login) but the backend is already
-        // counting quota/totals, fetch stored emails immediately so the user sees results fast.
-        // This is best-effort and should never block the sync response.
-        const shouldKickStoredRefresh =
-          cachedCount === 0 &&
-          (Number(response?.quota?.relevantMessagesProcessed || response?.quota?.usage || response?.quota?.totalProcessed || 0) > 0 ||
-            (response?.categoryTotals &&
-              Object.values(response.categoryTotals).some((v) => Number(v || 0) > 0)));
-        if (shouldKickStoredRefresh) {
-          refreshStoredEmailsCache(true, { skipNotify: true, skipBackfill: true }).catch((error) => {
-            reportBackgroundWarning({
-              code: 'sync_prime_cache_refresh_failed',
-              context: 'Failed to refresh stored emails while priming the first sync result set',
-              error,
-              userMessage: 'Your sync started, but loading the first set of tracked emails failed. Try Refresh again.',
-            });
-          });
-        }
-      }
+  await chrome.storage.local.set(payload);
 
-      // If backend indicates a background sync is in progress, start polling without blocking
-      if (response.sync?.inProgress) {
-        pollSyncStatusAndRefresh().catch(e => console.warn('Applendium Background: polling failed:', e?.message));
-      }
+  const keysToRemove = [EXTENSION_TEST_LAST_MISCLASSIFICATION_KEY];
+  if (!scenario.auth) {
+    keysToRemove.push('userEmail', 'userName', 'userId', 'userPlan', 'quotaData');
+  } else if (!scenario.quotaData) {
+    keysToRemove.push('quotaData');
+  }
+  if (keysToRemove.length > 0) {
+    await chrome.storage.local.remove(Array.from(new Set(keysToRemove)));
+  }
 
-      // Publish application stats once available (do not block the main sync response).
-      applicationStatsPromise
-        .then(async (stats) => {
-          if (!stats) return;
-          applicationStats = stats;
-          try {
-            await chrome.storage.local.set({ applicationStats });
-            const cached = await chrome.storage.local.get([
-              'appliedEmails',
-              'interviewedEmails',
-              'offersEmails',
-              'rejectedEmails',
-              'irrelevantEmails',
-              'quotaData',
-              'categoryTotals',
-            ]);
-            safeRuntimeSendMessage({
-              type: 'EMAILS_SYNCED',
-              success: true,
-              categorizedEmails: {
-                applied: cached.appliedEmails || [],
-                interviewed: cached.interviewedEmails || [],
-                offers: cached.offersEmails || [],
-                rejected: cached.rejectedEmails || [],
-                irrelevant: cached.irrelevantEmails || [],
-              },
-              ...(cached.categoryTotals ? { categoryTotals: cached.categoryTotals } : {}),
-        ...(cached.applicationCount ? { applicationCount: cached.applicationCount } : {}),
-              applicationStats,
-              quota: cached.quotaData || null,
-              userEmail,
-              syncInProgress: Boolean(response.sync?.inProgress),
-            });
-          } catch (e) {
-            bgLogger.warn?.('Failed to persist/publish application stats:', e?.message || e);
-          }
-        })
-        .catch((error) => {
-          reportBackgroundWarning({
-            code: 'application_stats_publish_failed',
-            context: 'Failed to publish deferred application stats after sync',
-            error,
-          });
-        });
-      return { success: true, categorizedEmails: response.categorizedEmails, quota: response.quota };
+  await broadcastExtensionTestingState(testingState);
+
+  return {
+    success: true,
+    testing: buildExtensionTestingStatus(testingState),
+    scenario: {
+      id: scenario.id,
+      label: scenario.label,
+      description: scenario.description,
+    },
+  };
+}
+
+async function deactivateExtensionTestMode() {
+  if (!EXTENSION_TESTING_ENABLED) {
+    return { success: true, testing: buildExtensionTestingStatus(null), restored: false };
+  }
+
+  const stored = await chrome.storage.local.get([EXTENSION_TEST_SNAPSHOT_KEY]);
+  const snapshot = stored[EXTENSION_TEST_SNAPSHOT_KEY] || null;
+  const restorePayload = {};
+  const keysToRemove = [
+    EXTENSION_TEST_STATE_KEY,
+    EXTENSION_TEST_APPLICATIONS_KEY,
+    EXTENSION_TEST_LAST_MISCLASSIFICATION_KEY,
+    EXTENSION_TEST_SNAPSHOT_KEY,
+  ];
+
+  for (const key of EXTENSION_TEST_MUTABLE_STORAGE_KEYS) {
+    if (snapshot && Object.prototype.hasOwnProperty.call(snapshot, key)) {
+      restorePayload[key] = snapshot[key];
     } else {
-      // Check if this is a scope or auth error requiring re-authentication
-      if (response.errorCode === 'INSUFFICIENT_SCOPES' || response.errorCode === 'INVALID_GRANT' || response.requiresReauth) {
-        console.error('❌ Applendium Background: Auth error - user needs to re-authenticate:', response.errorCode);
-        
-        // Send appropriate message type based on error
-        const messageType = response.errorCode === 'INVALID_GRANT' ? 'AUTH_ERROR' : 'SCOPE_ERROR';
-        const errorMessage = response.errorCode === 'INVALID_GRANT' 
-          ? 'Your Google session has expired. Please sign out and sign back in.'
-          : 'Your Gmail permissions are incomplete. Please sign out and sign in again.';
-        
-        // Notify popup about auth error
-        safeRuntimeSendMessage({
-          type: messageType,
-          errorCode: response.errorCode,
-          error: response.error || errorMessage,
-          requiresReauth: true
-        });
-        
-        return { success: false, error: response.error, errorCode: response.errorCode || 'INSUFFICIENT_SCOPES', requiresReauth: true };
-      }
-      
-      console.error('❌ Applendium Background: Backend sync failed or returned no emails:', response.error);
-      return { success: false, error: response.error || "Backend sync failed or returned no emails." };
-    }
-  } catch (error) {
-    console.error('❌ Applendium Background: Error during email sync:', error);
-    
-    // Check if the error response has scope/auth error information
-    if (error.errorCode === 'INSUFFICIENT_SCOPES' || error.errorCode === 'INVALID_GRANT' || error.requiresReauth) {
-      // Send appropriate message type based on error
-      const messageType = error.errorCode === 'INVALID_GRANT' ? 'AUTH_ERROR' : 'SCOPE_ERROR';
-      const errorMessage = error.errorCode === 'INVALID_GRANT' 
-        ? 'Your Google session has expired. Please sign out and sign back in.'
-        : 'Your Gmail permissions are incomplete. Please sign out and sign in again.';
-      
-      safeRuntimeSendMessage({
-        type: messageType,
-        errorCode: error.errorCode,
-        error: error.message || errorMessage,
-        requiresReauth: true
-      });
-      return { success: false, error: error.message, errorCode: error.errorCode || 'INSUFFICIENT_SCOPES', requiresReauth: true };
+      keysToRemove.push(key);
     }
-    
-    return { success: false, error: error.message };
-  } finally {
-    syncInFlight = false;
   }
-}
 
+  if (Object.keys(restorePayload).length > 0) {
+    await chrome.storage.local.set(restorePayload);
+  }
+  await chrome.storage.local.remove(Array.from(new Set(keysToRemove)));
+  await broadcastExtensionTestingState(null);
 
-/**
- * Monitor a payment tab for completion or cancellation
- * @param {number} tabId - The ID of the payment tab to monitor
- * @param {string} userEmail - User's email for status checking
- * @param {string} userId - User's ID for status checking
- * @returns {Promise<object>} Payment result with completion status
- */
-async function monitorPaymentFlow(tabId, userEmail, userId) {
-  return new Promise((resolve) => {
-    let pollInterval;
-    let timeoutId;
-    
-    const cleanup = () => {
-      if (pollInterval) clearInterval(pollInterval);
-      if (timeoutId) clearTimeout(timeoutId);
-      chrome.tabs.onUpdated.removeListener(tabUpdateListener);
-      chrome.tabs.onRemoved.removeListener(tabRemovedListener);
-    };
+  return {
+    success: true,
+    restored: Boolean(snapshot),
+    testing: buildExtensionTestingStatus(null),
+  };
+}
 
-    const tabUpdateListener = (updatedTabId, changeInfo, tab) => {
-      if (updatedTabId === tabId && changeInfo.url) {
-  bgLogger.info('Payment tab URL changed to:', changeInfo.url);
-        
-        // Check if we've returned to success or cancel URLs
-        if (changeInfo.url.includes('success') || changeInfo.url.includes('dashboard.stripe.com/success')) {
-          bgLogger.info('Payment completed successfully');
-          cleanup();
-          chrome.tabs.remove(tabId);
-          resolve({ success: true, sessionCompleted: true, plan: 'premium' });
-        } else if (changeInfo.url.includes('cancel') || changeInfo.url.includes('dashboard.stripe.com/cancel')) {
-          bgLogger.info('Payment cancelled');
-          cleanup();
-          chrome.tabs.remove(tabId);
-          resolve({ success: true, cancelled: true });
-        }
-      }
+async function touchExtensionTestingSyncState() {
+  const now = new Date().toISOString();
+  return updateExtensionTestingStateRecord((current) => {
+    if (!current) return current;
+    return {
+      ...current,
+      sync: {
+        ...(current.sync || {}),
+        inProgress: false,
+        startedAt: null,
+        lastSyncAt: now,
+        lastCompletedAt: now,
+      },
     };
+  });
+}
 
-    const tabRemovedListener = (removedTabId) => {
-      if (removedTabId === tabId) {
-  bgLogger.info('Payment tab was closed');
-        cleanup();
-        resolve({ success: true, cancelled: true });
-      }
-    };
+function findEmailInCategorizedEmails(categorizedEmails, emailId) {
+  const normalizedEmailId = String(emailId);
+  for (const category of ['applied', 'interviewed', 'offers', 'rejected', 'irrelevant']) {
+    const emails = categorizedEmails[category] || [];
+    const email = emails.find((item) => String(item?.id) === normalizedEmailId);
+    if (email) {
+      return { category, email };
+    }
+  }
+  return null;
+}
 
-    // Listen for tab updates and removals
-    chrome.tabs.onUpdated.addListener(tabUpdateListener);
-    chrome.tabs.onRemoved.addListener(tabRemovedListener);
+async function setExtensionTestingEmailReadState(emailId, isRead = true) {
+  return mutateExtensionTestingCategorizedEmails((categorizedEmails) => {
+    const located = findEmailInCategorizedEmails(categorizedEmails, emailId);
+    if (!located) return null;
 
-    // Poll for payment status updates by checking subscription status
-    pollInterval = setInterval(async () => {
-      try {
-        const statusResponse = await apiFetch('/api/subscriptions/status', {
-          method: 'GET'
-        });
-        
-        if (statusResponse?.success && statusResponse.subscription?.status === 'active') {
-      bgLogger.info('Subscription detected as active during payment flow');
-          cleanup();
-          chrome.tabs.remove(tabId).catch((error) => {
-            reportBackgroundWarning({
-              code: 'payment_tab_close_failed',
-              context: 'Failed to close payment tab after successful premium activation',
-              error,
-            });
-          }); // Tab might already be closed
-          resolve({ success: true, sessionCompleted: true, plan: 'premium' });
-        }
-      } catch (error) {
-        console.warn('⚠️ Applendium Background: Error checking subscription status during payment flow:', error);
+    return {
+      ...categorizedEmails,
+      [located.category]: (categorizedEmails[located.category] || []).map((email) => (
+        String(email?.id) === String(emailId) ? { ...email, is_read: Boolean(isRead) } : email
+      )),
+    };
+  });
+}
+
+async function markExtensionTestingCategoryRead(category) {
+  const normalizedCategory = normalizeCategoryKey(category);
+  return mutateExtensionTestingCategorizedEmails((categorizedEmails) => ({
+    ...categorizedEmails,
+    [normalizedCategory]: (categorizedEmails[normalizedCategory] || []).map((email) => ({
+      ...email,
+      is_read: true,
+    })),
+  }));
+}
+
+async function updateExtensionTestingEmailFields(emailId, updates = {}) {
+  return mutateExtensionTestingCategorizedEmails((categorizedEmails) => {
+    const located = findEmailInCategorizedEmails(categorizedEmails, emailId);
+    if (!located) return null;
+
+    return {
+      ...categorizedEmails,
+      [located.category]: (categorizedEmails[located.category] || []).map((email) => (
+        String(email?.id) === String(emailId)
+          ? { ...email, ...updates }
+          : email
+      )),
+    };
+  });
+}
+
+async function moveExtensionTestingEmailToCategory(emailId, targetCategory) {
+  const normalizedTargetCategory = normalizeCategoryKey(targetCategory);
+  if (!VALID_MARK_AS_READ_CATEGORIES.has(normalizedTargetCategory)) {
+    return null;
+  }
+
+  return mutateExtensionTestingCategorizedEmails((categorizedEmails) => {
+    const located = findEmailInCategorizedEmails(categorizedEmails, emailId);
+    if (!located) return null;
+
+    const originalEmail = located.email;
+    const sourceEmails = (categorizedEmails[located.category] || []).filter((email) => String(email?.id) !== String(emailId));
+    const targetEmails = categorizedEmails[normalizedTargetCategory] || [];
+    const movedEmail = {
+      ...originalEmail,
+      category: capitalizeFirst(normalizedTargetCategory),
+      displayCategory: normalizedTargetCategory,
+    };
+
+    return {
+      categorizedEmails: {
+        ...categorizedEmails,
+        [located.category]: sourceEmails,
+        [normalizedTargetCategory]: [movedEmail, ...targetEmails],
+      },
+      movedEmail,
+      originalEmail,
+      sourceCategory: located.category,
+      targetCategory: normalizedTargetCategory,
+    };
+  });
+}
+
+async function archiveExtensionTestingThread(threadId) {
+  return mutateExtensionTestingCategorizedEmails((categorizedEmails) => {
+    const next = {};
+    for (const category of ['applied', 'interviewed', 'offers', 'rejected', 'irrelevant']) {
+      next[category] = (categorizedEmails[category] || []).filter((email) => String(getTestingThreadId(email)) !== String(threadId));
+    }
+    return next;
+  });
+}
+
+async function appendExtensionTestingReply(threadId, recipient, subject, body, currentUserEmail) {
+  const response = await mutateExtensionTestingCategorizedEmails((categorizedEmails) => {
+    let matchedCategory = null;
+    let latestEmail = null;
+
+    for (const category of ['applied', 'interviewed', 'offers', 'rejected', 'irrelevant']) {
+      const threadEmails = (categorizedEmails[category] || []).filter((email) => String(getTestingThreadId(email)) === String(threadId));
+      if (threadEmails.length > 0) {
+        matchedCategory = category;
+        latestEmail = threadEmails
+          .slice()
+          .sort((a, b) => new Date(b?.date || 0) - new Date(a?.date || 0))[0];
+        break;
       }
-    }, 3000); // Check every 3 seconds
+    }
 
-    // Timeout after 10 minutes
-    timeoutId = setTimeout(() => {
-  bgLogger.info('Payment flow timed out after 10 minutes');
-      cleanup();
-      chrome.tabs.remove(tabId).catch((error) => {
-        reportBackgroundWarning({
-          code: 'payment_tab_close_failed',
-          context: 'Failed to close payment tab after timeout',
-          error,
-        });
-      }); // Tab might already be closed
-      resolve({ success: true, cancelled: true });
-    }, 600000);
+    if (!matchedCategory || !latestEmail) return null;
+
+    const replyId = Date.now();
+    const replyDate = new Date().toISOString();
+    const replyEmail = {
+      ...latestEmail,
+      id: replyId,
+      thread_id: getTestingThreadId(latestEmail),
+      from: currentUserEmail || 'me@applendium.dev',
+      sender: currentUserEmail || 'me@applendium.dev',
+      subject,
+      body,
+      html_body: `<p>${body}</p>`,
+      preview: body,
+      date: replyDate,
+      is_read: true,
+    };
+
+    return {
+      ...categorizedEmails,
+      [matchedCategory]: [replyEmail, ...(categorizedEmails[matchedCategory] || [])],
+    };
   });
+
+  if (!response) {
+    return { success: false, error: 'Thread not found.' };
+  }
+
+  return {
+    success: true,
+    gmailMessageId: `mock-${Date.now()}`,
+    threadId,
+  };
 }
 
-/**
- * Refresh subscription status and update local storage
- * @param {string} userEmail - User's email
- * @param {string} userId - User's ID
- */
-async function refreshSubscriptionStatus(userEmail, userId) {
-  try {
-    const statusResponse = await apiFetch('/api/subscriptions/status', {
-      method: 'GET'
-    });
-    
-    if (statusResponse?.success && statusResponse.subscription) {
-      const subscription = statusResponse.subscription;
-  bgLogger.info('Subscription status updated:', subscription);
-      
-      // Update local storage with new subscription info
-      await chrome.storage.local.set({
-        userPlan: subscription.plan,
-        subscriptionStatus: subscription.status,
-        subscriptionDetails: subscription
+async function maybeHandleExtensionTestingMessage({ msg, sendResponse, testingState, currentUserEmail }) {
+  switch (msg.type) {
+    case 'LIST_EXTENSION_TEST_SCENARIOS':
+      sendResponse({
+        success: true,
+        scenarios: EXTENSION_TESTING_ENABLED ? listExtensionTestScenarios() : [],
+        testing: buildExtensionTestingStatus(testingState.state),
+        snapshot: testingState.snapshot || null,
       });
-      
-      // Notify popup of subscription changes
-      safeRuntimeSendMessage({
-        type: 'SUBSCRIPTION_UPDATED',
-        subscription: subscription
+      return true;
+
+    case 'GET_EXTENSION_TEST_STATE':
+      sendResponse({
+        success: true,
+        scenarios: EXTENSION_TESTING_ENABLED ? listExtensionTestScenarios() : [],
+        testing: buildExtensionTestingStatus(testingState.state),
+        snapshot: testingState.snapshot || null,
       });
-    }
-  } catch (error) {
-    console.error('❌ Applendium Background: Error refreshing subscription status:', error);
+      return true;
+
+    case 'ACTIVATE_EXTENSION_TEST_SCENARIO':
+      sendResponse(
+        EXTENSION_TESTING_ENABLED
+          ? await installExtensionTestScenario(msg.scenarioId)
+          : { success: false, error: 'Extension test mode is only available in the development build.' }
+      );
+      return true;
+
+    case 'DEACTIVATE_EXTENSION_TEST_MODE':
+      sendResponse(await deactivateExtensionTestMode());
+      return true;
+
+    default:
+      break;
   }
-}
 
-// --- Chrome Runtime Message Listener (for popup/content script communication) ---
-// Registered immediately upon activation.
-chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
-  const incomingType = typeof msg?.type === 'string' ? msg.type : '<invalid>';
-  bgLogger.info(`Received message type: ${incomingType}`);
+  if (!testingState.active) {
+    return false;
+  }
+
+  switch (msg.type) {
+    case 'LOGIN_GOOGLE_OAUTH': {
+      const nextScenarioId = testingState.state?.scenarioId === 'logged-out'
+        ? DEFAULT_EXTENSION_TEST_SCENARIO_ID
+        : (testingState.state?.scenarioId || DEFAULT_EXTENSION_TEST_SCENARIO_ID);
+      sendResponse(await installExtensionTestScenario(nextScenarioId));
+      return true;
+    }
+
+    case 'LOGOUT':
+      sendResponse(await installExtensionTestScenario('logged-out'));
+      return true;
+
+    case 'REFRESH_STORED_EMAILS_CACHE':
+    case 'FETCH_NEW_EMAILS': {
+      const refreshFailure = testingState.state?.simulatedFailures?.refresh || null;
+      if (refreshFailure) {
+        sendResponse({
+          success: false,
+          error: refreshFailure.error || 'Mock refresh failure.',
+          testing: buildExtensionTestingStatus(testingState.state),
+        });
+        return true;
+      }
+
+      const nextTestingState = await touchExtensionTestingSyncState();
+      const stored = await chrome.storage.local.get([
+        'quotaData',
+        'categoryTotals',
+        'appliedEmails',
+        'interviewedEmails',
+        'offersEmails',
+        'rejectedEmails',
+        'irrelevantEmails',
+      ]);
+      const categorizedEmails = getCategorizedEmailsFromStorageRecord(stored);
+      safeRuntimeSendMessage({
+        type: 'EMAILS_SYNCED',
+        success: true,
+        categorizedEmails,
+        categoryTotals: stored.categoryTotals || buildTestingCategoryTotals(categorizedEmails),
+        syncInProgress: false,
+      });
+      sendResponse({
+        success: true,
+        categorizedEmails,
+        quota: stored.quotaData || null,
+        testing: buildExtensionTestingStatus(nextTestingState),
+      });
+      return true;
+    }
+
+    case 'FETCH_QUOTA_DATA': {
+      const stored = await chrome.storage.local.get(['quotaData']);
+      sendResponse({
+        success: true,
+        quota: stored.quotaData || null,
+        sync: testingState.state?.sync || null,
+        gmailAuth: testingState.state?.gmailAuth || null,
+        testing: buildExtensionTestingStatus(testingState.state),
+      });
+      return true;
+    }
+
+    case 'MARK_SINGLE_EMAIL_AS_READ': {
+      const result = await setExtensionTestingEmailReadState(msg.payload.emailId, true);
+      sendResponse(result ? { success: true } : { success: false, error: 'Email not found.' });
+      return true;
+    }
+
+    case 'MARK_AS_READ': {
+      const result = await markExtensionTestingCategoryRead(msg.payload.category);
+      sendResponse(result ? { success: true } : { success: false, error: 'Category not found.' });
+      return true;
+    }
+
+    case 'UPDATE_COMPANY_NAME': {
+      const result = await updateExtensionTestingEmailFields(msg.emailId, {
+        company_name: msg.companyName,
+        company_name_corrected: msg.companyName,
+        extraction_method: 'manual-test-mode',
+      });
+      sendResponse(
+        result
+          ? {
+              success: true,
+              email: {
+                id: msg.emailId,
+                company_name: msg.companyName,
+                company_name_corrected: msg.companyName,
+                extraction_method: 'manual-test-mode',
+              },
+            }
+          : { success: false, error: 'Email not found.' }
+      );
+      return true;
+    }
+
+    case 'UPDATE_POSITION': {
+      const result = await updateExtensionTestingEmailFields(msg.emailId, {
+        position: msg.position,
+        position_corrected: msg.position,
+        extraction_method: 'manual-test-mode',
+      });
+      sendResponse(
+        result
+          ? {
+              success: true,
+              email: {
+                id: msg.emailId,
+                position: msg.position,
+                position_corrected: msg.position,
+                extraction_method: 'manual-test-mode',
+              },
+            }
+          : { success: false, error: 'Email not found.' }
+      );
+      return true;
+    }
+
+    case 'ARCHIVE_EMAIL': {
+      const result = await archiveExtensionTestingThread(msg.threadId);
+      sendResponse(result ? { success: true } : { success: false, error: 'Thread not found.' });
+      return true;
+    }
+
+    case 'REPORT_MISCLASSIFICATION': {
+      const moveResult = await moveExtensionTestingEmailToCategory(
+        msg.emailData.emailId,
+        msg.emailData.correctedCategory
+      );
+      if (!moveResult) {
+        sendResponse({ success: false, error: 'Email not found.' });
+        return true;
+      }
+
+      await chrome.storage.local.set({
+        [EXTENSION_TEST_LAST_MISCLASSIFICATION_KEY]: {
+          emailId: msg.emailData.emailId,
+          sourceCategory: moveResult.sourceCategory,
+          targetCategory: moveResult.targetCategory,
+          snapshot: moveResult.originalEmail,
+        },
+      });
+
+      sendResponse({
+        success: true,
+        removed: moveResult.targetCategory === 'irrelevant',
+      });
+      return true;
+    }
+
+    case 'UNDO_MISCLASSIFICATION': {
+      const undoState = testingState.lastMisclassification;
+      if (!undoState || String(undoState.emailId) !== String(msg.undoData.emailId)) {
+        sendResponse({ success: false, error: 'No matching misclassification to undo.' });
+        return true;
+      }
+
+      const undoResult = await mutateExtensionTestingCategorizedEmails((categorizedEmails) => {
+        const next = {};
+        for (const category of ['applied', 'interviewed', 'offers', 'rejected', 'irrelevant']) {
+          next[category] = (categorizedEmails[category] || []).filter((email) => String(email?.id) !== String(undoState.emailId));
+        }
+        next[undoState.sourceCategory] = [undoState.snapshot, ...(next[undoState.sourceCategory] || [])];
+        return next;
+      });
+
+      if (!undoResult) {
+        sendResponse({ success: false, error: 'Failed to restore the previous email state.' });
+        return true;
+      }
+
+      await chrome.storage.local.remove([EXTENSION_TEST_LAST_MISCLASSIFICATION_KEY]);
+      sendResponse({ success: true });
+      return true;
+    }
+
+    case 'SEND_EMAIL_REPLY':
+      sendResponse(await appendExtensionTestingReply(
+        msg.threadId,
+        msg.recipient,
+        msg.subject,
+        msg.body,
+        currentUserEmail
+      ));
+      return true;
+
+    case 'FETCH_APPLICATION_LIFECYCLE': {
+      const application = testingState.applications?.[msg.applicationId] || testingState.applications?.[String(msg.applicationId)];
+      if (!application) {
+        sendResponse({ success: false, error: 'Application not found in test mode.' });
+        return true;
+      }
+      sendResponse({
+        success: true,
+        application: application.application,
+        lifecycle: application.lifecycle || [],
+      });
+      return true;
+    }
+
+    case 'LINK_APPLICATION_ROLE': {
+      const stored = await chrome.storage.local.get([
+        'appliedEmails',
+        'interviewedEmails',
+        'offersEmails',
+        'rejectedEmails',
+        'irrelevantEmails',
+      ]);
+      const categorizedEmails = getCategorizedEmailsFromStorageRecord(stored);
+      const located = findEmailInCategorizedEmails(categorizedEmails, msg.emailId);
+      sendResponse({
+        success: true,
+        applicationId: located?.email?.applicationId || located?.email?.application_id || null,
+        linkedApplicationId: located?.email?.applicationId || located?.email?.application_id || null,
+      });
+      return true;
+    }
+
+    case 'CLOSE_APPLICATION': {
+      const updatedApplications = await updateExtensionTestingApplications((current) => {
+        const existing = current?.[msg.applicationId] || current?.[String(msg.applicationId)];
+        if (!existing) return current;
+        return {
+          ...current,
+          [msg.applicationId]: {
+            ...existing,
+            application: {
+              ...existing.application,
+              is_closed: true,
+              user_closed_at: new Date().toISOString(),
+              close_reason: msg.reason || null,
+            },
+          },
+        };
+      });
+      const updatedEntry = updatedApplications?.[msg.applicationId] || updatedApplications?.[String(msg.applicationId)];
+      if (!updatedEntry) {
+        sendResponse({ success: false, error: 'Application not found.' });
+        return true;
+      }
+      await patchCachedEmailsForApplication(msg.applicationId, updatedEntry.application);
+      sendResponse({ success: true, application: updatedEntry.application });
+      return true;
+    }
+
+    case 'REOPEN_APPLICATION': {
+      const updatedApplications = await updateExtensionTestingApplications((current) => {
+        const existing = current?.[msg.applicationId] || current?.[String(msg.applicationId)];
+        if (!existing) return current;
+        return {
+          ...current,
+          [msg.applicationId]: {
+            ...existing,
+            application: {
+              ...existing.application,
+              is_closed: false,
+              user_closed_at: null,
+              close_reason: null,
+            },
+          },
+        };
+      });
+      const updatedEntry = updatedApplications?.[msg.applicationId] || updatedApplications?.[String(msg.applicationId)];
+      if (!updatedEntry) {
+        sendResponse({ success: false, error: 'Application not found.' });
+        return true;
+      }
+      await patchCachedEmailsForApplication(msg.applicationId, updatedEntry.application);
+      sendResponse({ success: true, application: updatedEntry.application });
+      return true;
+    }
+
+    case 'REPAIR_APPLICATION_LINKS': {
+      const application = testingState.applications?.[msg.applicationId] || testingState.applications?.[String(msg.applicationId)];
+      sendResponse({
+        success: Boolean(application),
+        applicationId: application?.application?.id || msg.applicationId,
+        emailUpdates: [],
+        ...(application ? {} : { error: 'Application not found.' }),
+      });
+      return true;
+    }
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Generic fetch wrapper for backend API calls.
+ * Automatically adds authorization header if a Firebase user is logged in.
+ * Ensures a fresh ID token is obtained.
+ * @param {string} endpoint - The API endpoint (e.g., '/api/emails').
+ * @param {object} options - Fetch options (method, headers, body, etc.).
+ * @returns {Promise<object>} The JSON response from the backend.
+ */
+async function apiFetch(endpoint, options = {}) {
+  const {
+    skipAuthReady = false,
+    allowUnauthenticated = false,
+    query,
+    timeoutMs = DEFAULT_API_TIMEOUT_MS,
+    signal,
+    ...fetchOptions
+  } = options;
+
+  // Do not block pre-login OAuth bootstrap/exchange calls on Firebase auth initialization.
+  if (!skipAuthReady) {
+    await waitForAuthReady();
+  }
+  await backendBaseUrlReadyPromise;
+
+  const user = auth.currentUser;
+  const headers = {
+    'Content-Type': 'application/json',
+    ...fetchOptions.headers,
+  };
+
+  const isPublicAuthEndpoint =
+    endpoint === CONFIG_ENDPOINTS.AUTH_URL || endpoint === CONFIG_ENDPOINTS.AUTH_TOKEN;
+  const requiresFirebaseUser =
+    !allowUnauthenticated && !isPublicAuthEndpoint && !isLocalBaseUrl(backendBaseUrl);
+
+  if (requiresFirebaseUser && (!user || user.isAnonymous)) {
+    throw createAuthRequiredError(endpoint);
+  }
+
+  if (user && !user.isAnonymous) { // Only attempt to get ID token for non-anonymous users
+    try {
+      const idToken = await getFreshToken(user); // Use deduplicated token refresh
+      headers['Authorization'] = `Bearer ${idToken}`;
+      bgLogger.info(`Attached fresh ID token for user: ${user.uid}`);
+    } catch (error) {
+      bgLogger.error("Failed to get fresh Firebase ID token:", error);
+      
+      if (error.code === 'auth/user-token-expired' || error.code === 'auth/invalid-user-token') {
+        console.warn("Applendium: Unrecoverable auth token error. Forcing user logout.");
+
+        await signOut(auth);
+
+        safeRuntimeSendMessage({
+          type: 'FORCE_LOGOUT',
+          reason: 'Your session has expired. Please log in again.'
+        });
+
+        throw new Error("User session expired and was forcefully terminated.");
+      }
+    }
+  } else if (user && user.isAnonymous) {
+    bgLogger.info("Anonymous user, skipping ID token attachment.");
+  } else {
+    bgLogger.info("No authenticated user, skipping ID token attachment.");
+  }
+
+
+  // Build URL with optional query params support
+  let url = `${backendBaseUrl}${endpoint}`;
+  if (query && typeof query === 'object') {
+    const qs = new URLSearchParams(query).toString();
+    if (qs) {
+      url += (url.includes('?') ? '&' : '?') + qs;
+    }
+  }
+  bgLogger.info(`API call: ${url} method=${fetchOptions.method || 'GET'}`);
+
+  const abortController = typeof AbortController === 'function' ? new AbortController() : null;
+  let timeoutHandle = null;
+  let timedOut = false;
+  let removeAbortRelay = null;
+
+  if (abortController && signal) {
+    if (signal.aborted) {
+      abortController.abort(signal.reason);
+    } else {
+      const relayAbort = () => abortController.abort(signal.reason);
+      signal.addEventListener('abort', relayAbort, { once: true });
+      removeAbortRelay = () => signal.removeEventListener('abort', relayAbort);
+    }
+  }
+
+  if (abortController && Number.isFinite(timeoutMs) && timeoutMs > 0) {
+    timeoutHandle = setTimeout(() => {
+      timedOut = true;
+      abortController.abort(new Error(`Request timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+  }
+
+  try {
+    const response = await fetch(url, {
+      ...fetchOptions,
+      headers,
+      // Ensure body is stringified only if it's an object and not already a string
+      body: fetchOptions.body && typeof fetchOptions.body === 'object' ? JSON.stringify(fetchOptions.body) : fetchOptions.body,
+      ...(abortController ? { signal: abortController.signal } : {}),
+    });
+    const requestId = response.headers.get('x-request-id') || null;
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      let errorJson = null;
+      console.error(`❌ Applendium: API Error ${response.status} from ${url}:`, errorText);
+      
+      // Try to parse error as JSON to preserve errorCode and other fields
+      try {
+        errorJson = JSON.parse(errorText);
+        if (errorJson.errorCode || errorJson.requiresReauth) {
+          // Return the structured error response instead of throwing
+          // This allows the caller to handle auth errors properly
+          return {
+            success: false,
+            error: errorJson.error || errorJson.message || `Backend error: ${response.status}`,
+            errorCode: errorJson.errorCode,
+            requiresReauth: errorJson.requiresReauth,
+            requestId: errorJson.requestId || requestId,
+            statusCode: response.status,
+          };
+        }
+      } catch (parseError) {
+        // Not JSON, continue with default error handling
+      }
+      
+      const backendMessage = errorJson?.error
+        || errorJson?.message
+        || errorText
+        || `Backend error: ${response.status}`;
+      if (requestId) {
+        console.error(`Applendium: backend requestId for ${url}: ${requestId}`);
+      }
+      const backendError = new Error(backendMessage);
+      backendError.backendResponse = true;
+      backendError.statusCode = response.status;
+      backendError.requestId = errorJson?.requestId || requestId || null;
+      backendError.errorCode = errorJson?.errorCode || null;
+      backendError.requiresReauth = Boolean(errorJson?.requiresReauth);
+      throw backendError;
+    }
+
+    let data;
+    try {
+      data = await response.json();
+    } catch (parseError) {
+      const backendParseError = new Error(`Backend returned invalid JSON: ${parseError.message}`);
+      backendParseError.backendResponse = true;
+      backendParseError.statusCode = response.status;
+      backendParseError.requestId = requestId;
+      throw backendParseError;
+    }
+    bgLogger.info(`API success: ${url}`, data);
+    return data;
+  } catch (error) {
+    console.error(`❌ Applendium: Network or parsing error for ${url}:`, error);
+    if (timedOut || error?.name === 'AbortError') {
+      const timeoutOrAbortError = new Error(
+        timedOut
+          ? `Request timed out after ${timeoutMs}ms`
+          : 'Request was cancelled before completion.'
+      );
+      timeoutOrAbortError.timeout = timedOut;
+      timeoutOrAbortError.aborted = !timedOut;
+      timeoutOrAbortError.statusCode = timedOut ? 408 : null;
+      throw timeoutOrAbortError;
+    }
+    if (error.backendResponse) {
+      throw error;
+    }
+    if (isLocalBaseUrl(backendBaseUrl)) {
+      const overrideActive = backendBaseUrl !== DEFAULT_BACKEND_BASE_URL;
+      const localBackendMessage = overrideActive
+        ? `Local backend override is active (${backendBaseUrl}) but that server is unreachable. Reset the backend override or switch back to the production extension build.`
+        : `This extension build is configured for the local backend (${backendBaseUrl}) but that server is unreachable. Start the backend locally or use the production extension build.`;
+      throw new Error(localBackendMessage);
+    }
+    throw new Error(`Network or server error: ${error.message}`);
+  } finally {
+    if (timeoutHandle) {
+      clearTimeout(timeoutHandle);
+    }
+    if (removeAbortRelay) {
+      removeAbortRelay();
+    }
+  }
+}
+
+function startPostLoginBackgroundWork(user) {
+  if (!user || user.isAnonymous) return;
+
+  refreshStoredEmailsCache(true, { skipNotify: true, skipBackfill: true }).catch((e) => {
+    bgLogger.warn?.('Failed to prefetch stored emails after auth:', e?.message);
+  });
+
+  (async () => {
+    try {
+      const response = await apiFetch(CONFIG_ENDPOINTS.FETCH_USER_PLAN, {
+        method: 'POST',
+        body: { email: user.email, userId: user.uid }
+      });
+      if (response.success) {
+        await chrome.storage.local.set({ userPlan: response.plan });
+        console.log('✅ Applendium Background: User plan fetched and stored:', response.plan);
+      } else {
+        console.error('❌ Applendium Background: Failed to fetch user plan during auth state change:', response.error);
+      }
+    } catch (error) {
+      console.error('❌ Applendium Background: Network/communication error fetching user plan during auth state change:', error);
+    }
+  })();
+
+  (async () => {
+    let shouldFull = false;
+    try {
+      const status = await apiFetch(CONFIG_ENDPOINTS.SYNC_STATUS, { method: 'GET' });
+      const meta = await chrome.storage.local.get([EMAILS_CACHE_META_KEY]).catch((error) => {
+        bgLogger.warn('Failed to read cache metadata after auth state change; defaulting sync decision to backend status only:', error?.message || error);
+        return {};
+      });
+      const lastRaw = meta?.[EMAILS_CACHE_META_KEY]?.lastCompletedAt || status?.sync?.lastSyncAt;
+      const last = lastRaw ? new Date(lastRaw) : null;
+      if (last && (Date.now() - last.getTime()) < 24 * 60 * 60 * 1000) {
+        shouldFull = false;
+      }
+    } catch (error) {
+      bgLogger.warn('Failed to inspect prior sync state after auth state change; using preview/incremental sync:', error?.message || error);
+      shouldFull = false;
+    }
+
+    try {
+      await triggerEmailSync(user.email, user.uid, shouldFull);
+    } catch (e) {
+      console.error('Applendium Background: triggerEmailSync failed after auth state change:', e);
+    }
+  })();
+}
+
+/**
+ * Fetch stored emails from backend and update local cache, then notify popup.
+ */
+async function refreshStoredEmailsCache(syncInProgress = undefined, options = {}) {
+  const { skipBackfill = false, skipNotify = false, markSyncCompleted = false } = options || {};
+  try {
+    // Snapshot prior cache before fetching so we can detect newly-added emails.
+    let previousCache = null;
+    let previousCacheMeta = null;
+    try {
+      const prev = await chrome.storage.local.get([
+        'appliedEmails',
+        'interviewedEmails',
+        'offersEmails',
+        'rejectedEmails',
+        'irrelevantEmails',
+        EMAILS_CACHE_META_KEY,
+      ]);
+      previousCache = {
+        applied: prev.appliedEmails || [],
+        interviewed: prev.interviewedEmails || [],
+        offers: prev.offersEmails || [],
+        rejected: prev.rejectedEmails || [],
+        irrelevant: prev.irrelevantEmails || [],
+      };
+      previousCacheMeta = prev[EMAILS_CACHE_META_KEY] || null;
+    } catch (error) {
+      bgLogger.warn('Failed to snapshot stored email cache before refresh; continuing without cache diff context:', error?.message || error);
+      previousCache = null;
+      previousCacheMeta = null;
+    }
+
+    // While a sync is in progress, keep these refreshes lightweight to avoid hammering the backend.
+    // We'll do one full refresh once the sync completes.
+    const isSyncing = syncInProgress === true;
+    const response = await apiFetch(CONFIG_ENDPOINTS.FETCH_STORED_EMAILS, {
+      method: 'POST',
+      body: { limit: isSyncing ? 200 : 5000 }, // backend clamps per-plan
+    });
+    if (response.success && response.categorizedEmails) {
+      const responseCategorizedEmails = response.categorizedEmails;
+      const previousRelevantCount = countRelevantCategorizedEmails(previousCache);
+      const responseRelevantCount = countRelevantCategorizedEmails(responseCategorizedEmails);
+      const shouldPreservePreviousCache =
+        isSyncing &&
+        previousRelevantCount > 0 &&
+        responseRelevantCount > 0 &&
+        responseRelevantCount < previousRelevantCount;
+
+      // During sync we intentionally fetch a smaller slice to reduce backend load.
+      // Do not let that partial slice replace a fuller cache already shown in the popup.
+      const refreshedCategorizedEmails = shouldPreservePreviousCache
+        ? {
+            applied: previousCache.applied || [],
+            interviewed: previousCache.interviewed || [],
+            offers: previousCache.offers || [],
+            rejected: previousCache.rejected || [],
+            irrelevant: previousCache.irrelevant || [],
+          }
+        : responseCategorizedEmails;
+      // The backend hasn't seen queued offline edits yet; keep showing them.
+      const nextCategorizedEmails = applyOutboxOperationsToCategorizedEmails(
+        refreshedCategorizedEmails,
+        await readOutbox(),
+        applyOutboxOperationToEmail
+      ) || refreshedCategorizedEmails;
+      const nextRelevantCount = countRelevantCategorizedEmails(nextCategorizedEmails);
+      const nextCacheMeta = buildEmailsCacheMeta(previousCacheMeta, {
+        syncInProgress: isSyncing,
+        totalRelevantCount: nextRelevantCount,
+        ...(markSyncCompleted ? { lastCompletedAt: new Date().toISOString() } : {}),
+      });
+
+      // Update cache + UI immediately. Any optional backfill happens asynchronously after users see emails.
+      await chrome.storage.local.set({
+        appliedEmails: nextCategorizedEmails.applied || [],
+        interviewedEmails: nextCategorizedEmails.interviewed || [],
+        offersEmails: nextCategorizedEmails.offers || [],
+        rejectedEmails: nextCategorizedEmails.rejected || [],
+        irrelevantEmails: nextCategorizedEmails.irrelevant || [],
+        [EMAILS_CACHE_META_KEY]: nextCacheMeta,
+        // Keep totals in sync with DB so the dashboard doesn't depend on local array size.
+        ...(response.categoryTotals ? { categoryTotals: response.categoryTotals } : {}),
+        ...(response.applicationCount ? { applicationCount: response.applicationCount } : {}),
+      });
+
+      if (!skipNotify) {
+        safeRuntimeSendMessage({
+          type: 'EMAILS_SYNCED',
+          success: true,
+          categorizedEmails: nextCategorizedEmails,
+          ...(response.categoryTotals ? { categoryTotals: response.categoryTotals } : {}),
+          ...(response.applicationCount ? { applicationCount: response.applicationCount } : {}),
+          syncInProgress,
+        });
+      }
+
+      // Best-effort notifications (never block the UI update).
+      if (!isSyncing && !skipNotify) {
+        try {
+          await maybeNotifyNewEmails(previousCache, nextCategorizedEmails, syncInProgress);
+        } catch (e) {
+          bgLogger.warn('Notification check failed:', e?.message);
+        }
+        await linkPendingCaptures(nextCategorizedEmails);
+      }
+
+      // Migration-style backfill is disabled by default in production builds.
+      // Linking fixes remain available through explicit user actions.
+      if (ENABLE_APPLICATION_LINK_BACKFILL && !isSyncing && !skipBackfill) {
+        (async () => {
+          const backfillState = await chrome.storage.local.get([APP_LINK_BACKFILL_STATE_KEY]).catch(() => ({}));
+          const state = backfillState?.[APP_LINK_BACKFILL_STATE_KEY] || {};
+          const signatureState = buildApplicationBackfillSignature(response.categorizedEmails);
+          const shouldSkip =
+            signatureState.count === 0 ||
+            (
+              state.signature === signatureState.signature &&
+              state.lastRunAt &&
+              (Date.now() - Number(state.lastRunAt)) < APP_LINK_BACKFILL_MIN_INTERVAL_MS
+            );
+
+          if (shouldSkip) {
+            if (signatureState.count === 0) {
+              await chrome.storage.local.set({
+                [APP_LINK_BACKFILL_STATE_KEY]: {
+                  signature: '',
+                  count: 0,
+                  lastRunAt: Date.now(),
+                }
+              }).catch((error) => {
+                reportBackgroundWarning({
+                  code: 'backfill_state_reset_failed',
+                  context: 'Failed to reset application-link backfill state',
+                  error,
+                });
+              });
+            }
+            return;
+          }
+
+          try {
+            bgLogger.info('[backfill] Running application linking backfill...');
+            const backfillRes = await apiFetch('/api/emails/applications/backfill', {
+              method: 'POST',
+              body: { limit: 5000 },
+            });
+            if (!backfillRes || !backfillRes.success) return;
+
+            await chrome.storage.local.set({
+              [APP_LINK_BACKFILL_STATE_KEY]: {
+                signature: signatureState.signature,
+                count: signatureState.count,
+                lastRunAt: Date.now(),
+              }
+            }).catch((error) => {
+              reportBackgroundWarning({
+                code: 'backfill_state_persist_failed',
+                context: 'Failed to persist application-link backfill state',
+                error,
+              });
+            });
+
+            // Refetch once so cached emails include `applicationId` and updated `isClosed`.
+            const refreshed = await apiFetch(CONFIG_ENDPOINTS.FETCH_STORED_EMAILS, {
+              method: 'POST',
+              body: { limit: 5000 },
+            });
+            if (refreshed.success && refreshed.categorizedEmails) {
+              await chrome.storage.local.set({
+                appliedEmails: refreshed.categorizedEmails.applied || [],
+                interviewedEmails: refreshed.categorizedEmails.interviewed || [],
+                offersEmails: refreshed.categorizedEmails.offers || [],
+                rejectedEmails: refreshed.categorizedEmails.rejected || [],
+                irrelevantEmails: refreshed.categorizedEmails.irrelevant || [],
+                [EMAILS_CACHE_META_KEY]: buildEmailsCacheMeta(nextCacheMeta, {
+                  syncInProgress: false,
+                  totalRelevantCount:
+                    (refreshed.categorizedEmails.applied || []).length +
+                    (refreshed.categorizedEmails.interviewed || []).length +
+                    (refreshed.categorizedEmails.offers || []).length +
+                    (refreshed.categorizedEmails.rejected || []).length,
+                }),
+              });
+              safeRuntimeSendMessage({
+                type: 'EMAILS_SYNCED',
+                success: true,
+                categorizedEmails: refreshed.categorizedEmails,
+                syncInProgress: false,
+              });
+            }
+          } catch (e) {
+            bgLogger.warn?.('[backfill] Backfill failed:', e?.message || e);
+          }
+        })();
+      } else if (!ENABLE_APPLICATION_LINK_BACKFILL) {
+        await chrome.storage.local.remove([APP_LINK_BACKFILL_STATE_KEY]).catch((error) => {
+          reportBackgroundWarning({
+            code: 'backfill_state_clear_failed',
+            context: 'Failed to clear disabled application-link backfill state',
+            error,
+          });
+        });
+      }
+
+      const totalRelevantCount =
+        typeof response.totalRelevantCount === 'number'
+          ? Math.max(response.totalRelevantCount, nextRelevantCount)
+          : typeof response.totalCount === 'number'
+            ? Math.max(response.totalCount, nextRelevantCount)
+            : nextRelevantCount;
+
+      return { success: true, totalRelevantCount };
+    }
+  } catch (e) {
+    console.warn('Applendium Background: refreshStoredEmailsCache failed:', e?.message);
+  }
+  return { success: false, totalRelevantCount: 0 };
+}
+
+/**
+ * Poll the sync status and periodically refresh stored emails until complete or timeout.
+ * FIXED: Reduced polling from 2s to 10s to avoid exhausting Gmail API quota
+ */
+async function pollSyncStatusAndRefresh(maxSeconds = 15 * 60, intervalMs = 10000, options = {}) {
+  const { waitForStart = false, waitForStartMs = 60_000 } = options || {};
+  const start = Date.now();
+  let lastRefreshAt = 0;
+  let hasAnyStoredEmails = false;
+  let sawInProgress = false;
+  const EARLY_REFRESH_MS = 10_000; // fast updates so users see their first emails quickly
+  const STEADY_REFRESH_MS = 60_000; // reduce backend load once we have any results
+  while (Date.now() - start < maxSeconds * 1000) {
+    try {
+    const status = await apiFetch(CONFIG_ENDPOINTS.SYNC_STATUS, { method: 'GET' });
+      if (status?.success) {
+        if (status.sync?.inProgress) {
+          sawInProgress = true;
+          // While syncing, refresh cached emails sparingly to reduce backend load.
+          // This prevents production-only stalls caused by repeated heavy /stored-emails queries.
+          const now = Date.now();
+          const refreshInterval = hasAnyStoredEmails ? STEADY_REFRESH_MS : EARLY_REFRESH_MS;
+          if (now - lastRefreshAt >= refreshInterval) {
+            lastRefreshAt = now;
+            const refreshed = await refreshStoredEmailsCache(true);
+            if ((refreshed?.totalRelevantCount || 0) > 0) {
+              hasAnyStoredEmails = true;
+            }
+          }
+        } else {
+          // If we're waiting for a sync to *start*, do not treat an early "false" as terminal.
+          // This avoids a race where we poll before the backend acquires the sync lock.
+          if (waitForStart && !sawInProgress && (Date.now() - start) < waitForStartMs) {
+            // keep polling
+          } else {
+            // One final refresh at completion
+            await refreshStoredEmailsCache(false, { markSyncCompleted: true });
+            return;
+          }
+        }
+      }
+    } catch (e) {
+      if (isAuthRequiredError(e)) return;
+      console.warn('Applendium Background: sync-status polling error:', e?.message);
+    }
+    await new Promise(r => setTimeout(r, intervalMs));
+  }
+}
+
+/**
+ * Watchdog: checks whether a sync has been in-progress for too long and notifies UI.
+ * Non-fatal: best-effort and silent on errors.
+ */
+async function checkSyncWatchdog() {
+  try {
+    const status = await apiFetch(CONFIG_ENDPOINTS.SYNC_STATUS, { method: 'GET' });
+    if (!status?.success || !status?.sync?.inProgress) return;
+
+    // Try several possible timestamp fields for when the sync/lock started
+    const startedIso = status.sync.startedAt
+      || status.sync.lockAcquiredAt
+      || status.sync.lock?.acquiredAt
+      || status.sync.lock?.since
+      || status.sync.started
+      || status.sync.started_at
+      || status.sync.lastSyncAt; // fallback if nothing else
+
+    const startedMs = startedIso ? new Date(startedIso).getTime() : Date.now();
+    const mins = (Date.now() - startedMs) / 60000;
+
+    if (mins >= STUCK_LOCK_THRESHOLD_MIN) {
+      // Let the UI know the sync might be stuck; include snapshot for context
+      safeRuntimeSendMessage({
+        type: 'SYNC_STUCK',
+        minutesInProgress: Math.round(mins),
+        thresholdMinutes: STUCK_LOCK_THRESHOLD_MIN,
+        sync: status.sync,
+      });
+    }
+  } catch (e) {
+    if (isAuthRequiredError(e)) return;
+    console.warn('Applendium Background: watchdog check failed:', e?.message);
+  }
+}
+
+/**
+ * Sends an email reply using the Gmail API (via backend).
+ * @param {string} threadId - The ID of the email thread to reply to.
+ * @param {string} to - Recipient email address.
+ * @param {string} subject - Subject of the reply.
+ * @param {string} body - Body of the reply.
+ * @param {string} userEmail - The email of the authenticated user (sender).
+ * @param {string} userId - The Firebase UID of the user.
+ * @returns {Promise<object>} Result of the send operation.
+ */
+async function sendGmailReply(threadId, to, subject, body, userEmail, userId) { // Now always use backend implementation
+  const user = auth.currentUser;
+  if (!user) throw new Error('User not authenticated for sending email.');
+  // Call backend route which handles refresh token + Gmail API; keeps logic centralized
+  const resp = await apiFetch(CONFIG_ENDPOINTS.SEND_REPLY, {
+    method: 'POST',
+    body: { threadId, to, subject, body, userEmail, userId }
+  });
+  return resp; // { success, gmailMessageId?, threadId?, needsReauth? }
+}
+
+/**
+ * Helper function to trigger email synchronization with the backend and cache results locally.
+ * This is called by alarms and explicit FETCH_NEW_EMAILS messages.
+ * @param {string} userEmail - The email of the authenticated user.
+ * @param {string} userId - The Firebase UID of the user.
+ * @param {boolean} fullRefresh - If true, requests a full re-sync from Gmail.
+ * @returns {Promise<Object>} An object containing success status, updated categorized emails, and quota.
+ */
+async function triggerEmailSync(userEmail, userId, fullRefresh = false) {
+  // Ensure userEmail and userId are provided before making the API call
+  if (!userEmail || !userId) {
+    console.error('❌ Applendium Background: Cannot trigger email sync, userEmail or userId is missing.');
+    return { success: false, error: 'User email or ID missing for sync.' };
+  }
+
+  // Coalesce duplicate sync triggers
+  if (syncInFlight) {
+    // Return current cached emails immediately instead of hitting backend again
+    const cached = await getCachedSyncState();
+    return {
+      success: true,
+      categorizedEmails: cached.categorizedEmails,
+      quota: cached.quota,
+      sync: { inProgress: true }
+    };
+  }
+
+  try {
+    const status = await apiFetch(CONFIG_ENDPOINTS.SYNC_STATUS, { method: 'GET' });
+    if (status?.success && status?.sync?.inProgress) {
+      const cached = await getCachedSyncState();
+      const nextQuota = status.quota || cached.quota || null;
+      const nextMeta = buildEmailsCacheMeta(cached.meta, {
+        syncInProgress: true,
+        totalRelevantCount: countRelevantCategorizedEmails(cached.categorizedEmails),
+      });
+
+      await chrome.storage.local.set({
+        quotaData: nextQuota,
+        [EMAILS_CACHE_META_KEY]: nextMeta,
+      });
+
+      safeRuntimeSendMessage({
+        type: 'EMAILS_SYNCED',
+        success: true,
+        categorizedEmails: cached.categorizedEmails,
+        ...(cached.categoryTotals ? { categoryTotals: cached.categoryTotals } : {}),
+        ...(cached.applicationCount ? { applicationCount: cached.applicationCount } : {}),
+        ...(cached.applicationStats ? { applicationStats: cached.applicationStats } : {}),
+        quota: nextQuota,
+        userEmail,
+        syncInProgress: true
+      });
+
+      const cachedCount = countRelevantCategorizedEmails(cached.categorizedEmails);
+      if (cachedCount === 0 || !cached.categoryTotals) {
+        refreshStoredEmailsCache(true, { skipBackfill: true }).catch((e) => {
+          bgLogger.warn?.('Failed to refresh stored emails while reusing active sync:', e?.message || e);
+        });
+      }
+
+      pollSyncStatusAndRefresh().catch((e) => {
+        console.warn('Applendium Background: polling failed while reusing active sync:', e?.message);
+      });
+
+      return {
+        success: true,
+        categorizedEmails: cached.categorizedEmails,
+        quota: nextQuota,
+        sync: {
+          inProgress: true,
+          startedAt: status?.sync?.startedAt || null,
+        },
+      };
+    }
+  } catch (error) {
+    bgLogger.warn?.('Sync preflight status check failed; proceeding with sync request:', error?.message || error);
+  }
+
+  syncInFlight = true;
+  lastSyncStartTs = Date.now();
+
+  try {
+    // Sidecar polling: improves "time to first emails" during long-running sync calls.
+    // In Cloud Run, /api/emails often performs an inline sync that can take minutes; while
+    // that request is in-flight, we can poll /sync-status + refresh /stored-emails to
+    // progressively populate the popup.
+    pollSyncStatusAndRefresh(15 * 60, 10_000, { waitForStart: true, waitForStartMs: 60_000 })
+      .catch((e) => bgLogger.warn?.('Applendium Background: sidecar polling failed:', e?.message || e));
+
+    // Snapshot prior cache before syncing so we can detect newly-added emails and notify on completion.
+    let previousCache = null;
+    try {
+      const prev = await chrome.storage.local.get([
+        'appliedEmails',
+        'interviewedEmails',
+        'offersEmails',
+        'rejectedEmails',
+        EMAILS_CACHE_META_KEY,
+      ]);
+      previousCache = {
+        applied: prev.appliedEmails || [],
+        interviewed: prev.interviewedEmails || [],
+        offers: prev.offersEmails || [],
+        rejected: prev.rejectedEmails || [],
+      };
+      previousCache.meta = prev[EMAILS_CACHE_META_KEY] || null;
+    } catch (error) {
+      bgLogger.warn('Failed to snapshot stored email cache before sync; continuing without pre-sync cache context:', error?.message || error);
+      previousCache = null;
+    }
+
+    const response = await apiFetch(CONFIG_ENDPOINTS.SYNC_EMAILS, {
+      method: 'POST',
+      timeoutMs: LONG_RUNNING_API_TIMEOUT_MS,
+      body: { userEmail, userId, fullRefresh, email: userEmail }
+    });
+
+    // Fetch application stats without blocking initial email visibility.
+    // On cold Cloud Run instances, this endpoint can add noticeable latency.
+    let applicationStats = null;
+    const applicationStatsPromise = (async () => {
+      try {
+        const planSnapshot = await chrome.storage.local.get(['userPlan']);
+        if (planSnapshot?.userPlan !== 'premium') {
+          return null;
+        }
+        const statsResponse = await apiFetch(CONFIG_ENDPOINTS.APPLICATION_STATS, { method: 'GET' });
+        if (statsResponse.success && statsResponse.stats) {
+          return statsResponse.stats;
+        }
+      } catch (error) {
+        bgLogger.warn?.('Failed to fetch application stats (non-fatal):', error?.message || error);
+      }
+      return null;
+    })();
+
+    if (response.success && response.categorizedEmails) {
+      // CRITICAL FIX: Only update chrome.storage if sync is NOT in progress
+      // This prevents overwriting fresh local data with stale database data
+      if (!response.sync?.inProgress) {
+        try {
+          await maybeNotifyNewEmails(previousCache, response.categorizedEmails, false);
+        } catch (e) {
+          bgLogger.warn('Notification check failed:', e?.message);
+        }
+        await linkPendingCaptures(response.categorizedEmails);
+        
+        // Save categorized emails to chrome.storage.local
+        await chrome.storage.local.set({
+          appliedEmails: response.categorizedEmails.applied || [],
+          interviewedEmails: response.categorizedEmails.interviewed || [],
+          offersEmails: response.categorizedEmails.offers || [],
+          rejectedEmails: response.categorizedEmails.rejected || [],
+          quotaData: response.quota || null, // Also cache quota data
+          [EMAILS_CACHE_META_KEY]: buildEmailsCacheMeta(previousCache?.meta, {
+            syncInProgress: false,
+            totalRelevantCount: countRelevantCategorizedEmails(response.categorizedEmails),
+            lastCompletedAt: new Date().toISOString(),
+          }),
+          categoryTotals: response.categoryTotals || null, // NEW: Cache accurate category counts
+          applicationCount: response.applicationCount || null, // Canonical count, computed backend-side
+          applicationStats: applicationStats || null // NEW: Cache application statistics
+        });
+        bgLogger.info('Emails and quota cached successfully in local storage.');
+
+        // Notify the popup that emails have been synced and cached
+        safeRuntimeSendMessage({
+          type: 'EMAILS_SYNCED',
+          success: true,
+          categorizedEmails: response.categorizedEmails,
+          categoryTotals: response.categoryTotals, // NEW: Pass category totals to popup
+          applicationCount: response.applicationCount, // Canonical count, computed backend-side
+          applicationStats: applicationStats, // NEW: Pass application stats to popup
+          quota: response.quota,
+          userEmail: userEmail, // Include userEmail for targeted updates in popup
+          syncInProgress: false
+        });
+      } else {
+        // Sync in progress - don't overwrite storage, just update quota and category totals
+        const currentCache = await chrome.storage.local.get([
+          'appliedEmails', 'interviewedEmails', 'offersEmails', 'rejectedEmails', 'irrelevantEmails'
+        ]);
+        const cachedEmails = {
+          applied: currentCache.appliedEmails || [],
+          interviewed: currentCache.interviewedEmails || [],
+          offers: currentCache.offersEmails || [],
+          rejected: currentCache.rejectedEmails || [],
+          irrelevant: currentCache.irrelevantEmails || [],
+        };
+        const mergedEmails = mergeCategorizedEmails(cachedEmails, response.categorizedEmails || {});
+        const cachedCount =
+          (mergedEmails.applied || []).length +
+          (mergedEmails.interviewed || []).length +
+          (mergedEmails.offers || []).length +
+          (mergedEmails.rejected || []).length +
+          (mergedEmails.irrelevant || []).length;
+
+        await chrome.storage.local.set({
+          appliedEmails: mergedEmails.applied || [],
+          interviewedEmails: mergedEmails.interviewed || [],
+          offersEmails: mergedEmails.offers || [],
+          rejectedEmails: mergedEmails.rejected || [],
+          irrelevantEmails: mergedEmails.irrelevant || [],
+          quotaData: response.quota || null,
+          [EMAILS_CACHE_META_KEY]: buildEmailsCacheMeta(previousCache?.meta, {
+            syncInProgress: true,
+            totalRelevantCount: cachedCount,
+          }),
+          categoryTotals: response.categoryTotals || null, // NEW: Update category totals even during sync
+          applicationCount: response.applicationCount || null, // Canonical count, computed backend-side
+          applicationStats: applicationStats || null // NEW: Update application stats even during sync
+        });
+        bgLogger.info('Sync in progress - merged backend emails into cache and updated quota/category totals.');
+
+        const emailsForUi = mergedEmails;
+
+        // Notify UI with current cached data (or primed response data) without blocking sync.
+        safeRuntimeSendMessage({
+          type: 'EMAILS_SYNCED',
+          success: true,
+          categorizedEmails: emailsForUi,
+          categoryTotals: response.categoryTotals, // NEW: Pass category totals to popup
+          applicationCount: response.applicationCount, // Canonical count, computed backend-side
+          applicationStats: applicationStats, // NEW: Pass application stats to popup
+          quota: response.quota,
+          userEmail: userEmail,
+          syncInProgress: true
+        });
+
+        // If the cache is empty (common right after a fresh login) but the backend is already
+        // counting quota/totals, fetch stored emails immediately so the user sees results fast.
+        // This is best-effort and should never block the sync response.
+        const shouldKickStoredRefresh =
+          cachedCount === 0 &&
+          (Number(response?.quota?.relevantMessagesProcessed || response?.quota?.usage || response?.quota?.totalProcessed || 0) > 0 ||
+            (response?.categoryTotals &&
+              Object.values(response.categoryTotals).some((v) => Number(v || 0) > 0)));
+        if (shouldKickStoredRefresh) {
+          refreshStoredEmailsCache(true, { skipNotify: true, skipBackfill: true }).catch((error) => {
+            reportBackgroundWarning({
+              code: 'sync_prime_cache_refresh_failed',
+              context: 'Failed to refresh stored emails while priming the first sync result set',
+              error,
+              userMessage: 'Your sync started, but loading the first set of tracked emails failed. Try Refresh again.',
+            });
+          });
+        }
+      }
+
+      // If backend indicates a background sync is in progress, start polling without blocking
+      if (response.sync?.inProgress) {
+        pollSyncStatusAndRefresh().catch(e => console.warn('Applendium Background: polling failed:', e?.message));
+      }
+
+      // Publish application stats once available (do not block the main sync response).
+      applicationStatsPromise
+        .then(async (stats) => {
+          if (!stats) return;
+          applicationStats = stats;
+          try {
+            await chrome.storage.local.set({ applicationStats });
+            const cached = await chrome.storage.local.get([
+              'appliedEmails',
+              'interviewedEmails',
+              'offersEmails',
+              'rejectedEmails',
+              'irrelevantEmails',
+              'quotaData',
+              'categoryTotals',
+            ]);
+            safeRuntimeSendMessage({
+              type: 'EMAILS_SYNCED',
+              success: true,
+              categorizedEmails: {
+                applied: cached.appliedEmails || [],
+                interviewed: cached.interviewedEmails || [],
+                offers: cached.offersEmails || [],
+                rejected: cached.rejectedEmails || [],
+                irrelevant: cached.irrelevantEmails || [],
+              },
+              ...(cached.categoryTotals ? { categoryTotals: cached.categoryTotals } : {}),
+        ...(cached.applicationCount ? { applicationCount: cached.applicationCount } : {}),
+              applicationStats,
+              quota: cached.quotaData || null,
+              userEmail,
+              syncInProgress: Boolean(response.sync?.inProgress),
+            });
+          } catch (e) {
+            bgLogger.warn?.('Failed to persist/publish application stats:', e?.message || e);
+          }
+        })
+        .catch((error) => {
+          reportBackgroundWarning({
+            code: 'application_stats_publish_failed',
+            context: 'Failed to publish deferred application stats after sync',
+            error,
+          });
+        });
+      return { success: true, categorizedEmails: response.categorizedEmails, quota: response.quota };
+    } else {
+      // Check if this is a scope or auth error requiring re-authentication
+      if (response.errorCode === 'INSUFFICIENT_SCOPES' || response.errorCode === 'INVALID_GRANT' || response.requiresReauth) {
+        console.error('❌ Applendium Background: Auth error - user needs to re-authenticate:', response.errorCode);
+        
+        // Send appropriate message type based on error
+        const messageType = response.errorCode === 'INVALID_GRANT' ? 'AUTH_ERROR' : 'SCOPE_ERROR';
+        const errorMessage = response.errorCode === 'INVALID_GRANT' 
+          ? 'Your Google session has expired. Please sign out and sign back in.'
+          : 'Your Gmail permissions are incomplete. Please sign out and sign in again.';
+        
+        // Notify popup about auth error
+        safeRuntimeSendMessage({
+          type: messageType,
+          errorCode: response.errorCode,
+          error: response.error || errorMessage,
+          requiresReauth: true
+        });
+        
+        return { success: false, error: response.error, errorCode: response.errorCode || 'INSUFFICIENT_SCOPES', requiresReauth: true };
+      }
+      
+      console.error('❌ Applendium Background: Backend sync failed or returned no emails:', response.error);
+      return { success: false, error: response.error || "Backend sync failed or returned no emails." };
+    }
+  } catch (error) {
+    console.error('❌ Applendium Background: Error during email sync:', error);
+    
+    // Check if the error response has scope/auth error information
+    if (error.errorCode === 'INSUFFICIENT_SCOPES' || error.errorCode === 'INVALID_GRANT' || error.requiresReauth) {
+      // Send appropriate message type based on error
+      const messageType = error.errorCode === 'INVALID_GRANT' ? 'AUTH_ERROR' : 'SCOPE_ERROR';
+      const errorMessage = error.errorCode === 'INVALID_GRANT' 
+        ? 'Your Google session has expired. Please sign out and sign back in.'
+        : 'Your Gmail permissions are incomplete. Please sign out and sign in again.';
+      
+      safeRuntimeSendMessage({
+        type: messageType,
+        errorCode: error.errorCode,
+        error: error.message || errorMessage,
+        requiresReauth: true
+      });
+      return { success: false, error: error.message, errorCode: error.errorCode || 'INSUFFICIENT_SCOPES', requiresReauth: true };
+    }
+    
+    return { success: false, error: error.message };
+  } finally {
+    syncInFlight = false;
+  }
+}
+
+
+/**
+ * Monitor a payment tab for completion or cancellation
+ * @param {number} tabId - The ID of the payment tab to monitor
+ * @param {string} userEmail - User's email for status checking
+ * @param {string} userId - User's ID for status checking
+ * @returns {Promise<object>} Payment result with completion status
+ */
+async function monitorPaymentFlow(tabId, userEmail, userId) {
+  return new Promise((resolve) => {
+    let pollInterval;
+    let timeoutId;
+    
+    const cleanup = () => {
+      if (pollInterval) clearInterval(pollInterval);
+      if (timeoutId) clearTimeout(timeoutId);
+      chrome.tabs.onUpdated.removeListener(tabUpdateListener);
+      chrome.tabs.onRemoved.removeListener(tabRemovedListener);
+    };
+
+    const tabUpdateListener = (updatedTabId, changeInfo, tab) => {
+      if (updatedTabId === tabId && changeInfo.url) {
+  bgLogger.info('Payment tab URL changed to:', changeInfo.url);
+        
+        // Check if we've returned to success or cancel URLs
+        if (changeInfo.url.includes('success') || changeInfo.url.includes('dashboard.stripe.com/success')) {
+          bgLogger.info('Payment completed successfully');
+          cleanup();
+          chrome.tabs.remove(tabId);
+          resolve({ success: true, sessionCompleted: true, plan: 'premium' });
+        } else if (changeInfo.url.includes('cancel') || changeInfo.url.includes('dashboard.stripe.com/cancel')) {
+          bgLogger.info('Payment cancelled');
+          cleanup();
+          chrome.tabs.remove(tabId);
+          resolve({ success: true, cancelled: true });
+        }
+      }
+    };
+
+    const tabRemovedListener = (removedTabId) => {
+      if (removedTabId === tabId) {
+  bgLogger.info('Payment tab was closed');
+        cleanup();
+        resolve({ success: true, cancelled: true });
+      }
+    };
+
+    // Listen for tab updates and removals
+    chrome.tabs.onUpdated.addListener(tabUpdateListener);
+    chrome.tabs.onRemoved.addListener(tabRemovedListener);
+
+    // Poll for payment status updates by checking subscription status
+    pollInterval = setInterval(async () => {
+      try {
+        const statusResponse = await apiFetch('/api/subscriptions/status', {
+          method: 'GET'
+        });
+        
+        if (statusResponse?.success && statusResponse.subscription?.status === 'active') {
+      bgLogger.info('Subscription detected as active during payment flow');
+          cleanup();
+          chrome.tabs.remove(tabId).catch((error) => {
+            reportBackgroundWarning({
+              code: 'payment_tab_close_failed',
+              context: 'Failed to close payment tab after successful premium activation',
+              error,
+            });
+          }); // Tab might already be closed
+          resolve({ success: true, sessionCompleted: true, plan: 'premium' });
+        }
+      } catch (error) {
+        console.warn('⚠️ Applendium Background: Error checking subscription status during payment flow:', error);
+      }
+    }, 3000); // Check every 3 seconds
+
+    // Timeout after 10 minutes
+    timeoutId = setTimeout(() => {
+  bgLogger.info('Payment flow timed out after 10 minutes');
+      cleanup();
+      chrome.tabs.remove(tabId).catch((error) => {
+        reportBackgroundWarning({
+          code: 'payment_tab_close_failed',
+          context: 'Failed to close payment tab after timeout',
+          error,
+        });
+      }); // Tab might already be closed
+      resolve({ success: true, cancelled: true });
+    }, 600000);
+  });
+}
+
+/**
+ * Refresh subscription status and update local storage
+ * @param {string} userEmail - User's email
+ * @param {string} userId - User's ID
+ */
+async function refreshSubscriptionStatus(userEmail, userId) {
+  try {
+    const statusResponse = await apiFetch('/api/subscriptions/status', {
+      method: 'GET'
+    });
+    
+    if (statusResponse?.success && statusResponse.subscription) {
+      const subscription = statusResponse.subscription;
+  bgLogger.info('Subscription status updated:', subscription);
+      
+      // Update local storage with new subscription info
+      await chrome.storage.local.set({
+        userPlan: subscription.plan,
+        subscriptionStatus: subscription.status,
+        subscriptionDetails: subscription
+      });
+      
+      // Notify popup of subscription changes
+      safeRuntimeSendMessage({
+        type: 'SUBSCRIPTION_UPDATED',
+        subscription: subscription
+      });
+    }
+  } catch (error) {
+    console.error('❌ Applendium Background: Error refreshing subscription status:', error);
+  }
+}
+
+// --- Chrome Runtime Message Listener (for popup/content script communication) ---
+// Registered immediately upon activation.
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  const incomingType = typeof msg?.type === 'string' ? msg.type : '<invalid>';
+  bgLogger.info(`Received message type: ${incomingType}`);
+
+  // Use an async IIFE to allow await inside the listener
+  (async () => {
+    const validation = validateIncomingMessage(msg);
+    if (!validation.valid) {
+      sendResponse({ success: false, error: validation.error });
+      return;
+    }
+    msg = validation.message;
+
+    if (msg.type === 'GET_BUILD_INFO') {
+      const manifest = chrome.runtime.getManifest?.() || {};
+      sendResponse({
+        success: true,
+        build: {
+          id: chrome.runtime.id,
+          name: manifest.name,
+          version: manifest.version,
+          version_name: manifest.version_name,
+        },
+        runtime: {
+          backendBaseUrl,
+          backendBaseUrlDefault: DEFAULT_BACKEND_BASE_URL,
+          backendBaseUrlOverridden: backendBaseUrl !== DEFAULT_BACKEND_BASE_URL,
+          premiumDashboardUrl,
+          premiumDashboardUrlDefault: DEFAULT_PREMIUM_DASHBOARD_URL,
+          premiumDashboardUrlOverridden: premiumDashboardUrl !== DEFAULT_PREMIUM_DASHBOARD_URL,
+        },
+        testing: buildExtensionTestingStatus(null),
+      });
+      return;
+    }
+
+    if (msg.type === 'GET_EXTENSION_TEST_STATE' || msg.type === 'LIST_EXTENSION_TEST_SCENARIOS') {
+      const testingState = await getExtensionTestingLabState();
+      sendResponse({
+        success: true,
+        scenarios: EXTENSION_TESTING_ENABLED ? listExtensionTestScenarios() : [],
+        testing: buildExtensionTestingStatus(testingState.state),
+        snapshot: testingState.snapshot || null,
+      });
+      return;
+    }
+
+    if (msg.type === 'ACTIVATE_EXTENSION_TEST_SCENARIO') {
+      sendResponse(
+        EXTENSION_TESTING_ENABLED
+          ? await installExtensionTestScenario(msg.scenarioId)
+          : { success: false, error: 'Extension test mode is only available in the development build.' }
+      );
+      return;
+    }
+
+    if (msg.type === 'DEACTIVATE_EXTENSION_TEST_MODE') {
+      sendResponse(await deactivateExtensionTestMode());
+      return;
+    }
+
+    // Get current user info from local storage for API calls if available
+    // This is important because auth.currentUser might not be immediately available
+    // when a message comes in, but local storage should hold the last known state.
+    const currentUserInfo = await chrome.storage.local.get(['userEmail', 'userId']);
+    const currentUserId = currentUserInfo.userId;
+    const currentUserEmail = currentUserInfo.userEmail;
+    const extensionTestingState = await getExtensionTestingState();
+
+    if (await maybeHandleExtensionTestingMessage({
+      msg,
+      sendResponse,
+      testingState: extensionTestingState,
+      currentUserEmail,
+    })) {
+      return;
+    }
+
+	    // Check if user info is available for operations requiring it
+	    const isUserAuthenticated = !!auth.currentUser && !auth.currentUser.isAnonymous;
+	    const hasCachedUserInfo = !!currentUserEmail && !!currentUserId;
+
+    // For any message type *other than* the allowlisted unauthenticated calls, we expect user info to be present.
+    // If not, we respond with an error.
+    const unauthAllowed = new Set([
+      'LOGIN_GOOGLE_OAUTH',
+      'GET_BACKEND_BASE_URL',
+      'SET_BACKEND_BASE_URL',
+      'GET_PREMIUM_DASHBOARD_URL',
+      'SET_PREMIUM_DASHBOARD_URL',
+      'GET_BUILD_INFO',
+      'GET_ID_TOKEN',
+      'LIST_EXTENSION_TEST_SCENARIOS',
+      'GET_EXTENSION_TEST_STATE',
+      'ACTIVATE_EXTENSION_TEST_SCENARIO',
+      'DEACTIVATE_EXTENSION_TEST_MODE',
+    ]);
+    if (!isUserAuthenticated && !hasCachedUserInfo && !unauthAllowed.has(msg.type)) {
+      console.warn(`Applendium Background: User not authenticated or user info not cached for message type: ${msg.type}.`);
+      sendResponse({ success: false, error: "User not authenticated or user info not available." });
+      return;
+    }
+
+    switch (msg.type) {
+      case 'GET_BUILD_INFO': {
+        const manifest = chrome.runtime.getManifest?.() || {};
+        sendResponse({
+          success: true,
+          build: {
+            id: chrome.runtime.id,
+            name: manifest.name,
+            version: manifest.version,
+            version_name: manifest.version_name,
+          },
+          runtime: {
+            backendBaseUrl,
+            backendBaseUrlDefault: DEFAULT_BACKEND_BASE_URL,
+            backendBaseUrlOverridden: backendBaseUrl !== DEFAULT_BACKEND_BASE_URL,
+            premiumDashboardUrl,
+            premiumDashboardUrlDefault: DEFAULT_PREMIUM_DASHBOARD_URL,
+            premiumDashboardUrlOverridden: premiumDashboardUrl !== DEFAULT_PREMIUM_DASHBOARD_URL,
+          },
+          testing: buildExtensionTestingStatus(extensionTestingState.state),
+        });
+        break;
+      }
+      case 'GET_BACKEND_BASE_URL':
+        sendResponse({ success: true, backendBaseUrl });
+        break;
+
+      case 'GET_PREMIUM_DASHBOARD_URL':
+        await premiumDashboardUrlReadyPromise;
+        sendResponse({ success: true, premiumDashboardUrl });
+        break;
+
+      case 'SET_BACKEND_BASE_URL':
+        try {
+          // Only allow extension pages (popup/options) to set this.
+          // Content scripts run on web pages and should not be able to redirect the backend.
+          const senderUrl = sender?.url || '';
+          const isExtensionPage = isExtensionPageSenderUrl(senderUrl);
+          const isServiceWorkerContext = !senderUrl; // some Chrome contexts omit sender.url
+          const allowedSender = isExtensionPage || isServiceWorkerContext;
+          if (!allowedSender) {
+            sendResponse({ success: false, error: 'Not allowed from this sender context.' });
+            break;
+          }
+
+          const requested = msg?.backendBaseUrl;
+          if (!requested) {
+            await chrome.storage.local.remove([BACKEND_BASE_URL_STORAGE_KEY]);
+            backendBaseUrl = DEFAULT_BACKEND_BASE_URL;
+            sendResponse({ success: true, backendBaseUrl, resetToDefault: true });
+            break;
+          }
+
+          if (!isAllowedBackendBaseUrlOverride(requested)) {
+            sendResponse({
+              success: false,
+              error: 'Backend override must be localhost or the approved deployed backend URL allowed by the current extension manifest and CSP.',
+            });
+            break;
+          }
+
+          backendBaseUrl = normalizeBaseUrl(requested);
+          await chrome.storage.local.set({ [BACKEND_BASE_URL_STORAGE_KEY]: backendBaseUrl });
+          sendResponse({ success: true, backendBaseUrl });
+        } catch (e) {
+          sendResponse({ success: false, error: e?.message || String(e) });
+        }
+        break;
+
+      case 'SET_PREMIUM_DASHBOARD_URL':
+        try {
+          const senderUrl = sender?.url || '';
+          const isExtensionPage = isExtensionPageSenderUrl(senderUrl);
+          const isServiceWorkerContext = !senderUrl;
+          const allowedSender = isExtensionPage || isServiceWorkerContext;
+          if (!allowedSender) {
+            sendResponse({ success: false, error: 'Not allowed from this sender context.' });
+            break;
+          }
+
+          const requested = msg?.premiumDashboardUrl;
+          if (!requested) {
+            await chrome.storage.local.remove([PREMIUM_DASHBOARD_URL_STORAGE_KEY]);
+            premiumDashboardUrl = DEFAULT_PREMIUM_DASHBOARD_URL;
+            sendResponse({ success: true, premiumDashboardUrl, resetToDefault: true });
+            break;
+          }
+
+          if (!isAllowedPremiumDashboardUrlOverride(requested)) {
+            sendResponse({ success: false, error: 'Premium URL override must be https://... or localhost http://...' });
+            break;
+          }
+
+          premiumDashboardUrl = normalizeBaseUrl(requested);
+          await chrome.storage.local.set({ [PREMIUM_DASHBOARD_URL_STORAGE_KEY]: premiumDashboardUrl });
+          sendResponse({ success: true, premiumDashboardUrl });
+        } catch (e) {
+          sendResponse({ success: false, error: e?.message || String(e) });
+        }
+        break;
+
+      case 'LOGIN_GOOGLE_OAUTH':
+        try {
+          if (!FIREBASE_AUTH_AVAILABLE) {
+            sendResponse(getFirebaseAuthUnavailableResponse());
+            break;
+          }
+
+          const redirectUriForBackend = chrome.identity.getRedirectURL();
+          let finalAuthUrl = null;
+
+          notifyAuthFlowStage('building_auth_url', { redirectUri: redirectUriForBackend });
+          try {
+            finalAuthUrl = buildGoogleOAuthUrl(redirectUriForBackend);
+          } catch (buildError) {
+            notifyAuthFlowStage('building_auth_url_failed', { error: buildError.message });
+            const authUrlResponse = await apiFetch(CONFIG_ENDPOINTS.AUTH_URL, {
+              method: 'GET',
+              headers: { 'Content-Type': 'application/json' },
+              query: { redirect_uri: redirectUriForBackend },
+              skipAuthReady: true,
+              allowUnauthenticated: true
+            });
+            if (!authUrlResponse.success || !authUrlResponse.url) {
+              throw new Error(authUrlResponse.error || 'Failed to get auth URL from backend.');
+            }
+            finalAuthUrl = authUrlResponse.url;
+          }
+
+          notifyAuthFlowStage('launching_web_auth_flow');
+          bgLogger.info(`Attempting to launch Web Auth Flow with URL: ${finalAuthUrl}`);
+          const authRedirectUrl = await chrome.identity.launchWebAuthFlow({
+            url: finalAuthUrl,
+            interactive: true
+          });
+          if (!authRedirectUrl) {
+            throw new Error('OAuth flow cancelled or failed.');
+          }
+          notifyAuthFlowStage('received_auth_redirect');
+
+          // Step 2: Extract authorization code
+          const urlParams = new URLSearchParams(new URL(authRedirectUrl).search);
+          const code = urlParams.get('code');
+          if (!code) {
+            throw new Error('Authorization code not found in redirect URL.');
+          }
+
+          // Step 3: Exchange code for tokens
+          const tokenResponse = await apiFetch(CONFIG_ENDPOINTS.AUTH_TOKEN, {
+            method: 'POST',
+            body: { code, redirect_uri: redirectUriForBackend },
+            skipAuthReady: true,
+            allowUnauthenticated: true
+          });
+          if (!tokenResponse.success || !tokenResponse.firebaseToken) {
+            throw new Error(tokenResponse.error || 'Failed to exchange code for Firebase token.');
+          }
+
+          // Step 4: Sign in to Firebase with custom token
+          const userCredential = await signInWithCustomToken(auth, tokenResponse.firebaseToken);
+          const user = userCredential.user;
+          resolveAuthReady('custom-token-login');
+          bgLogger.info('Successfully signed in to Firebase with custom token.');
+
+          await chrome.storage.local.set({
+            userEmail: user.email,
+            userName: tokenResponse.userName || user.email,
+            userId: user.uid,
+            userPlan: tokenResponse.userPlan || 'free'
+          });
+
+          startPostLoginBackgroundWork(user);
+
+          sendResponse({ success: true, userEmail: user.email, userName: tokenResponse.userName, userPlan: tokenResponse.userPlan, userId: user.uid });
+        } catch (error) {
+          notifyAuthFlowStage('login_error', { error: error.message });
+	          console.error('Applendium Background: Error during Google OAuth login:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
+
+      case 'LOGOUT':
+        try {
+          if (!FIREBASE_AUTH_AVAILABLE) {
+            await chrome.storage.local.remove(['userEmail', 'userName', 'userId', 'userPlan', 'appliedEmails', 'interviewedEmails', 'offersEmails', 'rejectedEmails', 'quotaData', 'followUpSuggestions', CADENCE_SUGGESTIONS_STORAGE_KEY, EMAILS_CACHE_META_KEY, NOTIFICATION_TARGETS_STORAGE_KEY]);
+            await clearAllReminders();
+            await clearHeldNotifications();
+            await clearOutbox();
+            await clearSelectedThread();
+            sendResponse({ success: true, authUnavailable: true });
+            break;
+          }
+
+          await signOut(auth);
+          bgLogger.info("User signed out from Firebase.");
+          // onAuthStateChanged listener will handle clearing storage.
+          sendResponse({ success: true });
+        } catch (error) {
+          console.error("❌ Applendium Background: Error during logout:", error);
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
+
+      case 'FETCH_USER_PLAN':
+        try {
+          const response = await apiFetch(CONFIG_ENDPOINTS.FETCH_USER_PLAN, {
+            method: 'POST',
+            body: { email: currentUserEmail, userEmail: currentUserEmail, userId: currentUserId }
+          });
+          if (response.success) {
+            await chrome.storage.local.set({ userPlan: response.plan });
+            sendResponse({ success: true, plan: response.plan });
+          } else {
+            sendResponse({ success: false, error: response.error });
+          }
+        } catch (error) {
+          console.error('❌ Applendium Background: Error fetching user plan:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
+
+      case 'UPDATE_USER_PLAN':
+        try {
+          const { newPlan } = msg;
+          const response = await apiFetch(CONFIG_ENDPOINTS.UPDATE_USER_PLAN, {
+            method: 'POST',
+            body: { newPlan, userEmail: currentUserEmail, email: currentUserEmail, userId: currentUserId }
+          });
+          if (response.success) {
+            await chrome.storage.local.set({ userPlan: newPlan });
+          }
+          // Refresh cached emails so application linking (applicationId/isClosed) is reflected in the UI.
+          // The backend may have re-linked this email to an existing application.
+          try {
+            await refreshStoredEmailsCache();
+          } catch (e) {
+            bgLogger.warn?.('Failed to refresh stored emails after company correction:', e?.message);
+          }
+
+          sendResponse(response);
+        } catch (error) {
+          console.error('❌ Applendium Background: Error updating user plan:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
+
+      case 'FETCH_STORED_EMAILS':
+        // This message is now primarily handled by the popup reading directly from chrome.storage.local.
+        console.warn("Applendium Background: Received FETCH_STORED_EMAILS, but popup should read directly from local storage.");
+        sendResponse({ success: true, message: "Handled by popup's direct storage access." });
+        break;
+
+      case 'REFRESH_STORED_EMAILS_CACHE':
+        try {
+          const staleOnly = msg?.staleOnly !== false;
+          if (staleOnly) {
+            const stale = await isStoredEmailsCacheStale();
+            if (!stale) {
+              sendResponse({ success: true, skipped: true, reason: 'cache_fresh' });
+              break;
+            }
+          }
+
+          const refreshed = await refreshStoredEmailsCache(undefined, { skipNotify: true, skipBackfill: true });
+          sendResponse(refreshed);
+        } catch (error) {
+          console.error('❌ Applendium Background: Error refreshing stored email cache:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
+
+      case 'FETCH_NEW_EMAILS':
+        try {
+          // Use current cached info for sync
+          const syncResult = await triggerEmailSync(currentUserEmail, currentUserId, msg.fullRefresh);
+          sendResponse(syncResult); // Send back { success: true, categorizedEmails: {...}, quota: {...} }
+        } catch (error) {
+          console.error("❌ Applendium Background: Error fetching new emails:", error);
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
+
+  // Backfill handlers removed
+
+      case 'FETCH_QUOTA_DATA':
+        try {
+          // Quota polling must not trigger sync/classification work. Use /sync-status.
+          if (!currentUserId || !currentUserEmail) {
+            sendResponse({ success: false, error: 'Not authenticated' });
+            break;
+          }
+
+          const status = await apiFetch(CONFIG_ENDPOINTS.SYNC_STATUS, { method: 'GET' });
+          if (status?.success && status?.quota) {
+            await chrome.storage.local.set({ quotaData: status.quota });
+            // If quota indicates activity but the email cache is empty, try a lightweight
+            // stored-emails refresh so users don't see "quota used" with no emails.
+            try {
+              const cached = await chrome.storage.local.get([
+                'appliedEmails',
+                'interviewedEmails',
+                'offersEmails',
+                'rejectedEmails',
+              ]);
+              const cachedCount =
+                (cached.appliedEmails || []).length +
+                (cached.interviewedEmails || []).length +
+                (cached.offersEmails || []).length +
+                (cached.rejectedEmails || []).length;
+              const quotaUsage = Number(status?.quota?.relevantMessagesProcessed || status?.quota?.usage || status?.quota?.totalProcessed || 0);
+              if (cachedCount === 0 && quotaUsage > 0) {
+                refreshStoredEmailsCache(Boolean(status?.sync?.inProgress), { skipNotify: true, skipBackfill: true }).catch((error) => {
+                  reportBackgroundWarning({
+                    code: 'quota_poll_cache_refresh_failed',
+                    context: 'Failed to refresh stored emails after quota polling detected tracked activity',
+                    error,
+                    userMessage: 'Tracked emails are available, but loading the latest list failed. Try Refresh again.',
+                  });
+                });
+              }
+            } catch (error) {
+              reportBackgroundWarning({
+                code: 'quota_poll_cache_probe_failed',
+                context: 'Failed to inspect cached email counts during quota polling',
+                error,
+              });
+            }
+            sendResponse({
+              success: true,
+              quota: status.quota,
+              sync: {
+                ...status.sync,
+                lastCompletedAt: (
+                  await chrome.storage.local.get([EMAILS_CACHE_META_KEY]).catch((error) => {
+                    reportBackgroundWarning({
+                      code: 'quota_poll_meta_read_failed',
+                      context: 'Failed to read email cache metadata during quota polling',
+                      error,
+                    });
+                    return {};
+                  })
+                )?.[EMAILS_CACHE_META_KEY]?.lastCompletedAt || null,
+              },
+              dataCompleteness: status.dataCompleteness,
+              // A dead Google refresh token stops the inbox flowing without
+              // changing anything else here — sync just goes quiet and the
+              // cached pipeline still renders. Carry the flag so the popup can
+              // say so instead of showing a stale view as if it were current.
+              gmailAuth: status.gmailAuth || null,
+            });
+          } else {
+            sendResponse({ success: false, error: status?.error || 'Quota data not found in response.' });
+          }
+        } catch (error) {
+          console.error('❌ Applendium Background: Error fetching quota data:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
 
-  // Use an async IIFE to allow await inside the listener
-  (async () => {
-    const validation = validateIncomingMessage(msg);
-    if (!validation.valid) {
-      sendResponse({ success: false, error: validation.error });
-      return;
-    }
-    msg = validation.message;
+      case 'FETCH_FOLLOWUP_SUGGESTIONS':
+        try {
+          const response = await apiFetch(CONFIG_ENDPOINTS.FOLLOWUP_NEEDED, {
+            method: 'POST',
+            body: { userEmail: currentUserEmail, email: currentUserEmail, userId: currentUserId }
+          });
+          if (response.success && response.suggestions) {
+            await chrome.storage.local.set({ followUpSuggestions: response.suggestions });
+            sendResponse({ success: true, suggestions: response.suggestions });
+          } else {
+            sendResponse({ success: false, error: response.error || 'Follow-up suggestions not found.' });
+          }
+        } catch (error) {
+          console.error('❌ Applendium Background: Error fetching follow-up suggestions:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
 
-    if (msg.type === 'GET_BUILD_INFO') {
-      const manifest = chrome.runtime.getManifest?.() || {};
-      sendResponse({
-        success: true,
-        build: {
-          id: chrome.runtime.id,
-          name: manifest.name,
-          version: manifest.version,
-          version_name: manifest.version_name,
-        },
-        runtime: {
-          backendBaseUrl,
-          backendBaseUrlDefault: DEFAULT_BACKEND_BASE_URL,
-          backendBaseUrlOverridden: backendBaseUrl !== DEFAULT_BACKEND_BASE_URL,
-          premiumDashboardUrl,
-          premiumDashboardUrlDefault: DEFAULT_PREMIUM_DASHBOARD_URL,
-          premiumDashboardUrlOverridden: premiumDashboardUrl !== DEFAULT_PREMIUM_DASHBOARD_URL,
-        },
-        testing: buildExtensionTestingStatus(null),
-      });
-      return;
-    }
+      case 'SUGGESTION_ACTION':
+        try {
+          const response = await apiFetch('/api/suggestions/action', {
+            method: 'POST',
+            body: { 
+              threadId: msg.threadId, 
+              actionType: msg.actionType,
+              userEmail: currentUserEmail, 
+              userId: currentUserId 
+            }
+          });
+          // Refresh cached emails so application linking (applicationId/isClosed) is reflected in the UI.
+          // This enables the Application Journey to appear and ensures "Active" reflects closure.
+          try {
+            await refreshStoredEmailsCache();
+          } catch (e) {
+            bgLogger.warn?.('Failed to refresh stored emails after position correction:', e?.message);
+          }
 
-    if (msg.type === 'GET_EXTENSION_TEST_STATE' || msg.type === 'LIST_EXTENSION_TEST_SCENARIOS') {
-      const testingState = await getExtensionTestingLabState();
-      sendResponse({
-        success: true,
-        scenarios: EXTENSION_TESTING_ENABLED ? listExtensionTestScenarios() : [],
-        testing: buildExtensionTestingStatus(testingState.state),
-        snapshot: testingState.snapshot || null,
-      });
-      return;
-    }
+          sendResponse(response);
+        } catch (error) {
+          console.error('❌ Applendium Background: Error marking suggestion action:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
 
-    if (msg.type === 'ACTIVATE_EXTENSION_TEST_SCENARIO') {
-      sendResponse(
-        EXTENSION_TESTING_ENABLED
-          ? await installExtensionTestScenario(msg.scenarioId)
-          : { success: false, error: 'Extension test mode is only available in the development build.' }
-      );
-      return;
-    }
+      case 'SUGGESTION_SNOOZE':
+        try {
+          const response = await apiFetch('/api/suggestions/snooze', {
+            method: 'POST',
+            body: { 
+              threadId: msg.threadId, 
+              actionType: msg.actionType,
+              snoozeDuration: msg.snoozeDuration,
+              userEmail: currentUserEmail, 
+              userId: currentUserId 
+            }
+          });
+          sendResponse(response);
+        } catch (error) {
+          console.error('❌ Applendium Background: Error snoozing suggestion:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
 
-    if (msg.type === 'DEACTIVATE_EXTENSION_TEST_MODE') {
-      sendResponse(await deactivateExtensionTestMode());
-      return;
-    }
+      case 'UNDO_SUGGESTION_ACTION':
+        try {
+          const response = await apiFetch('/api/suggestions/action', {
+            method: 'DELETE',
+            body: { 
+              threadId: msg.threadId, 
+              actionType: msg.actionType,
+              userEmail: currentUserEmail, 
+              userId: currentUserId 
+            }
+          });
+          sendResponse(response);
+        } catch (error) {
+          console.error('❌ Applendium Background: Error undoing suggestion action:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
 
-    // Get current user info from local storage for API calls if available
-    // This is important because auth.currentUser might not be immediately available
-    // when a message comes in, but local storage should hold the last known state.
-    const currentUserInfo = await chrome.storage.local.get(['userEmail', 'userId']);
-    const currentUserId = currentUserInfo.userId;
-    const currentUserEmail = currentUserInfo.userEmail;
-    const extensionTestingState = await getExtensionTestingState();
+      case 'CREATE_REMINDER':
+        try {
+          const reminder = await createThreadReminder(msg.payload);
+          sendResponse({ success: true, reminder });
+        } catch (error) {
+          console.error('❌ Applendium Background: Error creating reminder:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
 
-    if (await maybeHandleExtensionTestingMessage({
-      msg,
-      sendResponse,
-      testingState: extensionTestingState,
-      currentUserEmail,
-    })) {
-      return;
-    }
+      case 'LIST_REMINDERS':
+        try {
+          const reminders = await readReminders();
+          sendResponse({ success: true, reminders });
+        } catch (error) {
+          console.error('❌ Applendium Background: Error listing reminders:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
 
-	    // Check if user info is available for operations requiring it
-	    const isUserAuthenticated = !!auth.currentUser && !auth.currentUser.isAnonymous;
-	    const hasCachedUserInfo = !!currentUserEmail && !!currentUserId;
+      case 'RESCHEDULE_REMINDER':
+        try {
+          const reminder = await rescheduleThreadReminder(msg.payload.reminderId, msg.payload.when);
+          sendResponse(reminder ? { success: true, reminder } : { success: false, error: 'Reminder not found.' });
+        } catch (error) {
+          console.error('❌ Applendium Background: Error rescheduling reminder:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
 
-    // For any message type *other than* the allowlisted unauthenticated calls, we expect user info to be present.
-    // If not, we respond with an error.
-    const unauthAllowed = new Set([
-      'LOGIN_GOOGLE_OAUTH',
-      'GET_BACKEND_BASE_URL',
-      'SET_BACKEND_BASE_URL',
-      'GET_PREMIUM_DASHBOARD_URL',
-      'SET_PREMIUM_DASHBOARD_URL',
-      'GET_BUILD_INFO',
-      'GET_ID_TOKEN',
-      'LIST_EXTENSION_TEST_SCENARIOS',
-      'GET_EXTENSION_TEST_STATE',
-      'ACTIVATE_EXTENSION_TEST_SCENARIO',
-      'DEACTIVATE_EXTENSION_TEST_MODE',
-    ]);
-    if (!isUserAuthenticated && !hasCachedUserInfo && !unauthAllowed.has(msg.type)) {
-      console.warn(`Applendium Background: User not authenticated or user info not cached for message type: ${msg.type}.`);
-      sendResponse({ success: false, error: "User not authenticated or user info not available." });
-      return;
-    }
+      case 'COMPLETE_REMINDER':
+        try {
+          const reminder = await completeThreadReminder(msg.payload.reminderId);
+          sendResponse(reminder ? { success: true, reminder } : { success: false, error: 'Reminder not found.' });
+        } catch (error) {
+          console.error('❌ Applendium Background: Error completing reminder:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
 
-    switch (msg.type) {
-      case 'GET_BUILD_INFO': {
-        const manifest = chrome.runtime.getManifest?.() || {};
-        sendResponse({
-          success: true,
-          build: {
-            id: chrome.runtime.id,
-            name: manifest.name,
-            version: manifest.version,
-            version_name: manifest.version_name,
-          },
-          runtime: {
-            backendBaseUrl,
-            backendBaseUrlDefault: DEFAULT_BACKEND_BASE_URL,
-            backendBaseUrlOverridden: backendBaseUrl !== DEFAULT_BACKEND_BASE_URL,
-            premiumDashboardUrl,
-            premiumDashboardUrlDefault: DEFAULT_PREMIUM_DASHBOARD_URL,
-            premiumDashboardUrlOverridden: premiumDashboardUrl !== DEFAULT_PREMIUM_DASHBOARD_URL,
-          },
-          testing: buildExtensionTestingStatus(extensionTestingState.state),
-        });
+      case 'CANCEL_REMINDER':
+        try {
+          const cancelled = await cancelThreadReminder(msg.payload.reminderId);
+          sendResponse(cancelled ? { success: true } : { success: false, error: 'Reminder not found.' });
+        } catch (error) {
+          console.error('❌ Applendium Background: Error cancelling reminder:', error);
+          sendResponse({ success: false, error: error.message });
+        }
         break;
-      }
-      case 'GET_BACKEND_BASE_URL':
-        sendResponse({ success: true, backendBaseUrl });
+
+      case 'LIST_MANUAL_APPLICATIONS':
+        try {
+          sendResponse({ success: true, applications: await readManualApplications() });
+        } catch (error) {
+          console.error('❌ Applendium Background: Error listing manual applications:', error);
+          sendResponse({ success: false, error: error.message });
+        }
         break;
 
-      case 'GET_PREMIUM_DASHBOARD_URL':
-        await premiumDashboardUrlReadyPromise;
-        sendResponse({ success: true, premiumDashboardUrl });
+      case 'CREATE_MANUAL_APPLICATION':
+        try {
+          const application = await addManualApplication(msg.payload);
+          sendResponse({ success: true, application });
+        } catch (error) {
+          console.error('❌ Applendium Background: Error adding manual application:', error);
+          sendResponse({ success: false, error: error.message });
+        }
         break;
 
-      case 'SET_BACKEND_BASE_URL':
+      case 'IMPORT_MANUAL_APPLICATIONS':
         try {
-          // Only allow extension pages (popup/options) to set this.
-          // Content scripts run on web pages and should not be able to redirect the backend.
-          const senderUrl = sender?.url || '';
-          const isExtensionPage = isExtensionPageSenderUrl(senderUrl);
-          const isServiceWorkerContext = !senderUrl; // some Chrome contexts omit sender.url
-          const allowedSender = isExtensionPage || isServiceWorkerContext;
-          if (!allowedSender) {
-            sendResponse({ success: false, error: 'Not allowed from this sender context.' });
-            break;
-          }
+          sendResponse({ success: true, ...(await importManualApplications(msg.payload.applications)) });
+        } catch (error) {
+          console.error('❌ Applendium Background: Error importing applications:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
 
-          const requested = msg?.backendBaseUrl;
-          if (!requested) {
-            await chrome.storage.local.remove([BACKEND_BASE_URL_STORAGE_KEY]);
-            backendBaseUrl = DEFAULT_BACKEND_BASE_URL;
-            sendResponse({ success: true, backendBaseUrl, resetToDefault: true });
-            break;
-          }
+      case 'UNDO_MANUAL_APPLICATION_IMPORT':
+        try {
+          const removed = await undoManualApplicationImport(msg.payload.batchId);
+          sendResponse(removed > 0 ? { success: true, removed } : { success: false, error: 'Import not found.' });
+        } catch (error) {
+          console.error('❌ Applendium Background: Error undoing import:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
 
-          if (!isAllowedBackendBaseUrlOverride(requested)) {
-            sendResponse({
-              success: false,
-              error: 'Backend override must be localhost or the approved deployed backend URL allowed by the current extension manifest and CSP.',
-            });
-            break;
-          }
+      case 'UPDATE_MANUAL_APPLICATION':
+        try {
+          const { application, error } = await editManualApplication(msg.payload.applicationId, msg.payload.changes);
+          sendResponse(application ? { success: true, application } : { success: false, error });
+        } catch (error) {
+          console.error('❌ Applendium Background: Error updating manual application:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
 
-          backendBaseUrl = normalizeBaseUrl(requested);
-          await chrome.storage.local.set({ [BACKEND_BASE_URL_STORAGE_KEY]: backendBaseUrl });
-          sendResponse({ success: true, backendBaseUrl });
-        } catch (e) {
-          sendResponse({ success: false, error: e?.message || String(e) });
+      case 'DELETE_MANUAL_APPLICATION':
+        try {
+          const removed = await removeManualApplication(msg.payload.applicationId);
+          sendResponse(removed ? { success: true } : { success: false, error: 'Application not found.' });
+        } catch (error) {
+          console.error('❌ Applendium Background: Error deleting manual application:', error);
+          sendResponse({ success: false, error: error.message });
         }
         break;
 
-      case 'SET_PREMIUM_DASHBOARD_URL':
+      case 'LIST_OUTBOX':
         try {
-          const senderUrl = sender?.url || '';
-          const isExtensionPage = isExtensionPageSenderUrl(senderUrl);
-          const isServiceWorkerContext = !senderUrl;
-          const allowedSender = isExtensionPage || isServiceWorkerContext;
-          if (!allowedSender) {
-            sendResponse({ success: false, error: 'Not allowed from this sender context.' });
-            break;
-          }
+          sendResponse({ success: true, ...(await getOutboxState()) });
+        } catch (error) {
+          console.error('❌ Applendium Background: Error listing outbox:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
 
-          const requested = msg?.premiumDashboardUrl;
-          if (!requested) {
-            await chrome.storage.local.remove([PREMIUM_DASHBOARD_URL_STORAGE_KEY]);
-            premiumDashboardUrl = DEFAULT_PREMIUM_DASHBOARD_URL;
-            sendResponse({ success: true, premiumDashboardUrl, resetToDefault: true });
-            break;
-          }
+      case 'DISMISS_OUTBOX_CONFLICT':
+        try {
+          const dismissed = await dismissOutboxConflict(msg.payload.conflictId);
+          sendResponse(dismissed ? { success: true } : { success: false, error: 'Conflict not found.' });
+        } catch (error) {
+          console.error('❌ Applendium Background: Error dismissing outbox conflict:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
 
-          if (!isAllowedPremiumDashboardUrlOverride(requested)) {
-            sendResponse({ success: false, error: 'Premium URL override must be https://... or localhost http://...' });
-            break;
-          }
+      case 'GET_NOTIFICATION_SETTINGS':
+        try {
+          sendResponse({ success: true, ...(await getNotificationSettings()) });
+        } catch (error) {
+          console.error('❌ Applendium Background: Error reading notification settings:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
 
-          premiumDashboardUrl = normalizeBaseUrl(requested);
-          await chrome.storage.local.set({ [PREMIUM_DASHBOARD_URL_STORAGE_KEY]: premiumDashboardUrl });
-          sendResponse({ success: true, premiumDashboardUrl });
-        } catch (e) {
-          sendResponse({ success: false, error: e?.message || String(e) });
+      case 'UPDATE_NOTIFICATION_SETTINGS':
+        try {
+          sendResponse({ success: true, ...(await updateNotificationSettings(msg.payload)) });
+        } catch (error) {
+          console.error('❌ Applendium Background: Error updating notification settings:', error);
+          sendResponse({ success: false, error: error.message });
         }
         break;
 
-      case 'LOGIN_GOOGLE_OAUTH':
+      case 'GET_DIGEST':
         try {
-          if (!FIREBASE_AUTH_AVAILABLE) {
-            sendResponse(getFirebaseAuthUnavailableResponse());
-            break;
-          }
+          const settings = await readDigestSettings();
+          const frequency = msg.payload.frequency || (settings.frequency === 'weekly' ? 'weekly' : 'daily');
+          sendResponse({ success: true, settings, digest: await buildCurrentDigest(frequency) });
+        } catch (error) {
+          console.error('❌ Applendium Background: Error building digest:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
 
-          const redirectUriForBackend = chrome.identity.getRedirectURL();
-          let finalAuthUrl = null;
+      case 'UPDATE_DIGEST_SETTINGS':
+        try {
+          sendResponse({ success: true, settings: await updateDigestSettings(msg.payload.settings) });
+        } catch (error) {
+          console.error('❌ Applendium Background: Error updating digest settings:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
 
-          notifyAuthFlowStage('building_auth_url', { redirectUri: redirectUriForBackend });
-          try {
-            finalAuthUrl = buildGoogleOAuthUrl(redirectUriForBackend);
-          } catch (buildError) {
-            notifyAuthFlowStage('building_auth_url_failed', { error: buildError.message });
-            const authUrlResponse = await apiFetch(CONFIG_ENDPOINTS.AUTH_URL, {
-              method: 'GET',
-              headers: { 'Content-Type': 'application/json' },
-              query: { redirect_uri: redirectUriForBackend },
-              skipAuthReady: true,
-              allowUnauthenticated: true
-            });
-            if (!authUrlResponse.success || !authUrlResponse.url) {
-              throw new Error(authUrlResponse.error || 'Failed to get auth URL from backend.');
-            }
-            finalAuthUrl = authUrlResponse.url;
-          }
+      case 'LIST_INTERVIEW_PREP':
+        try {
+          sendResponse({ success: true, prep: await readInterviewPrep() });
+        } catch (error) {
+          console.error('❌ Applendium Background: Error listing interview prep:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
 
-          notifyAuthFlowStage('launching_web_auth_flow');
-          bgLogger.info(`Attempting to launch Web Auth Flow with URL: ${finalAuthUrl}`);
-          const authRedirectUrl = await chrome.identity.launchWebAuthFlow({
-            url: finalAuthUrl,
-            interactive: true
-          });
-          if (!authRedirectUrl) {
-            throw new Error('OAuth flow cancelled or failed.');
-          }
-          notifyAuthFlowStage('received_auth_redirect');
+      case 'SAVE_INTERVIEW_PREP':
+        try {
+          sendResponse({ success: true, prep: await saveInterviewPrep(msg.payload) });
+        } catch (error) {
+          console.error('❌ Applendium Background: Error saving interview prep:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
 
-          // Step 2: Extract authorization code
-          const urlParams = new URLSearchParams(new URL(authRedirectUrl).search);
-          const code = urlParams.get('code');
-          if (!code) {
-            throw new Error('Authorization code not found in redirect URL.');
-          }
+      case 'LIST_JOB_DESCRIPTIONS':
+        try {
+          sendResponse({ success: true, descriptions: await readJobDescriptions() });
+        } catch (error) {
+          console.error('❌ Applendium Background: Error listing job descriptions:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
 
-          // Step 3: Exchange code for tokens
-          const tokenResponse = await apiFetch(CONFIG_ENDPOINTS.AUTH_TOKEN, {
-            method: 'POST',
-            body: { code, redirect_uri: redirectUriForBackend },
-            skipAuthReady: true,
-            allowUnauthenticated: true
-          });
-          if (!tokenResponse.success || !tokenResponse.firebaseToken) {
-            throw new Error(tokenResponse.error || 'Failed to exchange code for Firebase token.');
-          }
+      case 'SAVE_JOB_DESCRIPTION':
+        try {
+          sendResponse({ success: true, descriptions: await saveJobDescription(msg.payload) });
+        } catch (error) {
+          console.error('❌ Applendium Background: Error saving a job description:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
 
-          // Step 4: Sign in to Firebase with custom token
-          const userCredential = await signInWithCustomToken(auth, tokenResponse.firebaseToken);
-          const user = userCredential.user;
-          resolveAuthReady('custom-token-login');
-          bgLogger.info('Successfully signed in to Firebase with custom token.');
+      case 'LIST_APPLICATION_DETAILS':
+        try {
+          sendResponse({ success: true, ...(await readApplicationDetails()) });
+        } catch (error) {
+          console.error('❌ Applendium Background: Error listing application details:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
 
-          await chrome.storage.local.set({
-            userEmail: user.email,
-            userName: tokenResponse.userName || user.email,
-            userId: user.uid,
-            userPlan: tokenResponse.userPlan || 'free'
-          });
+      case 'SAVE_APPLICATION_DETAILS':
+        try {
+          sendResponse({ success: true, ...(await saveApplicationDetails(msg.payload)) });
+        } catch (error) {
+          console.error('❌ Applendium Background: Error saving application details:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
 
-          startPostLoginBackgroundWork(user);
+      case 'SAVE_CUSTOM_FIELDS':
+        try {
+          sendResponse({ success: true, ...(await saveCustomFields(msg.payload)) });
+        } catch (error) {
+          console.error('❌ Applendium Background: Error saving custom fields:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
 
-          sendResponse({ success: true, userEmail: user.email, userName: tokenResponse.userName, userPlan: tokenResponse.userPlan, userId: user.uid });
+      case 'GET_FOLLOW_UP_CADENCE':
+        try {
+          sendResponse({ success: true, ...(await readFollowUpCadence()) });
         } catch (error) {
-          notifyAuthFlowStage('login_error', { error: error.message });
-	          console.error('Applendium Background: Error during Google OAuth login:', error);
+          console.error('❌ Applendium Background: Error reading follow-up cadence rules:', error);
           sendResponse({ success: false, error: error.message });
         }
         break;
 
-      case 'LOGOUT':
+      case 'SAVE_FOLLOW_UP_CADENCE':
         try {
-          if (!FIREBASE_AUTH_AVAILABLE) {
-            await chrome.storage.local.remove(['userEmail', 'userName', 'userId', 'userPlan', 'appliedEmails', 'interviewedEmails', 'offersEmails', 'rejectedEmails', 'quotaData', 'followUpSuggestions', EMAILS_CACHE_META_KEY]);
-            sendResponse({ success: true, authUnavailable: true });
-            break;
-          }
+          sendResponse({ success: true, ...(await saveFollowUpCadence(msg.payload)) });
+        } catch (error) {
+          console.error('❌ Applendium Background: Error saving follow-up cadence rules:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
 
-          await signOut(auth);
-          bgLogger.info("User signed out from Firebase.");
-          // onAuthStateChanged listener will handle clearing storage.
-          sendResponse({ success: true });
+      case 'LIST_FOLLOW_UP_TEMPLATES':
+        try {
+          sendResponse({ success: true, templates: await readFollowUpTemplates() });
         } catch (error) {
-          console.error("❌ Applendium Background: Error during logout:", error);
+          console.error('❌ Applendium Background: Error listing follow-up templates:', error);
           sendResponse({ success: false, error: error.message });
         }
         break;
 
-      case 'FETCH_USER_PLAN':
+      case 'SAVE_FOLLOW_UP_TEMPLATES':
         try {
-          const response = await apiFetch(CONFIG_ENDPOINTS.FETCH_USER_PLAN, {
-            method: 'POST',
-            body: { email: currentUserEmail, userEmail: currentUserEmail, userId: currentUserId }
-          });
-          if (response.success) {
-            await chrome.storage.local.set({ userPlan: response.plan });
-            sendResponse({ success: true, plan: response.plan });
-          } else {
-            sendResponse({ success: false, error: response.error });
-          }
+          sendResponse({ success: true, templates: await saveFollowUpTemplates(msg.payload) });
         } catch (error) {
-          console.error('❌ Applendium Background: Error fetching user plan:', error);
+          console.error('❌ Applendium Background: Error saving follow-up templates:', error);
           sendResponse({ success: false, error: error.message });
         }
         break;
 
-      case 'UPDATE_USER_PLAN':
+      case 'LIST_OFFERS':
         try {
-          const { newPlan } = msg;
-          const response = await apiFetch(CONFIG_ENDPOINTS.UPDATE_USER_PLAN, {
-            method: 'POST',
-            body: { newPlan, userEmail: currentUserEmail, email: currentUserEmail, userId: currentUserId }
-          });
-          if (response.success) {
-            await chrome.storage.local.set({ userPlan: newPlan });
-          }
-          // Refresh cached emails so application linking (applicationId/isClosed) is reflected in the UI.
-          // The backend may have re-linked this email to an existing application.
-          try {
-            await refreshStoredEmailsCache();
-          } catch (e) {
-            bgLogger.warn?.('Failed to refresh stored emails after company correction:', e?.message);
-          }
+          sendResponse({ success: true, offers: await readOffers() });
+        } catch (error) {
+          console.error('❌ Applendium Background: Error listing offers:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
 
-          sendResponse(response);
+      case 'SAVE_OFFER':
+        try {
+          sendResponse({ success: true, offers: await saveOffer(msg.payload) });
         } catch (error) {
-          console.error('❌ Applendium Background: Error updating user plan:', error);
+          console.error('❌ Applendium Background: Error saving offer:', error);
           sendResponse({ success: false, error: error.message });
         }
         break;
 
-      case 'FETCH_STORED_EMAILS':
-        // This message is now primarily handled by the popup reading directly from chrome.storage.local.
-        console.warn("Applendium Background: Received FETCH_STORED_EMAILS, but popup should read directly from local storage.");
-        sendResponse({ success: true, message: "Handled by popup's direct storage access." });
+      case 'GET_SELECTED_THREAD':
+        try {
+          sendResponse({ success: true, selection: await readSelectedThread() });
+        } catch (error) {
+          console.error('❌ Applendium Background: Error reading the selected thread:', error);
+          sendResponse({ success: false, error: error.message });
+        }
         break;
 
-      case 'REFRESH_STORED_EMAILS_CACHE':
+      case 'SET_SELECTED_THREAD':
         try {
-          const staleOnly = msg?.staleOnly !== false;
-          if (staleOnly) {
-            const stale = await isStoredEmailsCacheStale();
-            if (!stale) {
-              sendResponse({ success: true, skipped: true, reason: 'cache_fresh' });
-              break;
-            }
-          }
+          sendResponse({ success: true, selection: await setSelectedThread(msg.payload) });
+        } catch (error) {
+          console.error('❌ Applendium Background: Error saving the selected thread:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
 
-          const refreshed = await refreshStoredEmailsCache(undefined, { skipNotify: true, skipBackfill: true });
-          sendResponse(refreshed);
+      case 'GET_GMAIL_INTEGRATION':
+        try {
+          sendResponse({ success: true, ...(await getGmailIntegrationState()) });
         } catch (error) {
-          console.error('❌ Applendium Background: Error refreshing stored email cache:', error);
+          console.error('❌ Applendium Background: Error reading the Gmail integration:', error);
           sendResponse({ success: false, error: error.message });
         }
         break;
 
-      case 'FETCH_NEW_EMAILS':
+      case 'SET_GMAIL_INTEGRATION':
         try {
-          // Use current cached info for sync
-          const syncResult = await triggerEmailSync(currentUserEmail, currentUserId, msg.fullRefresh);
-          sendResponse(syncResult); // Send back { success: true, categorizedEmails: {...}, quota: {...} }
+          // Only the extension's own pages may switch Gmail injection on or off.
+          if (!isExtensionPageSenderUrl(sender?.url || '')) {
+            sendResponse({ success: false, error: 'Not allowed from this sender context.' });
+            break;
+          }
+          sendResponse({ success: true, ...(await setGmailIntegrationEnabled(msg.payload.enabled)) });
         } catch (error) {
-          console.error("❌ Applendium Background: Error fetching new emails:", error);
+          console.error('❌ Applendium Background: Error saving the Gmail integration:', error);
           sendResponse({ success: false, error: error.message });
         }
         break;
 
-  // Backfill handlers removed
-
-      case 'FETCH_QUOTA_DATA':
+      case 'GET_GMAIL_THREAD_STATUSES':
         try {
-          // Quota polling must not trigger sync/classification work. Use /sync-status.
-          if (!currentUserId || !currentUserEmail) {
-            sendResponse({ success: false, error: 'Not authenticated' });
+          const senderUrl = sender?.url || '';
+          if (!isExtensionPageSenderUrl(senderUrl) && !isGmailSenderUrl(senderUrl)) {
+            sendResponse({ success: false, error: 'Not allowed from this sender context.' });
             break;
           }
+          sendResponse({ success: true, threads: await getGmailThreadStatuses(msg.payload.threadIds) });
+        } catch (error) {
+          console.error('❌ Applendium Background: Error reading Gmail thread statuses:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
 
-          const status = await apiFetch(CONFIG_ENDPOINTS.SYNC_STATUS, { method: 'GET' });
-          if (status?.success && status?.quota) {
-            await chrome.storage.local.set({ quotaData: status.quota });
-            // If quota indicates activity but the email cache is empty, try a lightweight
-            // stored-emails refresh so users don't see "quota used" with no emails.
-            try {
-              const cached = await chrome.storage.local.get([
-                'appliedEmails',
-                'interviewedEmails',
-                'offersEmails',
-                'rejectedEmails',
-              ]);
-              const cachedCount =
-                (cached.appliedEmails || []).length +
-                (cached.interviewedEmails || []).length +
-                (cached.offersEmails || []).length +
-                (cached.rejectedEmails || []).length;
-              const quotaUsage = Number(status?.quota?.relevantMessagesProcessed || status?.quota?.usage || status?.quota?.totalProcessed || 0);
-              if (cachedCount === 0 && quotaUsage > 0) {
-                refreshStoredEmailsCache(Boolean(status?.sync?.inProgress), { skipNotify: true, skipBackfill: true }).catch((error) => {
-                  reportBackgroundWarning({
-                    code: 'quota_poll_cache_refresh_failed',
-                    context: 'Failed to refresh stored emails after quota polling detected tracked activity',
-                    error,
-                    userMessage: 'Tracked emails are available, but loading the latest list failed. Try Refresh again.',
-                  });
-                });
-              }
-            } catch (error) {
-              reportBackgroundWarning({
-                code: 'quota_poll_cache_probe_failed',
-                context: 'Failed to inspect cached email counts during quota polling',
-                error,
-              });
-            }
-            sendResponse({
-              success: true,
-              quota: status.quota,
-              sync: {
-                ...status.sync,
-                lastCompletedAt: (
-                  await chrome.storage.local.get([EMAILS_CACHE_META_KEY]).catch((error) => {
-                    reportBackgroundWarning({
-                      code: 'quota_poll_meta_read_failed',
-                      context: 'Failed to read email cache metadata during quota polling',
-                      error,
-                    });
-                    return {};
-                  })
-                )?.[EMAILS_CACHE_META_KEY]?.lastCompletedAt || null,
-              },
-              dataCompleteness: status.dataCompleteness,
-              // A dead Google refresh token stops the inbox flowing without
-              // changing anything else here — sync just goes quiet and the
-              // cached pipeline still renders. Carry the flag so the popup can
-              // say so instead of showing a stale view as if it were current.
-              gmailAuth: status.gmailAuth || null,
-            });
-          } else {
-            sendResponse({ success: false, error: status?.error || 'Quota data not found in response.' });
-          }
+      case 'GET_JOB_CAPTURE':
+        try {
+          sendResponse({ success: true, ...(await getJobCaptureState()) });
         } catch (error) {
-          console.error('❌ Applendium Background: Error fetching quota data:', error);
+          console.error('❌ Applendium Background: Error reading the job capture setting:', error);
           sendResponse({ success: false, error: error.message });
         }
         break;
 
-      case 'FETCH_FOLLOWUP_SUGGESTIONS':
+      case 'SET_JOB_CAPTURE':
         try {
-          const response = await apiFetch(CONFIG_ENDPOINTS.FOLLOWUP_NEEDED, {
-            method: 'POST',
-            body: { userEmail: currentUserEmail, email: currentUserEmail, userId: currentUserId }
-          });
-          if (response.success && response.suggestions) {
-            await chrome.storage.local.set({ followUpSuggestions: response.suggestions });
-            sendResponse({ success: true, suggestions: response.suggestions });
-          } else {
-            sendResponse({ success: false, error: response.error || 'Follow-up suggestions not found.' });
+          if (!isExtensionPageSenderUrl(sender?.url || '')) {
+            sendResponse({ success: false, error: 'Not allowed from this sender context.' });
+            break;
           }
+          sendResponse({ success: true, ...(await setJobCaptureEnabled(msg.payload.enabled)) });
         } catch (error) {
-          console.error('❌ Applendium Background: Error fetching follow-up suggestions:', error);
+          console.error('❌ Applendium Background: Error saving the job capture setting:', error);
           sendResponse({ success: false, error: error.message });
         }
         break;
 
-      case 'SUGGESTION_ACTION':
+      case 'CAPTURE_JOB_APPLICATION':
         try {
-          const response = await apiFetch('/api/suggestions/action', {
-            method: 'POST',
-            body: { 
-              threadId: msg.threadId, 
-              actionType: msg.actionType,
-              userEmail: currentUserEmail, 
-              userId: currentUserId 
-            }
-          });
-          // Refresh cached emails so application linking (applicationId/isClosed) is reflected in the UI.
-          // This enables the Application Journey to appear and ensures "Active" reflects closure.
-          try {
-            await refreshStoredEmailsCache();
-          } catch (e) {
-            bgLogger.warn?.('Failed to refresh stored emails after position correction:', e?.message);
+          if (!isJobBoardSenderUrl(sender?.url || '')) {
+            sendResponse({ success: false, error: 'Not allowed from this sender context.' });
+            break;
           }
-
-          sendResponse(response);
+          sendResponse({ success: true, ...(await captureJobApplication(msg.payload)) });
         } catch (error) {
-          console.error('❌ Applendium Background: Error marking suggestion action:', error);
+          console.error('❌ Applendium Background: Error capturing a job application:', error);
           sendResponse({ success: false, error: error.message });
         }
         break;
 
-      case 'SUGGESTION_SNOOZE':
+      case 'CREATE_BACKUP':
         try {
-          const response = await apiFetch('/api/suggestions/snooze', {
-            method: 'POST',
-            body: { 
-              threadId: msg.threadId, 
-              actionType: msg.actionType,
-              snoozeDuration: msg.snoozeDuration,
-              userEmail: currentUserEmail, 
-              userId: currentUserId 
-            }
-          });
-          sendResponse(response);
+          sendResponse({ success: true, backup: await buildStorageBackup(msg.payload) });
         } catch (error) {
-          console.error('❌ Applendium Background: Error snoozing suggestion:', error);
+          console.error('❌ Applendium Background: Error creating backup:', error);
           sendResponse({ success: false, error: error.message });
         }
         break;
 
-      case 'UNDO_SUGGESTION_ACTION':
+      case 'RESTORE_BACKUP':
         try {
-          const response = await apiFetch('/api/suggestions/action', {
-            method: 'DELETE',
-            body: { 
-              threadId: msg.threadId, 
-              actionType: msg.actionType,
-              userEmail: currentUserEmail, 
-              userId: currentUserId 
-            }
-          });
-          sendResponse(response);
+          sendResponse({ success: true, ...(await restoreStorageBackup(msg.payload.backup)) });
         } catch (error) {
-          console.error('❌ Applendium Background: Error undoing suggestion action:', error);
+          console.error('❌ Applendium Background: Error restoring backup:', error);
           sendResponse({ success: false, error: error.message });
         }
         break;
@@ -3810,87 +5939,24 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
             email: currentUserEmail, // Legacy field for backward compatibility
             userId: currentUserId // Override with cached info
           };
-          const response = await apiFetch(CONFIG_ENDPOINTS.REPORT_MISCLASSIFICATION, {
-            method: 'POST',
-            body: reportData
-          });
-          if (response.success) {
-            // Apply the user's correction locally immediately so the UI updates without waiting for a sync.
-            // - If corrected to Irrelevant (or backend deleted), remove from cache.
-            // - Otherwise, move the email into the corrected category.
-            const correctedKey = normalizeCategoryKey(reportData?.correctedCategory);
-            const shouldRemoveLocally = correctedKey === 'irrelevant' || response.removed === true;
-            const storageKeyByCategory = {
-              applied: 'appliedEmails',
-              interviewed: 'interviewedEmails',
-              offers: 'offersEmails',
-              rejected: 'rejectedEmails',
-              irrelevant: 'irrelevantEmails',
-            };
-
-            const targetStorageKey = storageKeyByCategory[correctedKey];
-
-            if ((shouldRemoveLocally || targetStorageKey) && reportData?.emailId) {
-              try {
-                const currentEmails = await chrome.storage.local.get([
-                  'appliedEmails', 'interviewedEmails', 'offersEmails', 'rejectedEmails', 'irrelevantEmails'
-                ]);
-	                const categories = ['appliedEmails', 'interviewedEmails', 'offersEmails', 'rejectedEmails', 'irrelevantEmails'];
-	                const next = {};
-	                let movedEmail = null;
-	                const targetId = String(reportData.emailId);
-	                for (const key of categories) {
-	                  const list = currentEmails[key] || [];
-	                  const found = list.find((e) => String(e?.id) === targetId);
-	                  if (!movedEmail && found) movedEmail = found;
-	                  next[key] = list.filter((e) => String(e?.id) !== targetId);
-	                }
-
-                if (!shouldRemoveLocally && movedEmail && targetStorageKey) {
-                  const updatedEmail = {
-                    ...movedEmail,
-                    category: capitalizeFirst(correctedKey),
-                  };
-                  // Put it at the top of the destination category for visibility.
-                  next[targetStorageKey] = [updatedEmail, ...(next[targetStorageKey] || [])];
-                }
-
-                await chrome.storage.local.set(next);
-                safeRuntimeSendMessage({
-                  type: 'EMAILS_SYNCED',
-                  success: true,
-                  categorizedEmails: {
-                    applied: next.appliedEmails || [],
-                    interviewed: next.interviewedEmails || [],
-                    offers: next.offersEmails || [],
-                    rejected: next.rejectedEmails || [],
-                    irrelevant: next.irrelevantEmails || [],
-                  },
-                  syncInProgress: false,
-                });
-              } catch (e) {
-                console.warn('Applendium Background: Failed to apply local cache update after misclassification:', e?.message || e);
-              }
-            }
-
-            try {
-              await refreshStoredEmailsCache(undefined, { skipBackfill: true });
-            } catch (e) {
-              console.warn('Applendium Background: Failed to refresh stored emails after misclassification:', e?.message || e);
-            }
-
-            // Trigger a sync after misclassification to refresh counts/quota and ensure consistency.
-            // Do not await here so the popup gets a fast response and the service worker isn't held open.
-            triggerEmailSync(currentUserEmail, currentUserId, false).catch((e) => {
-              console.error('Applendium Background: triggerEmailSync failed after misclassification:', e);
-            });
+          // POST /emails/misclassification, queued in the outbox while offline.
+          // The email moves to its corrected category (or out of the cache, for
+          // Irrelevant) right away.
+          const response = await performOutboxableEdit(createOutboxOperation({
+            id: crypto.randomUUID(),
+            kind: 'misclassification',
+            emailId: reportData.emailId,
+            payload: reportData,
+            now: Date.now(),
+          }));
+          if (response.success && !response.queued) {
             // Notify popup of success
             safeRuntimeSendMessage({
               type: 'SHOW_NOTIFICATION',
               msg: 'Email misclassification reported successfully!',
               msgType: 'success'
             });
-          } else {
+          } else if (!response.success) {
             // Notify popup of error
             safeRuntimeSendMessage({
               type: 'SHOW_NOTIFICATION',
@@ -4040,36 +6106,14 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
             return;
           }
 
-          // Call backend PATCH /emails/:emailId/company endpoint
-          const response = await apiFetch(`/api/emails/${emailId}/company`, {
-            method: 'PATCH',
-            body: { companyName: companyName.trim() }
-          });
-
-          if (response.success && response.email) {
-            // Update local storage with the corrected company name
-            const currentEmails = await chrome.storage.local.get([
-              'appliedEmails', 'interviewedEmails', 'offersEmails', 'rejectedEmails', 'irrelevantEmails'
-            ]);
-
-            // Find and update the email in the appropriate category
-            const categories = ['appliedEmails', 'interviewedEmails', 'offersEmails', 'rejectedEmails', 'irrelevantEmails'];
-            for (const categoryKey of categories) {
-              const emails = currentEmails[categoryKey] || [];
-              const emailIndex = emails.findIndex(e => e.id === emailId);
-              if (emailIndex !== -1) {
-                emails[emailIndex] = {
-                  ...emails[emailIndex],
-                  company_name: response.email.company_name,
-                  company_name_corrected: response.email.company_name_corrected,
-                  extraction_method: response.email.extraction_method
-                };
-                await chrome.storage.local.set({ [categoryKey]: emails });
-                bgLogger.info(`Updated company name for email ${emailId} in ${categoryKey}`);
-                break;
-              }
-            }
-          }
+          // PATCH /emails/:emailId/company, queued in the outbox while offline
+          const response = await performOutboxableEdit(createOutboxOperation({
+            id: crypto.randomUUID(),
+            kind: 'company',
+            emailId,
+            payload: { companyName: companyName.trim() },
+            now: Date.now(),
+          }));
 
           sendResponse(response);
         } catch (error) {
@@ -4107,36 +6151,14 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
             return;
           }
 
-          // Call backend PATCH /emails/:emailId/position endpoint
-          const response = await apiFetch(`/api/emails/${emailId}/position`, {
-            method: 'PATCH',
-            body: { position: position.trim() }
-          });
-
-          if (response.success && response.email) {
-            // Update local storage with the corrected position
-            const currentEmails = await chrome.storage.local.get([
-              'appliedEmails', 'interviewedEmails', 'offersEmails', 'rejectedEmails', 'irrelevantEmails'
-            ]);
-
-            // Find and update the email in the appropriate category
-            const categories = ['appliedEmails', 'interviewedEmails', 'offersEmails', 'rejectedEmails', 'irrelevantEmails'];
-            for (const categoryKey of categories) {
-              const emails = currentEmails[categoryKey] || [];
-              const emailIndex = emails.findIndex(e => e.id === emailId);
-              if (emailIndex !== -1) {
-                emails[emailIndex] = {
-                  ...emails[emailIndex],
-                  position: response.email.position,
-                  position_corrected: response.email.position_corrected,
-                  extraction_method: response.email.extraction_method
-                };
-                await chrome.storage.local.set({ [categoryKey]: emails });
-                bgLogger.info(`Updated position for email ${emailId} in ${categoryKey}`);
-                break;
-              }
-            }
-          }
+          // PATCH /emails/:emailId/position, queued in the outbox while offline
+          const response = await performOutboxableEdit(createOutboxOperation({
+            id: crypto.randomUUID(),
+            kind: 'position',
+            emailId,
+            payload: { position: position.trim() },
+            now: Date.now(),
+          }));
 
           sendResponse(response);
         } catch (error) {
@@ -4248,20 +6270,13 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
             break;
           }
 
-          const endpoint = CONFIG_ENDPOINTS.CLOSE_APPLICATION.replace(':applicationId', encodeURIComponent(applicationId));
-          const response = await apiFetch(endpoint, {
-            method: 'POST',
-            body: { reason, emailId }
-          });
-
-          if (response?.success && response?.application) {
-            await patchCachedEmailsForApplication(response.application.id || applicationId, response.application);
-            try {
-              await refreshStoredEmailsCache();
-            } catch (e) {
-              bgLogger.warn?.('Failed to refresh stored emails after close-application:', e?.message);
-            }
-          }
+          const response = await performOutboxableEdit(createOutboxOperation({
+            id: crypto.randomUUID(),
+            kind: 'closeApplication',
+            applicationId,
+            payload: { reason, emailId },
+            now: Date.now(),
+          }));
 
           sendResponse(response);
         } catch (error) {
@@ -4278,20 +6293,13 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
             break;
           }
 
-          const endpoint = CONFIG_ENDPOINTS.REOPEN_APPLICATION.replace(':applicationId', encodeURIComponent(applicationId));
-          const response = await apiFetch(endpoint, {
-            method: 'POST',
-            body: { emailId }
-          });
-
-          if (response?.success && response?.application) {
-            await patchCachedEmailsForApplication(response.application.id || applicationId, response.application);
-            try {
-              await refreshStoredEmailsCache();
-            } catch (e) {
-              bgLogger.warn?.('Failed to refresh stored emails after reopen-application:', e?.message);
-            }
-          }
+          const response = await performOutboxableEdit(createOutboxOperation({
+            id: crypto.randomUUID(),
+            kind: 'reopenApplication',
+            applicationId,
+            payload: { emailId },
+            now: Date.now(),
+          }));
 
           sendResponse(response);
         } catch (error) {
@@ -4683,41 +6691,18 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 
           console.log(`⭐ Applendium Background: ${isStarred ? 'Starring' : 'Unstarring'} email ${emailId}`);
           
-          const response = await apiFetch(`/api/emails/${emailId}/star`, {
-            method: 'POST',
-            body: { isStarred: isStarred }
-          });
+          const response = await performOutboxableEdit(createOutboxOperation({
+            id: crypto.randomUUID(),
+            kind: 'star',
+            emailId,
+            payload: { emailId, isStarred: Boolean(isStarred) },
+            now: Date.now(),
+          }));
           
-          if (response.success) {
+          if (response.queued) {
+            sendResponse({ success: true, queued: true, isStarred: Boolean(isStarred), emailId });
+          } else if (response.success) {
             console.log(`✅ Applendium Background: Email ${isStarred ? 'starred' : 'unstarred'} successfully`);
-            
-            // Update local storage to reflect star change
-            const storage = await chrome.storage.local.get([
-              'appliedEmails', 'interviewedEmails', 'offersEmails', 'rejectedEmails', 'irrelevantEmails'
-            ]);
-            
-            for (const key of ['appliedEmails', 'interviewedEmails', 'offersEmails', 'rejectedEmails', 'irrelevantEmails']) {
-              const emails = storage[key] || [];
-              const emailIndex = emails.findIndex(e => e.id === emailId);
-              
-              if (emailIndex !== -1) {
-                emails[emailIndex] = {
-                  ...emails[emailIndex],
-                  is_starred: isStarred
-                };
-                await chrome.storage.local.set({ [key]: emails });
-                console.log(`Updated star status for email ${emailId} in ${key}`);
-                break;
-              }
-            }
-            
-            // Broadcast update to popup
-            safeRuntimeSendMessage({
-              type: 'EMAIL_STARRED_UPDATED',
-              emailId: emailId,
-              isStarred: isStarred
-            });
-            
             sendResponse({ 
               success: true, 
               isStarred: response.isStarred,
@@ -4833,7 +6818,11 @@ setPersistence(auth, indexedDBLocalPersistence)
 	        }
 	      } else {
 	        console.log("✅ Applendium Background: Auth State Changed - User logged out.");
-	        await chrome.storage.local.remove(['userEmail', 'userName', 'userId', 'userPlan', 'appliedEmails', 'interviewedEmails', 'offersEmails', 'rejectedEmails', 'quotaData', 'followUpSuggestions', EMAILS_CACHE_META_KEY]); // Clear all cached data on logout
+	        await chrome.storage.local.remove(['userEmail', 'userName', 'userId', 'userPlan', 'appliedEmails', 'interviewedEmails', 'offersEmails', 'rejectedEmails', 'quotaData', 'followUpSuggestions', CADENCE_SUGGESTIONS_STORAGE_KEY, EMAILS_CACHE_META_KEY, NOTIFICATION_TARGETS_STORAGE_KEY]); // Clear all cached data on logout
+	        await clearAllReminders();
+	        await clearHeldNotifications();
+	        await clearOutbox();
+	        await clearSelectedThread();
 	        safeRuntimeSendMessage({ type: 'AUTH_READY', success: true, loggedOut: true });
 	        broadcastAuthStateToContentScripts(false, null);
 	      }
@@ -4859,7 +6848,11 @@ setPersistence(auth, indexedDBLocalPersistence)
 	        }
 	      } else {
 	        console.log("Applendium Background: Auth State Changed (without persistence) - User logged out.");
-	        await chrome.storage.local.remove(['userEmail', 'userName', 'userId', 'userPlan', 'appliedEmails', 'interviewedEmails', 'offersEmails', 'rejectedEmails', 'quotaData', 'followUpSuggestions', EMAILS_CACHE_META_KEY]);
+	        await chrome.storage.local.remove(['userEmail', 'userName', 'userId', 'userPlan', 'appliedEmails', 'interviewedEmails', 'offersEmails', 'rejectedEmails', 'quotaData', 'followUpSuggestions', CADENCE_SUGGESTIONS_STORAGE_KEY, EMAILS_CACHE_META_KEY, NOTIFICATION_TARGETS_STORAGE_KEY]);
+	        await clearAllReminders();
+	        await clearHeldNotifications();
+	        await clearOutbox();
+	        await clearSelectedThread();
 	        safeRuntimeSendMessage({ type: 'AUTH_READY', success: true, loggedOut: true });
 	        broadcastAuthStateToContentScripts(false, null);
 	      }
@@ -4877,10 +6870,17 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
     console.log('⏰ Applendium: Syncing emails via alarm...');
     const user = auth.currentUser;
     if (user && !user.isAnonymous) {
+      // Flush offline edits first so the sync below pulls them back confirmed.
+      await replayOutbox();
       try {
         const result = await chrome.storage.local.get(['userEmail', 'userId']);
         if (result.userEmail && result.userId) {
           await triggerEmailSync(result.userEmail, result.userId, false); // No full refresh on alarm
+          try {
+            await refreshCadenceSuggestions();
+          } catch (error) {
+            bgLogger.warn('Failed to evaluate follow-up cadence rules:', formatBackgroundError(error));
+          }
         } else {
           console.warn('Applendium: User not logged in or user info missing for alarm sync.');
         }
@@ -4894,6 +6894,109 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
   } else if (alarm.name === 'syncWatchdog') {
     // Periodic stuck-lock check
     await checkSyncWatchdog();
+  } else if (alarm.name === DIGEST_ALARM_NAME) {
+    try {
+      await deliverDigest();
+    } catch (error) {
+      bgLogger.error('Failed to deliver digest:', formatBackgroundError(error));
+    }
+  } else if (alarm.name === HELD_NOTIFICATIONS_ALARM_NAME) {
+    try {
+      await flushHeldNotifications();
+    } catch (error) {
+      bgLogger.error('Failed to show held notifications:', formatBackgroundError(error));
+    }
+  } else if (offerKeyFromAlarmName(alarm.name)) {
+    try {
+      await fireOfferDeadlineReminder(offerKeyFromAlarmName(alarm.name));
+    } catch (error) {
+      bgLogger.error('Failed to remind about an offer deadline:', formatBackgroundError(error));
+    }
+  } else if (reminderIdFromAlarmName(alarm.name)) {
+    try {
+      await fireThreadReminder(reminderIdFromAlarmName(alarm.name));
+    } catch (error) {
+      bgLogger.error('Failed to fire reminder:', formatBackgroundError(error));
+    }
+  }
+});
+
+// Runs on every worker start, so reminders survive both worker eviction and a
+// browser restart that dropped their alarms.
+rearmReminderAlarms();
+rearmOfferDeadlineAlarms();
+ensureDigestAlarm();
+syncGmailContentScript();
+syncJobCaptureContentScript();
+
+// Revoking a site from chrome://extensions stops the script that needed it.
+chrome.permissions.onRemoved.addListener(() => {
+  syncGmailContentScript();
+  syncJobCaptureContentScript();
+});
+
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  if (notificationId.startsWith(DIGEST_NOTIFICATION_PREFIX)) {
+    try {
+      chrome.notifications.clear(notificationId);
+      await openPopupOnDigest();
+    } catch (error) {
+      bgLogger.warn('Failed to open the digest:', formatBackgroundError(error));
+    }
+    return;
+  }
+
+  const offerKey = offerKeyFromNotificationId(notificationId);
+  if (offerKey) {
+    try {
+      chrome.notifications.clear(notificationId);
+      const offer = (await readOffers())[offerKey];
+      await openPopupOnThread(offer?.threadId || null);
+    } catch (error) {
+      bgLogger.warn('Failed to open the offer:', formatBackgroundError(error));
+    }
+    return;
+  }
+
+  const reminderId = reminderIdFromNotificationId(notificationId);
+  if (reminderId) {
+    try {
+      chrome.notifications.clear(notificationId);
+      const reminder = (await readReminders()).find((item) => item.id === reminderId);
+      if (reminder) await openPopupOnThread(reminder.threadId);
+    } catch (error) {
+      bgLogger.warn('Failed to open reminder thread:', formatBackgroundError(error));
+    }
+    return;
+  }
+
+  try {
+    const target = await readNotificationTarget(notificationId);
+    if (!target) return;
+    chrome.notifications.clear(notificationId);
+    await forgetNotificationTarget(notificationId);
+    await openPopupOnThread(target.threadId);
+  } catch (error) {
+    bgLogger.warn('Failed to open notification thread:', formatBackgroundError(error));
+  }
+});
+
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+  try {
+    await handleNotificationButton(notificationId, buttonIndex);
+  } catch (error) {
+    // Leave the notification up so the user can retry or open the popup.
+    bgLogger.warn('Notification action failed:', formatBackgroundError(error));
+  }
+});
+
+chrome.notifications.onClosed.addListener(async (notificationId, byUser) => {
+  // Dismissed by the user; timed-out ones stay reachable from the notification center.
+  if (!byUser) return;
+  try {
+    await forgetNotificationTarget(notificationId);
+  } catch (_) {
+    // ignore
   }
 });
 
@@ -0,0 +1,137 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { expect, test } = require('@playwright/test');
+
+// Runs gmailContent.js against saved Gmail markup with a stubbed
+// chrome.runtime, so it needs neither the built extension nor a Gmail login.
+const scriptPath = path.resolve(__dirname, '..', 'gmailContent.js');
+
+const THREADS = {
+  '18e9c1a2b3c4d5e1': {
+    threadId: '18e9c1a2b3c4d5e1',
+    status: 'interviewed',
+    emailId: 201,
+    applicationId: 9003,
+    company: 'Northstar Labs',
+    position: 'Senior Product Manager',
+    subject: 'Interview invitation: Senior Product Manager',
+  },
+  '18e9c1a2b3c4d5e2': {
+    threadId: '18e9c1a2b3c4d5e2',
+    status: 'rejected',
+    emailId: 202,
+    applicationId: null,
+    company: 'Quillworks',
+    position: 'Staff Engineer',
+    subject: 'Update on your Staff Engineer application',
+  },
+};
+
+const LIFECYCLE = [
+  { emailId: 201, category: 'interviewed', date: '2026-04-09T10:14:00.000Z', subject: 'Interview invitation: Senior Product Manager' },
+  { emailId: 200, category: 'applied', date: '2026-04-02T09:00:00.000Z', subject: 'Application received: Senior Product Manager' },
+];
+
+async function loadGmailFixture(page, fixtureName, { reportResponse = { success: true } } = {}) {
+  await page.setContent(fs.readFileSync(path.join(__dirname, 'fixtures', fixtureName), 'utf8'));
+  await page.evaluate(({ threads, lifecycle, reportResponse }) => {
+    window.__applendiumMessages = [];
+    const replies = {
+      GET_GMAIL_THREAD_STATUSES: (message) => ({
+        success: true,
+        threads: Object.fromEntries(message.payload.threadIds.filter((id) => threads[id]).map((id) => [id, threads[id]])),
+      }),
+      FETCH_APPLICATION_LIFECYCLE: () => ({ success: true, application: { id: 9003 }, lifecycle }),
+      REPORT_MISCLASSIFICATION: () => reportResponse,
+    };
+    window.chrome = {
+      runtime: {
+        lastError: null,
+        sendMessage(message, callback) {
+          window.__applendiumMessages.push(message);
+          setTimeout(() => callback(replies[message.type]?.(message) || { success: false, error: 'Unhandled' }), 0);
+        },
+        onMessage: { addListener() {} },
+      },
+    };
+  }, { threads: THREADS, lifecycle: LIFECYCLE, reportResponse });
+  await page.addScriptTag({ path: scriptPath });
+}
+
+const sentMessages = (page, type) => page.evaluate(
+  (messageType) => window.__applendiumMessages.filter((message) => message.type === messageType),
+  type,
+);
+
+test('labels classified inbox rows and leaves the rest alone', async ({ page }) => {
+  await loadGmailFixture(page, 'gmail-inbox.html');
+
+  await expect(page.locator('#\\:2k .applendium-gmail-chip')).toHaveText('Interview');
+  await expect(page.locator('#\\:2m .applendium-gmail-chip')).toHaveText('Rejected');
+  await expect(page.locator('#\\:2o .applendium-gmail-chip')).toHaveCount(0);
+
+  const [request] = await sentMessages(page, 'GET_GMAIL_THREAD_STATUSES');
+  expect(request.payload.threadIds).toEqual(['18e9c1a2b3c4d5e1', '18e9c1a2b3c4d5e2', '18e9c1a2b3c4d5e3']);
+});
+
+test('labels rows Gmail adds later without duplicating existing chips', async ({ page }) => {
+  await loadGmailFixture(page, 'gmail-inbox.html');
+  await expect(page.locator('#\\:2k .applendium-gmail-chip')).toHaveCount(1);
+
+  // Gmail re-renders the list in place; simulate a row scrolling in.
+  await page.evaluate(() => {
+    const row = document.getElementById(':2m').cloneNode(true);
+    row.id = ':2q';
+    row.querySelector('.applendium-gmail-chip').remove();
+    document.querySelector('tbody').appendChild(row);
+  });
+
+  await expect(page.locator('#\\:2q .applendium-gmail-chip')).toHaveText('Rejected');
+  await expect(page.locator('#\\:2k .applendium-gmail-chip')).toHaveCount(1);
+  // The new row's thread was already known, so nothing new was asked for.
+  expect(await sentMessages(page, 'GET_GMAIL_THREAD_STATUSES')).toHaveLength(1);
+});
+
+test('shows the application lifecycle beside an open thread', async ({ page }) => {
+  await loadGmailFixture(page, 'gmail-thread.html');
+
+  const card = page.locator('td.Bu.y3 #applendium-gmail-card');
+  await expect(card).toContainText('Northstar Labs');
+  await expect(card).toContainText('Senior Product Manager');
+  await expect(card.locator('li')).toHaveCount(2);
+  await expect(card.locator('li').first()).toHaveAttribute('data-stage', 'applied');
+  await expect(card.locator('li').last()).toHaveAttribute('data-stage', 'interviewed');
+
+  const [lifecycleRequest] = await sentMessages(page, 'FETCH_APPLICATION_LIFECYCLE');
+  expect(lifecycleRequest).toMatchObject({ applicationId: 9003, emailId: 201 });
+});
+
+test('reports an open thread as not a job email', async ({ page }) => {
+  await loadGmailFixture(page, 'gmail-thread.html');
+
+  const card = page.locator('#applendium-gmail-card');
+  await card.getByRole('button', { name: 'Not a job email' }).click();
+  await expect(card).toContainText('Removed from your applications');
+
+  const [report] = await sentMessages(page, 'REPORT_MISCLASSIFICATION');
+  expect(report.emailData).toMatchObject({
+    emailId: 201,
+    threadId: '18e9c1a2b3c4d5e1',
+    originalCategory: 'Interviewed',
+    correctedCategory: 'Irrelevant',
+    emailSubject: 'Interview invitation: Senior Product Manager',
+  });
+  expect(report.emailData.emailBody).toContain('45 minute call');
+});
+
+test('keeps the action available when the report fails', async ({ page }) => {
+  await loadGmailFixture(page, 'gmail-thread.html', {
+    reportResponse: { success: false, error: 'Backend unavailable.' },
+  });
+
+  const card = page.locator('#applendium-gmail-card');
+  const button = card.getByRole('button', { name: 'Not a job email' });
+  await button.click();
+  await expect(card).toContainText('Backend unavailable.');
+  await expect(button).toBeEnabled();
+});
@@ -0,0 +1,156 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { expect, test } = require('@playwright/test');
+
+// Runs jobBoardContent.js against saved job-board markup served at each
+// board's real URL, with a stubbed chrome.runtime that records what the
+// script sends. Form posts are answered with an empty page.
+const scriptPath = path.resolve(__dirname, '..', 'jobBoardContent.js');
+
+const GREENHOUSE_URL = 'https://boards.greenhouse.io/northstarlabs/jobs/4012345';
+const LEVER_URL = 'https://jobs.lever.co/quillworks/7a1c2e90-4b3d-4f11-9c55-0d2e8b6f1a22';
+const WORKDAY_URL = 'https://harborhealth.wd5.myworkdayjobs.com/External/job/Charlotte-NC/Data-Analyst_R-10482';
+const ASHBY_URL = 'https://jobs.ashbyhq.com/lumen-robotics/5d0e3c1b-8f2a-4c6e-9b7d-1e4f2a3b5c6d';
+const LINKEDIN_URL = 'https://www.linkedin.com/jobs/view/3901234567/';
+
+const PAGES = {
+  [GREENHOUSE_URL]: 'jobboard-greenhouse.html',
+  [LEVER_URL]: 'jobboard-lever-posting.html',
+  [`${LEVER_URL}/apply`]: 'jobboard-lever-apply.html',
+  [WORKDAY_URL]: 'jobboard-workday-posting.html',
+  [`${WORKDAY_URL}/apply/applyManually`]: 'jobboard-workday-review.html',
+  [`${ASHBY_URL}/application`]: 'jobboard-ashby.html',
+  [LINKEDIN_URL]: 'jobboard-linkedin.html',
+};
+
+async function prepareBoard(page, { response = { success: true, created: true } } = {}) {
+  const captures = [];
+  await page.exposeFunction('__applendiumRecordMessage', (message) => captures.push(message));
+  await page.addInitScript((reply) => {
+    Object.defineProperty(window, 'chrome', {
+      configurable: true,
+      writable: true,
+      value: {
+        runtime: {
+          lastError: null,
+          sendMessage(message, callback) {
+            window.__applendiumRecordMessage(message);
+            setTimeout(() => callback?.(reply), 0);
+          },
+        },
+      },
+    });
+  }, response);
+  await page.route('https://**/*', (route) => {
+    const request = route.request();
+    const fixture = request.method() === 'GET' ? PAGES[request.url()] : null;
+    if (!fixture) return route.fulfill({ status: 200, contentType: 'text/html', body: '<!DOCTYPE html><title>Done</title>' });
+    return route.fulfill({
+      status: 200,
+      contentType: 'text/html',
+      body: fs.readFileSync(path.join(__dirname, 'fixtures', fixture), 'utf8'),
+    });
+  });
+  return captures;
+}
+
+async function openBoardPage(page, url) {
+  await page.goto(url);
+  await page.addScriptTag({ path: scriptPath });
+}
+
+async function capturedPayloads(captures, count = 1) {
+  await expect.poll(() => captures.length).toBe(count);
+  expect(captures.every((message) => message.type === 'CAPTURE_JOB_APPLICATION')).toBe(true);
+  return captures.map((message) => message.payload);
+}
+
+test('captures a Greenhouse application when its form is submitted', async ({ page }) => {
+  const captures = await prepareBoard(page);
+  await openBoardPage(page, GREENHOUSE_URL);
+  await page.locator('#submit_app').click();
+
+  const [capture] = await capturedPayloads(captures);
+  expect(capture).toMatchObject({
+    platform: 'greenhouse',
+    company: 'Northstar Labs',
+    position: 'Senior Product Manager',
+    jobUrl: GREENHOUSE_URL,
+  });
+  expect(capture.description).toContain('- Own the routing roadmap end to end');
+  expect(capture.description).not.toContain('First Name');
+});
+
+test('uses the Lever posting seen before the separate apply page', async ({ page }) => {
+  const captures = await prepareBoard(page);
+  await openBoardPage(page, LEVER_URL);
+  await page.getByRole('link', { name: 'Apply for this job' }).click();
+  await page.waitForURL(`${LEVER_URL}/apply`);
+  await page.addScriptTag({ path: scriptPath });
+  await page.getByRole('button', { name: 'Submit application' }).click();
+
+  const [capture] = await capturedPayloads(captures);
+  expect(capture).toMatchObject({ platform: 'lever', company: 'Quillworks', position: 'Staff Engineer', jobUrl: LEVER_URL });
+  expect(capture.description).toContain('document sync engine');
+});
+
+test('captures Workday only on the final Submit of the apply flow', async ({ page }) => {
+  const captures = await prepareBoard(page);
+  await openBoardPage(page, WORKDAY_URL);
+  await page.goto(`${WORKDAY_URL}/apply/applyManually`);
+  await page.addScriptTag({ path: scriptPath });
+
+  await page.getByRole('button', { name: 'Back' }).click();
+  expect(captures).toHaveLength(0);
+  await page.getByRole('button', { name: 'Submit' }).click();
+
+  const [capture] = await capturedPayloads(captures);
+  expect(capture).toMatchObject({
+    platform: 'workday',
+    company: 'Harbor Health Partners',
+    position: 'Data Analyst',
+    jobUrl: WORKDAY_URL,
+  });
+  expect(capture.description).toContain('Turn claims data into weekly operating reports.');
+});
+
+test('captures an Ashby application from the posting JSON-LD', async ({ page }) => {
+  const captures = await prepareBoard(page);
+  await openBoardPage(page, `${ASHBY_URL}/application`);
+  await page.getByRole('button', { name: 'Submit Application' }).click();
+
+  const [capture] = await capturedPayloads(captures);
+  expect(capture).toMatchObject({
+    platform: 'ashby',
+    company: 'Lumen Robotics',
+    position: 'Design Engineer',
+    jobUrl: ASHBY_URL,
+  });
+  expect(capture.description).toBe('Lumen builds warehouse robots.\n\nYou will prototype operator interfaces in React.');
+});
+
+test('captures a LinkedIn Easy Apply submit once and confirms it on the page', async ({ page }) => {
+  const captures = await prepareBoard(page);
+  await openBoardPage(page, LINKEDIN_URL);
+  const submit = page.getByRole('button', { name: 'Submit application' });
+  await submit.click();
+  await submit.click();
+
+  await expect(page.locator('#applendium-capture-toast')).toContainText('Frontend Engineer at Pinecrest Analytics');
+  const [capture] = await capturedPayloads(captures);
+  expect(capture).toMatchObject({
+    platform: 'linkedin',
+    company: 'Pinecrest Analytics',
+    position: 'Frontend Engineer',
+    jobUrl: LINKEDIN_URL,
+  });
+  expect(capture.description).toContain('Pinecrest Analytics helps retailers forecast demand.');
+});
+
+test('tells the user when the capture is rejected', async ({ page }) => {
+  await prepareBoard(page, { response: { success: false, error: 'Job capture is turned off.' } });
+  await openBoardPage(page, LINKEDIN_URL);
+  await page.getByRole('button', { name: 'Submit application' }).click();
+
+  await expect(page.locator('#applendium-capture-toast')).toContainText('Job capture is turned off.');
+});
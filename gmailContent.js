@@ -0,0 +1,330 @@
+/**
+ * @file gmailContent.js
+ * @description Optional Gmail integration. Marks classified threads in the
+ * inbox list with their Applendium status, and adds a card beside an open
+ * thread with the application's lifecycle and a "Not a job email" action.
+ * Registered at runtime by background.js only after the user switches it on
+ * and grants mail.google.com (see syncGmailContentScript).
+ *
+ * Like content.js this is a classic script copied verbatim into the build, so
+ * it cannot import shared modules. Gmail's markup is obfuscated and changes
+ * without notice: every selector lives in GMAIL_SELECTORS, and the fixtures in
+ * e2e/fixtures/gmail-*.html are trimmed copies of the real pages to test
+ * against when they need updating.
+ */
+
+const gmailLogger = {
+	warn: (...args) => {
+		try { console.warn(...args); } catch (_) {}
+	},
+};
+
+const GMAIL_SELECTORS = {
+	// One row per thread in any list view (inbox, labels, search results).
+	inboxRow: "tr.zA",
+	// Subject span in a row; carries the hex thread id the Gmail API uses.
+	rowThreadId: "span[data-legacy-thread-id]",
+	// Subject + snippet container the chip is placed in front of.
+	rowSubjectCell: ".y6",
+	// Subject heading of the open thread.
+	threadSubject: "h2.hP[data-legacy-thread-id]",
+	// Right-hand column of the thread view; absent in some layouts.
+	threadSideColumn: "td.Bu.y3",
+	// Subject bar, used for the card when there is no side column.
+	threadHeader: ".ha",
+	// Rendered body of each message in the thread.
+	messageBody: ".a3s",
+};
+
+const GMAIL_STATUS_LABELS = {
+	applied: "Applied",
+	interviewed: "Interview",
+	offers: "Offer",
+	rejected: "Rejected",
+};
+
+const GMAIL_BACKEND_CATEGORIES = {
+	applied: "Applied",
+	interviewed: "Interviewed",
+	offers: "Offers",
+	rejected: "Rejected",
+};
+
+const GMAIL_CHIP_CLASS = "applendium-gmail-chip";
+const GMAIL_CARD_ID = "applendium-gmail-card";
+const GMAIL_STYLE_ID = "applendium-gmail-style";
+const GMAIL_MAX_THREAD_IDS = 200; // MAX_GMAIL_THREAD_IDS in shared/gmailThreads.mjs
+const GMAIL_SCAN_DEBOUNCE_MS = 300;
+const GMAIL_REPORT_BODY_MAX_LENGTH = 5000;
+
+// threadId -> summary from GET_GMAIL_THREAD_STATUSES, or null when the thread
+// is not an application. Cleared whenever the cache may have moved on.
+const gmailThreadSummaries = new Map();
+const gmailPendingThreadIds = new Set();
+let gmailScanTimer = null;
+
+function sendToBackground(message) {
+	return new Promise((resolve) => {
+		if (!chrome?.runtime?.sendMessage) {
+			resolve({ success: false, error: "Extension bridge unavailable." });
+			return;
+		}
+		try {
+			chrome.runtime.sendMessage(message, (response) => {
+				const runtimeError = chrome.runtime.lastError;
+				resolve(runtimeError ? { success: false, error: runtimeError.message } : (response || { success: false }));
+			});
+		} catch (error) {
+			// Thrown after the extension was reloaded under a still-open Gmail tab.
+			resolve({ success: false, error: error?.message || "Extension context invalidated." });
+		}
+	});
+}
+
+function ensureGmailStyles() {
+	if (document.getElementById(GMAIL_STYLE_ID)) return;
+	const style = document.createElement("style");
+	style.id = GMAIL_STYLE_ID;
+	style.textContent = `
+		.${GMAIL_CHIP_CLASS} { display: inline-block; margin-right: 6px; padding: 0 6px; border-radius: 8px; font: 500 11px/16px Roboto, Arial, sans-serif; vertical-align: 1px; }
+		.${GMAIL_CHIP_CLASS}[data-status="applied"] { background: #e8f0fe; color: #1a56c4; }
+		.${GMAIL_CHIP_CLASS}[data-status="interviewed"] { background: #fef3c7; color: #92580b; }
+		.${GMAIL_CHIP_CLASS}[data-status="offers"] { background: #dcfce7; color: #15733b; }
+		.${GMAIL_CHIP_CLASS}[data-status="rejected"] { background: #fde2e2; color: #b42318; }
+		#${GMAIL_CARD_ID} { margin: 12px 16px; padding: 12px 14px; border: 1px solid #dadce0; border-radius: 12px; background: #fff; font: 13px/18px Roboto, Arial, sans-serif; color: #202124; max-width: 280px; }
+		#${GMAIL_CARD_ID} .applendium-gmail-card-title { font-weight: 600; margin-bottom: 2px; }
+		#${GMAIL_CARD_ID} .applendium-gmail-card-meta { color: #5f6368; font-size: 12px; }
+		#${GMAIL_CARD_ID} ol { margin: 10px 0; padding: 0; list-style: none; }
+		#${GMAIL_CARD_ID} li { display: flex; justify-content: space-between; gap: 8px; padding: 2px 0; font-size: 12px; }
+		#${GMAIL_CARD_ID} li span:last-child { color: #5f6368; }
+		#${GMAIL_CARD_ID} button { border: 1px solid #dadce0; border-radius: 16px; background: none; padding: 4px 12px; font: 500 12px Roboto, Arial, sans-serif; color: #3c4043; cursor: pointer; }
+		#${GMAIL_CARD_ID} button:disabled { cursor: default; opacity: 0.6; }
+		#${GMAIL_CARD_ID} .applendium-gmail-card-error { margin-top: 6px; color: #b42318; font-size: 12px; }
+	`;
+	(document.head || document.documentElement).appendChild(style);
+}
+
+function gmailElement(tag, className, text) {
+	const element = document.createElement(tag);
+	if (className) element.className = className;
+	if (text !== undefined) element.textContent = text;
+	return element;
+}
+
+function readRowThreadId(row) {
+	const id = row.querySelector(GMAIL_SELECTORS.rowThreadId)?.getAttribute("data-legacy-thread-id") || "";
+	return id.trim().toLowerCase() || null;
+}
+
+function readOpenThreadId() {
+	const id = document.querySelector(GMAIL_SELECTORS.threadSubject)?.getAttribute("data-legacy-thread-id") || "";
+	return id.trim().toLowerCase() || null;
+}
+
+/** Asks the worker about thread ids it has not been asked about yet. */
+async function loadThreadSummaries(threadIds) {
+	const unknown = threadIds.filter((threadId) => !gmailThreadSummaries.has(threadId) && !gmailPendingThreadIds.has(threadId));
+	for (let start = 0; start < unknown.length; start += GMAIL_MAX_THREAD_IDS) {
+		const batch = unknown.slice(start, start + GMAIL_MAX_THREAD_IDS);
+		batch.forEach((threadId) => gmailPendingThreadIds.add(threadId));
+		const response = await sendToBackground({ type: "GET_GMAIL_THREAD_STATUSES", payload: { threadIds: batch } });
+		batch.forEach((threadId) => gmailPendingThreadIds.delete(threadId));
+		if (!response?.success) {
+			gmailLogger.warn("[Applendium Gmail] Failed to load thread statuses:", response?.error);
+			return;
+		}
+		for (const threadId of batch) {
+			gmailThreadSummaries.set(threadId, response.threads?.[threadId] || null);
+		}
+	}
+}
+
+function renderRowChip(row, summary) {
+	const existing = row.querySelector(`.${GMAIL_CHIP_CLASS}`);
+	if (!summary) {
+		existing?.remove();
+		return;
+	}
+	const label = GMAIL_STATUS_LABELS[summary.status];
+	if (existing) {
+		if (existing.getAttribute("data-status") !== summary.status) {
+			existing.setAttribute("data-status", summary.status);
+			existing.textContent = label;
+		}
+		return;
+	}
+	const subjectCell = row.querySelector(GMAIL_SELECTORS.rowSubjectCell);
+	if (!subjectCell) return;
+	const chip = gmailElement("span", GMAIL_CHIP_CLASS, label);
+	chip.setAttribute("data-status", summary.status);
+	chip.title = "Tracked by Applendium";
+	subjectCell.insertBefore(chip, subjectCell.firstChild);
+}
+
+async function refreshInboxChips() {
+	const rows = Array.from(document.querySelectorAll(GMAIL_SELECTORS.inboxRow));
+	if (rows.length === 0) return;
+	const threadIds = rows.map(readRowThreadId).filter(Boolean);
+	await loadThreadSummaries(threadIds);
+	for (const row of rows) {
+		const threadId = readRowThreadId(row);
+		if (threadId && gmailThreadSummaries.has(threadId)) renderRowChip(row, gmailThreadSummaries.get(threadId));
+	}
+}
+
+function formatStageDate(value) {
+	if (!value) return "";
+	const date = new Date(value);
+	return Number.isNaN(date.getTime()) ? "" : date.toLocaleDateString(undefined, { month: "short", day: "numeric" });
+}
+
+function renderLifecycle(list, lifecycle, summary) {
+	list.replaceChildren();
+	const stages = (Array.isArray(lifecycle) ? lifecycle : [])
+		.filter((stage) => GMAIL_STATUS_LABELS[String(stage?.category || "").toLowerCase()])
+		.sort((a, b) => new Date(a.date || 0).getTime() - new Date(b.date || 0).getTime());
+	if (stages.length === 0) {
+		// No application record yet: the thread's own status is all there is.
+		stages.push({ category: summary.status, date: null });
+	}
+	for (const stage of stages) {
+		const item = gmailElement("li");
+		item.setAttribute("data-stage", String(stage.category).toLowerCase());
+		item.append(
+			gmailElement("span", "", GMAIL_STATUS_LABELS[String(stage.category).toLowerCase()]),
+			gmailElement("span", "", formatStageDate(stage.date)),
+		);
+		list.appendChild(item);
+	}
+}
+
+function readOpenThreadBody() {
+	const bodies = document.querySelectorAll(GMAIL_SELECTORS.messageBody);
+	const text = bodies.length ? bodies[bodies.length - 1].textContent || "" : "";
+	return text.replace(/\s+/g, " ").trim().slice(0, GMAIL_REPORT_BODY_MAX_LENGTH) || "No Body";
+}
+
+async function reportNotJobEmail(card, summary) {
+	const button = card.querySelector("button");
+	const error = card.querySelector(".applendium-gmail-card-error");
+	button.disabled = true;
+	error.textContent = "";
+	const response = await sendToBackground({
+		type: "REPORT_MISCLASSIFICATION",
+		emailData: {
+			emailId: summary.emailId,
+			threadId: summary.threadId,
+			originalCategory: GMAIL_BACKEND_CATEGORIES[summary.status],
+			correctedCategory: "Irrelevant",
+			emailSubject: summary.subject || "No Subject",
+			emailBody: readOpenThreadBody(),
+			fromHeader: "",
+		},
+	});
+	if (!response?.success) {
+		button.disabled = false;
+		error.textContent = response?.error || "Could not report this email. Try again from the Applendium popup.";
+		return;
+	}
+	gmailThreadSummaries.set(summary.threadId, null);
+	card.replaceChildren(
+		gmailElement("div", "applendium-gmail-card-title", "Applendium"),
+		gmailElement("div", "applendium-gmail-card-meta", "Removed from your applications. Thanks for the correction."),
+	);
+	card.setAttribute("data-state", "reported");
+	scheduleGmailScan();
+}
+
+function buildThreadCard(summary) {
+	const card = gmailElement("div");
+	card.id = GMAIL_CARD_ID;
+	card.setAttribute("data-thread-id", summary.threadId);
+
+	const chip = gmailElement("span", GMAIL_CHIP_CLASS, GMAIL_STATUS_LABELS[summary.status]);
+	chip.setAttribute("data-status", summary.status);
+	const title = gmailElement("div", "applendium-gmail-card-title");
+	title.append(chip, document.createTextNode(summary.company || "Unknown company"));
+	const meta = gmailElement("div", "applendium-gmail-card-meta", summary.position || "");
+	const list = gmailElement("ol");
+	const button = gmailElement("button", "", "Not a job email");
+	button.type = "button";
+	const error = gmailElement("div", "applendium-gmail-card-error");
+	card.append(title, meta, list, button, error);
+
+	renderLifecycle(list, [], summary);
+	button.addEventListener("click", () => reportNotJobEmail(card, summary));
+
+	if (summary.applicationId) {
+		sendToBackground({
+			type: "FETCH_APPLICATION_LIFECYCLE",
+			applicationId: summary.applicationId,
+			emailId: summary.emailId,
+		}).then((response) => {
+			if (!response?.success) {
+				gmailLogger.warn("[Applendium Gmail] Lifecycle unavailable; showing the thread status.", response?.error);
+				return;
+			}
+			if (card.isConnected) renderLifecycle(list, response.lifecycle, summary);
+		});
+	}
+	return card;
+}
+
+async function refreshThreadCard() {
+	const threadId = readOpenThreadId();
+	const existing = document.getElementById(GMAIL_CARD_ID);
+	if (!threadId) {
+		existing?.remove();
+		return;
+	}
+	await loadThreadSummaries([threadId]);
+	const summary = gmailThreadSummaries.get(threadId);
+	// Keep a "reported" card up until the user leaves the thread.
+	if (existing?.getAttribute("data-thread-id") === threadId && (summary || existing.getAttribute("data-state") === "reported")) return;
+	existing?.remove();
+	if (!summary) return;
+
+	const anchor = document.querySelector(GMAIL_SELECTORS.threadSideColumn);
+	const card = buildThreadCard(summary);
+	if (anchor) {
+		anchor.insertBefore(card, anchor.firstChild);
+	} else {
+		const header = document.querySelector(GMAIL_SELECTORS.threadHeader);
+		if (!header?.parentNode) return;
+		header.parentNode.insertBefore(card, header.nextSibling);
+	}
+}
+
+async function scanGmail() {
+	ensureGmailStyles();
+	try {
+		await refreshInboxChips();
+		await refreshThreadCard();
+	} catch (error) {
+		gmailLogger.warn("[Applendium Gmail] Scan failed:", error?.message || error);
+	}
+}
+
+function scheduleGmailScan() {
+	clearTimeout(gmailScanTimer);
+	gmailScanTimer = setTimeout(scanGmail, GMAIL_SCAN_DEBOUNCE_MS);
+}
+
+function forgetThreadSummaries() {
+	gmailThreadSummaries.clear();
+	scheduleGmailScan();
+}
+
+// Gmail is a single-page app: list and thread views are swapped in place.
+new MutationObserver(scheduleGmailScan).observe(document.body, { childList: true, subtree: true });
+
+// Pick up syncs and popup edits made while the tab was in the background.
+document.addEventListener("visibilitychange", () => {
+	if (document.visibilityState === "visible") forgetThreadSummaries();
+});
+
+chrome.runtime.onMessage.addListener((message) => {
+	if (message?.type === "AUTH_STATE_CHANGED") forgetThreadSummaries();
+});
+
+scanGmail();
@@ -0,0 +1,293 @@
+/**
+ * @file jobBoardContent.js
+ * @description Optional job-board capture. Watches for the user submitting an
+ * application on LinkedIn (Easy Apply), Greenhouse, Lever, Workday or Ashby,
+ * and sends the company, position, posting URL and job description to the
+ * service worker as CAPTURE_JOB_APPLICATION. The worker stores it as a pending
+ * application and links it to the Gmail confirmation once that syncs (see
+ * shared/jobCapture.mjs). Registered at runtime only after the user switches
+ * it on and grants the job-board sites (see syncJobCaptureContentScript).
+ *
+ * Like content.js this is a classic script copied verbatim into the build.
+ * Each site has one entry in JOB_BOARD_PARSERS; the fixtures in
+ * e2e/fixtures/jobboard-*.html are trimmed copies of the real pages they were
+ * written against.
+ */
+
+const jobBoardLogger = {
+	warn: (...args) => {
+		try { console.warn(...args); } catch (_) {}
+	},
+};
+
+const JOB_BOARD_TOAST_ID = "applendium-capture-toast";
+// Multi-page flows (Workday, Lever's /apply) submit on a page without the
+// posting, so the last posting seen in this tab is kept for the submit.
+const JOB_BOARD_POSTING_KEY = "applendiumCapturedPosting";
+const JOB_BOARD_DESCRIPTION_MAX_LENGTH = 20000; // MAX_CAPTURED_DESCRIPTION_LENGTH in shared/jobCapture.mjs
+const JOB_BOARD_REMEMBER_DEBOUNCE_MS = 500;
+
+function jobText(element) {
+	return (element?.textContent || "").replace(/\s+/g, " ").trim();
+}
+
+// Block-level text with paragraph breaks, so the saved description stays readable.
+function jobBlockText(element) {
+	if (!element) return "";
+	const clone = element.cloneNode(true);
+	clone.querySelectorAll("script, style, button").forEach((node) => node.remove());
+	clone.querySelectorAll("br").forEach((node) => node.replaceWith("\n"));
+	clone.querySelectorAll("p, li, h1, h2, h3, h4, div, ul, ol").forEach((node) => {
+		node.prepend("\n");
+		node.append("\n");
+	});
+	clone.querySelectorAll("li").forEach((node) => node.prepend("- "));
+	return (clone.textContent || "")
+		.split("\n")
+		.map((line) => line.replace(/\s+/g, " ").trim())
+		.join("\n")
+		.replace(/\n{3,}/g, "\n\n")
+		.trim()
+		.slice(0, JOB_BOARD_DESCRIPTION_MAX_LENGTH);
+}
+
+function htmlToBlockText(html) {
+	if (!html) return "";
+	const parsed = new DOMParser().parseFromString(String(html), "text/html");
+	return jobBlockText(parsed.body);
+}
+
+/** The schema.org JobPosting most boards embed for search engines, if any. */
+function readJobPostingJsonLd(doc) {
+	for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+		let data;
+		try {
+			data = JSON.parse(script.textContent || "");
+		} catch (_) {
+			continue;
+		}
+		const candidates = [data, ...(Array.isArray(data) ? data : []), ...(Array.isArray(data?.["@graph"]) ? data["@graph"] : [])];
+		const posting = candidates.find((item) => item && item["@type"] === "JobPosting");
+		if (posting) {
+			return {
+				company: typeof posting.hiringOrganization === "string" ? posting.hiringOrganization : posting.hiringOrganization?.name || "",
+				position: posting.title || "",
+				description: htmlToBlockText(posting.description),
+			};
+		}
+	}
+	return null;
+}
+
+// "northstar-labs" -> "Northstar Labs"
+function humanizeSlug(slug) {
+	return String(slug || "")
+		.split(/[-_]+/)
+		.filter(Boolean)
+		.map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+		.join(" ");
+}
+
+function postingUrl(loc, stripSuffix) {
+	const path = stripSuffix ? loc.pathname.replace(stripSuffix, "") : loc.pathname;
+	return `${loc.origin}${path}`;
+}
+
+function isButtonLabelled(element, pattern) {
+	const button = element?.closest?.("button, [role='button'], input[type='submit']");
+	if (!button) return null;
+	const labels = [button.getAttribute("aria-label"), jobText(button), button.value].filter(Boolean);
+	return labels.some((label) => pattern.test(label)) ? button : null;
+}
+
+/**
+ * One entry per board. `extract` reads whatever the current page shows and may
+ * return partial fields; the remembered posting fills the gaps. `isSubmit`
+ * gets the submitted form (for submit events) or the clicked element.
+ */
+const JOB_BOARD_PARSERS = [
+	{
+		platform: "greenhouse",
+		matches: (loc) => loc.hostname === "boards.greenhouse.io" || loc.hostname === "job-boards.greenhouse.io",
+		isSubmit: ({ form }) => Boolean(form?.matches("#application-form, #application_form")),
+		extract(doc, loc) {
+			const jsonLd = readJobPostingJsonLd(doc) || {};
+			const companyLine = jobText(doc.querySelector(".company-name")).replace(/^at\s+/i, "");
+			return {
+				company: jsonLd.company || companyLine || humanizeSlug(loc.pathname.split("/")[1]),
+				position: jsonLd.position || jobText(doc.querySelector(".job__title h1, h1.app-title, h1.section-header")),
+				description: jsonLd.description || jobBlockText(doc.querySelector(".job__description, #content")),
+				jobUrl: postingUrl(loc),
+			};
+		},
+	},
+	{
+		platform: "lever",
+		matches: (loc) => loc.hostname === "jobs.lever.co",
+		isSubmit: ({ form }) => Boolean(form?.matches("#application-form, form[action$='/apply']")),
+		extract(doc, loc) {
+			// Lever's page title is "<Company> - <Position>".
+			const [titleCompany] = (doc.title || "").split(" - ");
+			const logoAlt = doc.querySelector(".main-header-logo img")?.getAttribute("alt")?.replace(/\s+logo$/i, "") || "";
+			return {
+				company: logoAlt || titleCompany?.trim() || humanizeSlug(loc.pathname.split("/")[1]),
+				position: jobText(doc.querySelector(".posting-headline h2")),
+				description: jobBlockText(doc.querySelector("[data-qa='job-description']")) ||
+					jobBlockText(doc.querySelector(".posting-page .section-wrapper.page-full-width")),
+				jobUrl: postingUrl(loc, /\/apply\/?$/),
+			};
+		},
+	},
+	{
+		platform: "workday",
+		matches: (loc) => loc.hostname.endsWith(".myworkdayjobs.com"),
+		// The last step's footer button reads "Submit"; earlier steps read "Save and Continue".
+		isSubmit: ({ target }) => Boolean(
+			target?.closest?.("[data-automation-id='pageFooterNextButton'], [data-automation-id='bottom-navigation-next-button']") &&
+			isButtonLabelled(target, /^\s*submit\s*$/i),
+		),
+		extract(doc, loc) {
+			const jsonLd = readJobPostingJsonLd(doc) || {};
+			return {
+				company: jsonLd.company || humanizeSlug(loc.hostname.split(".")[0]),
+				position: jsonLd.position || jobText(doc.querySelector("[data-automation-id='jobPostingHeader']")),
+				description: jsonLd.description || jobBlockText(doc.querySelector("[data-automation-id='jobPostingDescription']")),
+				// Apply steps live under /job/<slug>/apply/...; the posting is the part before.
+				jobUrl: postingUrl(loc, /\/apply(\/.*)?$/),
+			};
+		},
+	},
+	{
+		platform: "ashby",
+		matches: (loc) => loc.hostname === "jobs.ashbyhq.com",
+		isSubmit: ({ target }) => Boolean(
+			target?.closest?.(".ashby-application-form-submit-button") ||
+			isButtonLabelled(target, /submit application/i),
+		),
+		extract(doc, loc) {
+			const jsonLd = readJobPostingJsonLd(doc) || {};
+			return {
+				company: jsonLd.company || humanizeSlug(loc.pathname.split("/")[1]),
+				position: jsonLd.position || jobText(doc.querySelector("h1.ashby-job-posting-heading, h1")),
+				description: jsonLd.description || jobBlockText(doc.querySelector(".ashby-job-posting-description, [class*='_descriptionText']")),
+				jobUrl: postingUrl(loc, /\/application\/?$/),
+			};
+		},
+	},
+	{
+		platform: "linkedin",
+		matches: (loc) => loc.hostname === "www.linkedin.com",
+		// Only Easy Apply submits on LinkedIn; "Apply" on other postings leaves for the company's ATS.
+		isSubmit: ({ target }) => Boolean(
+			target?.closest?.(".jobs-easy-apply-modal, [data-test-modal-id='easy-apply-modal']") &&
+			isButtonLabelled(target, /submit application/i),
+		),
+		extract(doc, loc) {
+			const jobId = new URLSearchParams(loc.search).get("currentJobId") || (loc.pathname.match(/\/jobs\/view\/(\d+)/) || [])[1];
+			return {
+				company: jobText(doc.querySelector(".job-details-jobs-unified-top-card__company-name, .jobs-unified-top-card__company-name")),
+				position: jobText(doc.querySelector(".job-details-jobs-unified-top-card__job-title, .jobs-unified-top-card__job-title")),
+				description: jobBlockText(doc.querySelector("#job-details, .jobs-description__content")),
+				jobUrl: jobId ? `https://www.linkedin.com/jobs/view/${jobId}/` : postingUrl(loc),
+			};
+		},
+	},
+];
+
+const jobBoardParser = JOB_BOARD_PARSERS.find((parser) => parser.matches(window.location)) || null;
+let jobBoardCapturedHref = null;
+let jobBoardRememberTimer = null;
+
+function readRememberedPosting() {
+	try {
+		return JSON.parse(sessionStorage.getItem(JOB_BOARD_POSTING_KEY) || "null");
+	} catch (_) {
+		return null;
+	}
+}
+
+function rememberPosting() {
+	const posting = jobBoardParser.extract(document, window.location);
+	if (!posting.position || !posting.description) return;
+	try {
+		sessionStorage.setItem(JOB_BOARD_POSTING_KEY, JSON.stringify(posting));
+	} catch (_) {
+		// Storage full or blocked; the submit page's own fields still apply.
+	}
+}
+
+/**
+ * The page's own fields when it shows the posting; otherwise the posting
+ * remembered in this tab, as long as it is the same role.
+ */
+function buildCapture() {
+	const current = jobBoardParser.extract(document, window.location);
+	const remembered = readRememberedPosting();
+	const useRemembered = !current.description && remembered && (!current.position || remembered.position === current.position);
+	const posting = useRemembered ? remembered : current;
+	return {
+		platform: jobBoardParser.platform,
+		company: posting.company || "",
+		position: posting.position || "",
+		description: posting.description || "",
+		jobUrl: posting.jobUrl,
+	};
+}
+
+function showCaptureToast(text, isError) {
+	document.getElementById(JOB_BOARD_TOAST_ID)?.remove();
+	const toast = document.createElement("div");
+	toast.id = JOB_BOARD_TOAST_ID;
+	toast.setAttribute("role", "status");
+	toast.textContent = text;
+	toast.style.cssText = [
+		"position:fixed", "right:16px", "bottom:16px", "z-index:2147483647", "max-width:320px",
+		"padding:10px 14px", "border-radius:10px", "font:13px/18px system-ui,sans-serif", "color:#fff",
+		`background:${isError ? "#b42318" : "#1f2937"}`, "box-shadow:0 4px 16px rgba(0,0,0,0.25)",
+	].join(";");
+	document.body.appendChild(toast);
+	setTimeout(() => toast.remove(), 6000);
+}
+
+function sendCapture(capture) {
+	if (!chrome?.runtime?.sendMessage) return;
+	try {
+		chrome.runtime.sendMessage({ type: "CAPTURE_JOB_APPLICATION", payload: capture }, (response) => {
+			const error = chrome.runtime.lastError?.message || (response?.success ? null : response?.error);
+			if (error) {
+				jobBoardLogger.warn("[Applendium Capture] Capture failed:", error);
+				showCaptureToast(`Applendium couldn't save this application: ${error}`, true);
+				return;
+			}
+			showCaptureToast(`Applendium saved ${capture.position} at ${capture.company}. It links to the confirmation email when that arrives.`, false);
+		});
+	} catch (error) {
+		// Thrown after the extension was reloaded under a still-open tab.
+		jobBoardLogger.warn("[Applendium Capture] Extension context unavailable:", error?.message || error);
+	}
+}
+
+function handlePossibleSubmit(detail) {
+	// One capture per page; a double click or a retried submit is not a second application.
+	if (jobBoardCapturedHref === window.location.href || !jobBoardParser.isSubmit(detail)) return;
+	const capture = buildCapture();
+	if (!capture.company || !capture.position) {
+		jobBoardLogger.warn("[Applendium Capture] Submit seen but the posting could not be read.", capture);
+		return;
+	}
+	jobBoardCapturedHref = window.location.href;
+	sendCapture(capture);
+}
+
+if (jobBoardParser) {
+	rememberPosting();
+	// Boards render postings client-side and swap pages without reloading.
+	new MutationObserver(() => {
+		clearTimeout(jobBoardRememberTimer);
+		jobBoardRememberTimer = setTimeout(rememberPosting, JOB_BOARD_REMEMBER_DEBOUNCE_MS);
+	}).observe(document.body, { childList: true, subtree: true });
+
+	// Capture phase: the board's own handlers may stop propagation or navigate.
+	document.addEventListener("submit", (event) => handlePossibleSubmit({ form: event.target, target: event.target }), true);
+	document.addEventListener("click", (event) => handlePossibleSubmit({ form: null, target: event.target }), true);
+}
@@ -12,22 +12,61 @@ import { Notification, showNotification } from './components/Notification';
 import Modals from './components/Modals';
 import ReportModal from './components/ReportModal';
 import ReviewAskCard from './components/ReviewAskCard';
+import RemindersView from './components/RemindersView';
 import GmailReconnectBanner from './components/GmailReconnectBanner';
+import OutboxBanner from './components/OutboxBanner';
+import ManualApplicationModal from './components/ManualApplicationModal';
+import ImportApplicationsModal from './components/ImportApplicationsModal';
+import BackupModal from './components/BackupModal';
+import NotificationSettingsModal from './components/NotificationSettingsModal';
+import DigestModal from './components/DigestModal';
+import FollowUpComposerModal from './components/FollowUpComposerModal';
+import FollowUpsModal from './components/FollowUpsModal';
+import InterviewCalendarView from './components/InterviewCalendarView';
+import ContactsView from './components/ContactsView';
+import OfferComparisonModal from './components/OfferComparisonModal';
 import { deriveGmailConnectionState } from './utils/gmailConnection.mjs';
 
 import { useAuth } from './hooks/useAuth';
 import { useEmails } from './hooks/useEmails';
 import { useEmailQuota } from './hooks/useEmailQuota';
+import { useReminders } from './hooks/useReminders';
+import { useOutbox } from './hooks/useOutbox';
+import { useManualApplications } from './hooks/useManualApplications';
+import { useBackup } from './hooks/useBackup';
+import { useNotificationSettings } from './hooks/useNotificationSettings';
+import { useDigest } from './hooks/useDigest';
+import { useInterviewPrep } from './hooks/useInterviewPrep';
+import { useJobDescriptions } from './hooks/useJobDescriptions';
+import { useApplicationDetails } from './hooks/useApplicationDetails';
+import { useFollowUpTemplates } from './hooks/useFollowUpTemplates';
+import { usePendingFollowUps } from './hooks/usePendingFollowUps';
+import { useOffers } from './hooks/useOffers';
+import { useSelectedThreadSync } from './hooks/useSelectedThreadSync';
+import { useGmailIntegration } from './hooks/useGmailIntegration';
+import { useJobCapture } from './hooks/useJobCapture';
 import { getApplicationKey, groupEmailsByThread } from './utils/grouping';
-import { deriveGroupClosedByChoice, deriveGroupPipelineStatus, mergeGroupsByApplication } from '../../shared/applicationDisplayState.js';
+import { PENDING_THREAD_FOCUS_STORAGE_KEY, isPendingThreadFocusFor, resolvePendingThreadFocus } from '../../shared/reminders.mjs';
+import { PENDING_DIGEST_OPEN_STORAGE_KEY, isPendingDigestOpenFresh } from '../../shared/digest.mjs';
+import { mergeManualApplications } from '../../shared/manualApplications.mjs';
+import { buildOfferRoles } from '../../shared/offers.mjs';
+import { resolveJobDescription } from '../../shared/jobDescriptions.mjs';
+import { attachApplicationTags, collectApplicationTags, groupHasTag } from '../../shared/applicationDetails.mjs';
 import { getCategoryTitle } from './utils/uiHelpers';
+import { buildUpcomingInterviews } from './utils/interviewDetails.mjs';
+import { buildContacts } from './utils/contacts.mjs';
+import { attachCompensation } from './utils/compensation.mjs';
+import { buildPipelineRoleGroups, isPreviewCandidateEmail } from './utils/pipelineRoleGroups';
+import { LIST_FILTERS_STORAGE_KEY, normalizeListFilters, sameListFilters } from './utils/listFilters.mjs';
+import { buildInterviewsIcs, interviewIcsFileName } from './utils/interviewCalendar.mjs';
+import { downloadFile } from './utils/downloadFile';
 import { getPremiumDashboardUrl } from './utils/runtimeConfig';
 import { compactSafeTextValues } from './utils/sensitiveContent';
 
 import { CONFIG } from './utils/constants';
 import PremiumTeaserCard from './components/PremiumTeaserCard';
 import HistoryCoverageNote from './components/HistoryCoverageNote';
-import { AlertTriangle, ArrowLeft, CalendarDays, Check, FileDown, LogOut, RefreshCw, Search, Shield, X } from 'lucide-react';
+import { AlertTriangle, ArrowLeft, Bell, BellRing, Briefcase, CalendarClock, CalendarDays, Check, Columns3, DatabaseBackup, Scale, FileDown, LogOut, Mail, Maximize2, Newspaper, PanelRight, Plus, RefreshCw, Search, Send, Shield, Tag, Users, X } from 'lucide-react';
 
 // Brand mark shared with the web app (frontend/web/public/logo-transparent.png),
 // copied into the extension's icons/ (bundled to dist). chrome.runtime.getURL
@@ -69,17 +108,6 @@ const normalizeStoredCategory = (category) => {
   return normalized;
 };
 
-const isPreviewCandidateEmail = (email) => {
-  const resolutionState = (email?.resolution_state || '').toString().toLowerCase();
-  const syncSource = (email?.sync_source || '').toString().toLowerCase();
-  return (
-    resolutionState === 'provisional' ||
-    resolutionState === 'processing' ||
-    syncSource === 'interactive_preview' ||
-    email?.classification_meta?.provisional === true
-  );
-};
-
 const MAIN_TABS = [
   { id: 'all', label: 'All', activeClassName: 'bg-accent text-accent-foreground border-transparent' },
   { id: 'applied', label: 'Applied', activeClassName: 'bg-secondary text-foreground border-transparent' },
@@ -246,11 +274,25 @@ function getExtensionVersionLabel() {
   }
 }
 
-function App() {
+// `surface` is 'popup' for the toolbar popup, 'sidepanel' for Chrome's side
+// panel (sidepanel.html) and 'full' for the full view (dashboard.html); the
+// last two render the same app at the size of their window.
+function App({ surface = 'popup' }) {
+  const isFullView = surface === 'full';
+  const fillsWindow = surface !== 'popup';
   const [selectedCategory, setSelectedCategory] = useState('all');
   const [selectedEmail, setSelectedEmail] = useState(null);
   const [isMisclassificationModalOpen, setIsMisclassificationModalOpen] = useState(false);
   const [isReportModalOpen, setIsReportModalOpen] = useState(false);
+  const [isManualApplicationModalOpen, setIsManualApplicationModalOpen] = useState(false);
+  const [isImportModalOpen, setIsImportModalOpen] = useState(false);
+  const [isBackupModalOpen, setIsBackupModalOpen] = useState(false);
+  const [isOfferComparisonOpen, setIsOfferComparisonOpen] = useState(false);
+  const [isNotificationSettingsOpen, setIsNotificationSettingsOpen] = useState(false);
+  const [isDigestOpen, setIsDigestOpen] = useState(false);
+  const [isFollowUpsOpen, setIsFollowUpsOpen] = useState(false);
+  // The emails of the application a follow-up is being written for.
+  const [followUpEmails, setFollowUpEmails] = useState(null);
   const [emailToMisclassify, setEmailToMisclassify] = useState(null);
   const [categoryBeforePreview, setCategoryBeforePreview] = useState('all');
   const [allApplicationsFilter, setAllApplicationsFilter] = useState('all');
@@ -259,11 +301,15 @@ function App() {
   const [showClosedChoiceRoles, setShowClosedChoiceRoles] = useState(false);
   const [listSearchQuery, setListSearchQuery] = useState('');
   const [dateRange, setDateRange] = useState('all');
+  const [listTagFilter, setListTagFilter] = useState('');
   const [showDateFilter, setShowDateFilter] = useState(false);
   const [stableAllViewSummary, setStableAllViewSummary] = useState(null);
   // Timestamp of the previous popup open — threads newer than this get the
   // "new since last visit" divider in the inbox. Read once, then rotated.
   const [newSinceTimestamp, setNewSinceTimestamp] = useState(null);
+  const [listFiltersRestored, setListFiltersRestored] = useState(false);
+  // Last filters read from storage, so they are not written straight back.
+  const storedListFiltersRef = useRef(null);
   const selectedCategoryRef = useRef('all');
   const hasRestoredSelectedCategoryRef = useRef(false);
   const hasUserNavigatedCategoryRef = useRef(false);
@@ -309,7 +355,7 @@ function App() {
   }, [isLoggedIn]);
 
   const {
-    categorizedEmails,
+    categorizedEmails: syncedCategorizedEmails,
     fetchStoredEmails,
     fetchNewEmails,
     handleReportMisclassification,
@@ -332,6 +378,73 @@ function App() {
     applicationCount,
   } = useEmails(userEmail, userId, CONFIG);
 
+  const {
+    manualApplications,
+    addManualApplication,
+    editManualApplication,
+    deleteManualApplication,
+    importManualApplications,
+    undoManualApplicationImport,
+  } = useManualApplications(isLoggedIn);
+
+  const { downloadBackup, restoreBackup } = useBackup();
+  const { notificationsEnabled, notificationRules, saveNotificationSettings } = useNotificationSettings(isLoggedIn);
+  const { digestSettings, loadDigest, saveDigestSettings } = useDigest(isLoggedIn);
+  const { gmailIntegrationActive, toggleGmailIntegration } = useGmailIntegration(isLoggedIn);
+  const { jobCaptureActive, toggleJobCapture } = useJobCapture(isLoggedIn);
+  const { interviewPrep, saveInterviewPrep } = useInterviewPrep(isLoggedIn);
+  const { jobDescriptions, saveJobDescription } = useJobDescriptions(isLoggedIn);
+  const { applicationDetails, customFields, saveApplicationDetails, saveCustomFields } = useApplicationDetails(isLoggedIn);
+  const { followUpTemplates, saveFollowUpTemplates } = useFollowUpTemplates(isLoggedIn);
+  const { recordFollowUpCompose } = usePendingFollowUps();
+  const availableTags = useMemo(() => collectApplicationTags(applicationDetails), [applicationDetails]);
+  const { offers, saveOffer } = useOffers(isLoggedIn);
+
+  // Hand-added roles ride along with the synced emails from here on, so the
+  // pipeline, grouping and report code never needs to tell them apart. Each
+  // email also carries the pay it states, parsed locally, and the tags the
+  // user put on its application.
+  const categorizedEmails = useMemo(
+    () => attachApplicationTags(
+      attachCompensation(mergeManualApplications(syncedCategorizedEmails, manualApplications, getApplicationKey)),
+      applicationDetails,
+      getApplicationKey
+    ),
+    [syncedCategorizedEmails, manualApplications, applicationDetails]
+  );
+
+  const {
+    reminders,
+    reminderClock,
+    dueReminderCount,
+    snoozeReminder,
+    completeReminder,
+    deleteReminder,
+  } = useReminders(isLoggedIn);
+
+  const { pendingEditCount, outboxConflicts, dismissConflict } = useOutbox(isLoggedIn);
+
+  // Parsed locally from the interview emails; the reminder clock keeps
+  // "upcoming" current while the popup stays open.
+  const upcomingInterviews = useMemo(
+    () => buildUpcomingInterviews(categorizedEmails, { now: reminderClock }),
+    [categorizedEmails, reminderClock]
+  );
+  const contacts = useMemo(
+    () => buildContacts(categorizedEmails, { now: reminderClock, userEmail, getApplicationKey }),
+    [categorizedEmails, reminderClock, userEmail]
+  );
+  const offerRoles = useMemo(
+    () => buildOfferRoles(categorizedEmails, getApplicationKey),
+    [categorizedEmails]
+  );
+
+  const handleDownloadInterviews = useCallback((interviews) => {
+    if (!interviews.length) return;
+    const fileName = interviews.length === 1 ? interviewIcsFileName(interviews[0]) : 'applendium-interviews.ics';
+    downloadFile(buildInterviewsIcs(interviews, { now: Date.now() }), fileName, 'text/calendar;charset=utf-8');
+  }, []);
+
   // Needs Review: track in-flight classifications so buttons disable during the round-trip.
   const [reviewBusyIds, setReviewBusyIds] = useState(() => new Set());
   const handleReviewClassify = useCallback(async (email, category) => {
@@ -503,6 +616,56 @@ function App() {
     if (isAuthReady && !hasRestoredSelectedCategoryRef.current) restoreSelectedCategory();
   }, [isAuthReady]);
 
+  // The home list's filters persist across opens and follow changes made in
+  // the other surface (popup or full view) while both are open.
+  useEffect(() => {
+    if (!isAuthReady) return undefined;
+    const applyListFilters = (raw) => {
+      const filters = normalizeListFilters(raw);
+      storedListFiltersRef.current = filters;
+      setAllApplicationsFilter(filters.view);
+      setDateRange(filters.dateRange);
+      setListSearchQuery(filters.searchQuery);
+      setListTagFilter(filters.tag);
+      setShowClosedChoiceRoles(filters.showClosedChoice);
+    };
+    (async () => {
+      try {
+        const stored = await chrome.storage?.local?.get([LIST_FILTERS_STORAGE_KEY]);
+        if (stored?.[LIST_FILTERS_STORAGE_KEY]) applyListFilters(stored[LIST_FILTERS_STORAGE_KEY]);
+      } catch (error) {
+        appLogger.warn('Failed to restore list filters from storage:', error?.message || error);
+      } finally {
+        setListFiltersRestored(true);
+      }
+    })();
+    const handleStorageChange = (changes, namespace) => {
+      if (namespace === 'local' && changes[LIST_FILTERS_STORAGE_KEY]?.newValue) {
+        applyListFilters(changes[LIST_FILTERS_STORAGE_KEY].newValue);
+      }
+    };
+    chrome.storage?.onChanged?.addListener(handleStorageChange);
+    return () => chrome.storage?.onChanged?.removeListener(handleStorageChange);
+  }, [isAuthReady]);
+
+  useEffect(() => {
+    if (!listFiltersRestored) return;
+    const filters = normalizeListFilters({
+      view: allApplicationsFilter,
+      dateRange,
+      searchQuery: listSearchQuery,
+      tag: listTagFilter,
+      showClosedChoice: showClosedChoiceRoles,
+    });
+    if (storedListFiltersRef.current && sameListFilters(filters, storedListFiltersRef.current)) return;
+    storedListFiltersRef.current = filters;
+    try {
+      chrome.storage?.local?.set({ [LIST_FILTERS_STORAGE_KEY]: filters });
+    } catch (error) {
+      appLogger.warn('Failed to persist list filters:', error?.message || error);
+    }
+  }, [listFiltersRestored, allApplicationsFilter, dateRange, listSearchQuery, listTagFilter, showClosedChoiceRoles]);
+
   useEffect(() => {
     const initialDataFetch = async () => {
       if (isAuthReady && userEmail && userId) {
@@ -653,12 +816,15 @@ function App() {
         latest?.body,
         latest?.html_body,
         group?.preview,
+        // Saved or captured posting text, so a role is findable by its requirements.
+        query ? resolveJobDescription(jobDescriptions, group?.emails?.length ? group.emails : [latest], getApplicationKey)?.text : null,
       ])
         .map((value) => value.toString().toLowerCase())
         .join(' ');
 
       const matchesQuery = !query || haystack.includes(query.toLowerCase());
       if (!matchesQuery) return false;
+      if (!groupHasTag(group?.emails?.length ? group.emails : [latest], listTagFilter)) return false;
       if (!selectedDateRange || selectedDateRange === 'all') return true;
 
       const dateValue = new Date(group?.date || latest?.date || 0);
@@ -670,7 +836,7 @@ function App() {
       if (selectedDateRange === '90d') return daysAgo <= 90;
       return true;
     });
-  }, []);
+  }, [jobDescriptions, listTagFilter]);
 
   const allRelevantEmails = useMemo(() => [
     ...(categorizedEmails.applied || []),
@@ -695,14 +861,7 @@ function App() {
   // Applied/Interviewed. Buckets are mutually exclusive, so the counts read as a
   // funnel instead of double-counting one role across several stages.
   const pipelineRoleGroups = useMemo(
-    () =>
-      mergeGroupsByApplication(groupEmailsByThread(finalRelevantEmails), getApplicationKey).map((group) => ({
-        ...group,
-        pipelineStatus: deriveGroupPipelineStatus(group.emails),
-        // Withdrew / accepted elsewhere: keeps its stage tab but is parked under
-        // that tab's Closed sub-filter and excluded from the active counts.
-        closedByChoice: deriveGroupClosedByChoice(group.emails),
-      })),
+    () => buildPipelineRoleGroups(finalRelevantEmails),
     [finalRelevantEmails]
   );
 
@@ -775,13 +934,14 @@ function App() {
   const shouldFreezeHeadlineSummary =
     isSyncActive
     && !normalizedListSearchQuery
+    && !listTagFilter
     && dateRange === 'all';
 
   useEffect(() => {
-    if (!isSyncActive && !normalizedListSearchQuery && dateRange === 'all') {
+    if (!isSyncActive && !normalizedListSearchQuery && !listTagFilter && dateRange === 'all') {
       setStableAllViewSummary(allViewLiveSummary);
     }
-  }, [allViewLiveSummary, dateRange, isSyncActive, normalizedListSearchQuery]);
+  }, [allViewLiveSummary, dateRange, isSyncActive, listTagFilter, normalizedListSearchQuery]);
 
   const allViewHeadlineSummary = useMemo(() => {
     if (shouldFreezeHeadlineSummary && stableAllViewSummary) {
@@ -824,17 +984,104 @@ function App() {
     }
 
     hasUserNavigatedCategoryRef.current = true;
-    setCategoryBeforePreview(selectedCategory);
+    // In the full view the list stays beside the open thread, so picking
+    // another thread from it keeps the list's category.
+    if (selectedCategory !== 'emailPreview') setCategoryBeforePreview(selectedCategory);
     setSelectedEmail({ ...email, threadMessages });
     setSelectedCategory('emailPreview');
   }, [categorizedEmails, markEmailAsRead, selectedCategory]);
 
+  // Clicking a reminder or new-email notification parks its thread in storage and opens the
+  // popup. The surface it names consumes the handoff once, then jumps to the thread when
+  // emails are in; a full view or side panel left open leaves it alone.
+  const [pendingFocusThreadId, setPendingFocusThreadId] = useState(null);
+  useEffect(() => {
+    if (!isLoggedIn) return undefined;
+    const consumePendingFocus = async () => {
+      try {
+        const stored = await chrome.storage?.local?.get([PENDING_THREAD_FOCUS_STORAGE_KEY]);
+        const pending = stored?.[PENDING_THREAD_FOCUS_STORAGE_KEY];
+        if (!pending || !isPendingThreadFocusFor(pending, surface)) return;
+        await chrome.storage.local.remove(PENDING_THREAD_FOCUS_STORAGE_KEY);
+        const threadId = resolvePendingThreadFocus(pending, Date.now());
+        if (threadId) setPendingFocusThreadId(threadId);
+      } catch (_) {
+        /* storage unavailable (lab harness) — popup opens on its usual view */
+      }
+    };
+    const handleStorageChange = (changes, namespace) => {
+      if (namespace === 'local' && changes[PENDING_THREAD_FOCUS_STORAGE_KEY]?.newValue) consumePendingFocus();
+    };
+
+    consumePendingFocus();
+    chrome.storage?.onChanged?.addListener(handleStorageChange);
+    return () => chrome.storage?.onChanged?.removeListener(handleStorageChange);
+  }, [isLoggedIn, surface]);
+
+  // Same handoff for a digest notification click: open the Digest panel.
+  useEffect(() => {
+    if (!isLoggedIn) return undefined;
+    const consumePendingDigest = async () => {
+      try {
+        const stored = await chrome.storage?.local?.get([PENDING_DIGEST_OPEN_STORAGE_KEY]);
+        const pending = stored?.[PENDING_DIGEST_OPEN_STORAGE_KEY];
+        if (!pending) return;
+        await chrome.storage.local.remove(PENDING_DIGEST_OPEN_STORAGE_KEY);
+        if (isPendingDigestOpenFresh(pending, Date.now())) setIsDigestOpen(true);
+      } catch (_) {
+        /* storage unavailable (lab harness) */
+      }
+    };
+    const handleStorageChange = (changes, namespace) => {
+      if (namespace === 'local' && changes[PENDING_DIGEST_OPEN_STORAGE_KEY]?.newValue) consumePendingDigest();
+    };
+
+    consumePendingDigest();
+    chrome.storage?.onChanged?.addListener(handleStorageChange);
+    return () => chrome.storage?.onChanged?.removeListener(handleStorageChange);
+  }, [isLoggedIn]);
+
+  useEffect(() => {
+    if (!pendingFocusThreadId || initialLoading) return;
+    const isInThread = (email) => String(email?.thread_id || email?.threadId || '') === pendingFocusThreadId;
+    const group = allViewConversationGroups.find((candidate) => (candidate.emails || []).some(isInThread));
+    const latestInThread = group
+      ? [...group.emails].filter(isInThread).sort((a, b) => new Date(b.date) - new Date(a.date))[0]
+      : null;
+    setPendingFocusThreadId(null);
+    if (latestInThread) {
+      handleEmailSelect(latestInThread, group);
+    } else {
+      showNotification('That conversation is no longer in your tracked emails.', 'info');
+    }
+  }, [allViewConversationGroups, handleEmailSelect, initialLoading, pendingFocusThreadId]);
+
   const handleBackToCategory = useCallback(() => {
     hasUserNavigatedCategoryRef.current = true;
     setSelectedEmail(null);
     setSelectedCategory(categoryBeforePreview || 'all');
   }, [categoryBeforePreview]);
 
+  // The popup, the side panel and the full view follow each other's open
+  // thread, so clicking away into Gmail does not lose the place.
+  const reportSelectedThread = useSelectedThreadSync({
+    surface,
+    isLoggedIn,
+    onRemoteSelect: (threadId) => {
+      if (threadId) {
+        setPendingFocusThreadId(threadId);
+      } else if (selectedCategoryRef.current === 'emailPreview') {
+        handleBackToCategory();
+      }
+    },
+  });
+  const selectedThreadId = selectedCategory === 'emailPreview'
+    ? String(selectedEmail?.thread_id || selectedEmail?.threadId || '') || null
+    : null;
+  useEffect(() => {
+    reportSelectedThread(selectedThreadId);
+  }, [reportSelectedThread, selectedThreadId]);
+
   const openMisclassificationModal = useCallback((email) => {
     setEmailToMisclassify(email);
     setIsMisclassificationModalOpen(true);
@@ -861,7 +1108,54 @@ function App() {
     setSelectedEmail(null);
   }, [handleArchiveEmail, fetchStoredEmails]);
 
-  const openPremiumStatusPage = useCallback(async () => {
+  // The board needs more room than the popup, so it opens as an extension tab.
+  const openPipelineBoard = useCallback(() => {
+    const url = chrome.runtime.getURL('popup/public/board.html');
+    try {
+      chrome.tabs.create({ url });
+    } catch (_) {
+      window.open(url, '_blank', 'noopener,noreferrer');
+    }
+  }, []);
+
+  // Same app at tab size. The popup closes itself so the two are not left
+  // open side by side.
+  const openFullView = useCallback(() => {
+    const url = chrome.runtime.getURL('popup/public/dashboard.html');
+    try {
+      chrome.tabs.create({ url });
+      if (surface === 'popup') window.close();
+    } catch (_) {
+      window.open(url, '_blank', 'noopener,noreferrer');
+    }
+  }, [surface]);
+
+  // sidePanel.open only works within the click's user gesture, so the popup's
+  // window id is looked up ahead of time.
+  const popupWindowIdRef = useRef(null);
+  useEffect(() => {
+    if (surface !== 'popup') return;
+    chrome.windows?.getCurrent?.()
+      .then((currentWindow) => {
+        popupWindowIdRef.current = currentWindow?.id ?? null;
+      })
+      .catch(() => {
+        /* windows API unavailable (lab harness) — the side panel button stays inert */
+      });
+  }, [surface]);
+  const canOpenSidePanel = surface === 'popup' && Boolean(chrome.sidePanel?.open);
+
+  const openSidePanel = useCallback(() => {
+    if (popupWindowIdRef.current === null) return;
+    chrome.sidePanel.open({ windowId: popupWindowIdRef.current })
+      .then(() => window.close())
+      .catch((error) => {
+        appLogger.warn('Failed to open the side panel:', error?.message || error);
+        showNotification('Could not open the side panel.', 'error');
+      });
+  }, []);
+
+  const openWebAppPage = useCallback(async (path) => {
     const rawUrl = await getPremiumDashboardUrl();
 
     if (!rawUrl) {
@@ -876,7 +1170,7 @@ function App() {
       baseUrl = rawUrl.replace(/\/+$/, '');
     }
 
-    const url = `${baseUrl}/upgrade`;
+    const url = `${baseUrl}${path}`;
 
     try {
       chrome.tabs.create({ url });
@@ -885,6 +1179,8 @@ function App() {
     }
   }, []);
 
+  const openPremiumStatusPage = useCallback(() => openWebAppPage('/upgrade'), [openWebAppPage]);
+
   const renderQuotaStatusNotice = useCallback(() => {
     if (!showQuotaStatusNotice || !quota) {
       return null;
@@ -926,12 +1222,27 @@ function App() {
   // backend-side over every relevant email, so showing it beside a search- or date-filtered
   // list would state a total the visible cards contradict.
   const canonicalTotal = useMemo(() => {
-    if (normalizedListSearchQuery || dateRange !== 'all') return null;
+    if (normalizedListSearchQuery || listTagFilter || dateRange !== 'all') return null;
     const total = applicationCount?.total;
     return Number.isFinite(total) ? total : null;
-  }, [applicationCount, dateRange, normalizedListSearchQuery]);
+  }, [applicationCount, dateRange, listTagFilter, normalizedListSearchQuery]);
 
   const footerSummary = useMemo(() => {
+    if (selectedCategory === 'reminders') {
+      const count = reminders.filter((reminder) => reminder.status !== 'done').length;
+      return `${count} ${count === 1 ? 'active reminder' : 'active reminders'}`;
+    }
+
+    if (selectedCategory === 'calendar') {
+      const count = upcomingInterviews.length;
+      return `${count} ${count === 1 ? 'upcoming interview' : 'upcoming interviews'}`;
+    }
+
+    if (selectedCategory === 'contacts') {
+      const count = contacts.length;
+      return `${count} ${count === 1 ? 'contact' : 'contacts'}`;
+    }
+
     if (selectedCategory === 'all' || selectedCategory === 'home') {
       const activeView = allApplicationsFilter;
       const count =
@@ -978,28 +1289,93 @@ function App() {
     }
 
     return `${count} ${count === 1 ? 'tracked application' : 'tracked applications'}`;
-  }, [allApplicationsFilter, allViewHeadlineSummary, canonicalTotal, countFilteredConversations, selectedCategory]);
+  }, [allApplicationsFilter, allViewHeadlineSummary, canonicalTotal, contacts, countFilteredConversations, reminders, selectedCategory, upcomingInterviews]);
+
+  const renderEmailPreview = () => (
+    <EmailPreview
+      email={selectedEmail}
+      onBack={handleBackToCategory}
+      onArchive={handleArchive}
+      onOpenMisclassificationModal={openMisclassificationModal}
+      userPlan={userPlan}
+      onOpenPremiumPage={openPremiumStatusPage}
+      onUpdateCompanyName={handleUpdateCompanyName}
+      onUpdatePosition={handleUpdatePosition}
+      onEditManualApplication={editManualApplication}
+      onDeleteManualApplication={deleteManualApplication}
+      manualApplications={manualApplications}
+      interviewPrep={interviewPrep}
+      onSaveInterviewPrep={saveInterviewPrep}
+      jobDescriptions={jobDescriptions}
+      onSaveJobDescription={saveJobDescription}
+      applicationDetails={applicationDetails}
+      customFields={customFields}
+      knownTags={availableTags}
+      onSaveApplicationDetails={saveApplicationDetails}
+      onSaveCustomFields={saveCustomFields}
+      onWriteFollowUp={setFollowUpEmails}
+      userEmail={userEmail}
+    />
+  );
 
-  const renderMainContent = () => {
-    if (selectedCategory === 'emailPreview') {
+  const renderMainContent = (category = selectedCategory, { pane = false } = {}) => {
+    if (category === 'emailPreview') {
+      // The full view reads the thread beside the list it was opened from.
+      if (isFullView && !pane) {
+        const listCategory = categoryBeforePreview && categoryBeforePreview !== 'emailPreview' ? categoryBeforePreview : 'all';
+        return (
+          <div className="grid h-full min-h-0 grid-cols-[minmax(360px,440px)_minmax(0,1fr)]">
+            <div className="min-h-0 overflow-y-auto overflow-x-hidden border-r border-white/10 popup-scrollbar">
+              {renderMainContent(listCategory, { pane: true })}
+            </div>
+            <div className="popup-view-enter min-h-0 overflow-y-auto overflow-x-hidden popup-scrollbar">
+              {renderEmailPreview()}
+            </div>
+          </div>
+        );
+      }
       return (
         <div className="popup-view-enter">
-          <EmailPreview
-            email={selectedEmail}
-            onBack={handleBackToCategory}
-            onArchive={handleArchive}
-            onOpenMisclassificationModal={openMisclassificationModal}
-            userPlan={userPlan}
-            onOpenPremiumPage={openPremiumStatusPage}
-            onUpdateCompanyName={handleUpdateCompanyName}
-            onUpdatePosition={handleUpdatePosition}
-            userEmail={userEmail}
-          />
+          {renderEmailPreview()}
         </div>
       );
     }
 
-    if (selectedCategory === 'review') {
+    if (category === 'reminders') {
+      return (
+        <RemindersView
+          reminders={reminders}
+          now={reminderClock}
+          conversationGroups={allViewConversationGroups}
+          onOpenThread={handleEmailSelect}
+          onSnooze={snoozeReminder}
+          onComplete={completeReminder}
+          onDelete={deleteReminder}
+        />
+      );
+    }
+
+    if (category === 'calendar') {
+      return (
+        <InterviewCalendarView
+          interviews={upcomingInterviews}
+          now={reminderClock}
+          onOpenThread={setPendingFocusThreadId}
+          onDownload={handleDownloadInterviews}
+        />
+      );
+    }
+
+    if (category === 'contacts') {
+      return (
+        <ContactsView
+          contacts={contacts}
+          onOpenThread={setPendingFocusThreadId}
+        />
+      );
+    }
+
+    if (category === 'review') {
       return (
         <ReviewLane
           emails={reviewEmails}
@@ -1009,7 +1385,7 @@ function App() {
       );
     }
 
-    if (selectedCategory === 'all' || selectedCategory === 'home') {
+    if (category === 'all' || category === 'home') {
       const closedChoiceGroups = allViewClosedChoiceGroups[allApplicationsFilter] || [];
       const showingClosedChoice = showClosedChoiceRoles && closedChoiceGroups.length > 0;
       const filteredConversations = showingClosedChoice
@@ -1020,11 +1396,13 @@ function App() {
       const totalConversations = filteredConversations.length;
       const allConversationEmails = filteredConversations.flatMap((conv) => conv.emails);
       const stats = allViewHeadlineSummary.counts;
+      // The full view has room for bigger stat cards, two or four to a row.
+      const wide = isFullView && !pane;
 
       return (
         <div className="flex h-full flex-col">
-          <div className="space-y-3 px-3 py-3">
-            <div className="grid grid-cols-4 gap-2">
+          <div className={`space-y-3 ${wide ? 'px-6 py-5' : 'px-3 py-3'}`}>
+            <div className={wide ? 'grid grid-cols-2 gap-3 md:grid-cols-4' : 'grid grid-cols-4 gap-2'}>
               {[
                 { key: 'applied', label: 'Applied', value: stats.applied, cardClass: 'bg-white/[0.05]', textClass: 'text-foreground', ringClass: 'ring-white/10' },
                 // "In interviews", not "Interviews": this is where roles stand RIGHT NOW, so a
@@ -1038,9 +1416,9 @@ function App() {
                 // overstated the bad news; the caption below breaks the two apart.
                 { key: 'rejected', label: 'Closed', value: stats.rejected, cardClass: 'bg-destructive/[0.08]', textClass: 'text-destructive', ringClass: 'ring-destructive/20' },
               ].map((stat) => (
-                <div key={stat.key} className={`${stat.cardClass} rounded-xl px-2 py-2.5 text-center ring-1 ${stat.ringClass}`}>
-                  <div className={`text-[20px] font-bold leading-none tracking-[-0.02em] tabular-nums ${stat.textClass}`}>{stat.value}</div>
-                  <div className="mt-1 font-mono text-[8px] font-bold uppercase tracking-[0.12em] text-muted-foreground">{stat.label}</div>
+                <div key={stat.key} className={`${stat.cardClass} rounded-xl text-center ring-1 ${stat.ringClass} ${wide ? 'px-4 py-5' : 'px-2 py-2.5'}`}>
+                  <div className={`${wide ? 'text-[32px]' : 'text-[20px]'} font-bold leading-none tracking-[-0.02em] tabular-nums ${stat.textClass}`}>{stat.value}</div>
+                  <div className={`${wide ? 'mt-2 text-[10px]' : 'mt-1 text-[8px]'} font-mono font-bold uppercase tracking-[0.12em] text-muted-foreground`}>{stat.label}</div>
                 </div>
               ))}
             </div>
@@ -1101,6 +1479,31 @@ function App() {
                     ))}
                   </div>
                 )}
+
+                {(availableTags.length > 0 || listTagFilter) && (
+                  <label
+                    className={`inline-flex items-center gap-1 rounded-md border px-2 py-1 text-[10px] font-medium transition-colors ${
+                      listTagFilter
+                        ? 'border-accent/30 bg-accent/10 text-accent'
+                        : 'border-white/10 text-muted-foreground hover:border-white/25 hover:text-foreground'
+                    }`}
+                    title="Filter by tag"
+                  >
+                    <Tag className="h-3.5 w-3.5" />
+                    <select
+                      value={listTagFilter}
+                      onChange={(event) => setListTagFilter(event.target.value)}
+                      aria-label="Filter by tag"
+                      className="max-w-[110px] bg-transparent text-[10px] focus:outline-none"
+                      data-testid="list-tag-filter"
+                    >
+                      <option value="">Any tag</option>
+                      {[...new Set([...availableTags, ...(listTagFilter ? [listTagFilter] : [])])].map((tag) => (
+                        <option key={tag} value={tag}>{tag}</option>
+                      ))}
+                    </select>
+                  </label>
+                )}
               </div>
             </div>
 
@@ -1126,8 +1529,67 @@ function App() {
                   {tab.label}
                 </button>
               ))}
+              <button
+                onClick={() => handleCategoryChange('reminders')}
+                data-testid="main-tab-reminders"
+                className="inline-flex shrink-0 items-center gap-1 rounded-full border border-white/10 px-2.5 py-1 text-[11px] font-medium text-muted-foreground transition-colors hover:border-white/25 hover:text-foreground"
+                type="button"
+              >
+                <BellRing className="h-3 w-3" />
+                Reminders
+                {dueReminderCount > 0 && (
+                  <span className="rounded-full bg-warning px-1.5 text-[10px] font-semibold leading-4 text-warning-foreground">
+                    {dueReminderCount}
+                  </span>
+                )}
+              </button>
+              <button
+                onClick={() => handleCategoryChange('calendar')}
+                data-testid="main-tab-calendar"
+                className="inline-flex shrink-0 items-center gap-1 rounded-full border border-white/10 px-2.5 py-1 text-[11px] font-medium text-muted-foreground transition-colors hover:border-white/25 hover:text-foreground"
+                type="button"
+              >
+                <CalendarClock className="h-3 w-3" />
+                Interviews
+                {upcomingInterviews.length > 0 && (
+                  <span className="rounded-full bg-accent/20 px-1.5 text-[10px] font-semibold leading-4 text-accent">
+                    {upcomingInterviews.length}
+                  </span>
+                )}
+              </button>
+              <button
+                onClick={() => handleCategoryChange('contacts')}
+                data-testid="main-tab-contacts"
+                className="inline-flex shrink-0 items-center gap-1 rounded-full border border-white/10 px-2.5 py-1 text-[11px] font-medium text-muted-foreground transition-colors hover:border-white/25 hover:text-foreground"
+                type="button"
+              >
+                <Users className="h-3 w-3" />
+                Contacts
+              </button>
+              <button
+                onClick={openPipelineBoard}
+                data-testid="pipeline-board-open"
+                className="inline-flex shrink-0 items-center gap-1 rounded-full border border-white/10 px-2.5 py-1 text-[11px] font-medium text-muted-foreground transition-colors hover:border-white/25 hover:text-foreground"
+                type="button"
+                title="Open the pipeline board in a tab"
+              >
+                <Columns3 className="h-3 w-3" />
+                Board
+              </button>
             </div>
 
+            {allApplicationsFilter === 'offers' && offerRoles.length > 0 && (
+              <button
+                onClick={() => setIsOfferComparisonOpen(true)}
+                data-testid="offer-compare-open"
+                className="inline-flex items-center gap-1 rounded-full border border-white/10 px-2.5 py-1 text-[11px] font-medium text-muted-foreground transition-colors hover:border-white/25 hover:text-foreground"
+                type="button"
+              >
+                <Scale className="h-3 w-3" />
+                Compare offers
+              </button>
+            )}
+
             {closedChoiceGroups.length > 0 && (allApplicationsFilter === 'applied' || allApplicationsFilter === 'interviewed') && (
               <button
                 onClick={() => setShowClosedChoiceRoles((prev) => !prev)}
@@ -1179,6 +1641,7 @@ function App() {
             coverage={historyCoverage}
             userPlan={userPlan}
             onUpgrade={openPremiumStatusPage}
+            onImport={() => setIsImportModalOpen(true)}
           />
         </div>
       );
@@ -1187,8 +1650,8 @@ function App() {
     // Category pages read the same pipeline bucket as the tabs (one card per role,
     // terminal roles already routed to their outcome tab). Fall back to raw thread
     // grouping for any non-pipeline category (e.g. irrelevant).
-    const groupedConversations = pipelineBuckets[selectedCategory]
-      || groupEmailsByThread(categorizedEmails[selectedCategory] || []);
+    const groupedConversations = pipelineBuckets[category]
+      || groupEmailsByThread(categorizedEmails[category] || []);
     const filteredConversations = filterConversationGroups(groupedConversations, normalizedListSearchQuery);
     const totalConversations = filteredConversations.length;
     const allConversationEmails = filteredConversations.flatMap((conv) => conv.emails);
@@ -1199,14 +1662,14 @@ function App() {
           <ListSearchBar
             value={listSearchQuery}
             onChange={setListSearchQuery}
-            placeholder={`Search ${getCategoryTitle(selectedCategory).toLowerCase()}...`}
+            placeholder={`Search ${getCategoryTitle(category).toLowerCase()}...`}
           />
           {renderQuotaStatusNotice()}
         </div>
         <EmailList
           emails={allConversationEmails}
           preGroupedThreads={filteredConversations}
-          category={selectedCategory}
+          category={category}
           selectedEmail={selectedEmail}
           onEmailSelect={handleEmailSelect}
           totalEmails={totalConversations}
@@ -1222,7 +1685,9 @@ function App() {
     return (
       <div
         data-testid="extension-popup-root"
-        className="flex h-[600px] max-h-[600px] w-[400px] flex-col overflow-hidden bg-background text-foreground"
+        className={fillsWindow
+          ? 'mx-auto flex h-full w-full max-w-[480px] flex-col overflow-hidden bg-background text-foreground'
+          : 'flex h-[600px] max-h-[600px] w-[400px] flex-col overflow-hidden bg-background text-foreground'}
       >
         <Notification />
 
@@ -1344,7 +1809,12 @@ function App() {
         : getCategoryTitle(selectedCategory));
 
   return (
-    <div data-testid="extension-popup-root" className="flex h-[600px] max-h-[600px] w-[400px] flex-col overflow-hidden rounded-[18px] border border-border bg-background text-foreground shadow-[0_18px_40px_rgba(17,24,39,0.14)]">
+    <div
+      data-testid="extension-popup-root"
+      className={fillsWindow
+        ? 'flex h-full w-full flex-col overflow-hidden bg-background text-foreground'
+        : 'flex h-[600px] max-h-[600px] w-[400px] flex-col overflow-hidden rounded-[18px] border border-border bg-background text-foreground shadow-[0_18px_40px_rgba(17,24,39,0.14)]'}
+    >
       {isLoadingApp && <LoadingOverlay message="Signing in..." />}
       {showInitialEmailLoading && <LoadingOverlay message="Loading emails..." />}
       <Notification />
@@ -1396,6 +1866,16 @@ function App() {
               >
                 <RefreshCw className={`h-3.5 w-3.5 ${isSyncActive ? 'animate-spin' : ''}`} />
               </button>
+              <button
+                onClick={() => setIsManualApplicationModalOpen(true)}
+                data-testid="add-application-button"
+                title="Add application"
+                aria-label="Add application"
+                className="inline-flex h-6 w-6 items-center justify-center rounded-md text-muted-foreground transition hover:bg-white/10 hover:text-foreground"
+                type="button"
+              >
+                <Plus className="h-3.5 w-3.5" />
+              </button>
               <button
                 onClick={() => setIsReportModalOpen(true)}
                 data-testid="report-button"
@@ -1406,6 +1886,92 @@ function App() {
               >
                 <FileDown className="h-3.5 w-3.5" />
               </button>
+              <button
+                onClick={() => setIsNotificationSettingsOpen(true)}
+                data-testid="notification-settings-button"
+                title="Notification settings"
+                aria-label="Notification settings"
+                className="inline-flex h-6 w-6 items-center justify-center rounded-md text-muted-foreground transition hover:bg-white/10 hover:text-foreground"
+                type="button"
+              >
+                <Bell className="h-3.5 w-3.5" />
+              </button>
+              <button
+                onClick={toggleGmailIntegration}
+                data-testid="gmail-integration-button"
+                title={gmailIntegrationActive ? 'Showing in Gmail (click to turn off)' : 'Show status in Gmail'}
+                aria-label={gmailIntegrationActive ? 'Turn off Applendium in Gmail' : 'Show Applendium in Gmail'}
+                aria-pressed={gmailIntegrationActive}
+                className={`inline-flex h-6 w-6 items-center justify-center rounded-md transition hover:bg-white/10 hover:text-foreground ${gmailIntegrationActive ? 'text-accent' : 'text-muted-foreground'}`}
+                type="button"
+              >
+                <Mail className="h-3.5 w-3.5" />
+              </button>
+              <button
+                onClick={toggleJobCapture}
+                data-testid="job-capture-button"
+                title={jobCaptureActive ? 'Capturing job board applications (click to turn off)' : 'Capture applications on job boards'}
+                aria-label={jobCaptureActive ? 'Turn off job board capture' : 'Capture applications on job boards'}
+                aria-pressed={jobCaptureActive}
+                className={`inline-flex h-6 w-6 items-center justify-center rounded-md transition hover:bg-white/10 hover:text-foreground ${jobCaptureActive ? 'text-accent' : 'text-muted-foreground'}`}
+                type="button"
+              >
+                <Briefcase className="h-3.5 w-3.5" />
+              </button>
+              <button
+                onClick={() => setIsDigestOpen(true)}
+                data-testid="digest-button"
+                title="Digest"
+                aria-label="Digest"
+                className="inline-flex h-6 w-6 items-center justify-center rounded-md text-muted-foreground transition hover:bg-white/10 hover:text-foreground"
+                type="button"
+              >
+                <Newspaper className="h-3.5 w-3.5" />
+              </button>
+              <button
+                onClick={() => setIsFollowUpsOpen(true)}
+                data-testid="follow-ups-button"
+                title="Follow-ups"
+                aria-label="Follow-ups"
+                className="inline-flex h-6 w-6 items-center justify-center rounded-md text-muted-foreground transition hover:bg-white/10 hover:text-foreground"
+                type="button"
+              >
+                <Send className="h-3.5 w-3.5" />
+              </button>
+              <button
+                onClick={() => setIsBackupModalOpen(true)}
+                data-testid="backup-button"
+                title="Backup & restore"
+                aria-label="Backup and restore"
+                className="inline-flex h-6 w-6 items-center justify-center rounded-md text-muted-foreground transition hover:bg-white/10 hover:text-foreground"
+                type="button"
+              >
+                <DatabaseBackup className="h-3.5 w-3.5" />
+              </button>
+              {canOpenSidePanel && (
+                <button
+                  onClick={openSidePanel}
+                  data-testid="open-side-panel-button"
+                  title="Open in side panel"
+                  aria-label="Open in side panel"
+                  className="inline-flex h-6 w-6 items-center justify-center rounded-md text-muted-foreground transition hover:bg-white/10 hover:text-foreground"
+                  type="button"
+                >
+                  <PanelRight className="h-3.5 w-3.5" />
+                </button>
+              )}
+              {!isFullView && (
+                <button
+                  onClick={openFullView}
+                  data-testid="open-full-view-button"
+                  title="Open in full view"
+                  aria-label="Open in full view"
+                  className="inline-flex h-6 w-6 items-center justify-center rounded-md text-muted-foreground transition hover:bg-white/10 hover:text-foreground"
+                  type="button"
+                >
+                  <Maximize2 className="h-3.5 w-3.5" />
+                </button>
+              )}
               <button
                 onClick={logout}
                 title="Sign out"
@@ -1426,6 +1992,12 @@ function App() {
           arriving at all, so reviewing the existing backlog is the lesser ask. */}
       <GmailReconnectBanner gmailAuth={gmailAuth} onReconnect={handleGmailReconnect} />
 
+      <OutboxBanner
+        pendingCount={pendingEditCount}
+        conflicts={outboxConflicts}
+        onDismissConflict={dismissConflict}
+      />
+
       {reviewCount > 0 && selectedCategory !== 'review' && selectedCategory !== 'emailPreview' && (
         <button
           type="button"
@@ -1467,10 +2039,78 @@ function App() {
         undoToastVisible={undoToastVisible}
         setUndoToastVisible={setUndoToastVisible}
       />
+      <ManualApplicationModal
+        isOpen={isManualApplicationModalOpen}
+        onClose={() => setIsManualApplicationModalOpen(false)}
+        onSubmit={addManualApplication}
+        onOpenImport={() => {
+          setIsManualApplicationModalOpen(false);
+          setIsImportModalOpen(true);
+        }}
+      />
+      <ImportApplicationsModal
+        isOpen={isImportModalOpen}
+        onClose={() => setIsImportModalOpen(false)}
+        categorizedEmails={categorizedEmails}
+        manualApplications={manualApplications}
+        onImport={importManualApplications}
+        onUndoImport={undoManualApplicationImport}
+      />
+      <NotificationSettingsModal
+        isOpen={isNotificationSettingsOpen}
+        onClose={() => setIsNotificationSettingsOpen(false)}
+        enabled={notificationsEnabled}
+        rules={notificationRules}
+        onSave={saveNotificationSettings}
+      />
+      <DigestModal
+        isOpen={isDigestOpen}
+        onClose={() => setIsDigestOpen(false)}
+        settings={digestSettings}
+        onLoadDigest={loadDigest}
+        onSaveSettings={saveDigestSettings}
+        onOpenThread={setPendingFocusThreadId}
+        onOpenWeeklySummary={() => openWebAppPage('/weekly-summary')}
+      />
+      <FollowUpsModal
+        isOpen={isFollowUpsOpen}
+        onClose={() => setIsFollowUpsOpen(false)}
+        userEmail={userEmail}
+        userId={userId}
+        userPlan={userPlan}
+        templates={followUpTemplates}
+        onOpenThread={setPendingFocusThreadId}
+      />
+      <OfferComparisonModal
+        isOpen={isOfferComparisonOpen}
+        onClose={() => setIsOfferComparisonOpen(false)}
+        roles={offerRoles}
+        offers={offers}
+        now={reminderClock}
+        onSave={saveOffer}
+        onOpenThread={setPendingFocusThreadId}
+      />
+      <FollowUpComposerModal
+        emails={followUpEmails}
+        onClose={() => setFollowUpEmails(null)}
+        templates={followUpTemplates}
+        onSaveTemplates={saveFollowUpTemplates}
+        onComposeOpened={recordFollowUpCompose}
+        userEmail={userEmail}
+      />
+      <BackupModal
+        isOpen={isBackupModalOpen}
+        onClose={() => setIsBackupModalOpen(false)}
+        onBackup={downloadBackup}
+        onRestore={restoreBackup}
+      />
       <ReportModal
         isOpen={isReportModalOpen}
         onClose={() => setIsReportModalOpen(false)}
         categorizedEmails={categorizedEmails}
+        interviewPrep={interviewPrep}
+        applicationDetails={applicationDetails}
+        customFields={customFields}
         userName={userName}
         userEmail={userEmail}
       />
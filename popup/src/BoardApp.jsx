@@ -0,0 +1,96 @@
+/**
+ * @file popup/src/BoardApp.jsx
+ * @description Full-page pipeline board. Reads the same cached emails as the
+ * popup, builds the same one-card-per-role groups, and turns drags between
+ * columns into backend calls through useBoardMoves.
+ */
+
+import React, { useEffect, useMemo } from 'react';
+import { RefreshCw } from 'lucide-react';
+import { useAuth } from './hooks/useAuth';
+import { useEmails } from './hooks/useEmails';
+import { useManualApplications } from './hooks/useManualApplications';
+import { useBoardMoves } from './hooks/useBoardMoves';
+import { Notification, showNotification } from './components/Notification';
+import PipelineBoard from './components/PipelineBoard';
+import { getApplicationKey } from './utils/grouping';
+import { attachCompensation } from './utils/compensation.mjs';
+import { PIPELINE_CATEGORIES, buildPipelineRoleGroups, isPreviewCandidateEmail } from './utils/pipelineRoleGroups';
+import { mergeManualApplications } from '../../shared/manualApplications.mjs';
+import { CONFIG } from './utils/constants';
+
+export default function BoardApp() {
+  const { userEmail, userId, isLoggedIn, isAuthReady } = useAuth();
+  const {
+    categorizedEmails: syncedCategorizedEmails,
+    fetchStoredEmails,
+    initialLoading,
+  } = useEmails(userEmail, userId, CONFIG);
+  const { manualApplications } = useManualApplications(isLoggedIn);
+  const { moveGroup, movingKey } = useBoardMoves(fetchStoredEmails);
+
+  useEffect(() => {
+    if (!isAuthReady || !userEmail || !userId) return;
+    fetchStoredEmails().catch((error) => {
+      console.error('❌ Applendium: Error loading emails for the board:', error);
+      showNotification('Failed to load your applications.', 'error');
+    });
+  }, [isAuthReady, userEmail, userId, fetchStoredEmails]);
+
+  // Stay in step with syncs started from the popup or the background alarm.
+  useEffect(() => {
+    const handleBackgroundMessage = (message) => {
+      if (message.type !== 'EMAILS_SYNCED' && message.type !== 'NEW_EMAILS_UPDATED') return;
+      if (message.userEmail && message.userEmail !== userEmail) return;
+      if (!message.syncInProgress) fetchStoredEmails();
+    };
+    chrome.runtime.onMessage.addListener(handleBackgroundMessage);
+    return () => chrome.runtime.onMessage.removeListener(handleBackgroundMessage);
+  }, [userEmail, fetchStoredEmails]);
+
+  const roleGroups = useMemo(() => {
+    const categorizedEmails = attachCompensation(
+      mergeManualApplications(syncedCategorizedEmails, manualApplications, getApplicationKey),
+    );
+    const pipelineEmails = PIPELINE_CATEGORIES
+      .flatMap((category) => categorizedEmails[category] || [])
+      .filter((email) => !isPreviewCandidateEmail(email));
+    return buildPipelineRoleGroups(pipelineEmails);
+  }, [syncedCategorizedEmails, manualApplications]);
+
+  return (
+    <div className="min-h-screen bg-background text-foreground">
+      <Notification />
+      <header className="flex items-center justify-between gap-4 border-b border-border px-6 py-4">
+        <div>
+          <h1 className="text-lg font-semibold">Pipeline board</h1>
+          <p className="text-xs text-muted-foreground">
+            Drag a role to another column to change its stage. Every move can be undone from the toast.
+          </p>
+        </div>
+        {isLoggedIn && (
+          <button
+            onClick={() => fetchStoredEmails()}
+            className="inline-flex items-center gap-1.5 rounded-full border border-white/10 px-3 py-1.5 text-xs font-medium text-muted-foreground transition-colors hover:border-white/25 hover:text-foreground"
+            type="button"
+          >
+            <RefreshCw className="h-3.5 w-3.5" />
+            Refresh
+          </button>
+        )}
+      </header>
+
+      <main className="p-6">
+        {!isAuthReady || (isLoggedIn && initialLoading) ? (
+          <div className="text-sm text-muted-foreground">Loading your applications...</div>
+        ) : !isLoggedIn ? (
+          <div className="rounded-2xl border border-white/10 bg-white/[0.03] p-6 text-sm text-muted-foreground">
+            Sign in from the Applendium popup to see your pipeline here.
+          </div>
+        ) : (
+          <PipelineBoard groups={roleGroups} onMove={moveGroup} movingKey={movingKey} />
+        )}
+      </main>
+    </div>
+  );
+}
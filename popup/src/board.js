@@ -0,0 +1,29 @@
+/**
+ * @file popup/src/board.js
+ * @description Entry point of the pipeline board page (popup/public/board.html),
+ * opened as an extension tab from the popup.
+ */
+
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import BoardApp from './BoardApp';
+import ErrorBoundary from './components/ErrorBoundary';
+import './index.css';
+
+if (typeof document !== 'undefined' && document.documentElement) {
+  document.documentElement.classList.add('dark', 'full-page');
+}
+
+const container = document.getElementById('root');
+
+if (container) {
+  createRoot(container).render(
+    <React.StrictMode>
+      <ErrorBoundary>
+        <BoardApp />
+      </ErrorBoundary>
+    </React.StrictMode>
+  );
+} else {
+  console.error('Failed to find the root element to mount the pipeline board.');
+}
@@ -0,0 +1,329 @@
+/**
+ * @file popup/src/components/ApplicationDetailsPanel.jsx
+ * @description The user's own details on one application: notes, tags and
+ * the custom fields they define. Edits stay in a local draft until saved; the
+ * field definitions are edited in place and apply to every application.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Plus, Settings2, Tag, Trash2, X } from 'lucide-react';
+import { cn } from '../utils/cn';
+import {
+  CUSTOM_FIELD_TYPES,
+  MAX_TAG_LENGTH,
+  SUGGESTED_TAGS,
+  normalizeTag,
+} from '../../../shared/applicationDetails.mjs';
+
+const INPUT_CLASS = 'w-full rounded-lg border border-white/10 bg-white/[0.03] px-2.5 py-1.5 text-xs text-foreground placeholder:text-muted-foreground focus:border-accent/50 focus:outline-none';
+const LABEL_CLASS = 'mb-1 block text-[11px] font-medium text-muted-foreground';
+
+// Field values are edited as strings and checked by the service worker, which
+// knows the field types.
+const toDraft = (details) => ({
+  notes: details?.notes || '',
+  tags: details?.tags || [],
+  fields: Object.fromEntries(Object.entries(details?.fields || {}).map(([id, value]) => [id, String(value)])),
+});
+
+// Select options are edited as one comma-separated line.
+const toDraftField = (field) => ({ ...field, optionsText: (field.options || []).join(', ') });
+
+const fromDraftField = ({ optionsText, ...field }) => ({
+  ...field,
+  options: field.type === 'select' ? optionsText.split(',').map((option) => option.trim()).filter(Boolean) : [],
+});
+
+function CustomFieldsEditor({ customFields, onSave, onClose }) {
+  const [draft, setDraft] = useState(() => customFields.map(toDraftField));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const updateField = (fieldId, patch) => {
+    setDraft((prev) => prev.map((field) => (field.id === fieldId ? { ...field, ...patch } : field)));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    const result = await onSave(draft.map(fromDraftField));
+    setSaving(false);
+    if (result?.success) {
+      onClose();
+    } else {
+      setError(result?.error || 'Could not save custom fields.');
+    }
+  };
+
+  return (
+    <div className="mt-3 space-y-2 rounded-xl border border-white/[0.07] bg-white/[0.025] p-3" data-testid="custom-fields-editor">
+      <p className="text-[11px] text-muted-foreground">Fields apply to every application.</p>
+      {draft.map((field) => (
+        <div key={field.id} className="space-y-1.5">
+          <div className="flex items-center gap-2">
+            <input
+              className={INPUT_CLASS}
+              value={field.label}
+              placeholder="Field name"
+              onChange={(event) => updateField(field.id, { label: event.target.value })}
+              aria-label="Field name"
+            />
+            <select
+              className={cn(INPUT_CLASS, 'w-24 shrink-0')}
+              value={field.type}
+              onChange={(event) => updateField(field.id, { type: event.target.value })}
+              aria-label="Field type"
+            >
+              {CUSTOM_FIELD_TYPES.map((type) => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={() => setDraft((prev) => prev.filter((entry) => entry.id !== field.id))}
+              className="shrink-0 text-muted-foreground transition hover:text-destructive"
+              aria-label={`Remove ${field.label || 'field'}`}
+            >
+              <Trash2 className="h-3.5 w-3.5" />
+            </button>
+          </div>
+          {field.type === 'select' && (
+            <input
+              className={INPUT_CLASS}
+              value={field.optionsText}
+              placeholder="Options, separated by commas"
+              onChange={(event) => updateField(field.id, { optionsText: event.target.value })}
+              aria-label="Field options"
+            />
+          )}
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => setDraft((prev) => [...prev, { id: crypto.randomUUID(), label: '', type: 'text', optionsText: '' }])}
+        className="inline-flex items-center gap-1 rounded-md border border-white/10 px-2 py-1 text-[11px] text-foreground transition hover:border-white/25"
+        data-testid="custom-fields-add"
+      >
+        <Plus className="h-3 w-3" />
+        Add field
+      </button>
+      {error && <p className="text-xs text-destructive">{error}</p>}
+      <div className="flex gap-2">
+        <button
+          type="button"
+          onClick={onClose}
+          className="flex-1 rounded-lg border border-border bg-card px-3 py-1.5 text-xs font-medium text-foreground transition hover:bg-muted"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={saving}
+          className="flex-1 rounded-lg bg-accent px-3 py-1.5 text-xs font-semibold text-accent-foreground transition hover:bg-accent/90 disabled:opacity-60"
+          data-testid="custom-fields-save"
+        >
+          {saving ? 'Saving…' : 'Save fields'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function FieldInput({ field, value, onChange }) {
+  if (field.type === 'select') {
+    return (
+      <select className={INPUT_CLASS} value={value} onChange={(event) => onChange(event.target.value)}>
+        <option value="">—</option>
+        {field.options.map((option) => (
+          <option key={option} value={option}>{option}</option>
+        ))}
+      </select>
+    );
+  }
+  return (
+    <input
+      type={field.type === 'date' ? 'date' : field.type === 'url' ? 'url' : 'text'}
+      inputMode={field.type === 'number' ? 'decimal' : undefined}
+      className={INPUT_CLASS}
+      value={value}
+      placeholder={field.type === 'url' ? 'https://' : undefined}
+      onChange={(event) => onChange(event.target.value)}
+    />
+  );
+}
+
+/**
+ * @param {object} props
+ * @param {object|null} props.details - The stored record, or null before the first save.
+ * @param {Array<object>} props.customFields - The account's field definitions.
+ * @param {Array<string>} props.knownTags - Tags used on other applications, offered as suggestions.
+ * @param {(details: object) => Promise<{success: boolean, error?: string}>} props.onSave
+ * @param {(fields: Array<object>) => Promise<{success: boolean, error?: string}>} props.onSaveCustomFields
+ */
+export default function ApplicationDetailsPanel({ details, customFields = [], knownTags = [], onSave, onSaveCustomFields }) {
+  const [draft, setDraft] = useState(() => toDraft(details));
+  const [dirty, setDirty] = useState(false);
+  const [newTag, setNewTag] = useState('');
+  const [editingFields, setEditingFields] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setDraft(toDraft(details));
+    setDirty(false);
+    setError(null);
+  }, [details]);
+
+  const update = (patch) => {
+    setDraft((prev) => ({ ...prev, ...patch }));
+    setDirty(true);
+  };
+
+  const addTag = (value) => {
+    const tag = normalizeTag(value);
+    if (tag && !draft.tags.includes(tag)) update({ tags: [...draft.tags, tag] });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    // A choice whose option was since removed would be refused; drop it.
+    const fields = Object.fromEntries(Object.entries(draft.fields).filter(([fieldId, value]) => {
+      const field = customFields.find((entry) => entry.id === fieldId);
+      return field && (field.type !== 'select' || field.options.includes(value));
+    }));
+    const result = await onSave({ ...draft, fields });
+    setSaving(false);
+    if (result?.success) {
+      setDirty(false);
+    } else {
+      setError(result?.error || 'Could not save application details.');
+    }
+  };
+
+  const suggestions = [...new Set([...SUGGESTED_TAGS, ...knownTags])].filter((tag) => !draft.tags.includes(tag)).slice(0, 8);
+
+  return (
+    <div className="rounded-2xl border border-white/[0.07] bg-white/[0.03] p-4" data-testid="application-details-panel">
+      <div className="flex items-center justify-between gap-3">
+        <h3 className="flex items-center gap-2 text-sm font-semibold text-foreground">
+          <Tag className="h-4 w-4 text-accent" />
+          Notes & tags
+        </h3>
+        {onSaveCustomFields && !editingFields && (
+          <button
+            type="button"
+            onClick={() => setEditingFields(true)}
+            className="inline-flex items-center gap-1 text-[11px] text-accent hover:underline"
+            data-testid="custom-fields-edit"
+          >
+            <Settings2 className="h-3 w-3" />
+            Edit fields
+          </button>
+        )}
+      </div>
+
+      {editingFields && (
+        <CustomFieldsEditor customFields={customFields} onSave={onSaveCustomFields} onClose={() => setEditingFields(false)} />
+      )}
+
+      <div className="mt-3">
+        <span className={LABEL_CLASS}>Tags</span>
+        <div className="flex flex-wrap gap-1">
+          {draft.tags.map((tag) => (
+            <span
+              key={tag}
+              className="inline-flex items-center gap-1 rounded-full border border-accent/30 bg-accent/10 px-2 py-0.5 text-[11px] text-accent"
+              data-testid="application-tag"
+            >
+              {tag}
+              <button
+                type="button"
+                onClick={() => update({ tags: draft.tags.filter((entry) => entry !== tag) })}
+                className="transition hover:text-foreground"
+                aria-label={`Remove tag ${tag}`}
+              >
+                <X className="h-2.5 w-2.5" />
+              </button>
+            </span>
+          ))}
+        </div>
+        <input
+          className={cn(INPUT_CLASS, 'mt-1.5')}
+          value={newTag}
+          maxLength={MAX_TAG_LENGTH}
+          placeholder="Add a tag and press Enter"
+          onChange={(event) => setNewTag(event.target.value)}
+          onKeyDown={(event) => {
+            if (event.key !== 'Enter') return;
+            event.preventDefault();
+            addTag(newTag);
+            setNewTag('');
+          }}
+          data-testid="application-tag-input"
+        />
+        {suggestions.length > 0 && (
+          <div className="mt-1.5 flex flex-wrap gap-1">
+            {suggestions.map((tag) => (
+              <button
+                key={tag}
+                type="button"
+                onClick={() => addTag(tag)}
+                className="rounded-full border border-white/10 px-2 py-0.5 text-[10px] text-muted-foreground transition hover:border-white/25 hover:text-foreground"
+              >
+                + {tag}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {customFields.length > 0 && (
+        <div className="mt-3 grid grid-cols-2 gap-2">
+          {customFields.map((field) => (
+            <label key={field.id} className="block">
+              <span className={LABEL_CLASS}>{field.label}</span>
+              <FieldInput
+                field={field}
+                value={draft.fields[field.id] ?? ''}
+                onChange={(value) => update({ fields: { ...draft.fields, [field.id]: value } })}
+              />
+            </label>
+          ))}
+        </div>
+      )}
+
+      <label className="mt-3 block">
+        <span className={LABEL_CLASS}>Notes</span>
+        <textarea
+          className={cn(INPUT_CLASS, 'min-h-[72px] resize-y')}
+          value={draft.notes}
+          placeholder="Anything worth remembering about this application"
+          onChange={(event) => update({ notes: event.target.value })}
+          data-testid="application-notes-input"
+        />
+      </label>
+
+      {details?.updatedAt && !dirty && (
+        <p className="mt-1 text-[10px] text-muted-foreground">
+          Updated {new Date(details.updatedAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}
+        </p>
+      )}
+
+      {error && <p className="mt-2 text-xs text-destructive">{error}</p>}
+
+      {dirty && (
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          data-testid="application-details-save"
+          className="mt-3 w-full rounded-lg bg-accent px-3 py-1.5 text-xs font-semibold text-accent-foreground transition hover:bg-accent/90 disabled:opacity-60"
+          type="button"
+        >
+          {saving ? 'Saving…' : 'Save details'}
+        </button>
+      )}
+    </div>
+  );
+}
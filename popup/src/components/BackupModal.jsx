@@ -0,0 +1,152 @@
+/**
+ * @file popup/src/components/BackupModal.jsx
+ * @description Backup & restore: download a JSON file of this account's local
+ * Applendium data, or restore one after a reinstall or on a new machine.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { DatabaseBackup, Upload, X } from 'lucide-react';
+
+/**
+ * @param {object} props
+ * @param {boolean} props.isOpen
+ * @param {() => void} props.onClose
+ * @param {(options: {includeJobDescriptions: boolean}) => Promise<{success: boolean, error?: string}>} props.onBackup
+ * @param {(backup: object) => Promise<{success: boolean, error?: string}>} props.onRestore
+ */
+export default function BackupModal({ isOpen, onClose, onBackup, onRestore }) {
+  const [pendingRestore, setPendingRestore] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [includeJobDescriptions, setIncludeJobDescriptions] = useState(true);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setPendingRestore(null);
+    setError(null);
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const handleBackup = async () => {
+    setBusy(true);
+    setError(null);
+    const result = await onBackup({ includeJobDescriptions });
+    setBusy(false);
+    if (!result?.success) setError(result?.error || 'Could not create the backup.');
+  };
+
+  // The worker does the real validation; this only catches files that aren't
+  // JSON before asking the user to confirm.
+  const handleFileChange = async (event) => {
+    const selected = event.target.files?.[0];
+    event.target.value = '';
+    if (!selected) return;
+    setError(null);
+    try {
+      setPendingRestore({ name: selected.name, backup: JSON.parse(await selected.text()) });
+    } catch (_) {
+      setPendingRestore(null);
+      setError('That file is not a valid backup.');
+    }
+  };
+
+  const handleRestore = async () => {
+    setBusy(true);
+    setError(null);
+    const result = await onRestore(pendingRestore.backup);
+    setBusy(false);
+    if (!result?.success) setError(result?.error || 'Could not restore this backup.');
+  };
+
+  const exportedAt = pendingRestore?.backup?.exportedAt ? new Date(pendingRestore.backup.exportedAt) : null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div
+        className="relative w-full max-w-sm rounded-2xl border border-border bg-card p-5 shadow-xl"
+        onClick={(e) => e.stopPropagation()}
+        data-testid="backup-modal"
+      >
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 p-1 text-muted-foreground transition-colors hover:text-foreground"
+          aria-label="Close"
+          type="button"
+        >
+          <X className="h-5 w-5" />
+        </button>
+
+        <h3 className="text-base font-semibold text-foreground">Backup &amp; restore</h3>
+        <p className="mt-1 text-xs text-muted-foreground">
+          Follow-ups, reminders, manually added applications, job descriptions, settings and cached emails are stored
+          only in this browser. Keep a backup before uninstalling or switching machines.
+        </p>
+
+        <label className="mt-4 flex items-center gap-2 text-xs text-foreground">
+          <input
+            type="checkbox"
+            checked={includeJobDescriptions}
+            onChange={(event) => setIncludeJobDescriptions(event.target.checked)}
+            className="h-3.5 w-3.5 accent-accent"
+            data-testid="backup-include-job-descriptions"
+          />
+          Include saved job descriptions
+        </label>
+
+        <button
+          onClick={handleBackup}
+          disabled={busy}
+          data-testid="backup-download-button"
+          className="mt-3 inline-flex w-full items-center justify-center gap-2 rounded-lg bg-accent px-4 py-2 text-sm font-semibold text-accent-foreground transition hover:bg-accent/90 disabled:opacity-60"
+          type="button"
+        >
+          <DatabaseBackup className="h-4 w-4" />
+          Download backup
+        </button>
+
+        <label className="mt-2 flex cursor-pointer items-center justify-center gap-2 rounded-lg border border-border bg-card px-4 py-2 text-sm font-medium text-foreground transition hover:bg-muted">
+          <Upload className="h-4 w-4" />
+          Restore from file
+          <input
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            onChange={handleFileChange}
+            data-testid="backup-restore-input"
+          />
+        </label>
+
+        {pendingRestore && (
+          <div className="mt-3 rounded-lg border border-warning/30 bg-warning/10 px-3 py-2.5 text-xs text-foreground">
+            <p>
+              Restore <span className="font-medium">{pendingRestore.name}</span>
+              {exportedAt && !Number.isNaN(exportedAt.getTime()) ? ` from ${exportedAt.toLocaleString()}` : ''}?
+              It replaces the matching data in this browser.
+            </p>
+            <div className="mt-2 flex gap-2">
+              <button
+                onClick={() => setPendingRestore(null)}
+                className="flex-1 rounded-lg border border-border bg-card px-3 py-1.5 text-xs font-medium text-foreground transition hover:bg-muted"
+                type="button"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleRestore}
+                disabled={busy}
+                data-testid="backup-restore-confirm"
+                className="flex-1 rounded-lg bg-accent px-3 py-1.5 text-xs font-semibold text-accent-foreground transition hover:bg-accent/90 disabled:opacity-60"
+                type="button"
+              >
+                {busy ? 'Restoring…' : 'Restore'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {error && <p className="mt-2 text-xs text-destructive">{error}</p>}
+      </div>
+    </div>
+  );
+}
@@ -5,13 +5,15 @@ export default function CategorySearchFilter({
   category, 
   emails, 
   onFilteredResults,
-  totalEmails 
+  totalEmails,
+  availableTags = []
 }) {
   const [searchText, setSearchText] = useState('');
   const [showAdvanced, setShowAdvanced] = useState(false);
   const [filters, setFilters] = useState({
     searchFields: 'all',
     status: 'all',
+    tag: '',
     dateFrom: '',
     dateTo: '',
     sortBy: 'date',
@@ -48,6 +50,11 @@ export default function CategorySearchFilter({
       filtered = filtered.filter(email => email.is_read);
     }
 
+    // Tags come from the application details (email.applicationTags).
+    if (filters.tag) {
+      filtered = filtered.filter(email => (email.applicationTags || []).includes(filters.tag));
+    }
+
     if (filters.dateFrom) {
       const fromDate = new Date(filters.dateFrom);
       filtered = filtered.filter(email => new Date(email.date) >= fromDate);
@@ -86,6 +93,7 @@ export default function CategorySearchFilter({
     setFilters({
       searchFields: 'all',
       status: 'all',
+      tag: '',
       dateFrom: '',
       dateTo: '',
       sortBy: 'date',
@@ -94,7 +102,7 @@ export default function CategorySearchFilter({
     onFilteredResults(emails, {});
   };
 
-  const hasActiveFilters = searchText || filters.status !== 'all' || filters.dateFrom || filters.dateTo;
+  const hasActiveFilters = searchText || filters.status !== 'all' || filters.tag || filters.dateFrom || filters.dateTo;
 
   return (
     <div className="p-4 border-b bg-gray-50">
@@ -157,6 +165,22 @@ export default function CategorySearchFilter({
             </div>
           </div>
 
+          {availableTags.length > 0 && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Tag</label>
+              <select
+                value={filters.tag}
+                onChange={(e) => setFilters({ ...filters, tag: e.target.value })}
+                className="w-full px-3 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">Any tag</option>
+                {availableTags.map(tag => (
+                  <option key={tag} value={tag}>{tag}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
           <div className="space-y-2">
             <label className="block text-sm font-medium text-gray-700">
               <Calendar className="inline w-4 h-4 mr-1" />
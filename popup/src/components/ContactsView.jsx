@@ -0,0 +1,174 @@
+/**
+ * @file popup/src/components/ContactsView.jsx
+ * @description Recruiters and hiring managers from the synced emails, most
+ * recent first, with a warm/cold marker. A contact opens into the roles they
+ * wrote about and a timeline of their messages.
+ */
+
+import React, { useMemo, useState } from 'react';
+import { ChevronDown, ChevronRight, Mail, Search } from 'lucide-react';
+import { cn } from '../utils/cn';
+import { getCategoryTitle, getDisplayPosition } from '../utils/uiHelpers';
+import { WARM_CONTACT_DAYS } from '../utils/contacts.mjs';
+
+const WARMTH_META = {
+  warm: { label: 'Warm', className: 'bg-success/10 text-success border border-success/20' },
+  cold: { label: 'Cold', className: 'bg-muted text-muted-foreground border border-border' },
+};
+
+const FILTERS = [
+  { key: 'all', label: 'All' },
+  { key: 'warm', label: 'Warm' },
+  { key: 'cold', label: 'Cold' },
+];
+
+const formatContactDate = (timestamp) => {
+  if (!timestamp) return '--';
+  return new Date(timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+};
+
+const describeRole = (role) => [role.company, getDisplayPosition(role.position)].filter(Boolean).join(' · ');
+
+/**
+ * @param {object} props
+ * @param {Array<object>} props.contacts - From buildContacts.
+ * @param {(threadId: string) => void} props.onOpenThread
+ */
+export default function ContactsView({ contacts, onOpenThread }) {
+  const [query, setQuery] = useState('');
+  const [warmthFilter, setWarmthFilter] = useState('all');
+  const [expandedId, setExpandedId] = useState(null);
+
+  const visibleContacts = useMemo(() => {
+    const needle = query.trim().toLowerCase();
+    return contacts.filter((contact) => {
+      if (warmthFilter !== 'all' && contact.warmth !== warmthFilter) return false;
+      if (!needle) return true;
+      return [contact.name, contact.address, contact.company, ...contact.roles.map(describeRole)]
+        .some((value) => (value || '').toLowerCase().includes(needle));
+    });
+  }, [contacts, query, warmthFilter]);
+
+  if (!contacts.length) {
+    return (
+      <div className="px-4 py-12 text-center">
+        <p className="text-sm font-medium text-foreground">No contacts yet</p>
+        <p className="mt-1 text-xs text-muted-foreground">Recruiters and hiring managers who email you about a role show up here.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3 px-3 py-3" data-testid="contacts-view">
+      <div className="relative">
+        <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-muted-foreground" />
+        <input
+          type="text"
+          value={query}
+          onChange={(event) => setQuery(event.target.value)}
+          placeholder="Search people, companies, roles..."
+          data-testid="contacts-search-input"
+          className="w-full rounded-xl border border-white/10 bg-white/[0.03] py-2.5 pl-10 pr-3 text-sm text-foreground outline-none transition focus:border-accent/40 focus:ring-2 focus:ring-accent/20"
+        />
+      </div>
+      <div className="flex items-center gap-1.5">
+        {FILTERS.map((filter) => (
+          <button
+            key={filter.key}
+            type="button"
+            onClick={() => setWarmthFilter(filter.key)}
+            className={cn(
+              'rounded px-2 py-1 text-[10px] font-medium transition-colors',
+              warmthFilter === filter.key ? 'bg-accent text-accent-foreground' : 'bg-muted text-muted-foreground hover:text-foreground'
+            )}
+          >
+            {filter.label}
+          </button>
+        ))}
+        <span className="ml-auto text-[10px] text-muted-foreground">Warm = wrote in the last {WARM_CONTACT_DAYS} days</span>
+      </div>
+
+      {visibleContacts.length === 0 && (
+        <p className="px-1 py-6 text-center text-xs text-muted-foreground">No contacts match.</p>
+      )}
+
+      {visibleContacts.map((contact) => {
+        const expanded = expandedId === contact.id;
+        const warmth = WARMTH_META[contact.warmth];
+        return (
+          <div key={contact.id} className="rounded-xl border border-white/[0.07] bg-white/[0.025]" data-testid="contact-row">
+            <button
+              type="button"
+              onClick={() => setExpandedId(expanded ? null : contact.id)}
+              aria-expanded={expanded}
+              className="flex w-full items-start gap-2 px-3 py-2.5 text-left"
+            >
+              {expanded
+                ? <ChevronDown className="mt-0.5 h-3.5 w-3.5 shrink-0 text-muted-foreground" />
+                : <ChevronRight className="mt-0.5 h-3.5 w-3.5 shrink-0 text-muted-foreground" />}
+              <div className="min-w-0 flex-1">
+                <div className="flex items-center gap-2 overflow-hidden">
+                  <span className="truncate text-xs font-medium text-foreground">{contact.name}</span>
+                  {contact.company && (
+                    <span className="max-w-[120px] truncate text-[11px] text-muted-foreground">{contact.company}</span>
+                  )}
+                </div>
+                <div className="mt-0.5 truncate text-[10px] text-muted-foreground">
+                  {contact.roles.length} role{contact.roles.length === 1 ? '' : 's'} · last contact {formatContactDate(contact.lastContactAt)}
+                </div>
+              </div>
+              <span className={cn('shrink-0 rounded-full px-2 py-0.5 text-[10px] font-medium', warmth.className)} data-testid="contact-warmth">
+                {warmth.label}
+              </span>
+            </button>
+
+            {expanded && (
+              <div className="space-y-3 border-t border-white/[0.07] px-3 py-2.5">
+                <a
+                  href={`mailto:${contact.address}`}
+                  className="inline-flex items-center gap-1 text-[11px] text-accent hover:underline"
+                >
+                  <Mail className="h-3 w-3" />
+                  {contact.address}
+                </a>
+
+                {contact.roles.length > 0 && (
+                  <div>
+                    <h4 className="mb-1 font-mono text-[9px] font-bold uppercase tracking-[0.14em] text-muted-foreground">Roles</h4>
+                    <ul className="space-y-0.5">
+                      {contact.roles.map((role) => (
+                        <li key={role.key} className="truncate text-[11px] text-foreground">{describeRole(role)}</li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                <div>
+                  <h4 className="mb-1 font-mono text-[9px] font-bold uppercase tracking-[0.14em] text-muted-foreground">Timeline</h4>
+                  <ol className="space-y-1 border-l border-white/10 pl-3" data-testid="contact-timeline">
+                    {contact.timeline.map((item) => (
+                      <li key={item.id}>
+                        <button
+                          type="button"
+                          onClick={() => onOpenThread(item.threadId)}
+                          className="w-full text-left"
+                        >
+                          <div className="flex items-center gap-2 text-[10px] text-muted-foreground">
+                            <span>{formatContactDate(item.date)}</span>
+                            <span>·</span>
+                            <span>{getCategoryTitle(item.category)}</span>
+                          </div>
+                          <div className="popup-line-clamp-1 text-[11px] text-foreground hover:text-accent">{item.subject}</div>
+                        </button>
+                      </li>
+                    ))}
+                  </ol>
+                </div>
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -4,6 +4,7 @@ import { cn } from '../utils/cn';
 import { formatDate } from '../utils/uiHelpers';
 import { groupEmailsByThread, countUniqueThreads, countUniqueApplications } from '../utils/grouping';
 import { showNotification } from './Notification';
+import SnoozeModal from './SnoozeModal';
 import { CONFIG } from '../utils/constants';
 import { getPremiumDashboardUrl } from '../utils/runtimeConfig';
 import { safeTextValue } from '../utils/sensitiveContent';
@@ -493,71 +494,10 @@ function DashboardEmailCard({ email, onEmailSelect, onOpenMisclassificationModal
   );
 }
 
-/**
- * Snooze Time Picker Modal
- */
-function SnoozeModal({ isOpen, onClose, onConfirm }) {
-  const [selectedDuration, setSelectedDuration] = useState(24); // Default 1 day
-
-  const durations = [
-    { label: '1 hour', value: 1 },
-    { label: '3 hours', value: 3 },
-    { label: '1 day', value: 24 },
-    { label: '3 days', value: 72 },
-    { label: '1 week', value: 168 }
-  ];
-
-  if (!isOpen) return null;
-
-  return (
-    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50" onClick={onClose}>
-      <div className="bg-white dark:bg-zinc-800 rounded-lg shadow-xl max-w-sm w-full p-6" onClick={(e) => e.stopPropagation()}>
-        <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Remind me later</h3>
-        <p className="text-sm text-gray-600 dark:text-zinc-400 mb-4">When should we remind you about this?</p>
-        
-        <div className="space-y-2 mb-6">
-          {durations.map((duration) => (
-            <button
-              key={duration.value}
-              onClick={() => setSelectedDuration(duration.value)}
-              className={cn(
-                "w-full px-4 py-3 rounded-md text-sm font-medium text-left transition-colors",
-                selectedDuration === duration.value
-                  ? "bg-blue-50 dark:bg-blue-900/20 text-blue-700 dark:text-blue-400 border-2 border-blue-500"
-                  : "bg-gray-50 dark:bg-zinc-700 text-gray-700 dark:text-zinc-300 border-2 border-transparent hover:bg-gray-100 dark:hover:bg-zinc-600"
-              )}
-            >
-              {duration.label}
-            </button>
-          ))}
-        </div>
-
-        <div className="flex gap-3">
-          <button
-            onClick={onClose}
-            className="flex-1 px-4 py-2 rounded-md text-sm font-medium bg-gray-100 dark:bg-zinc-700 text-gray-700 dark:text-zinc-300 hover:bg-gray-200 dark:hover:bg-zinc-600 transition-colors"
-          >
-            Cancel
-          </button>
-          <button
-            onClick={() => {
-              onConfirm(selectedDuration);
-              onClose();
-            }}
-            className="flex-1 px-4 py-2 rounded-md text-sm font-medium bg-slate-900 text-white hover:bg-slate-800 transition-colors"
-          >
-            Set Reminder
-          </button>
-        </div>
-      </div>
-    </div>
-  );
-}
-
 /**
  * DashboardFollowUpCard component
  */
-function DashboardFollowUpCard({ suggestion, markFollowedUp, updateRespondedState, onEmailSelect, openMisclassificationModal, onActionComplete, onSnooze }) {
+function DashboardFollowUpCard({ suggestion, markFollowedUp, updateRespondedState, onEmailSelect, openMisclassificationModal, onActionComplete, onSnooze, onWriteFollowUp }) {
   const [showWhyThis, setShowWhyThis] = useState(false);
   const [showSnoozeModal, setShowSnoozeModal] = useState(false);
 
@@ -729,6 +669,17 @@ function DashboardFollowUpCard({ suggestion, markFollowedUp, updateRespondedStat
         >
           Take Action
         </button>
+        {onWriteFollowUp && (
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              onWriteFollowUp(suggestion);
+            }}
+            className={cn("flex-1 px-4 py-2 rounded-md text-sm font-medium hover:bg-white/50 transition-colors", colors.remind)}
+          >
+            Write Follow-up
+          </button>
+        )}
         <button
           onClick={(e) => { 
             e.stopPropagation(); 
@@ -768,6 +719,7 @@ function Dashboard({
   markFollowedUp,
   updateRespondedState,
   openMisclassificationModal,
+  onWriteFollowUp, // (suggestion) => void; opens the follow-up template composer
   userPlan,
   openPremiumModal,
   quotaData
@@ -2652,6 +2604,7 @@ function Dashboard({
                         openMisclassificationModal={openMisclassificationModal}
                         onActionComplete={handleActionComplete}
                         onSnooze={handleSnooze}
+                        onWriteFollowUp={onWriteFollowUp}
                       />
                     );
                   })
@@ -0,0 +1,270 @@
+/**
+ * @file popup/src/components/DigestModal.jsx
+ * @description Digest panel: the full breakdown behind the daily or weekly
+ * digest notification, plus the schedule that sends it.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { AlarmClock, ExternalLink, X } from 'lucide-react';
+import { cn } from '../utils/cn';
+import { getCategoryTitle, getDisplayPosition } from '../utils/uiHelpers';
+import { safeTextValue } from '../utils/sensitiveContent';
+import { DIGEST_CATEGORIES } from '../../../shared/digest.mjs';
+
+const INPUT_CLASS = 'w-full rounded-lg border border-white/10 bg-white/[0.03] px-3 py-1.5 text-sm text-foreground focus:border-accent/50 focus:outline-none';
+const LABEL_CLASS = 'mb-1 block text-[11px] font-medium text-muted-foreground';
+const OPTION_CLASS = 'rounded-lg border px-2 py-1.5 text-[11px] font-medium transition-colors';
+const OPTION_ON_CLASS = 'border-accent/50 bg-accent/10 text-foreground';
+const OPTION_OFF_CLASS = 'border-white/10 bg-white/[0.03] text-muted-foreground hover:border-white/20 hover:text-foreground';
+
+const FREQUENCY_OPTIONS = [['off', 'Off'], ['daily', 'Daily'], ['weekly', 'Weekly']];
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+// Most decisive news first, same order as the notification.
+const SECTION_ORDER = ['offers', 'interviewed', 'rejected', 'applied'];
+
+const formatShortDate = (value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+};
+
+function DigestRow({ label, detail, threadId, onOpenThread }) {
+  const content = (
+    <>
+      <span className="min-w-0 flex-1 truncate text-xs text-foreground">{label}</span>
+      {detail && <span className="shrink-0 text-[10px] text-muted-foreground">{detail}</span>}
+    </>
+  );
+  if (!threadId) return <li className="flex items-center gap-2 px-2 py-1.5">{content}</li>;
+  return (
+    <li>
+      <button
+        type="button"
+        onClick={() => onOpenThread(threadId)}
+        className="flex w-full items-center gap-2 rounded-md px-2 py-1.5 text-left transition hover:bg-white/[0.05]"
+      >
+        {content}
+      </button>
+    </li>
+  );
+}
+
+/**
+ * @param {object} props
+ * @param {boolean} props.isOpen
+ * @param {() => void} props.onClose
+ * @param {object} props.settings - Normalized digest settings from the service worker.
+ * @param {(frequency: 'daily'|'weekly') => Promise<{success: boolean, digest?: object, error?: string}>} props.onLoadDigest
+ * @param {(settings: object) => Promise<{success: boolean, error?: string}>} props.onSaveSettings
+ * @param {(threadId: string) => void} props.onOpenThread
+ * @param {() => void} props.onOpenWeeklySummary - Opens the web app's weekly summary.
+ */
+export default function DigestModal({ isOpen, onClose, settings, onLoadDigest, onSaveSettings, onOpenThread, onOpenWeeklySummary }) {
+  const [period, setPeriod] = useState('daily');
+  const [digest, setDigest] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [draft, setDraft] = useState(settings);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setPeriod(settings.frequency === 'weekly' ? 'weekly' : 'daily');
+    setDraft(settings);
+    setError(null);
+  }, [isOpen, settings]);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    onLoadDigest(period).then((result) => {
+      if (cancelled) return;
+      setLoading(false);
+      if (result?.success) {
+        setDigest(result.digest);
+      } else {
+        setDigest(null);
+        setError(result?.error || 'Could not build the digest.');
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, period, onLoadDigest]);
+
+  if (!isOpen) return null;
+
+  const scheduleChanged = draft.frequency !== settings.frequency || draft.time !== settings.time || draft.weekday !== settings.weekday;
+
+  const handleSave = async () => {
+    setSaving(true);
+    const result = await onSaveSettings(draft);
+    setSaving(false);
+    if (!result?.success) setError(result?.error || 'Could not save the digest schedule.');
+  };
+
+  const openThread = (threadId) => {
+    onClose();
+    onOpenThread(String(threadId));
+  };
+
+  const hasActivity = digest && (DIGEST_CATEGORIES.some((category) => digest.counts[category] > 0) || digest.followUpCount > 0);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div
+        className="relative flex max-h-full w-full max-w-sm flex-col rounded-2xl border border-border bg-card p-5 shadow-xl"
+        onClick={(e) => e.stopPropagation()}
+        data-testid="digest-modal"
+      >
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 p-1 text-muted-foreground transition-colors hover:text-foreground"
+          aria-label="Close"
+          type="button"
+        >
+          <X className="h-5 w-5" />
+        </button>
+
+        <h3 className="text-base font-semibold text-foreground">Digest</h3>
+        <div className="mt-3 grid grid-cols-2 gap-1.5">
+          {[['daily', 'Past day'], ['weekly', 'Past week']].map(([value, label]) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => setPeriod(value)}
+              className={cn(OPTION_CLASS, period === value ? OPTION_ON_CLASS : OPTION_OFF_CLASS)}
+              data-testid={`digest-period-${value}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        <div className="mt-3 min-h-0 flex-1 space-y-3 overflow-y-auto">
+          {loading && !digest && <p className="text-xs text-muted-foreground">Building your digest…</p>}
+
+          {digest && (
+            <>
+              <div className="grid grid-cols-4 gap-1.5" data-testid="digest-counts">
+                {SECTION_ORDER.map((category) => (
+                  <div key={category} className="rounded-lg border border-white/10 bg-white/[0.03] px-2 py-1.5 text-center">
+                    <div className="text-base font-semibold text-foreground">{digest.counts[category]}</div>
+                    <div className="text-[10px] text-muted-foreground">{getCategoryTitle(category)}</div>
+                  </div>
+                ))}
+              </div>
+
+              {!hasActivity && (
+                <p className="text-xs text-muted-foreground">
+                  Nothing new {period === 'weekly' ? 'this week' : 'today'}, and no follow-ups waiting.
+                </p>
+              )}
+
+              {SECTION_ORDER.filter((category) => digest.sections[category].length > 0).map((category) => (
+                <div key={category}>
+                  <span className={LABEL_CLASS}>{getCategoryTitle(category)}</span>
+                  <ul className="space-y-0.5">
+                    {digest.sections[category].map((entry) => (
+                      <DigestRow
+                        key={entry.id}
+                        label={[safeTextValue(entry.company), getDisplayPosition(safeTextValue(entry.position))].filter(Boolean).join(' - ') || 'Unknown role'}
+                        detail={formatShortDate(entry.date)}
+                        threadId={entry.threadId}
+                        onOpenThread={openThread}
+                      />
+                    ))}
+                  </ul>
+                </div>
+              ))}
+
+              {digest.followUps.length > 0 && (
+                <div>
+                  <span className={LABEL_CLASS}>
+                    Follow-ups due{digest.followUpCount > digest.followUps.length ? ` (${digest.followUpCount})` : ''}
+                  </span>
+                  <ul className="space-y-0.5">
+                    {digest.followUps.map((item, index) => (
+                      <DigestRow
+                        key={`${item.source}-${item.threadId || index}`}
+                        label={[item.title, safeTextValue(item.company)].filter(Boolean).join(' · ')}
+                        detail={item.dueAt ? formatShortDate(item.dueAt) : ''}
+                        threadId={item.threadId}
+                        onOpenThread={openThread}
+                      />
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </>
+          )}
+
+          <div className="border-t border-white/10 pt-3">
+            <span className={cn(LABEL_CLASS, 'flex items-center gap-1')}>
+              <AlarmClock className="h-3 w-3" />
+              Send me a digest
+            </span>
+            <div className="grid grid-cols-3 gap-1.5">
+              {FREQUENCY_OPTIONS.map(([value, label]) => (
+                <button
+                  key={value}
+                  type="button"
+                  onClick={() => setDraft((prev) => ({ ...prev, frequency: value }))}
+                  className={cn(OPTION_CLASS, draft.frequency === value ? OPTION_ON_CLASS : OPTION_OFF_CLASS)}
+                  data-testid={`digest-frequency-${value}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            {draft.frequency !== 'off' && (
+              <div className={cn('mt-1.5 grid gap-2', draft.frequency === 'weekly' ? 'grid-cols-2' : 'grid-cols-1')}>
+                {draft.frequency === 'weekly' && (
+                  <select
+                    className={INPUT_CLASS}
+                    value={draft.weekday}
+                    onChange={(event) => setDraft((prev) => ({ ...prev, weekday: Number(event.target.value) }))}
+                    aria-label="Digest day"
+                  >
+                    {WEEKDAYS.map((day, index) => <option key={day} value={index}>{day}</option>)}
+                  </select>
+                )}
+                <input
+                  type="time"
+                  className={INPUT_CLASS}
+                  value={draft.time}
+                  onChange={(event) => setDraft((prev) => ({ ...prev, time: event.target.value }))}
+                  aria-label="Digest time"
+                />
+              </div>
+            )}
+            {scheduleChanged && (
+              <button
+                onClick={handleSave}
+                disabled={saving || !draft.time}
+                data-testid="digest-settings-save"
+                className="mt-2 w-full rounded-lg bg-accent px-3 py-1.5 text-xs font-semibold text-accent-foreground transition hover:bg-accent/90 disabled:opacity-60"
+                type="button"
+              >
+                {saving ? 'Saving…' : 'Save schedule'}
+              </button>
+            )}
+          </div>
+        </div>
+
+        {error && <p className="mt-2 text-xs text-destructive">{error}</p>}
+
+        <button
+          onClick={onOpenWeeklySummary}
+          className="mt-3 inline-flex items-center justify-center gap-1 text-[11px] text-muted-foreground transition hover:text-foreground"
+          type="button"
+        >
+          Open the weekly summary on applendium.com
+          <ExternalLink className="h-3 w-3" />
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -6,7 +6,7 @@
 import React, { useEffect, useMemo, useState } from 'react';
 import { CheckCheck } from 'lucide-react';
 import { cn } from '../utils/cn';
-import { formatDate, getCategoryTitle } from '../utils/uiHelpers';
+import { formatDate, getCategoryTitle, getDisplayPosition } from '../utils/uiHelpers';
 import { countUniqueThreads, getApplicationKey, groupEmailsByThread } from '../utils/grouping';
 import Pagination from './Pagination';
 import { CONFIG } from '../utils/constants';
@@ -21,6 +21,7 @@ import {
   deriveConversationPresentationState,
 } from '../utils/applicationPresentation';
 import { safeTextValue } from '../utils/sensitiveContent';
+import { formatCompensation, groupCompensation } from '../utils/compensation.mjs';
 
 const stripHtml = (html) => {
   if (!html || typeof html !== 'string') return '';
@@ -466,13 +467,11 @@ function EmailList({
               // Show just the display name; drop the "<addr@domain>" tail for a cleaner row (matches the hero).
               const displaySender = rawSender.replace(/\s*<[^>]*>\s*/g, '').replace(/^"|"$/g, '').trim() || rawSender;
 
-              const rawPosition = (email.position || '').trim();
-              const safePosition = (
-                rawPosition &&
-                rawPosition.length <= 80 &&
-                /^[A-Z0-9(]/.test(rawPosition) &&
-                !/[.!?]\s+\S/.test(rawPosition)
-              ) ? rawPosition : null;
+              const safePosition = getDisplayPosition(email.position);
+              // Pipeline groups come with it; plain thread groups work it out here.
+              const compensationLabel = formatCompensation(group.compensation ?? groupCompensation(group.emails));
+              // Every email in a thread carries its application's tags.
+              const groupTags = email.applicationTags || [];
 
               // Boundary between "arrived since your last visit" and everything
               // older — only meaningful in the compact home inbox, where groups
@@ -554,6 +553,23 @@ function EmailList({
                     {safePosition && (
                       <span className="truncate text-[10px] text-muted-foreground">{safePosition}</span>
                     )}
+                    {compensationLabel && (
+                      <span
+                        data-testid="compensation-chip"
+                        className="shrink-0 rounded-full border border-success/30 bg-success/10 px-1.5 text-[10px] font-medium leading-4 text-success"
+                      >
+                        {compensationLabel}
+                      </span>
+                    )}
+                    {groupTags.slice(0, 2).map((tag) => (
+                      <span
+                        key={tag}
+                        data-testid="application-tag-chip"
+                        className="max-w-[80px] shrink-0 truncate rounded-full border border-accent/30 bg-accent/10 px-1.5 text-[10px] font-medium leading-4 text-accent"
+                      >
+                        {tag}
+                      </span>
+                    ))}
                     {!compact && (
                       <>
                         <span className="text-[10px] text-muted-foreground">|</span>
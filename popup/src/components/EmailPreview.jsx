@@ -1,5 +1,5 @@
 import React, { useEffect, useMemo, useState } from 'react';
-import { Briefcase, Building2, ChevronDown, Clock, ExternalLink, Flag, Lock, ShieldCheck, TrendingUp, X } from 'lucide-react';
+import { Briefcase, Building2, ChevronDown, Clock, ExternalLink, Flag, Lock, Pencil, Send, ShieldCheck, Trash2, TrendingUp, X } from 'lucide-react';
 import { cn } from '../utils/cn';
 import { parseEmailDate, getCategoryTitle } from '../utils/uiHelpers';
 import { showNotification } from './Notification';
@@ -7,13 +7,24 @@ import { sendMessageToBackground } from '../utils/chromeMessaging';
 import { collapseJourneyStages } from '../utils/applicationPresentation';
 import { hasBackwardMergedOutcome } from '../utils/applicationJourney.mjs';
 import { isEncryptedPayload, safeTextValue } from '../utils/sensitiveContent';
+import { getApplicationKey } from '../utils/grouping';
+import { parseInterviewDetails } from '../utils/interviewDetails.mjs';
+import { CLOSE_REASON_PRESETS, closePresetById, closeReasonText } from '../utils/pipelineBoard.mjs';
+import { closeApplicationService, reopenApplicationService } from '../services/emailService';
 import CompanyField from './CompanyField';
+import RemindButton from './RemindButton';
+import ManualApplicationModal from './ManualApplicationModal';
+import InterviewPrepPanel from './InterviewPrepPanel';
+import JobDescriptionPanel from './JobDescriptionPanel';
+import ApplicationDetailsPanel from './ApplicationDetailsPanel';
 import confetti from '../lib/confetti.browser.min.js';
 import {
   deriveEmailPresentationState,
   normalizeApplicationPresentationStatusKey,
   normalizeApplicationStatusKey,
 } from '../../../shared/applicationDisplayState.js';
+import { applicationRecordKeys, applicationRoleForEmails, findApplicationRecord } from '../../../shared/applicationRecords.mjs';
+import { resolveJobDescription } from '../../../shared/jobDescriptions.mjs';
 
 const CELEBRATED_OFFERS_KEY = 'applendiumCelebratedOfferThreads';
 
@@ -367,6 +378,19 @@ export default function EmailPreview({
   onUpdateCompanyName,
   onUpdatePosition,
   onOpenPremiumPage,
+  onEditManualApplication,
+  onDeleteManualApplication,
+  manualApplications = [],
+  interviewPrep = {},
+  onSaveInterviewPrep,
+  jobDescriptions = {},
+  onSaveJobDescription,
+  applicationDetails = {},
+  customFields = [],
+  knownTags = [],
+  onSaveApplicationDetails,
+  onSaveCustomFields,
+  onWriteFollowUp,
   userPlan,
   userEmail,
 }) {
@@ -388,17 +412,20 @@ export default function EmailPreview({
   const [showClosePanel, setShowClosePanel] = useState(false);
   const [closePreset, setClosePreset] = useState('no_response');
   const [closeNote, setCloseNote] = useState('');
+  const [showManualEdit, setShowManualEdit] = useState(false);
+  // Hand-added entries have no Gmail message behind them: no Gmail link, no
+  // misclassification report, and their fields are edited through the form.
+  const isManualEntry = Boolean(email.isManual);
+  const manualRecord = isManualEntry
+    ? manualApplications.find((application) => application.id === email.id) || null
+    : null;
   // Close taxonomy (mirrors backend utils/applicationCloseOutcome.js):
   //   - rejection (Rejected verbally / Position filled / Other) -> Rejected tab.
   //   - silence (No response) -> Rejected tab too ("rejected in silence"), but
   //     stats and Apply Gate keep treating it as a non-rejection.
   //   - user choice (Withdrew / Accepted elsewhere) -> stays in its stage tab
   //     under the Closed filter; never counted as a rejection.
-  const closeKind = ['rejected_verbal', 'position_filled', 'other'].includes(closePreset)
-    ? 'rejection'
-    : closePreset === 'no_response'
-      ? 'silence'
-      : 'user_choice';
+  const closeKind = closePresetById(closePreset).kind;
   const closeMovesToRejected = closeKind === 'rejection' || closeKind === 'silence';
   const latestLifecycleRequestRef = React.useRef(0);
 
@@ -771,35 +798,22 @@ export default function EmailPreview({
   const confirmCloseApplication = async () => {
     if (!email?.applicationId) return;
 
-    const presetToLabel = {
-      no_response: 'No response',
-      rejected_verbal: 'Rejected verbally',
-      withdrew: 'Withdrew',
-      accepted_elsewhere: 'Accepted elsewhere',
-      position_filled: 'Position filled',
-      other: 'Other',
-    };
-
-    const parts = [];
-    const presetLabel = presetToLabel[closePreset] || 'Other';
-    if (presetLabel) parts.push(presetLabel);
-    if ((closeNote || '').trim()) parts.push(closeNote.trim());
-
     try {
       setClosingApplication(true);
-      const resp = await sendMessageToBackground({
-        type: 'CLOSE_APPLICATION',
+      const resp = await closeApplicationService({
         applicationId: email.applicationId,
         emailId: email.id,
-        reason: parts.join(' - ').trim(),
+        reason: closeReasonText(closePreset, closeNote),
       });
       if (resp?.success) {
         setShowClosePanel(false);
         showNotification(
-          closeMovesToRejected
-            ? 'Moved to your Rejected tab.'
-            : 'Closed — find it under this tab\'s Closed filter.',
-          'success',
+          resp.queued
+            ? 'Closed offline. It will sync once you\'re back online.'
+            : closeMovesToRejected
+              ? 'Moved to your Rejected tab.'
+              : 'Closed — find it under this tab\'s Closed filter.',
+          resp.queued ? 'info' : 'success',
         );
       } else {
         showNotification(resp?.error || 'Failed to close application', 'error');
@@ -815,13 +829,15 @@ export default function EmailPreview({
     if (!email?.applicationId) return;
     try {
       setReopeningApplication(true);
-      const resp = await sendMessageToBackground({
-        type: 'REOPEN_APPLICATION',
+      const resp = await reopenApplicationService({
         applicationId: email.applicationId,
         emailId: email.id,
       });
       if (resp?.success) {
-        showNotification('Application reopened.', 'success');
+        showNotification(
+          resp.queued ? 'Reopened offline. It will sync once you\'re back online.' : 'Application reopened.',
+          resp.queued ? 'info' : 'success',
+        );
       } else {
         showNotification(resp?.error || 'Failed to reopen application', 'error');
       }
@@ -837,6 +853,27 @@ export default function EmailPreview({
   const displaySubject = safeTextValue(email.subject, '(No subject)');
   const displayFrom = safeTextValue(email.from, '');
 
+  // The prep workspace opens once the role has had an interview, wherever it
+  // went from there.
+  const reachedInterview = presentationStatusKey === 'interviewed'
+    || [...threadArr, ...(rawJourneyData?.stages || [])].some((item) => (
+      ['interviewed', 'offers'].includes(normalizeApplicationStatusKey(item?.category))
+    ));
+  const recordKeys = applicationRecordKeys(applicationRoleForEmails([email, ...threadArr]), getApplicationKey);
+  const jobDescription = resolveJobDescription(jobDescriptions, [email, ...threadArr], getApplicationKey);
+  const prepKeys = reachedInterview ? recordKeys : null;
+  const suggestedPrepRound = (() => {
+    if (!reachedInterview) return null;
+    const interviewEmail = threadArr
+      .filter((message) => normalizeApplicationStatusKey(message?.category) === 'interviewed')
+      .sort((a, b) => new Date(b.date) - new Date(a.date))[0];
+    const details = interviewEmail ? parseInterviewDetails(interviewEmail) : null;
+    if (!details) return null;
+    const start = new Date(details.start);
+    const date = `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}-${String(start.getDate()).padStart(2, '0')}`;
+    return { date, interviewers: details.interviewers };
+  })();
+
   // What Applendium auto-detected for this thread — real signals from the
   // classification, not decoration. Mirrors the landing hero's "detected" chips.
   const detectedSignals = (() => {
@@ -953,7 +990,7 @@ export default function EmailPreview({
                 <Building2 className="h-4 w-4" />
                 Company
               </div>
-              {onUpdateCompanyName ? (
+              {onUpdateCompanyName && !isManualEntry ? (
                 <CompanyField email={email} userEmail={userEmail} onUpdate={onUpdateCompanyName} />
               ) : (
                 <div className="text-sm text-foreground">{email.company_name || 'Not extracted'}</div>
@@ -965,7 +1002,7 @@ export default function EmailPreview({
                 <Briefcase className="h-4 w-4" />
                 Position
               </div>
-              {onUpdatePosition ? (
+              {onUpdatePosition && !isManualEntry ? (
                 <CompanyField email={email} userEmail={userEmail} onUpdate={onUpdatePosition} fieldName="position" />
               ) : (
                 <div className="text-sm text-foreground">{email.position || 'Not extracted'}</div>
@@ -1044,6 +1081,38 @@ export default function EmailPreview({
           )}
         </div>
 
+        {onSaveJobDescription && recordKeys && (
+          <JobDescriptionPanel
+            key={recordKeys.key}
+            description={jobDescription}
+            onSave={(description) => onSaveJobDescription(recordKeys, description)}
+          />
+        )}
+
+        {onSaveApplicationDetails && recordKeys && (
+          <ApplicationDetailsPanel
+            key={recordKeys.key}
+            details={findApplicationRecord(applicationDetails, recordKeys)}
+            customFields={customFields}
+            knownTags={knownTags}
+            onSave={(details) => onSaveApplicationDetails(recordKeys, details)}
+            onSaveCustomFields={onSaveCustomFields}
+          />
+        )}
+
+        {reachedInterview && onSaveInterviewPrep && (prepKeys ? (
+          <InterviewPrepPanel
+            key={prepKeys.key}
+            prep={findApplicationRecord(interviewPrep, prepKeys)}
+            suggestedRound={suggestedPrepRound}
+            onSave={(prep) => onSaveInterviewPrep(prepKeys, prep)}
+          />
+        ) : (
+          <p className="rounded-2xl border border-white/[0.07] bg-white/[0.03] p-4 text-xs text-muted-foreground">
+            Add the company and position to keep interview prep for this role.
+          </p>
+        ))}
+
         <div className="flex flex-wrap gap-2">
           {isEffectivelyUserClosed && (
             <InlineButton variant="outline" onClick={handleReopenApplication} disabled={reopeningApplication}>
@@ -1059,15 +1128,49 @@ export default function EmailPreview({
             </InlineButton>
           )}
 
-          <InlineButton variant="outline" onClick={() => onOpenMisclassificationModal(email)}>
-            <Flag className="h-3.5 w-3.5" />
-            Misclassify
-          </InlineButton>
+          {isManualEntry ? (
+            <>
+              {manualRecord && (
+                <InlineButton variant="outline" onClick={() => setShowManualEdit(true)}>
+                  <Pencil className="h-3.5 w-3.5" />
+                  Edit
+                </InlineButton>
+              )}
+              {email.job_url && (
+                <InlineButton variant="outline" onClick={() => openExternalTab(email.job_url)}>
+                  <ExternalLink className="h-3.5 w-3.5" />
+                  Posting
+                </InlineButton>
+              )}
+              <InlineButton variant="outline" onClick={() => onDeleteManualApplication?.(email.id)}>
+                <Trash2 className="h-3.5 w-3.5" />
+                Delete
+              </InlineButton>
+            </>
+          ) : (
+            <>
+              <InlineButton variant="outline" onClick={() => onOpenMisclassificationModal(email)}>
+                <Flag className="h-3.5 w-3.5" />
+                Misclassify
+              </InlineButton>
+
+              <InlineButton variant="outline" onClick={handleOpenGmail}>
+                <ExternalLink className="h-3.5 w-3.5" />
+                Gmail
+              </InlineButton>
+            </>
+          )}
+
+          {onWriteFollowUp && (
+            <InlineButton variant="outline" onClick={() => onWriteFollowUp(threadArr)} data-testid="write-follow-up">
+              <Send className="h-3.5 w-3.5" />
+              Follow up
+            </InlineButton>
+          )}
 
-          <InlineButton variant="outline" onClick={handleOpenGmail}>
-            <ExternalLink className="h-3.5 w-3.5" />
-            Gmail
-          </InlineButton>
+          {(email.thread_id || email.threadId) && (
+            <RemindButton threadId={email.thread_id || email.threadId} label="Remind me" />
+          )}
         </div>
 
         {email?.applicationId && !isEffectivelyClosed && typeof staleDays === 'number' && staleDays >= 60 && (
@@ -1104,12 +1207,9 @@ export default function EmailPreview({
                 className="w-full rounded-xl border border-white/10 bg-white/[0.03] px-3 py-2 text-sm text-foreground outline-none transition focus:border-accent/40 focus:ring-2 focus:ring-accent/20"
                 disabled={closingApplication}
               >
-                <option value="no_response">No response</option>
-                <option value="rejected_verbal">Rejected verbally</option>
-                <option value="withdrew">Withdrew</option>
-                <option value="accepted_elsewhere">Accepted elsewhere</option>
-                <option value="position_filled">Position filled</option>
-                <option value="other">Other</option>
+                {CLOSE_REASON_PRESETS.map((preset) => (
+                  <option key={preset.id} value={preset.id}>{preset.label}</option>
+                ))}
               </select>
 
               <input
@@ -1232,6 +1332,13 @@ export default function EmailPreview({
           </div>
         </div>
       </div>
+
+      <ManualApplicationModal
+        isOpen={showManualEdit}
+        onClose={() => setShowManualEdit(false)}
+        onSubmit={(fields) => onEditManualApplication(email.id, fields)}
+        initialValues={manualRecord}
+      />
     </>
   );
 }
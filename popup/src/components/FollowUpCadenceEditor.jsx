@@ -0,0 +1,132 @@
+/**
+ * @file popup/src/components/FollowUpCadenceEditor.jsx
+ * @description Editor for the local follow-up cadence rules ("nudge 7 days
+ * after applying"). The service worker evaluates them on every sync; their
+ * suggestions show up with the backend's in the Follow-ups panel and the
+ * digest.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { CalendarClock, Plus, Trash2 } from 'lucide-react';
+import { cn } from '../utils/cn';
+import { CADENCE_TRIGGERS, CADENCE_UNITS } from '../../../shared/followUpCadence.mjs';
+
+const INPUT_CLASS = 'w-full rounded-lg border border-white/10 bg-white/[0.03] px-2.5 py-1.5 text-xs text-foreground placeholder:text-muted-foreground focus:border-accent/50 focus:outline-none';
+const LABEL_CLASS = 'mb-1 block text-[11px] font-medium text-muted-foreground';
+
+/**
+ * @param {object} props
+ * @param {Array<object>} props.rules - Normalized rules from the service worker.
+ * @param {(rules: Array<object>) => Promise<{success: boolean, error?: string}>} props.onSave
+ */
+export default function FollowUpCadenceEditor({ rules, onSave }) {
+  const [draft, setDraft] = useState(rules);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setDraft(rules);
+    setError(null);
+  }, [rules]);
+
+  const changed = JSON.stringify(draft) !== JSON.stringify(rules);
+
+  const updateRule = (ruleId, patch) => {
+    setDraft((prev) => prev.map((rule) => (rule.id === ruleId ? { ...rule, ...patch } : rule)));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    const result = await onSave(draft);
+    setSaving(false);
+    if (!result?.success) setError(result?.error || 'Could not save the follow-up rules.');
+  };
+
+  return (
+    <div data-testid="follow-up-cadence-editor">
+      <span className={cn(LABEL_CLASS, 'flex items-center gap-1')}>
+        <CalendarClock className="h-3 w-3" />
+        Follow-up rules
+      </span>
+      <div className="space-y-1.5">
+        {draft.map((rule) => (
+          <div key={rule.id} className="space-y-1.5 rounded-xl border border-white/[0.07] bg-white/[0.025] p-2.5">
+            <div className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={rule.enabled}
+                onChange={(event) => updateRule(rule.id, { enabled: event.target.checked })}
+                className="h-3.5 w-3.5 shrink-0 accent-accent"
+                aria-label={`Enable ${rule.name || 'rule'}`}
+              />
+              <input
+                className={INPUT_CLASS}
+                value={rule.name}
+                placeholder="Rule name"
+                onChange={(event) => updateRule(rule.id, { name: event.target.value })}
+                aria-label="Rule name"
+              />
+              <button
+                type="button"
+                onClick={() => setDraft((prev) => prev.filter((entry) => entry.id !== rule.id))}
+                className="shrink-0 text-muted-foreground transition hover:text-destructive"
+                aria-label={`Remove ${rule.name || 'rule'}`}
+              >
+                <Trash2 className="h-3.5 w-3.5" />
+              </button>
+            </div>
+            <select
+              className={INPUT_CLASS}
+              value={rule.trigger}
+              onChange={(event) => updateRule(rule.id, { trigger: event.target.value })}
+              aria-label="Rule trigger"
+            >
+              {CADENCE_TRIGGERS.map((trigger) => <option key={trigger.value} value={trigger.value}>{trigger.label}</option>)}
+            </select>
+            <div className="grid grid-cols-2 gap-1.5">
+              <input
+                type="number"
+                min={1}
+                max={365}
+                className={INPUT_CLASS}
+                value={rule.amount}
+                onChange={(event) => updateRule(rule.id, { amount: Number.parseInt(event.target.value, 10) || 0 })}
+                aria-label="Wait"
+              />
+              <select
+                className={INPUT_CLASS}
+                value={rule.unit}
+                onChange={(event) => updateRule(rule.id, { unit: event.target.value })}
+                aria-label="Wait unit"
+              >
+                {CADENCE_UNITS.map((unit) => <option key={unit.value} value={unit.value}>{unit.label}</option>)}
+              </select>
+            </div>
+          </div>
+        ))}
+      </div>
+      <button
+        type="button"
+        onClick={() => setDraft((prev) => [...prev, { id: crypto.randomUUID(), name: '', enabled: true, trigger: 'applied_no_reply', amount: 7, unit: 'days' }])}
+        className="mt-1.5 inline-flex items-center gap-1 rounded-md border border-white/10 px-2 py-1 text-[11px] text-foreground transition hover:border-white/25"
+        data-testid="follow-up-cadence-add"
+      >
+        <Plus className="h-3 w-3" />
+        Add rule
+      </button>
+      {error && <p className="mt-1.5 text-xs text-destructive">{error}</p>}
+      {changed && (
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          data-testid="follow-up-cadence-save"
+          className="mt-2 w-full rounded-lg bg-accent px-3 py-1.5 text-xs font-semibold text-accent-foreground transition hover:bg-accent/90 disabled:opacity-60"
+          type="button"
+        >
+          {saving ? 'Saving…' : 'Save rules'}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,333 @@
+/**
+ * @file popup/src/components/FollowUpComposerModal.jsx
+ * @description Writes a follow-up for one application from the user's
+ * template library. The chosen template is filled from the application's
+ * emails and stays editable; the result is copied or opened as a prefilled
+ * Gmail compose window, as a reply in the application's thread when it has
+ * one. Opening it in Gmail marks the thread as followed up once the user comes
+ * back (see usePendingFollowUps). The library itself is edited in place.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { Copy, ExternalLink, Plus, Settings2, Trash2, X } from 'lucide-react';
+import { cn } from '../utils/cn';
+import { showNotification } from './Notification';
+import { buildFollowUpVariables } from '../utils/followUpVariables.mjs';
+import {
+  FOLLOW_UP_TEMPLATE_VARIABLES,
+  buildGmailComposeUrl,
+  fillFollowUpTemplate,
+  replySubject,
+} from '../../../shared/followUpTemplates.mjs';
+
+const INPUT_CLASS = 'w-full rounded-lg border border-white/10 bg-white/[0.03] px-2.5 py-1.5 text-xs text-foreground placeholder:text-muted-foreground focus:border-accent/50 focus:outline-none';
+const LABEL_CLASS = 'mb-1 block text-[11px] font-medium text-muted-foreground';
+const OPTION_CLASS = 'rounded-lg border px-2 py-1 text-[11px] font-medium transition-colors';
+const OPTION_ON_CLASS = 'border-accent/50 bg-accent/10 text-foreground';
+const OPTION_OFF_CLASS = 'border-white/10 bg-white/[0.03] text-muted-foreground hover:border-white/20 hover:text-foreground';
+
+const variableLabel = (name) => FOLLOW_UP_TEMPLATE_VARIABLES.find((variable) => variable.name === name)?.label || name;
+
+const openComposeWindow = async (url) => {
+  try {
+    if (typeof chrome !== 'undefined' && chrome?.tabs?.create) {
+      await chrome.tabs.create({ url });
+      return true;
+    }
+  } catch (_) {}
+  try {
+    return Boolean(window.open(url, '_blank', 'noopener,noreferrer'));
+  } catch {
+    return false;
+  }
+};
+
+function TemplateLibraryEditor({ templates, onSave, onClose }) {
+  const [draft, setDraft] = useState(() => templates.map((template) => ({ ...template })));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const updateTemplate = (templateId, patch) => {
+    setDraft((prev) => prev.map((template) => (template.id === templateId ? { ...template, ...patch } : template)));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    const result = await onSave(draft);
+    setSaving(false);
+    if (result?.success) {
+      onClose();
+    } else {
+      setError(result?.error || 'Could not save templates.');
+    }
+  };
+
+  return (
+    <div className="space-y-3" data-testid="follow-up-template-editor">
+      <p className="text-[11px] text-muted-foreground">
+        Variables: {FOLLOW_UP_TEMPLATE_VARIABLES.map((variable) => `{${variable.name}}`).join(', ')}
+      </p>
+      {draft.map((template) => (
+        <div key={template.id} className="space-y-1.5 rounded-xl border border-white/[0.07] bg-white/[0.025] p-2.5">
+          <div className="flex items-center gap-2">
+            <input
+              className={INPUT_CLASS}
+              value={template.name}
+              placeholder="Template name"
+              onChange={(event) => updateTemplate(template.id, { name: event.target.value })}
+              aria-label="Template name"
+            />
+            <button
+              type="button"
+              onClick={() => setDraft((prev) => prev.filter((entry) => entry.id !== template.id))}
+              className="shrink-0 text-muted-foreground transition hover:text-destructive"
+              aria-label={`Remove ${template.name || 'template'}`}
+            >
+              <Trash2 className="h-3.5 w-3.5" />
+            </button>
+          </div>
+          <input
+            className={INPUT_CLASS}
+            value={template.subject}
+            placeholder="Subject"
+            onChange={(event) => updateTemplate(template.id, { subject: event.target.value })}
+            aria-label="Template subject"
+          />
+          <textarea
+            className={cn(INPUT_CLASS, 'min-h-[96px] resize-y')}
+            value={template.body}
+            placeholder="Message"
+            onChange={(event) => updateTemplate(template.id, { body: event.target.value })}
+            aria-label="Template message"
+          />
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => setDraft((prev) => [...prev, { id: crypto.randomUUID(), name: '', subject: '', body: '' }])}
+        className="inline-flex items-center gap-1 rounded-md border border-white/10 px-2 py-1 text-[11px] text-foreground transition hover:border-white/25"
+        data-testid="follow-up-template-add"
+      >
+        <Plus className="h-3 w-3" />
+        Add template
+      </button>
+      {error && <p className="text-xs text-destructive">{error}</p>}
+      <div className="flex gap-2">
+        <button
+          type="button"
+          onClick={onClose}
+          className="flex-1 rounded-lg border border-border bg-card px-3 py-1.5 text-xs font-medium text-foreground transition hover:bg-muted"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={saving}
+          className="flex-1 rounded-lg bg-accent px-3 py-1.5 text-xs font-semibold text-accent-foreground transition hover:bg-accent/90 disabled:opacity-60"
+          data-testid="follow-up-template-save"
+        >
+          {saving ? 'Saving…' : 'Save templates'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * @param {object} props
+ * @param {Array<object>|null} props.emails - The application's emails; the modal is open while set.
+ * @param {() => void} props.onClose
+ * @param {Array<object>} props.templates - From useFollowUpTemplates.
+ * @param {(templates: Array<object>) => Promise<{success: boolean, error?: string}>} props.onSaveTemplates
+ * @param {(threadId: string) => void} [props.onComposeOpened] - Called with the application's thread once the follow-up is open in Gmail.
+ * @param {string} [props.userEmail] - Picks the Gmail account the compose window opens in.
+ */
+export default function FollowUpComposerModal({ emails, onClose, templates = [], onSaveTemplates, onComposeOpened, userEmail }) {
+  const [templateId, setTemplateId] = useState(null);
+  const [draft, setDraft] = useState({ to: '', subject: '', body: '' });
+  const [missing, setMissing] = useState([]);
+  const [editingLibrary, setEditingLibrary] = useState(false);
+  const [replyInThread, setReplyInThread] = useState(true);
+
+  const { variables, recipient, thread } = useMemo(
+    () => buildFollowUpVariables(emails || [], { now: Date.now(), userEmail }),
+    [emails, userEmail],
+  );
+  const template = templates.find((entry) => entry.id === templateId) || templates[0] || null;
+
+  useEffect(() => {
+    if (!emails) return;
+    setEditingLibrary(false);
+    setTemplateId(null);
+    setReplyInThread(true);
+  }, [emails]);
+
+  // Re-fill whenever the template or the application changes; edits to the
+  // filled text are dropped at that point.
+  useEffect(() => {
+    if (!emails || !template) return;
+    const filled = fillFollowUpTemplate(template, variables);
+    setDraft({ to: recipient, subject: filled.subject, body: filled.body });
+    setMissing(filled.missing);
+  }, [emails, template, variables, recipient]);
+
+  if (!emails) return null;
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(draft.body);
+      showNotification('Follow-up copied.', 'success');
+    } catch (error) {
+      console.warn('[FollowUpComposerModal][warn] Clipboard write failed.', error?.message || error);
+      showNotification('Could not copy the follow-up.', 'error');
+    }
+  };
+
+  // A reply keeps the thread's subject so Gmail files it with the original.
+  const replying = Boolean(thread) && replyInThread;
+  const subject = replying ? replySubject(thread.subject) || draft.subject : draft.subject;
+
+  const handleOpenGmail = async () => {
+    const opened = await openComposeWindow(buildGmailComposeUrl({
+      ...draft,
+      subject,
+      threadId: replying ? thread.id : '',
+      authUser: userEmail,
+    }));
+    if (!opened) {
+      showNotification('Unable to open Gmail.', 'error');
+      return;
+    }
+    if (thread) onComposeOpened?.(thread.id);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div
+        className="relative flex max-h-full w-full max-w-sm flex-col rounded-2xl border border-border bg-card p-5 shadow-xl"
+        onClick={(e) => e.stopPropagation()}
+        data-testid="follow-up-composer"
+      >
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 p-1 text-muted-foreground transition-colors hover:text-foreground"
+          aria-label="Close"
+          type="button"
+        >
+          <X className="h-5 w-5" />
+        </button>
+
+        <div className="flex items-center gap-3 pr-8">
+          <h3 className="text-base font-semibold text-foreground">Write a follow-up</h3>
+          {!editingLibrary && onSaveTemplates && (
+            <button
+              type="button"
+              onClick={() => setEditingLibrary(true)}
+              className="ml-auto inline-flex items-center gap-1 text-[11px] text-accent hover:underline"
+              data-testid="follow-up-templates-edit"
+            >
+              <Settings2 className="h-3 w-3" />
+              Templates
+            </button>
+          )}
+        </div>
+
+        <div className="mt-3 min-h-0 flex-1 space-y-3 overflow-y-auto">
+          {editingLibrary ? (
+            <TemplateLibraryEditor templates={templates} onSave={onSaveTemplates} onClose={() => setEditingLibrary(false)} />
+          ) : !template ? (
+            <p className="text-xs text-muted-foreground">No templates yet. Add one under Templates.</p>
+          ) : (
+            <>
+              <div className="flex flex-wrap gap-1.5">
+                {templates.map((entry) => (
+                  <button
+                    key={entry.id}
+                    type="button"
+                    onClick={() => setTemplateId(entry.id)}
+                    className={cn(OPTION_CLASS, entry.id === template.id ? OPTION_ON_CLASS : OPTION_OFF_CLASS)}
+                    data-testid="follow-up-template-option"
+                  >
+                    {entry.name}
+                  </button>
+                ))}
+              </div>
+
+              <label className="block">
+                <span className={LABEL_CLASS}>To</span>
+                <input
+                  className={INPUT_CLASS}
+                  value={draft.to}
+                  placeholder="recruiter@company.com"
+                  onChange={(event) => setDraft((prev) => ({ ...prev, to: event.target.value }))}
+                  data-testid="follow-up-to"
+                />
+              </label>
+              <label className="block">
+                <span className={LABEL_CLASS}>Subject</span>
+                <input
+                  className={cn(INPUT_CLASS, replying && 'opacity-60')}
+                  value={subject}
+                  disabled={replying}
+                  onChange={(event) => setDraft((prev) => ({ ...prev, subject: event.target.value }))}
+                  data-testid="follow-up-subject"
+                />
+              </label>
+              {thread && (
+                <label className="flex items-center gap-2 text-[11px] text-muted-foreground">
+                  <input
+                    type="checkbox"
+                    checked={replyInThread}
+                    onChange={(event) => setReplyInThread(event.target.checked)}
+                    data-testid="follow-up-reply-in-thread"
+                  />
+                  Reply in the application's Gmail thread
+                </label>
+              )}
+              <label className="block">
+                <span className={LABEL_CLASS}>Message</span>
+                <textarea
+                  className={cn(INPUT_CLASS, 'min-h-[160px] resize-y')}
+                  value={draft.body}
+                  onChange={(event) => setDraft((prev) => ({ ...prev, body: event.target.value }))}
+                  data-testid="follow-up-body"
+                />
+              </label>
+
+              {missing.length > 0 && (
+                <p className="text-[11px] text-warning" data-testid="follow-up-missing">
+                  Not found in this application: {missing.map(variableLabel).join(', ')}. Check the text before sending.
+                </p>
+              )}
+            </>
+          )}
+        </div>
+
+        {!editingLibrary && template && (
+          <div className="mt-4 flex gap-2">
+            <button
+              type="button"
+              onClick={handleCopy}
+              className="inline-flex flex-1 items-center justify-center gap-1.5 rounded-lg border border-border bg-card px-3 py-1.5 text-xs font-medium text-foreground transition hover:bg-muted"
+              data-testid="follow-up-copy"
+            >
+              <Copy className="h-3.5 w-3.5" />
+              Copy
+            </button>
+            <button
+              type="button"
+              onClick={handleOpenGmail}
+              className="inline-flex flex-1 items-center justify-center gap-1.5 rounded-lg bg-accent px-3 py-1.5 text-xs font-semibold text-accent-foreground transition hover:bg-accent/90"
+              data-testid="follow-up-open-gmail"
+            >
+              <ExternalLink className="h-3.5 w-3.5" />
+              Open in Gmail
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,140 @@
+/**
+ * @file popup/src/components/FollowUpsModal.jsx
+ * @description Follow-ups panel: the suggestions from useFollowUps (the
+ * backend's, for premium, merged with those from the local cadence rules, one
+ * per thread) and the rules themselves. Each suggestion opens as a prefilled
+ * reply in its Gmail thread. The hook only runs while the panel is open, so
+ * opening the popup does not fetch suggestions.
+ */
+
+import React from 'react';
+import { Check, ExternalLink, Send, X } from 'lucide-react';
+import { getDisplayPosition } from '../utils/uiHelpers';
+import { safeTextValue } from '../utils/sensitiveContent';
+import { useFollowUps } from '../hooks/useFollowUps';
+import FollowUpCadenceEditor from './FollowUpCadenceEditor';
+
+const LABEL_CLASS = 'mb-1 block text-[11px] font-medium text-muted-foreground';
+const ROW_BUTTON_CLASS = 'inline-flex items-center gap-1 rounded-md border border-white/10 px-2 py-1 text-[11px] text-foreground transition hover:border-white/25';
+
+const formatShortDate = (value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+};
+
+function FollowUpRow({ suggestion, onOpenThread, onMarkFollowedUp, onCompose }) {
+  const role = [safeTextValue(suggestion.company), getDisplayPosition(safeTextValue(suggestion.position))].filter(Boolean).join(' - ');
+  const due = suggestion.dueAt ? formatShortDate(suggestion.dueAt) : '';
+  return (
+    <li className="space-y-1.5 rounded-xl border border-white/[0.07] bg-white/[0.025] p-2.5" data-testid="follow-up-suggestion">
+      <div className="flex items-start gap-2">
+        <div className="min-w-0 flex-1">
+          <div className="truncate text-xs font-medium text-foreground">{safeTextValue(suggestion.title) || 'Follow up'}</div>
+          {role && <div className="truncate text-[11px] text-muted-foreground">{role}</div>}
+        </div>
+        <span className="shrink-0 text-[10px] text-muted-foreground">
+          {suggestion.source === 'cadence' ? `Your rule${due ? ` · ${due}` : ''}` : due}
+        </span>
+      </div>
+      {suggestion.description && <p className="text-[11px] text-muted-foreground">{safeTextValue(suggestion.description)}</p>}
+      <div className="flex flex-wrap gap-1.5">
+        <button type="button" onClick={() => onCompose(suggestion)} className={ROW_BUTTON_CLASS} data-testid="follow-up-compose">
+          <Send className="h-3 w-3" />
+          Reply in Gmail
+        </button>
+        {suggestion.threadId && (
+          <button type="button" onClick={() => onOpenThread(String(suggestion.threadId))} className={ROW_BUTTON_CLASS}>
+            <ExternalLink className="h-3 w-3" />
+            Open
+          </button>
+        )}
+        <button type="button" onClick={() => onMarkFollowedUp(suggestion.threadId)} className={ROW_BUTTON_CLASS}>
+          <Check className="h-3 w-3" />
+          Done
+        </button>
+      </div>
+    </li>
+  );
+}
+
+function FollowUpsPanel({ onClose, userEmail, userId, userPlan, templates, onOpenThread }) {
+  const {
+    followUpSuggestions,
+    markFollowedUp,
+    openFollowUpCompose,
+    loadingSuggestions,
+    cadenceRules,
+    saveCadenceRules,
+  } = useFollowUps(userEmail, userId, userPlan);
+
+  const openThread = (threadId) => {
+    onClose();
+    onOpenThread(threadId);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div
+        className="relative flex max-h-full w-full max-w-sm flex-col rounded-2xl border border-border bg-card p-5 shadow-xl"
+        onClick={(e) => e.stopPropagation()}
+        data-testid="follow-ups-modal"
+      >
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 p-1 text-muted-foreground transition-colors hover:text-foreground"
+          aria-label="Close"
+          type="button"
+        >
+          <X className="h-5 w-5" />
+        </button>
+
+        <h3 className="text-base font-semibold text-foreground">Follow-ups</h3>
+
+        <div className="mt-3 min-h-0 flex-1 space-y-3 overflow-y-auto">
+          <div>
+            <span className={LABEL_CLASS}>Due now</span>
+            {loadingSuggestions && followUpSuggestions.length === 0 && (
+              <p className="text-xs text-muted-foreground">Loading follow-ups…</p>
+            )}
+            {!loadingSuggestions && followUpSuggestions.length === 0 && (
+              <p className="text-xs text-muted-foreground">No follow-ups due. Your rules below decide when one shows up.</p>
+            )}
+            {followUpSuggestions.length > 0 && (
+              <ul className="space-y-1.5">
+                {followUpSuggestions.map((suggestion) => (
+                  <FollowUpRow
+                    key={suggestion.id}
+                    suggestion={suggestion}
+                    onOpenThread={openThread}
+                    onMarkFollowedUp={markFollowedUp}
+                    onCompose={(entry) => openFollowUpCompose(entry, templates)}
+                  />
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div className="border-t border-white/10 pt-3">
+            <FollowUpCadenceEditor rules={cadenceRules} onSave={saveCadenceRules} />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * @param {object} props
+ * @param {boolean} props.isOpen
+ * @param {() => void} props.onClose
+ * @param {string} props.userEmail
+ * @param {string} props.userId
+ * @param {string} props.userPlan
+ * @param {Array<object>} props.templates - Follow-up templates the replies are filled from.
+ * @param {(threadId: string) => void} props.onOpenThread
+ */
+export default function FollowUpsModal({ isOpen, ...props }) {
+  if (!isOpen) return null;
+  return <FollowUpsPanel {...props} />;
+}
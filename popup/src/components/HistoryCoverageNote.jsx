@@ -32,7 +32,7 @@ function formatImportStart(isoDate) {
   return parsed.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
 }
 
-function HistoryCoverageNote({ coverage, userPlan, onUpgrade }) {
+function HistoryCoverageNote({ coverage, userPlan, onUpgrade, onImport }) {
   const windowDays = Number(coverage?.historyWindowDays);
   if (!Number.isFinite(windowDays) || windowDays <= 0) return null;
 
@@ -61,6 +61,20 @@ function HistoryCoverageNote({ coverage, userPlan, onUpgrade }) {
             : `Your plan imports the last ${windowDays} days of email.`}
         </span>{' '}
         <span>Applications older than that aren&apos;t here.</span>
+        {onImport && (
+          <>
+            {' '}
+            <button
+              type="button"
+              onClick={onImport}
+              data-testid="history-coverage-import"
+              className="font-medium text-foreground underline underline-offset-2 transition hover:opacity-80"
+            >
+              Import them from a spreadsheet
+            </button>
+            <span>.</span>
+          </>
+        )}
         {isFree && (
           <>
             {' '}
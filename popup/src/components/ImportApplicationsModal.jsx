@@ -0,0 +1,263 @@
+/**
+ * @file popup/src/components/ImportApplicationsModal.jsx
+ * @description Imports an existing application spreadsheet (CSV or JSON) as
+ * manual applications: pick a file, map its columns, check the dry-run
+ * preview, then import. Each import can be undone as a whole.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { Undo2, Upload, X } from 'lucide-react';
+import { cn } from '../utils/cn';
+import { getCategoryTitle } from '../utils/uiHelpers';
+import {
+  IMPORT_FIELDS,
+  buildImportPreview,
+  guessColumnMapping,
+  parseImportFile,
+} from '../utils/applicationImport.mjs';
+
+const SELECT_CLASS = 'w-full rounded-lg border border-white/10 bg-white/[0.03] px-2 py-1.5 text-xs text-foreground focus:border-accent/50 focus:outline-none';
+const PREVIEW_ROW_LIMIT = 100;
+
+const STATUS_BADGES = {
+  ready: { label: 'Ready', className: 'bg-success/15 text-success' },
+  duplicate: { label: 'Duplicate', className: 'bg-warning/15 text-warning' },
+  invalid: { label: 'Skipped', className: 'bg-destructive/15 text-destructive' },
+};
+
+function recentImportBatches(manualApplications) {
+  const batches = new Map();
+  for (const application of manualApplications || []) {
+    if (!application.importBatchId) continue;
+    const batch = batches.get(application.importBatchId) || {
+      batchId: application.importBatchId,
+      count: 0,
+      importedAt: application.createdAt,
+    };
+    batch.count += 1;
+    batches.set(application.importBatchId, batch);
+  }
+  return [...batches.values()].sort((a, b) => b.importedAt - a.importedAt).slice(0, 3);
+}
+
+/**
+ * @param {object} props
+ * @param {boolean} props.isOpen
+ * @param {() => void} props.onClose
+ * @param {Record<string, Array<object>>} props.categorizedEmails - The pipeline to check duplicates against.
+ * @param {Array<object>} props.manualApplications
+ * @param {(applications: Array<object>) => Promise<{success: boolean, error?: string}>} props.onImport
+ * @param {(batchId: string) => Promise<void>} props.onUndoImport
+ */
+export default function ImportApplicationsModal({
+  isOpen,
+  onClose,
+  categorizedEmails,
+  manualApplications,
+  onImport,
+  onUndoImport,
+}) {
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [error, setError] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [undoingBatchId, setUndoingBatchId] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setFile(null);
+    setMapping({});
+    setError(null);
+  }, [isOpen]);
+
+  const missingRequired = IMPORT_FIELDS.filter((field) => field.required && !mapping[field.key]);
+  const preview = useMemo(() => {
+    if (!file || missingRequired.length > 0) return null;
+    return buildImportPreview({ records: file.records, mapping, categorizedEmails, now: Date.now() });
+  }, [file, mapping, categorizedEmails, missingRequired.length]);
+  const batches = useMemo(() => recentImportBatches(manualApplications), [manualApplications]);
+
+  if (!isOpen) return null;
+
+  const handleFileChange = async (event) => {
+    const selected = event.target.files?.[0];
+    event.target.value = '';
+    if (!selected) return;
+    setError(null);
+    try {
+      const parsed = parseImportFile(await selected.text(), selected.name);
+      setFile({ name: selected.name, ...parsed });
+      setMapping(guessColumnMapping(parsed.columns));
+    } catch (err) {
+      setFile(null);
+      setError(err instanceof Error ? err.message : 'Could not read that file.');
+    }
+  };
+
+  const handleImport = async () => {
+    const ready = preview.rows.filter((row) => row.status === 'ready').map((row) => row.value);
+    setImporting(true);
+    setError(null);
+    const result = await onImport(ready);
+    setImporting(false);
+    if (result?.success) {
+      setFile(null);
+      setMapping({});
+    } else {
+      setError(result?.error || 'Could not import these applications.');
+    }
+  };
+
+  const handleUndo = async (batchId) => {
+    setUndoingBatchId(batchId);
+    await onUndoImport(batchId);
+    setUndoingBatchId(null);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div
+        className="relative flex max-h-full w-full max-w-md flex-col rounded-2xl border border-border bg-card p-5 shadow-xl"
+        onClick={(e) => e.stopPropagation()}
+        data-testid="import-applications-modal"
+      >
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 p-1 text-muted-foreground transition-colors hover:text-foreground"
+          aria-label="Close"
+          type="button"
+        >
+          <X className="h-5 w-5" />
+        </button>
+
+        <h3 className="text-base font-semibold text-foreground">Import applications</h3>
+        <p className="mt-1 text-xs text-muted-foreground">
+          Bring in history from a spreadsheet or another tracker. Nothing is saved until you confirm the preview.
+        </p>
+
+        <div className="mt-3 min-h-0 flex-1 space-y-3 overflow-y-auto">
+          <label className="flex cursor-pointer items-center justify-center gap-2 rounded-lg border border-dashed border-white/15 bg-white/[0.03] px-3 py-3 text-xs font-medium text-muted-foreground transition hover:border-accent/50 hover:text-foreground">
+            <Upload className="h-4 w-4" />
+            {file ? `${file.name} · ${file.records.length} rows` : 'Choose a CSV or JSON file'}
+            <input
+              type="file"
+              accept=".csv,.json,text/csv,application/json"
+              className="hidden"
+              onChange={handleFileChange}
+              data-testid="import-file-input"
+            />
+          </label>
+
+          {file && (
+            <div className="grid grid-cols-2 gap-2">
+              {IMPORT_FIELDS.map((field) => (
+                <label key={field.key}>
+                  <span className="mb-1 block text-[11px] font-medium text-muted-foreground">
+                    {field.label}{field.required ? '' : ' (optional)'}
+                  </span>
+                  <select
+                    className={SELECT_CLASS}
+                    value={mapping[field.key] || ''}
+                    onChange={(event) => setMapping((prev) => ({ ...prev, [field.key]: event.target.value || null }))}
+                  >
+                    <option value="">Not in file</option>
+                    {file.columns.map((column) => (
+                      <option key={column} value={column}>{column}</option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+          )}
+
+          {file && missingRequired.length > 0 && (
+            <p className="text-xs text-muted-foreground">
+              Pick the {missingRequired.map((field) => field.label.toLowerCase()).join(', ')} column to see a preview.
+            </p>
+          )}
+
+          {preview && (
+            <div data-testid="import-preview">
+              <p className="text-xs text-muted-foreground">
+                <span className="font-semibold text-foreground">{preview.counts.ready}</span> ready
+                {' · '}{preview.counts.duplicate} duplicate{preview.counts.duplicate === 1 ? '' : 's'} skipped
+                {' · '}{preview.counts.invalid} with problems
+              </p>
+              <ul className="mt-2 max-h-48 divide-y divide-white/5 overflow-y-auto rounded-lg border border-white/10 bg-white/[0.03]">
+                {preview.rows.slice(0, PREVIEW_ROW_LIMIT).map((row) => (
+                  <li key={row.line} className="flex items-center gap-2 px-2.5 py-1.5 text-[11px]">
+                    <span className="w-7 shrink-0 text-muted-foreground">{row.line}</span>
+                    <span className="min-w-0 flex-1 truncate text-foreground">
+                      {row.value
+                        ? `${row.value.company} · ${row.value.position} · ${getCategoryTitle(row.value.stage)} · ${row.value.appliedOn}`
+                        : row.error}
+                    </span>
+                    {row.status === 'duplicate' && (
+                      <span className="shrink-0 truncate text-muted-foreground" title={row.error}>{row.error}</span>
+                    )}
+                    <span className={cn('shrink-0 rounded px-1.5 py-0.5 text-[10px] font-medium', STATUS_BADGES[row.status].className)}>
+                      {STATUS_BADGES[row.status].label}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+              {preview.rows.length > PREVIEW_ROW_LIMIT && (
+                <p className="mt-1 text-[10px] text-muted-foreground">
+                  Showing the first {PREVIEW_ROW_LIMIT} of {preview.rows.length} rows.
+                </p>
+              )}
+            </div>
+          )}
+
+          {batches.length > 0 && (
+            <div>
+              <span className="mb-1 block text-[11px] font-medium text-muted-foreground">Recent imports</span>
+              <ul className="space-y-1">
+                {batches.map((batch) => (
+                  <li
+                    key={batch.batchId}
+                    className="flex items-center justify-between rounded-lg border border-white/10 bg-white/[0.03] px-2.5 py-1.5 text-[11px] text-muted-foreground"
+                  >
+                    <span>
+                      {batch.count} application{batch.count === 1 ? '' : 's'} · {new Date(batch.importedAt).toLocaleString()}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => handleUndo(batch.batchId)}
+                      disabled={undoingBatchId === batch.batchId}
+                      className="inline-flex items-center gap-1 font-medium text-foreground transition hover:text-destructive disabled:opacity-50"
+                    >
+                      <Undo2 className="h-3 w-3" />
+                      Undo
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+
+        {error && <p className="mt-2 text-xs text-destructive">{error}</p>}
+
+        <div className="mt-3 flex gap-2">
+          <button
+            onClick={onClose}
+            className="flex-1 rounded-lg border border-border bg-card px-3 py-2 text-sm font-medium text-foreground transition hover:bg-muted"
+            type="button"
+          >
+            Close
+          </button>
+          <button
+            onClick={handleImport}
+            disabled={!preview || preview.counts.ready === 0 || importing}
+            data-testid="import-confirm-button"
+            className="flex-1 rounded-lg bg-accent px-3 py-2 text-sm font-semibold text-accent-foreground transition hover:bg-accent/90 disabled:opacity-60"
+            type="button"
+          >
+            {importing ? 'Importing…' : `Import ${preview?.counts.ready || ''}`.trim()}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
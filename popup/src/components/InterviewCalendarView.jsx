@@ -0,0 +1,165 @@
+/**
+ * @file popup/src/components/InterviewCalendarView.jsx
+ * @description Upcoming interviews, grouped by day, with the parsed time, join
+ * link or location and interviewers. Each interview (or all of them) can be
+ * saved as an .ics file for any calendar app.
+ */
+
+import React, { useMemo } from 'react';
+import { CalendarPlus, Download, MapPin, Users, Video } from 'lucide-react';
+import { cn } from '../utils/cn';
+import { getDisplayPosition } from '../utils/uiHelpers';
+import { safeTextValue } from '../utils/sensitiveContent';
+
+const dayKey = (timestamp) => {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+};
+
+const formatDayHeading = (timestamp, now) => {
+  const key = dayKey(timestamp);
+  if (key === dayKey(now)) return 'Today';
+  if (key === dayKey(now + 24 * 60 * 60 * 1000)) return 'Tomorrow';
+  return new Date(timestamp).toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' });
+};
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+
+function formatTimeRange(interview) {
+  if (interview.allDay) return 'Time not given';
+  const range = `${formatTime(interview.start)} – ${formatTime(interview.end)}`;
+  // Converted times are already local; say which zone the email used so a
+  // shifted time does not look like a parsing mistake.
+  if (interview.floating) return `${range} (no time zone in the email)`;
+  return interview.timeZoneLabel ? `${range} · sent as ${interview.timeZoneLabel}` : range;
+}
+
+function groupByDay(interviews, now) {
+  const days = [];
+  for (const interview of interviews) {
+    const key = dayKey(interview.start);
+    let day = days[days.length - 1];
+    if (!day || day.key !== key) {
+      day = { key, heading: formatDayHeading(interview.start, now), interviews: [] };
+      days.push(day);
+    }
+    day.interviews.push(interview);
+  }
+  return days;
+}
+
+/**
+ * @param {object} props
+ * @param {Array<object>} props.interviews - From buildUpcomingInterviews, soonest first.
+ * @param {number} props.now
+ * @param {(threadId: string) => void} props.onOpenThread
+ * @param {(interviews: Array<object>) => void} props.onDownload - Saves the given interviews as one .ics file.
+ */
+export default function InterviewCalendarView({ interviews, now, onOpenThread, onDownload }) {
+  const days = useMemo(() => groupByDay(interviews, now), [interviews, now]);
+
+  if (!interviews.length) {
+    return (
+      <div className="px-4 py-12 text-center">
+        <p className="text-sm font-medium text-foreground">No upcoming interviews</p>
+        <p className="mt-1 text-xs text-muted-foreground">Interview emails and invites with a date show up here.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4 px-3 py-3" data-testid="interview-calendar">
+      <div className="flex items-center justify-between px-1">
+        <p className="text-[11px] text-muted-foreground">Read from your emails. Check the invite for last-minute changes.</p>
+        <button
+          type="button"
+          onClick={() => onDownload(interviews)}
+          data-testid="interview-calendar-download-all"
+          className="inline-flex shrink-0 items-center gap-1 rounded-md border border-white/10 px-2 py-1 text-[11px] text-foreground transition hover:border-white/25"
+        >
+          <Download className="h-3 w-3" />
+          All (.ics)
+        </button>
+      </div>
+
+      {days.map((day) => (
+        <div key={day.key} className="space-y-2">
+          <h3 className="px-1 font-mono text-[9px] font-bold uppercase tracking-[0.14em] text-muted-foreground">
+            {day.heading}
+          </h3>
+          {day.interviews.map((interview) => {
+            const company = safeTextValue(interview.company, '');
+            const position = getDisplayPosition(safeTextValue(interview.position, ''));
+            return (
+              <div
+                key={`${interview.threadId || interview.emailId}-${interview.start}`}
+                data-testid="interview-row"
+                className="rounded-xl border border-white/[0.07] bg-white/[0.025] px-3 py-2.5"
+              >
+                <button
+                  type="button"
+                  disabled={!interview.threadId}
+                  onClick={() => onOpenThread(String(interview.threadId))}
+                  className="w-full text-left disabled:cursor-default"
+                >
+                  <div className="flex items-center gap-2 overflow-hidden">
+                    <span className="max-w-[140px] truncate text-xs font-medium text-foreground">{company || 'Interview'}</span>
+                    {company && position && <span className="text-[10px] text-muted-foreground">|</span>}
+                    {position && <span className="truncate text-[11px] text-muted-foreground">{position}</span>}
+                  </div>
+                  <div className={cn('mt-1 font-mono text-[10px]', interview.allDay ? 'text-warning' : 'text-foreground')}>
+                    {formatTimeRange(interview)}
+                  </div>
+                </button>
+
+                <div className="mt-1.5 space-y-1 text-[11px] text-muted-foreground">
+                  {(interview.meetingUrl || interview.meetingLabel) && (
+                    <div className="flex items-center gap-1.5 overflow-hidden">
+                      <Video className="h-3 w-3 shrink-0" />
+                      {interview.meetingUrl ? (
+                        <a
+                          href={interview.meetingUrl}
+                          target="_blank"
+                          rel="noreferrer"
+                          className="truncate text-accent hover:underline"
+                        >
+                          Join {interview.meetingLabel || 'meeting'}
+                        </a>
+                      ) : (
+                        <span className="truncate">{interview.meetingLabel}</span>
+                      )}
+                    </div>
+                  )}
+                  {interview.location && (
+                    <div className="flex items-center gap-1.5 overflow-hidden">
+                      <MapPin className="h-3 w-3 shrink-0" />
+                      <span className="truncate">{interview.location}</span>
+                    </div>
+                  )}
+                  {interview.interviewers.length > 0 && (
+                    <div className="flex items-center gap-1.5 overflow-hidden">
+                      <Users className="h-3 w-3 shrink-0" />
+                      <span className="truncate">{interview.interviewers.join(', ')}</span>
+                    </div>
+                  )}
+                </div>
+
+                <div className="mt-2 flex gap-1.5">
+                  <button
+                    type="button"
+                    onClick={() => onDownload([interview])}
+                    data-testid="interview-download"
+                    className="inline-flex items-center gap-1 rounded-md border border-white/10 px-2 py-1 text-[11px] text-foreground transition hover:border-white/25"
+                  >
+                    <CalendarPlus className="h-3 w-3" />
+                    Add to calendar
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,268 @@
+/**
+ * @file popup/src/components/InterviewPrepPanel.jsx
+ * @description Interview prep for one application: a prep checklist and, per
+ * round, the interviewers, questions asked, notes and a self-rating. Edits stay
+ * in a local draft until saved.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { ClipboardList, Plus, Star, Trash2, X } from 'lucide-react';
+import { cn } from '../utils/cn';
+import {
+  INTERVIEW_PREP_RATINGS,
+  SUGGESTED_PREP_CHECKLIST,
+  createInterviewRound,
+} from '../../../shared/interviewPrep.mjs';
+
+const INPUT_CLASS = 'w-full rounded-lg border border-white/10 bg-white/[0.03] px-2.5 py-1.5 text-xs text-foreground placeholder:text-muted-foreground focus:border-accent/50 focus:outline-none';
+const LABEL_CLASS = 'mb-1 block text-[11px] font-medium text-muted-foreground';
+
+// Interviewers and questions are edited as plain text (comma- and
+// line-separated) and split back into lists on save.
+const toDraftRound = (round) => ({
+  ...round,
+  interviewersText: round.interviewers.join(', '),
+  questionsText: round.questions.join('\n'),
+});
+
+const fromDraftRound = ({ interviewersText, questionsText, ...round }) => ({
+  ...round,
+  interviewers: interviewersText.split(',').map((name) => name.trim()).filter(Boolean),
+  questions: questionsText.split('\n').map((question) => question.trim()).filter(Boolean),
+});
+
+const toDraft = (prep) => ({
+  rounds: (prep?.rounds || []).map(toDraftRound),
+  checklist: prep?.checklist || [],
+});
+
+/**
+ * @param {object} props
+ * @param {object|null} props.prep - The stored record, or null before the first save.
+ * @param {{date: string, interviewers: Array<string>}} [props.suggestedRound] -
+ *   Parsed from the latest interview email; pre-fills a new round.
+ * @param {(prep: object) => Promise<{success: boolean, error?: string}>} props.onSave
+ */
+export default function InterviewPrepPanel({ prep, suggestedRound, onSave }) {
+  const [draft, setDraft] = useState(() => toDraft(prep));
+  const [dirty, setDirty] = useState(false);
+  const [newItem, setNewItem] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setDraft(toDraft(prep));
+    setDirty(false);
+    setError(null);
+  }, [prep]);
+
+  const update = (patch) => {
+    setDraft((prev) => ({ ...prev, ...patch }));
+    setDirty(true);
+  };
+
+  const updateRound = (roundId, patch) => update({
+    rounds: draft.rounds.map((round) => (round.id === roundId ? { ...round, ...patch } : round)),
+  });
+
+  const addRound = () => {
+    // Only the first round is pre-filled; later rounds rarely share its date.
+    const suggestion = draft.rounds.length === 0 ? suggestedRound : null;
+    update({
+      rounds: [...draft.rounds, toDraftRound(createInterviewRound({
+        id: crypto.randomUUID(),
+        name: draft.rounds.length === 0 ? 'First round' : `Round ${draft.rounds.length + 1}`,
+        date: suggestion?.date || '',
+        interviewers: suggestion?.interviewers || [],
+      }))],
+    });
+  };
+
+  const addChecklistItems = (texts) => {
+    const items = texts.map((text) => text.trim()).filter(Boolean).map((text) => ({ id: crypto.randomUUID(), text, done: false }));
+    if (items.length) update({ checklist: [...draft.checklist, ...items] });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    const result = await onSave({ rounds: draft.rounds.map(fromDraftRound), checklist: draft.checklist });
+    setSaving(false);
+    if (result?.success) {
+      setDirty(false);
+    } else {
+      setError(result?.error || 'Could not save interview prep.');
+    }
+  };
+
+  const doneCount = draft.checklist.filter((item) => item.done).length;
+
+  return (
+    <div className="rounded-2xl border border-white/[0.07] bg-white/[0.03] p-4" data-testid="interview-prep-panel">
+      <div className="flex items-center justify-between gap-3">
+        <h3 className="flex items-center gap-2 text-sm font-semibold text-foreground">
+          <ClipboardList className="h-4 w-4 text-accent" />
+          Interview prep
+        </h3>
+        <span className="text-[10px] text-accent">
+          {draft.rounds.length} round{draft.rounds.length === 1 ? '' : 's'}
+        </span>
+      </div>
+
+      <div className="mt-3">
+        <span className={LABEL_CLASS}>
+          Checklist{draft.checklist.length > 0 ? ` · ${doneCount}/${draft.checklist.length} done` : ''}
+        </span>
+        {draft.checklist.length === 0 && (
+          <button
+            type="button"
+            onClick={() => addChecklistItems([...SUGGESTED_PREP_CHECKLIST])}
+            className="mb-1.5 text-[11px] text-accent hover:underline"
+          >
+            Start from the suggested checklist
+          </button>
+        )}
+        <ul className="space-y-1">
+          {draft.checklist.map((item) => (
+            <li key={item.id} className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={item.done}
+                onChange={(event) => update({
+                  checklist: draft.checklist.map((entry) => (entry.id === item.id ? { ...entry, done: event.target.checked } : entry)),
+                })}
+                className="h-3.5 w-3.5 accent-accent"
+              />
+              <span className={cn('min-w-0 flex-1 text-xs', item.done ? 'text-muted-foreground line-through' : 'text-foreground')}>
+                {item.text}
+              </span>
+              <button
+                type="button"
+                onClick={() => update({ checklist: draft.checklist.filter((entry) => entry.id !== item.id) })}
+                className="text-muted-foreground transition hover:text-foreground"
+                aria-label={`Remove ${item.text}`}
+              >
+                <X className="h-3 w-3" />
+              </button>
+            </li>
+          ))}
+        </ul>
+        <input
+          className={cn(INPUT_CLASS, 'mt-1.5')}
+          value={newItem}
+          placeholder="Add a prep task and press Enter"
+          onChange={(event) => setNewItem(event.target.value)}
+          onKeyDown={(event) => {
+            if (event.key !== 'Enter') return;
+            event.preventDefault();
+            addChecklistItems([newItem]);
+            setNewItem('');
+          }}
+        />
+      </div>
+
+      <div className="mt-4 space-y-3">
+        {draft.rounds.map((round) => (
+          <div key={round.id} className="space-y-2 rounded-xl border border-white/[0.07] bg-white/[0.025] p-3" data-testid="interview-prep-round">
+            <div className="flex items-center gap-2">
+              <input
+                className={INPUT_CLASS}
+                value={round.name}
+                placeholder="Round name"
+                onChange={(event) => updateRound(round.id, { name: event.target.value })}
+                aria-label="Round name"
+              />
+              <input
+                type="date"
+                className={cn(INPUT_CLASS, 'w-36 shrink-0')}
+                value={round.date}
+                onChange={(event) => updateRound(round.id, { date: event.target.value })}
+                aria-label="Round date"
+              />
+              <button
+                type="button"
+                onClick={() => update({ rounds: draft.rounds.filter((entry) => entry.id !== round.id) })}
+                className="shrink-0 text-muted-foreground transition hover:text-destructive"
+                aria-label="Remove round"
+              >
+                <Trash2 className="h-3.5 w-3.5" />
+              </button>
+            </div>
+            <label className="block">
+              <span className={LABEL_CLASS}>Interviewers</span>
+              <input
+                className={INPUT_CLASS}
+                value={round.interviewersText}
+                placeholder="Names, separated by commas"
+                onChange={(event) => updateRound(round.id, { interviewersText: event.target.value })}
+              />
+            </label>
+            <label className="block">
+              <span className={LABEL_CLASS}>Questions asked</span>
+              <textarea
+                className={cn(INPUT_CLASS, 'min-h-[56px] resize-y')}
+                value={round.questionsText}
+                placeholder="One per line"
+                onChange={(event) => updateRound(round.id, { questionsText: event.target.value })}
+              />
+            </label>
+            <label className="block">
+              <span className={LABEL_CLASS}>Notes</span>
+              <textarea
+                className={cn(INPUT_CLASS, 'min-h-[56px] resize-y')}
+                value={round.notes}
+                onChange={(event) => updateRound(round.id, { notes: event.target.value })}
+              />
+            </label>
+            <div className="flex items-center gap-2">
+              <span className="text-[11px] font-medium text-muted-foreground">How did it go?</span>
+              <div className="flex gap-0.5">
+                {INTERVIEW_PREP_RATINGS.map((rating) => (
+                  <button
+                    key={rating}
+                    type="button"
+                    onClick={() => updateRound(round.id, { rating: round.rating === rating ? null : rating })}
+                    aria-label={`Rate ${rating} of 5`}
+                    aria-pressed={round.rating === rating}
+                    className="p-0.5"
+                  >
+                    <Star
+                      className={cn(
+                        'h-3.5 w-3.5',
+                        round.rating && rating <= round.rating ? 'fill-warning text-warning' : 'text-muted-foreground'
+                      )}
+                    />
+                  </button>
+                ))}
+              </div>
+            </div>
+          </div>
+        ))}
+
+        <button
+          type="button"
+          onClick={addRound}
+          className="inline-flex items-center gap-1 rounded-md border border-white/10 px-2 py-1 text-[11px] text-foreground transition hover:border-white/25"
+          data-testid="interview-prep-add-round"
+        >
+          <Plus className="h-3 w-3" />
+          Add round
+        </button>
+      </div>
+
+      {error && <p className="mt-2 text-xs text-destructive">{error}</p>}
+
+      {dirty && (
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          data-testid="interview-prep-save"
+          className="mt-3 w-full rounded-lg bg-accent px-3 py-1.5 text-xs font-semibold text-accent-foreground transition hover:bg-accent/90 disabled:opacity-60"
+          type="button"
+        >
+          {saving ? 'Saving…' : 'Save prep'}
+        </button>
+      )}
+    </div>
+  );
+}
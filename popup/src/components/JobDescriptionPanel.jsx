@@ -0,0 +1,202 @@
+/**
+ * @file popup/src/components/JobDescriptionPanel.jsx
+ * @description The job description saved for one application: shown
+ * collapsed under the journey, edited as plain text. A description captured
+ * on a job board shows until the user saves their own.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { ExternalLink, FileText, Pencil } from 'lucide-react';
+import { cn } from '../utils/cn';
+import { MAX_JOB_DESCRIPTION_LENGTH } from '../../../shared/jobDescriptions.mjs';
+
+const INPUT_CLASS = 'w-full rounded-lg border border-white/10 bg-white/[0.03] px-2.5 py-1.5 text-xs text-foreground placeholder:text-muted-foreground focus:border-accent/50 focus:outline-none';
+const LABEL_CLASS = 'mb-1 block text-[11px] font-medium text-muted-foreground';
+// Roughly the first two paragraphs; the rest is behind "Show all".
+const COLLAPSED_LENGTH = 600;
+
+const isSafeLinkUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'https:' || parsed.protocol === 'http:';
+  } catch (_) {
+    return false;
+  }
+};
+
+const describeOrigin = (description) => {
+  if (description.captured) return 'Captured when you applied';
+  if (!description.savedAt) return 'Saved';
+  return `Saved ${new Date(description.savedAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+};
+
+/**
+ * @param {object} props
+ * @param {{text: string, sourceUrl: string, savedAt: number|null, captured: boolean}|null} props.description -
+ *   From resolveJobDescription, or null when nothing is saved yet.
+ * @param {(description: {text: string, sourceUrl: string}) => Promise<{success: boolean, error?: string}>} props.onSave
+ */
+export default function JobDescriptionPanel({ description, onSave }) {
+  const [editing, setEditing] = useState(false);
+  const [expanded, setExpanded] = useState(false);
+  const [draftText, setDraftText] = useState('');
+  const [draftUrl, setDraftUrl] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setEditing(false);
+    setExpanded(false);
+    setError(null);
+  }, [description]);
+
+  const startEditing = () => {
+    setDraftText(description?.text || '');
+    setDraftUrl(description?.sourceUrl || '');
+    setError(null);
+    setEditing(true);
+  };
+
+  const save = async (next) => {
+    setSaving(true);
+    setError(null);
+    const result = await onSave(next);
+    setSaving(false);
+    if (result?.success) {
+      setEditing(false);
+    } else {
+      setError(result?.error || 'Could not save the job description.');
+    }
+  };
+
+  const text = description?.text || '';
+  const isLong = text.length > COLLAPSED_LENGTH;
+  const shownText = isLong && !expanded ? `${text.slice(0, COLLAPSED_LENGTH).trimEnd()}…` : text;
+
+  return (
+    <div className="rounded-2xl border border-white/[0.07] bg-white/[0.03] p-4" data-testid="job-description-panel">
+      <div className="flex items-center justify-between gap-3">
+        <h3 className="flex items-center gap-2 text-sm font-semibold text-foreground">
+          <FileText className="h-4 w-4 text-accent" />
+          Job description
+        </h3>
+        {description && !editing && (
+          <button
+            type="button"
+            onClick={startEditing}
+            className="inline-flex items-center gap-1 text-[11px] text-accent hover:underline"
+            data-testid="job-description-edit"
+          >
+            <Pencil className="h-3 w-3" />
+            Edit
+          </button>
+        )}
+      </div>
+
+      {!editing && !description && (
+        <div className="mt-2">
+          <p className="text-xs text-muted-foreground">
+            Postings often disappear once the role closes. Paste the description to keep it with this application.
+          </p>
+          <button
+            type="button"
+            onClick={startEditing}
+            className="mt-2 rounded-md border border-white/10 px-2 py-1 text-[11px] text-foreground transition hover:border-white/25"
+            data-testid="job-description-add"
+          >
+            Paste job description
+          </button>
+        </div>
+      )}
+
+      {!editing && description && (
+        <div className="mt-2">
+          <p className="text-[10px] text-muted-foreground">
+            {describeOrigin(description)}
+            {description.sourceUrl && isSafeLinkUrl(description.sourceUrl) && (
+              <>
+                {' · '}
+                <a
+                  href={description.sourceUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="inline-flex items-center gap-0.5 text-accent hover:underline"
+                >
+                  Posting
+                  <ExternalLink className="h-2.5 w-2.5" />
+                </a>
+              </>
+            )}
+          </p>
+          <p className="mt-2 whitespace-pre-wrap break-words text-xs text-foreground/90" data-testid="job-description-text">
+            {shownText}
+          </p>
+          {isLong && (
+            <button
+              type="button"
+              onClick={() => setExpanded((value) => !value)}
+              className="mt-1 text-[11px] text-accent hover:underline"
+            >
+              {expanded ? 'Show less' : 'Show all'}
+            </button>
+          )}
+        </div>
+      )}
+
+      {editing && (
+        <div className="mt-3 space-y-2">
+          <label className="block">
+            <span className={LABEL_CLASS}>Description</span>
+            <textarea
+              className={cn(INPUT_CLASS, 'min-h-[140px] resize-y')}
+              value={draftText}
+              maxLength={MAX_JOB_DESCRIPTION_LENGTH}
+              placeholder="Paste the full posting text"
+              onChange={(event) => setDraftText(event.target.value)}
+              data-testid="job-description-input"
+            />
+          </label>
+          <label className="block">
+            <span className={LABEL_CLASS}>Posting link (optional)</span>
+            <input
+              className={INPUT_CLASS}
+              value={draftUrl}
+              placeholder="https://"
+              onChange={(event) => setDraftUrl(event.target.value)}
+            />
+          </label>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={() => setEditing(false)}
+              className="flex-1 rounded-lg border border-border bg-card px-3 py-1.5 text-xs font-medium text-foreground transition hover:bg-muted"
+            >
+              Cancel
+            </button>
+            {description && !description.captured && (
+              <button
+                type="button"
+                onClick={() => save({ text: '', sourceUrl: '' })}
+                disabled={saving}
+                className="flex-1 rounded-lg border border-destructive/30 px-3 py-1.5 text-xs font-medium text-destructive transition hover:bg-destructive/10 disabled:opacity-60"
+              >
+                Remove
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={() => save({ text: draftText, sourceUrl: draftUrl.trim() })}
+              disabled={saving || !draftText.trim()}
+              className="flex-1 rounded-lg bg-accent px-3 py-1.5 text-xs font-semibold text-accent-foreground transition hover:bg-accent/90 disabled:opacity-60"
+              data-testid="job-description-save"
+            >
+              {saving ? 'Saving…' : 'Save'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {error && <p className="mt-2 text-xs text-destructive">{error}</p>}
+    </div>
+  );
+}
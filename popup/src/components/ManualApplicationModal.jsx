@@ -0,0 +1,179 @@
+/**
+ * @file popup/src/components/ManualApplicationModal.jsx
+ * @description Form for adding (or editing) an application that never sent a
+ * confirmation email: referrals, career fairs, an ATS that stays silent.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { cn } from '../utils/cn';
+import { getCategoryTitle } from '../utils/uiHelpers';
+import {
+  MANUAL_APPLICATION_SOURCES,
+  MANUAL_APPLICATION_STAGES,
+  validateManualApplicationInput,
+} from '../../../shared/manualApplications.mjs';
+
+const todayDateOnly = () => {
+  const now = new Date();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  return `${now.getFullYear()}-${month}-${day}`;
+};
+
+const emptyForm = () => ({
+  company: '',
+  position: '',
+  appliedOn: todayDateOnly(),
+  source: 'referral',
+  link: '',
+  stage: 'applied',
+  notes: '',
+});
+
+const INPUT_CLASS = 'w-full rounded-lg border border-white/10 bg-white/[0.03] px-3 py-2 text-sm text-foreground placeholder:text-muted-foreground focus:border-accent/50 focus:outline-none';
+const LABEL_CLASS = 'mb-1 block text-[11px] font-medium text-muted-foreground';
+
+/**
+ * @param {object} props
+ * @param {boolean} props.isOpen
+ * @param {() => void} props.onClose
+ * @param {(fields: object) => Promise<{success: boolean, error?: string}>} props.onSubmit
+ * @param {object} [props.initialValues] - An existing record when editing.
+ * @param {() => void} [props.onOpenImport] - Switches to the spreadsheet importer.
+ */
+export default function ManualApplicationModal({ isOpen, onClose, onSubmit, initialValues = null, onOpenImport }) {
+  const [form, setForm] = useState(emptyForm);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setForm(initialValues
+      ? { ...emptyForm(), ...initialValues, link: initialValues.link || '', notes: initialValues.notes || '' }
+      : emptyForm());
+    setError(null);
+  }, [isOpen, initialValues]);
+
+  if (!isOpen) return null;
+
+  const setField = (field) => (event) => setForm((prev) => ({ ...prev, [field]: event.target.value }));
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const validation = validateManualApplicationInput(form, Date.now());
+    if (!validation.valid) {
+      setError(validation.error);
+      return;
+    }
+    setSaving(true);
+    const result = await onSubmit(validation.value);
+    setSaving(false);
+    if (result?.success) {
+      onClose();
+    } else {
+      setError(result?.error || 'Could not save this application.');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <form
+        className="w-full max-w-sm space-y-3 rounded-2xl border border-border bg-card p-5 shadow-xl"
+        onClick={(e) => e.stopPropagation()}
+        onSubmit={handleSubmit}
+        data-testid="manual-application-modal"
+      >
+        <div>
+          <h3 className="text-base font-semibold text-foreground">{initialValues ? 'Edit application' : 'Add application'}</h3>
+          <p className="mt-1 text-xs text-muted-foreground">
+            For roles with no confirmation email. Later emails for the same company and position join this card.
+            {!initialValues && onOpenImport && (
+              <>
+                {' '}
+                <button
+                  type="button"
+                  onClick={onOpenImport}
+                  className="font-medium text-foreground underline underline-offset-2 transition hover:opacity-80"
+                >
+                  Import a spreadsheet
+                </button>
+                {' '}instead.
+              </>
+            )}
+          </p>
+        </div>
+
+        <div className="grid grid-cols-2 gap-2">
+          <label className="col-span-2">
+            <span className={LABEL_CLASS}>Company</span>
+            <input className={INPUT_CLASS} value={form.company} onChange={setField('company')} autoFocus />
+          </label>
+          <label className="col-span-2">
+            <span className={LABEL_CLASS}>Position</span>
+            <input className={INPUT_CLASS} value={form.position} onChange={setField('position')} />
+          </label>
+          <label>
+            <span className={LABEL_CLASS}>Date</span>
+            <input type="date" className={INPUT_CLASS} value={form.appliedOn} max={todayDateOnly()} onChange={setField('appliedOn')} />
+          </label>
+          <label>
+            <span className={LABEL_CLASS}>Source</span>
+            <select className={INPUT_CLASS} value={form.source} onChange={setField('source')}>
+              {MANUAL_APPLICATION_SOURCES.map((source) => (
+                <option key={source.value} value={source.value}>{source.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="col-span-2">
+            <span className={LABEL_CLASS}>Link (optional)</span>
+            <input type="url" className={INPUT_CLASS} value={form.link} placeholder="https://" onChange={setField('link')} />
+          </label>
+          <label className="col-span-2">
+            <span className={LABEL_CLASS}>Notes (optional)</span>
+            <textarea className={`${INPUT_CLASS} resize-none`} rows={2} value={form.notes} onChange={setField('notes')} />
+          </label>
+        </div>
+
+        <div>
+          <span className={LABEL_CLASS}>Stage</span>
+          <div className="grid grid-cols-4 gap-1.5">
+            {MANUAL_APPLICATION_STAGES.map((stage) => (
+              <button
+                key={stage}
+                type="button"
+                onClick={() => setForm((prev) => ({ ...prev, stage }))}
+                className={cn(
+                  'rounded-lg border px-2 py-1.5 text-[11px] font-medium transition-colors',
+                  form.stage === stage
+                    ? 'border-accent/50 bg-accent/10 text-foreground'
+                    : 'border-white/10 bg-white/[0.03] text-muted-foreground hover:border-white/20 hover:text-foreground'
+                )}
+              >
+                {getCategoryTitle(stage)}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {error && <p className="text-xs text-destructive">{error}</p>}
+
+        <div className="flex gap-2 pt-1">
+          <button
+            onClick={onClose}
+            className="flex-1 rounded-lg border border-border bg-card px-3 py-2 text-sm font-medium text-foreground transition hover:bg-muted"
+            type="button"
+          >
+            Cancel
+          </button>
+          <button
+            disabled={saving}
+            className="flex-1 rounded-lg bg-accent px-3 py-2 text-sm font-semibold text-accent-foreground transition hover:bg-accent/90 disabled:opacity-60"
+            type="submit"
+          >
+            {saving ? 'Saving…' : initialValues ? 'Save' : 'Add'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,249 @@
+/**
+ * @file popup/src/components/NotificationSettingsModal.jsx
+ * @description Notification settings: which categories notify, companies to
+ * watch or mute, quiet hours, and whether to batch notifications into one
+ * summary. The service worker applies these rules before showing anything.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { X } from 'lucide-react';
+import { cn } from '../utils/cn';
+import { getCategoryTitle } from '../utils/uiHelpers';
+import {
+  NOTIFICATION_BATCH_INTERVALS_MINUTES,
+  NOTIFICATION_CATEGORIES,
+} from '../../../shared/notificationRules.mjs';
+
+const INPUT_CLASS = 'w-full rounded-lg border border-white/10 bg-white/[0.03] px-3 py-1.5 text-sm text-foreground placeholder:text-muted-foreground focus:border-accent/50 focus:outline-none';
+const LABEL_CLASS = 'mb-1 block text-[11px] font-medium text-muted-foreground';
+const OPTION_CLASS = 'rounded-lg border px-2 py-1.5 text-[11px] font-medium transition-colors';
+const OPTION_ON_CLASS = 'border-accent/50 bg-accent/10 text-foreground';
+const OPTION_OFF_CLASS = 'border-white/10 bg-white/[0.03] text-muted-foreground hover:border-white/20 hover:text-foreground';
+
+const BATCH_INTERVAL_LABELS = { 60: 'Every hour', 180: 'Every 3 hours', 720: 'Twice a day' };
+
+function CompanyListField({ label, hint, companies, onChange, testId }) {
+  const [draft, setDraft] = useState('');
+
+  const addCompany = () => {
+    const name = draft.trim();
+    if (!name) return;
+    if (!companies.some((company) => company.toLowerCase() === name.toLowerCase())) {
+      onChange([...companies, name]);
+    }
+    setDraft('');
+  };
+
+  return (
+    <div data-testid={testId}>
+      <span className={LABEL_CLASS}>{label}</span>
+      {companies.length > 0 && (
+        <div className="mb-1.5 flex flex-wrap gap-1">
+          {companies.map((company) => (
+            <span key={company} className="inline-flex items-center gap-1 rounded-full border border-white/10 bg-white/[0.05] px-2 py-0.5 text-[11px] text-foreground">
+              {company}
+              <button
+                type="button"
+                onClick={() => onChange(companies.filter((item) => item !== company))}
+                className="text-muted-foreground transition hover:text-foreground"
+                aria-label={`Remove ${company}`}
+              >
+                <X className="h-3 w-3" />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+      <input
+        className={INPUT_CLASS}
+        value={draft}
+        placeholder="Add a company and press Enter"
+        onChange={(event) => setDraft(event.target.value)}
+        onKeyDown={(event) => {
+          if (event.key !== 'Enter') return;
+          event.preventDefault();
+          addCompany();
+        }}
+        onBlur={addCompany}
+      />
+      <p className="mt-1 text-[10px] text-muted-foreground">{hint}</p>
+    </div>
+  );
+}
+
+/**
+ * @param {object} props
+ * @param {boolean} props.isOpen
+ * @param {() => void} props.onClose
+ * @param {boolean} props.enabled - The master notification switch.
+ * @param {object} props.rules - Normalized rules from the service worker.
+ * @param {(settings: {enabled: boolean, rules: object}) => Promise<{success: boolean, error?: string}>} props.onSave
+ */
+export default function NotificationSettingsModal({ isOpen, onClose, enabled, rules, onSave }) {
+  const [draftEnabled, setDraftEnabled] = useState(enabled);
+  const [draft, setDraft] = useState(rules);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setDraftEnabled(enabled);
+    setDraft(rules);
+    setError(null);
+  }, [isOpen, enabled, rules]);
+
+  if (!isOpen) return null;
+
+  const update = (patch) => setDraft((prev) => ({ ...prev, ...patch }));
+
+  const handleSave = async () => {
+    setSaving(true);
+    const result = await onSave({ enabled: draftEnabled, rules: draft });
+    setSaving(false);
+    if (result?.success) {
+      onClose();
+    } else {
+      setError(result?.error || 'Could not save notification settings.');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div
+        className="flex max-h-full w-full max-w-sm flex-col rounded-2xl border border-border bg-card p-5 shadow-xl"
+        onClick={(e) => e.stopPropagation()}
+        data-testid="notification-settings-modal"
+      >
+        <div className="flex items-start justify-between gap-3">
+          <div>
+            <h3 className="text-base font-semibold text-foreground">Notifications</h3>
+            <p className="mt-1 text-xs text-muted-foreground">Desktop alerts for new application emails.</p>
+          </div>
+          <label className="mt-0.5 inline-flex cursor-pointer items-center gap-2 text-xs text-foreground">
+            <input
+              type="checkbox"
+              checked={draftEnabled}
+              onChange={(event) => setDraftEnabled(event.target.checked)}
+              data-testid="notifications-enabled-toggle"
+              className="h-4 w-4 accent-accent"
+            />
+            On
+          </label>
+        </div>
+
+        <div className={cn('mt-4 min-h-0 flex-1 space-y-4 overflow-y-auto', !draftEnabled && 'pointer-events-none opacity-50')}>
+          <div>
+            <span className={LABEL_CLASS}>Notify me about</span>
+            <div className="grid grid-cols-4 gap-1.5">
+              {NOTIFICATION_CATEGORIES.map((category) => (
+                <button
+                  key={category}
+                  type="button"
+                  onClick={() => update({ categories: { ...draft.categories, [category]: !draft.categories[category] } })}
+                  className={cn(OPTION_CLASS, draft.categories[category] ? OPTION_ON_CLASS : OPTION_OFF_CLASS)}
+                  aria-pressed={draft.categories[category]}
+                >
+                  {getCategoryTitle(category)}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <span className={LABEL_CLASS}>Delivery</span>
+            <div className="grid grid-cols-2 gap-1.5">
+              {[['immediate', 'As they arrive'], ['batched', 'One summary']].map(([value, label]) => (
+                <button
+                  key={value}
+                  type="button"
+                  onClick={() => update({ delivery: value })}
+                  className={cn(OPTION_CLASS, draft.delivery === value ? OPTION_ON_CLASS : OPTION_OFF_CLASS)}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            {draft.delivery === 'batched' && (
+              <select
+                className={cn(INPUT_CLASS, 'mt-1.5')}
+                value={draft.batchIntervalMinutes}
+                onChange={(event) => update({ batchIntervalMinutes: Number(event.target.value) })}
+              >
+                {NOTIFICATION_BATCH_INTERVALS_MINUTES.map((minutes) => (
+                  <option key={minutes} value={minutes}>{BATCH_INTERVAL_LABELS[minutes] || `Every ${minutes} minutes`}</option>
+                ))}
+              </select>
+            )}
+          </div>
+
+          <div>
+            <label className="flex items-center gap-2 text-[11px] font-medium text-muted-foreground">
+              <input
+                type="checkbox"
+                checked={draft.quietHours.enabled}
+                onChange={(event) => update({ quietHours: { ...draft.quietHours, enabled: event.target.checked } })}
+                className="h-3.5 w-3.5 accent-accent"
+              />
+              Quiet hours
+            </label>
+            {draft.quietHours.enabled && (
+              <div className="mt-1.5 grid grid-cols-2 gap-2">
+                <input
+                  type="time"
+                  className={INPUT_CLASS}
+                  value={draft.quietHours.start}
+                  onChange={(event) => update({ quietHours: { ...draft.quietHours, start: event.target.value } })}
+                  aria-label="Quiet hours start"
+                />
+                <input
+                  type="time"
+                  className={INPUT_CLASS}
+                  value={draft.quietHours.end}
+                  onChange={(event) => update({ quietHours: { ...draft.quietHours, end: event.target.value } })}
+                  aria-label="Quiet hours end"
+                />
+              </div>
+            )}
+            <p className="mt-1 text-[10px] text-muted-foreground">Anything that arrives in this window is summarized when it ends.</p>
+          </div>
+
+          <CompanyListField
+            label="Watchlist"
+            hint="Always shown right away, whatever the category or delivery setting."
+            companies={draft.watchedCompanies}
+            onChange={(watchedCompanies) => update({ watchedCompanies })}
+            testId="notification-watchlist"
+          />
+          <CompanyListField
+            label="Muted companies"
+            hint="Never notify about these. Muting wins over the watchlist."
+            companies={draft.mutedCompanies}
+            onChange={(mutedCompanies) => update({ mutedCompanies })}
+            testId="notification-muted"
+          />
+        </div>
+
+        {error && <p className="mt-2 text-xs text-destructive">{error}</p>}
+
+        <div className="mt-4 flex gap-2">
+          <button
+            onClick={onClose}
+            className="flex-1 rounded-lg border border-border bg-card px-3 py-2 text-sm font-medium text-foreground transition hover:bg-muted"
+            type="button"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            data-testid="notification-settings-save"
+            className="flex-1 rounded-lg bg-accent px-3 py-2 text-sm font-semibold text-accent-foreground transition hover:bg-accent/90 disabled:opacity-60"
+            type="button"
+          >
+            {saving ? 'Saving…' : 'Save'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
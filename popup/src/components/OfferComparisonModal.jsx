@@ -0,0 +1,371 @@
+/**
+ * @file popup/src/components/OfferComparisonModal.jsx
+ * @description Offer comparison: enter each offer's package (base, bonus,
+ * equity and vesting, sign-on, benefits, PTO, location, deadline) and compare
+ * first-year and four-year totals side by side.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { ExternalLink, Pencil, Plus, Trash2, X } from 'lucide-react';
+import { cn } from '../utils/cn';
+import { getDisplayPosition } from '../utils/uiHelpers';
+import { safeTextValue } from '../utils/sensitiveContent';
+import { findApplicationRecord } from '../../../shared/applicationRecords.mjs';
+import {
+  OFFER_WORK_MODES,
+  VESTING_PRESETS,
+  computeOfferCompensation,
+  daysUntilOfferDeadline,
+  emptyOffer,
+} from '../../../shared/offers.mjs';
+
+const INPUT_CLASS = 'w-full rounded-lg border border-white/10 bg-white/[0.03] px-2.5 py-1.5 text-xs text-foreground placeholder:text-muted-foreground focus:border-accent/50 focus:outline-none';
+const LABEL_CLASS = 'mb-1 block text-[11px] font-medium text-muted-foreground';
+const AMOUNT_FIELDS = ['baseSalary', 'bonus', 'equityValue', 'signOnBonus', 'benefitsValue', 'ptoDays'];
+const CUSTOM_VESTING = 'custom';
+
+const roleLabel = (role) => [
+  safeTextValue(role.company, ''),
+  getDisplayPosition(safeTextValue(role.position, '')),
+].filter(Boolean).join(' - ') || 'Unknown role';
+
+function formatMoney(amount, currency) {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency, maximumFractionDigits: 0 }).format(amount);
+  } catch {
+    return `${Math.round(amount).toLocaleString('en-US')} ${currency}`;
+  }
+}
+
+function formatDeadline(offer, now) {
+  const days = daysUntilOfferDeadline(offer, now);
+  if (days === null) return '—';
+  const date = new Date(`${offer.deadline}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  if (days < 0) return `${date} (passed)`;
+  if (days === 0) return `${date} (today)`;
+  return `${date} (${days} day${days === 1 ? '' : 's'})`;
+}
+
+const vestingPresetId = (schedule) => VESTING_PRESETS.find((preset) => preset.schedule.join(',') === schedule.join(','))?.id || CUSTOM_VESTING;
+
+// Amounts are edited as text so an empty field stays empty instead of 0.
+function toDraft(offer, role) {
+  const source = offer || { ...emptyOffer(), company: role.company, position: role.position };
+  const draft = { ...source, vestingPreset: vestingPresetId(source.vesting), vestingText: source.vesting.join(', ') };
+  for (const field of AMOUNT_FIELDS) draft[field] = source[field] === null ? '' : String(source[field]);
+  return draft;
+}
+
+function fromDraft({ vestingPreset, vestingText, updatedAt, ...draft }, role) {
+  const offer = { ...draft, threadId: role.threadId || draft.threadId || null };
+  for (const field of AMOUNT_FIELDS) offer[field] = draft[field].trim() === '' ? null : Number(draft[field]);
+  offer.vesting = vestingPreset === CUSTOM_VESTING
+    ? vestingText.split(/[,/\s]+/).filter(Boolean).map(Number)
+    : VESTING_PRESETS.find((preset) => preset.id === vestingPreset).schedule;
+  return offer;
+}
+
+function OfferEditor({ role, offer, onSave, onCancel }) {
+  const [draft, setDraft] = useState(() => toDraft(offer, role));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const set = (patch) => setDraft((prev) => ({ ...prev, ...patch }));
+  const field = (name) => ({ value: draft[name], onChange: (event) => set({ [name]: event.target.value }) });
+
+  const save = async (next) => {
+    setSaving(true);
+    setError(null);
+    const result = await onSave(role.keys, next);
+    setSaving(false);
+    if (result?.success) {
+      onCancel();
+    } else {
+      setError(result?.error || 'Could not save the offer.');
+    }
+  };
+
+  return (
+    <div className="space-y-2.5 rounded-xl border border-white/[0.07] bg-white/[0.025] p-3" data-testid="offer-editor">
+      <p className="text-xs font-medium text-foreground">{roleLabel(role)}</p>
+
+      <div className="grid grid-cols-[80px_1fr] gap-2">
+        <label className="block">
+          <span className={LABEL_CLASS}>Currency</span>
+          <input className={cn(INPUT_CLASS, 'uppercase')} maxLength={3} {...field('currency')} />
+        </label>
+        <label className="block">
+          <span className={LABEL_CLASS}>Base salary (yearly)</span>
+          <input type="number" min="0" className={INPUT_CLASS} {...field('baseSalary')} data-testid="offer-base" />
+        </label>
+      </div>
+
+      <div>
+        <span className={LABEL_CLASS}>Yearly bonus</span>
+        <div className="grid grid-cols-[1fr_110px] gap-2">
+          <input type="number" min="0" className={INPUT_CLASS} {...field('bonus')} aria-label="Bonus" />
+          <select className={INPUT_CLASS} {...field('bonusType')} aria-label="Bonus type">
+            <option value="amount">Amount</option>
+            <option value="percent">% of base</option>
+          </select>
+        </div>
+      </div>
+
+      <div>
+        <span className={LABEL_CLASS}>Equity (total grant value)</span>
+        <div className="grid grid-cols-[1fr_130px] gap-2">
+          <input type="number" min="0" className={INPUT_CLASS} {...field('equityValue')} aria-label="Equity" />
+          <select className={INPUT_CLASS} {...field('vestingPreset')} aria-label="Vesting schedule">
+            {VESTING_PRESETS.map((preset) => <option key={preset.id} value={preset.id}>{preset.label}</option>)}
+            <option value={CUSTOM_VESTING}>Custom…</option>
+          </select>
+        </div>
+        {draft.vestingPreset === CUSTOM_VESTING && (
+          <input
+            className={cn(INPUT_CLASS, 'mt-1.5')}
+            placeholder="Percent per year, e.g. 10, 20, 30, 40"
+            {...field('vestingText')}
+            aria-label="Custom vesting"
+          />
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        <label className="block">
+          <span className={LABEL_CLASS}>Sign-on bonus</span>
+          <input type="number" min="0" className={INPUT_CLASS} {...field('signOnBonus')} />
+        </label>
+        <label className="block">
+          <span className={LABEL_CLASS}>Benefits (yearly value)</span>
+          <input type="number" min="0" className={INPUT_CLASS} {...field('benefitsValue')} />
+        </label>
+      </div>
+
+      <label className="block">
+        <span className={LABEL_CLASS}>Benefits notes</span>
+        <input className={INPUT_CLASS} placeholder="401k match, health, stipends…" {...field('benefits')} />
+      </label>
+
+      <div className="grid grid-cols-2 gap-2">
+        <label className="block">
+          <span className={LABEL_CLASS}>PTO (days)</span>
+          <input type="number" min="0" className={INPUT_CLASS} {...field('ptoDays')} />
+        </label>
+        <label className="block">
+          <span className={LABEL_CLASS}>Work arrangement</span>
+          <select className={INPUT_CLASS} {...field('workMode')}>
+            <option value="">Not specified</option>
+            {OFFER_WORK_MODES.map((mode) => <option key={mode.value} value={mode.value}>{mode.label}</option>)}
+          </select>
+        </label>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        <label className="block">
+          <span className={LABEL_CLASS}>Location</span>
+          <input className={INPUT_CLASS} {...field('location')} />
+        </label>
+        <label className="block">
+          <span className={LABEL_CLASS}>Decision deadline</span>
+          <input type="date" className={INPUT_CLASS} {...field('deadline')} data-testid="offer-deadline" />
+        </label>
+      </div>
+
+      {error && <p className="text-xs text-destructive">{error}</p>}
+
+      <div className="flex gap-2">
+        <button
+          type="button"
+          onClick={() => save(fromDraft(draft, role))}
+          disabled={saving}
+          data-testid="offer-save"
+          className="flex-1 rounded-lg bg-accent px-3 py-1.5 text-xs font-semibold text-accent-foreground transition hover:bg-accent/90 disabled:opacity-60"
+        >
+          {saving ? 'Saving…' : 'Save offer'}
+        </button>
+        {offer && (
+          <button
+            type="button"
+            onClick={() => save(null)}
+            disabled={saving}
+            className="rounded-lg border border-white/10 px-2.5 py-1.5 text-muted-foreground transition hover:text-destructive"
+            aria-label="Remove offer details"
+          >
+            <Trash2 className="h-3.5 w-3.5" />
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={onCancel}
+          className="rounded-lg border border-white/10 px-3 py-1.5 text-xs text-muted-foreground transition hover:text-foreground"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * @param {object} props
+ * @param {boolean} props.isOpen
+ * @param {() => void} props.onClose
+ * @param {Array<object>} props.roles - From buildOfferRoles.
+ * @param {Record<string, object>} props.offers - Stored offers keyed by application key.
+ * @param {number} props.now
+ * @param {(keys: object, offer: object|null) => Promise<{success: boolean, error?: string}>} props.onSave
+ * @param {(threadId: string) => void} props.onOpenThread
+ */
+export default function OfferComparisonModal({ isOpen, onClose, roles, offers, now, onSave, onOpenThread }) {
+  const [editingKey, setEditingKey] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen) setEditingKey(null);
+  }, [isOpen]);
+
+  const entries = useMemo(() => roles.map((role) => {
+    const offer = findApplicationRecord(offers, role.keys);
+    return { role, offer, compensation: offer ? computeOfferCompensation(offer) : null };
+  }), [roles, offers]);
+
+  if (!isOpen) return null;
+
+  const compared = entries.filter((entry) => entry.offer);
+  const editing = entries.find((entry) => entry.role.keys.key === editingKey) || null;
+  // Totals in different currencies are not comparable, so only pick a winner
+  // when every offer uses the same one.
+  const sameCurrency = new Set(compared.map((entry) => entry.offer.currency)).size <= 1;
+  const best = (metric) => (sameCurrency && compared.length > 1
+    ? Math.max(...compared.map((entry) => entry.compensation[metric]))
+    : null);
+  const bestFirstYear = best('firstYear');
+  const bestFourYear = best('fourYear');
+
+  const money = (entry, amount) => (amount ? formatMoney(amount, entry.offer.currency) : '—');
+  const rows = [
+    ['Base salary', (entry) => money(entry, entry.offer.baseSalary)],
+    ['Bonus (yearly)', (entry) => money(entry, entry.compensation.annualBonus)],
+    ['Equity, year 1', (entry) => money(entry, entry.compensation.years[0].equity)],
+    ['Sign-on bonus', (entry) => money(entry, entry.offer.signOnBonus)],
+    ['Benefits (yearly)', (entry) => money(entry, entry.offer.benefitsValue)],
+    ['First-year total', (entry) => formatMoney(entry.compensation.firstYear, entry.offer.currency), 'firstYear', bestFirstYear],
+    ['Four-year total', (entry) => formatMoney(entry.compensation.fourYear, entry.offer.currency), 'fourYear', bestFourYear],
+    ['PTO', (entry) => (entry.offer.ptoDays === null ? '—' : `${entry.offer.ptoDays} days`)],
+    ['Location', (entry) => [
+      entry.offer.location,
+      OFFER_WORK_MODES.find((mode) => mode.value === entry.offer.workMode)?.label,
+    ].filter(Boolean).join(' · ') || '—'],
+    ['Deadline', (entry) => formatDeadline(entry.offer, now)],
+  ];
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div
+        className="relative flex max-h-full w-full max-w-md flex-col rounded-2xl border border-border bg-card p-5 shadow-xl"
+        onClick={(e) => e.stopPropagation()}
+        data-testid="offer-comparison-modal"
+      >
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 p-1 text-muted-foreground transition-colors hover:text-foreground"
+          aria-label="Close"
+          type="button"
+        >
+          <X className="h-5 w-5" />
+        </button>
+
+        <h3 className="text-base font-semibold text-foreground">Compare offers</h3>
+        <p className="mt-1 text-[11px] text-muted-foreground">
+          Totals hold salary, bonus and benefits flat (no raises or refreshers) and vest equity on its schedule.
+          You get a reminder the morning before each deadline and on the day.
+        </p>
+
+        <div className="mt-3 min-h-0 flex-1 space-y-3 overflow-y-auto">
+          {editing ? (
+            <OfferEditor
+              key={editing.role.keys.key}
+              role={editing.role}
+              offer={editing.offer}
+              onSave={onSave}
+              onCancel={() => setEditingKey(null)}
+            />
+          ) : (
+            <ul className="space-y-1">
+              {entries.map(({ role, offer }) => (
+                <li key={role.keys.key} className="flex items-center gap-2 rounded-lg border border-white/[0.07] bg-white/[0.025] px-2.5 py-1.5">
+                  <span className="min-w-0 flex-1 truncate text-xs text-foreground">{roleLabel(role)}</span>
+                  {role.threadId && (
+                    <button
+                      type="button"
+                      onClick={() => {
+                        onClose();
+                        onOpenThread(String(role.threadId));
+                      }}
+                      className="text-muted-foreground transition hover:text-foreground"
+                      aria-label="Open the offer email"
+                    >
+                      <ExternalLink className="h-3 w-3" />
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => setEditingKey(role.keys.key)}
+                    data-testid="offer-edit"
+                    className="inline-flex items-center gap-1 rounded-md border border-white/10 px-2 py-0.5 text-[11px] text-foreground transition hover:border-white/25"
+                  >
+                    {offer ? <Pencil className="h-3 w-3" /> : <Plus className="h-3 w-3" />}
+                    {offer ? 'Edit' : 'Add details'}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {!editing && compared.length === 0 && (
+            <p className="text-xs text-muted-foreground">Add the details of an offer to start comparing.</p>
+          )}
+
+          {!editing && compared.length > 0 && (
+            <div className="overflow-x-auto popup-scrollbar">
+              <table className="w-full border-collapse text-[11px]" data-testid="offer-comparison-table">
+                <thead>
+                  <tr>
+                    <th className="sticky left-0 bg-card py-1 pr-2 text-left font-medium text-muted-foreground" />
+                    {compared.map((entry) => (
+                      <th key={entry.role.keys.key} className="min-w-[110px] px-2 py-1 text-left font-semibold text-foreground">
+                        <span className="line-clamp-2">{roleLabel(entry.role)}</span>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(([label, render, metric, bestValue]) => (
+                    <tr key={label} className="border-t border-white/[0.07]">
+                      <th className={cn('sticky left-0 bg-card py-1.5 pr-2 text-left font-medium', metric ? 'text-foreground' : 'text-muted-foreground')}>
+                        {label}
+                      </th>
+                      {compared.map((entry) => (
+                        <td
+                          key={entry.role.keys.key}
+                          className={cn(
+                            'px-2 py-1.5 font-mono text-[10px]',
+                            metric && bestValue !== null && entry.compensation[metric] === bestValue ? 'font-semibold text-accent' : 'text-foreground'
+                          )}
+                        >
+                          {render(entry)}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {!sameCurrency && (
+                <p className="mt-2 text-[11px] text-warning">These offers use different currencies, so totals are not ranked.</p>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
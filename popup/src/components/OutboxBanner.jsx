@@ -0,0 +1,52 @@
+/**
+ * @file popup/src/components/OutboxBanner.jsx
+ * @description Strip under the header for edits made while offline: a quiet
+ * count while they wait to sync, and one dismissible row per edit the backend
+ * refused when it was finally sent.
+ */
+
+import React from 'react';
+import { AlertTriangle, CloudOff, X } from 'lucide-react';
+
+function OutboxBanner({ pendingCount, conflicts, onDismissConflict }) {
+  if (!pendingCount && !conflicts.length) return null;
+
+  return (
+    <div data-testid="outbox-banner" className="border-b border-border text-left text-xs text-foreground">
+      {pendingCount > 0 && (
+        <div className="flex items-center gap-2 bg-white/[0.03] px-4 py-2 text-muted-foreground">
+          <CloudOff className="h-3.5 w-3.5 shrink-0" />
+          <span>
+            <span className="font-semibold text-foreground">{pendingCount}</span>{' '}
+            {pendingCount === 1 ? 'edit is' : 'edits are'} waiting for a connection and will sync automatically.
+          </span>
+        </div>
+      )}
+      {conflicts.map((conflict) => (
+        <div
+          key={conflict.id}
+          data-testid="outbox-conflict"
+          className="flex items-start justify-between gap-3 border-t border-warning/20 bg-warning/[0.08] px-4 py-2"
+        >
+          <div className="flex items-start gap-2">
+            <AlertTriangle className="mt-0.5 h-3.5 w-3.5 shrink-0 text-warning" />
+            <div className="space-y-0.5">
+              <p className="font-semibold">Couldn't save your {conflict.description}</p>
+              <p className="text-muted-foreground">{conflict.message} The tracked value was left as the server has it.</p>
+            </div>
+          </div>
+          <button
+            type="button"
+            onClick={() => onDismissConflict(conflict.id)}
+            className="shrink-0 rounded-md p-1 text-muted-foreground transition hover:text-foreground"
+            aria-label="Dismiss"
+          >
+            <X className="h-3.5 w-3.5" />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default OutboxBanner;
@@ -0,0 +1,206 @@
+/**
+ * @file popup/src/components/PipelineBoard.jsx
+ * @description Kanban columns of role cards with drag-to-move. Dropping a card
+ * on Closed asks for a reason first; every other drop goes straight to onMove.
+ */
+
+import React, { useMemo, useState } from 'react';
+import { GripVertical, X } from 'lucide-react';
+import { cn } from '../utils/cn';
+import { formatDate, getDisplayPosition } from '../utils/uiHelpers';
+import { safeTextValue } from '../utils/sensitiveContent';
+import { formatCompensation } from '../utils/compensation.mjs';
+import { BOARD_CLOSE_PRESETS, BOARD_COLUMNS, boardColumnForGroup, buildBoardColumns, closeReasonText } from '../utils/pipelineBoard.mjs';
+
+const COLUMN_ACCENTS = {
+  applied: 'border-t-secondary',
+  interviewed: 'border-t-warning',
+  offers: 'border-t-success',
+  rejected: 'border-t-destructive',
+  closed: 'border-t-white/20',
+};
+
+const DRAG_TYPE = 'application/x-applendium-role';
+
+function RoleCard({ group, moving, onDragStart }) {
+  const latest = group.latestEmail || group.emails?.[0] || {};
+  const company = safeTextValue(latest.company_name, '') || 'Unknown company';
+  const position = getDisplayPosition(latest.position);
+  const compensationLabel = formatCompensation(group.compensation);
+  return (
+    <div
+      draggable={!moving}
+      onDragStart={(event) => onDragStart(event, group)}
+      data-testid="board-card"
+      className={cn(
+        'group cursor-grab rounded-xl border border-white/10 bg-card p-3 shadow-sm transition-colors hover:border-white/25 active:cursor-grabbing',
+        moving && 'cursor-wait opacity-50',
+      )}
+    >
+      <div className="flex items-start gap-2">
+        <GripVertical className="mt-0.5 h-3.5 w-3.5 shrink-0 text-muted-foreground/60 group-hover:text-muted-foreground" />
+        <div className="min-w-0 flex-1">
+          <div className="truncate text-sm font-semibold text-foreground">{company}</div>
+          {position && <div className="truncate text-xs text-muted-foreground">{position}</div>}
+          <div className="mt-2 flex flex-wrap items-center gap-1.5 text-[10px] text-muted-foreground">
+            <span>{formatDate(group.date || latest.date)}</span>
+            {group.messageCount > 1 && <span>· {group.messageCount} emails</span>}
+            {compensationLabel && (
+              <span className="rounded-full border border-success/30 bg-success/10 px-1.5 py-0.5 font-medium text-success">
+                {compensationLabel}
+              </span>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function ClosePrompt({ group, onCancel, onConfirm }) {
+  const [presetId, setPresetId] = useState(BOARD_CLOSE_PRESETS[0].id);
+  const [note, setNote] = useState('');
+  const company = safeTextValue(group.latestEmail?.company_name, '') || 'this role';
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center bg-black/60 p-4">
+      <div className="w-full max-w-sm space-y-3 rounded-2xl border border-border bg-card p-4 shadow-xl">
+        <div className="flex items-start justify-between gap-3">
+          <div>
+            <div className="text-sm font-semibold text-foreground">Close {company}</div>
+            <div className="mt-1 text-xs text-muted-foreground">
+              Your call, not a rejection. Nothing is deleted; you can drag it back anytime.
+            </div>
+          </div>
+          <button onClick={onCancel} className="text-muted-foreground transition hover:text-foreground" type="button">
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+        <select
+          value={presetId}
+          onChange={(event) => setPresetId(event.target.value)}
+          className="w-full rounded-xl border border-white/10 bg-white/[0.03] px-3 py-2 text-sm text-foreground outline-none transition focus:border-accent/40 focus:ring-2 focus:ring-accent/20"
+        >
+          {BOARD_CLOSE_PRESETS.map((preset) => (
+            <option key={preset.id} value={preset.id}>{preset.label}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={note}
+          onChange={(event) => setNote(event.target.value)}
+          placeholder="Add context (optional)"
+          className="w-full rounded-xl border border-white/10 bg-white/[0.03] px-3 py-2 text-sm text-foreground outline-none transition focus:border-accent/40 focus:ring-2 focus:ring-accent/20"
+        />
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={onCancel}
+            className="rounded-full border border-white/10 px-3 py-1.5 text-xs font-medium text-muted-foreground transition-colors hover:border-white/25 hover:text-foreground"
+            type="button"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onConfirm(closeReasonText(presetId, note))}
+            data-testid="board-close-confirm"
+            className="rounded-full bg-destructive px-3 py-1.5 text-xs font-semibold text-destructive-foreground transition-opacity hover:opacity-90"
+            type="button"
+          >
+            Close role
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * @param {{groups: Array<object>, onMove: (group: object, target: string, closeReason?: string) => Promise<object>, movingKey: string|null}} props
+ */
+export default function PipelineBoard({ groups, onMove, movingKey }) {
+  const columns = useMemo(() => buildBoardColumns(groups), [groups]);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [pendingClose, setPendingClose] = useState(null);
+
+  const groupsByKey = useMemo(() => new Map(groups.map((group) => [group.threadId, group])), [groups]);
+
+  const handleDragStart = (event, group) => {
+    event.dataTransfer.setData(DRAG_TYPE, group.threadId);
+    event.dataTransfer.effectAllowed = 'move';
+  };
+
+  const handleDrop = (event, columnId) => {
+    event.preventDefault();
+    setDropTarget(null);
+    const group = groupsByKey.get(event.dataTransfer.getData(DRAG_TYPE));
+    if (!group || boardColumnForGroup(group) === columnId) return;
+    if (columnId === 'closed') {
+      setPendingClose(group);
+      return;
+    }
+    onMove(group, columnId);
+  };
+
+  return (
+    <>
+      <div className="grid grid-cols-5 gap-4" data-testid="pipeline-board">
+        {BOARD_COLUMNS.map((column) => {
+          const cards = columns[column.id];
+          return (
+            <section
+              key={column.id}
+              onDragOver={(event) => {
+                if (!event.dataTransfer.types.includes(DRAG_TYPE)) return;
+                event.preventDefault();
+                setDropTarget(column.id);
+              }}
+              onDragLeave={(event) => {
+                if (!event.currentTarget.contains(event.relatedTarget)) setDropTarget(null);
+              }}
+              onDrop={(event) => handleDrop(event, column.id)}
+              data-testid={`board-column-${column.id}`}
+              className={cn(
+                'flex min-h-[60vh] flex-col rounded-2xl border border-t-4 border-white/[0.07] bg-white/[0.03] p-3 transition-colors',
+                COLUMN_ACCENTS[column.id],
+                dropTarget === column.id && 'border-accent/40 bg-accent/[0.06]',
+              )}
+            >
+              <header className="mb-3 flex items-center justify-between px-1">
+                <h2 className="text-sm font-semibold text-foreground">{column.label}</h2>
+                <span className="rounded-full bg-white/[0.06] px-2 text-[11px] font-medium leading-5 text-muted-foreground">
+                  {cards.length}
+                </span>
+              </header>
+              <div className="flex flex-1 flex-col gap-2">
+                {cards.map((group) => (
+                  <RoleCard
+                    key={group.threadId}
+                    group={group}
+                    moving={movingKey === group.threadId}
+                    onDragStart={handleDragStart}
+                  />
+                ))}
+                {cards.length === 0 && (
+                  <div className="rounded-xl border border-dashed border-white/10 px-3 py-6 text-center text-xs text-muted-foreground">
+                    Drop a role here
+                  </div>
+                )}
+              </div>
+            </section>
+          );
+        })}
+      </div>
+
+      {pendingClose && (
+        <ClosePrompt
+          group={pendingClose}
+          onCancel={() => setPendingClose(null)}
+          onConfirm={(reason) => {
+            const group = pendingClose;
+            setPendingClose(null);
+            onMove(group, 'closed', reason);
+          }}
+        />
+      )}
+    </>
+  );
+}
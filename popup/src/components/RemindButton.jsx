@@ -1,7 +1,10 @@
 import React, { useState } from 'react';
+import { BellRing } from 'lucide-react';
+import { cn } from '../utils/cn';
 import { showNotification } from './Notification';
+import { sendMessageToBackground } from '../utils/chromeMessaging';
 
-export default function RemindButton({ threadId, label = 'Remind Later', defaultDelayHours = 24 }) {
+export default function RemindButton({ threadId, label = 'Remind Later', defaultDelayHours = 24, className }) {
   const [loading, setLoading] = useState(false);
 
   const handleClick = async (e) => {
@@ -13,13 +16,16 @@ export default function RemindButton({ threadId, label = 'Remind Later', default
     try {
       setLoading(true);
       const when = Date.now() + defaultDelayHours * 60 * 60 * 1000;
-      await sendMessageSafe({
+      const response = await sendMessageToBackground({
         type: 'CREATE_REMINDER',
         payload: { threadId, when }
       });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Reminder was not saved.');
+      }
       showSafe('Reminder scheduled', 'success');
     } catch (err) {
-      showSafe('Failed to schedule reminder', 'error');
+      showSafe(`Failed to schedule reminder: ${err?.message || 'Unknown error'}`, 'error');
     } finally {
       setLoading(false);
     }
@@ -29,33 +35,19 @@ export default function RemindButton({ threadId, label = 'Remind Later', default
     <button
       onClick={handleClick}
       disabled={loading}
-      className={`inline-flex items-center justify-center rounded-md border border-gray-300 dark:border-zinc-600 px-3 py-1 text-sm ${loading ? 'opacity-60 cursor-not-allowed' : 'hover:bg-gray-100 dark:hover:bg-zinc-700'}`}
+      className={cn(
+        'inline-flex items-center gap-1.5 rounded-lg border border-white/10 bg-white/[0.03] px-3 py-2 text-xs font-medium text-foreground transition-colors hover:border-white/20 hover:bg-white/[0.06] disabled:cursor-not-allowed disabled:opacity-50',
+        className
+      )}
       title={label}
+      type="button"
     >
+      <BellRing className="h-3.5 w-3.5" />
       {loading ? 'Scheduling…' : label}
     </button>
   );
 }
 
-function sendMessageSafe(message) {
-  return new Promise((resolve, reject) => {
-    try {
-      if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.sendMessage) {
-        chrome.runtime.sendMessage(message, (res) => {
-          const err = chrome.runtime.lastError;
-          if (err) return reject(err);
-          resolve(res);
-        });
-      } else {
-        // Fallback for non-extension contexts
-        resolve({ ok: true, emulated: true });
-      }
-    } catch (e) {
-      reject(e);
-    }
-  });
-}
-
 function showSafe(msg, type = 'info') {
   try { showNotification(msg, type); } catch (_) {}
 }
@@ -0,0 +1,180 @@
+/**
+ * @file popup/src/components/RemindersView.jsx
+ * @description Popup list of thread reminders: due (fired or overdue),
+ * upcoming and recently done, with inline snooze / done / delete.
+ */
+
+import React, { useMemo, useState } from 'react';
+import { AlarmClock, Check, Trash2 } from 'lucide-react';
+import { cn } from '../utils/cn';
+import { getDisplayPosition } from '../utils/uiHelpers';
+import { safeTextValue } from '../utils/sensitiveContent';
+import { groupRemindersForDisplay } from '../../../shared/reminders.mjs';
+import SnoozeModal from './SnoozeModal';
+
+const DISPLAY_STATE_META = {
+  fired: { label: 'Due', className: 'bg-warning/15 text-warning border border-warning/20' },
+  overdue: { label: 'Overdue', className: 'bg-destructive/10 text-destructive border border-destructive/20' },
+  pending: { label: 'Scheduled', className: 'bg-muted text-muted-foreground border border-border' },
+  done: { label: 'Done', className: 'bg-success/10 text-success border border-success/20' },
+};
+
+const SECTIONS = [
+  { key: 'due', title: 'Due now' },
+  { key: 'upcoming', title: 'Upcoming' },
+  { key: 'done', title: 'Done' },
+];
+
+const formatReminderTime = (timestamp) => {
+  const date = new Date(timestamp);
+  if (Number.isNaN(date.getTime())) return '--';
+  return date.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+};
+
+const threadIdOf = (email) => String(email?.thread_id || email?.threadId || '');
+
+/**
+ * Maps each reminder's thread to the conversation group and latest email that
+ * hold it, so rows can reuse the inbox's company/position labels and open the
+ * same preview a click in the inbox would.
+ */
+function indexThreads(conversationGroups) {
+  const byThread = new Map();
+  for (const group of conversationGroups || []) {
+    for (const email of group.emails || []) {
+      const threadId = threadIdOf(email);
+      if (!threadId) continue;
+      const existing = byThread.get(threadId);
+      if (!existing || new Date(email.date) > new Date(existing.email.date)) {
+        byThread.set(threadId, { email, group });
+      }
+    }
+  }
+  return byThread;
+}
+
+export default function RemindersView({
+  reminders,
+  now,
+  conversationGroups,
+  onOpenThread,
+  onSnooze,
+  onComplete,
+  onDelete,
+}) {
+  const [snoozeTargetId, setSnoozeTargetId] = useState(null);
+  const sections = useMemo(() => groupRemindersForDisplay(reminders, now), [reminders, now]);
+  const threadIndex = useMemo(() => indexThreads(conversationGroups), [conversationGroups]);
+
+  if (!reminders.length) {
+    return (
+      <div className="px-4 py-12 text-center">
+        <p className="text-sm font-medium text-foreground">No reminders yet</p>
+        <p className="mt-1 text-xs text-muted-foreground">Open a conversation and use "Remind me" to get nudged later.</p>
+      </div>
+    );
+  }
+
+  const renderRow = ({ reminder, displayState }) => {
+    const match = threadIndex.get(reminder.threadId);
+    const email = match?.email || null;
+    const safePosition = getDisplayPosition(email?.position);
+    const subject = safeTextValue(email?.subject, '');
+    const stateMeta = DISPLAY_STATE_META[displayState] || DISPLAY_STATE_META.pending;
+    const timeLabel = displayState === 'done'
+      ? `Handled ${formatReminderTime(reminder.updatedAt)}`
+      : displayState === 'fired'
+        ? `Reminded ${formatReminderTime(reminder.firedAt || reminder.when)}`
+        : formatReminderTime(reminder.when);
+
+    return (
+      <div
+        key={reminder.id}
+        data-testid="reminder-row"
+        data-reminder-state={displayState}
+        className={cn(
+          'rounded-xl border border-white/[0.07] bg-white/[0.025] px-3 py-2.5',
+          displayState === 'done' && 'opacity-60'
+        )}
+      >
+        <button
+          type="button"
+          disabled={!email}
+          onClick={() => email && onOpenThread(email, match.group)}
+          className="w-full text-left disabled:cursor-default"
+        >
+          <div className="flex items-center gap-2 overflow-hidden">
+            <span className={cn('shrink-0 rounded-full px-2 py-0.5 text-[10px] font-medium', stateMeta.className)}>
+              {stateMeta.label}
+            </span>
+            {email?.company_name && (
+              <span className="max-w-[120px] truncate text-xs font-medium text-foreground">{email.company_name}</span>
+            )}
+            {email?.company_name && safePosition && (
+              <span className="text-[10px] text-muted-foreground">|</span>
+            )}
+            {safePosition && (
+              <span className="truncate text-[11px] text-muted-foreground">{safePosition}</span>
+            )}
+          </div>
+          <div className="popup-line-clamp-1 mt-1 text-[11px] text-muted-foreground">
+            {email ? (subject || '(No subject)') : 'Conversation no longer tracked'}
+          </div>
+          <div className="mt-1 font-mono text-[10px] text-muted-foreground">{timeLabel}</div>
+        </button>
+
+        <div className="mt-2 flex gap-1.5">
+          <button
+            type="button"
+            onClick={() => setSnoozeTargetId(reminder.id)}
+            className="inline-flex items-center gap-1 rounded-md border border-white/10 px-2 py-1 text-[11px] text-foreground transition hover:border-white/25"
+          >
+            <AlarmClock className="h-3 w-3" />
+            {displayState === 'done' ? 'Remind again' : 'Snooze'}
+          </button>
+          {displayState !== 'done' && (
+            <button
+              type="button"
+              onClick={() => onComplete(reminder.id)}
+              className="inline-flex items-center gap-1 rounded-md border border-white/10 px-2 py-1 text-[11px] text-foreground transition hover:border-white/25"
+            >
+              <Check className="h-3 w-3" />
+              Done
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={() => onDelete(reminder.id)}
+            className="inline-flex items-center gap-1 rounded-md px-2 py-1 text-[11px] text-muted-foreground transition hover:text-destructive"
+          >
+            <Trash2 className="h-3 w-3" />
+            Delete
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-4 px-3 py-3">
+      {SECTIONS.map((section) => {
+        const entries = sections[section.key];
+        if (!entries.length) return null;
+        return (
+          <div key={section.key} className="space-y-2">
+            <h3 className="px-1 font-mono text-[9px] font-bold uppercase tracking-[0.14em] text-muted-foreground">
+              {section.title} · {entries.length}
+            </h3>
+            {entries.map(renderRow)}
+          </div>
+        );
+      })}
+
+      <SnoozeModal
+        isOpen={Boolean(snoozeTargetId)}
+        onClose={() => setSnoozeTargetId(null)}
+        onConfirm={(hours) => onSnooze(snoozeTargetId, hours)}
+      />
+    </div>
+  );
+}
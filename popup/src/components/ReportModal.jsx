@@ -1,12 +1,13 @@
 /**
  * @file popup/src/components/ReportModal.jsx
  * @description Job Search Activity Report — pick a date range, preview the
- * counts, download a PDF. Free-tier feature: the report is proof of search
- * activity for career coaches, workforce programs, and benefit requirements.
+ * counts, download a PDF, or export the same rows as CSV / Excel. Free-tier
+ * feature: the report is proof of search activity for career coaches,
+ * workforce programs, and benefit requirements.
  */
 
 import React, { useMemo, useState } from 'react';
-import { FileDown, X } from 'lucide-react';
+import { FileDown, FileSpreadsheet, X } from 'lucide-react';
 import {
   buildActivityRows,
   filterRowsByRange,
@@ -14,6 +15,15 @@ import {
   REPORT_PROVENANCE_NOTE,
 } from '../utils/searchActivityReport.mjs';
 import { downloadSearchActivityPdf } from '../utils/searchActivityPdf.js';
+import { buildActivityExportTable, tableToCsv, tableToXlsx } from '../utils/searchActivityExport.mjs';
+import { downloadFile } from '../utils/downloadFile.js';
+import { getApplicationKey } from '../utils/grouping';
+import { attachInterviewPrep } from '../../../shared/interviewPrep.mjs';
+import { attachApplicationDetails } from '../../../shared/applicationDetails.mjs';
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+// Excel only reads a CSV as UTF-8 when it starts with a byte order mark.
+const UTF8_BOM = '\uFEFF';
 
 function toInputValue(date) {
   const yyyy = date.getFullYear();
@@ -22,7 +32,7 @@ function toInputValue(date) {
   return `${yyyy}-${mm}-${dd}`;
 }
 
-export default function ReportModal({ isOpen, onClose, categorizedEmails, userName, userEmail }) {
+export default function ReportModal({ isOpen, onClose, categorizedEmails, interviewPrep, applicationDetails, customFields = [], userName, userEmail }) {
   const today = useMemo(() => new Date(), []);
   const defaultStart = useMemo(() => {
     const date = new Date();
@@ -34,7 +44,14 @@ export default function ReportModal({ isOpen, onClose, categorizedEmails, userNa
   const [isDownloading, setIsDownloading] = useState(false);
   const [error, setError] = useState(null);
 
-  const rows = useMemo(() => buildActivityRows(categorizedEmails), [categorizedEmails]);
+  const rows = useMemo(
+    () => attachApplicationDetails(
+      attachInterviewPrep(buildActivityRows(categorizedEmails), interviewPrep, getApplicationKey),
+      applicationDetails,
+      getApplicationKey,
+    ),
+    [categorizedEmails, interviewPrep, applicationDetails],
+  );
 
   const start = useMemo(() => new Date(`${startValue}T00:00:00`), [startValue]);
   const end = useMemo(() => new Date(`${endValue}T00:00:00`), [endValue]);
@@ -59,6 +76,23 @@ export default function ReportModal({ isOpen, onClose, categorizedEmails, userNa
     }
   };
 
+  const handleExport = (format) => {
+    setError(null);
+    try {
+      const table = buildActivityExportTable(filterRowsByRange(rows, start, end), { userEmail, customFields });
+      const fileName = `applendium-pipeline-${startValue}-to-${endValue}`;
+      if (format === 'xlsx') {
+        downloadFile(tableToXlsx(table), `${fileName}.xlsx`, XLSX_MIME_TYPE);
+      } else {
+        downloadFile([UTF8_BOM, tableToCsv(table)], `${fileName}.csv`, 'text/csv;charset=utf-8');
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Could not build the export.');
+    }
+  };
+
+  const exportDisabled = !rangeValid || preview.applications === 0;
+
   return (
     <div
       data-testid="report-modal"
@@ -76,7 +110,8 @@ export default function ReportModal({ isOpen, onClose, categorizedEmails, userNa
 
         <h3 className="text-lg font-semibold text-foreground">Job search activity report</h3>
         <p className="mt-1 text-xs text-muted-foreground">
-          A PDF record of your applications for a career coach, workforce program, or benefit requirement.
+          A PDF record of your applications for a career coach, workforce program, or benefit requirement,
+          or a spreadsheet of your whole pipeline for the same dates.
         </p>
 
         <div className="mt-4 flex items-center gap-3">
@@ -131,6 +166,28 @@ export default function ReportModal({ isOpen, onClose, categorizedEmails, userNa
           <FileDown className="h-4 w-4" />
           {isDownloading ? 'Building PDF...' : 'Download PDF'}
         </button>
+        <div className="mt-2 grid grid-cols-2 gap-2">
+          <button
+            onClick={() => handleExport('csv')}
+            disabled={exportDisabled}
+            data-testid="report-export-csv-button"
+            className="inline-flex items-center justify-center gap-1.5 rounded-lg border border-border bg-card px-3 py-1.5 text-xs font-medium text-foreground transition hover:bg-muted disabled:cursor-not-allowed disabled:opacity-50"
+            type="button"
+          >
+            <FileSpreadsheet className="h-3.5 w-3.5" />
+            CSV
+          </button>
+          <button
+            onClick={() => handleExport('xlsx')}
+            disabled={exportDisabled}
+            data-testid="report-export-xlsx-button"
+            className="inline-flex items-center justify-center gap-1.5 rounded-lg border border-border bg-card px-3 py-1.5 text-xs font-medium text-foreground transition hover:bg-muted disabled:cursor-not-allowed disabled:opacity-50"
+            type="button"
+          >
+            <FileSpreadsheet className="h-3.5 w-3.5" />
+            Excel
+          </button>
+        </div>
         {rangeValid && preview.applications === 0 && (
           <p className="mt-2 text-center text-[10px] text-muted-foreground">
             No dated applications in this range yet.
@@ -0,0 +1,80 @@
+/**
+ * @file popup/src/components/SnoozeModal.jsx
+ * @description Duration picker for "remind me later" actions. Shared by the
+ * dashboard follow-up cards and the popup's Reminders view.
+ */
+
+import React, { useState } from 'react';
+import { cn } from '../utils/cn';
+
+const SNOOZE_DURATIONS = [
+  { label: '1 hour', value: 1 },
+  { label: '3 hours', value: 3 },
+  { label: '1 day', value: 24 },
+  { label: '3 days', value: 72 },
+  { label: '1 week', value: 168 }
+];
+
+/**
+ * Snooze Time Picker Modal
+ * @param {object} props
+ * @param {boolean} props.isOpen
+ * @param {() => void} props.onClose
+ * @param {(hours: number) => void} props.onConfirm - Receives the chosen duration in hours.
+ */
+export default function SnoozeModal({ isOpen, onClose, onConfirm }) {
+  const [selectedDuration, setSelectedDuration] = useState(24); // Default 1 day
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div
+        className="w-full max-w-sm rounded-2xl border border-border bg-card p-5 shadow-xl"
+        onClick={(e) => e.stopPropagation()}
+        data-testid="snooze-modal"
+      >
+        <h3 className="mb-1 text-base font-semibold text-foreground">Remind me later</h3>
+        <p className="mb-4 text-xs text-muted-foreground">When should we remind you about this?</p>
+
+        <div className="mb-5 space-y-1.5">
+          {SNOOZE_DURATIONS.map((duration) => (
+            <button
+              key={duration.value}
+              onClick={() => setSelectedDuration(duration.value)}
+              className={cn(
+                'w-full rounded-lg border px-3 py-2 text-left text-sm font-medium transition-colors',
+                selectedDuration === duration.value
+                  ? 'border-accent/50 bg-accent/10 text-foreground'
+                  : 'border-white/10 bg-white/[0.03] text-muted-foreground hover:border-white/20 hover:text-foreground'
+              )}
+              type="button"
+            >
+              {duration.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="flex gap-2">
+          <button
+            onClick={onClose}
+            className="flex-1 rounded-lg border border-border bg-card px-3 py-2 text-sm font-medium text-foreground transition hover:bg-muted"
+            type="button"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => {
+              onConfirm(selectedDuration);
+              onClose();
+            }}
+            className="flex-1 rounded-lg bg-accent px-3 py-2 text-sm font-semibold text-accent-foreground transition hover:bg-accent/90"
+            type="button"
+          >
+            Set Reminder
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+/**
+ * @file popup/src/dashboard.js
+ * @description Entry point of the full view (popup/public/dashboard.html): the
+ * popup's App rendered at tab size. Both surfaces read the same storage and
+ * background broadcasts, so they stay in step while open.
+ */
+
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import App from './App';
+import ErrorBoundary from './components/ErrorBoundary';
+import './index.css';
+
+if (typeof document !== 'undefined' && document.documentElement) {
+  document.documentElement.classList.add('dark', 'full-page');
+}
+
+try {
+  // Like opening the popup, opening the full view acknowledges the toolbar badge.
+  if (typeof chrome !== 'undefined' && chrome.action?.setBadgeText) {
+    chrome.action.setBadgeText({ text: '' });
+  }
+} catch (_) {
+  // Ignore badge-clear failures so startup is never blocked.
+}
+
+const container = document.getElementById('root');
+
+if (container) {
+  createRoot(container).render(
+    <React.StrictMode>
+      <ErrorBoundary>
+        <App surface="full" />
+      </ErrorBoundary>
+    </React.StrictMode>
+  );
+} else {
+  console.error('Failed to find the root element to mount the full view.');
+}
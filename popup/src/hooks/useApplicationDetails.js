@@ -0,0 +1,71 @@
+/**
+ * @file popup/src/hooks/useApplicationDetails.js
+ * @description Custom React hook for per-application notes, tags and custom
+ * fields. Loads them from the background worker, follows its
+ * APPLICATION_DETAILS_UPDATED broadcasts, and saves one application's details
+ * or the field definitions at a time.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  listApplicationDetailsService,
+  saveApplicationDetailsService,
+  saveCustomFieldsService,
+} from '../services/applicationDetailsService';
+import { showNotification } from '../components/Notification';
+
+export function useApplicationDetails(isLoggedIn) {
+  const [applicationDetails, setApplicationDetails] = useState({});
+  const [customFields, setCustomFields] = useState([]);
+
+  const applyResult = useCallback((result) => {
+    setApplicationDetails(result.details);
+    setCustomFields(result.customFields);
+  }, []);
+
+  useEffect(() => {
+    if (!isLoggedIn) {
+      setApplicationDetails({});
+      setCustomFields([]);
+      return;
+    }
+    listApplicationDetailsService()
+      .then(applyResult)
+      .catch((error) => {
+        console.warn('[useApplicationDetails][warn] Failed to load application details.', error?.message || error);
+      });
+  }, [isLoggedIn, applyResult]);
+
+  useEffect(() => {
+    const handleDetailsUpdated = (msg) => {
+      if (msg?.type !== 'APPLICATION_DETAILS_UPDATED' || !msg.details) return;
+      applyResult({ details: msg.details, customFields: msg.customFields || [] });
+    };
+    chrome.runtime.onMessage.addListener(handleDetailsUpdated);
+    return () => chrome.runtime.onMessage.removeListener(handleDetailsUpdated);
+  }, [applyResult]);
+
+  const saveApplicationDetails = useCallback(async (keys, details) => {
+    try {
+      applyResult(await saveApplicationDetailsService(keys, details));
+      showNotification('Application details saved.', 'success');
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Applendium: Error saving application details:', error);
+      return { success: false, error: error.message };
+    }
+  }, [applyResult]);
+
+  const saveCustomFields = useCallback(async (fields) => {
+    try {
+      applyResult(await saveCustomFieldsService(fields));
+      showNotification('Custom fields saved.', 'success');
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Applendium: Error saving custom fields:', error);
+      return { success: false, error: error.message };
+    }
+  }, [applyResult]);
+
+  return { applicationDetails, customFields, saveApplicationDetails, saveCustomFields };
+}
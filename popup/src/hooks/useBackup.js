@@ -0,0 +1,43 @@
+/**
+ * @file popup/src/hooks/useBackup.js
+ * @description Custom React hook for local backup and restore: downloads the
+ * backup file and sends a chosen file back to the service worker.
+ */
+
+import { useCallback } from 'react';
+import { createBackupService, restoreBackupService } from '../services/backupService';
+import { downloadFile } from '../utils/downloadFile';
+import { showNotification } from '../components/Notification';
+
+export function useBackup() {
+  const downloadBackup = useCallback(async (options = {}) => {
+    try {
+      const backup = await createBackupService(options);
+      const stamp = backup.exportedAt.slice(0, 10);
+      downloadFile(JSON.stringify(backup, null, 2), `applendium-backup-${stamp}.json`, 'application/json');
+      showNotification('Backup downloaded.', 'success');
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Applendium: Error creating backup:', error);
+      return { success: false, error: error.message };
+    }
+  }, []);
+
+  // Everything the popup holds in state came from storage, so a restore ends
+  // with a reload instead of patching each hook.
+  const restoreBackup = useCallback(async (backup) => {
+    try {
+      const { skippedKeys } = await restoreBackupService(backup);
+      if (skippedKeys.length > 0) {
+        console.warn('[useBackup][warn] Skipped unrecognized backup keys:', skippedKeys);
+      }
+      window.location.reload();
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Applendium: Error restoring backup:', error);
+      return { success: false, error: error.message };
+    }
+  }, []);
+
+  return { downloadBackup, restoreBackup };
+}
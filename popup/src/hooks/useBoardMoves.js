@@ -0,0 +1,122 @@
+/**
+ * @file popup/src/hooks/useBoardMoves.js
+ * @description Custom React hook that carries out a pipeline board drag: runs
+ * the steps planned by utils/pipelineBoard.mjs against the background worker,
+ * then offers an undo toast that reverts them in reverse order.
+ */
+
+import { useState, useCallback } from 'react';
+import {
+  buildMisclassificationReport,
+  closeApplicationService,
+  reopenApplicationService,
+  reportMisclassificationService,
+  undoMisclassificationService,
+} from '../services/emailService';
+import { showNotification } from '../components/Notification';
+import { BOARD_COLUMNS, planBoardMove } from '../utils/pipelineBoard.mjs';
+import { deriveGroupPipelineStatus } from '../../../shared/applicationDisplayState.js';
+
+const UNDO_TIMEOUT_MS = 10000;
+
+// Runs one step and returns the step that reverts it.
+async function runStep(step) {
+  if (step.kind === 'reclassify') {
+    const report = buildMisclassificationReport(step.email, step.category);
+    const result = await reportMisclassificationService(report);
+    if (!result?.success) throw new Error(result?.error || 'Failed to move this email.');
+    return {
+      kind: 'unreclassify',
+      undoData: {
+        emailId: report.emailId,
+        threadId: report.threadId,
+        originalCategory: report.originalCategory,
+        misclassifiedIntoCategory: report.correctedCategory,
+        gmailMessageId: result.gmailMessageId || null,
+      },
+    };
+  }
+  if (step.kind === 'close') {
+    const result = await closeApplicationService(step);
+    if (!result?.success) throw new Error(result?.error || 'Failed to close application');
+    return { kind: 'reopen', applicationId: step.applicationId, emailId: step.emailId };
+  }
+  if (step.kind === 'reopen') {
+    const result = await reopenApplicationService(step);
+    if (!result?.success) throw new Error(result?.error || 'Failed to reopen application');
+    return { kind: 'close', applicationId: step.applicationId, emailId: step.emailId, reason: step.previousReason };
+  }
+  if (step.kind === 'unreclassify') {
+    const result = await undoMisclassificationService(step.undoData);
+    if (!result?.success) throw new Error(result?.error || 'Failed to undo misclassification');
+    return null;
+  }
+  throw new Error(`Unknown board step: ${step.kind}`);
+}
+
+async function revertSteps(inverses) {
+  for (const inverse of [...inverses].reverse()) {
+    await runStep(inverse);
+  }
+}
+
+/**
+ * @param {() => Promise<void>} refreshEmails - Re-reads the cached emails after a move (useEmails' fetchStoredEmails).
+ */
+export function useBoardMoves(refreshEmails) {
+  const [movingKey, setMovingKey] = useState(null);
+
+  const undoMove = useCallback(async (inverses) => {
+    try {
+      await revertSteps(inverses);
+      showNotification('Move undone.', 'success');
+    } catch (error) {
+      console.error('❌ Applendium: Error undoing board move:', error);
+      showNotification(error.message || 'Failed to undo the move.', 'error');
+    } finally {
+      await refreshEmails();
+    }
+  }, [refreshEmails]);
+
+  /**
+   * Moves a role card to another column.
+   * @param {object} group - Role group as shown on the board.
+   * @param {string} target - Column id from BOARD_COLUMNS.
+   * @param {string} [closeReason] - Reason text, required when target is 'closed'.
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  const moveGroup = useCallback(async (group, target, closeReason = '') => {
+    const plan = planBoardMove(group, target, { closeReason, deriveGroupPipelineStatus });
+    if (plan.error) {
+      showNotification(plan.error, 'warning');
+      return { success: false, error: plan.error };
+    }
+    if (plan.steps.length === 0) return { success: true };
+
+    const inverses = [];
+    setMovingKey(group.threadId);
+    try {
+      for (const step of plan.steps) {
+        inverses.push(await runStep(step));
+      }
+      const label = BOARD_COLUMNS.find((column) => column.id === target)?.label || target;
+      showNotification(`Moved to ${label}.`, 'success', () => undoMove(inverses), UNDO_TIMEOUT_MS);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Applendium: Error moving board card:', error);
+      // Leave the role where it started rather than half-moved.
+      try {
+        await revertSteps(inverses);
+      } catch (revertError) {
+        console.warn('[useBoardMoves][warn] Failed to roll back a partial move.', revertError?.message || revertError);
+      }
+      showNotification(error.message || 'Failed to move this role.', 'error');
+      return { success: false, error: error.message };
+    } finally {
+      setMovingKey(null);
+      await refreshEmails();
+    }
+  }, [refreshEmails, undoMove]);
+
+  return { moveGroup, movingKey };
+}
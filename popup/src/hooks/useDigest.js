@@ -0,0 +1,56 @@
+/**
+ * @file popup/src/hooks/useDigest.js
+ * @description Custom React hook for the Digest panel: the delivery schedule
+ * plus on-demand digests for the past day or week.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { getDigestService, updateDigestSettingsService } from '../services/digestService';
+import { showNotification } from '../components/Notification';
+import { DEFAULT_DIGEST_SETTINGS } from '../../../shared/digest.mjs';
+
+export function useDigest(isLoggedIn) {
+  const [digestSettings, setDigestSettings] = useState(DEFAULT_DIGEST_SETTINGS);
+
+  useEffect(() => {
+    if (!isLoggedIn) return;
+    getDigestService()
+      .then(({ settings }) => setDigestSettings(settings))
+      .catch((error) => {
+        console.warn('[useDigest][warn] Failed to load digest settings.', error?.message || error);
+      });
+  }, [isLoggedIn]);
+
+  useEffect(() => {
+    const handleSettingsUpdated = (msg) => {
+      if (msg?.type !== 'DIGEST_SETTINGS_UPDATED' || !msg.settings) return;
+      setDigestSettings(msg.settings);
+    };
+    chrome.runtime.onMessage.addListener(handleSettingsUpdated);
+    return () => chrome.runtime.onMessage.removeListener(handleSettingsUpdated);
+  }, []);
+
+  const loadDigest = useCallback(async (frequency) => {
+    try {
+      const { digest } = await getDigestService(frequency);
+      return { success: true, digest };
+    } catch (error) {
+      console.error('❌ Applendium: Error building digest:', error);
+      return { success: false, error: error.message };
+    }
+  }, []);
+
+  const saveDigestSettings = useCallback(async (settings) => {
+    try {
+      const saved = await updateDigestSettingsService(settings);
+      setDigestSettings(saved);
+      showNotification(saved.frequency === 'off' ? 'Digest turned off.' : 'Digest schedule saved.', 'success');
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Applendium: Error saving digest settings:', error);
+      return { success: false, error: error.message };
+    }
+  }, []);
+
+  return { digestSettings, loadDigest, saveDigestSettings };
+}
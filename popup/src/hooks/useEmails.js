@@ -9,6 +9,7 @@ import {
   fetchStoredEmailsService,
   fetchNewEmailsService,
   archiveEmailService,
+  buildMisclassificationReport,
   reportMisclassificationService,
   undoMisclassificationService,
   sendEmailReplyService,
@@ -18,7 +19,7 @@ import {
 import { showNotification } from '../components/Notification';
 import { getCategoryTitle } from '../utils/uiHelpers';
 import { sendMessageToBackground } from '../utils/chromeMessaging';
-import { compactSafeTextValues, safeTextValue } from '../utils/sensitiveContent';
+import { compactSafeTextValues } from '../utils/sensitiveContent';
 
 const STORED_EMAILS_CACHE_META_KEY = 'emailsCacheMetaV1';
 const STORED_EMAILS_CACHE_MAX_AGE_MS = 15 * 1000;
@@ -507,35 +508,12 @@ export function useEmails(userEmail, userId, CONFIG) {
     setFilteredEmails([]);
   }, []);
 
-  /**
-   * Helper function to transform frontend category names (lowercase) to backend
-   * expected format (capitalized).
-   */
-  const transformCategoryForBackend = (category) => {
-    const categoryMap = {
-      'applied': 'Applied',
-      'interviewed': 'Interviewed',
-      'offers': 'Offers',
-      'rejected': 'Rejected',
-      'irrelevant': 'Irrelevant'
-    };
-    return categoryMap[category] || category;
-  };
-
   /**
    * Handles reporting an email misclassification to the backend.
    * Triggers a notification and an undo toast.
    */
   const handleReportMisclassification = useCallback(async (emailData, correctedCategory) => {
-    const reportPayload = {
-      emailId: emailData.id,
-      threadId: emailData.thread_id,
-      originalCategory: transformCategoryForBackend(emailData.category),
-      correctedCategory: transformCategoryForBackend(correctedCategory),
-      emailSubject: safeTextValue(emailData.subject, 'No Subject') || 'No Subject',
-      emailBody: safeTextValue(emailData.body, 'No Body') || 'No Body',
-      fromHeader: safeTextValue(emailData.from || emailData.sender, ''),
-    };
+    const reportPayload = buildMisclassificationReport(emailData, correctedCategory);
 
     if (!reportPayload.emailId || !reportPayload.threadId || !reportPayload.originalCategory || !reportPayload.correctedCategory) {
       showNotification("Missing critical email data for misclassification report.", "error");
@@ -546,7 +524,11 @@ export function useEmails(userEmail, userId, CONFIG) {
   setLoadingEmails(true);
     try {
       const result = await reportMisclassificationService(reportPayload);
-      if (result.success) {
+      if (result.success && result.queued) {
+        // Undo needs the backend, so none is offered for a report still in the outbox.
+        showNotification("Category saved offline. It will sync once you're back online.", "info");
+        await fetchStoredEmails();
+      } else if (result.success) {
         showNotification("Email reported as misclassified!", "success");
         setLastMisclassifiedEmail({
           emailId: reportPayload.emailId,
@@ -698,7 +680,11 @@ export function useEmails(userEmail, userId, CONFIG) {
           return newEmails;
         });
         
-        showNotification("Company name updated successfully!", "success");
+        if (result.queued) {
+          showNotification("Company name saved offline. It will sync once you're back online.", "info");
+        } else {
+          showNotification("Company name updated successfully!", "success");
+        }
         return { success: true };
       } else {
         showNotification(`Failed to update company name: ${result.error}`, "error");
@@ -744,7 +730,11 @@ export function useEmails(userEmail, userId, CONFIG) {
           return newEmails;
         });
         
-        showNotification("Position updated successfully!", "success");
+        if (result.queued) {
+          showNotification("Position saved offline. It will sync once you're back online.", "info");
+        } else {
+          showNotification("Position updated successfully!", "success");
+        }
         return { success: true };
       } else {
         showNotification(`Failed to update position: ${result.error}`, "error");
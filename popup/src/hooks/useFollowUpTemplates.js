@@ -0,0 +1,51 @@
+/**
+ * @file popup/src/hooks/useFollowUpTemplates.js
+ * @description Custom React hook for the follow-up template library. Loads
+ * the list from the background worker, follows its
+ * FOLLOW_UP_TEMPLATES_UPDATED broadcasts, and saves the whole list at once.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  listFollowUpTemplatesService,
+  saveFollowUpTemplatesService,
+} from '../services/followUpTemplateService';
+import { showNotification } from '../components/Notification';
+
+export function useFollowUpTemplates(isLoggedIn) {
+  const [followUpTemplates, setFollowUpTemplates] = useState([]);
+
+  useEffect(() => {
+    if (!isLoggedIn) {
+      setFollowUpTemplates([]);
+      return;
+    }
+    listFollowUpTemplatesService()
+      .then(setFollowUpTemplates)
+      .catch((error) => {
+        console.warn('[useFollowUpTemplates][warn] Failed to load follow-up templates.', error?.message || error);
+      });
+  }, [isLoggedIn]);
+
+  useEffect(() => {
+    const handleTemplatesUpdated = (msg) => {
+      if (msg?.type !== 'FOLLOW_UP_TEMPLATES_UPDATED' || !Array.isArray(msg.templates)) return;
+      setFollowUpTemplates(msg.templates);
+    };
+    chrome.runtime.onMessage.addListener(handleTemplatesUpdated);
+    return () => chrome.runtime.onMessage.removeListener(handleTemplatesUpdated);
+  }, []);
+
+  const saveFollowUpTemplates = useCallback(async (templates) => {
+    try {
+      setFollowUpTemplates(await saveFollowUpTemplatesService(templates));
+      showNotification('Templates saved.', 'success');
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Applendium: Error saving follow-up templates:', error);
+      return { success: false, error: error.message };
+    }
+  }, []);
+
+  return { followUpTemplates, saveFollowUpTemplates };
+}
@@ -2,20 +2,118 @@
  * @file popup/src/hooks/useFollowUps.js
  * @description Custom React hook for managing follow-up suggestions and their states.
  * It interfaces with followUpService.js for local storage and background script communication.
+ * Suggestions are the backend's (premium) merged with those from the local cadence rules.
  */
 
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo } from 'react';
 import {
   getFollowUpStateService,
   markFollowedUpService,
+  recordFollowUpComposeService,
   updateRespondedStateService,
-  fetchFollowUpSuggestionsService
+  fetchFollowUpSuggestionsService,
+  getFollowUpCadenceService,
+  saveFollowUpCadenceService
 } from '../services/followUpService';
 import { showNotification } from '../components/Notification'; // Assuming Notification component handles toasts
 import { differenceInDays } from '../utils/uiHelpers'; // Reusing utility
+import { buildSuggestionDraft } from '../utils/followUpVariables.mjs';
+import { buildGmailComposeUrl, normalizeFollowUpTemplates } from '../../../shared/followUpTemplates.mjs';
+import { mergeFollowUpSuggestions } from '../../../shared/followUpCadence.mjs';
+
+// Normalizes a backend or cadence suggestion so the UI has predictable fields.
+function enrichSuggestion(suggestion, followedUpMap, respondedMap) {
+  const threadId = suggestion.thread_id || suggestion.threadId || suggestion.thread || suggestion.id || suggestion.email_id || suggestion.emailId;
+  const from = suggestion.from || suggestion.sender || '';
+  const subject = suggestion.subject || suggestion.title || '';
+  const daysAgo = (suggestion.date) ? Math.max(0, Math.round((Date.now() - new Date(suggestion.date).getTime()) / (1000*60*60*24))) : undefined;
+
+  // Heuristic: try to split a "from" into company/position if backend provided structured fields
+  const company = suggestion.company || suggestion.org || (from.includes('@') ? from.split('@')[1] : from);
+  const position = suggestion.position || suggestion.role || suggestion.jobTitle || '';
+  
+  const actionType = suggestion.actionType || suggestion.type || 'follow_up';
+  const category = (suggestion.category || '').toLowerCase();
+
+  // Calculate urgency based on timing and action type
+  // Color system: Red (high urgency) = 7+ days, Amber (medium) = 3-6 days, Blue (low) = 0-2 days or strategic
+  let urgency = suggestion.urgency || suggestion.priority;
+  if (!urgency) {
+    // Intelligent urgency calculation based on action type
+    switch (actionType) {
+      case 'thank_you':
+        // Thank-you notes are ALWAYS high priority (time-sensitive)
+        urgency = 'high';  // Red: Send within 24-48 hours of interview
+        break;
+      
+      case 'status_check':
+        // Status checks are high priority (you've waited long enough)
+        urgency = 'high';  // Red: Time to check in (7+ days elapsed)
+        break;
+      
+      case 'follow_up':
+        // Regular follow-ups are medium priority (optimal window)
+        urgency = 'medium'; // Amber: Good timing to follow up (3-13 days)
+        break;
+      
+      case 'research':
+        // Research is low priority (strategic, no immediate deadline)
+        urgency = 'low';   // Blue: Prepare while waiting for response (0-6 days)
+        break;
+      
+      case 'networking':
+      case 'portfolio':
+        // Strategic actions are low priority
+        urgency = 'low';   // Blue: Long-term value, no urgency
+        break;
+      
+      default:
+        // Fallback based on days for any unrecognized action types
+        if (daysAgo >= 7) urgency = 'high';
+        else if (daysAgo >= 3) urgency = 'medium';
+        else urgency = 'low';
+    }
+  }
+
+  // Calculate impact based on action type and context
+  let impact = suggestion.impact || suggestion.importance;
+  if (!impact) {
+    if (actionType === 'thank_you' || actionType === 'networking') {
+      impact = 'high'; // Relationship-building has high impact
+    } else if (actionType === 'follow_up' && daysAgo >= 7) {
+      impact = 'high'; // Timely follow-ups boost response rates
+    } else if (actionType === 'research') {
+      impact = 'medium'; // Research helps but isn't immediate
+    } else {
+      impact = 'medium';
+    }
+  }
+
+  // Provide small, safe defaults for fields the Dashboard expects
+  const enriched = {
+    ...suggestion,
+    threadId,
+    id: suggestion.id || threadId,
+    title: suggestion.title || subject || 'Follow up',
+    description: suggestion.description || '',
+    urgency,
+    impact,
+    company: company || '',
+    position: position || '',
+    daysAgo,
+    estimatedTime: suggestion.estimatedTime || suggestion.eta || suggestion.estimate || '10 mins',
+    actionType,
+    // Cadence suggestions come back when a later rule falls due.
+    followedUp: Boolean(followedUpMap[threadId]) && followedUpMap[threadId] >= (suggestion.dueAt || 0),
+    responded: !!respondedMap[threadId],
+  };
+  return enriched;
+}
 
 export function useFollowUps(userEmail, userId, userPlan) { // Accept userPlan as a parameter
-  const [followUpSuggestions, setFollowUpSuggestions] = useState([]);
+  const [backendSuggestions, setBackendSuggestions] = useState([]);
+  const [cadenceRules, setCadenceRules] = useState([]);
+  const [cadenceSuggestions, setCadenceSuggestions] = useState([]);
   const [followedUpMap, setFollowedUpMap] = useState({}); // { threadId: timestamp }
   const [respondedMap, setRespondedMap] = useState({}); // { threadId: boolean }
   const [loadingSuggestions, setLoadingSuggestions] = useState(false); // New state for loading status
@@ -35,17 +133,66 @@ export function useFollowUps(userEmail, userId, userPlan) { // Accept userPlan a
     loadInitialFollowUpState();
   }, []);
 
+  // followedUpMap also changes outside this hook: follow-ups opened in Gmail
+  // are settled into it by usePendingFollowUps.
+  useEffect(() => {
+    const handleStorageChange = (changes, namespace) => {
+      if (namespace !== 'local') return;
+      if ('followedUpMap' in changes) setFollowedUpMap(changes.followedUpMap?.newValue || {});
+      if ('respondedMap' in changes) setRespondedMap(changes.respondedMap?.newValue || {});
+    };
+    chrome.storage.onChanged.addListener(handleStorageChange);
+    return () => chrome.storage.onChanged.removeListener(handleStorageChange);
+  }, []);
+
+  // Local cadence rules work on every plan; the service worker evaluates them
+  // on sync and broadcasts FOLLOW_UP_CADENCE_UPDATED.
+  useEffect(() => {
+    if (!userId) {
+      setCadenceRules([]);
+      setCadenceSuggestions([]);
+      return;
+    }
+    getFollowUpCadenceService()
+      .then(({ rules, suggestions }) => {
+        setCadenceRules(rules);
+        setCadenceSuggestions(suggestions);
+      })
+      .catch((error) => {
+        console.warn('[useFollowUps][warn] Failed to load follow-up cadence rules.', error?.message || error);
+      });
+  }, [userId]);
+
+  useEffect(() => {
+    const handleCadenceUpdated = (msg) => {
+      if (msg?.type !== 'FOLLOW_UP_CADENCE_UPDATED') return;
+      if (Array.isArray(msg.rules)) setCadenceRules(msg.rules);
+      if (Array.isArray(msg.suggestions)) setCadenceSuggestions(msg.suggestions);
+    };
+    chrome.runtime.onMessage.addListener(handleCadenceUpdated);
+    return () => chrome.runtime.onMessage.removeListener(handleCadenceUpdated);
+  }, []);
+
+  // Backend suggestions win when both cover the same thread; anything already
+  // followed up or responded to is hidden.
+  const followUpSuggestions = useMemo(
+    () => mergeFollowUpSuggestions(backendSuggestions, cadenceSuggestions)
+      .map(suggestion => enrichSuggestion(suggestion, followedUpMap, respondedMap))
+      .filter(suggestion => !suggestion.followedUp && !suggestion.responded),
+    [backendSuggestions, cadenceSuggestions, followedUpMap, respondedMap]
+  );
+
   // Function to load follow-up suggestions from the backend
   const loadFollowUpSuggestions = useCallback(async () => {
     if (!userEmail || !userId) {
       console.warn("Applendium: Cannot load follow-up suggestions - user not logged in or ID missing.");
-      setFollowUpSuggestions([]);
+      setBackendSuggestions([]);
       return;
     }
 
     // Only fetch suggestions if the user is premium
     if (userPlan !== 'premium') {
-      setFollowUpSuggestions([]); // Clear any old suggestions
+      setBackendSuggestions([]); // Clear any old suggestions
       return;
     }
 
@@ -53,101 +200,7 @@ export function useFollowUps(userEmail, userId, userPlan) { // Accept userPlan a
     try {
       const fetchedSuggestions = await fetchFollowUpSuggestionsService(userEmail);
 
-      // Merge with local followedUpMap and respondedMap
-      // Normalize/enrich suggestion objects so the UI has predictable fields
-      const mergedSuggestions = fetchedSuggestions.map(suggestion => {
-        const threadId = suggestion.thread_id || suggestion.threadId || suggestion.thread || suggestion.id || suggestion.email_id || suggestion.emailId;
-        const from = suggestion.from || suggestion.sender || '';
-        const subject = suggestion.subject || suggestion.title || '';
-        const daysAgo = (suggestion.date) ? Math.max(0, Math.round((Date.now() - new Date(suggestion.date).getTime()) / (1000*60*60*24))) : undefined;
-
-        // Heuristic: try to split a "from" into company/position if backend provided structured fields
-        const company = suggestion.company || suggestion.org || (from.includes('@') ? from.split('@')[1] : from);
-        const position = suggestion.position || suggestion.role || suggestion.jobTitle || '';
-        
-        const actionType = suggestion.actionType || suggestion.type || 'follow_up';
-        const category = (suggestion.category || '').toLowerCase();
-
-        // Calculate urgency based on timing and action type
-        // Color system: Red (high urgency) = 7+ days, Amber (medium) = 3-6 days, Blue (low) = 0-2 days or strategic
-        let urgency = suggestion.urgency || suggestion.priority;
-        if (!urgency) {
-          // Intelligent urgency calculation based on action type
-          switch (actionType) {
-            case 'thank_you':
-              // Thank-you notes are ALWAYS high priority (time-sensitive)
-              urgency = 'high';  // Red: Send within 24-48 hours of interview
-              break;
-            
-            case 'status_check':
-              // Status checks are high priority (you've waited long enough)
-              urgency = 'high';  // Red: Time to check in (7+ days elapsed)
-              break;
-            
-            case 'follow_up':
-              // Regular follow-ups are medium priority (optimal window)
-              urgency = 'medium'; // Amber: Good timing to follow up (3-13 days)
-              break;
-            
-            case 'research':
-              // Research is low priority (strategic, no immediate deadline)
-              urgency = 'low';   // Blue: Prepare while waiting for response (0-6 days)
-              break;
-            
-            case 'networking':
-            case 'portfolio':
-              // Strategic actions are low priority
-              urgency = 'low';   // Blue: Long-term value, no urgency
-              break;
-            
-            default:
-              // Fallback based on days for any unrecognized action types
-              if (daysAgo >= 7) urgency = 'high';
-              else if (daysAgo >= 3) urgency = 'medium';
-              else urgency = 'low';
-          }
-        }
-
-        // Calculate impact based on action type and context
-        let impact = suggestion.impact || suggestion.importance;
-        if (!impact) {
-          if (actionType === 'thank_you' || actionType === 'networking') {
-            impact = 'high'; // Relationship-building has high impact
-          } else if (actionType === 'follow_up' && daysAgo >= 7) {
-            impact = 'high'; // Timely follow-ups boost response rates
-          } else if (actionType === 'research') {
-            impact = 'medium'; // Research helps but isn't immediate
-          } else {
-            impact = 'medium';
-          }
-        }
-
-        // Provide small, safe defaults for fields the Dashboard expects
-        const enriched = {
-          ...suggestion,
-          threadId,
-          id: suggestion.id || threadId,
-          title: suggestion.title || subject || 'Follow up',
-          description: suggestion.description || '',
-          urgency,
-          impact,
-          company: company || '',
-          position: position || '',
-          daysAgo,
-          estimatedTime: suggestion.estimatedTime || suggestion.eta || suggestion.estimate || '10 mins',
-          actionType,
-          followedUp: !!followedUpMap[threadId],
-          responded: !!respondedMap[threadId],
-        };
-        return enriched;
-      });
-
-      // Filter out suggestions that have already been followed up or responded to
-      const filteredSuggestions = mergedSuggestions.filter(suggestion =>
-        !suggestion.followedUp && !suggestion.responded
-      );
-
-      setFollowUpSuggestions(filteredSuggestions);
+      setBackendSuggestions(fetchedSuggestions);
     } catch (error) {
       console.error("❌ Applendium: Error fetching follow-up suggestions:", error);
       // Show specific error if it's a premium feature error
@@ -156,11 +209,11 @@ export function useFollowUps(userEmail, userId, userPlan) { // Accept userPlan a
       } else {
         showNotification(`Failed to load follow-up suggestions: ${error.message}`, "error");
       }
-      setFollowUpSuggestions([]); // Clear suggestions on error
+      setBackendSuggestions([]); // Clear suggestions on error
     } finally {
       setLoadingSuggestions(false);
     }
-  }, [userEmail, userId, userPlan, followedUpMap, respondedMap]); // Add userPlan to dependencies
+  }, [userEmail, userId, userPlan]); // Add userPlan to dependencies
 
   const markFollowedUp = useCallback(async (threadId) => {
     try {
@@ -177,6 +230,38 @@ export function useFollowUps(userEmail, userId, userPlan) { // Accept userPlan a
     }
   }, [loadFollowUpSuggestions]); // Only depend on loadFollowUpSuggestions
 
+  const saveCadenceRules = useCallback(async (rules) => {
+    try {
+      const saved = await saveFollowUpCadenceService(rules);
+      setCadenceRules(saved.rules);
+      setCadenceSuggestions(saved.suggestions);
+      showNotification("Follow-up rules saved.", "success");
+      return { success: true };
+    } catch (error) {
+      console.error("❌ Applendium: Error saving follow-up cadence rules:", error);
+      return { success: false, error: error.message };
+    }
+  }, []);
+
+  /**
+   * Opens a suggestion's follow-up as a reply in its Gmail thread, prefilled
+   * from the follow-up templates. Nothing is sent from here; the thread is
+   * marked as followed up when the user comes back (usePendingFollowUps).
+   */
+  const openFollowUpCompose = useCallback(async (suggestion, templates) => {
+    const draft = buildSuggestionDraft(suggestion, {
+      templates: templates?.length ? templates : normalizeFollowUpTemplates(undefined),
+      userEmail,
+    });
+    try {
+      if (draft.threadId) await recordFollowUpComposeService(draft.threadId);
+      await chrome.tabs.create({ url: buildGmailComposeUrl({ ...draft, authUser: userEmail }) });
+    } catch (error) {
+      console.error("Error opening follow-up in Gmail:", error);
+      showNotification("Unable to open Gmail for this follow-up.", "error");
+    }
+  }, [userEmail]);
+
   const updateRespondedState = useCallback(async (threadId, isChecked, currentFollowedUpAt) => {
     try {
       const { followedUpAt: newFollowedUpAt } = await updateRespondedStateService(threadId, isChecked, currentFollowedUpAt);
@@ -208,9 +293,12 @@ export function useFollowUps(userEmail, userId, userPlan) { // Accept userPlan a
     followedUpMap,
     respondedMap,
     markFollowedUp,
+    openFollowUpCompose,
     updateRespondedState,
     loadFollowUpSuggestions,
     loadingSuggestions,
+    cadenceRules,
+    saveCadenceRules,
   };
 }
 
@@ -0,0 +1,60 @@
+/**
+ * @file popup/src/hooks/useGmailIntegration.js
+ * @description Custom React hook for the optional Gmail integration: status
+ * chips in the inbox list and a lifecycle card beside open threads.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  getGmailIntegrationService,
+  requestGmailPermissionService,
+  setGmailIntegrationService,
+} from '../services/gmailIntegrationService';
+import { showNotification } from '../components/Notification';
+
+export function useGmailIntegration(isLoggedIn) {
+  const [gmailIntegration, setGmailIntegration] = useState({ enabled: false, hasPermission: false });
+
+  useEffect(() => {
+    if (!isLoggedIn) return;
+    getGmailIntegrationService()
+      .then(setGmailIntegration)
+      .catch((error) => {
+        console.warn('[useGmailIntegration][warn] Failed to load the Gmail integration setting.', error?.message || error);
+      });
+  }, [isLoggedIn]);
+
+  useEffect(() => {
+    const handleIntegrationUpdated = (msg) => {
+      if (msg?.type !== 'GMAIL_INTEGRATION_UPDATED') return;
+      setGmailIntegration({ enabled: msg.enabled, hasPermission: msg.hasPermission });
+    };
+    chrome.runtime.onMessage.addListener(handleIntegrationUpdated);
+    return () => chrome.runtime.onMessage.removeListener(handleIntegrationUpdated);
+  }, []);
+
+  const gmailIntegrationActive = gmailIntegration.enabled && gmailIntegration.hasPermission;
+
+  const toggleGmailIntegration = useCallback(async () => {
+    const enable = !gmailIntegrationActive;
+    try {
+      if (enable && !(await requestGmailPermissionService())) {
+        showNotification('Applendium needs access to mail.google.com to show up in Gmail.', 'warning');
+        return { success: false };
+      }
+      const saved = await setGmailIntegrationService(enable);
+      setGmailIntegration(saved);
+      showNotification(
+        enable ? 'Applendium is on in Gmail. Reload open Gmail tabs to see it.' : 'Applendium is off in Gmail.',
+        'success',
+      );
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Applendium: Error switching the Gmail integration:', error);
+      showNotification(error.message || 'Failed to switch the Gmail integration.', 'error');
+      return { success: false, error: error.message };
+    }
+  }, [gmailIntegrationActive]);
+
+  return { gmailIntegrationActive, toggleGmailIntegration };
+}
@@ -0,0 +1,48 @@
+/**
+ * @file popup/src/hooks/useInterviewPrep.js
+ * @description Custom React hook for per-application interview prep. Loads the
+ * records from the background worker, follows its INTERVIEW_PREP_UPDATED
+ * broadcasts, and saves one application's record at a time.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { listInterviewPrepService, saveInterviewPrepService } from '../services/interviewPrepService';
+import { showNotification } from '../components/Notification';
+
+export function useInterviewPrep(isLoggedIn) {
+  const [interviewPrep, setInterviewPrep] = useState({});
+
+  useEffect(() => {
+    if (!isLoggedIn) {
+      setInterviewPrep({});
+      return;
+    }
+    listInterviewPrepService()
+      .then(setInterviewPrep)
+      .catch((error) => {
+        console.warn('[useInterviewPrep][warn] Failed to load interview prep.', error?.message || error);
+      });
+  }, [isLoggedIn]);
+
+  useEffect(() => {
+    const handlePrepUpdated = (msg) => {
+      if (msg?.type !== 'INTERVIEW_PREP_UPDATED' || !msg.prep) return;
+      setInterviewPrep(msg.prep);
+    };
+    chrome.runtime.onMessage.addListener(handlePrepUpdated);
+    return () => chrome.runtime.onMessage.removeListener(handlePrepUpdated);
+  }, []);
+
+  const saveInterviewPrep = useCallback(async (keys, prep) => {
+    try {
+      setInterviewPrep(await saveInterviewPrepService(keys, prep));
+      showNotification('Interview prep saved.', 'success');
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Applendium: Error saving interview prep:', error);
+      return { success: false, error: error.message };
+    }
+  }, []);
+
+  return { interviewPrep, saveInterviewPrep };
+}
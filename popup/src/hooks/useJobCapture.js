@@ -0,0 +1,63 @@
+/**
+ * @file popup/src/hooks/useJobCapture.js
+ * @description Custom React hook for the optional job-board capture, which
+ * saves applications submitted on LinkedIn, Greenhouse, Lever, Workday and
+ * Ashby as pending entries.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  getJobCaptureService,
+  requestJobCapturePermissionService,
+  setJobCaptureService,
+} from '../services/jobCaptureService';
+import { showNotification } from '../components/Notification';
+
+export function useJobCapture(isLoggedIn) {
+  const [jobCapture, setJobCapture] = useState({ enabled: false, hasPermission: false });
+
+  useEffect(() => {
+    if (!isLoggedIn) return;
+    getJobCaptureService()
+      .then(setJobCapture)
+      .catch((error) => {
+        console.warn('[useJobCapture][warn] Failed to load the job capture setting.', error?.message || error);
+      });
+  }, [isLoggedIn]);
+
+  useEffect(() => {
+    const handleJobCaptureUpdated = (msg) => {
+      if (msg?.type !== 'JOB_CAPTURE_UPDATED') return;
+      setJobCapture({ enabled: msg.enabled, hasPermission: msg.hasPermission });
+    };
+    chrome.runtime.onMessage.addListener(handleJobCaptureUpdated);
+    return () => chrome.runtime.onMessage.removeListener(handleJobCaptureUpdated);
+  }, []);
+
+  const jobCaptureActive = jobCapture.enabled && jobCapture.hasPermission;
+
+  const toggleJobCapture = useCallback(async () => {
+    const enable = !jobCaptureActive;
+    try {
+      if (enable && !(await requestJobCapturePermissionService())) {
+        showNotification('Applendium needs access to the job boards to capture applications there.', 'warning');
+        return { success: false };
+      }
+      const saved = await setJobCaptureService(enable);
+      setJobCapture(saved);
+      showNotification(
+        enable
+          ? 'Applications you submit on LinkedIn, Greenhouse, Lever, Workday and Ashby are now saved. Reload open job tabs first.'
+          : 'Job board capture is off.',
+        'success',
+      );
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Applendium: Error switching job board capture:', error);
+      showNotification(error.message || 'Failed to switch job board capture.', 'error');
+      return { success: false, error: error.message };
+    }
+  }, [jobCaptureActive]);
+
+  return { jobCaptureActive, toggleJobCapture };
+}
@@ -0,0 +1,48 @@
+/**
+ * @file popup/src/hooks/useJobDescriptions.js
+ * @description Custom React hook for per-application job description
+ * snapshots. Loads them from the background worker, follows its
+ * JOB_DESCRIPTIONS_UPDATED broadcasts, and saves one application's at a time.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { listJobDescriptionsService, saveJobDescriptionService } from '../services/jobDescriptionService';
+import { showNotification } from '../components/Notification';
+
+export function useJobDescriptions(isLoggedIn) {
+  const [jobDescriptions, setJobDescriptions] = useState({});
+
+  useEffect(() => {
+    if (!isLoggedIn) {
+      setJobDescriptions({});
+      return;
+    }
+    listJobDescriptionsService()
+      .then(setJobDescriptions)
+      .catch((error) => {
+        console.warn('[useJobDescriptions][warn] Failed to load job descriptions.', error?.message || error);
+      });
+  }, [isLoggedIn]);
+
+  useEffect(() => {
+    const handleDescriptionsUpdated = (msg) => {
+      if (msg?.type !== 'JOB_DESCRIPTIONS_UPDATED' || !msg.descriptions) return;
+      setJobDescriptions(msg.descriptions);
+    };
+    chrome.runtime.onMessage.addListener(handleDescriptionsUpdated);
+    return () => chrome.runtime.onMessage.removeListener(handleDescriptionsUpdated);
+  }, []);
+
+  const saveJobDescription = useCallback(async (keys, description) => {
+    try {
+      setJobDescriptions(await saveJobDescriptionService(keys, description));
+      showNotification(description.text ? 'Job description saved.' : 'Job description removed.', 'success');
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Applendium: Error saving job description:', error);
+      return { success: false, error: error.message };
+    }
+  }, []);
+
+  return { jobDescriptions, saveJobDescription };
+}
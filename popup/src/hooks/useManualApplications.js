@@ -0,0 +1,110 @@
+/**
+ * @file popup/src/hooks/useManualApplications.js
+ * @description Custom React hook for applications the user added by hand.
+ * Loads them from the background worker, follows its
+ * MANUAL_APPLICATIONS_UPDATED broadcasts, and exposes add / edit / delete plus
+ * spreadsheet import and its batch undo.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  listManualApplicationsService,
+  createManualApplicationService,
+  updateManualApplicationService,
+  deleteManualApplicationService,
+  importManualApplicationsService,
+  undoManualApplicationImportService,
+} from '../services/manualApplicationService';
+import { showNotification } from '../components/Notification';
+
+export function useManualApplications(isLoggedIn) {
+  const [manualApplications, setManualApplications] = useState([]);
+
+  const refreshManualApplications = useCallback(async () => {
+    if (!isLoggedIn) {
+      setManualApplications([]);
+      return;
+    }
+    try {
+      setManualApplications(await listManualApplicationsService());
+    } catch (error) {
+      console.warn('[useManualApplications][warn] Failed to load manual applications.', error?.message || error);
+    }
+  }, [isLoggedIn]);
+
+  useEffect(() => {
+    refreshManualApplications();
+  }, [refreshManualApplications]);
+
+  useEffect(() => {
+    const handleManualApplicationsUpdated = (msg) => {
+      if (msg?.type !== 'MANUAL_APPLICATIONS_UPDATED' || !Array.isArray(msg.applications)) return;
+      setManualApplications(msg.applications);
+    };
+    chrome.runtime.onMessage.addListener(handleManualApplicationsUpdated);
+    return () => chrome.runtime.onMessage.removeListener(handleManualApplicationsUpdated);
+  }, []);
+
+  // Add / edit report success to the caller so the form knows whether to close.
+  const addManualApplication = useCallback(async (fields) => {
+    try {
+      await createManualApplicationService(fields);
+      showNotification(`Added ${fields.company} to your pipeline.`, 'success');
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Applendium: Error adding manual application:', error);
+      return { success: false, error: error.message };
+    }
+  }, []);
+
+  const editManualApplication = useCallback(async (applicationId, changes) => {
+    try {
+      await updateManualApplicationService(applicationId, changes);
+      showNotification('Application updated.', 'success');
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Applendium: Error updating manual application:', error);
+      return { success: false, error: error.message };
+    }
+  }, []);
+
+  const deleteManualApplication = useCallback(async (applicationId) => {
+    try {
+      await deleteManualApplicationService(applicationId);
+      showNotification('Application removed.', 'success');
+    } catch (error) {
+      console.error('❌ Applendium: Error deleting manual application:', error);
+      showNotification(`Failed to remove application: ${error.message}`, 'error');
+    }
+  }, []);
+
+  const importManualApplications = useCallback(async (applications) => {
+    try {
+      const { batchId, imported } = await importManualApplicationsService(applications);
+      showNotification(`Imported ${imported} application${imported === 1 ? '' : 's'}.`, 'success');
+      return { success: true, batchId, imported };
+    } catch (error) {
+      console.error('❌ Applendium: Error importing applications:', error);
+      return { success: false, error: error.message };
+    }
+  }, []);
+
+  const undoManualApplicationImport = useCallback(async (batchId) => {
+    try {
+      const removed = await undoManualApplicationImportService(batchId);
+      showNotification(`Removed ${removed} imported application${removed === 1 ? '' : 's'}.`, 'success');
+    } catch (error) {
+      console.error('❌ Applendium: Error undoing import:', error);
+      showNotification(`Failed to undo import: ${error.message}`, 'error');
+    }
+  }, []);
+
+  return {
+    manualApplications,
+    addManualApplication,
+    editManualApplication,
+    deleteManualApplication,
+    importManualApplications,
+    undoManualApplicationImport,
+  };
+}
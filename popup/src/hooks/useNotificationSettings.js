@@ -0,0 +1,55 @@
+/**
+ * @file popup/src/hooks/useNotificationSettings.js
+ * @description Custom React hook for notification settings: the master switch
+ * plus the per-category, per-company, quiet-hours and batching rules.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  getNotificationSettingsService,
+  updateNotificationSettingsService,
+} from '../services/notificationSettingsService';
+import { showNotification } from '../components/Notification';
+import { DEFAULT_NOTIFICATION_RULES } from '../../../shared/notificationRules.mjs';
+
+export function useNotificationSettings(isLoggedIn) {
+  const [notificationsEnabled, setNotificationsEnabled] = useState(true);
+  const [notificationRules, setNotificationRules] = useState(DEFAULT_NOTIFICATION_RULES);
+
+  useEffect(() => {
+    if (!isLoggedIn) return;
+    getNotificationSettingsService()
+      .then(({ enabled, rules }) => {
+        setNotificationsEnabled(enabled);
+        setNotificationRules(rules);
+      })
+      .catch((error) => {
+        console.warn('[useNotificationSettings][warn] Failed to load notification settings.', error?.message || error);
+      });
+  }, [isLoggedIn]);
+
+  useEffect(() => {
+    const handleSettingsUpdated = (msg) => {
+      if (msg?.type !== 'NOTIFICATION_SETTINGS_UPDATED' || !msg.rules) return;
+      setNotificationsEnabled(msg.enabled);
+      setNotificationRules(msg.rules);
+    };
+    chrome.runtime.onMessage.addListener(handleSettingsUpdated);
+    return () => chrome.runtime.onMessage.removeListener(handleSettingsUpdated);
+  }, []);
+
+  const saveNotificationSettings = useCallback(async (settings) => {
+    try {
+      const saved = await updateNotificationSettingsService(settings);
+      setNotificationsEnabled(saved.enabled);
+      setNotificationRules(saved.rules);
+      showNotification('Notification settings saved.', 'success');
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Applendium: Error saving notification settings:', error);
+      return { success: false, error: error.message };
+    }
+  }, []);
+
+  return { notificationsEnabled, notificationRules, saveNotificationSettings };
+}
@@ -0,0 +1,48 @@
+/**
+ * @file popup/src/hooks/useOffers.js
+ * @description Custom React hook for offer details used by the offer
+ * comparison. Loads them from the background worker, follows its
+ * OFFERS_UPDATED broadcasts, and saves one role's offer at a time.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { listOffersService, saveOfferService } from '../services/offerService';
+import { showNotification } from '../components/Notification';
+
+export function useOffers(isLoggedIn) {
+  const [offers, setOffers] = useState({});
+
+  useEffect(() => {
+    if (!isLoggedIn) {
+      setOffers({});
+      return;
+    }
+    listOffersService()
+      .then(setOffers)
+      .catch((error) => {
+        console.warn('[useOffers][warn] Failed to load offers.', error?.message || error);
+      });
+  }, [isLoggedIn]);
+
+  useEffect(() => {
+    const handleOffersUpdated = (msg) => {
+      if (msg?.type !== 'OFFERS_UPDATED' || !msg.offers) return;
+      setOffers(msg.offers);
+    };
+    chrome.runtime.onMessage.addListener(handleOffersUpdated);
+    return () => chrome.runtime.onMessage.removeListener(handleOffersUpdated);
+  }, []);
+
+  const saveOffer = useCallback(async (keys, offer) => {
+    try {
+      setOffers(await saveOfferService(keys, offer));
+      showNotification(offer ? 'Offer saved.' : 'Offer removed.', 'success');
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Applendium: Error saving offer:', error);
+      return { success: false, error: error.message };
+    }
+  }, []);
+
+  return { offers, saveOffer };
+}
@@ -0,0 +1,58 @@
+/**
+ * @file popup/src/hooks/useOutbox.js
+ * @description Custom React hook for the background edit outbox: how many
+ * offline edits are still waiting and which ones the backend refused.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { listOutboxService, dismissOutboxConflictService } from '../services/outboxService';
+
+export function useOutbox(isLoggedIn) {
+  const [pending, setPending] = useState([]);
+  const [conflicts, setConflicts] = useState([]);
+
+  const refreshOutbox = useCallback(async () => {
+    if (!isLoggedIn) {
+      setPending([]);
+      setConflicts([]);
+      return;
+    }
+    try {
+      const state = await listOutboxService();
+      setPending(state.pending);
+      setConflicts(state.conflicts);
+    } catch (error) {
+      console.warn('[useOutbox][warn] Failed to load pending edits.', error?.message || error);
+    }
+  }, [isLoggedIn]);
+
+  useEffect(() => {
+    refreshOutbox();
+  }, [refreshOutbox]);
+
+  useEffect(() => {
+    const handleOutboxUpdated = (msg) => {
+      if (msg?.type !== 'OUTBOX_UPDATED') return;
+      setPending(Array.isArray(msg.pending) ? msg.pending : []);
+      setConflicts(Array.isArray(msg.conflicts) ? msg.conflicts : []);
+    };
+    chrome.runtime.onMessage.addListener(handleOutboxUpdated);
+    return () => chrome.runtime.onMessage.removeListener(handleOutboxUpdated);
+  }, []);
+
+  const dismissConflict = useCallback(async (conflictId) => {
+    setConflicts((prev) => prev.filter((conflict) => conflict.id !== conflictId));
+    try {
+      await dismissOutboxConflictService(conflictId);
+    } catch (error) {
+      console.warn('[useOutbox][warn] Failed to dismiss conflict.', error?.message || error);
+      refreshOutbox();
+    }
+  }, [refreshOutbox]);
+
+  return {
+    pendingEditCount: pending.length,
+    outboxConflicts: conflicts,
+    dismissConflict,
+  };
+}
@@ -0,0 +1,50 @@
+/**
+ * @file popup/src/hooks/usePendingFollowUps.js
+ * @description Custom React hook for follow-ups opened in Gmail. They count as
+ * sent once the user is back: on the next popup open, or when the full view
+ * tab is shown again. Mounted by App so settling does not wait for the
+ * Follow-ups panel (and its suggestion fetch) to open.
+ */
+
+import { useEffect, useCallback } from 'react';
+import {
+  recordFollowUpComposeService,
+  settlePendingFollowUpsService,
+} from '../services/followUpService';
+import { showNotification } from '../components/Notification';
+
+export function usePendingFollowUps() {
+  useEffect(() => {
+    const settlePendingFollowUps = async () => {
+      const { settledThreadIds } = await settlePendingFollowUpsService();
+      if (settledThreadIds.length === 0) return;
+      showNotification(
+        settledThreadIds.length === 1 ? "Follow-up marked as sent." : `${settledThreadIds.length} follow-ups marked as sent.`,
+        "success"
+      );
+    };
+    const settleAndWarn = () => {
+      settlePendingFollowUps().catch((error) => {
+        console.warn('[usePendingFollowUps][warn] Failed to settle opened follow-ups.', error?.message || error);
+      });
+    };
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') settleAndWarn();
+    };
+    settleAndWarn();
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, []);
+
+  // Notes a follow-up opened in Gmail from elsewhere (the template composer).
+  const recordFollowUpCompose = useCallback(async (threadId) => {
+    if (!threadId) return;
+    try {
+      await recordFollowUpComposeService(String(threadId));
+    } catch (error) {
+      console.error("Error recording opened follow-up:", error);
+    }
+  }, []);
+
+  return { recordFollowUpCompose };
+}
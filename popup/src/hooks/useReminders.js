@@ -0,0 +1,104 @@
+/**
+ * @file popup/src/hooks/useReminders.js
+ * @description Custom React hook for the popup's view of thread reminders.
+ * Loads them from the background worker, follows its REMINDERS_UPDATED
+ * broadcasts, and exposes snooze / done / delete actions.
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  listRemindersService,
+  rescheduleReminderService,
+  completeReminderService,
+  cancelReminderService,
+} from '../services/reminderService';
+import { showNotification } from '../components/Notification';
+import { deriveReminderDisplayState } from '../../../shared/reminders.mjs';
+
+// Overdue is time-based, so the list has to re-derive itself while open.
+const REMINDER_CLOCK_TICK_MS = 60 * 1000;
+
+export function useReminders(isLoggedIn) {
+  const [reminders, setReminders] = useState([]);
+  const [now, setNow] = useState(() => Date.now());
+
+  const refreshReminders = useCallback(async () => {
+    if (!isLoggedIn) {
+      setReminders([]);
+      return;
+    }
+    try {
+      setReminders(await listRemindersService());
+      setNow(Date.now());
+    } catch (error) {
+      console.warn('[useReminders][warn] Failed to load reminders.', error?.message || error);
+    }
+  }, [isLoggedIn]);
+
+  useEffect(() => {
+    refreshReminders();
+  }, [refreshReminders]);
+
+  useEffect(() => {
+    const handleRemindersUpdated = (msg) => {
+      if (msg?.type !== 'REMINDERS_UPDATED' || !Array.isArray(msg.reminders)) return;
+      setReminders(msg.reminders);
+      setNow(Date.now());
+    };
+    chrome.runtime.onMessage.addListener(handleRemindersUpdated);
+    return () => chrome.runtime.onMessage.removeListener(handleRemindersUpdated);
+  }, []);
+
+  useEffect(() => {
+    const intervalId = setInterval(() => setNow(Date.now()), REMINDER_CLOCK_TICK_MS);
+    return () => clearInterval(intervalId);
+  }, []);
+
+  const snoozeReminder = useCallback(async (reminderId, hours) => {
+    try {
+      await rescheduleReminderService(reminderId, Date.now() + hours * 60 * 60 * 1000);
+      showNotification('Reminder snoozed.', 'success');
+    } catch (error) {
+      console.error('❌ Applendium: Error snoozing reminder:', error);
+      showNotification(`Failed to snooze reminder: ${error.message}`, 'error');
+    }
+  }, []);
+
+  const completeReminder = useCallback(async (reminderId) => {
+    try {
+      await completeReminderService(reminderId);
+    } catch (error) {
+      console.error('❌ Applendium: Error completing reminder:', error);
+      showNotification(`Failed to mark reminder done: ${error.message}`, 'error');
+    }
+  }, []);
+
+  const deleteReminder = useCallback(async (reminderId) => {
+    try {
+      await cancelReminderService(reminderId);
+      showNotification('Reminder deleted.', 'success');
+    } catch (error) {
+      console.error('❌ Applendium: Error deleting reminder:', error);
+      showNotification(`Failed to delete reminder: ${error.message}`, 'error');
+    }
+  }, []);
+
+  // Fired + overdue reminders are the ones asking for attention right now.
+  const dueReminderCount = useMemo(
+    () => reminders.filter((reminder) => {
+      const state = deriveReminderDisplayState(reminder, now);
+      return state === 'fired' || state === 'overdue';
+    }).length,
+    [reminders, now]
+  );
+
+  return {
+    reminders,
+    reminderClock: now,
+    dueReminderCount,
+    refreshReminders,
+    snoozeReminder,
+    completeReminder,
+    deleteReminder,
+  };
+}
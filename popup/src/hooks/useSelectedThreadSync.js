@@ -0,0 +1,71 @@
+/**
+ * @file popup/src/hooks/useSelectedThreadSync.js
+ * @description Custom React hook that keeps the open thread in step across the
+ * popup, the side panel and the full view. The surface reports what it opens;
+ * threads opened elsewhere arrive through SELECTED_THREAD_UPDATED broadcasts
+ * and are handed to onRemoteSelect (null means back to the list).
+ */
+
+import { useCallback, useEffect, useRef } from 'react';
+import { getSelectedThreadService, setSelectedThreadService } from '../services/selectedThreadService';
+
+/**
+ * @param {{surface: string, isLoggedIn: boolean, onRemoteSelect: (threadId: string|null) => void}} options
+ * @returns {(threadId: string|null) => void} Reports the thread this surface has open.
+ */
+export function useSelectedThreadSync({ surface, isLoggedIn, onRemoteSelect }) {
+  const sourceRef = useRef(`${surface}:${Math.random().toString(36).slice(2, 10)}`);
+  // Last thread reported or received. Following a remote selection re-renders
+  // this surface on the same thread, which must not be reported back.
+  const lastThreadIdRef = useRef(undefined);
+  const onRemoteSelectRef = useRef(onRemoteSelect);
+  onRemoteSelectRef.current = onRemoteSelect;
+
+  useEffect(() => {
+    lastThreadIdRef.current = undefined;
+    if (!isLoggedIn) return undefined;
+    let cancelled = false;
+
+    const follow = (selection) => {
+      if (!selection || selection.source === sourceRef.current) return;
+      const threadId = selection.threadId || null;
+      if (threadId === lastThreadIdRef.current) return;
+      lastThreadIdRef.current = threadId;
+      onRemoteSelectRef.current(threadId);
+    };
+
+    getSelectedThreadService()
+      .then((selection) => {
+        if (cancelled) return;
+        // Pick up where the other surfaces are, unless a broadcast got here first.
+        if (lastThreadIdRef.current === undefined) {
+          lastThreadIdRef.current = null;
+          if (selection?.threadId) follow(selection);
+        }
+      })
+      .catch((error) => {
+        if (!cancelled) lastThreadIdRef.current = null;
+        console.warn('[useSelectedThreadSync][warn] Failed to read the selected thread.', error?.message || error);
+      });
+
+    const handleSelectionUpdated = (msg) => {
+      if (msg?.type !== 'SELECTED_THREAD_UPDATED') return;
+      follow(msg.selection);
+    };
+    chrome.runtime.onMessage.addListener(handleSelectionUpdated);
+    return () => {
+      cancelled = true;
+      chrome.runtime.onMessage.removeListener(handleSelectionUpdated);
+    };
+  }, [isLoggedIn]);
+
+  return useCallback((threadId) => {
+    // Nothing is reported until the shared selection has been read, so a
+    // surface opening on its list does not close the thread open elsewhere.
+    if (lastThreadIdRef.current === undefined || threadId === lastThreadIdRef.current) return;
+    lastThreadIdRef.current = threadId;
+    setSelectedThreadService(threadId, sourceRef.current).catch((error) => {
+      console.warn('[useSelectedThreadSync][warn] Failed to share the selected thread.', error?.message || error);
+    });
+  }, []);
+}
@@ -0,0 +1,57 @@
+/**
+ * @file popup/src/services/applicationDetailsService.js
+ * @description Thin wrappers around the background application-details
+ * messages. The service worker owns the notes, tags, field values and the
+ * custom field definitions.
+ */
+
+import { sendMessageToBackground } from '../utils/chromeMessaging';
+
+const toResult = (response) => ({
+  details: response.details || {},
+  customFields: response.customFields || [],
+});
+
+/**
+ * The signed-in user's details, keyed by application key, and their custom
+ * field definitions.
+ * @returns {Promise<{details: Record<string, object>, customFields: Array<object>}>}
+ */
+export async function listApplicationDetailsService() {
+  const response = await sendMessageToBackground({ type: 'LIST_APPLICATION_DETAILS' });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Failed to load application details.');
+  }
+  return toResult(response);
+}
+
+/**
+ * Saves one application's notes, tags and field values; empty details remove
+ * its entry.
+ * @param {{key: string, fallbackKey: string|null}} keys - From applicationRecordKeys.
+ * @param {{notes: string, tags: Array<string>, fields: Record<string, any>}} details
+ * @returns {Promise<{details: Record<string, object>, customFields: Array<object>}>}
+ */
+export async function saveApplicationDetailsService(keys, details) {
+  const response = await sendMessageToBackground({
+    type: 'SAVE_APPLICATION_DETAILS',
+    payload: { key: keys.key, fallbackKey: keys.fallbackKey, details },
+  });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Failed to save application details.');
+  }
+  return toResult(response);
+}
+
+/**
+ * Replaces the custom field definitions.
+ * @param {Array<{id: string, label: string, type: string, options?: Array<string>}>} fields
+ * @returns {Promise<{details: Record<string, object>, customFields: Array<object>}>}
+ */
+export async function saveCustomFieldsService(fields) {
+  const response = await sendMessageToBackground({ type: 'SAVE_CUSTOM_FIELDS', payload: { fields } });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Failed to save custom fields.');
+  }
+  return toResult(response);
+}
@@ -0,0 +1,35 @@
+/**
+ * @file popup/src/services/backupService.js
+ * @description Thin wrappers around the background backup messages. The
+ * service worker reads and writes storage; the popup only moves the JSON
+ * document to and from a file.
+ */
+
+import { sendMessageToBackground } from '../utils/chromeMessaging';
+
+/**
+ * Builds a backup of the signed-in account's local data.
+ * @param {{includeJobDescriptions?: boolean}} [options] - Job descriptions are
+ *   included unless this is false.
+ * @returns {Promise<object>} The backup document.
+ */
+export async function createBackupService({ includeJobDescriptions = true } = {}) {
+  const response = await sendMessageToBackground({ type: 'CREATE_BACKUP', payload: { includeJobDescriptions } });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Failed to create backup.');
+  }
+  return response.backup;
+}
+
+/**
+ * Restores a backup document. The worker rejects other accounts' backups.
+ * @param {object} backup
+ * @returns {Promise<{restoredKeys: Array<string>, skippedKeys: Array<string>}>}
+ */
+export async function restoreBackupService(backup) {
+  const response = await sendMessageToBackground({ type: 'RESTORE_BACKUP', payload: { backup } });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Failed to restore backup.');
+  }
+  return { restoredKeys: response.restoredKeys || [], skippedKeys: response.skippedKeys || [] };
+}
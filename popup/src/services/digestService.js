@@ -0,0 +1,32 @@
+/**
+ * @file popup/src/services/digestService.js
+ * @description Thin wrappers around the background digest messages. The
+ * service worker builds the digest from cached data and owns the schedule.
+ */
+
+import { sendMessageToBackground } from '../utils/chromeMessaging';
+
+/**
+ * Builds a digest for the past day or week.
+ * @param {'daily'|'weekly'} [frequency] - Defaults to the scheduled frequency.
+ * @returns {Promise<{digest: object, settings: object}>}
+ */
+export async function getDigestService(frequency) {
+  const response = await sendMessageToBackground({ type: 'GET_DIGEST', payload: { frequency } });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Failed to build the digest.');
+  }
+  return { digest: response.digest, settings: response.settings };
+}
+
+/**
+ * @param {{frequency: 'off'|'daily'|'weekly', time: string, weekday: number}} settings
+ * @returns {Promise<object>} The stored settings.
+ */
+export async function updateDigestSettingsService(settings) {
+  const response = await sendMessageToBackground({ type: 'UPDATE_DIGEST_SETTINGS', payload: { settings } });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Failed to save digest settings.');
+  }
+  return response.settings;
+}
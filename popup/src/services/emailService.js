@@ -6,6 +6,7 @@
  */
 
 import { sendMessageToBackground } from '../utils/chromeMessaging';
+import { safeTextValue } from '../utils/sensitiveContent';
 
 /**
  * Fetches stored emails from chrome.storage.local.
@@ -118,6 +119,39 @@ export async function sendEmailReplyService(threadId, recipient, subject, body,
   }
 }
 
+/**
+ * Transforms frontend category names (lowercase) to the backend's expected
+ * format (capitalized).
+ */
+function transformCategoryForBackend(category) {
+  const categoryMap = {
+    'applied': 'Applied',
+    'interviewed': 'Interviewed',
+    'offers': 'Offers',
+    'rejected': 'Rejected',
+    'irrelevant': 'Irrelevant'
+  };
+  return categoryMap[category] || category;
+}
+
+/**
+ * Builds the REPORT_MISCLASSIFICATION payload for an email moved to another category.
+ * @param {object} emailData - The email as stored in categorizedEmails.
+ * @param {string} correctedCategory - Frontend category id (e.g. 'interviewed').
+ * @returns {object} The payload for reportMisclassificationService.
+ */
+export function buildMisclassificationReport(emailData, correctedCategory) {
+  return {
+    emailId: emailData.id,
+    threadId: emailData.thread_id,
+    originalCategory: transformCategoryForBackend(emailData.category),
+    correctedCategory: transformCategoryForBackend(correctedCategory),
+    emailSubject: safeTextValue(emailData.subject, 'No Subject') || 'No Subject',
+    emailBody: safeTextValue(emailData.body, 'No Body') || 'No Body',
+    fromHeader: safeTextValue(emailData.from || emailData.sender, ''),
+  };
+}
+
 /**
  * Sends a request to the background script to report an email misclassification.
  * @param {object} reportPayload - The complete report payload containing all necessary data.
@@ -159,6 +193,34 @@ export async function undoMisclassificationService(undoData) {
   }
 }
 
+/**
+ * Closes an application by choice (withdrew, accepted elsewhere, ...).
+ * @param {{applicationId: string, emailId: string, reason: string}} closeData
+ * @returns {Promise<Object>} A success/error object from the background script.
+ */
+export async function closeApplicationService({ applicationId, emailId, reason }) {
+  try {
+    return await sendMessageToBackground({ type: 'CLOSE_APPLICATION', applicationId, emailId, reason });
+  } catch (error) {
+    console.error("❌ Applendium: Error sending CLOSE_APPLICATION message to background:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Reopens an application the user closed earlier.
+ * @param {{applicationId: string, emailId: string}} reopenData
+ * @returns {Promise<Object>} A success/error object from the background script.
+ */
+export async function reopenApplicationService({ applicationId, emailId }) {
+  try {
+    return await sendMessageToBackground({ type: 'REOPEN_APPLICATION', applicationId, emailId });
+  } catch (error) {
+    console.error("❌ Applendium: Error sending REOPEN_APPLICATION message to background:", error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Fetches the "Needs Review" queue: low-confidence emails the classifier flagged
  * for the user to confirm (instead of silently dropping them).
@@ -5,6 +5,11 @@
  */
 
 import { sendMessageToBackground } from '../utils/chromeMessaging';
+import { settleOpenedFollowUps } from '../../../shared/followUpCadence.mjs';
+
+// Threads whose follow-up was opened in Gmail but not yet counted as sent:
+// { threadId: openedAt }. Settled into followedUpMap when the user comes back.
+const PENDING_FOLLOW_UPS_KEY = 'applendiumPendingFollowUpsV1';
 
 /**
  * Retrieves the current follow-up state (followedUpMap and respondedMap) from local storage.
@@ -23,7 +28,7 @@ export async function getFollowUpStateService() {
 /**
  * Marks an email thread as followed up in local storage.
  * @param {string} threadId - The ID of the thread to mark.
- * @returns {Promise<number>} The timestamp when it was marked.
+ * @returns {Promise<{followedUpAt: number}>} The timestamp when it was marked.
  */
 export async function markFollowedUpService(threadId) {
   const now = Date.now();
@@ -31,13 +36,52 @@ export async function markFollowedUpService(threadId) {
     const result = await chrome.storage.local.get({ followedUpMap: {} });
     const followedUpMap = { ...result.followedUpMap, [threadId]: now };
     await chrome.storage.local.set({ followedUpMap });
-    return now;
+    return { followedUpAt: now };
   } catch (error) {
     console.error("❌ Applendium: Error marking followed up in local storage:", error);
     throw error;
   }
 }
 
+/**
+ * Remembers that a follow-up for this thread was opened in Gmail, so it can be
+ * marked as followed up once the user is back in the extension.
+ * @param {string} threadId - The ID of the thread the follow-up is for.
+ */
+export async function recordFollowUpComposeService(threadId) {
+  try {
+    const result = await chrome.storage.local.get({ [PENDING_FOLLOW_UPS_KEY]: {} });
+    const pending = { ...result[PENDING_FOLLOW_UPS_KEY], [threadId]: Date.now() };
+    await chrome.storage.local.set({ [PENDING_FOLLOW_UPS_KEY]: pending });
+  } catch (error) {
+    console.error("❌ Applendium: Error recording an opened follow-up in local storage:", error);
+    throw error;
+  }
+}
+
+/**
+ * Moves every opened follow-up into followedUpMap, dated when it was opened
+ * unless the thread was already followed up later.
+ * Gmail does not report whether the draft was sent; opening it is the signal.
+ * @returns {Promise<{followedUpMap: object, settledThreadIds: Array<string>}>}
+ */
+export async function settlePendingFollowUpsService() {
+  try {
+    const result = await chrome.storage.local.get({ [PENDING_FOLLOW_UPS_KEY]: {}, followedUpMap: {} });
+    const pending = result[PENDING_FOLLOW_UPS_KEY] || {};
+    const settledThreadIds = Object.keys(pending);
+    if (settledThreadIds.length === 0) {
+      return { followedUpMap: result.followedUpMap, settledThreadIds };
+    }
+    const followedUpMap = settleOpenedFollowUps(result.followedUpMap, pending);
+    await chrome.storage.local.set({ followedUpMap, [PENDING_FOLLOW_UPS_KEY]: {} });
+    return { followedUpMap, settledThreadIds };
+  } catch (error) {
+    console.error("❌ Applendium: Error settling opened follow-ups in local storage:", error);
+    return { followedUpMap: {}, settledThreadIds: [] };
+  }
+}
+
 /**
  * Updates the responded state for a specific email thread in local storage.
  * @param {string} threadId - The ID of the thread to update.
@@ -101,3 +145,27 @@ export async function fetchFollowUpSuggestionsService(userEmail) {
   }
 }
 
+/**
+ * Retrieves the follow-up cadence rules and the suggestions they currently produce.
+ * @returns {Promise<{rules: Array<object>, suggestions: Array<object>}>}
+ */
+export async function getFollowUpCadenceService() {
+  const response = await sendMessageToBackground({ type: 'GET_FOLLOW_UP_CADENCE' });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Failed to load follow-up cadence rules.');
+  }
+  return { rules: response.rules || [], suggestions: response.suggestions || [] };
+}
+
+/**
+ * Replaces the follow-up cadence rules and re-evaluates them.
+ * @param {Array<object>} rules - The full rule list.
+ * @returns {Promise<{rules: Array<object>, suggestions: Array<object>}>}
+ */
+export async function saveFollowUpCadenceService(rules) {
+  const response = await sendMessageToBackground({ type: 'SAVE_FOLLOW_UP_CADENCE', payload: { rules } });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Failed to save follow-up cadence rules.');
+  }
+  return { rules: response.rules || [], suggestions: response.suggestions || [] };
+}
@@ -0,0 +1,32 @@
+/**
+ * @file popup/src/services/followUpTemplateService.js
+ * @description Thin wrappers around the background follow-up template
+ * messages. The service worker owns the stored list.
+ */
+
+import { sendMessageToBackground } from '../utils/chromeMessaging';
+
+/**
+ * The signed-in user's templates (the defaults until they save their own).
+ * @returns {Promise<Array<{id: string, name: string, subject: string, body: string}>>}
+ */
+export async function listFollowUpTemplatesService() {
+  const response = await sendMessageToBackground({ type: 'LIST_FOLLOW_UP_TEMPLATES' });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Failed to load follow-up templates.');
+  }
+  return response.templates || [];
+}
+
+/**
+ * Replaces the template list.
+ * @param {Array<{id: string, name: string, subject: string, body: string}>} templates
+ * @returns {Promise<Array<object>>}
+ */
+export async function saveFollowUpTemplatesService(templates) {
+  const response = await sendMessageToBackground({ type: 'SAVE_FOLLOW_UP_TEMPLATES', payload: { templates } });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Failed to save follow-up templates.');
+  }
+  return response.templates || [];
+}
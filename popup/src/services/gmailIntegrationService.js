@@ -0,0 +1,41 @@
+/**
+ * @file popup/src/services/gmailIntegrationService.js
+ * @description The optional Gmail integration switch. Turning it on asks
+ * Chrome for the mail.google.com host permission first; the service worker
+ * then registers gmailContent.js.
+ */
+
+import { sendMessageToBackground } from '../utils/chromeMessaging';
+import { GMAIL_ORIGIN_PATTERN } from '../../../shared/gmailThreads.mjs';
+
+/**
+ * @returns {Promise<{enabled: boolean, hasPermission: boolean}>}
+ */
+export async function getGmailIntegrationService() {
+  const response = await sendMessageToBackground({ type: 'GET_GMAIL_INTEGRATION' });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Failed to read the Gmail integration setting.');
+  }
+  return { enabled: response.enabled, hasPermission: response.hasPermission };
+}
+
+/**
+ * Shows Chrome's permission prompt for Gmail. Must run inside the click that
+ * asked for it, so call it before anything else is awaited.
+ * @returns {Promise<boolean>} Whether the permission was granted.
+ */
+export function requestGmailPermissionService() {
+  return chrome.permissions.request({ origins: [GMAIL_ORIGIN_PATTERN] });
+}
+
+/**
+ * @param {boolean} enabled
+ * @returns {Promise<{enabled: boolean, hasPermission: boolean}>} The stored state.
+ */
+export async function setGmailIntegrationService(enabled) {
+  const response = await sendMessageToBackground({ type: 'SET_GMAIL_INTEGRATION', payload: { enabled } });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Failed to save the Gmail integration setting.');
+  }
+  return { enabled: response.enabled, hasPermission: response.hasPermission };
+}
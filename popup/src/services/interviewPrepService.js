@@ -0,0 +1,36 @@
+/**
+ * @file popup/src/services/interviewPrepService.js
+ * @description Thin wrappers around the background interview-prep messages.
+ * The service worker owns the stored records.
+ */
+
+import { sendMessageToBackground } from '../utils/chromeMessaging';
+
+/**
+ * The signed-in user's prep records, keyed by application key.
+ * @returns {Promise<Record<string, object>>}
+ */
+export async function listInterviewPrepService() {
+  const response = await sendMessageToBackground({ type: 'LIST_INTERVIEW_PREP' });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Failed to load interview prep.');
+  }
+  return response.prep || {};
+}
+
+/**
+ * Saves one application's prep record.
+ * @param {{key: string, fallbackKey: string|null}} keys - From applicationRecordKeys.
+ * @param {object} prep
+ * @returns {Promise<Record<string, object>>} Every record after the save.
+ */
+export async function saveInterviewPrepService(keys, prep) {
+  const response = await sendMessageToBackground({
+    type: 'SAVE_INTERVIEW_PREP',
+    payload: { key: keys.key, fallbackKey: keys.fallbackKey, prep },
+  });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Failed to save interview prep.');
+  }
+  return response.prep || {};
+}
@@ -0,0 +1,41 @@
+/**
+ * @file popup/src/services/jobCaptureService.js
+ * @description The optional job-board capture switch. Turning it on asks
+ * Chrome for the supported boards' host permissions first; the service worker
+ * then registers jobBoardContent.js.
+ */
+
+import { sendMessageToBackground } from '../utils/chromeMessaging';
+import { JOB_CAPTURE_ORIGIN_PATTERNS } from '../../../shared/jobCapture.mjs';
+
+/**
+ * @returns {Promise<{enabled: boolean, hasPermission: boolean}>}
+ */
+export async function getJobCaptureService() {
+  const response = await sendMessageToBackground({ type: 'GET_JOB_CAPTURE' });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Failed to read the job capture setting.');
+  }
+  return { enabled: response.enabled, hasPermission: response.hasPermission };
+}
+
+/**
+ * Shows Chrome's permission prompt for the job boards. Like the Gmail prompt
+ * it must run inside the click, before anything else is awaited.
+ * @returns {Promise<boolean>} Whether the permission was granted.
+ */
+export function requestJobCapturePermissionService() {
+  return chrome.permissions.request({ origins: [...JOB_CAPTURE_ORIGIN_PATTERNS] });
+}
+
+/**
+ * @param {boolean} enabled
+ * @returns {Promise<{enabled: boolean, hasPermission: boolean}>} The stored state.
+ */
+export async function setJobCaptureService(enabled) {
+  const response = await sendMessageToBackground({ type: 'SET_JOB_CAPTURE', payload: { enabled } });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Failed to save the job capture setting.');
+  }
+  return { enabled: response.enabled, hasPermission: response.hasPermission };
+}
@@ -0,0 +1,36 @@
+/**
+ * @file popup/src/services/jobDescriptionService.js
+ * @description Thin wrappers around the background job-description messages.
+ * The service worker owns the stored snapshots.
+ */
+
+import { sendMessageToBackground } from '../utils/chromeMessaging';
+
+/**
+ * The signed-in user's snapshots, keyed by application key.
+ * @returns {Promise<Record<string, object>>}
+ */
+export async function listJobDescriptionsService() {
+  const response = await sendMessageToBackground({ type: 'LIST_JOB_DESCRIPTIONS' });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Failed to load job descriptions.');
+  }
+  return response.descriptions || {};
+}
+
+/**
+ * Saves one application's snapshot; empty text removes it.
+ * @param {{key: string, fallbackKey: string|null}} keys - From applicationRecordKeys.
+ * @param {{text: string, sourceUrl?: string}} description
+ * @returns {Promise<Record<string, object>>} Every snapshot after the save.
+ */
+export async function saveJobDescriptionService(keys, description) {
+  const response = await sendMessageToBackground({
+    type: 'SAVE_JOB_DESCRIPTION',
+    payload: { key: keys.key, fallbackKey: keys.fallbackKey, description },
+  });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Failed to save the job description.');
+  }
+  return response.descriptions || {};
+}
@@ -0,0 +1,88 @@
+/**
+ * @file popup/src/services/manualApplicationService.js
+ * @description Thin wrappers around the background manual-application
+ * messages. The service worker owns the stored records; the popup reads them
+ * and asks for changes.
+ */
+
+import { sendMessageToBackground } from '../utils/chromeMessaging';
+
+function unwrapManualApplicationResponse(response, fallbackError) {
+  if (!response?.success) {
+    throw new Error(response?.error || fallbackError);
+  }
+  return response;
+}
+
+/**
+ * Lists the signed-in user's manually added applications.
+ * @returns {Promise<Array<object>>}
+ */
+export async function listManualApplicationsService() {
+  const response = await sendMessageToBackground({ type: 'LIST_MANUAL_APPLICATIONS' });
+  return unwrapManualApplicationResponse(response, 'Failed to load applications.').applications || [];
+}
+
+/**
+ * Adds an application that never produced an email.
+ * @param {{company: string, position: string, appliedOn: string, source: string, link?: string, stage: string}} fields
+ * @returns {Promise<object>} The stored record.
+ */
+export async function createManualApplicationService(fields) {
+  const response = await sendMessageToBackground({ type: 'CREATE_MANUAL_APPLICATION', payload: fields });
+  return unwrapManualApplicationResponse(response, 'Failed to add application.').application;
+}
+
+/**
+ * Edits some fields of a manual application, e.g. moving it to a new stage.
+ * @param {string} applicationId
+ * @param {object} changes
+ * @returns {Promise<object>} The updated record.
+ */
+export async function updateManualApplicationService(applicationId, changes) {
+  const response = await sendMessageToBackground({
+    type: 'UPDATE_MANUAL_APPLICATION',
+    payload: { applicationId, changes },
+  });
+  return unwrapManualApplicationResponse(response, 'Failed to update application.').application;
+}
+
+/**
+ * Deletes a manual application.
+ * @param {string} applicationId
+ * @returns {Promise<void>}
+ */
+export async function deleteManualApplicationService(applicationId) {
+  const response = await sendMessageToBackground({
+    type: 'DELETE_MANUAL_APPLICATION',
+    payload: { applicationId },
+  });
+  unwrapManualApplicationResponse(response, 'Failed to delete application.');
+}
+
+/**
+ * Adds the ready rows of a spreadsheet import as one batch.
+ * @param {Array<object>} applications - Validated manual-application inputs.
+ * @returns {Promise<{batchId: string, imported: number}>}
+ */
+export async function importManualApplicationsService(applications) {
+  const response = await sendMessageToBackground({
+    type: 'IMPORT_MANUAL_APPLICATIONS',
+    payload: { applications },
+  });
+  const { batchId, imported } = unwrapManualApplicationResponse(response, 'Failed to import applications.');
+  return { batchId, imported };
+}
+
+/**
+ * Removes every application that came in with one import.
+ * @param {string} batchId
+ * @returns {Promise<number>} How many were removed.
+ */
+export async function undoManualApplicationImportService(batchId) {
+  const response = await sendMessageToBackground({
+    type: 'UNDO_MANUAL_APPLICATION_IMPORT',
+    payload: { batchId },
+  });
+  return unwrapManualApplicationResponse(response, 'Failed to undo import.').removed;
+}
@@ -0,0 +1,32 @@
+/**
+ * @file popup/src/services/notificationSettingsService.js
+ * @description Thin wrappers around the background notification-settings
+ * messages. The service worker applies the rules before showing anything; the
+ * popup only reads and edits them.
+ */
+
+import { sendMessageToBackground } from '../utils/chromeMessaging';
+
+/**
+ * @returns {Promise<{enabled: boolean, rules: object}>}
+ */
+export async function getNotificationSettingsService() {
+  const response = await sendMessageToBackground({ type: 'GET_NOTIFICATION_SETTINGS' });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Failed to load notification settings.');
+  }
+  return { enabled: response.enabled, rules: response.rules };
+}
+
+/**
+ * Saves the master switch and/or the rules.
+ * @param {{enabled?: boolean, rules?: object}} settings
+ * @returns {Promise<{enabled: boolean, rules: object}>} The stored settings.
+ */
+export async function updateNotificationSettingsService(settings) {
+  const response = await sendMessageToBackground({ type: 'UPDATE_NOTIFICATION_SETTINGS', payload: settings });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Failed to save notification settings.');
+  }
+  return { enabled: response.enabled, rules: response.rules };
+}
@@ -0,0 +1,36 @@
+/**
+ * @file popup/src/services/offerService.js
+ * @description Thin wrappers around the background offer messages. The service
+ * worker owns the stored offers and their deadline reminders.
+ */
+
+import { sendMessageToBackground } from '../utils/chromeMessaging';
+
+/**
+ * The signed-in user's offers, keyed by application key.
+ * @returns {Promise<Record<string, object>>}
+ */
+export async function listOffersService() {
+  const response = await sendMessageToBackground({ type: 'LIST_OFFERS' });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Failed to load offers.');
+  }
+  return response.offers || {};
+}
+
+/**
+ * Saves (or, with a null offer, removes) one role's offer details.
+ * @param {{key: string, fallbackKey: string|null}} keys - From applicationRecordKeys.
+ * @param {object|null} offer
+ * @returns {Promise<Record<string, object>>} Every offer after the save.
+ */
+export async function saveOfferService(keys, offer) {
+  const response = await sendMessageToBackground({
+    type: 'SAVE_OFFER',
+    payload: { key: keys.key, fallbackKey: keys.fallbackKey, offer },
+  });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Failed to save the offer.');
+  }
+  return response.offers || {};
+}
@@ -0,0 +1,35 @@
+/**
+ * @file popup/src/services/outboxService.js
+ * @description Thin wrappers around the background outbox messages. Edits made
+ * while offline wait in the service worker's outbox; the popup only reads its
+ * state and dismisses conflicts the user has seen.
+ */
+
+import { sendMessageToBackground } from '../utils/chromeMessaging';
+
+/**
+ * Reads queued edits and unresolved conflicts.
+ * @returns {Promise<{pending: Array<object>, conflicts: Array<object>}>}
+ */
+export async function listOutboxService() {
+  const response = await sendMessageToBackground({ type: 'LIST_OUTBOX' });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Failed to load pending edits.');
+  }
+  return { pending: response.pending || [], conflicts: response.conflicts || [] };
+}
+
+/**
+ * Forgets a conflict once the user has acknowledged it.
+ * @param {string} conflictId
+ * @returns {Promise<void>}
+ */
+export async function dismissOutboxConflictService(conflictId) {
+  const response = await sendMessageToBackground({
+    type: 'DISMISS_OUTBOX_CONFLICT',
+    payload: { conflictId },
+  });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Failed to dismiss conflict.');
+  }
+}
@@ -0,0 +1,64 @@
+/**
+ * @file popup/src/services/reminderService.js
+ * @description Thin wrappers around the background reminder messages. The
+ * service worker owns the reminder records and their alarms; the popup only
+ * reads them and asks for changes.
+ */
+
+import { sendMessageToBackground } from '../utils/chromeMessaging';
+
+function unwrapReminderResponse(response, fallbackError) {
+  if (!response?.success) {
+    throw new Error(response?.error || fallbackError);
+  }
+  return response;
+}
+
+/**
+ * Lists every stored reminder (pending, fired and recently done).
+ * @returns {Promise<Array<object>>}
+ */
+export async function listRemindersService() {
+  const response = await sendMessageToBackground({ type: 'LIST_REMINDERS' });
+  return unwrapReminderResponse(response, 'Failed to load reminders.').reminders || [];
+}
+
+/**
+ * Moves a reminder to a new fire time and re-arms it.
+ * @param {string} reminderId
+ * @param {number} when - Epoch milliseconds.
+ * @returns {Promise<object>} The updated reminder.
+ */
+export async function rescheduleReminderService(reminderId, when) {
+  const response = await sendMessageToBackground({
+    type: 'RESCHEDULE_REMINDER',
+    payload: { reminderId, when },
+  });
+  return unwrapReminderResponse(response, 'Failed to reschedule reminder.').reminder;
+}
+
+/**
+ * Marks a reminder as handled. Done reminders stay listed for a week.
+ * @param {string} reminderId
+ * @returns {Promise<object>} The updated reminder.
+ */
+export async function completeReminderService(reminderId) {
+  const response = await sendMessageToBackground({
+    type: 'COMPLETE_REMINDER',
+    payload: { reminderId },
+  });
+  return unwrapReminderResponse(response, 'Failed to complete reminder.').reminder;
+}
+
+/**
+ * Deletes a reminder and its alarm.
+ * @param {string} reminderId
+ * @returns {Promise<void>}
+ */
+export async function cancelReminderService(reminderId) {
+  const response = await sendMessageToBackground({
+    type: 'CANCEL_REMINDER',
+    payload: { reminderId },
+  });
+  unwrapReminderResponse(response, 'Failed to delete reminder.');
+}
@@ -0,0 +1,32 @@
+/**
+ * @file popup/src/services/selectedThreadService.js
+ * @description Thin wrappers around the background's selected-thread messages,
+ * which keep the popup, the side panel and the full view on the same thread.
+ */
+
+import { sendMessageToBackground } from '../utils/chromeMessaging';
+
+/**
+ * The thread last opened in any surface.
+ * @returns {Promise<{threadId: string|null, source: string|null, updatedAt: number|null}>}
+ */
+export async function getSelectedThreadService() {
+  const response = await sendMessageToBackground({ type: 'GET_SELECTED_THREAD' });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Failed to read the selected thread.');
+  }
+  return response.selection;
+}
+
+/**
+ * Reports the thread this surface opened, or null when it went back to its list.
+ * @param {string|null} threadId
+ * @param {string} source - Id of the reporting surface, echoed in the broadcast.
+ */
+export async function setSelectedThreadService(threadId, source) {
+  const response = await sendMessageToBackground({ type: 'SET_SELECTED_THREAD', payload: { threadId, source } });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Failed to share the selected thread.');
+  }
+  return response.selection;
+}
@@ -0,0 +1,30 @@
+/**
+ * @file popup/src/sidepanel.js
+ * @description Entry point of the side panel (popup/public/sidepanel.html): the
+ * popup's App hosted beside the page, so it stays open while the user works in
+ * Gmail. It follows the thread opened in the popup and the other way round.
+ */
+
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import App from './App';
+import ErrorBoundary from './components/ErrorBoundary';
+import './index.css';
+
+if (typeof document !== 'undefined' && document.documentElement) {
+  document.documentElement.classList.add('dark', 'full-page');
+}
+
+const container = document.getElementById('root');
+
+if (container) {
+  createRoot(container).render(
+    <React.StrictMode>
+      <ErrorBoundary>
+        <App surface="sidepanel" />
+      </ErrorBoundary>
+    </React.StrictMode>
+  );
+} else {
+  console.error('Failed to find the root element to mount the side panel.');
+}
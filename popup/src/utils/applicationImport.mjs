@@ -0,0 +1,262 @@
+// Spreadsheet import — pure parsing and dry-run logic.
+// Turns a CSV or JSON export from another tracker into manual-application
+// inputs (shared/manualApplications.mjs), flags rows that are already tracked,
+// and never writes anything itself: the popup shows the preview and sends the
+// ready rows to the service worker as one batch. Kept dependency-free so it
+// runs under `node --test`.
+
+import {
+  MAX_MANUAL_APPLICATION_IMPORT,
+  validateManualApplicationInput,
+} from '../../../shared/manualApplications.mjs';
+import { applicationPairKey } from './searchActivityReport.mjs';
+
+export const IMPORT_FIELDS = Object.freeze([
+  { key: 'company', label: 'Company', required: true },
+  { key: 'position', label: 'Position', required: true },
+  { key: 'date', label: 'Date applied', required: true },
+  { key: 'status', label: 'Status', required: false },
+  { key: 'notes', label: 'Notes', required: false },
+]);
+
+// Header names other trackers and hand-made sheets commonly use.
+const FIELD_HEADER_HINTS = {
+  company: ['company', 'company name', 'employer', 'organization', 'organisation'],
+  position: ['position', 'title', 'job title', 'role', 'job', 'position title'],
+  date: ['date', 'date applied', 'applied', 'applied on', 'applied date', 'application date'],
+  status: ['status', 'stage', 'state', 'outcome', 'result'],
+  notes: ['notes', 'note', 'comments', 'comment', 'details'],
+};
+
+function normalizeHeader(value) {
+  return String(value ?? '').trim().toLowerCase().replace(/[_\-]+/g, ' ').replace(/\s+/g, ' ');
+}
+
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  let best = ',';
+  let bestCount = 0;
+  for (const candidate of [',', ';', '\t']) {
+    const count = firstLine.split(candidate).length - 1;
+    if (count > bestCount) {
+      best = candidate;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * RFC 4180 CSV: quoted fields, doubled quotes, newlines inside quotes. The
+ * delimiter is sniffed from the header so semicolon exports from European
+ * Excel locales work too.
+ * @returns {Array<Array<string>>}
+ */
+export function parseCsv(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(source);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+}
+
+function jsonRecordsOf(parsed) {
+  if (Array.isArray(parsed)) return parsed;
+  if (parsed && typeof parsed === 'object') {
+    const list = parsed.applications || parsed.rows || parsed.data;
+    if (Array.isArray(list)) return list;
+  }
+  return null;
+}
+
+/**
+ * Reads an uploaded file's text into column names and one object per row.
+ * Throws with a user-facing message when the file can't be used.
+ * @returns {{columns: Array<string>, records: Array<Record<string, string>>}}
+ */
+export function parseImportFile(text, fileName = '') {
+  const trimmed = String(text || '').replace(/^\uFEFF/, '').trim();
+  if (!trimmed) throw new Error('The file is empty.');
+
+  const looksJson = /\.json$/i.test(fileName) || trimmed.startsWith('[') || trimmed.startsWith('{');
+  let columns;
+  let records;
+  if (looksJson) {
+    let parsed;
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch (_) {
+      throw new Error('The file is not valid JSON.');
+    }
+    const list = jsonRecordsOf(parsed);
+    if (!list) throw new Error('Expected a JSON array of applications.');
+    const objects = list.filter((item) => item && typeof item === 'object' && !Array.isArray(item));
+    columns = [...new Set(objects.flatMap((item) => Object.keys(item)))];
+    records = objects.map((item) => Object.fromEntries(
+      columns.map((column) => [column, item[column] == null ? '' : String(item[column])]),
+    ));
+  } else {
+    const [header, ...body] = parseCsv(trimmed);
+    columns = (header || []).map((cell, index) => cell.trim() || `Column ${index + 1}`);
+    records = body.map((cells) => Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? ''])));
+  }
+
+  if (columns.length === 0 || records.length === 0) throw new Error('No rows found under the header.');
+  if (records.length > MAX_MANUAL_APPLICATION_IMPORT) {
+    throw new Error(`That file has ${records.length} rows; import at most ${MAX_MANUAL_APPLICATION_IMPORT} at a time.`);
+  }
+  return { columns, records };
+}
+
+/**
+ * First-guess mapping from import field to column name, by header. Columns
+ * the user has to pick by hand are left null.
+ * @returns {Record<string, string|null>}
+ */
+export function guessColumnMapping(columns) {
+  const mapping = {};
+  const taken = new Set();
+  for (const { key } of IMPORT_FIELDS) {
+    const hints = FIELD_HEADER_HINTS[key];
+    const match = (columns || []).find((column) => !taken.has(column) && hints.includes(normalizeHeader(column)));
+    mapping[key] = match || null;
+    if (match) taken.add(match);
+  }
+  return mapping;
+}
+
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDateOnly(year, month, day) {
+  const date = new Date(year, month - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Spreadsheet date cell → 'YYYY-MM-DD', or null. Slash dates are read month
+ * first (US Excel) unless the first number can only be a day.
+ */
+export function normalizeImportDate(value) {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (iso) return toDateOnly(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+
+  const slashed = text.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{2}|\d{4})$/);
+  if (slashed) {
+    let [first, second, year] = slashed.slice(1).map(Number);
+    if (year < 100) year += 2000;
+    return first > 12 ? toDateOnly(year, second, first) : toDateOnly(year, first, second);
+  }
+
+  // Excel serial day numbers, when a sheet is exported without date formatting.
+  if (/^\d{5}(\.\d+)?$/.test(text)) {
+    const date = new Date(EXCEL_EPOCH_MS + Math.floor(Number(text)) * DAY_MS);
+    return toDateOnly(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+  }
+
+  const parsed = new Date(text);
+  if (Number.isNaN(parsed.getTime())) return null;
+  return toDateOnly(parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate());
+}
+
+/** Free-text status → pipeline stage. Anything unrecognized counts as applied. */
+export function normalizeImportStatus(value) {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (!text) return 'applied';
+  if (/reject|declin|unsuccessful|not (moving|selected|proceeding)|no longer|closed|ghost/.test(text)) return 'rejected';
+  if (/offer/.test(text)) return 'offers';
+  if (/interview|screen|on-?site|assessment|final round|phone|call/.test(text)) return 'interviewed';
+  return 'applied';
+}
+
+/**
+ * Dry run: every record mapped, validated and checked for duplicates, with
+ * nothing saved. A row is a duplicate when its company+position pair already
+ * appears in the pipeline or earlier in the same file.
+ *
+ * @param {object} args
+ * @param {Array<Record<string, string>>} args.records
+ * @param {Record<string, string|null>} args.mapping
+ * @param {Record<string, Array<object>>} args.categorizedEmails - Current pipeline, manual entries included.
+ * @param {number} args.now
+ * @returns {{rows: Array<{line: number, value?: object, status: 'ready'|'duplicate'|'invalid', error?: string}>, counts: {ready: number, duplicate: number, invalid: number}}}
+ */
+export function buildImportPreview({ records, mapping, categorizedEmails, now }) {
+  const existingKeys = new Set();
+  for (const emails of Object.values(categorizedEmails || {})) {
+    for (const email of emails || []) {
+      const key = applicationPairKey(email?.company_name, email?.position);
+      if (key) existingKeys.add(key);
+    }
+  }
+
+  const seenInFile = new Set();
+  const cell = (record, key) => (mapping?.[key] ? record?.[mapping[key]] ?? '' : '');
+  const rows = (records || []).map((record, index) => {
+    // Line numbers as the user sees them in their spreadsheet, header on line 1.
+    const line = index + 2;
+    const appliedOn = normalizeImportDate(cell(record, 'date'));
+    if (!appliedOn) return { line, status: 'invalid', error: 'Unrecognized date.' };
+
+    const validation = validateManualApplicationInput({
+      company: cell(record, 'company'),
+      position: cell(record, 'position'),
+      appliedOn,
+      source: 'import',
+      stage: normalizeImportStatus(cell(record, 'status')),
+      notes: cell(record, 'notes'),
+    }, now);
+    if (!validation.valid) return { line, status: 'invalid', error: validation.error };
+
+    const key = applicationPairKey(validation.value.company, validation.value.position);
+    if (existingKeys.has(key)) {
+      return { line, value: validation.value, status: 'duplicate', error: 'Already in your pipeline.' };
+    }
+    if (seenInFile.has(key)) {
+      return { line, value: validation.value, status: 'duplicate', error: 'Appears earlier in this file.' };
+    }
+    seenInFile.add(key);
+    return { line, value: validation.value, status: 'ready' };
+  });
+
+  const counts = { ready: 0, duplicate: 0, invalid: 0 };
+  for (const row of rows) counts[row.status] += 1;
+  return { rows, counts };
+}
@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildImportPreview,
+  guessColumnMapping,
+  normalizeImportDate,
+  normalizeImportStatus,
+  parseCsv,
+  parseImportFile,
+} from './applicationImport.mjs';
+
+const NOW = new Date('2026-06-10T15:00:00Z').getTime();
+
+test('parseCsv handles quotes, embedded newlines, CRLF and semicolon exports', () => {
+  assert.deepEqual(parseCsv('\uFEFFa,b\r\n"x, ""y""","line\nbreak"\r\n\r\n'), [
+    ['a', 'b'],
+    ['x, "y"', 'line\nbreak'],
+  ]);
+  assert.deepEqual(parseCsv('Company;Role\nAcme;Designer'), [['Company', 'Role'], ['Acme', 'Designer']]);
+});
+
+test('parseImportFile reads CSV and JSON into records and guesses the mapping', () => {
+  const csv = parseImportFile('Employer,Job Title,Date Applied,Stage,Comments\nAcme,Designer,6/1/2026,Phone screen,Met at fair\n');
+  assert.deepEqual(csv.columns, ['Employer', 'Job Title', 'Date Applied', 'Stage', 'Comments']);
+  assert.equal(csv.records[0].Employer, 'Acme');
+  assert.deepEqual(guessColumnMapping(csv.columns), {
+    company: 'Employer',
+    position: 'Job Title',
+    date: 'Date Applied',
+    status: 'Stage',
+    notes: 'Comments',
+  });
+
+  const json = parseImportFile(JSON.stringify({ applications: [{ company: 'Acme', role: 'PM', applied: 45000 }] }), 'jobs.json');
+  assert.deepEqual(json.records, [{ company: 'Acme', role: 'PM', applied: '45000' }]);
+
+  assert.throws(() => parseImportFile('   '), /empty/);
+  assert.throws(() => parseImportFile('{oops', 'x.json'), /valid JSON/);
+  assert.throws(() => parseImportFile('Company\n'), /No rows/);
+});
+
+test('dates and statuses normalize from common spreadsheet formats', () => {
+  assert.equal(normalizeImportDate('2026-06-01T09:30:00Z'), '2026-06-01');
+  assert.equal(normalizeImportDate('6/1/2026'), '2026-06-01');
+  assert.equal(normalizeImportDate('25/12/25'), '2025-12-25');
+  assert.equal(normalizeImportDate('45000'), '2023-03-15');
+  assert.equal(normalizeImportDate('Jun 3, 2026'), '2026-06-03');
+  assert.equal(normalizeImportDate('2/30/2026'), null);
+  assert.equal(normalizeImportDate('soon'), null);
+
+  assert.equal(normalizeImportStatus(''), 'applied');
+  assert.equal(normalizeImportStatus('Final round'), 'interviewed');
+  assert.equal(normalizeImportStatus('Offer!'), 'offers');
+  assert.equal(normalizeImportStatus('Not moving forward'), 'rejected');
+  assert.equal(normalizeImportStatus('Submitted'), 'applied');
+});
+
+test('the dry run flags duplicates against the pipeline and within the file', () => {
+  const { records, columns } = parseImportFile([
+    'Company,Position,Date,Status,Notes',
+    'Acme Corp,Content Manager,2026-05-01,,',
+    ' acme corp ,Writer,2026-05-02,interview,',
+    'ACME CORP,writer,2026-05-03,,',
+    'Beta,Analyst,someday,,',
+    ',Analyst,2026-05-04,,',
+  ].join('\n'));
+  const categorizedEmails = {
+    applied: [{ company_name: 'Acme Corp', position: 'Content Manager', date: '2026-06-03T12:00:00Z' }],
+  };
+
+  const { rows, counts } = buildImportPreview({
+    records,
+    mapping: guessColumnMapping(columns),
+    categorizedEmails,
+    now: NOW,
+  });
+  assert.deepEqual(rows.map((row) => row.status), ['duplicate', 'ready', 'duplicate', 'invalid', 'invalid']);
+  assert.deepEqual(counts, { ready: 1, duplicate: 2, invalid: 2 });
+  assert.equal(rows[0].line, 2);
+  assert.match(rows[2].error, /earlier in this file/);
+  assert.deepEqual(rows[1].value, {
+    company: 'acme corp',
+    position: 'Writer',
+    appliedOn: '2026-05-02',
+    source: 'import',
+    link: '',
+    stage: 'interviewed',
+    notes: '',
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * @file popup/src/utils/compensation.mjs
+ * @description Pulls pay out of recruiter emails and offer letters: a currency
+ * amount or range, whether it is hourly, monthly or annual, and whether equity
+ * (RSUs, stock options) is mentioned. Heuristic and local, like the interview
+ * details parser.
+ *
+ * An email can name several amounts (a relocation stipend, a referral bonus,
+ * a $50 gift card), so every amount is scored by what surrounds it: a salary
+ * word on the same line, a range, a stated pay period. The best-scoring one
+ * wins, and an amount with none of those is ignored.
+ *
+ * Kept as a pure module so it runs under `node --test`.
+ */
+
+import { emailPlainText } from './emailText.mjs';
+
+const CURRENCY_SYMBOLS = [
+  ['US$', 'USD'], ['CA$', 'CAD'], ['C$', 'CAD'], ['AU$', 'AUD'], ['A$', 'AUD'],
+  ['$', 'USD'], ['£', 'GBP'], ['€', 'EUR'], ['₹', 'INR'],
+];
+const CURRENCY_CODES = ['USD', 'CAD', 'AUD', 'EUR', 'GBP', 'INR', 'CHF', 'SGD'];
+
+const escapeRegex = (text) => text.replace(/[$]/g, '\\$');
+const SYMBOL_PATTERN = CURRENCY_SYMBOLS.map(([symbol]) => escapeRegex(symbol)).join('|');
+const CODE_PATTERN = CURRENCY_CODES.join('|');
+const NUMBER_PATTERN = '\\d{1,3}(?:[,.]\\d{3})+(?:\\.\\d{1,2})?|\\d+(?:\\.\\d{1,2})?';
+const SCALE_PATTERN = '(?:k|K|m|M|mm|million)(?![a-zA-Z])';
+// "$120k", "USD 120,000", "120,000 USD", "€45.000".
+const AMOUNT_SOURCE = `(?:(${SYMBOL_PATTERN})\\s?|\\b(${CODE_PATTERN})\\s?)(${NUMBER_PATTERN})\\s?(${SCALE_PATTERN})?(?:\\s?(${CODE_PATTERN})\\b)?`
+  + `|\\b(${NUMBER_PATTERN})\\s?(${SCALE_PATTERN})?\\s?(${CODE_PATTERN})\\b`;
+const AMOUNT_PATTERN = new RegExp(AMOUNT_SOURCE, 'g');
+const RANGE_SEPARATOR = /^\s*(?:-|–|—|to|and)\s*/i;
+// The upper bound may drop the currency ("$120,000 - 150,000").
+const UPPER_AMOUNT_PATTERN = new RegExp(
+  `^(?:(?:${SYMBOL_PATTERN}|\\b(?:${CODE_PATTERN}))\\s?)?(${NUMBER_PATTERN})\\s?(${SCALE_PATTERN})?(?:\\s?(?:${CODE_PATTERN})\\b)?`,
+);
+
+const PERIOD_PATTERNS = [
+  ['hour', /^\s*(?:\/\s*|per\s+|an?\s+)(?:hour|hr)\b|^\s*hourly\b/i],
+  ['month', /^\s*(?:\/\s*|per\s+|a\s+)(?:month|mo)\b|^\s*monthly\b/i],
+  ['year', /^\s*(?:\/\s*|per\s+|an?\s+)(?:year|yr|annum)\b|^\s*(?:annually|yearly|annual)\b/i],
+];
+const LINE_PERIOD_PATTERNS = [
+  ['hour', /\bhourly\b|\bper hour\b/i],
+  ['year', /\bannual(?:ly)?\b|\byearly\b|\bper (?:year|annum)\b/i],
+];
+
+const SALARY_WORDS = /\b(?:salary|salaries|compensation|comp|pay|paid|wage|rate|base|OTE|earnings|range|stipend)\b/i;
+// Lines about these name amounts that are not the salary.
+const OTHER_AMOUNT_WORDS = /\b(?:sign[- ]?on|signing|relocation|referral|gift card|reimburs\w*|fee|equity|RSUs?|stock|shares|options|bonus)\b/i;
+const EQUITY_PATTERN = /\b(?:RSUs?|restricted stock(?: units?)?|stock options?|equity (?:grant|package|award|compensation|stake)|(?:ISOs?|NSOs?)\b|\d[\d,.]*\s+(?:shares|options)\b)/i;
+
+const MIN_SCORE = 2;
+const MIN_ANNUAL = 10_000;
+const MAX_HOURLY = 500;
+
+function parseNumber(raw, scale) {
+  let digits = raw;
+  if (/^\d{1,3}([,.])\d{3}(?:\1\d{3})*(?:[.,]\d{1,2})?$/.test(raw)) {
+    const separator = raw[raw.search(/[,.]/)];
+    const decimal = separator === ',' ? '.' : ',';
+    digits = raw.split(separator).join('').replace(decimal, '.');
+  }
+  const value = Number(digits);
+  if (!Number.isFinite(value)) return null;
+  if (!scale) return value;
+  return /^k$/i.test(scale) ? value * 1_000 : value * 1_000_000;
+}
+
+function currencyFor(symbol, code) {
+  if (code) return code.toUpperCase();
+  return CURRENCY_SYMBOLS.find(([entry]) => entry === symbol)?.[1] || 'USD';
+}
+
+function findPeriod(after, line) {
+  for (const [period, pattern] of PERIOD_PATTERNS) {
+    if (pattern.test(after)) return period;
+  }
+  for (const [period, pattern] of LINE_PERIOD_PATTERNS) {
+    if (pattern.test(line)) return period;
+  }
+  return null;
+}
+
+function readUpperBound(line, start) {
+  const separator = line.slice(start).match(RANGE_SEPARATOR);
+  if (!separator) return null;
+  const match = line.slice(start + separator[0].length).match(UPPER_AMOUNT_PATTERN);
+  if (!match) return null;
+  return { number: match[1], scale: match[2], length: separator[0].length + match[0].length };
+}
+
+function candidatesInLine(line) {
+  const candidates = [];
+  AMOUNT_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = AMOUNT_PATTERN.exec(line))) {
+    const [text, symbol, leadingCode, number, scale, trailingCode, bareNumber, bareScale, bareCode] = match;
+    const amount = number || bareNumber;
+    const amountScale = scale || bareScale;
+    let min = parseNumber(amount, amountScale);
+    if (min === null || min <= 0) continue;
+    let max = null;
+    let end = match.index + text.length;
+
+    const upper = readUpperBound(line, end);
+    if (upper) {
+      // "$120-150k": the upper bound's scale applies to both.
+      const lower = !amountScale && upper.scale ? parseNumber(amount, upper.scale) : min;
+      const value = parseNumber(upper.number, upper.scale);
+      if (value > lower) {
+        min = lower;
+        max = value;
+        end += upper.length;
+      }
+    }
+    candidates.push({ currency: currencyFor(symbol, leadingCode || trailingCode || bareCode), min, max, end, line });
+    AMOUNT_PATTERN.lastIndex = end;
+  }
+  return candidates;
+}
+
+function scoreCandidate(candidate) {
+  const period = findPeriod(candidate.line.slice(candidate.end), candidate.line);
+  const salaryLine = SALARY_WORDS.test(candidate.line);
+  if (!salaryLine && OTHER_AMOUNT_WORDS.test(candidate.line)) return null;
+  const top = candidate.max ?? candidate.min;
+  // Without a stated period, the size of the number is the best hint.
+  const inferred = period || (top <= MAX_HOURLY ? 'hour' : top >= MIN_ANNUAL ? 'year' : null);
+  if (!inferred) return null;
+  if (inferred === 'hour' && top > MAX_HOURLY) return null;
+  if (inferred === 'year' && top < MIN_ANNUAL) return null;
+  const score = (salaryLine ? 3 : 0) + (candidate.max ? 2 : 0) + (period ? 2 : 0);
+  return score >= MIN_SCORE ? { score, period: inferred } : null;
+}
+
+/**
+ * Compensation stated in an email, or null when there is none.
+ * @param {object} email
+ * @returns {{currency: string, min: number|null, max: number|null, period: 'hour'|'month'|'year'|null, equity: boolean}|null}
+ */
+export function extractCompensation(email) {
+  const text = emailPlainText(email);
+  if (!text) return null;
+  let best = null;
+  for (const line of text.split('\n')) {
+    for (const candidate of candidatesInLine(line)) {
+      const scored = scoreCandidate(candidate);
+      if (scored && (!best || scored.score > best.score)) best = { ...candidate, ...scored };
+    }
+  }
+  const equity = EQUITY_PATTERN.test(text);
+  if (!best && !equity) return null;
+  return {
+    currency: best?.currency || null,
+    min: best?.min ?? null,
+    max: best?.max ?? null,
+    period: best?.period || null,
+    equity,
+  };
+}
+
+const parsedByEmail = new WeakMap();
+
+function compensationFor(email) {
+  if (!email || typeof email !== 'object') return null;
+  if (!parsedByEmail.has(email)) parsedByEmail.set(email, extractCompensation(email));
+  return parsedByEmail.get(email);
+}
+
+/**
+ * Copies categorizedEmails with `compensation` set on every email (null when
+ * none is stated). Parsing is cached per email object, so re-running this on
+ * the same emails is cheap.
+ */
+export function attachCompensation(categorizedEmails) {
+  const result = {};
+  for (const [category, emails] of Object.entries(categorizedEmails || {})) {
+    result[category] = Array.isArray(emails)
+      ? emails.map((email) => ({ ...email, compensation: compensationFor(email) }))
+      : emails;
+  }
+  return result;
+}
+
+/**
+ * Compensation for an application group: the newest email that states an
+ * amount (a later offer letter beats the recruiter's first range), with equity
+ * flagged if any email mentions it.
+ */
+export function groupCompensation(emails) {
+  const stated = (emails || [])
+    .map((email) => ({ email, compensation: email?.compensation ?? compensationFor(email) }))
+    .filter((entry) => entry.compensation);
+  if (stated.length === 0) return null;
+  const byDate = [...stated].sort((a, b) => new Date(b.email?.date || 0) - new Date(a.email?.date || 0));
+  const withAmount = byDate.find((entry) => entry.compensation.min !== null);
+  const equity = stated.some((entry) => entry.compensation.equity);
+  return withAmount ? { ...withAmount.compensation, equity } : { ...byDate[0].compensation, equity };
+}
+
+const PERIOD_SUFFIXES = { hour: '/hr', month: '/mo', year: '/yr' };
+
+function formatAmount(value, currency, compact) {
+  const options = compact
+    ? { style: 'currency', currency, notation: 'compact', minimumFractionDigits: 0, maximumFractionDigits: 1 }
+    : { style: 'currency', currency, minimumFractionDigits: Number.isInteger(value) ? 0 : 2, maximumFractionDigits: 2 };
+  try {
+    return new Intl.NumberFormat('en-US', options).format(value);
+  } catch {
+    return `${value} ${currency}`;
+  }
+}
+
+/** Short label for chips and report cells, e.g. "$120K–$150K/yr + equity". */
+export function formatCompensation(compensation) {
+  if (!compensation) return '';
+  const parts = [];
+  if (compensation.min !== null) {
+    const compact = compensation.period !== 'hour';
+    const min = formatAmount(compensation.min, compensation.currency, compact);
+    const range = compensation.max ? `${min}–${formatAmount(compensation.max, compensation.currency, compact)}` : min;
+    parts.push(`${range}${PERIOD_SUFFIXES[compensation.period] || ''}`);
+  }
+  if (compensation.equity) parts.push(parts.length ? '+ equity' : 'Equity');
+  return parts.join(' ');
+}
@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { attachCompensation, extractCompensation, formatCompensation, groupCompensation } from './compensation.mjs';
+import { buildActivityRows } from './searchActivityReport.mjs';
+import { buildActivityExportTable } from './searchActivityExport.mjs';
+
+const email = (body, overrides = {}) => ({
+  id: `e-${Math.random()}`,
+  date: '2026-06-03T12:00:00Z',
+  subject: 'Next steps',
+  company_name: 'Acme',
+  position: 'Designer',
+  thread_id: 't-1',
+  body,
+  ...overrides,
+});
+
+test('reads annual ranges, hourly rates and equity mentions', () => {
+  assert.deepEqual(
+    extractCompensation(email('The salary range for this role is $120,000 - $150,000 per year, plus RSUs.')),
+    { currency: 'USD', min: 120000, max: 150000, period: 'year', equity: true },
+  );
+  assert.deepEqual(
+    extractCompensation(email('Pay: $45-55/hr, weekly schedule.')),
+    { currency: 'USD', min: 45, max: 55, period: 'hour', equity: false },
+  );
+  // The range's scale applies to both ends; the sign-on bonus is not the salary.
+  const offer = extractCompensation(email('We can offer a base of $120-150k.\nYou will also get a $10,000 signing bonus.'));
+  assert.deepEqual([offer.min, offer.max, offer.period], [120000, 150000, 'year']);
+  assert.equal(extractCompensation(email('The compensation is 85.000 EUR annually.')).currency, 'EUR');
+  assert.equal(formatCompensation(offer), '$120K–$150K/yr');
+  assert.equal(formatCompensation({ currency: 'USD', min: 32.5, max: null, period: 'hour', equity: true }), '$32.50/hr + equity');
+});
+
+test('ignores stray amounts and never parses encrypted fields', () => {
+  assert.equal(extractCompensation(email('Enjoy a $50 gift card for your time.')), null);
+  assert.equal(extractCompensation(email('We just closed a $5M Series A.')), null);
+  assert.equal(extractCompensation(email('enc:v1:c2FsYXJ5ICQxMjAsMDAw', { subject: 'enc:v1:abc', html_body: 'enc:v2:xyz' })), null);
+});
+
+test('groups, report rows and the export pick up the newest stated pay', () => {
+  const categorized = attachCompensation({
+    applied: [email('The pay range is $100,000 - $120,000.', { date: '2026-06-01T12:00:00Z' })],
+    offers: [email('Your base salary will be $118,000. You will also receive stock options.', { date: '2026-06-20T12:00:00Z' })],
+  });
+  assert.equal(categorized.applied[0].compensation.max, 120000);
+
+  const compensation = groupCompensation([...categorized.applied, ...categorized.offers]);
+  assert.deepEqual(compensation, { currency: 'USD', min: 118000, max: null, period: 'year', equity: true });
+
+  const rows = buildActivityRows(categorized);
+  assert.deepEqual(rows[0].compensation, compensation);
+  const [header, row] = buildActivityExportTable(rows);
+  assert.equal(row[header.indexOf('Compensation')], '$118K/yr + equity');
+});
@@ -0,0 +1,165 @@
+/**
+ * @file popup/src/utils/contacts.mjs
+ * @description The recruiters and hiring managers behind the synced emails: one
+ * contact per sender, with their company, the roles they wrote about, and a
+ * timeline of their messages. Built locally from categorizedEmails on every
+ * render; nothing is stored. Kept dependency-free for `node --test`;
+ * `getApplicationKey` is injected as in mergeManualApplications.
+ */
+
+import { RECRUITING_PLATFORMS, getCompanyDomain, isGenericDomain } from './senderCompany.mjs';
+import { safeTextValue } from './sensitiveContent.mjs';
+
+// A contact who wrote within this many days is warm; after that they have
+// gone quiet and are cold.
+export const WARM_CONTACT_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CONTACT_CATEGORIES = ['applied', 'interviewed', 'offers', 'rejected'];
+const AUTOMATED_USERNAME = /^(?:no-?reply|do-?not-?reply|notifications?|mailer-daemon|postmaster|bounces?)\b/i;
+// Display names that belong to a system or a team rather than a person.
+const NON_PERSON_NAME = /\b(?:team|careers|recruiting|recruitment|talent|hiring|jobs|notifications?|no-?reply|workday|greenhouse|lever|ashby|icims|smartrecruiters)\b/i;
+
+/**
+ * Splits a From header into a display name and a lowercased address.
+ * @returns {{name: string, address: string}|null}
+ */
+export function parseSender(from) {
+  const text = safeTextValue(from, '').trim();
+  if (!text) return null;
+  const angled = text.match(/^(.*?)<\s*([^<>\s]+@[^<>\s]+)\s*>\s*$/);
+  const address = (angled ? angled[2] : text.match(/[^\s<>"]+@[^\s<>"]+/)?.[0] || '').toLowerCase();
+  if (!address) return null;
+  const name = (angled ? angled[1] : '').replace(/^["'\s]+|["'\s]+$/g, '').trim();
+  return { name, address };
+}
+
+// "jane.doe@acme.com" -> "Jane Doe", for senders without a display name.
+function nameFromAddress(address) {
+  return address.split('@')[0]
+    .split(/[._-]+/)
+    .filter((part) => /^[a-z]+$/i.test(part))
+    .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+    .join(' ');
+}
+
+function isSharedSender(address) {
+  const [username, domain = ''] = address.split('@');
+  const mainDomain = domain.split('.').slice(-2, -1)[0] || '';
+  return AUTOMATED_USERNAME.test(username) || RECRUITING_PLATFORMS.includes(mainDomain);
+}
+
+/**
+ * Who a message is from, as a contact identity. Shared sending addresses
+ * (no-reply, ATS platforms) count as a person only when the display name is
+ * one, and are then told apart by that name.
+ * @returns {{id: string, name: string, address: string}|null}
+ */
+export function contactIdentity(email, ownAddress) {
+  const sender = parseSender(email?.from || email?.sender);
+  if (!sender || sender.address === ownAddress) return null;
+  if (!isSharedSender(sender.address)) {
+    return { id: sender.address, name: sender.name || nameFromAddress(sender.address), address: sender.address };
+  }
+  const words = sender.name.split(/\s+/).filter(Boolean);
+  if (words.length < 2 || words.length > 4 || NON_PERSON_NAME.test(sender.name) || /[@\d]/.test(sender.name)) return null;
+  return { id: `${sender.name.toLowerCase()}|${sender.address}`, name: sender.name, address: sender.address };
+}
+
+// The company a sender's domain points at, or '' for webmail and ATS
+// addresses whose company the heuristics could not find.
+function companyFromSender(address, email) {
+  const identifier = getCompanyDomain(address, email);
+  if (!identifier || isGenericDomain(identifier) || RECRUITING_PLATFORMS.includes(identifier)) return '';
+  return identifier.charAt(0).toUpperCase() + identifier.slice(1);
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  for (const value of values) if (value) counts.set(value, (counts.get(value) || 0) + 1);
+  let best = '';
+  for (const [value, count] of counts) if (!best || count > counts.get(best)) best = value;
+  return best;
+}
+
+/**
+ * 'warm' when the contact wrote within WARM_CONTACT_DAYS, else 'cold'.
+ * @param {number|null} lastContactAt
+ * @param {number} now
+ */
+export function contactWarmth(lastContactAt, now) {
+  return Number.isFinite(lastContactAt) && now - lastContactAt <= WARM_CONTACT_DAYS * DAY_MS ? 'warm' : 'cold';
+}
+
+/**
+ * One entry per person who wrote about an application, most recent first.
+ * @param {Record<string, Array<object>>} categorizedEmails
+ * @param {{now: number, userEmail?: string, getApplicationKey: (email: object) => string}} options
+ * @returns {Array<{id: string, name: string, address: string, company: string,
+ *   roles: Array<{key: string, company: string, position: string}>,
+ *   lastContactAt: number|null, warmth: 'warm'|'cold',
+ *   timeline: Array<{id: string, threadId: string, date: number|null, subject: string, category: string, company: string, position: string}>}>}
+ */
+export function buildContacts(categorizedEmails, { now, userEmail = '', getApplicationKey }) {
+  const ownAddress = String(userEmail || '').trim().toLowerCase();
+  const byId = new Map();
+  const seenMessages = new Set();
+
+  for (const category of CONTACT_CATEGORIES) {
+    for (const email of categorizedEmails?.[category] || []) {
+      if (!email?.id || email.isManual || seenMessages.has(email.id)) continue;
+      const identity = contactIdentity(email, ownAddress);
+      if (!identity) continue;
+      seenMessages.add(email.id);
+
+      let entry = byId.get(identity.id);
+      if (!entry) {
+        entry = { ...identity, emails: [] };
+        byId.set(identity.id, entry);
+      }
+      entry.emails.push({ email, category });
+    }
+  }
+
+  const contacts = [];
+  for (const entry of byId.values()) {
+    const timeline = entry.emails
+      .map(({ email, category }) => {
+        const time = new Date(email.date || 0).getTime();
+        return {
+          id: String(email.id),
+          threadId: String(email.thread_id || email.threadId || email.id),
+          date: Number.isFinite(time) && time > 0 ? time : null,
+          subject: safeTextValue(email.subject, '(No subject)'),
+          category,
+          company: safeTextValue(email.company_name || email.company, ''),
+          position: safeTextValue(email.position || email.job_title, ''),
+        };
+      })
+      .sort((a, b) => (b.date || 0) - (a.date || 0));
+
+    const roles = new Map();
+    for (const { email } of entry.emails) {
+      const company = safeTextValue(email.company_name || email.company, '');
+      const position = safeTextValue(email.position || email.job_title, '');
+      if (!company && !position) continue;
+      const key = getApplicationKey(email);
+      if (!roles.has(key)) roles.set(key, { key, company, position });
+    }
+
+    const lastContactAt = timeline[0]?.date ?? null;
+    contacts.push({
+      id: entry.id,
+      name: entry.name || entry.address,
+      address: entry.address,
+      company: mostCommon(timeline.map((item) => item.company))
+        || companyFromSender(entry.address, entry.emails[0].email),
+      roles: [...roles.values()],
+      lastContactAt,
+      warmth: contactWarmth(lastContactAt, now),
+      timeline,
+    });
+  }
+
+  return contacts.sort((a, b) => (b.lastContactAt || 0) - (a.lastContactAt || 0));
+}
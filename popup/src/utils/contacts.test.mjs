@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildContacts, parseSender } from './contacts.mjs';
+import { getApplicationKey } from '../../../shared/applicationKey.mjs';
+
+const NOW = new Date('2026-06-20T12:00:00Z').getTime();
+
+const email = (overrides) => ({
+  id: 'e1',
+  thread_id: 't1',
+  date: '2026-06-18T12:00:00Z',
+  subject: 'Next steps',
+  company_name: 'Acme',
+  position: 'Designer',
+  ...overrides,
+});
+
+test('reads the display name and address from a From header', () => {
+  assert.deepEqual(parseSender('"Jane Doe" <Jane.Doe@Acme.com>'), { name: 'Jane Doe', address: 'jane.doe@acme.com' });
+  assert.deepEqual(parseSender('jane@acme.com'), { name: '', address: 'jane@acme.com' });
+  assert.equal(parseSender('Jane Doe'), null);
+});
+
+test('one contact per person with their roles, timeline and warmth', () => {
+  const contacts = buildContacts({
+    applied: [
+      email({ id: 'a1', from: 'Jane Doe <jane@acme.com>', date: '2026-05-01T12:00:00Z' }),
+      email({ id: 'a2', from: 'no-reply@acme.com' }),
+      email({ id: 'a3', from: 'Me <me@example.com>' }),
+    ],
+    interviewed: [
+      email({ id: 'i1', thread_id: 't2', from: 'Jane Doe <jane@acme.com>', position: 'Senior Designer' }),
+      email({ id: 'i2', thread_id: 't3', from: 'bob.smith@globex.com', company_name: 'Globex', position: 'Engineer', date: '2026-04-01T12:00:00Z' }),
+    ],
+  }, { now: NOW, userEmail: 'me@example.com', getApplicationKey });
+
+  assert.deepEqual(contacts.map((contact) => contact.name), ['Jane Doe', 'Bob Smith']);
+  const [jane, bob] = contacts;
+  assert.equal(jane.company, 'Acme');
+  assert.deepEqual(jane.roles.map((role) => role.position), ['Designer', 'Senior Designer']);
+  assert.deepEqual(jane.timeline.map((item) => item.id), ['i1', 'a1']);
+  assert.equal(jane.warmth, 'warm');
+  assert.equal(bob.warmth, 'cold');
+});
+
+test('ATS senders count only when a person signs, and the username names the company', () => {
+  const contacts = buildContacts({
+    applied: [
+      email({ id: 'a1', from: 'Workday <ncsecu@myworkday.com>', company_name: '', position: '' }),
+      email({ id: 'a2', from: 'Dana Lee <ncsecu@myworkday.com>', company_name: '', position: '' }),
+      email({ id: 'a3', from: 'Sam Rivera <no-reply@hire.lever.co>', company_name: 'Quillworks' }),
+    ],
+  }, { now: NOW, getApplicationKey });
+
+  assert.deepEqual(contacts.map((contact) => [contact.name, contact.company]), [
+    ['Dana Lee', 'Ncsecu'],
+    ['Sam Rivera', 'Quillworks'],
+  ]);
+});
@@ -0,0 +1,23 @@
+/**
+ * @file popup/src/utils/downloadFile.js
+ * @description Saves generated bytes or text as a file from the popup, through
+ * a temporary object URL.
+ */
+
+/**
+ * @param {BlobPart|BlobPart[]} content
+ * @param {string} fileName
+ * @param {string} mimeType
+ */
+export function downloadFile(content, fileName, mimeType) {
+  const blob = new Blob(Array.isArray(content) ? content : [content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const anchor = document.createElement('a');
+  anchor.href = url;
+  anchor.download = fileName;
+  document.body.appendChild(anchor);
+  anchor.click();
+  anchor.remove();
+  // Revoking synchronously can cancel the download in Chrome before it starts.
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
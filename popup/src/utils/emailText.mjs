@@ -0,0 +1,45 @@
+/**
+ * @file popup/src/utils/emailText.mjs
+ * @description Plain text of an email for the local parsers (interview details,
+ * compensation). Kept as a pure module so it runs under `node --test`.
+ */
+
+import { safeTextValue } from './sensitiveContent.mjs';
+
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&amp;/gi, '&')
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;|&apos;/gi, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)));
+}
+
+function htmlToText(html) {
+  return decodeEntities(
+    html
+      .replace(/<(style|script|head)[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<a\s[^>]*href="([^"]+)"[^>]*>/gi, ' $1 ')
+      .replace(/<br\s*\/?>|<\/(?:p|div|tr|li|h\d|table)>/gi, '\n')
+      .replace(/<[^>]+>/g, ' '),
+  );
+}
+
+/**
+ * Plain text for an email: subject, then body without the quoted history.
+ * Encrypted (`enc:v*:`) fields read as empty and are never parsed.
+ */
+export function emailPlainText(email) {
+  const html = safeTextValue(email?.html_body);
+  const body = html ? htmlToText(html) : safeTextValue(email?.body) || safeTextValue(email?.preview) || safeTextValue(email?.snippet);
+  const withoutQuotes = body
+    .split(/\n\s*On\s.{0,120}\swrote:|\n-{2,}\s*(?:Original|Forwarded) Message/i)[0];
+  const lines = [safeTextValue(email?.subject), withoutQuotes]
+    .join('\n')
+    .split('\n')
+    .map((line) => line.replace(/[ \t ]+/g, ' ').trim())
+    .filter(Boolean);
+  return lines.join('\n');
+}
@@ -0,0 +1,132 @@
+/**
+ * @file popup/src/utils/followUpVariables.mjs
+ * @description The values a follow-up template is filled with, read from the
+ * emails of one application: company, position, the recruiter's first name
+ * (and address, for the compose window), days since applying and the
+ * interview date. Values that cannot be found are left null so
+ * fillFollowUpTemplate can report them. Also turns a follow-up suggestion into
+ * a ready-to-open Gmail draft. Kept dependency-free for `node --test`.
+ */
+
+import { contactIdentity } from './contacts.mjs';
+import { parseInterviewDetails } from './interviewDetails.mjs';
+import { safeTextValue } from './sensitiveContent.mjs';
+import { fillFollowUpTemplate, replySubject } from '../../../shared/followUpTemplates.mjs';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function sentAt(email) {
+  const time = new Date(email?.date || 0).getTime();
+  return Number.isFinite(time) && time > 0 ? time : null;
+}
+
+// The interview's day as the templates write it ("Wednesday, June 24"), or
+// null when the email names none.
+function interviewDateOf(email) {
+  const details = parseInterviewDetails(email);
+  if (!details) return null;
+  return new Date(details.start).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
+}
+
+function firstValue(emails, read) {
+  for (const email of emails) {
+    const value = safeTextValue(read(email), '').trim();
+    if (value) return value;
+  }
+  return null;
+}
+
+/**
+ * @param {Array<object>} emails - The application's emails (a thread or group).
+ * @param {{now: number, userEmail?: string}} options
+ * @returns {{variables: {company: string|null, position: string|null,
+ *   recruiter_first_name: string|null, days_since_applied: number|null,
+ *   interview_date: string|null}, recipient: string,
+ *   thread: {id: string, subject: string}|null}} `thread` is the newest Gmail
+ *   thread, for replying in it; manual entries have none.
+ */
+export function buildFollowUpVariables(emails, { now, userEmail = '' }) {
+  const ownAddress = String(userEmail || '').trim().toLowerCase();
+  const newestFirst = (emails || [])
+    .filter(Boolean)
+    .slice()
+    .sort((a, b) => (sentAt(b) || 0) - (sentAt(a) || 0));
+
+  // The most recent person (not a no-reply address, not the user) who wrote.
+  let recruiter = null;
+  for (const email of newestFirst) {
+    if (email.isManual) continue;
+    recruiter = contactIdentity(email, ownAddress);
+    if (recruiter) break;
+  }
+
+  const dated = newestFirst.filter((email) => sentAt(email) !== null);
+  const appliedEmails = dated.filter((email) => (email.category || '').toLowerCase() === 'applied');
+  const appliedAt = sentAt((appliedEmails.length ? appliedEmails : dated).at(-1));
+
+  const threadEmail = newestFirst.find((email) => !email.isManual && (email.thread_id || email.threadId));
+
+  let interviewDate = null;
+  for (const email of dated) {
+    if ((email.category || '').toLowerCase() !== 'interviewed') continue;
+    interviewDate = interviewDateOf(email);
+    if (interviewDate) break;
+  }
+
+  return {
+    variables: {
+      company: firstValue(newestFirst, (email) => email.company_name || email.company),
+      position: firstValue(newestFirst, (email) => email.position || email.job_title),
+      recruiter_first_name: recruiter?.name.split(/\s+/)[0] || null,
+      days_since_applied: appliedAt === null ? null : Math.max(0, Math.floor((now - appliedAt) / DAY_MS)),
+      interview_date: interviewDate,
+    },
+    recipient: recruiter?.address || '',
+    thread: threadEmail
+      ? { id: String(threadEmail.thread_id || threadEmail.threadId), subject: safeTextValue(threadEmail.subject, '') }
+      : null,
+  };
+}
+
+// Which template answers which kind of suggestion; see
+// DEFAULT_FOLLOW_UP_TEMPLATES. Falls back to the user's first template when
+// they removed the default.
+function templateForSuggestion(suggestion, templates) {
+  const actionType = String(suggestion?.actionType || suggestion?.type || '').toLowerCase();
+  const category = String(suggestion?.category || '').toLowerCase();
+  const preferredId = actionType === 'thank_you'
+    ? 'default_thank_you'
+    : category === 'interviewed' ? 'default_post_interview' : 'default_check_in';
+  return templates.find((template) => template.id === preferredId) || templates[0] || null;
+}
+
+/**
+ * A Gmail draft for a follow-up suggestion: a reply in the suggestion's
+ * thread, to the person who wrote it, with the matching template filled in.
+ * The interview date is read from the suggestion's own email (its subject and
+ * snippet), as buildFollowUpVariables does for a thread.
+ * @param {object} suggestion - A follow-up suggestion (see useFollowUps).
+ * @param {{templates: Array<object>, userEmail?: string}} options
+ * @returns {{threadId: string|null, to: string, subject: string, body: string}}
+ */
+export function buildSuggestionDraft(suggestion, { templates, userEmail = '' }) {
+  const threadId = suggestion?.threadId || suggestion?.thread_id || null;
+  const sender = contactIdentity({ from: suggestion?.from || suggestion?.sender }, String(userEmail || '').trim().toLowerCase());
+  const template = templateForSuggestion(suggestion, templates || []);
+  const filled = template
+    ? fillFollowUpTemplate(template, {
+      company: safeTextValue(suggestion?.company, '') || null,
+      position: safeTextValue(suggestion?.position, '') || null,
+      recruiter_first_name: sender?.name.split(/\s+/)[0] || null,
+      days_since_applied: Number.isFinite(suggestion?.daysAgo) ? suggestion.daysAgo : null,
+      interview_date: interviewDateOf(suggestion),
+    })
+    : { subject: '', body: '' };
+  const originalSubject = safeTextValue(suggestion?.subject, '');
+  return {
+    threadId: threadId ? String(threadId) : null,
+    to: sender?.address || '',
+    subject: threadId && originalSubject ? replySubject(originalSubject) : filled.subject,
+    body: filled.body,
+  };
+}
@@ -0,0 +1,100 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildFollowUpVariables, buildSuggestionDraft } from './followUpVariables.mjs';
+import { normalizeFollowUpTemplates } from '../../../shared/followUpTemplates.mjs';
+
+const NOW = new Date('2026-06-20T12:00:00Z').getTime();
+
+const email = (overrides) => ({
+  id: 'e1',
+  thread_id: 't1',
+  date: '2026-06-18T12:00:00Z',
+  subject: 'Your application',
+  company_name: 'Acme',
+  position: 'Designer',
+  category: 'applied',
+  ...overrides,
+});
+
+test('reads the variables from an application thread', () => {
+  const { variables, recipient, thread } = buildFollowUpVariables([
+    email({ id: 'a1', from: 'Acme Careers <no-reply@acme.com>', date: '2026-06-10T12:00:00Z' }),
+    email({
+      id: 'i1',
+      from: 'Jane Doe <jane@acme.com>',
+      category: 'interviewed',
+      date: '2026-06-15T12:00:00Z',
+      subject: 'Interview invitation',
+      body: 'Could you meet with us on June 24, 2026 at 10:00 AM ET?',
+    }),
+    email({ id: 'm1', from: 'Me <me@example.com>', category: 'interviewed', date: '2026-06-16T12:00:00Z' }),
+  ], { now: NOW, userEmail: 'me@example.com' });
+
+  assert.equal(recipient, 'jane@acme.com');
+  assert.deepEqual(thread, { id: 't1', subject: 'Your application' });
+  assert.deepEqual(variables, {
+    company: 'Acme',
+    position: 'Designer',
+    recruiter_first_name: 'Jane',
+    days_since_applied: 10,
+    interview_date: 'Wednesday, June 24',
+  });
+});
+
+test('leaves what it cannot find empty', () => {
+  const { variables, recipient, thread } = buildFollowUpVariables(
+    [email({ from: 'no-reply@acme.com', company_name: '', position: '', category: 'interviewed', isManual: true })],
+    { now: NOW },
+  );
+  assert.equal(recipient, '');
+  assert.equal(thread, null);
+  assert.equal(variables.company, null);
+  assert.equal(variables.recruiter_first_name, null);
+  assert.equal(variables.interview_date, null);
+  assert.equal(variables.days_since_applied, 2);
+});
+
+test('drafts a reply in the suggestion thread from the matching template', () => {
+  const draft = buildSuggestionDraft({
+    threadId: 't9',
+    from: 'Jane Doe <jane@acme.com>',
+    subject: 'Your interview with Acme',
+    company: 'Acme',
+    position: 'Designer',
+    actionType: 'thank_you',
+    daysAgo: 2,
+  }, { templates: normalizeFollowUpTemplates(undefined) });
+
+  assert.equal(draft.threadId, 't9');
+  assert.equal(draft.to, 'jane@acme.com');
+  assert.equal(draft.subject, 'Re: Your interview with Acme');
+  assert.match(draft.body, /^Hi Jane,\n\nThank you for taking the time/);
+
+  const fallback = buildSuggestionDraft({ from: 'no-reply@acme.com', company: 'Acme', position: 'Designer' }, {
+    templates: [{ id: 'mine', name: 'Mine', subject: 'About {position}', body: 'Hi {recruiter_first_name}' }],
+  });
+  assert.deepEqual(fallback, { threadId: null, to: '', subject: 'About Designer', body: 'Hi there' });
+});
+
+test('thanks for the interview on the day its email names, or a recent call', () => {
+  const templates = normalizeFollowUpTemplates(undefined);
+  const suggestion = {
+    threadId: 't9',
+    from: 'Jane Doe <jane@acme.com>',
+    subject: 'Interview invitation',
+    snippet: 'Could you meet with us on June 17 at 10:00 AM ET?',
+    date: '2026-06-15T12:00:00Z',
+    company: 'Acme',
+    position: 'Designer',
+    actionType: 'thank_you',
+  };
+
+  assert.match(
+    buildSuggestionDraft(suggestion, { templates }).body,
+    /speak with me on Wednesday, June 17 about the Designer role/,
+  );
+  assert.match(
+    buildSuggestionDraft({ ...suggestion, snippet: 'Thanks for chatting with us.' }, { templates }).body,
+    /speak with me on our recent call about the Designer role/,
+  );
+});
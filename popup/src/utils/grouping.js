@@ -1,5 +1,7 @@
 // Utility functions to group emails into conversation threads and count threads
 import { safeTextValue } from './sensitiveContent';
+import { getCompanyDomain, isGenericDomain } from './senderCompany.mjs';
+import { getApplicationKey, normalizeForKey } from '../../../shared/applicationKey.mjs';
 
 /**
  * Enhanced email grouping that considers both thread_id and sender-subject similarity
@@ -13,77 +15,6 @@ import { safeTextValue } from './sensitiveContent';
 export function groupEmailsByThread(emails) {
   const map = new Map();
 
-  const GENERIC_SENDER_DOMAINS = new Set([
-    'gmail',
-    'googlemail',
-    'outlook',
-    'hotmail',
-    'live',
-    'msn',
-    'yahoo',
-    'icloud',
-    'me',
-    'aol',
-    'protonmail'
-  ]);
-
-  const isGenericDomain = (domain) => GENERIC_SENDER_DOMAINS.has((domain || '').toString().trim().toLowerCase());
-  
-  // Helper function to extract company domain from email
-  const getCompanyDomain = (email, emailObject = null) => {
-    if (!email) return '';
-    const match = email.match(/@([^>]+)/);
-    if (!match) return '';
-    const domain = match[1].toLowerCase();
-    
-    // Extract the main domain part (before TLD)
-    // e.g., q2ebanking.com -> q2ebanking, q2.com -> q2, ncsecu.org -> ncsecu
-    const parts = domain.split('.');
-    if (parts.length >= 2) {
-      const mainDomain = parts[parts.length - 2];
-      
-      // Handle recruiting platforms - extract actual company from sender name
-      const recruitingPlatforms = ['myworkday', 'smartrecruiters', 'greenhouse', 'lever', 'ashbyhq', 'icims'];
-      if (recruitingPlatforms.includes(mainDomain) && emailObject) {
-        // Try to extract company name from sender or subject
-        const senderName = emailObject.from?.match(/^([^<]+)</)?.[1]?.toLowerCase() || '';
-        const subject = emailObject.subject?.toLowerCase() || '';
-        
-        // Check sender name for company (e.g., "NCSECU@myworkday.com" -> ncsecu)
-        const usernameMatch = email.match(/^([^@]+)@/);
-        if (usernameMatch && usernameMatch[1] !== 'notification' && usernameMatch[1] !== 'notifications') {
-          const username = usernameMatch[1].toLowerCase().replace(/[^a-z0-9]/g, '');
-          if (username.length >= 3 && username !== mainDomain) {
-            return username; // e.g., "ncsecu" from "ncsecu@myworkday.com"
-          }
-        }
-        
-        // Check sender display name for company indicators
-        const companyMatch = senderName.match(/^([a-z0-9]+(?:\s+[a-z0-9]+)?)\s+(?:hiring|recruitment|talent|careers)/i);
-        if (companyMatch) {
-          return companyMatch[1].replace(/\s+/g, '').toLowerCase();
-        }
-        
-        // Last resort: look for company name in subject
-        const subjectCompanyMatch = subject.match(/^(?:thank\s+you\s+for\s+applying\s+to|interview\s+with|schedule\s+interview\s+with)?\s*([a-z0-9\s&]+?)(?:\s+[-|:]\s+|\s+interview|\s+hiring|\s+application)/i);
-        if (subjectCompanyMatch && subjectCompanyMatch[1].length >= 3) {
-          return subjectCompanyMatch[1].replace(/\s+/g, '').toLowerCase();
-        }
-      }
-      
-      // Check if this looks like a subdomain pattern (e.g., "q2" might be root of "q2ebanking")
-      // Only normalize if the shorter form exists at the start of the longer form
-      // This handles: q2ebanking -> q2, but won't affect unrelated domains
-      const potentialRoot = mainDomain.match(/^([a-z0-9]+?)(ebanking|banking|interviews|hiring|talent|hr|recruitment|careers)$/i);
-      if (potentialRoot && potentialRoot[1].length >= 2) {
-        return potentialRoot[1]; // Return the root part (e.g., "q2" from "q2ebanking")
-      }
-      
-      return mainDomain;
-    }
-    return domain;
-  };
-
   // Helper to extract actual company name from interview emails (especially from ATS platforms)
   const extractCompanyFromInterview = (email) => {
     const subject = email.subject || '';
@@ -371,36 +302,7 @@ export function countUniqueThreads(emails) {
   return groupedEmails.length;
 }
 
-function normalizeForKey(value) {
-  return (value || '')
-    .toString()
-    .trim()
-    .toLowerCase()
-    .replace(/\s+/g, ' ')
-    .replace(/[^a-z0-9 ]/g, '')
-    .trim();
-}
-
-export function getApplicationKey(email) {
-  if (!email) return 'unknown';
-
-  const applicationId = (email.application_id || email.applicationId || '').toString().trim();
-  if (applicationId) return `app_${applicationId}`;
-
-  const companyRaw = email.company_name || email.company || '';
-  const positionRaw = email.position || email.job_title || '';
-  const company = normalizeForKey(companyRaw);
-  const position = normalizeForKey(positionRaw);
-  if (company && position) return `cp_${company}_${position}`;
-
-  const threadId = (email.thread_id || email.threadId || email.thread || '').toString().trim();
-  if (threadId) return `thread_${threadId}`;
-
-  const emailId = (email.id || '').toString().trim();
-  if (emailId) return `email_${emailId}`;
-
-  return 'unknown';
-}
+export { getApplicationKey };
 
 // Counts unique applications (not messages) using backend-linked application_id when available,
 // otherwise falling back to normalized company+position and then thread_id.
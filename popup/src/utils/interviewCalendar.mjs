@@ -0,0 +1,127 @@
+/**
+ * @file popup/src/utils/interviewCalendar.mjs
+ * @description iCalendar (.ics, RFC 5545) export for parsed interviews, so
+ * they can be imported into Google Calendar, Outlook or Apple Calendar without
+ * any calendar API. Times with a known zone are written in UTC; times the
+ * email gave without a zone stay "floating" so they read the same wherever
+ * the file is opened.
+ */
+
+const PRODUCT_ID = '-//Applendium//Interview Calendar//EN';
+const MAX_LINE_OCTETS = 75;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+function formatUtc(timestamp) {
+  const date = new Date(timestamp);
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+function formatLocal(timestamp) {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}T${pad(date.getHours())}${pad(date.getMinutes())}00`;
+}
+
+function formatDate(timestamp) {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+}
+
+/** Escapes a TEXT value (RFC 5545 §3.3.11). */
+export function escapeIcsText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/** Folds a content line at 75 octets without splitting a UTF-8 sequence. */
+export function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= MAX_LINE_OCTETS) return line;
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+  for (const char of line) {
+    const octets = encoder.encode(char).length;
+    // Continuation lines start with a space, which counts toward their limit.
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+export function interviewTitle(interview) {
+  const target = [interview.company, interview.position].filter(Boolean).join(' - ');
+  return target ? `Interview: ${target}` : 'Interview';
+}
+
+function interviewDescription(interview) {
+  const lines = [];
+  if (interview.interviewers?.length) lines.push(`Interviewers: ${interview.interviewers.join(', ')}`);
+  if (interview.meetingUrl) lines.push(`Join: ${interview.meetingUrl}`);
+  else if (interview.meetingLabel) lines.push(`Format: ${interview.meetingLabel}`);
+  if (interview.timeZoneLabel) lines.push(`Time zone in the email: ${interview.timeZoneLabel}`);
+  lines.push('Added from Applendium. Check the original email for changes.');
+  return lines.join('\n');
+}
+
+function eventLines(interview, now) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${interview.threadId || interview.emailId}-${interview.start}@applendium`,
+    `DTSTAMP:${formatUtc(now)}`,
+  ];
+  if (interview.allDay) {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(interview.start)}`, `DTEND;VALUE=DATE:${formatDate(interview.end)}`);
+  } else if (interview.floating) {
+    lines.push(`DTSTART:${formatLocal(interview.start)}`, `DTEND:${formatLocal(interview.end)}`);
+  } else {
+    lines.push(`DTSTART:${formatUtc(interview.start)}`, `DTEND:${formatUtc(interview.end)}`);
+  }
+  lines.push(`SUMMARY:${escapeIcsText(interviewTitle(interview))}`);
+  const location = interview.location || interview.meetingUrl || interview.meetingLabel;
+  if (location) lines.push(`LOCATION:${escapeIcsText(location)}`);
+  if (interview.meetingUrl) lines.push(`URL:${interview.meetingUrl}`);
+  lines.push(`DESCRIPTION:${escapeIcsText(interviewDescription(interview))}`, 'END:VEVENT');
+  return lines;
+}
+
+/**
+ * One VCALENDAR holding every interview given.
+ * @param {Array<object>} interviews - Entries from buildUpcomingInterviews.
+ * @param {{now: number}} options
+ * @returns {string} CRLF-delimited .ics content.
+ */
+export function buildInterviewsIcs(interviews, { now }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...(interviews || []).flatMap((interview) => eventLines(interview, now)),
+    'END:VCALENDAR',
+  ];
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+}
+
+/** A filesystem-safe name for a single interview's .ics download. */
+export function interviewIcsFileName(interview) {
+  const slug = [interview.company, interview.position]
+    .filter(Boolean)
+    .join('-')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+  return `interview-${slug || 'applendium'}-${formatDate(interview.start)}.ics`;
+}
@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildInterviewsIcs, escapeIcsText, foldIcsLine, interviewIcsFileName } from './interviewCalendar.mjs';
+
+const interview = {
+  emailId: 'e1',
+  threadId: 't1',
+  company: 'Acme, Inc.',
+  position: 'Platform Engineer',
+  start: Date.UTC(2026, 5, 16, 15, 0),
+  end: Date.UTC(2026, 5, 16, 16, 0),
+  allDay: false,
+  floating: false,
+  timeZoneLabel: 'ET',
+  meetingProvider: 'meet',
+  meetingLabel: 'Google Meet',
+  meetingUrl: 'https://meet.google.com/abc-defg-hij',
+  location: null,
+  interviewers: ['Jane Doe', 'Raj Patel'],
+};
+
+test('writes a valid calendar with UTC, floating and all-day events', () => {
+  const ics = buildInterviewsIcs([
+    interview,
+    { ...interview, threadId: 't2', floating: true, start: new Date(2026, 5, 18, 15, 30).getTime(), end: new Date(2026, 5, 18, 16, 30).getTime() },
+    { ...interview, threadId: 't3', allDay: true, start: new Date(2026, 5, 19).getTime(), end: new Date(2026, 5, 20).getTime() },
+  ], { now: Date.UTC(2026, 5, 12) });
+
+  const lines = ics.split('\r\n');
+  assert.equal(lines[0], 'BEGIN:VCALENDAR');
+  assert.equal(lines.at(-2), 'END:VCALENDAR');
+  assert.equal(lines.at(-1), '');
+  assert.equal(lines.filter((line) => line === 'BEGIN:VEVENT').length, 3);
+  assert.ok(lines.includes('DTSTART:20260616T150000Z'));
+  assert.ok(lines.includes('DTSTART:20260618T153000'));
+  assert.ok(lines.includes('DTSTART;VALUE=DATE:20260619'));
+  assert.ok(lines.includes('SUMMARY:Interview: Acme\\, Inc. - Platform Engineer'));
+  assert.ok(lines.includes('UID:t1-1781622000000@applendium'));
+  assert.ok(lines.every((line) => new TextEncoder().encode(line).length <= 75));
+});
+
+test('escapes text, folds long lines and names files safely', () => {
+  assert.equal(escapeIcsText('a;b,c\\d\ne'), 'a\\;b\\,c\\\\d\\ne');
+  const folded = foldIcsLine(`DESCRIPTION:${'é'.repeat(80)}`);
+  assert.ok(folded.split('\r\n').every((line) => new TextEncoder().encode(line).length <= 75));
+  assert.equal(folded.replace(/\r\n /g, ''), `DESCRIPTION:${'é'.repeat(80)}`);
+  assert.equal(interviewIcsFileName({ ...interview, start: new Date(2026, 5, 16).getTime() }), 'interview-acme-inc-platform-engineer-20260616.ics');
+});
@@ -0,0 +1,394 @@
+/**
+ * @file popup/src/utils/interviewDetails.mjs
+ * @description Pulls the scheduling details out of interview emails and
+ * calendar invites (Google Calendar, Outlook/Teams, Zoom, Meet): the proposed
+ * date and time, timezone, duration, video link or location, and interviewer
+ * names. Everything is heuristic and local; no calendar API is involved.
+ *
+ * Invites put the facts on labelled lines ("When:", "Time:", "Location:"), so
+ * those are read first and the free text is only a fallback. A date that falls
+ * before the email was sent is ignored: it is almost always the application
+ * date or a quoted earlier message, not the interview.
+ *
+ * Kept as a pure module (Intl only) so it runs under `node --test`.
+ */
+
+import { emailPlainText } from './emailText.mjs';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const YEAR_ROLLOVER_MS = 90 * DAY_MS;
+export const DEFAULT_INTERVIEW_DURATION_MINUTES = 60;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const WEEKDAY_PATTERN = '(?:mon|tues?|wed(?:nes)?|thu(?:rs?)?|fri|sat(?:ur)?|sun)(?:day)?\\.?';
+
+const DATE_PATTERNS = [
+  { kind: 'iso', regex: /\b(20\d{2})-(\d{2})-(\d{2})\b/gi },
+  { kind: 'monthDay', regex: new RegExp(`\\b(?:${WEEKDAY_PATTERN},?\\s+)?${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(20\\d{2}))?\\b`, 'gi') },
+  { kind: 'dayMonth', regex: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}(?:,?\\s+(20\\d{2}))?\\b`, 'gi') },
+  { kind: 'numeric', regex: /\b(\d{1,2})\/(\d{1,2})\/(20\d{2})\b/g },
+  { kind: 'relative', regex: /\b(today|tomorrow)\b/gi },
+  { kind: 'weekday', regex: /\b(?:on\s+|this\s+|next\s+)?(monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b/gi },
+];
+
+const TIME_PATTERN = /\b(1[0-2]|0?[1-9])(?:[:.]([0-5]\d))?\s*(a\.?m\.?|p\.?m\.?)(?![a-z])|\b([01]?\d|2[0-3]):([0-5]\d)(?!\s*(?:a\.?m|p\.?m))\b/i;
+const RANGE_SEPARATOR = /^\s*(?:-|–|—|to|until)\s*/i;
+
+// Regional names track daylight saving; fixed abbreviations do not.
+const NAMED_ZONES = [
+  [/\beastern(?:\s+(?:standard|daylight))?\s+time\b|\bnew[_ ]york\b/i, 'America/New_York', 'ET'],
+  [/\bcentral(?:\s+(?:standard|daylight))?\s+time\b|\bchicago\b/i, 'America/Chicago', 'CT'],
+  [/\bmountain(?:\s+(?:standard|daylight))?\s+time\b|\bdenver\b/i, 'America/Denver', 'MT'],
+  [/\bpacific(?:\s+(?:standard|daylight))?\s+time\b|\blos[_ ]angeles\b/i, 'America/Los_Angeles', 'PT'],
+  [/\b(?:ET)\b/, 'America/New_York', 'ET'],
+  [/\b(?:CT)\b/, 'America/Chicago', 'CT'],
+  [/\b(?:MT)\b/, 'America/Denver', 'MT'],
+  [/\b(?:PT)\b/, 'America/Los_Angeles', 'PT'],
+  [/\blondon\b|\bbritish (?:summer )?time\b/i, 'Europe/London', 'UK time'],
+  [/\bcentral european (?:summer )?time\b|\bberlin\b|\bparis\b|\bamsterdam\b/i, 'Europe/Berlin', 'CET'],
+  [/\bindia standard time\b|\bkolkata\b/i, 'Asia/Kolkata', 'IST'],
+];
+const FIXED_ZONES = {
+  EST: -300, EDT: -240, CST: -360, CDT: -300, MST: -420, MDT: -360, PST: -480, PDT: -420,
+  AKST: -540, AKDT: -480, HST: -600, GMT: 0, UTC: 0, BST: 60, CET: 60, CEST: 120, IST: 330,
+  SGT: 480, JST: 540, AEST: 600, AEDT: 660,
+};
+const OFFSET_ZONE_PATTERN = /\b(?:GMT|UTC)\s*([+-])\s*(\d{1,2})(?::?(\d{2}))?\b/i;
+
+const MEETING_PROVIDERS = [
+  { id: 'zoom', label: 'Zoom', url: /https?:\/\/(?:[\w-]+\.)?zoom\.us\/(?:j|my|w|s)\/[^\s<>"')\]]+/i, mention: /\bzoom\b/i },
+  { id: 'teams', label: 'Microsoft Teams', url: /https?:\/\/teams\.(?:microsoft|live)\.com\/(?:l\/meetup-join|meet)\/[^\s<>"')\]]+/i, mention: /\b(?:microsoft\s+)?teams\s+(?:meeting|call|interview|link)\b|\bmicrosoft teams\b/i },
+  { id: 'meet', label: 'Google Meet', url: /https?:\/\/meet\.google\.com\/[a-z]{3}-[a-z]{4}-[a-z]{3}\b/i, mention: /\bgoogle meet\b/i },
+  { id: 'webex', label: 'Webex', url: /https?:\/\/[\w-]+\.webex\.com\/[^\s<>"')\]]+/i, mention: /\bwebex\b/i },
+  { id: 'phone', label: 'Phone call', url: null, mention: /\bphone (?:screen|call|interview)\b/i },
+];
+
+const NAME_WORD = "[A-Z][a-zA-Z'’-]+";
+const PERSON_NAME = `${NAME_WORD}(?:\\s+${NAME_WORD}){1,2}`;
+const INTERVIEWER_LINE_PATTERN = /\b(?:interviewers?|interviewing with|panel(?:ists)?|organi[sz]er)\s*:\s*([^\n]+)/i;
+const INTERVIEWER_PHRASE_PATTERN = new RegExp(
+  `\\b(?:[Mm]eet(?:ing)?|[Ss]peak(?:ing)?|[Cc]hat(?:ting)?|[Tt]alk(?:ing)?|[Ii]nterview(?:ing)?|[Cc]onnect(?:ing)?)\\s+with\\s+(${PERSON_NAME}(?:\\s*(?:,|and|&)\\s*${PERSON_NAME})*)`,
+);
+// Capitalised words that show up after "with" but are not people.
+const NON_NAME_WORDS = new Set([
+  'team', 'hiring', 'recruiting', 'recruitment', 'talent', 'people', 'engineering', 'interview', 'interviews',
+  'panel', 'manager', 'director', 'inc', 'llc', 'ltd', 'corp', 'the', 'our', 'your', 'us', 'zoom', 'teams',
+  'google', 'microsoft', 'meet', 'video', 'phone', 'call', 'on', 'at', 'for',
+]);
+
+function monthIndex(token) {
+  return MONTHS.indexOf(token.slice(0, 3).toLowerCase());
+}
+
+function localDayStart(timestamp) {
+  const date = new Date(timestamp);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+}
+
+/**
+ * Resolves a date match to {year, month, day}. Year-less dates take the sent
+ * year, rolling into the next one only when they would land months in the
+ * past (a December email about "Jan 6").
+ */
+function resolveDate(kind, match, sentAt) {
+  const sent = new Date(sentAt);
+  const pickYear = (month, day) => {
+    const candidate = new Date(sent.getFullYear(), month, day).getTime();
+    return candidate < sentAt - YEAR_ROLLOVER_MS ? sent.getFullYear() + 1 : sent.getFullYear();
+  };
+  switch (kind) {
+    case 'iso':
+      return { year: Number(match[1]), month: Number(match[2]) - 1, day: Number(match[3]) };
+    case 'monthDay': {
+      const month = monthIndex(match[1]);
+      const day = Number(match[2]);
+      return { year: match[3] ? Number(match[3]) : pickYear(month, day), month, day };
+    }
+    case 'dayMonth': {
+      const month = monthIndex(match[2]);
+      const day = Number(match[1]);
+      return { year: match[3] ? Number(match[3]) : pickYear(month, day), month, day };
+    }
+    case 'numeric':
+      return { year: Number(match[3]), month: Number(match[1]) - 1, day: Number(match[2]) };
+    case 'relative': {
+      const date = new Date(sentAt + (match[1].toLowerCase() === 'tomorrow' ? DAY_MS : 0));
+      return { year: date.getFullYear(), month: date.getMonth(), day: date.getDate() };
+    }
+    case 'weekday': {
+      const target = WEEKDAYS.indexOf(match[1].toLowerCase());
+      const ahead = (target - sent.getDay() + 7) % 7 || 7;
+      const date = new Date(sent.getFullYear(), sent.getMonth(), sent.getDate() + ahead);
+      return { year: date.getFullYear(), month: date.getMonth(), day: date.getDate() };
+    }
+    default:
+      return null;
+  }
+}
+
+function findDate(text, sentAt) {
+  const earliest = localDayStart(sentAt);
+  let best = null;
+  for (const { kind, regex } of DATE_PATTERNS) {
+    for (const match of text.matchAll(regex)) {
+      const resolved = resolveDate(kind, match, sentAt);
+      if (!resolved || resolved.month < 0 || resolved.day < 1 || resolved.day > 31) continue;
+      if (new Date(resolved.year, resolved.month, resolved.day).getTime() < earliest) continue;
+      // Exact dates beat weekdays and "tomorrow" even when they come later.
+      const weak = kind === 'relative' || kind === 'weekday';
+      if (!best || (best.weak && !weak) || (best.weak === weak && match.index < best.index)) {
+        best = { ...resolved, index: match.index, length: match[0].length, weak };
+      }
+      break;
+    }
+  }
+  return best;
+}
+
+function parseTimeMatch(match) {
+  if (!match) return null;
+  if (match[3]) {
+    let hour = Number(match[1]) % 12;
+    if (/^p/i.test(match[3])) hour += 12;
+    return { hour, minute: Number(match[2] || 0), meridiem: true };
+  }
+  return { hour: Number(match[4]), minute: Number(match[5]), meridiem: false };
+}
+
+/** First time (and optional range end) at or after `from`. */
+function findTimeRange(text, from) {
+  const rest = text.slice(from);
+  const match = TIME_PATTERN.exec(rest);
+  if (!match) return null;
+  const start = parseTimeMatch(match);
+  const after = rest.slice(match.index + match[0].length);
+  const separator = RANGE_SEPARATOR.exec(after);
+  let end = null;
+  if (separator) {
+    const endMatch = TIME_PATTERN.exec(after.slice(separator[0].length));
+    if (endMatch && endMatch.index === 0) end = parseTimeMatch(endMatch);
+  }
+  // "11:00 - 11:45am": the start borrows the end's meridiem.
+  if (end?.meridiem && !start.meridiem && start.hour < 12 && end.hour >= 12 && start.hour + 12 <= end.hour) {
+    start.hour += 12;
+  }
+  return { start, end, index: from + match.index };
+}
+
+function findTimeZone(text) {
+  for (const [pattern, timeZone, label] of NAMED_ZONES) {
+    if (pattern.test(text)) return { timeZone, label };
+  }
+  const abbreviation = /\b(EST|EDT|CST|CDT|MST|MDT|PST|PDT|AKST|AKDT|HST|GMT|UTC|BST|CET|CEST|IST|SGT|JST|AEST|AEDT)\b(?!\s*[+-]\s*\d)/.exec(text);
+  if (abbreviation) return { offsetMinutes: FIXED_ZONES[abbreviation[1]], label: abbreviation[1] };
+  const offset = OFFSET_ZONE_PATTERN.exec(text);
+  if (offset) {
+    const minutes = Number(offset[2]) * 60 + Number(offset[3] || 0);
+    return { offsetMinutes: offset[1] === '-' ? -minutes : minutes, label: offset[0].replace(/\s+/g, '') };
+  }
+  return null;
+}
+
+function zoneOffsetMinutes(timeZone, utcMs) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+  }).formatToParts(new Date(utcMs));
+  const get = (type) => Number(parts.find((part) => part.type === type)?.value);
+  return (Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute')) - utcMs) / MINUTE_MS;
+}
+
+/** Wall-clock time in a zone to a UTC timestamp; null zone means the user's local time. */
+function toTimestamp({ year, month, day }, { hour, minute }, zone) {
+  if (!zone) return new Date(year, month, day, hour, minute).getTime();
+  const wallClock = Date.UTC(year, month, day, hour, minute);
+  if (Number.isFinite(zone.offsetMinutes)) return wallClock - zone.offsetMinutes * MINUTE_MS;
+  try {
+    let result = wallClock - zoneOffsetMinutes(zone.timeZone, wallClock) * MINUTE_MS;
+    // A second pass settles times near a daylight-saving switch.
+    result = wallClock - zoneOffsetMinutes(zone.timeZone, result) * MINUTE_MS;
+    return result;
+  } catch (_) {
+    return new Date(year, month, day, hour, minute).getTime();
+  }
+}
+
+function findDurationMinutes(text) {
+  const minutes = /\b(\d{2,3})[-\s]?(?:minute|min)s?\b/i.exec(text);
+  if (minutes && Number(minutes[1]) >= 10 && Number(minutes[1]) <= 480) return Number(minutes[1]);
+  const hours = /\b(one|two|1|2|1\.5)[-\s]?hours?\b/i.exec(text);
+  if (hours) return { one: 60, two: 120, 1: 60, 2: 120, 1.5: 90 }[hours[1].toLowerCase()];
+  return null;
+}
+
+function findMeeting(text) {
+  for (const provider of MEETING_PROVIDERS) {
+    const url = provider.url?.exec(text)?.[0] || null;
+    if (url) return { provider: provider.id, label: provider.label, url: url.replace(/[.,;]+$/, '') };
+  }
+  for (const provider of MEETING_PROVIDERS) {
+    if (provider.mention.test(text)) return { provider: provider.id, label: provider.label, url: null };
+  }
+  return null;
+}
+
+function findLocation(text) {
+  const match = /^(?:location|where|address|venue)\s*:\s*(.{3,200})$/im.exec(text);
+  if (!match) return null;
+  const value = match[1].trim();
+  return /^https?:\/\//i.test(value) ? null : value;
+}
+
+function cleanPersonName(raw) {
+  const name = raw
+    .replace(/\(.*?\)/g, ' ')
+    .replace(/\s+[-–—|,]\s+.*$/, '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  const words = name.split(' ');
+  if (words.length < 2 || words.length > 3) return null;
+  if (words.some((word) => !/^[A-Z][a-zA-Z'’-]+$/.test(word) || NON_NAME_WORDS.has(word.toLowerCase()))) return null;
+  return name;
+}
+
+function findInterviewers(text, company) {
+  const companyKey = (company || '').toLowerCase().trim();
+  const names = [];
+  const add = (raw) => {
+    const name = cleanPersonName(raw);
+    if (!name || name.toLowerCase() === companyKey || names.includes(name)) return;
+    names.push(name);
+  };
+  const line = INTERVIEWER_LINE_PATTERN.exec(text);
+  if (line) line[1].split(/\s*(?:,|;|\band\b|&)\s*/).forEach(add);
+  const phrase = INTERVIEWER_PHRASE_PATTERN.exec(text);
+  if (phrase) phrase[1].split(/\s*(?:,|\band\b|&)\s*/).forEach(add);
+  return names.slice(0, 6);
+}
+
+/**
+ * Scheduling details for one email, or null when it names no usable date.
+ * A date without a time becomes an all-day entry.
+ *
+ * @param {object} email - A cached email (subject/body/html_body/date/...).
+ * @returns {null|{
+ *   emailId: string, threadId: string|null, company: string, position: string,
+ *   start: number, end: number, allDay: boolean, floating: boolean,
+ *   timeZoneLabel: string|null, meetingProvider: string|null, meetingLabel: string|null,
+ *   meetingUrl: string|null, location: string|null, interviewers: Array<string>
+ * }}
+ */
+export function parseInterviewDetails(email) {
+  const sentAt = new Date(email?.date || 0).getTime();
+  if (!Number.isFinite(sentAt) || sentAt <= 0) return null;
+  const text = emailPlainText(email);
+  if (!text) return null;
+
+  const whenLine = /^(?:when|date(?:\s*(?:&|and)\s*time)?|scheduled for)\s*:\s*(.+)$/im.exec(text);
+  const segments = whenLine ? [whenLine[1], text] : [text];
+  let date = null;
+  let segment = '';
+  for (const candidate of segments) {
+    date = findDate(candidate, sentAt);
+    if (date) {
+      segment = candidate;
+      break;
+    }
+  }
+  if (!date) return null;
+
+  // The time usually follows the date; some invites put it first or on its own "Time:" line.
+  const timeLine = /^time\s*:\s*(.+)$/im.exec(text)?.[1] || '';
+  const before = segment.slice(Math.max(0, date.index - 60), date.index);
+  const timeContext = [
+    [segment, date.index + date.length],
+    [before, 0],
+    [timeLine, 0],
+  ].map(([context, from]) => ({ context, range: findTimeRange(context, from) })).find((entry) => entry.range);
+  const timeRange = timeContext?.range || null;
+  const zone = timeRange
+    ? findTimeZone(timeContext.context.slice(timeRange.index, timeRange.index + 120)) || findTimeZone(text)
+    : null;
+  const company = email.company_name || email.company || '';
+
+  let start;
+  let end;
+  if (timeRange) {
+    start = toTimestamp(date, timeRange.start, zone);
+    const duration = findDurationMinutes(text) || DEFAULT_INTERVIEW_DURATION_MINUTES;
+    end = timeRange.end ? toTimestamp(date, timeRange.end, zone) : start + duration * MINUTE_MS;
+    if (end <= start) end = start + duration * MINUTE_MS;
+  } else {
+    start = new Date(date.year, date.month, date.day).getTime();
+    end = start + DAY_MS;
+  }
+  const meeting = findMeeting(text);
+  return {
+    emailId: String(email.id),
+    threadId: email.thread_id || email.threadId || null,
+    company,
+    position: email.position || '',
+    start,
+    end,
+    allDay: !timeRange,
+    floating: Boolean(timeRange) && !zone,
+    timeZoneLabel: zone?.label || null,
+    meetingProvider: meeting?.provider || null,
+    meetingLabel: meeting?.label || null,
+    meetingUrl: meeting?.url || null,
+    location: findLocation(text),
+    interviewers: findInterviewers(text, company),
+  };
+}
+
+/**
+ * Upcoming interviews across the cached `interviewed` emails, one per thread,
+ * soonest first. The newest email in a thread that names a date wins (a
+ * reschedule replaces the original time); link, location and interviewer
+ * names are filled in from older emails in the same thread when missing.
+ *
+ * @param {object} categorizedEmails
+ * @param {{now: number}} options
+ */
+export function buildUpcomingInterviews(categorizedEmails, { now }) {
+  const byThread = new Map();
+  for (const email of categorizedEmails?.interviewed || []) {
+    if (!email?.id) continue;
+    const key = String(email.thread_id || email.threadId || email.id);
+    if (!byThread.has(key)) byThread.set(key, []);
+    byThread.get(key).push(email);
+  }
+
+  const interviews = [];
+  const todayStart = localDayStart(now);
+  for (const emails of byThread.values()) {
+    const parsed = emails
+      .sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0))
+      .map(parseInterviewDetails)
+      .filter(Boolean);
+    if (parsed.length === 0) continue;
+    const [latest, ...older] = parsed;
+    if (latest.end < todayStart) continue;
+    const fill = (field) => latest[field] || older.find((entry) => entry[field])?.[field] || null;
+    interviews.push({
+      ...latest,
+      meetingUrl: fill('meetingUrl'),
+      meetingProvider: latest.meetingProvider || fill('meetingProvider'),
+      meetingLabel: latest.meetingLabel || fill('meetingLabel'),
+      location: fill('location'),
+      interviewers: latest.interviewers.length > 0
+        ? latest.interviewers
+        : older.find((entry) => entry.interviewers.length > 0)?.interviewers || [],
+    });
+  }
+  return interviews.sort((a, b) => a.start - b.start);
+}
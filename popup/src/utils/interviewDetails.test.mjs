@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildUpcomingInterviews, parseInterviewDetails } from './interviewDetails.mjs';
+
+const email = (overrides) => ({
+  id: 'e1',
+  thread_id: 't1',
+  date: '2026-06-10T14:00:00Z',
+  company_name: 'Acme AI',
+  position: 'Platform Engineer',
+  subject: 'Interview',
+  ...overrides,
+});
+
+test('reads a Google Calendar invite with a Meet link and a named zone', () => {
+  const details = parseInterviewDetails(email({
+    subject: 'Invitation: Acme AI technical interview @ Tue Jun 16, 2026 11am - 12pm (EDT)',
+    html_body: '<p><b>When</b>: Tuesday Jun 16, 2026 11am – 12pm (Eastern Time - New York)</p>'
+      + '<p>Join with Google Meet <a href="https://meet.google.com/abc-defg-hij">meet.google.com/abc-defg-hij</a></p>'
+      + '<p>Interviewers: Jane Doe (Engineering Manager), Raj Patel</p>',
+  }));
+  assert.equal(details.start, Date.UTC(2026, 5, 16, 15, 0));
+  assert.equal(details.end, Date.UTC(2026, 5, 16, 16, 0));
+  assert.equal(details.allDay, false);
+  assert.equal(details.floating, false);
+  assert.equal(details.meetingProvider, 'meet');
+  assert.equal(details.meetingUrl, 'https://meet.google.com/abc-defg-hij');
+  assert.deepEqual(details.interviewers, ['Jane Doe', 'Raj Patel']);
+});
+
+test('prefers the named zone over the standard offset in Outlook/Teams invites', () => {
+  const details = parseInterviewDetails(email({
+    body: 'When: Wednesday, June 17, 2026 2:00 PM-2:45 PM (UTC-06:00) Central Time (US & Canada)\n'
+      + 'Location: Microsoft Teams Meeting\n'
+      + 'Join: https://teams.microsoft.com/l/meetup-join/19%3ameeting_abc/0?context=x\n'
+      + 'You will be meeting with Maria Lopez and Tom Becker.',
+  }));
+  assert.equal(details.start, Date.UTC(2026, 5, 17, 19, 0));
+  assert.equal(details.end, Date.UTC(2026, 5, 17, 19, 45));
+  assert.equal(details.meetingProvider, 'teams');
+  assert.equal(details.location, 'Microsoft Teams Meeting');
+  assert.deepEqual(details.interviewers, ['Maria Lopez', 'Tom Becker']);
+});
+
+test('resolves weekdays, fixed abbreviations, floating times and all-day dates', () => {
+  // Sent on Wednesday 10 June; "Tuesday" is the 16th.
+  const weekday = parseInterviewDetails(email({ body: 'Your second round interview is confirmed for Tuesday at 11:00 AM PST. 45 minute Zoom call.' }));
+  assert.equal(weekday.start, Date.UTC(2026, 5, 16, 19, 0));
+  assert.equal(weekday.end - weekday.start, 45 * 60 * 1000);
+  assert.equal(weekday.meetingProvider, 'zoom');
+  assert.equal(weekday.meetingUrl, null);
+
+  const floating = parseInterviewDetails(email({ body: 'Could you do 3:30pm on June 18th? It will be a phone screen.' }));
+  assert.equal(floating.start, new Date(2026, 5, 18, 15, 30).getTime());
+  assert.equal(floating.floating, true);
+  assert.equal(floating.meetingProvider, 'phone');
+
+  const allDay = parseInterviewDetails(email({ body: 'We would like to invite you onsite on 19 June 2026.\nAddress: 1 Main St, Springfield' }));
+  assert.equal(allDay.allDay, true);
+  assert.equal(allDay.start, new Date(2026, 5, 19).getTime());
+  assert.equal(allDay.location, '1 Main St, Springfield');
+});
+
+test('ignores dates before the email and emails without a date', () => {
+  const details = parseInterviewDetails(email({ body: 'Thanks for applying on June 1. Are you free on June 22 at 10:00 AM ET?' }));
+  assert.equal(details.start, Date.UTC(2026, 5, 22, 14, 0));
+  assert.equal(parseInterviewDetails(email({ body: 'We will be in touch about next steps soon.' })), null);
+  assert.equal(parseInterviewDetails(email({ body: 'enc:v1:abcdef', subject: '' })), null);
+});
+
+test('builds one upcoming interview per thread, newest schedule first, filling gaps from older emails', () => {
+  const interviews = buildUpcomingInterviews({
+    interviewed: [
+      email({ id: 'a', date: '2026-06-10T14:00:00Z', body: 'Zoom link: https://acme.zoom.us/j/123456 for June 16 at 11:00 AM ET' }),
+      email({ id: 'b', date: '2026-06-11T14:00:00Z', body: 'Can we move to June 17 at 1:00 PM ET instead?' }),
+      email({ id: 'c', thread_id: 't2', date: '2026-06-01T14:00:00Z', body: 'See you June 3 at 9:00 AM ET' }),
+      email({ id: 'd', thread_id: 't3', date: '2026-06-11T14:00:00Z', company_name: 'Beta', body: 'Booked for June 15 at 9:00 AM ET' }),
+    ],
+  }, { now: Date.UTC(2026, 5, 12, 12) });
+  assert.deepEqual(interviews.map((interview) => interview.emailId), ['d', 'b']);
+  assert.equal(interviews[1].start, Date.UTC(2026, 5, 17, 17, 0));
+  assert.equal(interviews[1].meetingUrl, 'https://acme.zoom.us/j/123456');
+});
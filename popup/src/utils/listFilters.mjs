@@ -0,0 +1,45 @@
+/**
+ * @file popup/src/utils/listFilters.mjs
+ * @description The home list's filters (stage pill, date range, search, tag,
+ * the Closed sub-filter), kept in chrome.storage.local so they survive closing the
+ * popup and carry over between the popup and the full view. Storage is
+ * user-editable, so every read goes through normalizeListFilters. Kept
+ * dependency-free for `node --test`.
+ */
+
+import { normalizeTag } from '../../../shared/applicationDetails.mjs';
+
+export const LIST_FILTERS_STORAGE_KEY = 'applendiumListFiltersV1';
+
+const VIEWS = ['all', 'applied', 'interviewed', 'offers', 'rejected'];
+const DATE_RANGES = ['all', '7d', '30d', '90d'];
+const MAX_SEARCH_LENGTH = 200;
+
+export const DEFAULT_LIST_FILTERS = Object.freeze({
+  view: 'all',
+  dateRange: 'all',
+  searchQuery: '',
+  tag: '',
+  showClosedChoice: false,
+});
+
+export function normalizeListFilters(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { ...DEFAULT_LIST_FILTERS };
+  const view = VIEWS.includes(raw.view) ? raw.view : DEFAULT_LIST_FILTERS.view;
+  return {
+    view,
+    dateRange: DATE_RANGES.includes(raw.dateRange) ? raw.dateRange : DEFAULT_LIST_FILTERS.dateRange,
+    searchQuery: typeof raw.searchQuery === 'string' ? raw.searchQuery.slice(0, MAX_SEARCH_LENGTH) : '',
+    tag: normalizeTag(raw.tag),
+    // The Closed sub-filter only exists on the Applied and Interviews pills.
+    showClosedChoice: raw.showClosedChoice === true && (view === 'applied' || view === 'interviewed'),
+  };
+}
+
+export function sameListFilters(a, b) {
+  return a.view === b.view
+    && a.dateRange === b.dateRange
+    && a.searchQuery === b.searchQuery
+    && a.tag === b.tag
+    && a.showClosedChoice === b.showClosedChoice;
+}
@@ -0,0 +1,19 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_LIST_FILTERS, normalizeListFilters, sameListFilters } from './listFilters.mjs';
+
+test('stored list filters are validated field by field', () => {
+  assert.deepEqual(normalizeListFilters(null), DEFAULT_LIST_FILTERS);
+  assert.deepEqual(normalizeListFilters({ view: 'offers', dateRange: '1y', searchQuery: 42, showClosedChoice: true }), {
+    view: 'offers',
+    dateRange: 'all',
+    searchQuery: '',
+    tag: '',
+    showClosedChoice: false,
+  });
+  const interviews = normalizeListFilters({ view: 'interviewed', dateRange: '30d', searchQuery: 'acme', tag: ' Referral ', showClosedChoice: true });
+  assert.deepEqual(interviews, { view: 'interviewed', dateRange: '30d', searchQuery: 'acme', tag: 'referral', showClosedChoice: true });
+  assert.equal(sameListFilters(interviews, { ...interviews }), true);
+  assert.equal(sameListFilters(interviews, { ...interviews, searchQuery: 'acm' }), false);
+  assert.equal(sameListFilters(interviews, { ...interviews, tag: 'remote' }), false);
+});
@@ -0,0 +1,148 @@
+/**
+ * @file popup/src/utils/pipelineBoard.mjs
+ * @description Board view of the pipeline: which column a role card sits in,
+ * and which backend calls a drag between columns turns into. The stage columns
+ * follow the popup's tabs (one card per role, see deriveGroupPipelineStatus);
+ * Closed holds the roles the candidate closed by choice.
+ *
+ * A drag is planned as a list of steps so the board can run them in order and
+ * undo them in reverse:
+ *   - reclassify: REPORT_MISCLASSIFICATION for one email (a stage change);
+ *   - close: CLOSE_APPLICATION with a reason preset;
+ *   - reopen: REOPEN_APPLICATION.
+ *
+ * applicationDisplayState.js cannot be imported under `node --test`, so its
+ * deriveGroupPipelineStatus is injected, the same way getApplicationKey is.
+ */
+
+export const BOARD_COLUMNS = Object.freeze([
+  { id: 'applied', label: 'Applied' },
+  { id: 'interviewed', label: 'Interviewed' },
+  { id: 'offers', label: 'Offers' },
+  { id: 'rejected', label: 'Rejected' },
+  { id: 'closed', label: 'Closed' },
+]);
+
+// Close reasons offered by the close panel, with the kind the backend's
+// applicationCloseOutcome.js derives from each label (see
+// classifyManualCloseKind): rejection and silence land in Rejected, a
+// candidate's choice keeps the stage under Closed.
+export const CLOSE_REASON_PRESETS = Object.freeze([
+  { id: 'no_response', label: 'No response', kind: 'silence' },
+  { id: 'rejected_verbal', label: 'Rejected verbally', kind: 'rejection' },
+  { id: 'withdrew', label: 'Withdrew', kind: 'user_choice' },
+  { id: 'accepted_elsewhere', label: 'Accepted elsewhere', kind: 'user_choice' },
+  { id: 'position_filled', label: 'Position filled', kind: 'rejection' },
+  { id: 'other', label: 'Other', kind: 'rejection' },
+]);
+
+/** Presets that keep a role in the board's Closed column. */
+export const BOARD_CLOSE_PRESETS = Object.freeze(CLOSE_REASON_PRESETS.filter((preset) => preset.kind === 'user_choice'));
+
+export function closePresetById(presetId) {
+  return CLOSE_REASON_PRESETS.find((preset) => preset.id === presetId) || CLOSE_REASON_PRESETS[CLOSE_REASON_PRESETS.length - 1];
+}
+
+/** The reason string sent with CLOSE_APPLICATION: "<preset label> - <note>". */
+export function closeReasonText(presetId, note = '') {
+  return [closePresetById(presetId).label, String(note || '').trim()].filter(Boolean).join(' - ');
+}
+
+// Emails only carry the close kind, not the reason typed back then, so undoing
+// a reopen restores a close of the same kind.
+function closeReasonForKind(kind) {
+  return (CLOSE_REASON_PRESETS.find((preset) => preset.kind === kind) || closePresetById('withdrew')).label;
+}
+
+const STAGE_RANK = { applied: 0, interviewed: 1, offers: 2, rejected: 2 };
+
+const toEpoch = (value) => {
+  const time = new Date(value || 0).getTime();
+  return Number.isFinite(time) ? time : 0;
+};
+
+const categoryOf = (email) => String(email?.category || '').trim().toLowerCase();
+
+/**
+ * @param {{pipelineStatus: string, closedByChoice: boolean}} group - A role
+ *   group as built for the popup's pipeline tabs.
+ */
+export function boardColumnForGroup(group) {
+  if (group?.closedByChoice) return 'closed';
+  return STAGE_RANK[group?.pipelineStatus] === undefined ? 'applied' : group.pipelineStatus;
+}
+
+/** Role groups by column id, newest activity first. */
+export function buildBoardColumns(groups) {
+  const columns = Object.fromEntries(BOARD_COLUMNS.map((column) => [column.id, []]));
+  for (const group of groups || []) columns[boardColumnForGroup(group)].push(group);
+  for (const cards of Object.values(columns)) {
+    cards.sort((a, b) => toEpoch(b.date || b.latestEmail?.date) - toEpoch(a.date || a.latestEmail?.date));
+  }
+  return columns;
+}
+
+// Moving on (applied -> interviewed -> offer or rejection) takes one newer
+// email in the new stage. Moving back means every email holding the role in its
+// current stage has to be corrected, or the furthest one would keep it there.
+function emailsToReclassify(emails, from, target) {
+  const reportable = emails.filter((email) => !email?.isManual && email?.id && (email.thread_id || email.threadId));
+  const newestFirst = [...reportable].sort((a, b) => toEpoch(b.date) - toEpoch(a.date));
+  const forward = STAGE_RANK[target] > (STAGE_RANK[from] ?? -1);
+  if (forward) return newestFirst.slice(0, 1);
+  const holding = newestFirst.filter((email) => categoryOf(email) === from);
+  return holding.length ? holding : newestFirst.slice(0, 1);
+}
+
+/**
+ * Backend steps for dragging a role card to another column.
+ * @param {object} group - Role group with emails, pipelineStatus and closedByChoice.
+ * @param {string} target - Column id from BOARD_COLUMNS.
+ * @param {{closeReason?: string, deriveGroupPipelineStatus: (emails: Array<object>) => string}} options
+ * @returns {{steps: Array<object>}|{error: string}}
+ */
+export function planBoardMove(group, target, { closeReason = '', deriveGroupPipelineStatus }) {
+  const from = boardColumnForGroup(group);
+  if (from === target || (STAGE_RANK[target] === undefined && target !== 'closed')) return { steps: [] };
+  const emails = group?.emails || [];
+  if (emails.length > 0 && emails.every((email) => email?.isManual)) {
+    return { error: 'Hand-added roles change stage from their edit form.' };
+  }
+
+  const newest = [...emails].filter((email) => !email?.isManual).sort((a, b) => toEpoch(b.date) - toEpoch(a.date))[0];
+  const applicationId = emails.find((email) => email?.applicationId)?.applicationId || null;
+  const closedEmail = emails.find((email) => email?.isUserClosed);
+  const steps = [];
+  const reopen = () => steps.push({
+    kind: 'reopen',
+    applicationId,
+    emailId: newest?.id,
+    previousReason: closeReasonForKind(closedEmail.manualCloseKind),
+  });
+
+  if (target === 'closed') {
+    if (!applicationId) return { error: 'This role is not linked to an application yet, so it cannot be closed.' };
+    if (!closeReason) return { error: 'Pick a reason to close this role.' };
+    // A close by rejection or silence has to be lifted before a new reason applies.
+    if (closedEmail) reopen();
+    steps.push({ kind: 'close', applicationId, emailId: newest?.id, reason: closeReason });
+    return { steps };
+  }
+
+  let stage = from;
+  if (closedEmail) {
+    reopen();
+    stage = deriveGroupPipelineStatus(emails.map((email) => ({
+      ...email,
+      isUserClosed: false,
+      isUserRejected: false,
+      manualCloseKind: null,
+    })));
+    if (stage === target) return { steps };
+  }
+
+  const toReport = emailsToReclassify(emails, stage, target);
+  if (toReport.length === 0) return { error: 'No email in this role can be moved to another stage.' };
+  for (const email of toReport) steps.push({ kind: 'reclassify', email, category: target });
+  return { steps };
+}
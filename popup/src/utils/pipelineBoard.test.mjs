@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import {
+  BOARD_CLOSE_PRESETS,
+  buildBoardColumns,
+  closeReasonText,
+  planBoardMove,
+} from './pipelineBoard.mjs';
+
+// applicationDisplayState.js is an ESM `.js` in a CommonJS package with no
+// imports, so load the real one through a data: URL as its own tests do.
+const here = dirname(fileURLToPath(import.meta.url));
+const src = readFileSync(join(here, '../../../shared/applicationDisplayState.js'), 'utf8');
+const { deriveGroupPipelineStatus } = await import('data:text/javascript,' + encodeURIComponent(src));
+
+const email = (id, category, date, extra = {}) => ({
+  id, category, date, thread_id: `t_${id}`, applicationId: 'a1', ...extra,
+});
+
+const group = (emails, extra = {}) => ({
+  emails,
+  date: emails[emails.length - 1].date,
+  pipelineStatus: deriveGroupPipelineStatus(emails),
+  closedByChoice: false,
+  ...extra,
+});
+
+test('cards land in their stage column, or Closed when closed by choice', () => {
+  const older = group([email('e1', 'applied', '2026-05-01')]);
+  const newer = group([email('e2', 'applied', '2026-05-03')]);
+  const withdrawn = group([email('e3', 'interviewed', '2026-05-02')], { closedByChoice: true });
+  const columns = buildBoardColumns([older, withdrawn, newer]);
+  assert.deepEqual(columns.applied, [newer, older]);
+  assert.deepEqual(columns.closed, [withdrawn]);
+  assert.deepEqual(columns.interviewed, []);
+
+  assert.equal(closeReasonText('withdrew', '  took another path '), 'Withdrew - took another path');
+  assert.ok(BOARD_CLOSE_PRESETS.every((preset) => preset.kind === 'user_choice'));
+});
+
+test('moving forward reclassifies the newest email, moving back every email holding the stage', () => {
+  const role = group([
+    email('e1', 'applied', '2026-05-01'),
+    email('e2', 'interviewed', '2026-05-04'),
+    email('e3', 'interviewed', '2026-05-06'),
+  ]);
+  const forward = planBoardMove(role, 'offers', { deriveGroupPipelineStatus });
+  assert.deepEqual(forward.steps.map((step) => [step.kind, step.email.id, step.category]), [['reclassify', 'e3', 'offers']]);
+
+  const back = planBoardMove(role, 'applied', { deriveGroupPipelineStatus });
+  assert.deepEqual(back.steps.map((step) => step.email.id), ['e3', 'e2']);
+
+  assert.deepEqual(planBoardMove(role, 'interviewed', { deriveGroupPipelineStatus }), { steps: [] });
+  assert.ok(planBoardMove(group([email('m1', 'applied', '2026-05-01', { isManual: true })]), 'offers', {
+    deriveGroupPipelineStatus,
+  }).error);
+});
+
+test('closing needs a reason, and a closed role reopens before it changes stage', () => {
+  const role = group([email('e1', 'applied', '2026-05-01'), email('e2', 'interviewed', '2026-05-04')]);
+  assert.ok(planBoardMove(role, 'closed', { deriveGroupPipelineStatus }).error);
+  assert.deepEqual(planBoardMove(role, 'closed', { closeReason: 'Withdrew', deriveGroupPipelineStatus }).steps, [
+    { kind: 'close', applicationId: 'a1', emailId: 'e2', reason: 'Withdrew' },
+  ]);
+
+  const closed = group([
+    email('e1', 'applied', '2026-05-01', { isUserClosed: true, manualCloseKind: 'user_choice' }),
+    email('e2', 'interviewed', '2026-05-04', { isUserClosed: true, manualCloseKind: 'user_choice' }),
+  ], { closedByChoice: true });
+  // Reopening alone brings it back to Interviewed.
+  assert.deepEqual(planBoardMove(closed, 'interviewed', { deriveGroupPipelineStatus }).steps, [
+    { kind: 'reopen', applicationId: 'a1', emailId: 'e2', previousReason: 'Withdrew' },
+  ]);
+  const toOffers = planBoardMove(closed, 'offers', { deriveGroupPipelineStatus });
+  assert.deepEqual(toOffers.steps.map((step) => step.kind), ['reopen', 'reclassify']);
+});
@@ -0,0 +1,39 @@
+/**
+ * @file popup/src/utils/pipelineRoleGroups.js
+ * @description One card per role for the pipeline views (the popup's tabs and
+ * the board page): threads merged by application, tagged with the stage they
+ * belong to.
+ */
+
+import { getApplicationKey, groupEmailsByThread } from './grouping';
+import { deriveGroupClosedByChoice, deriveGroupPipelineStatus, mergeGroupsByApplication } from '../../../shared/applicationDisplayState.js';
+import { groupCompensation } from './compensation.mjs';
+
+export const PIPELINE_CATEGORIES = ['applied', 'interviewed', 'offers', 'rejected'];
+
+/** Emails from a sync that is still being resolved; they are shown apart from the pipeline. */
+export const isPreviewCandidateEmail = (email) => {
+  const resolutionState = (email?.resolution_state || '').toString().toLowerCase();
+  const syncSource = (email?.sync_source || '').toString().toLowerCase();
+  return (
+    resolutionState === 'provisional' ||
+    resolutionState === 'processing' ||
+    syncSource === 'interactive_preview' ||
+    email?.classification_meta?.provisional === true
+  );
+};
+
+/**
+ * @param {Array<object>} emails - Pipeline emails, preview candidates already removed.
+ * @returns {Array<object>} Role groups with pipelineStatus, closedByChoice and compensation.
+ */
+export function buildPipelineRoleGroups(emails) {
+  return mergeGroupsByApplication(groupEmailsByThread(emails), getApplicationKey).map((group) => ({
+    ...group,
+    pipelineStatus: deriveGroupPipelineStatus(group.emails),
+    // Withdrew / accepted elsewhere: keeps its stage tab but is parked under
+    // that tab's Closed sub-filter and excluded from the active counts.
+    closedByChoice: deriveGroupClosedByChoice(group.emails),
+    compensation: groupCompensation(group.emails),
+  }));
+}
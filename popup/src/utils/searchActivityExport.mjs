@@ -0,0 +1,243 @@
+// Pipeline export — the activity report rows as a spreadsheet.
+// Same rows as the PDF (buildActivityRows), written as CSV or as a one-sheet
+// .xlsx workbook. The workbook is a stored (uncompressed) zip assembled by hand
+// so the popup does not ship a spreadsheet library. Kept dependency-free so it
+// runs under `node --test`.
+
+import { summarizeInterviewPrep } from '../../../shared/interviewPrep.mjs';
+import { formatCustomFieldValue } from '../../../shared/applicationDetails.mjs';
+import { formatCompensation } from './compensation.mjs';
+
+export const ACTIVITY_EXPORT_COLUMNS = Object.freeze([
+  'Company',
+  'Position',
+  'Applied date',
+  'Latest status',
+  'Latest status date',
+  'Interviewed',
+  'Offered',
+  'Application ID',
+  'Thread link',
+  'Interview rounds',
+  'Average self-rating',
+  'Prep checklist',
+  'Compensation',
+  'Tags',
+  'Notes',
+]);
+
+function toIsoDate(date) {
+  if (!(date instanceof Date) || Number.isNaN(date.getTime())) return '';
+  const mm = String(date.getMonth() + 1).padStart(2, '0');
+  const dd = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${mm}-${dd}`;
+}
+
+/** Gmail deep link for a row, built the same way as the email preview's "Gmail" button. */
+export function gmailThreadUrlForRow(row, userEmail) {
+  if (row?.gmailLink) return String(row.gmailLink);
+  if (!row?.threadId) return '';
+  const authUser = String(userEmail || '').trim();
+  const authQuery = authUser ? `?authuser=${encodeURIComponent(authUser)}` : '';
+  return `https://mail.google.com/mail/u/0/${authQuery}#all/${encodeURIComponent(row.threadId)}`;
+}
+
+/**
+ * Header plus one string array per row, in ACTIVITY_EXPORT_COLUMNS order,
+ * followed by one column per custom field the user defined.
+ * @param {{userEmail?: string, customFields?: Array<object>}} [options]
+ * @returns {Array<Array<string>>}
+ */
+export function buildActivityExportTable(rows, { userEmail, customFields = [] } = {}) {
+  const body = (rows || []).map((row) => {
+    // Rows only carry interviewPrep after attachInterviewPrep, and details
+    // after attachApplicationDetails; blank otherwise.
+    const prep = row.interviewPrep ? summarizeInterviewPrep(row.interviewPrep) : null;
+    const details = row.details || null;
+    return [
+      row.company || '',
+      row.position || '',
+      toIsoDate(row.appliedDate),
+      row.latestStatusLabel || '',
+      toIsoDate(row.latestStatusDate),
+      row.everInterviewed ? 'Yes' : 'No',
+      row.everOffered ? 'Yes' : 'No',
+      row.applicationId || '',
+      gmailThreadUrlForRow(row, userEmail),
+      prep ? String(prep.roundCount) : '',
+      prep?.averageRating ? `${prep.averageRating}/5` : '',
+      prep?.checklistTotal ? `${prep.checklistDone}/${prep.checklistTotal} done` : '',
+      formatCompensation(row.compensation),
+      (details?.tags || []).join(', '),
+      details?.notes || '',
+      ...customFields.map((field) => formatCustomFieldValue(field, details?.fields?.[field.id])),
+    ];
+  });
+  return [[...ACTIVITY_EXPORT_COLUMNS, ...customFields.map((field) => field.label)], ...body];
+}
+
+// A company or subject starting with one of these would run as a formula when
+// the CSV is opened in Excel or Sheets.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  let text = String(value ?? '');
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** RFC 4180 CSV with CRLF line endings. */
+export function tableToCsv(table) {
+  return (table || []).map((cells) => cells.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// --- .xlsx ---
+
+function xmlEscape(value) {
+  return String(value ?? '')
+    // Control characters other than tab / newline are not allowed in XML 1.0.
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function worksheetXml(table) {
+  const rowsXml = (table || []).map((cells, rowIndex) => {
+    const cellsXml = cells.map((value, colIndex) => (
+      `<c r="${columnName(colIndex)}${rowIndex + 1}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`
+    )).join('');
+    return `<row r="${rowIndex + 1}">${cellsXml}</row>`;
+  }).join('');
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + `<sheetData>${rowsXml}</sheetData></worksheet>`;
+}
+
+function workbookFiles(table, sheetName) {
+  return [
+    ['[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+      + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+      + '</Types>'],
+    ['_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+      + '</Relationships>'],
+    ['xl/workbook.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+      + `<sheets><sheet name="${xmlEscape(sheetName)}" sheetId="1" r:id="rId1"/></sheets>`
+      + '</workbook>'],
+    ['xl/_rels/workbook.xml.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+      + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+      + '</Relationships>'],
+    ['xl/worksheets/sheet1.xml', worksheetXml(table)],
+  ];
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n += 1) {
+      let c = n;
+      for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i += 1) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Stored entries only: the sheet is a few hundred rows of text at most.
+function zipStored(files) {
+  const encoder = new TextEncoder();
+  const DOS_DATE_1980_01_01 = 0x21;
+  const UTF8_NAMES_FLAG = 0x0800;
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const [name, content] of files) {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(content);
+    const crc = crc32(data);
+
+    const local = new Uint8Array(30 + nameBytes.length + data.length);
+    const lv = new DataView(local.buffer);
+    lv.setUint32(0, 0x04034b50, true);
+    lv.setUint16(4, 20, true);
+    lv.setUint16(6, UTF8_NAMES_FLAG, true);
+    lv.setUint16(8, 0, true);
+    lv.setUint16(10, 0, true);
+    lv.setUint16(12, DOS_DATE_1980_01_01, true);
+    lv.setUint32(14, crc, true);
+    lv.setUint32(18, data.length, true);
+    lv.setUint32(22, data.length, true);
+    lv.setUint16(26, nameBytes.length, true);
+    lv.setUint16(28, 0, true);
+    local.set(nameBytes, 30);
+    local.set(data, 30 + nameBytes.length);
+
+    const central = new Uint8Array(46 + nameBytes.length);
+    const cv = new DataView(central.buffer);
+    cv.setUint32(0, 0x02014b50, true);
+    cv.setUint16(4, 20, true);
+    cv.setUint16(6, 20, true);
+    cv.setUint16(8, UTF8_NAMES_FLAG, true);
+    cv.setUint16(10, 0, true);
+    cv.setUint16(12, 0, true);
+    cv.setUint16(14, DOS_DATE_1980_01_01, true);
+    cv.setUint32(16, crc, true);
+    cv.setUint32(20, data.length, true);
+    cv.setUint32(24, data.length, true);
+    cv.setUint16(28, nameBytes.length, true);
+    cv.setUint32(42, offset, true);
+    central.set(nameBytes, 46);
+
+    locals.push(local);
+    centrals.push(central);
+    offset += local.length;
+  }
+
+  const centralSize = centrals.reduce((sum, entry) => sum + entry.length, 0);
+  const end = new Uint8Array(22);
+  const ev = new DataView(end.buffer);
+  ev.setUint32(0, 0x06054b50, true);
+  ev.setUint16(8, files.length, true);
+  ev.setUint16(10, files.length, true);
+  ev.setUint32(12, centralSize, true);
+  ev.setUint32(16, offset, true);
+
+  const out = new Uint8Array(offset + centralSize + end.length);
+  let cursor = 0;
+  for (const part of [...locals, ...centrals, end]) {
+    out.set(part, cursor);
+    cursor += part.length;
+  }
+  return out;
+}
+
+/**
+ * A single-sheet .xlsx workbook. Every cell is an inline string, so nothing in
+ * the data can be evaluated as a formula.
+ * @returns {Uint8Array}
+ */
+export function tableToXlsx(table, { sheetName = 'Applications' } = {}) {
+  return zipStored(workbookFiles(table, sheetName));
+}
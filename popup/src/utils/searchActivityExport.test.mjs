@@ -0,0 +1,105 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { crc32 } from 'node:zlib';
+import { buildActivityRows } from './searchActivityReport.mjs';
+import {
+  ACTIVITY_EXPORT_COLUMNS,
+  buildActivityExportTable,
+  tableToCsv,
+  tableToXlsx,
+} from './searchActivityExport.mjs';
+
+const email = (overrides = {}) => ({
+  id: `e-${Math.random()}`,
+  date: '2026-06-03T12:00:00Z',
+  company_name: 'Acme Corp',
+  position: 'Content Manager',
+  thread_id: 't-1',
+  ...overrides,
+});
+
+test('rows carry the application id and the latest Gmail thread', () => {
+  const rows = buildActivityRows({
+    applied: [email({ applicationId: 42, thread_id: 't-old' })],
+    interviewed: [email({ applicationId: 42, thread_id: 't-new', date: '2026-06-09T12:00:00Z' })],
+  });
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].applicationId, '42');
+  assert.equal(rows[0].threadId, 't-new');
+
+  const [header, row] = buildActivityExportTable(rows, { userEmail: 'me@example.com' });
+  assert.deepEqual(header, [...ACTIVITY_EXPORT_COLUMNS]);
+  assert.deepEqual(row.slice(2, 8), ['2026-06-03', 'Interview', '2026-06-09', 'Yes', 'No', '42']);
+  assert.equal(row[8], 'https://mail.google.com/mail/u/0/?authuser=me%40example.com#all/t-new');
+});
+
+test('manual entries export without a thread link', () => {
+  const rows = buildActivityRows({ applied: [email({ isManual: true, thread_id: 'manual_1', id: 'manual_1' })] });
+  assert.equal(rows[0].threadId, null);
+  assert.equal(buildActivityExportTable(rows)[1][8], '');
+});
+
+test('CSV quotes separators and neutralizes formula-looking cells', () => {
+  const csv = tableToCsv([
+    ['Company', 'Position'],
+    ['Acme, Inc.', 'Says "hi"'],
+    ['=HYPERLINK("x")', '-1'],
+  ]);
+  assert.equal(csv, 'Company,Position\r\n"Acme, Inc.","Says ""hi"""\r\n"\'=HYPERLINK(""x"")",\'-1\r\n');
+});
+
+test('xlsx output is a valid stored zip holding the sheet as inline strings', () => {
+  const bytes = tableToXlsx([['Company'], ['R&D <Labs>']]);
+  const view = new DataView(bytes.buffer);
+  assert.equal(view.getUint32(0, true), 0x04034b50);
+
+  const endOffset = bytes.length - 22;
+  assert.equal(view.getUint32(endOffset, true), 0x06054b50);
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let cursor = view.getUint32(endOffset + 16, true);
+  const decoder = new TextDecoder();
+  const entries = {};
+  for (let i = 0; i < entryCount; i += 1) {
+    assert.equal(view.getUint32(cursor, true), 0x02014b50);
+    const crc = view.getUint32(cursor + 16, true);
+    const size = view.getUint32(cursor + 20, true);
+    const nameLength = view.getUint16(cursor + 28, true);
+    const localOffset = view.getUint32(cursor + 42, true);
+    const name = decoder.decode(bytes.subarray(cursor + 46, cursor + 46 + nameLength));
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true);
+    const data = bytes.subarray(dataStart, dataStart + size);
+    assert.equal(crc32(data), crc, name);
+    entries[name] = decoder.decode(data);
+    cursor += 46 + nameLength;
+  }
+
+  assert.ok(entries['[Content_Types].xml']);
+  assert.ok(entries['xl/workbook.xml'].includes('name="Applications"'));
+  assert.ok(entries['xl/worksheets/sheet1.xml'].includes('<c r="A2" t="inlineStr"><is><t xml:space="preserve">R&amp;D &lt;Labs&gt;</t></is></c>'));
+});
+
+test('rows with interview prep export their round count, rating and checklist', () => {
+  const [row] = buildActivityRows({ interviewed: [email()] });
+  const prep = {
+    rounds: [{ id: 'r1', name: 'Screen', date: '', interviewers: [], notes: '', questions: [], rating: 3 },
+      { id: 'r2', name: 'Onsite', date: '', interviewers: [], notes: '', questions: [], rating: 4 }],
+    checklist: [{ id: 'c1', text: 'Research', done: true }],
+  };
+  const [, withPrep, withoutPrep] = buildActivityExportTable([{ ...row, interviewPrep: prep }, row]);
+  assert.deepEqual(withPrep.slice(9, 12), ['2', '3.5/5', '1/1 done']);
+  assert.deepEqual(withoutPrep.slice(9, 12), ['', '', '']);
+});
+
+test('notes, tags and custom fields export after the fixed columns', () => {
+  const [row] = buildActivityRows({ applied: [email()] });
+  const customFields = [
+    { id: 'f_level', label: 'Level', type: 'select', options: ['Staff'] },
+    { id: 'f_salary', label: 'Target salary', type: 'number', options: [] },
+  ];
+  const details = { notes: 'Referred by Dana', tags: ['referral', 'remote'], fields: { f_salary: 185000 }, updatedAt: 1 };
+  const [header, withDetails, withoutDetails] = buildActivityExportTable([{ ...row, details }, row], { customFields });
+  const tagsIndex = ACTIVITY_EXPORT_COLUMNS.indexOf('Tags');
+  assert.deepEqual(header.slice(tagsIndex), ['Tags', 'Notes', 'Level', 'Target salary']);
+  assert.deepEqual(withDetails.slice(tagsIndex), ['referral, remote', 'Referred by Dana', '', '185,000']);
+  assert.deepEqual(withoutDetails.slice(tagsIndex), ['', '', '', '']);
+});
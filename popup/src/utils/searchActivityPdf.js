@@ -13,6 +13,7 @@ import {
   formatShortDate,
   REPORT_PROVENANCE_NOTE,
 } from './searchActivityReport.mjs';
+import { formatCompensation } from './compensation.mjs';
 
 const INK = '#101613';
 const PAPER = '#f7f6f2';
@@ -145,7 +146,7 @@ export async function downloadSearchActivityPdf({ rows, start, end, userName, us
   autoTable(doc, {
     startY: baselineY + 26,
     margin: { left: margin, right: margin, bottom: 96 },
-    head: [['#', 'Date applied', 'Company', 'Position', 'Latest status']],
+    head: [['#', 'Date applied', 'Company', 'Position', 'Latest status', 'Compensation']],
     body: inRange.map((row, index) => [
       String(index + 1),
       formatShortDate(row.appliedDate),
@@ -154,6 +155,7 @@ export async function downloadSearchActivityPdf({ rows, start, end, userName, us
       row.latestStatusDate && row.latestCategory !== 'applied'
         ? `${row.latestStatusLabel} (${formatShortDate(row.latestStatusDate)})`
         : row.latestStatusLabel,
+      formatCompensation(row.compensation),
     ]),
     theme: 'plain',
     styles: {
@@ -176,9 +178,61 @@ export async function downloadSearchActivityPdf({ rows, start, end, userName, us
       0: { cellWidth: 26, textColor: MUTED },
       1: { cellWidth: 78 },
       4: { fontStyle: 'bold' },
+      5: { cellWidth: 96 },
     },
   });
 
+  // ── Interview rounds from the prep workspace ─────────────────────────────
+  // Private notes stay out of the report; the rounds, who ran them and what
+  // was asked are what a coach or program reviewer looks for.
+  const roundRows = inRange.flatMap((row) => (row.interviewPrep?.rounds || []).map((round) => [
+    row.company,
+    round.name || 'Interview',
+    round.date ? formatShortDate(new Date(`${round.date}T12:00:00`)) : '',
+    round.interviewers.join(', '),
+    round.questions.join('\n'),
+    round.rating ? `${round.rating}/5` : '',
+  ]));
+  if (roundRows.length > 0) {
+    let roundsTitleY = doc.lastAutoTable.finalY + 30;
+    if (roundsTitleY > doc.internal.pageSize.getHeight() - 150) {
+      doc.addPage();
+      roundsTitleY = margin;
+    }
+    doc.setFont('courier', 'bold');
+    doc.setFontSize(8);
+    doc.setTextColor(MUTED);
+    doc.text('INTERVIEW ROUNDS', margin, roundsTitleY);
+    autoTable(doc, {
+      startY: roundsTitleY + 10,
+      margin: { left: margin, right: margin, bottom: 96 },
+      head: [['Company', 'Round', 'Date', 'Interviewers', 'Questions asked', 'Self-rating']],
+      body: roundRows,
+      theme: 'plain',
+      styles: {
+        font: 'helvetica',
+        fontSize: 8.5,
+        textColor: INK,
+        cellPadding: { top: 5, bottom: 5, left: 6, right: 6 },
+        lineColor: RULE,
+        lineWidth: { bottom: 0.5 },
+      },
+      headStyles: {
+        fillColor: INK,
+        textColor: PAPER,
+        fontStyle: 'bold',
+        fontSize: 8,
+        lineWidth: 0,
+      },
+      alternateRowStyles: { fillColor: PAPER_TINT },
+      columnStyles: {
+        2: { cellWidth: 48 },
+        4: { cellWidth: 150 },
+        5: { cellWidth: 52 },
+      },
+    });
+  }
+
   // ── Footer with provenance on every page ─────────────────────────────────
   const pageHeight = doc.internal.pageSize.getHeight();
   const pageCount = doc.getNumberOfPages();
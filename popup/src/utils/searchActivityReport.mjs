@@ -3,6 +3,8 @@
 // PDF can show applied date, company, position, and latest status. Kept
 // dependency-free (no React, no jsPDF) so it runs under `node --test`.
 
+import { groupCompensation } from './compensation.mjs';
+
 const CATEGORY_STATUS_LABELS = {
   applied: 'Awaiting reply',
   interviewed: 'Interview',
@@ -23,16 +25,24 @@ function groupKeyForEmail(email) {
   if (applicationId) return `app:${applicationId}`;
   const threadId = email?.thread_id || email?.threadId;
   if (threadId) return `thread:${threadId}`;
-  const company = String(email?.company_name || '').trim().toLowerCase();
-  const position = String(email?.position || '').trim().toLowerCase();
-  if (company || position) return `pair:${company}|${position}`;
-  return `email:${email?.id || Math.random()}`;
+  return applicationPairKey(email?.company_name, email?.position) || `email:${email?.id || Math.random()}`;
+}
+
+/**
+ * Case- and whitespace-insensitive company+position key, or null when both are
+ * blank. Also what the spreadsheet importer uses to spot rows already tracked.
+ */
+export function applicationPairKey(company, position) {
+  const normalizedCompany = String(company || '').trim().toLowerCase();
+  const normalizedPosition = String(position || '').trim().toLowerCase();
+  if (!normalizedCompany && !normalizedPosition) return null;
+  return `pair:${normalizedCompany}|${normalizedPosition}`;
 }
 
 /**
  * Groups categorized emails into application rows.
  * @param {Record<string, Array<object>>} categorizedEmails — { applied, interviewed, offers, rejected }
- * @returns {Array<{company, position, appliedDate, latestCategory, latestStatusLabel, latestStatusDate, everInterviewed, everOffered}>}
+ * @returns {Array<{company, position, appliedDate, latestCategory, latestStatusLabel, latestStatusDate, everInterviewed, everOffered, applicationId, threadId, gmailLink, compensation}>}
  */
 export function buildActivityRows(categorizedEmails = {}) {
   const groups = new Map();
@@ -51,13 +61,28 @@ export function buildActivityRows(categorizedEmails = {}) {
           latestCategory: null,
           everInterviewed: false,
           everOffered: false,
+          applicationId: null,
+          threadId: null,
+          gmailLink: null,
+          threadDate: null,
+          emails: [],
         };
         groups.set(key, group);
       }
+      group.emails.push(email);
       const company = String(email?.company_name || '').trim();
       const position = String(email?.position || '').trim();
       if (company && !group.company) group.company = company;
       if (position && !group.position) group.position = position;
+      const applicationId = email?.applicationId || email?.application_id;
+      if (applicationId && !group.applicationId) group.applicationId = String(applicationId);
+      // Manual entries reuse their own id as thread id; only Gmail threads link out.
+      const threadId = email?.isManual ? null : (email?.thread_id || email?.threadId);
+      if (threadId && (!group.threadId || (date && (!group.threadDate || date >= group.threadDate)))) {
+        group.threadId = String(threadId);
+        group.gmailLink = email?.gmail_link || null;
+        group.threadDate = date;
+      }
       if (category === 'interviewed') group.everInterviewed = true;
       if (category === 'offers') group.everOffered = true;
       if (date) {
@@ -86,6 +111,10 @@ export function buildActivityRows(categorizedEmails = {}) {
       latestStatusDate: group.latestDate,
       everInterviewed: group.everInterviewed || group.everOffered,
       everOffered: group.everOffered,
+      applicationId: group.applicationId,
+      threadId: group.threadId,
+      gmailLink: group.gmailLink,
+      compensation: groupCompensation(group.emails),
     });
   }
   rows.sort((a, b) => a.appliedDate - b.appliedDate);
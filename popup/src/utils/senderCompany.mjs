@@ -0,0 +1,85 @@
+/**
+ * @file popup/src/utils/senderCompany.mjs
+ * @description The company behind a sender address, read from its domain. ATS
+ * platforms (Workday, Greenhouse, ...) send for many companies, so for those
+ * the company comes from the address username, the sender name or the
+ * subject. Shared by thread grouping and the contacts index. Kept
+ * dependency-free for `node --test`.
+ */
+
+const GENERIC_SENDER_DOMAINS = new Set([
+  'gmail',
+  'googlemail',
+  'outlook',
+  'hotmail',
+  'live',
+  'msn',
+  'yahoo',
+  'icloud',
+  'me',
+  'aol',
+  'protonmail'
+]);
+
+export const RECRUITING_PLATFORMS = Object.freeze(['myworkday', 'smartrecruiters', 'greenhouse', 'lever', 'ashbyhq', 'icims']);
+
+export const isGenericDomain = (domain) => GENERIC_SENDER_DOMAINS.has((domain || '').toString().trim().toLowerCase());
+
+/**
+ * Company identifier for a sender, lowercased (e.g. "q2" for q2ebanking.com).
+ * @param {string} email - The sender address, or a whole From header.
+ * @param {object|null} [emailObject] - The message, for the ATS fallbacks.
+ * @returns {string}
+ */
+export const getCompanyDomain = (email, emailObject = null) => {
+  if (!email) return '';
+  const match = email.match(/@([^>]+)/);
+  if (!match) return '';
+  const domain = match[1].toLowerCase();
+  
+  // Extract the main domain part (before TLD)
+  // e.g., q2ebanking.com -> q2ebanking, q2.com -> q2, ncsecu.org -> ncsecu
+  const parts = domain.split('.');
+  if (parts.length >= 2) {
+    const mainDomain = parts[parts.length - 2];
+    
+    // Handle recruiting platforms - extract actual company from sender name
+    if (RECRUITING_PLATFORMS.includes(mainDomain) && emailObject) {
+      // Try to extract company name from sender or subject
+      const senderName = emailObject.from?.match(/^([^<]+)</)?.[1]?.toLowerCase() || '';
+      const subject = emailObject.subject?.toLowerCase() || '';
+      
+      // Check sender name for company (e.g., "NCSECU@myworkday.com" -> ncsecu)
+      const usernameMatch = email.match(/^([^@]+)@/);
+      if (usernameMatch && usernameMatch[1] !== 'notification' && usernameMatch[1] !== 'notifications') {
+        const username = usernameMatch[1].toLowerCase().replace(/[^a-z0-9]/g, '');
+        if (username.length >= 3 && username !== mainDomain) {
+          return username; // e.g., "ncsecu" from "ncsecu@myworkday.com"
+        }
+      }
+      
+      // Check sender display name for company indicators
+      const companyMatch = senderName.match(/^([a-z0-9]+(?:\s+[a-z0-9]+)?)\s+(?:hiring|recruitment|talent|careers)/i);
+      if (companyMatch) {
+        return companyMatch[1].replace(/\s+/g, '').toLowerCase();
+      }
+      
+      // Last resort: look for company name in subject
+      const subjectCompanyMatch = subject.match(/^(?:thank\s+you\s+for\s+applying\s+to|interview\s+with|schedule\s+interview\s+with)?\s*([a-z0-9\s&]+?)(?:\s+[-|:]\s+|\s+interview|\s+hiring|\s+application)/i);
+      if (subjectCompanyMatch && subjectCompanyMatch[1].length >= 3) {
+        return subjectCompanyMatch[1].replace(/\s+/g, '').toLowerCase();
+      }
+    }
+    
+    // Check if this looks like a subdomain pattern (e.g., "q2" might be root of "q2ebanking")
+    // Only normalize if the shorter form exists at the start of the longer form
+    // This handles: q2ebanking -> q2, but won't affect unrelated domains
+    const potentialRoot = mainDomain.match(/^([a-z0-9]+?)(ebanking|banking|interviews|hiring|talent|hr|recruitment|careers)$/i);
+    if (potentialRoot && potentialRoot[1].length >= 2) {
+      return potentialRoot[1]; // Return the root part (e.g., "q2" from "q2ebanking")
+    }
+    
+    return mainDomain;
+  }
+  return domain;
+};
@@ -1,18 +1,3 @@
-const ENCRYPTED_VALUE_PREFIX = /^\s*enc:v\d+:/i;
-
-export function isEncryptedPayload(value) {
-  return typeof value === 'string' && ENCRYPTED_VALUE_PREFIX.test(value);
-}
-
-export function safeTextValue(value, fallback = '') {
-  if (value == null) return fallback;
-  const text = String(value);
-  if (isEncryptedPayload(text)) return fallback;
-  return text;
-}
-
-export function compactSafeTextValues(values = []) {
-  return values
-    .map((value) => safeTextValue(value, '').trim())
-    .filter(Boolean);
-}
+// Re-exported so existing extensionless imports keep working; the .mjs module
+// is what the pure, node-tested utils import.
+export { compactSafeTextValues, isEncryptedPayload, safeTextValue } from './sensitiveContent.mjs';
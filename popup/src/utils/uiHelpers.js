@@ -159,11 +159,30 @@ export function getCategoryTitle(categoryKey) {
     "closed": "Closed",
     "irrelevant": "Irrelevant",
     "all": "All",
+    "reminders": "Reminders",
+    "calendar": "Upcoming interviews",
+    "contacts": "Contacts",
     "dashboard": "Dashboard", // For sidebar navigation
   };
   return titles[lowerCategoryKey] || (categoryKey || "Unknown Category"); // Fallback to original key or generic string
 }
 
+/**
+ * Returns an extracted position only when it reads like a job title. The
+ * extractor sometimes captures a whole sentence, which would wreck a one-line row.
+ * @param {string|null|undefined} position - The raw `position` field from an email.
+ * @returns {string|null} The trimmed title, or null when it should be hidden.
+ */
+export function getDisplayPosition(position) {
+  const rawPosition = (position || '').trim();
+  return (
+    rawPosition &&
+    rawPosition.length <= 80 &&
+    /^[A-Z0-9(]/.test(rawPosition) &&
+    !/[.!?]\s+\S/.test(rawPosition)
+  ) ? rawPosition : null;
+}
+
 /**
  * Calculates time since oldest pending follow-up.
  * @param {Array<object>} followUpSuggestions - List of follow-up suggestions.
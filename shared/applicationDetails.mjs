@@ -0,0 +1,302 @@
+/**
+ * @file shared/applicationDetails.mjs
+ * @description The user's own details on an application: free-form notes,
+ * tags ("referral", "remote", "dream job") and values for the custom fields
+ * they define. Field definitions are one list per account; the values,
+ * notes and tags are keyed per application as described in
+ * shared/applicationRecords.mjs. The service worker owns both stores. Kept
+ * dependency-free for `node --test`.
+ */
+
+import { applicationRecordKeys, applicationRoleForEmails, findApplicationRecord, isApplicationRecordKey, putApplicationRecord } from './applicationRecords.mjs';
+
+export const APPLICATION_DETAILS_STORAGE_KEY = 'applendiumApplicationDetailsV1';
+export const CUSTOM_FIELDS_STORAGE_KEY = 'applendiumCustomFieldsV1';
+
+export const CUSTOM_FIELD_TYPES = Object.freeze([
+  { value: 'text', label: 'Text' },
+  { value: 'number', label: 'Number' },
+  { value: 'date', label: 'Date' },
+  { value: 'url', label: 'Link' },
+  { value: 'select', label: 'Choice' },
+]);
+
+export const SUGGESTED_TAGS = Object.freeze(['referral', 'remote', 'dream job']);
+
+export const MAX_TAG_LENGTH = 40;
+const MAX_TAGS = 20;
+const MAX_NOTES_LENGTH = 5000;
+const MAX_CUSTOM_FIELDS = 20;
+const MAX_FIELD_LABEL_LENGTH = 60;
+const MAX_SELECT_OPTIONS = 30;
+const MAX_TEXT_VALUE_LENGTH = 500;
+const MAX_LINK_LENGTH = 2000;
+const MAX_ID_LENGTH = 100;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const FIELD_TYPE_VALUES = new Set(CUSTOM_FIELD_TYPES.map((type) => type.value));
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function cleanLine(value, maxLength) {
+  return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, maxLength) : '';
+}
+
+/** Tags compare case-insensitively, so they are stored lowercased. */
+export function normalizeTag(value) {
+  return cleanLine(value, MAX_TAG_LENGTH).toLowerCase();
+}
+
+function normalizeTags(value) {
+  if (!Array.isArray(value)) return [];
+  return [...new Set(value.map(normalizeTag).filter(Boolean))].slice(0, MAX_TAGS);
+}
+
+export function emptyApplicationDetails() {
+  return { notes: '', tags: [], fields: {}, updatedAt: null };
+}
+
+export function isApplicationDetailsEmpty(details) {
+  return !details || (!details.notes && (details.tags || []).length === 0 && Object.keys(details.fields || {}).length === 0);
+}
+
+// --- Field definitions ---
+
+function normalizeFieldDefinition(raw) {
+  if (!isPlainObject(raw) || typeof raw.id !== 'string' || !raw.id || raw.id.length > MAX_ID_LENGTH) return null;
+  const label = cleanLine(raw.label, MAX_FIELD_LABEL_LENGTH);
+  if (!label || !FIELD_TYPE_VALUES.has(raw.type)) return null;
+  const options = raw.type === 'select'
+    ? [...new Set((Array.isArray(raw.options) ? raw.options : []).map((option) => cleanLine(option, MAX_FIELD_LABEL_LENGTH)).filter(Boolean))].slice(0, MAX_SELECT_OPTIONS)
+    : [];
+  if (raw.type === 'select' && options.length === 0) return null;
+  return { id: raw.id, label, type: raw.type, options };
+}
+
+/**
+ * Drops malformed definitions. Storage is user-editable through devtools and
+ * backups, so never trust its shape.
+ */
+export function normalizeCustomFieldDefinitions(raw) {
+  if (!Array.isArray(raw)) return [];
+  const seen = new Set();
+  return raw.map(normalizeFieldDefinition).filter((field) => {
+    if (!field || seen.has(field.id)) return false;
+    seen.add(field.id);
+    return true;
+  }).slice(0, MAX_CUSTOM_FIELDS);
+}
+
+/**
+ * Strict check for the definition list sent by the popup.
+ * @returns {{valid: true, value: Array<object>}|{valid: false, error: string}}
+ */
+export function validateCustomFieldDefinitionsInput(input) {
+  if (!Array.isArray(input)) return { valid: false, error: 'Custom fields are required.' };
+  if (input.length > MAX_CUSTOM_FIELDS) return { valid: false, error: `Keep at most ${MAX_CUSTOM_FIELDS} custom fields.` };
+  const labels = new Set();
+  const ids = new Set();
+  for (const raw of input) {
+    const field = normalizeFieldDefinition(raw);
+    if (!field) {
+      if (isPlainObject(raw) && raw.type === 'select') return { valid: false, error: 'A choice field needs at least one option.' };
+      return { valid: false, error: 'Each custom field needs a name and a type.' };
+    }
+    if (Array.isArray(raw.options) && raw.options.length > MAX_SELECT_OPTIONS) {
+      return { valid: false, error: `Keep at most ${MAX_SELECT_OPTIONS} options per field.` };
+    }
+    const labelKey = field.label.toLowerCase();
+    if (labels.has(labelKey)) return { valid: false, error: `There is already a field called "${field.label}".` };
+    if (ids.has(field.id)) return { valid: false, error: 'Duplicate custom field id.' };
+    labels.add(labelKey);
+    ids.add(field.id);
+  }
+  return { valid: true, value: normalizeCustomFieldDefinitions(input) };
+}
+
+// --- Field values ---
+
+/**
+ * Checks one value against its field's type. Empty input means "unset".
+ * @returns {{valid: true, value: string|number|null}|{valid: false, error: string}}
+ */
+export function validateCustomFieldValue(field, raw) {
+  if (raw === null || raw === undefined || (typeof raw === 'string' && !raw.trim())) return { valid: true, value: null };
+  switch (field.type) {
+    case 'number': {
+      const number = typeof raw === 'number' ? raw : Number(String(raw).replace(/,/g, '').trim());
+      return Number.isFinite(number) ? { valid: true, value: number } : { valid: false, error: `${field.label} must be a number.` };
+    }
+    case 'date':
+      return typeof raw === 'string' && DATE_ONLY_PATTERN.test(raw.trim())
+        ? { valid: true, value: raw.trim() }
+        : { valid: false, error: `${field.label} must be a date (YYYY-MM-DD).` };
+    case 'url': {
+      const text = String(raw).trim();
+      try {
+        const url = new URL(text);
+        if (text.length > MAX_LINK_LENGTH || (url.protocol !== 'https:' && url.protocol !== 'http:')) throw new Error('protocol');
+        return { valid: true, value: url.toString() };
+      } catch (_) {
+        return { valid: false, error: `${field.label} must be an http(s) link.` };
+      }
+    }
+    case 'select':
+      return field.options.includes(raw)
+        ? { valid: true, value: raw }
+        : { valid: false, error: `${field.label} must be one of its options.` };
+    default: {
+      if (typeof raw !== 'string') return { valid: false, error: `${field.label} must be text.` };
+      const text = raw.trim();
+      return text.length > MAX_TEXT_VALUE_LENGTH
+        ? { valid: false, error: `${field.label} is too long.` }
+        : { valid: true, value: text };
+    }
+  }
+}
+
+/** A stored value as text, for the preview and the export. */
+export function formatCustomFieldValue(field, value) {
+  if (value === null || value === undefined || value === '') return '';
+  if (field?.type === 'number' && typeof value === 'number') return value.toLocaleString('en-US');
+  return String(value);
+}
+
+// --- Per-application details ---
+
+function normalizeFieldValues(raw) {
+  if (!isPlainObject(raw)) return {};
+  const values = {};
+  for (const [fieldId, value] of Object.entries(raw)) {
+    if (fieldId.length > MAX_ID_LENGTH) continue;
+    if (typeof value === 'number' && Number.isFinite(value)) values[fieldId] = value;
+    if (typeof value === 'string' && value && value.length <= MAX_LINK_LENGTH) values[fieldId] = value;
+  }
+  return values;
+}
+
+export function normalizeApplicationDetails(raw) {
+  if (!isPlainObject(raw)) return emptyApplicationDetails();
+  return {
+    notes: typeof raw.notes === 'string' ? raw.notes.slice(0, MAX_NOTES_LENGTH) : '',
+    tags: normalizeTags(raw.tags),
+    fields: normalizeFieldValues(raw.fields),
+    updatedAt: Number.isFinite(raw.updatedAt) ? raw.updatedAt : null,
+  };
+}
+
+export function normalizeApplicationDetailsStore(raw) {
+  if (!isPlainObject(raw)) return {};
+  const store = {};
+  for (const [key, details] of Object.entries(raw)) {
+    if (!isApplicationRecordKey(key) || !isPlainObject(details)) continue;
+    const normalized = normalizeApplicationDetails(details);
+    if (!isApplicationDetailsEmpty(normalized)) store[key] = normalized;
+  }
+  return store;
+}
+
+/**
+ * Strict check for one application's details against the account's field
+ * definitions. Values for fields that no longer exist are dropped; anything
+ * oversized or of the wrong type is refused rather than trimmed.
+ * @returns {{valid: true, value: object}|{valid: false, error: string}}
+ */
+export function validateApplicationDetailsInput(input, definitions) {
+  if (!isPlainObject(input)) return { valid: false, error: 'Application details are required.' };
+  if (typeof input.notes === 'string' && input.notes.length > MAX_NOTES_LENGTH) {
+    return { valid: false, error: 'Notes are too long.' };
+  }
+  const rawTags = Array.isArray(input.tags) ? input.tags : [];
+  if (rawTags.length > MAX_TAGS) return { valid: false, error: `Keep at most ${MAX_TAGS} tags.` };
+  if (rawTags.some((tag) => typeof tag !== 'string' || tag.trim().length > MAX_TAG_LENGTH)) {
+    return { valid: false, error: `Tags are limited to ${MAX_TAG_LENGTH} characters.` };
+  }
+  const rawFields = isPlainObject(input.fields) ? input.fields : {};
+  const fields = {};
+  for (const field of definitions || []) {
+    const checked = validateCustomFieldValue(field, rawFields[field.id]);
+    if (!checked.valid) return checked;
+    if (checked.value !== null) fields[field.id] = checked.value;
+  }
+  return {
+    valid: true,
+    value: {
+      notes: typeof input.notes === 'string' ? input.notes.trim() : '',
+      tags: normalizeTags(rawTags),
+      fields,
+    },
+  };
+}
+
+/**
+ * Writes one role's details into the per-account store. Emptied details are
+ * removed rather than stored.
+ * @returns {object} The next store.
+ */
+export function saveApplicationDetailsInStore(store, keys, details, now) {
+  return putApplicationRecord(store, keys, isApplicationDetailsEmpty(details) ? null : { ...details, updatedAt: now });
+}
+
+/** Every tag in use, sorted, for the tag filter and suggestions. */
+export function collectApplicationTags(store) {
+  const tags = new Set();
+  for (const details of Object.values(store || {})) {
+    for (const tag of details?.tags || []) tags.add(tag);
+  }
+  return [...tags].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Copies categorizedEmails with `applicationTags` on every email. The role is
+ * read from the email's whole thread, as the preview does, so every message in
+ * a thread carries the same tags.
+ */
+export function attachApplicationTags(categorizedEmails, store, getApplicationKey) {
+  const hasTags = Object.values(store || {}).some((details) => (details?.tags || []).length > 0);
+  const threadEmails = new Map();
+  if (hasTags) {
+    for (const emails of Object.values(categorizedEmails || {})) {
+      for (const email of Array.isArray(emails) ? emails : []) {
+        const threadId = String(email?.thread_id || email?.threadId || email?.id || '');
+        if (!threadEmails.has(threadId)) threadEmails.set(threadId, []);
+        threadEmails.get(threadId).push(email);
+      }
+    }
+  }
+  const tagsByThread = new Map();
+  const tagsFor = (email) => {
+    if (!hasTags) return [];
+    const threadId = String(email?.thread_id || email?.threadId || email?.id || '');
+    if (!tagsByThread.has(threadId)) {
+      const keys = applicationRecordKeys(applicationRoleForEmails(threadEmails.get(threadId) || [email]), getApplicationKey);
+      tagsByThread.set(threadId, findApplicationRecord(store, keys)?.tags || []);
+    }
+    return tagsByThread.get(threadId);
+  };
+
+  const result = {};
+  for (const [category, emails] of Object.entries(categorizedEmails || {})) {
+    result[category] = Array.isArray(emails)
+      ? emails.map((email) => ({ ...email, applicationTags: tagsFor(email) }))
+      : emails;
+  }
+  return result;
+}
+
+/** Whether any email in a group carries the tag. */
+export function groupHasTag(emails, tag) {
+  return !tag || (emails || []).some((email) => (email?.applicationTags || []).includes(tag));
+}
+
+/**
+ * Adds each activity report row's details record as `details` (or null), as
+ * attachInterviewPrep does for prep.
+ */
+export function attachApplicationDetails(rows, store, getApplicationKey) {
+  return (rows || []).map((row) => ({
+    ...row,
+    details: findApplicationRecord(store, applicationRecordKeys(row, getApplicationKey)),
+  }));
+}
@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  attachApplicationDetails,
+  attachApplicationTags,
+  collectApplicationTags,
+  groupHasTag,
+  normalizeApplicationDetailsStore,
+  saveApplicationDetailsInStore,
+  validateApplicationDetailsInput,
+  validateCustomFieldDefinitionsInput,
+} from './applicationDetails.mjs';
+import { buildActivityRows } from '../popup/src/utils/searchActivityReport.mjs';
+import { getApplicationKey } from './applicationKey.mjs';
+
+const NOW = new Date('2026-06-10T15:00:00Z').getTime();
+
+const FIELDS = [
+  { id: 'f_level', label: 'Level', type: 'select', options: ['Senior', 'Staff'] },
+  { id: 'f_salary', label: 'Target salary', type: 'number' },
+  { id: 'f_deadline', label: 'Deadline', type: 'date' },
+  { id: 'f_portal', label: 'Portal', type: 'url' },
+];
+
+test('field definitions need a name, a known type and options for a choice', () => {
+  assert.equal(validateCustomFieldDefinitionsInput(FIELDS).valid, true);
+  assert.equal(validateCustomFieldDefinitionsInput([{ id: 'a', label: 'Level', type: 'select', options: [] }]).valid, false);
+  assert.equal(validateCustomFieldDefinitionsInput([{ id: 'a', label: 'Mood', type: 'emoji' }]).valid, false);
+  assert.equal(validateCustomFieldDefinitionsInput([
+    { id: 'a', label: 'Level', type: 'text' },
+    { id: 'b', label: 'level', type: 'text' },
+  ]).valid, false);
+});
+
+test('values are checked against their field type and unknown fields are dropped', () => {
+  const result = validateApplicationDetailsInput({
+    notes: '  Met the hiring manager at a meetup.  ',
+    tags: ['Referral', 'remote', ' referral '],
+    fields: { f_level: 'Staff', f_salary: '185,000', f_deadline: '2026-07-01', f_portal: '', f_gone: 'x' },
+  }, FIELDS);
+  assert.deepEqual(result.value, {
+    notes: 'Met the hiring manager at a meetup.',
+    tags: ['referral', 'remote'],
+    fields: { f_level: 'Staff', f_salary: 185000, f_deadline: '2026-07-01' },
+  });
+  assert.equal(validateApplicationDetailsInput({ fields: { f_level: 'Principal' } }, FIELDS).valid, false);
+  assert.equal(validateApplicationDetailsInput({ fields: { f_salary: 'lots' } }, FIELDS).valid, false);
+  assert.equal(validateApplicationDetailsInput({ fields: { f_deadline: 'July 1' } }, FIELDS).valid, false);
+  assert.equal(validateApplicationDetailsInput({ fields: { f_portal: 'javascript:alert(1)' } }, FIELDS).valid, false);
+});
+
+test('tags follow every email of the thread and feed the filter', () => {
+  const store = saveApplicationDetailsInStore({}, { key: 'cp_acme_designer', fallbackKey: null }, { notes: '', tags: ['dream job'], fields: {} }, NOW);
+  const categorized = attachApplicationTags({
+    applied: [{ id: 'm1', thread_id: 't1', company_name: 'Acme', position: 'Designer' }],
+    interviewed: [{ id: 'm2', thread_id: 't1', company_name: '', position: '' }],
+    rejected: [{ id: 'm3', thread_id: 't2', company_name: 'Other', position: 'Engineer' }],
+  }, store, getApplicationKey);
+  assert.deepEqual(categorized.interviewed[0].applicationTags, ['dream job']);
+  assert.deepEqual(categorized.rejected[0].applicationTags, []);
+  assert.equal(groupHasTag(categorized.applied, 'dream job'), true);
+  assert.equal(groupHasTag(categorized.rejected, 'dream job'), false);
+  assert.deepEqual(collectApplicationTags(store), ['dream job']);
+});
+
+test('details reach the activity report row and empty details are removed', () => {
+  let store = saveApplicationDetailsInStore({}, { key: 'cp_acme_designer', fallbackKey: null }, { notes: 'Follow up Friday', tags: [], fields: { f_level: 'Senior' } }, NOW);
+  const rows = buildActivityRows({
+    applied: [{ id: 'm1', thread_id: 't1', company_name: 'Acme', position: 'Designer', date: '2026-06-01T10:00:00Z' }],
+  });
+  const [row] = attachApplicationDetails(rows, store, getApplicationKey);
+  assert.equal(row.details.notes, 'Follow up Friday');
+  assert.equal(row.details.updatedAt, NOW);
+
+  store = saveApplicationDetailsInStore(store, { key: 'app_7', fallbackKey: 'cp_acme_designer' }, { notes: '', tags: [], fields: {} }, NOW + 1);
+  assert.deepEqual(store, {});
+});
+
+test('malformed stored details are dropped', () => {
+  assert.deepEqual(normalizeApplicationDetailsStore({
+    app_1: { notes: 'Keep', tags: ['Remote', 7], fields: { f_a: 3, f_b: { nested: true } }, updatedAt: NOW },
+    app_2: { notes: '', tags: [] },
+    thread_3: { notes: 'Wrong key' },
+  }), { app_1: { notes: 'Keep', tags: ['remote'], fields: { f_a: 3 }, updatedAt: NOW } });
+});
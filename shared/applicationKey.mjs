@@ -0,0 +1,42 @@
+/**
+ * @file shared/applicationKey.mjs
+ * @description The key that identifies one application across its emails:
+ * the backend `application_id` when linked, else normalized company +
+ * position, else the thread, else the email. Shared by the popup's grouping
+ * utils, the service worker and the `node --test` suites.
+ */
+
+/**
+ * Lower-cases, collapses whitespace and drops punctuation so small spelling
+ * differences ("Sr. Designer" / "sr designer") map to the same key part.
+ */
+export function normalizeForKey(value) {
+  return (value || '')
+    .toString()
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/[^a-z0-9 ]/g, '')
+    .trim();
+}
+
+export function getApplicationKey(email) {
+  if (!email) return 'unknown';
+
+  const applicationId = (email.application_id || email.applicationId || '').toString().trim();
+  if (applicationId) return `app_${applicationId}`;
+
+  const companyRaw = email.company_name || email.company || '';
+  const positionRaw = email.position || email.job_title || '';
+  const company = normalizeForKey(companyRaw);
+  const position = normalizeForKey(positionRaw);
+  if (company && position) return `cp_${company}_${position}`;
+
+  const threadId = (email.thread_id || email.threadId || email.thread || '').toString().trim();
+  if (threadId) return `thread_${threadId}`;
+
+  const emailId = (email.id || '').toString().trim();
+  if (emailId) return `email_${emailId}`;
+
+  return 'unknown';
+}
@@ -0,0 +1,20 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getApplicationKey } from './applicationKey.mjs';
+
+test('the backend application id wins over company and position', () => {
+  assert.equal(getApplicationKey({ applicationId: 42, company_name: 'Acme', position: 'Designer' }), 'app_42');
+  assert.equal(getApplicationKey({ application_id: ' 7 ', thread_id: 't1' }), 'app_7');
+});
+
+test('company and position are normalized so spelling variants share a key', () => {
+  assert.equal(getApplicationKey({ company_name: '  Acme ', position: 'Sr. Designer' }), 'cp_acme_sr designer');
+  assert.equal(getApplicationKey({ company: 'ACME', job_title: 'sr designer' }), 'cp_acme_sr designer');
+});
+
+test('falls back to the thread, then the email, then unknown', () => {
+  assert.equal(getApplicationKey({ company_name: 'Acme', thread_id: 't1', id: 'e1' }), 'thread_t1');
+  assert.equal(getApplicationKey({ id: 'e1' }), 'email_e1');
+  assert.equal(getApplicationKey({}), 'unknown');
+  assert.equal(getApplicationKey(null), 'unknown');
+});
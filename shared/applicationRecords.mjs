@@ -0,0 +1,66 @@
+/**
+ * @file shared/applicationRecords.mjs
+ * @description Storage keys for local records attached to one application
+ * (interview prep, offer details). A record is keyed by the role's `app_*` key
+ * (backend applicationId); a role the backend has not linked yet uses its
+ * `cp_*` company+position key, and the next save moves the record over to the
+ * `app_*` key. Kept dependency-free for `node --test`; `getApplicationKey` is
+ * injected as in mergeManualApplications.
+ */
+
+const MAX_KEY_LENGTH = 500;
+const RECORD_KEY_PATTERN = /^(?:app|cp)_\S/;
+
+export function isApplicationRecordKey(key) {
+  return typeof key === 'string' && key.length <= MAX_KEY_LENGTH && RECORD_KEY_PATTERN.test(key);
+}
+
+/**
+ * Storage keys for one role: the `app_*` key when the backend linked it, and
+ * the `cp_*` key as the fallback a record may still live under.
+ * @param {{applicationId?: string|number, company?: string, position?: string}} role
+ * @param {(email: object) => string} getApplicationKey
+ * @returns {{key: string, fallbackKey: string|null}|null} Null when the role
+ *   has neither, e.g. an email whose company or position was not extracted.
+ */
+export function applicationRecordKeys(role, getApplicationKey) {
+  const applicationId = String(role?.applicationId ?? '').trim();
+  const pairKey = getApplicationKey({ company_name: role?.company || '', position: role?.position || '' });
+  const cpKey = typeof pairKey === 'string' && pairKey.startsWith('cp_') ? pairKey : null;
+  if (applicationId) return { key: `app_${applicationId}`, fallbackKey: cpKey };
+  return cpKey ? { key: cpKey, fallbackKey: null } : null;
+}
+
+/** The role behind a thread: its first applicationId, company and position. */
+export function applicationRoleForEmails(emails) {
+  const role = { applicationId: null, company: '', position: '' };
+  for (const email of emails || []) {
+    role.applicationId = role.applicationId || email?.applicationId || email?.application_id || null;
+    role.company = role.company || email?.company_name || email?.company || '';
+    role.position = role.position || email?.position || email?.job_title || '';
+  }
+  return role;
+}
+
+/** The stored record for a role, looked up by its key then its fallback. */
+export function findApplicationRecord(store, keys) {
+  if (!keys || !store || typeof store !== 'object') return null;
+  return store[keys.key] || (keys.fallbackKey ? store[keys.fallbackKey] : null) || null;
+}
+
+/**
+ * Writes one role's record into a per-account store. The fallback key is
+ * dropped so a role that gained an applicationId keeps a single record; a
+ * null record removes the role's entry.
+ * @returns {object} The next store.
+ */
+export function putApplicationRecord(store, keys, record) {
+  const next = { ...(store && typeof store === 'object' ? store : {}) };
+  if (keys.fallbackKey && keys.fallbackKey !== keys.key) delete next[keys.fallbackKey];
+  if (record) {
+    next[keys.key] = record;
+  } else {
+    delete next[keys.key];
+  }
+  return next;
+}
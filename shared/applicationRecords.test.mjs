@@ -0,0 +1,38 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  applicationRecordKeys,
+  applicationRoleForEmails,
+  findApplicationRecord,
+  isApplicationRecordKey,
+  putApplicationRecord,
+} from './applicationRecords.mjs';
+import { getApplicationKey } from './applicationKey.mjs';
+
+test('keys prefer the applicationId and fall back to company+position', () => {
+  assert.deepEqual(
+    applicationRecordKeys({ applicationId: 42, company: 'Acme', position: 'Designer' }, getApplicationKey),
+    { key: 'app_42', fallbackKey: 'cp_acme_designer' },
+  );
+  assert.deepEqual(
+    applicationRecordKeys({ company: 'Acme', position: 'Designer' }, getApplicationKey),
+    { key: 'cp_acme_designer', fallbackKey: null },
+  );
+  assert.equal(applicationRecordKeys({ company: 'Acme' }, getApplicationKey), null);
+
+  const role = applicationRoleForEmails([
+    { company_name: 'Acme', position: '' },
+    { application_id: 7, position: 'Designer' },
+  ]);
+  assert.deepEqual(role, { applicationId: 7, company: 'Acme', position: 'Designer' });
+});
+
+test('records are found under the fallback key and moved on the next write', () => {
+  const keys = { key: 'app_42', fallbackKey: 'cp_acme_designer' };
+  const store = { cp_acme_designer: { a: 1 }, app_7: { b: 2 } };
+  assert.deepEqual(findApplicationRecord(store, keys), { a: 1 });
+  assert.deepEqual(putApplicationRecord(store, keys, { a: 2 }), { app_7: { b: 2 }, app_42: { a: 2 } });
+  assert.deepEqual(putApplicationRecord(store, keys, null), { app_7: { b: 2 } });
+  assert.equal(isApplicationRecordKey('thread_1'), false);
+  assert.equal(isApplicationRecordKey('app_1'), true);
+});
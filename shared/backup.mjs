@@ -0,0 +1,212 @@
+/**
+ * @file shared/backup.mjs
+ * @description Local backup file format. A backup is a versioned JSON snapshot
+ * of the Applendium-owned chrome.storage.local keys for one account, so
+ * follow-up state, reminders, manual applications, interview prep, offers, job
+ * description snapshots and settings survive an uninstall or a move to a new machine. Session keys (userId,
+ * tokens, plan, quota) are never written or restored: the backend stays the
+ * source of truth for those. Kept dependency-free for `node --test`.
+ */
+
+export const BACKUP_FORMAT = 'applendium-backup';
+export const BACKUP_SCHEMA_VERSION = 1;
+
+// Every key a backup may carry, with the shape restore accepts for it. Keys
+// outside this list are dropped on both backup and restore.
+const BACKUP_KEY_TYPES = Object.freeze({
+  followedUpMap: 'object',
+  respondedMap: 'object',
+  followUpSuggestions: 'array',
+  reviewAskState: 'object',
+  applendiumNotificationsEnabledV1: 'boolean',
+  applendiumNotificationsInitializedV1: 'boolean',
+  applendiumNotificationRulesV1: 'object',
+  applendiumDigestSettingsV1: 'object',
+  backendBaseUrlOverride: 'string',
+  premiumDashboardUrlOverride: 'string',
+  appliedEmails: 'array',
+  interviewedEmails: 'array',
+  offersEmails: 'array',
+  rejectedEmails: 'array',
+  irrelevantEmails: 'array',
+  categoryTotals: 'object',
+  applicationCount: 'number',
+  applicationStats: 'object',
+  emailsCacheMetaV1: 'object',
+  applendiumRemindersV1: 'array',
+  applendiumOutboxV1: 'array',
+  applendiumOutboxConflictsV1: 'array',
+  applendiumManualApplicationsV1: 'array',
+  applendiumInterviewPrepV1: 'object',
+  applendiumOffersV1: 'object',
+  applendiumJobDescriptionsV1: 'object',
+  applendiumApplicationDetailsV1: 'object',
+  applendiumCustomFieldsV1: 'array',
+  applendiumFollowUpTemplatesV1: 'array',
+  applendiumFollowUpCadenceV1: 'array',
+  applendiumSelectedCategory: 'string',
+  applendiumCelebratedOfferThreads: 'array',
+  applendiumPremiumTeaserDismissedAt: 'number',
+  applendiumPremiumActiveCardDismissedAt: 'number',
+  quotaAlertDismissed: 'boolean',
+});
+
+export const BACKUP_STORAGE_KEYS = Object.freeze(Object.keys(BACKUP_KEY_TYPES));
+
+// Stored as { [userId]: value } so several accounts can share a browser. A
+// backup carries only the owner's slice; restore writes it back under the
+// same id and leaves other accounts alone.
+export const USER_SCOPED_BACKUP_KEYS = Object.freeze([
+  'applendiumManualApplicationsV1',
+  'applendiumInterviewPrepV1',
+  'applendiumOffersV1',
+  'applendiumJobDescriptionsV1',
+  'applendiumApplicationDetailsV1',
+  'applendiumCustomFieldsV1',
+  'applendiumFollowUpTemplatesV1',
+  'applendiumFollowUpCadenceV1',
+]);
+
+// Left out when the user opts out of job descriptions, which can make up most
+// of a backup's size: the snapshot store, and the text captured on job-board
+// manual applications (see shared/jobCapture.mjs).
+const JOB_DESCRIPTIONS_BACKUP_KEY = 'applendiumJobDescriptionsV1';
+const MANUAL_APPLICATIONS_BACKUP_KEY = 'applendiumManualApplicationsV1';
+
+// Key names from before the rebrand. Older installs (and backups made from
+// raw storage dumps) may still hold them.
+const LEGACY_KEY_RENAMES = Object.freeze({
+  [['morrow', 'foldNotificationsEnabledV1'].join('')]: 'applendiumNotificationsEnabledV1',
+  [['app', 'mailiaNotificationsEnabledV1'].join('')]: 'applendiumNotificationsEnabledV1',
+  [['morrow', 'foldNotificationsInitializedV1'].join('')]: 'applendiumNotificationsInitializedV1',
+  [['app', 'mailiaNotificationsInitializedV1'].join('')]: 'applendiumNotificationsInitializedV1',
+  [['morrow', 'foldSelectedCategory'].join('')]: 'applendiumSelectedCategory',
+  [['app', 'mailiaSelectedCategory'].join('')]: 'applendiumSelectedCategory',
+  [['in', 'tracktSelectedCategory'].join('')]: 'applendiumSelectedCategory',
+});
+
+// Upgrades a backup one schema version at a time: entry N turns version N
+// into N + 1. Append here whenever BACKUP_SCHEMA_VERSION is bumped.
+const BACKUP_MIGRATIONS = [];
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function matchesType(value, type) {
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'object') return isPlainObject(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeof value === type;
+}
+
+function withoutCapturedDescriptions(applications) {
+  return applications.map((application) => {
+    if (!isPlainObject(application) || !('description' in application)) return application;
+    const { description: _description, ...rest } = application;
+    return rest;
+  });
+}
+
+/**
+ * Builds the backup document from a storage snapshot.
+ * @param {Record<string, any>} storage - Result of chrome.storage.local.get(BACKUP_STORAGE_KEYS).
+ * @param {{userId: string, userEmail?: string, extensionVersion?: string, now: number, includeJobDescriptions?: boolean}} owner
+ */
+export function createBackup(storage, { userId, userEmail = null, extensionVersion = null, now, includeJobDescriptions = true }) {
+  const data = {};
+  for (const key of BACKUP_STORAGE_KEYS) {
+    if (key === JOB_DESCRIPTIONS_BACKUP_KEY && !includeJobDescriptions) continue;
+    let value = storage?.[key];
+    if (USER_SCOPED_BACKUP_KEYS.includes(key)) value = isPlainObject(value) ? value[userId] : undefined;
+    if (value !== undefined && matchesType(value, BACKUP_KEY_TYPES[key])) data[key] = value;
+  }
+  if (!includeJobDescriptions && data[MANUAL_APPLICATIONS_BACKUP_KEY]) {
+    data[MANUAL_APPLICATIONS_BACKUP_KEY] = withoutCapturedDescriptions(data[MANUAL_APPLICATIONS_BACKUP_KEY]);
+  }
+  return {
+    format: BACKUP_FORMAT,
+    schemaVersion: BACKUP_SCHEMA_VERSION,
+    exportedAt: new Date(now).toISOString(),
+    extensionVersion,
+    owner: { userId, userEmail },
+    data,
+  };
+}
+
+/**
+ * Brings an older backup up to the current schema and renames legacy keys.
+ * @returns {{valid: true, backup: object}|{valid: false, error: string}}
+ */
+export function migrateBackup(backup) {
+  let current = backup;
+  while (current.schemaVersion < BACKUP_SCHEMA_VERSION) {
+    const migrate = BACKUP_MIGRATIONS[current.schemaVersion - 1];
+    if (!migrate) return { valid: false, error: `Backups from version ${current.schemaVersion} can no longer be restored.` };
+    current = { ...migrate(current), schemaVersion: current.schemaVersion + 1 };
+  }
+
+  const data = {};
+  for (const [key, value] of Object.entries(current.data)) {
+    const target = LEGACY_KEY_RENAMES[key] || key;
+    // A current-name key wins over its legacy twin, whatever the order.
+    if (target !== key && Object.prototype.hasOwnProperty.call(current.data, target)) continue;
+    data[target] = value;
+  }
+  return { valid: true, backup: { ...current, data } };
+}
+
+/**
+ * Checks an uploaded backup before anything is written: format, schema
+ * version, owner, then each key's shape. Keys that fail their shape check are
+ * skipped and reported rather than failing the whole restore.
+ *
+ * @param {unknown} raw - Parsed JSON from the file.
+ * @param {{userId: string}} currentUser - The signed-in account.
+ * @returns {{valid: true, data: Record<string, any>, skippedKeys: Array<string>, owner: object}|{valid: false, error: string}}
+ */
+export function validateBackup(raw, { userId }) {
+  if (!isPlainObject(raw) || raw.format !== BACKUP_FORMAT) {
+    return { valid: false, error: 'This is not an Applendium backup file.' };
+  }
+  const version = raw.schemaVersion;
+  if (!Number.isInteger(version) || version < 1) return { valid: false, error: 'The backup has no valid schema version.' };
+  if (version > BACKUP_SCHEMA_VERSION) {
+    return { valid: false, error: 'This backup was made by a newer version of Applendium. Update the extension first.' };
+  }
+  if (!isPlainObject(raw.data)) return { valid: false, error: 'The backup has no data.' };
+  if (!userId) return { valid: false, error: 'Sign in before restoring a backup.' };
+  if (!raw.owner?.userId || raw.owner.userId !== userId) {
+    const label = raw.owner?.userEmail ? ` (${raw.owner.userEmail})` : '';
+    return { valid: false, error: `This backup belongs to another account${label}.` };
+  }
+
+  const migrated = migrateBackup(raw);
+  if (!migrated.valid) return migrated;
+
+  const data = {};
+  const skippedKeys = [];
+  for (const [key, value] of Object.entries(migrated.backup.data)) {
+    if (BACKUP_KEY_TYPES[key] && matchesType(value, BACKUP_KEY_TYPES[key])) {
+      data[key] = value;
+    } else {
+      skippedKeys.push(key);
+    }
+  }
+  return { valid: true, data, skippedKeys, owner: migrated.backup.owner };
+}
+
+/**
+ * The chrome.storage.local.set() patch for a validated restore. User-scoped
+ * keys are merged into the existing per-account map.
+ * @param {Record<string, any>} data - `data` from validateBackup.
+ * @param {Record<string, any>} existing - Current values of USER_SCOPED_BACKUP_KEYS.
+ */
+export function buildRestorePatch(data, existing, userId) {
+  const patch = { ...data };
+  for (const key of USER_SCOPED_BACKUP_KEYS) {
+    if (!(key in data)) continue;
+    patch[key] = { ...(isPlainObject(existing?.[key]) ? existing[key] : {}), [userId]: data[key] };
+  }
+  return patch;
+}
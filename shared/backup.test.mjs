@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BACKUP_FORMAT,
+  BACKUP_SCHEMA_VERSION,
+  buildRestorePatch,
+  createBackup,
+  validateBackup,
+} from './backup.mjs';
+
+const NOW = new Date('2026-06-10T15:00:00Z').getTime();
+
+const storage = {
+  userId: 'u1',
+  userEmail: 'me@example.com',
+  followedUpMap: { t1: NOW },
+  respondedMap: { t1: true },
+  appliedEmails: [{ id: 1 }],
+  applendiumNotificationsEnabledV1: false,
+  applendiumManualApplicationsV1: { u1: [{ id: 'manual_a' }], u2: [{ id: 'manual_b' }] },
+  applendiumRemindersV1: 'not an array',
+};
+
+test('a backup holds only Applendium data keys and the owner slice of per-account keys', () => {
+  const backup = createBackup(storage, { userId: 'u1', userEmail: 'me@example.com', extensionVersion: '2.0.9', now: NOW });
+  assert.equal(backup.format, BACKUP_FORMAT);
+  assert.equal(backup.schemaVersion, BACKUP_SCHEMA_VERSION);
+  assert.deepEqual(backup.owner, { userId: 'u1', userEmail: 'me@example.com' });
+  assert.equal(backup.data.userId, undefined);
+  assert.equal(backup.data.applendiumRemindersV1, undefined);
+  assert.deepEqual(backup.data.applendiumManualApplicationsV1, [{ id: 'manual_a' }]);
+  assert.equal(backup.data.applendiumNotificationsEnabledV1, false);
+});
+
+test('restore refuses other accounts, newer schemas and foreign files', () => {
+  const backup = createBackup(storage, { userId: 'u1', userEmail: 'me@example.com', now: NOW });
+  assert.match(validateBackup(backup, { userId: 'u2' }).error, /another account \(me@example.com\)/);
+  assert.match(validateBackup({ ...backup, schemaVersion: BACKUP_SCHEMA_VERSION + 1 }, { userId: 'u1' }).error, /newer version/);
+  assert.match(validateBackup({ ...backup, schemaVersion: '1' }, { userId: 'u1' }).error, /schema version/);
+  assert.match(validateBackup({ data: {} }, { userId: 'u1' }).error, /not an Applendium backup/);
+  assert.match(validateBackup(backup, { userId: null }).error, /Sign in/);
+});
+
+test('restore renames legacy keys, drops unknown or malformed ones and merges per-account keys', () => {
+  const legacyEnabledKey = ['app', 'mailiaNotificationsEnabledV1'].join('');
+  const result = validateBackup({
+    format: BACKUP_FORMAT,
+    schemaVersion: 1,
+    owner: { userId: 'u1' },
+    data: {
+      [legacyEnabledKey]: true,
+      followedUpMap: ['wrong'],
+      userId: 'u9',
+      applendiumManualApplicationsV1: [{ id: 'manual_a' }],
+    },
+  }, { userId: 'u1' });
+  assert.equal(result.valid, true);
+  assert.equal(result.data.applendiumNotificationsEnabledV1, true);
+  assert.deepEqual(result.skippedKeys.sort(), ['followedUpMap', 'userId']);
+
+  const patch = buildRestorePatch(result.data, { applendiumManualApplicationsV1: { u2: [{ id: 'manual_b' }] } }, 'u1');
+  assert.deepEqual(patch.applendiumManualApplicationsV1, { u2: [{ id: 'manual_b' }], u1: [{ id: 'manual_a' }] });
+});
+
+test('job descriptions are left out of a backup when the user opts out', () => {
+  const withDescriptions = {
+    ...storage,
+    applendiumManualApplicationsV1: { u1: [{ id: 'manual_a', description: 'About the role' }] },
+    applendiumJobDescriptionsV1: { u1: { cp_acme_designer: { text: 'Design things.' } }, u2: {} },
+  };
+  const full = createBackup(withDescriptions, { userId: 'u1', now: NOW });
+  assert.deepEqual(full.data.applendiumJobDescriptionsV1, { cp_acme_designer: { text: 'Design things.' } });
+  assert.equal(full.data.applendiumManualApplicationsV1[0].description, 'About the role');
+
+  const slim = createBackup(withDescriptions, { userId: 'u1', now: NOW, includeJobDescriptions: false });
+  assert.equal(slim.data.applendiumJobDescriptionsV1, undefined);
+  assert.deepEqual(slim.data.applendiumManualApplicationsV1, [{ id: 'manual_a' }]);
+  // The stored records are untouched.
+  assert.equal(withDescriptions.applendiumManualApplicationsV1.u1[0].description, 'About the role');
+});
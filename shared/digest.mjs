@@ -0,0 +1,210 @@
+/**
+ * @file shared/digest.mjs
+ * @description Scheduled digest: one daily or weekly summary of what changed in
+ * the pipeline, built from the cached categorized emails plus the follow-ups
+ * coming due. The service worker builds it when the digest alarm fires and
+ * shows it as a list notification; the popup's Digest panel renders the same
+ * object in full. Kept dependency-free for `node --test`.
+ */
+
+export const DIGEST_SETTINGS_STORAGE_KEY = 'applendiumDigestSettingsV1';
+export const DIGEST_ALARM_NAME = 'applendiumDigest';
+// Handoff from a digest notification click to the popup, like the pending
+// thread focus in shared/reminders.mjs.
+export const PENDING_DIGEST_OPEN_STORAGE_KEY = 'applendiumPendingDigestOpenV1';
+export const PENDING_DIGEST_OPEN_MAX_AGE_MS = 5 * 60 * 1000;
+export const DIGEST_NOTIFICATION_PREFIX = 'applendium_digest_';
+
+export const DIGEST_FREQUENCIES = Object.freeze(['off', 'daily', 'weekly']);
+export const DIGEST_CATEGORIES = Object.freeze(['applied', 'interviewed', 'offers', 'rejected']);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const MAX_DIGEST_FOLLOW_UPS = 20;
+const MAX_NOTIFICATION_ITEMS = 5;
+
+export const DEFAULT_DIGEST_SETTINGS = Object.freeze({
+  frequency: 'off',
+  time: '08:00',
+  // 0 = Sunday, matching Date#getDay.
+  weekday: 1,
+});
+
+export function normalizeDigestSettings(raw) {
+  const input = raw && typeof raw === 'object' ? raw : {};
+  return {
+    frequency: DIGEST_FREQUENCIES.includes(input.frequency) ? input.frequency : DEFAULT_DIGEST_SETTINGS.frequency,
+    time: TIME_OF_DAY_PATTERN.test(input.time) ? input.time : DEFAULT_DIGEST_SETTINGS.time,
+    weekday: Number.isInteger(input.weekday) && input.weekday >= 0 && input.weekday <= 6
+      ? input.weekday
+      : DEFAULT_DIGEST_SETTINGS.weekday,
+  };
+}
+
+/**
+ * Strict check for settings sent by the popup.
+ * @returns {{valid: true, value: object}|{valid: false, error: string}}
+ */
+export function validateDigestSettingsInput(input) {
+  if (!input || typeof input !== 'object') return { valid: false, error: 'Digest settings are required.' };
+  if (!DIGEST_FREQUENCIES.includes(input.frequency)) return { valid: false, error: 'Unknown digest frequency.' };
+  if (input.time !== undefined && !TIME_OF_DAY_PATTERN.test(input.time)) {
+    return { valid: false, error: 'Digest time must be an HH:MM time.' };
+  }
+  if (input.weekday !== undefined && !(Number.isInteger(input.weekday) && input.weekday >= 0 && input.weekday <= 6)) {
+    return { valid: false, error: 'Digest weekday must be 0-6.' };
+  }
+  return { valid: true, value: normalizeDigestSettings(input) };
+}
+
+/** Next local delivery time after `now`, or null when the digest is off. */
+export function nextDigestAt(settings, now) {
+  if (settings.frequency === 'off') return null;
+  const [hours, minutes] = settings.time.split(':').map(Number);
+  const date = new Date(now);
+  date.setHours(hours, minutes, 0, 0);
+  if (settings.frequency === 'weekly') {
+    date.setDate(date.getDate() + ((settings.weekday - date.getDay() + 7) % 7));
+  }
+  while (date.getTime() <= now) date.setDate(date.getDate() + (settings.frequency === 'weekly' ? 7 : 1));
+  return date.getTime();
+}
+
+export function digestPeriodMs(frequency) {
+  return frequency === 'weekly' ? 7 * DAY_MS : DAY_MS;
+}
+
+function threadKey(email) {
+  return String(email?.thread_id || email?.threadId || email?.id || '');
+}
+
+function digestEntry(email) {
+  return {
+    id: String(email.id),
+    threadId: email.thread_id || email.threadId || null,
+    company: email.company_name || email.company || '',
+    position: email.position || email.job_title || '',
+    date: email.date || null,
+  };
+}
+
+/**
+ * Summarizes one period. Each thread counts once per category (its latest
+ * email in the window), so a long back-and-forth is still one interview.
+ *
+ * Follow-ups are the open suggestions (not yet followed up or answered) plus
+ * pending reminders that fall due before the next digest.
+ *
+ * @param {object} input
+ * @param {object} input.categorizedEmails
+ * @param {Array<object>} [input.followUpSuggestions]
+ * @param {Record<string, number>} [input.followedUpMap]
+ * @param {Record<string, boolean>} [input.respondedMap]
+ * @param {Array<object>} [input.reminders]
+ * @param {'daily'|'weekly'} input.frequency
+ * @param {number} input.now
+ */
+export function buildDigest({
+  categorizedEmails,
+  followUpSuggestions = [],
+  followedUpMap = {},
+  respondedMap = {},
+  reminders = [],
+  frequency,
+  now,
+}) {
+  const period = digestPeriodMs(frequency);
+  const periodStart = now - period;
+  const sections = {};
+  for (const category of DIGEST_CATEGORIES) {
+    const latestByThread = new Map();
+    for (const email of categorizedEmails?.[category] || []) {
+      const time = new Date(email?.date || 0).getTime();
+      if (!email?.id || !Number.isFinite(time) || time < periodStart || time > now) continue;
+      const key = threadKey(email);
+      const existing = latestByThread.get(key);
+      if (!existing || time > new Date(existing.date).getTime()) latestByThread.set(key, email);
+    }
+    sections[category] = [...latestByThread.values()]
+      .sort((a, b) => new Date(b.date) - new Date(a.date))
+      .map(digestEntry);
+  }
+
+  const followUps = [];
+  for (const suggestion of Array.isArray(followUpSuggestions) ? followUpSuggestions : []) {
+    const threadId = suggestion?.thread_id || suggestion?.threadId || null;
+    // A cadence suggestion (shared/followUpCadence.mjs) carries dueAt; only a
+    // follow-up after that date settles it.
+    const followedUpAt = threadId ? followedUpMap[threadId] : null;
+    if (followedUpAt && followedUpAt >= (suggestion?.dueAt || 0)) continue;
+    if (threadId && respondedMap[threadId]) continue;
+    followUps.push({
+      source: 'suggestion',
+      threadId,
+      company: suggestion?.company || '',
+      position: suggestion?.position || '',
+      title: suggestion?.title || suggestion?.subject || 'Follow up',
+      dueAt: null,
+    });
+  }
+  for (const reminder of Array.isArray(reminders) ? reminders : []) {
+    if (reminder?.status === 'done' || !Number.isFinite(reminder?.when) || reminder.when > now + period) continue;
+    followUps.push({
+      source: 'reminder',
+      threadId: reminder.threadId,
+      company: '',
+      position: '',
+      title: 'Reminder',
+      dueAt: reminder.when,
+    });
+  }
+
+  const counts = Object.fromEntries(DIGEST_CATEGORIES.map((category) => [category, sections[category].length]));
+  return {
+    frequency,
+    periodStart,
+    periodEnd: now,
+    counts,
+    sections,
+    followUps: followUps.slice(0, MAX_DIGEST_FOLLOW_UPS),
+    followUpCount: followUps.length,
+  };
+}
+
+function plural(count, singular, pluralLabel) {
+  return `${count} ${count === 1 ? singular : pluralLabel}`;
+}
+
+/**
+ * Text for a `list` notification. Returns null when there is nothing to say,
+ * so a quiet day sends nothing.
+ * @returns {{title: string, message: string, items: Array<{title: string, message: string}>}|null}
+ */
+export function summarizeDigestNotification(digest) {
+  const { counts } = digest;
+  const parts = [];
+  if (counts.applied) parts.push(plural(counts.applied, 'application', 'applications'));
+  if (counts.interviewed) parts.push(plural(counts.interviewed, 'interview', 'interviews'));
+  if (counts.offers) parts.push(plural(counts.offers, 'offer', 'offers'));
+  if (counts.rejected) parts.push(plural(counts.rejected, 'rejection', 'rejections'));
+  if (digest.followUpCount) parts.push(`${plural(digest.followUpCount, 'follow-up', 'follow-ups')} due`);
+  if (parts.length === 0) return null;
+
+  const items = [];
+  for (const [category, label] of [['offers', 'Offer'], ['interviewed', 'Interview'], ['rejected', 'Rejected'], ['applied', 'Applied']]) {
+    for (const entry of digest.sections[category]) {
+      items.push({ title: label, message: [entry.company, entry.position].filter(Boolean).join(' - ') || 'Unknown role' });
+    }
+  }
+  return {
+    title: digest.frequency === 'weekly' ? 'Your week in applications' : 'Your daily application digest',
+    message: `${parts.join(', ')}.`,
+    items: items.slice(0, MAX_NOTIFICATION_ITEMS),
+  };
+}
+
+/** Returns true while a parked "open the digest" request is still fresh. */
+export function isPendingDigestOpenFresh(pending, now) {
+  const requestedAt = Number(pending?.requestedAt);
+  return Number.isFinite(requestedAt) && now - requestedAt <= PENDING_DIGEST_OPEN_MAX_AGE_MS;
+}
@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildDigest,
+  nextDigestAt,
+  normalizeDigestSettings,
+  summarizeDigestNotification,
+  validateDigestSettingsInput,
+} from './digest.mjs';
+
+const at = (day, hours = 12, minutes = 0) => new Date(2026, 5, day, hours, minutes).getTime();
+const iso = (time) => new Date(time).toISOString();
+const email = (id, threadId, date, company = 'Acme') => ({ id, thread_id: threadId, date: iso(date), company_name: company, position: 'Designer' });
+
+test('settings normalize and the next delivery lands on the chosen time and weekday', () => {
+  assert.deepEqual(normalizeDigestSettings({ frequency: 'hourly', time: '7:00', weekday: 9 }), { frequency: 'off', time: '08:00', weekday: 1 });
+  assert.equal(validateDigestSettingsInput({ frequency: 'daily', time: '25:00' }).valid, false);
+  assert.equal(validateDigestSettingsInput({ frequency: 'weekly', time: '07:30', weekday: 5 }).valid, true);
+
+  assert.equal(nextDigestAt({ frequency: 'off', time: '08:00', weekday: 1 }, at(10)), null);
+  assert.equal(nextDigestAt({ frequency: 'daily', time: '08:00', weekday: 1 }, at(10, 7)), at(10, 8));
+  assert.equal(nextDigestAt({ frequency: 'daily', time: '08:00', weekday: 1 }, at(10, 8)), at(11, 8));
+  // 10 June 2026 is a Wednesday; the next Monday is the 15th.
+  assert.equal(nextDigestAt({ frequency: 'weekly', time: '08:00', weekday: 1 }, at(10)), at(15, 8));
+  assert.equal(nextDigestAt({ frequency: 'weekly', time: '08:00', weekday: 3 }, at(10, 9)), at(17, 8));
+});
+
+test('digest counts each thread once inside the period and lists open follow-ups', () => {
+  const digest = buildDigest({
+    categorizedEmails: {
+      applied: [email('a1', 't1', at(9, 20)), email('a2', 't2', at(1))],
+      interviewed: [email('i1', 't3', at(9, 14)), email('i2', 't3', at(10, 9)), email('i3', 't4', at(10, 10), 'Beta')],
+      offers: [],
+      rejected: [email('r1', 't5', at(8))],
+    },
+    followUpSuggestions: [{ thread_id: 't6', company: 'Gamma', title: 'Check in' }, { thread_id: 't7', company: 'Done' }],
+    followedUpMap: { t7: at(9) },
+    reminders: [
+      { id: 'r1', threadId: 't8', when: at(10, 18), status: 'pending' },
+      { id: 'r2', threadId: 't9', when: at(20), status: 'pending' },
+      { id: 'r3', threadId: 't10', when: at(10, 11), status: 'done' },
+    ],
+    frequency: 'daily',
+    now: at(10),
+  });
+  assert.deepEqual(digest.counts, { applied: 1, interviewed: 2, offers: 0, rejected: 0 });
+  assert.deepEqual(digest.sections.interviewed.map((entry) => entry.id), ['i3', 'i2']);
+  assert.deepEqual(digest.followUps.map((item) => [item.source, item.threadId]), [['suggestion', 't6'], ['reminder', 't8']]);
+
+  const summary = summarizeDigestNotification(digest);
+  assert.equal(summary.title, 'Your daily application digest');
+  assert.equal(summary.message, '1 application, 2 interviews, 2 follow-ups due.');
+  assert.deepEqual(summary.items[0], { title: 'Interview', message: 'Beta - Designer' });
+});
+
+test('a quiet period produces no notification', () => {
+  const digest = buildDigest({ categorizedEmails: {}, frequency: 'weekly', now: at(10) });
+  assert.equal(summarizeDigestNotification(digest), null);
+});
@@ -0,0 +1,238 @@
+/**
+ * @file shared/followUpCadence.mjs
+ * @description Local follow-up cadence rules ("nudge 7 days after applying if
+ * nobody replied"), evaluated by the service worker against the cached
+ * pipeline on every syncEmails alarm. The suggestions they produce have the
+ * same shape as the backend's FOLLOWUP_NEEDED suggestions and are merged with
+ * them one per thread, backend first.
+ *
+ * Per application (grouped by getApplicationKey), at most one suggestion: of
+ * the rules that have come due, the one due last. A rule is done once the
+ * thread was followed up after it fell due, the thread was marked responded,
+ * or the application got a newer email. Closed applications (offer, rejection,
+ * closed) get none.
+ */
+
+import { getApplicationKey } from './applicationKey.mjs';
+
+export const FOLLOW_UP_CADENCE_STORAGE_KEY = 'applendiumFollowUpCadenceV1';
+export const CADENCE_SUGGESTIONS_STORAGE_KEY = 'applendiumCadenceSuggestionsV1';
+
+export const CADENCE_TRIGGERS = Object.freeze([
+  { value: 'applied_no_reply', label: 'After applying, with no reply', actionType: 'follow_up' },
+  { value: 'interview', label: 'After an interview email', actionType: 'thank_you' },
+  { value: 'final_round', label: 'After a final-round interview email', actionType: 'status_check' },
+]);
+
+export const CADENCE_UNITS = Object.freeze([
+  { value: 'hours', label: 'hours' },
+  { value: 'days', label: 'days' },
+  { value: 'business_days', label: 'business days' },
+]);
+
+export const DEFAULT_CADENCE_RULES = Object.freeze([
+  { id: 'default_applied_nudge', name: 'Nudge about your application', enabled: true, trigger: 'applied_no_reply', amount: 7, unit: 'days' },
+  { id: 'default_interview_thank_you', name: 'Send a thank-you note', enabled: true, trigger: 'interview', amount: 24, unit: 'hours' },
+  { id: 'default_final_round_check_in', name: 'Check in after the final round', enabled: true, trigger: 'final_round', amount: 5, unit: 'business_days' },
+]);
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// A suggestion nobody acted on stops showing this long after it fell due.
+const SUGGESTION_LIFETIME_MS = 14 * DAY_MS;
+const MAX_RULES = 10;
+const MAX_NAME_LENGTH = 80;
+const MAX_AMOUNT = 365;
+const MAX_ID_LENGTH = 100;
+const OPEN_CATEGORIES = ['applied', 'interviewed'];
+const CLOSED_CATEGORIES = ['offers', 'rejected'];
+const FINAL_ROUND_PATTERN = /\bfinal[-\s]+(?:round|interview|stage)s?\b|\bon-?site\b/i;
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function normalizeRule(raw) {
+  if (!isPlainObject(raw) || typeof raw.id !== 'string' || !raw.id || raw.id.length > MAX_ID_LENGTH) return null;
+  if (!CADENCE_TRIGGERS.some((trigger) => trigger.value === raw.trigger)) return null;
+  if (!CADENCE_UNITS.some((unit) => unit.value === raw.unit)) return null;
+  if (!Number.isInteger(raw.amount) || raw.amount < 1 || raw.amount > MAX_AMOUNT) return null;
+  const name = typeof raw.name === 'string' ? raw.name.replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH) : '';
+  if (!name) return null;
+  return { id: raw.id, name, enabled: raw.enabled !== false, trigger: raw.trigger, amount: raw.amount, unit: raw.unit };
+}
+
+/**
+ * The stored rules, or the defaults when the user never saved any.
+ */
+export function normalizeCadenceRules(raw) {
+  if (!Array.isArray(raw)) return DEFAULT_CADENCE_RULES.map((rule) => ({ ...rule }));
+  const seen = new Set();
+  return raw.map(normalizeRule).filter((rule) => {
+    if (!rule || seen.has(rule.id)) return false;
+    seen.add(rule.id);
+    return true;
+  }).slice(0, MAX_RULES);
+}
+
+/**
+ * Strict check for the rule list sent by the popup.
+ * @returns {{valid: true, value: Array<object>}|{valid: false, error: string}}
+ */
+export function validateCadenceRulesInput(input) {
+  if (!Array.isArray(input)) return { valid: false, error: 'Rules are required.' };
+  if (input.length > MAX_RULES) return { valid: false, error: `Keep at most ${MAX_RULES} rules.` };
+  for (const raw of input) {
+    if (!isPlainObject(raw) || typeof raw.name !== 'string' || !raw.name.trim()) {
+      return { valid: false, error: 'Each rule needs a name.' };
+    }
+    if (!Number.isInteger(raw.amount) || raw.amount < 1 || raw.amount > MAX_AMOUNT) {
+      return { valid: false, error: `"${raw.name.trim()}" needs a wait between 1 and ${MAX_AMOUNT}.` };
+    }
+    if (!normalizeRule(raw)) return { valid: false, error: `"${raw.name.trim()}" is not a valid rule.` };
+  }
+  if (new Set(input.map((rule) => rule.id)).size !== input.length) return { valid: false, error: 'Duplicate rule id.' };
+  return { valid: true, value: normalizeCadenceRules(input) };
+}
+
+/**
+ * When a rule anchored at `from` comes due. Business days skip Saturday and
+ * Sunday in local time and keep the time of day.
+ */
+export function cadenceDueAt(rule, from) {
+  if (rule.unit === 'hours') return from + rule.amount * HOUR_MS;
+  if (rule.unit === 'days') return from + rule.amount * DAY_MS;
+  const date = new Date(from);
+  let remaining = rule.amount;
+  while (remaining > 0) {
+    date.setDate(date.getDate() + 1);
+    const weekday = date.getDay();
+    if (weekday !== 0 && weekday !== 6) remaining -= 1;
+  }
+  return date.getTime();
+}
+
+function sentAt(email) {
+  const time = new Date(email?.date || 0).getTime();
+  return Number.isFinite(time) && time > 0 ? time : null;
+}
+
+function threadIdOf(email) {
+  const threadId = email?.thread_id || email?.threadId;
+  return threadId ? String(threadId) : null;
+}
+
+function emailText(email) {
+  return [email.subject, email.snippet, email.preview, email.body].filter((value) => typeof value === 'string').join('\n');
+}
+
+// The email a trigger is measured from, or null when it does not apply.
+function anchorFor(trigger, entries) {
+  if (trigger === 'applied_no_reply') {
+    if (entries.some(({ category }) => category !== 'applied')) return null;
+    return entries.at(-1).email;
+  }
+  const interviews = entries.filter(({ category }) => category === 'interviewed');
+  const latest = interviews.at(-1);
+  if (!latest || latest !== entries.at(-1)) return null;
+  if (trigger === 'final_round' && !FINAL_ROUND_PATTERN.test(emailText(latest.email))) return null;
+  return latest.email;
+}
+
+/**
+ * The suggestions due now, in the backend suggestion shape plus `source`,
+ * `ruleId` and `dueAt`, soonest due first.
+ * @param {Record<string, Array<object>>} categorizedEmails
+ * @param {Array<object>} rules - Normalized rules.
+ * @param {{now: number, followedUpMap?: Record<string, number>, respondedMap?: Record<string, boolean>}} options
+ * @returns {Array<object>}
+ */
+export function evaluateCadenceRules(categorizedEmails, rules, { now, followedUpMap = {}, respondedMap = {} }) {
+  const enabledRules = (rules || []).filter((rule) => rule.enabled);
+  if (enabledRules.length === 0) return [];
+
+  const applications = new Map();
+  for (const category of [...OPEN_CATEGORIES, ...CLOSED_CATEGORIES]) {
+    for (const email of categorizedEmails?.[category] || []) {
+      if (!email?.id || sentAt(email) === null) continue;
+      const key = getApplicationKey(email);
+      if (!applications.has(key)) applications.set(key, []);
+      applications.get(key).push({ email, category });
+    }
+  }
+
+  const suggestions = [];
+  for (const entries of applications.values()) {
+    if (entries.some(({ email, category }) => CLOSED_CATEGORIES.includes(category) || email.isClosed)) continue;
+    entries.sort((a, b) => sentAt(a.email) - sentAt(b.email));
+
+    let best = null;
+    for (const rule of enabledRules) {
+      const anchor = anchorFor(rule.trigger, entries);
+      const threadId = threadIdOf(anchor);
+      if (!anchor || !threadId || respondedMap[threadId]) continue;
+      const dueAt = cadenceDueAt(rule, sentAt(anchor));
+      if (dueAt > now || now - dueAt > SUGGESTION_LIFETIME_MS) continue;
+      if (followedUpMap[threadId] && followedUpMap[threadId] >= dueAt) continue;
+      if (!best || dueAt > best.dueAt) best = { rule, anchor, threadId, dueAt };
+    }
+    if (!best) continue;
+
+    const { rule, anchor, threadId, dueAt } = best;
+    const trigger = CADENCE_TRIGGERS.find((entry) => entry.value === rule.trigger);
+    const unit = CADENCE_UNITS.find((entry) => entry.value === rule.unit);
+    suggestions.push({
+      id: `cadence_${rule.id}_${threadId}`,
+      source: 'cadence',
+      ruleId: rule.id,
+      thread_id: threadId,
+      threadId,
+      from: anchor.from || anchor.sender || '',
+      subject: anchor.subject || '',
+      snippet: anchor.snippet || anchor.preview || '',
+      company: anchor.company_name || anchor.company || '',
+      position: anchor.position || '',
+      category: entries.find(({ email }) => email === anchor).category,
+      actionType: trigger.actionType,
+      title: rule.name,
+      description: `${trigger.label}: ${rule.amount} ${unit.label}.`,
+      date: anchor.date,
+      dueAt,
+    });
+  }
+  return suggestions.sort((a, b) => a.dueAt - b.dueAt);
+}
+
+/**
+ * followedUpMap with the follow-ups opened in Gmail (`{threadId: openedAt}`)
+ * counted as sent. A thread keeps its newest time, so a follow-up opened after
+ * an earlier one still clears the rules that fell due in between.
+ * @param {Record<string, number>} followedUpMap
+ * @param {Record<string, number>} pending
+ * @returns {Record<string, number>}
+ */
+export function settleOpenedFollowUps(followedUpMap, pending) {
+  const settled = { ...followedUpMap };
+  for (const [threadId, openedAt] of Object.entries(pending || {})) {
+    settled[threadId] = Math.max(settled[threadId] || 0, openedAt);
+  }
+  return settled;
+}
+
+/**
+ * Backend suggestions first, then cadence suggestions for threads the backend
+ * did not already cover; one suggestion per thread.
+ */
+export function mergeFollowUpSuggestions(backendSuggestions, cadenceSuggestions) {
+  const seenThreads = new Set();
+  const merged = [];
+  for (const suggestion of [...(backendSuggestions || []), ...(cadenceSuggestions || [])]) {
+    const threadId = suggestion?.thread_id || suggestion?.threadId || null;
+    if (threadId) {
+      if (seenThreads.has(String(threadId))) continue;
+      seenThreads.add(String(threadId));
+    }
+    merged.push(suggestion);
+  }
+  return merged;
+}
@@ -0,0 +1,124 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_CADENCE_RULES,
+  cadenceDueAt,
+  evaluateCadenceRules,
+  mergeFollowUpSuggestions,
+  normalizeCadenceRules,
+  settleOpenedFollowUps,
+  validateCadenceRulesInput,
+} from './followUpCadence.mjs';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A Wednesday.
+const NOW = new Date(2026, 5, 17, 12).getTime();
+const RULES = normalizeCadenceRules(undefined);
+
+const email = (overrides) => ({
+  id: 'e1',
+  thread_id: 't1',
+  date: new Date(NOW - DAY_MS).toISOString(),
+  subject: 'Your application',
+  from: 'Acme Careers <no-reply@acme.com>',
+  company_name: 'Acme',
+  position: 'Designer',
+  ...overrides,
+});
+
+const daysAgo = (days) => new Date(NOW - days * DAY_MS).toISOString();
+
+test('defaults until the user saves rules, and rejects malformed ones', () => {
+  assert.deepEqual(RULES, DEFAULT_CADENCE_RULES.map((rule) => ({ ...rule })));
+  assert.deepEqual(normalizeCadenceRules([]), []);
+  assert.equal(validateCadenceRulesInput([{ ...RULES[0], amount: 0 }]).valid, false);
+  assert.equal(validateCadenceRulesInput([{ ...RULES[0], trigger: 'ghosted' }]).valid, false);
+  assert.equal(validateCadenceRulesInput([RULES[0], RULES[0]]).valid, false);
+  assert.deepEqual(validateCadenceRulesInput([{ ...RULES[0], name: '  Ping  ', enabled: false }]).value, [{ ...RULES[0], name: 'Ping', enabled: false }]);
+});
+
+test('business days skip the weekend', () => {
+  const friday = new Date(2026, 5, 19, 9).getTime();
+  assert.equal(cadenceDueAt({ amount: 5, unit: 'business_days' }, friday), new Date(2026, 5, 26, 9).getTime());
+  assert.equal(cadenceDueAt({ amount: 24, unit: 'hours' }, friday), friday + DAY_MS);
+});
+
+test('nudges an application nobody answered, once per application', () => {
+  const suggestions = evaluateCadenceRules({
+    applied: [
+      email({ id: 'a1', date: daysAgo(8) }),
+      email({ id: 'a2', thread_id: 't2', date: daysAgo(9) }),
+      email({ id: 'b1', thread_id: 'tb', company_name: 'Beta', date: daysAgo(3) }),
+      email({ id: 'c1', thread_id: 'tc', company_name: 'Gamma', date: daysAgo(9) }),
+    ],
+    rejected: [email({ id: 'c2', thread_id: 'tc2', company_name: 'Gamma', date: daysAgo(1) })],
+  }, RULES, { now: NOW });
+
+  assert.equal(suggestions.length, 1);
+  assert.equal(suggestions[0].threadId, 't1');
+  assert.equal(suggestions[0].actionType, 'follow_up');
+  assert.equal(suggestions[0].source, 'cadence');
+  assert.equal(suggestions[0].dueAt, new Date(daysAgo(8)).getTime() + 7 * DAY_MS);
+
+  // Followed up after it fell due, or answered: done.
+  assert.deepEqual(evaluateCadenceRules({ applied: [email({ date: daysAgo(8) })] }, RULES, { now: NOW, followedUpMap: { t1: NOW - 1000 } }), []);
+  assert.deepEqual(evaluateCadenceRules({ applied: [email({ date: daysAgo(8) })] }, RULES, { now: NOW, respondedMap: { t1: true } }), []);
+  // A reply of any kind ends the nudge.
+  assert.deepEqual(evaluateCadenceRules({
+    applied: [email({ date: daysAgo(8) })],
+    interviewed: [email({ id: 'i1', date: daysAgo(6), subject: 'Interview invitation' })],
+  }, [RULES[0]], { now: NOW }), []);
+});
+
+test('thank-you after an interview, then the final-round check-in', () => {
+  const interview = email({ id: 'i1', subject: 'Final round interview', from: 'Jane Doe <jane@acme.com>' });
+  const pipeline = (date) => ({ applied: [email({ date: daysAgo(20) })], interviewed: [{ ...interview, date }] });
+
+  const thanks = evaluateCadenceRules(pipeline(daysAgo(2)), RULES, { now: NOW });
+  assert.equal(thanks.length, 1);
+  assert.equal(thanks[0].actionType, 'thank_you');
+  assert.equal(thanks[0].from, 'Jane Doe <jane@acme.com>');
+
+  // Eight days later (five business days have passed) the check-in wins, even
+  // though the thank-you was sent.
+  const checkIn = evaluateCadenceRules(pipeline(daysAgo(8)), RULES, { now: NOW, followedUpMap: { t1: NOW - 6 * DAY_MS } });
+  assert.deepEqual(checkIn.map((suggestion) => suggestion.actionType), ['status_check']);
+
+  // Not due yet.
+  assert.deepEqual(evaluateCadenceRules(pipeline(new Date(NOW - 3600 * 1000).toISOString()), RULES, { now: NOW }), []);
+});
+
+test('merges backend and cadence suggestions one per thread, backend first', () => {
+  const merged = mergeFollowUpSuggestions(
+    [{ thread_id: 't1', title: 'Backend' }],
+    [{ threadId: 't1', title: 'Cadence' }, { threadId: 't2', title: 'Cadence 2' }],
+  );
+  assert.deepEqual(merged.map((suggestion) => suggestion.title), ['Backend', 'Cadence 2']);
+});
+
+test('a nudge is measured from, and cleared on, the newest applied email', () => {
+  const applied = [
+    email({ id: 'a1', thread_id: 't1', date: daysAgo(10) }),
+    email({ id: 'a2', thread_id: 't2', date: daysAgo(8) }),
+  ];
+  const suggestions = evaluateCadenceRules({ applied }, [RULES[0]], { now: NOW });
+  assert.deepEqual(suggestions.map((suggestion) => suggestion.threadId), ['t2']);
+  assert.equal(suggestions[0].dueAt, new Date(daysAgo(8)).getTime() + 7 * DAY_MS);
+
+  assert.deepEqual(evaluateCadenceRules({ applied }, [RULES[0]], { now: NOW, followedUpMap: { t2: NOW - 1000 } }), []);
+});
+
+test('opened follow-ups settle into followedUpMap, keeping the newest time per thread', () => {
+  assert.deepEqual(
+    settleOpenedFollowUps({ t1: NOW, t2: NOW - DAY_MS, t3: NOW }, { t1: NOW - DAY_MS, t2: NOW, t4: NOW }),
+    { t1: NOW, t2: NOW, t3: NOW, t4: NOW },
+  );
+});
+
+test('an application whose emails spell the role differently is still one application', () => {
+  const suggestions = evaluateCadenceRules({
+    applied: [email({ id: 'a1', position: 'Sr. Designer', date: daysAgo(9) })],
+    interviewed: [email({ id: 'i1', thread_id: 't9', position: 'sr designer', date: daysAgo(8) })],
+  }, [RULES[0]], { now: NOW });
+  assert.deepEqual(suggestions, []);
+});
@@ -0,0 +1,151 @@
+/**
+ * @file shared/followUpTemplates.mjs
+ * @description The user's follow-up message templates. A template's subject
+ * and body take `{variable}` placeholders that are filled from an application
+ * (see popup/src/utils/followUpVariables.mjs); the filled text is copied or
+ * opened as a prefilled Gmail compose window (or a reply in the application's
+ * thread), so nothing here needs the gmail.send scope. The service worker
+ * owns the stored list, one per account. Kept dependency-free for
+ * `node --test`.
+ */
+
+export const FOLLOW_UP_TEMPLATES_STORAGE_KEY = 'applendiumFollowUpTemplatesV1';
+
+export const FOLLOW_UP_TEMPLATE_VARIABLES = Object.freeze([
+  { name: 'company', label: 'Company' },
+  { name: 'position', label: 'Position' },
+  { name: 'recruiter_first_name', label: "Recruiter's first name" },
+  { name: 'days_since_applied', label: 'Days since applying' },
+  { name: 'interview_date', label: 'Interview date' },
+]);
+
+// Used when a variable has no value, so a greeting still reads naturally.
+const VARIABLE_FALLBACKS = Object.freeze({
+  recruiter_first_name: 'there',
+  // Reads after "on", as in the thank-you template.
+  interview_date: 'our recent call',
+});
+
+// Shown until the user saves their own list.
+export const DEFAULT_FOLLOW_UP_TEMPLATES = Object.freeze([
+  {
+    id: 'default_check_in',
+    name: 'Application check-in',
+    subject: 'Following up on my {position} application',
+    body: 'Hi {recruiter_first_name},\n\nI applied for the {position} role at {company} {days_since_applied} days ago and wanted to check in on where things stand. I am still very interested and happy to share anything else that would help.\n\nThank you for your time,',
+  },
+  {
+    id: 'default_thank_you',
+    name: 'Interview thank-you',
+    subject: 'Thank you for the {position} interview',
+    body: 'Hi {recruiter_first_name},\n\nThank you for taking the time to speak with me on {interview_date} about the {position} role. I enjoyed learning more about {company} and the team, and I am excited about the opportunity.\n\nBest regards,',
+  },
+  {
+    id: 'default_post_interview',
+    name: 'Post-interview check-in',
+    subject: 'Checking in on the {position} role',
+    body: 'Hi {recruiter_first_name},\n\nI wanted to follow up on my interview for the {position} role at {company}. Is there any update on next steps or the timeline?\n\nThanks again,',
+  },
+]);
+
+const MAX_TEMPLATES = 30;
+const MAX_NAME_LENGTH = 60;
+const MAX_SUBJECT_LENGTH = 200;
+const MAX_BODY_LENGTH = 5000;
+const MAX_ID_LENGTH = 100;
+const VARIABLE_PATTERN = /\{([a-z_]+)\}/g;
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function normalizeTemplate(raw) {
+  if (!isPlainObject(raw) || typeof raw.id !== 'string' || !raw.id || raw.id.length > MAX_ID_LENGTH) return null;
+  const name = typeof raw.name === 'string' ? raw.name.replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH) : '';
+  const subject = typeof raw.subject === 'string' ? raw.subject.replace(/\s+/g, ' ').trim().slice(0, MAX_SUBJECT_LENGTH) : '';
+  const body = typeof raw.body === 'string' ? raw.body.replace(/\r\n?/g, '\n').trim().slice(0, MAX_BODY_LENGTH) : '';
+  if (!name || !body) return null;
+  return { id: raw.id, name, subject, body };
+}
+
+/**
+ * The stored list, or the defaults when the user never saved one. An empty
+ * saved list stays empty.
+ */
+export function normalizeFollowUpTemplates(raw) {
+  if (!Array.isArray(raw)) return DEFAULT_FOLLOW_UP_TEMPLATES.map((template) => ({ ...template }));
+  const seen = new Set();
+  return raw.map(normalizeTemplate).filter((template) => {
+    if (!template || seen.has(template.id)) return false;
+    seen.add(template.id);
+    return true;
+  }).slice(0, MAX_TEMPLATES);
+}
+
+/**
+ * Strict check for the template list sent by the popup.
+ * @returns {{valid: true, value: Array<object>}|{valid: false, error: string}}
+ */
+export function validateFollowUpTemplatesInput(input) {
+  if (!Array.isArray(input)) return { valid: false, error: 'Templates are required.' };
+  if (input.length > MAX_TEMPLATES) return { valid: false, error: `Keep at most ${MAX_TEMPLATES} templates.` };
+  for (const raw of input) {
+    if (!normalizeTemplate(raw)) return { valid: false, error: 'Each template needs a name and a message.' };
+    if (raw.body.length > MAX_BODY_LENGTH) return { valid: false, error: 'A template message is too long.' };
+    const unknown = [...`${raw.subject || ''} ${raw.body}`.matchAll(VARIABLE_PATTERN)]
+      .map((match) => match[1])
+      .find((name) => !FOLLOW_UP_TEMPLATE_VARIABLES.some((variable) => variable.name === name));
+    if (unknown) return { valid: false, error: `Unknown variable {${unknown}} in "${raw.name.trim()}".` };
+  }
+  const ids = new Set(input.map((template) => template.id));
+  if (ids.size !== input.length) return { valid: false, error: 'Duplicate template id.' };
+  return { valid: true, value: normalizeFollowUpTemplates(input) };
+}
+
+/**
+ * Fills a template's placeholders. Placeholders without a value are left
+ * blank (or use their fallback) and reported in `missing`.
+ * @param {{subject: string, body: string}} template
+ * @param {Record<string, string|number|null>} variables
+ * @returns {{subject: string, body: string, missing: Array<string>}}
+ */
+export function fillFollowUpTemplate(template, variables) {
+  const missing = new Set();
+  const fill = (text) => String(text || '').replace(VARIABLE_PATTERN, (token, name) => {
+    if (!FOLLOW_UP_TEMPLATE_VARIABLES.some((variable) => variable.name === name)) return token;
+    const value = variables?.[name];
+    if (value !== null && value !== undefined && value !== '') return String(value);
+    missing.add(name);
+    return VARIABLE_FALLBACKS[name] || '';
+  });
+  return {
+    subject: fill(template?.subject).replace(/\s+/g, ' ').trim(),
+    body: fill(template?.body),
+    missing: [...missing],
+  };
+}
+
+/**
+ * "Re: " + the thread's subject, the way Gmail titles a reply, so the sent
+ * message threads with the original. Existing "Re:" prefixes are kept as is.
+ */
+export function replySubject(subject) {
+  const text = String(subject || '').replace(/\s+/g, ' ').trim();
+  if (!text) return '';
+  return /^re\s*:/i.test(text) ? text : `Re: ${text}`;
+}
+
+/**
+ * A Gmail web compose window with the message prefilled. With `threadId` the
+ * draft is opened as a reply in that thread. Opening it needs no Gmail API
+ * scope; the user reviews and sends from Gmail.
+ * @param {{to?: string, subject?: string, body?: string, threadId?: string, authUser?: string}} message
+ */
+export function buildGmailComposeUrl({ to = '', subject = '', body = '', threadId = '', authUser = '' } = {}) {
+  const params = [['view', 'cm'], ['fs', '1'], ['th', threadId], ['to', to], ['su', subject], ['body', body]]
+    .filter(([, value]) => value)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`);
+  const account = String(authUser || '').trim();
+  if (account) params.unshift(`authuser=${encodeURIComponent(account)}`);
+  return `https://mail.google.com/mail/?${params.join('&')}`;
+}
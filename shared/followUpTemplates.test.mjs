@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_FOLLOW_UP_TEMPLATES,
+  buildGmailComposeUrl,
+  fillFollowUpTemplate,
+  normalizeFollowUpTemplates,
+  replySubject,
+  validateFollowUpTemplatesInput,
+} from './followUpTemplates.mjs';
+
+test('defaults until the user saves a list, and a saved empty list stays empty', () => {
+  assert.deepEqual(normalizeFollowUpTemplates(undefined), DEFAULT_FOLLOW_UP_TEMPLATES.map((template) => ({ ...template })));
+  assert.deepEqual(normalizeFollowUpTemplates([]), []);
+  assert.deepEqual(
+    normalizeFollowUpTemplates([{ id: 'a', name: ' Nudge ', subject: 'Hi', body: 'Hello\r\nthere' }, { id: 'a', name: 'Dup', body: 'x' }, { id: 'b', name: '', body: 'x' }]),
+    [{ id: 'a', name: 'Nudge', subject: 'Hi', body: 'Hello\nthere' }],
+  );
+});
+
+test('rejects unknown variables, missing text and duplicate ids', () => {
+  assert.equal(validateFollowUpTemplatesInput([{ id: 'a', name: 'Nudge', subject: '', body: 'Hi {company}' }]).valid, true);
+  assert.match(validateFollowUpTemplatesInput([{ id: 'a', name: 'Nudge', subject: '{salary}', body: 'Hi' }]).error, /\{salary\}/);
+  assert.equal(validateFollowUpTemplatesInput([{ id: 'a', name: 'Nudge', body: '' }]).valid, false);
+  assert.equal(validateFollowUpTemplatesInput([{ id: 'a', name: 'A', body: 'x' }, { id: 'a', name: 'B', body: 'y' }]).valid, false);
+  assert.equal(validateFollowUpTemplatesInput('nope').valid, false);
+});
+
+test('fills variables and reports the ones without a value', () => {
+  const filled = fillFollowUpTemplate(
+    { subject: 'Following up on {position}', body: 'Hi {recruiter_first_name}, it has been {days_since_applied} days since I applied to {company}. {unknown}' },
+    { company: 'Acme', position: 'Designer', recruiter_first_name: null, days_since_applied: 0 },
+  );
+  assert.equal(filled.subject, 'Following up on Designer');
+  assert.equal(filled.body, 'Hi there, it has been 0 days since I applied to Acme. {unknown}');
+  assert.deepEqual(filled.missing, ['recruiter_first_name']);
+});
+
+test('builds a Gmail compose url with the message encoded', () => {
+  assert.equal(
+    buildGmailComposeUrl({ to: 'jane@acme.com', subject: 'Re: Designer & more', body: 'Hi Jane,\nThanks', authUser: 'me@example.com' }),
+    'https://mail.google.com/mail/?authuser=me%40example.com&view=cm&fs=1&to=jane%40acme.com&su=Re%3A%20Designer%20%26%20more&body=Hi%20Jane%2C%0AThanks',
+  );
+  assert.equal(buildGmailComposeUrl({ body: 'Hi' }), 'https://mail.google.com/mail/?view=cm&fs=1&body=Hi');
+});
+
+test('opens the draft as a reply when a thread is given', () => {
+  assert.equal(replySubject('Interview with Acme'), 'Re: Interview with Acme');
+  assert.equal(replySubject('RE: Interview'), 'RE: Interview');
+  assert.equal(
+    buildGmailComposeUrl({ threadId: '18f2a', to: 'jane@acme.com', subject: 'Re: Hi', body: 'Thanks' }),
+    'https://mail.google.com/mail/?view=cm&fs=1&th=18f2a&to=jane%40acme.com&su=Re%3A%20Hi&body=Thanks',
+  );
+});
@@ -0,0 +1,63 @@
+/**
+ * @file shared/gmailThreads.mjs
+ * @description What the optional Gmail content script (gmailContent.js) is
+ * told about the threads it sees. The worker answers GET_GMAIL_THREAD_STATUSES
+ * from the cached categorized emails: one small summary per thread that has a
+ * pipeline email, keyed by Gmail's hex thread id (the API id, which Gmail also
+ * puts in data-legacy-thread-id). Kept dependency-free for `node --test`.
+ */
+
+export const GMAIL_INTEGRATION_STORAGE_KEY = 'applendiumGmailIntegrationV1';
+export const GMAIL_CONTENT_SCRIPT_ID = 'applendium-gmail';
+export const GMAIL_ORIGIN_PATTERN = 'https://mail.google.com/*';
+
+export const GMAIL_STATUS_CATEGORIES = Object.freeze(['applied', 'interviewed', 'offers', 'rejected']);
+export const MAX_GMAIL_THREAD_IDS = 200;
+
+const GMAIL_THREAD_ID_PATTERN = /^[0-9a-f]{8,32}$/;
+
+/** @returns {string|null} The lowercase hex thread id, or null when it is not one. */
+export function normalizeGmailThreadId(value) {
+  const normalized = String(value ?? '').trim().toLowerCase();
+  return GMAIL_THREAD_ID_PATTERN.test(normalized) ? normalized : null;
+}
+
+function emailTime(email) {
+  const time = new Date(email?.date || 0).getTime();
+  return Number.isFinite(time) ? time : 0;
+}
+
+/**
+ * Summarizes the requested threads. A thread's status is the category of its
+ * newest pipeline email, the same bucket the popup lists it under; threads
+ * with only irrelevant (or no) cached emails are left out.
+ * @param {Record<string, Array<object>>} categorizedEmails - Cached emails by category.
+ * @param {Array<string>} threadIds - Normalized thread ids from the Gmail page.
+ * @returns {Record<string, {threadId: string, status: string, emailId: number|string, applicationId: number|string|null, company: string, position: string, subject: string}>}
+ */
+export function buildGmailThreadSummaries(categorizedEmails, threadIds) {
+  const wanted = new Set(threadIds);
+  const newest = new Map();
+  for (const status of GMAIL_STATUS_CATEGORIES) {
+    for (const email of categorizedEmails?.[status] || []) {
+      const threadId = normalizeGmailThreadId(email?.thread_id ?? email?.threadId);
+      if (!threadId || !wanted.has(threadId)) continue;
+      const current = newest.get(threadId);
+      if (!current || emailTime(email) > emailTime(current.email)) newest.set(threadId, { email, status });
+    }
+  }
+
+  const summaries = {};
+  for (const [threadId, { email, status }] of newest) {
+    summaries[threadId] = {
+      threadId,
+      status,
+      emailId: email.id,
+      applicationId: email.applicationId ?? email.application_id ?? null,
+      company: String(email.company_name || ''),
+      position: String(email.position || ''),
+      subject: String(email.subject || ''),
+    };
+  }
+  return summaries;
+}
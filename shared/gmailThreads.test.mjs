@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildGmailThreadSummaries, normalizeGmailThreadId } from './gmailThreads.mjs';
+
+const email = (id, threadId, date, extra = {}) => ({
+  id,
+  thread_id: threadId,
+  date,
+  company_name: 'Northstar Labs',
+  position: 'Product Designer',
+  subject: 'Your application',
+  ...extra,
+});
+
+test('thread ids are lowercase hex or rejected', () => {
+  assert.equal(normalizeGmailThreadId(' 18F2A3B4C5D6E7F1 '), '18f2a3b4c5d6e7f1');
+  assert.equal(normalizeGmailThreadId('#thread-f:1790000000000000001'), null);
+  assert.equal(normalizeGmailThreadId(''), null);
+  assert.equal(normalizeGmailThreadId(undefined), null);
+});
+
+test('each requested thread takes the category of its newest pipeline email', () => {
+  const summaries = buildGmailThreadSummaries({
+    applied: [email(1, '18f2a3b4c5d6e7f1', '2026-04-01T10:00:00Z', { applicationId: 9001 })],
+    interviewed: [email(2, '18f2a3b4c5d6e7f1', '2026-04-08T10:00:00Z', { application_id: 9001 })],
+    rejected: [email(3, '18f2a3b4c5d6e7f2', '2026-03-01T10:00:00Z')],
+    irrelevant: [email(4, '18f2a3b4c5d6e7f3', '2026-04-09T10:00:00Z')],
+  }, ['18f2a3b4c5d6e7f1', '18f2a3b4c5d6e7f3']);
+
+  assert.deepEqual(Object.keys(summaries), ['18f2a3b4c5d6e7f1']);
+  assert.deepEqual(summaries['18f2a3b4c5d6e7f1'], {
+    threadId: '18f2a3b4c5d6e7f1',
+    status: 'interviewed',
+    emailId: 2,
+    applicationId: 9001,
+    company: 'Northstar Labs',
+    position: 'Product Designer',
+    subject: 'Your application',
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * @file shared/interviewPrep.mjs
+ * @description Interview prep workspace attached to an application: per-round
+ * notes, questions asked, interviewer names and a self-rating, plus a prep
+ * checklist. The service worker owns the stored records, kept per account like
+ * manual applications since they exist nowhere but this browser. Records are
+ * keyed per application as described in shared/applicationRecords.mjs. Kept
+ * dependency-free for `node --test`.
+ */
+
+import { applicationRecordKeys, findApplicationRecord, isApplicationRecordKey, putApplicationRecord } from './applicationRecords.mjs';
+
+export const INTERVIEW_PREP_STORAGE_KEY = 'applendiumInterviewPrepV1';
+
+export const INTERVIEW_PREP_RATINGS = Object.freeze([1, 2, 3, 4, 5]);
+
+export const SUGGESTED_PREP_CHECKLIST = Object.freeze([
+  'Research the company and product',
+  'Re-read the job description',
+  'Prepare stories for the key requirements',
+  'Write down questions to ask',
+  'Test the meeting link, audio and video',
+]);
+
+const MAX_ROUNDS = 20;
+const MAX_CHECKLIST_ITEMS = 30;
+const MAX_LIST_ITEMS = 50;
+const MAX_SHORT_TEXT = 200;
+const MAX_QUESTION_LENGTH = 500;
+const MAX_NOTES_LENGTH = 5000;
+const MAX_ID_LENGTH = 100;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+export function emptyInterviewPrep() {
+  return { rounds: [], checklist: [], updatedAt: null };
+}
+
+export function createInterviewRound({ id, name = '', date = '', interviewers = [] }) {
+  return { id, name, date, interviewers, notes: '', questions: [], rating: null };
+}
+
+export function isInterviewPrepEmpty(prep) {
+  return !prep || ((prep.rounds || []).length === 0 && (prep.checklist || []).length === 0);
+}
+
+function cleanText(value, maxLength) {
+  return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+}
+
+function cleanList(value, maxLength) {
+  if (!Array.isArray(value)) return [];
+  return value.map((item) => cleanText(item, maxLength)).filter(Boolean).slice(0, MAX_LIST_ITEMS);
+}
+
+function normalizeRound(raw) {
+  if (!isPlainObject(raw) || typeof raw.id !== 'string' || !raw.id || raw.id.length > MAX_ID_LENGTH) return null;
+  return {
+    id: raw.id,
+    name: cleanText(raw.name, MAX_SHORT_TEXT),
+    date: typeof raw.date === 'string' && DATE_ONLY_PATTERN.test(raw.date) ? raw.date : '',
+    interviewers: cleanList(raw.interviewers, MAX_SHORT_TEXT),
+    notes: typeof raw.notes === 'string' ? raw.notes.slice(0, MAX_NOTES_LENGTH) : '',
+    questions: cleanList(raw.questions, MAX_QUESTION_LENGTH),
+    rating: INTERVIEW_PREP_RATINGS.includes(raw.rating) ? raw.rating : null,
+  };
+}
+
+function normalizeChecklistItem(raw) {
+  if (!isPlainObject(raw) || typeof raw.id !== 'string' || !raw.id || raw.id.length > MAX_ID_LENGTH) return null;
+  const text = cleanText(raw.text, MAX_SHORT_TEXT);
+  return text ? { id: raw.id, text, done: raw.done === true } : null;
+}
+
+/**
+ * Drops malformed rounds and checklist items. Storage is user-editable
+ * through devtools and backups, so never trust its shape.
+ */
+export function normalizeInterviewPrep(raw) {
+  if (!isPlainObject(raw)) return emptyInterviewPrep();
+  return {
+    rounds: (Array.isArray(raw.rounds) ? raw.rounds : []).map(normalizeRound).filter(Boolean).slice(0, MAX_ROUNDS),
+    checklist: (Array.isArray(raw.checklist) ? raw.checklist : [])
+      .map(normalizeChecklistItem)
+      .filter(Boolean)
+      .slice(0, MAX_CHECKLIST_ITEMS),
+    updatedAt: Number.isFinite(raw.updatedAt) ? raw.updatedAt : null,
+  };
+}
+
+export function normalizeInterviewPrepStore(raw) {
+  if (!isPlainObject(raw)) return {};
+  const store = {};
+  for (const [key, prep] of Object.entries(raw)) {
+    if (isApplicationRecordKey(key) && isPlainObject(prep)) store[key] = normalizeInterviewPrep(prep);
+  }
+  return store;
+}
+
+/**
+ * Strict check for a record sent by the popup. Unlike normalizeInterviewPrep
+ * this refuses oversized input instead of trimming it, so nothing the user
+ * typed is silently cut off.
+ * @returns {{valid: true, value: object}|{valid: false, error: string}}
+ */
+export function validateInterviewPrepInput(input) {
+  if (!isPlainObject(input)) return { valid: false, error: 'Interview prep is required.' };
+  const rounds = Array.isArray(input.rounds) ? input.rounds : [];
+  const checklist = Array.isArray(input.checklist) ? input.checklist : [];
+  if (rounds.length > MAX_ROUNDS) return { valid: false, error: `Keep at most ${MAX_ROUNDS} interview rounds.` };
+  if (checklist.length > MAX_CHECKLIST_ITEMS) return { valid: false, error: `Keep at most ${MAX_CHECKLIST_ITEMS} checklist items.` };
+  for (const round of rounds) {
+    if (!isPlainObject(round)) return { valid: false, error: 'Invalid interview round.' };
+    if (typeof round.notes === 'string' && round.notes.length > MAX_NOTES_LENGTH) {
+      return { valid: false, error: 'Round notes are too long.' };
+    }
+    if (Array.isArray(round.questions) && round.questions.length > MAX_LIST_ITEMS) {
+      return { valid: false, error: `Keep at most ${MAX_LIST_ITEMS} questions per round.` };
+    }
+    if (round.rating !== null && round.rating !== undefined && !INTERVIEW_PREP_RATINGS.includes(round.rating)) {
+      return { valid: false, error: 'Self-rating must be 1-5.' };
+    }
+  }
+  return { valid: true, value: normalizeInterviewPrep(input) };
+}
+
+/**
+ * Writes one role's record into the per-account store. An emptied record is
+ * removed rather than stored.
+ * @returns {object} The next store.
+ */
+export function saveInterviewPrepInStore(store, keys, prep, now) {
+  return putApplicationRecord(store, keys, isInterviewPrepEmpty(prep) ? null : { ...prep, updatedAt: now });
+}
+
+/** Counts for the activity report and export. */
+export function summarizeInterviewPrep(prep) {
+  const rounds = prep?.rounds || [];
+  const checklist = prep?.checklist || [];
+  const ratings = rounds.map((round) => round.rating).filter((rating) => INTERVIEW_PREP_RATINGS.includes(rating));
+  return {
+    roundCount: rounds.length,
+    averageRating: ratings.length ? Math.round((ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length) * 10) / 10 : null,
+    questionCount: rounds.reduce((sum, round) => sum + (round.questions?.length || 0), 0),
+    checklistDone: checklist.filter((item) => item.done).length,
+    checklistTotal: checklist.length,
+  };
+}
+
+/**
+ * Adds each activity report row's prep record as `interviewPrep` (or null).
+ * Rows carry applicationId, company and position, which is all the key needs.
+ */
+export function attachInterviewPrep(rows, store, getApplicationKey) {
+  return (rows || []).map((row) => ({
+    ...row,
+    interviewPrep: findApplicationRecord(store, applicationRecordKeys(row, getApplicationKey)),
+  }));
+}
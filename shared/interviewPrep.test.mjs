@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  attachInterviewPrep,
+  createInterviewRound,
+  normalizeInterviewPrepStore,
+  saveInterviewPrepInStore,
+  summarizeInterviewPrep,
+  validateInterviewPrepInput,
+} from './interviewPrep.mjs';
+import { findApplicationRecord } from './applicationRecords.mjs';
+import { buildActivityRows } from '../popup/src/utils/searchActivityReport.mjs';
+import { getApplicationKey } from './applicationKey.mjs';
+
+const NOW = new Date('2026-06-10T15:00:00Z').getTime();
+
+const prep = (overrides = {}) => ({
+  rounds: [{
+    ...createInterviewRound({ id: 'r1', name: 'Recruiter screen', date: '2026-06-12', interviewers: ['Dana Scully'] }),
+    questions: ['Why this team?'],
+    rating: 4,
+  }],
+  checklist: [{ id: 'c1', text: 'Research the company', done: true }, { id: 'c2', text: 'Test audio', done: false }],
+  ...overrides,
+});
+
+test('a record saved under the cp_ key moves to the app_ key once the role is linked', () => {
+  const unlinked = { key: 'cp_acme_designer', fallbackKey: null };
+  let store = saveInterviewPrepInStore({}, unlinked, prep(), NOW);
+  assert.ok(store.cp_acme_designer);
+
+  const linked = { key: 'app_42', fallbackKey: 'cp_acme_designer' };
+  assert.equal(findApplicationRecord(store, linked), store.cp_acme_designer);
+
+  store = saveInterviewPrepInStore(store, linked, prep({ checklist: [] }), NOW + 1);
+  assert.deepEqual(Object.keys(store), ['app_42']);
+  assert.equal(store.app_42.updatedAt, NOW + 1);
+
+  // Clearing everything removes the record instead of storing an empty one.
+  assert.deepEqual(saveInterviewPrepInStore(store, linked, { rounds: [], checklist: [] }, NOW), {});
+});
+
+test('validation refuses bad ratings and normalization drops malformed entries', () => {
+  assert.equal(validateInterviewPrepInput(prep({ rounds: [{ id: 'r1', rating: 9 }] })).valid, false);
+  assert.equal(validateInterviewPrepInput(null).valid, false);
+
+  const { value } = validateInterviewPrepInput(prep({
+    rounds: [{ id: 'r1', name: '  Onsite ', date: 'soon', interviewers: ['', ' Fox Mulder '], questions: 'nope' }, { name: 'no id' }],
+    checklist: [{ id: 'c1', text: '   ' }, { id: 'c2', text: 'Prepare questions', done: 'yes' }],
+  }));
+  assert.deepEqual(value.rounds, [{
+    id: 'r1', name: 'Onsite', date: '', interviewers: ['Fox Mulder'], notes: '', questions: [], rating: null,
+  }]);
+  assert.deepEqual(value.checklist, [{ id: 'c2', text: 'Prepare questions', done: false }]);
+
+  assert.deepEqual(Object.keys(normalizeInterviewPrepStore({ app_1: prep(), thread_9: prep(), cp_x_y: 'bad' })), ['app_1']);
+});
+
+test('activity report rows pick up their prep record and summary', () => {
+  const rows = buildActivityRows({
+    interviewed: [{ id: 'e1', date: '2026-06-03T12:00:00Z', company_name: 'Acme', position: 'Designer', thread_id: 't1' }],
+  });
+  const [row] = attachInterviewPrep(rows, { cp_acme_designer: prep() }, getApplicationKey);
+  assert.equal(row.interviewPrep.rounds[0].name, 'Recruiter screen');
+  assert.deepEqual(summarizeInterviewPrep(row.interviewPrep), {
+    roundCount: 1,
+    averageRating: 4,
+    questionCount: 1,
+    checklistDone: 1,
+    checklistTotal: 2,
+  });
+  assert.equal(attachInterviewPrep(rows, {}, getApplicationKey)[0].interviewPrep, null);
+});
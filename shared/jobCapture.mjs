@@ -0,0 +1,216 @@
+/**
+ * @file shared/jobCapture.mjs
+ * @description Applications captured on job boards by jobBoardContent.js. A
+ * submit on a supported site becomes a manual application (see
+ * shared/manualApplications.mjs) marked `pending` until its Gmail confirmation
+ * arrives. After each sync the worker runs linkCapturedApplications: a pending
+ * capture that matches a new pipeline email takes that email's thread, so the
+ * confirmation lands on the captured card instead of starting a new one.
+ * Kept dependency-free for `node --test`.
+ */
+
+import { MANUAL_APPLICATION_STAGES, createManualApplication } from './manualApplications.mjs';
+import { MAX_JOB_DESCRIPTION_LENGTH } from './jobDescriptions.mjs';
+
+export const JOB_CAPTURE_STORAGE_KEY = 'applendiumJobCaptureV1';
+export const JOB_CAPTURE_CONTENT_SCRIPT_ID = 'applendium-job-capture';
+
+export const JOB_CAPTURE_PLATFORMS = Object.freeze([
+  { id: 'linkedin', label: 'LinkedIn', origins: ['https://www.linkedin.com/*'] },
+  { id: 'greenhouse', label: 'Greenhouse', origins: ['https://boards.greenhouse.io/*', 'https://job-boards.greenhouse.io/*'] },
+  { id: 'lever', label: 'Lever', origins: ['https://jobs.lever.co/*'] },
+  { id: 'workday', label: 'Workday', origins: ['https://*.myworkdayjobs.com/*'] },
+  { id: 'ashby', label: 'Ashby', origins: ['https://jobs.ashbyhq.com/*'] },
+]);
+
+export const JOB_CAPTURE_ORIGIN_PATTERNS = Object.freeze(JOB_CAPTURE_PLATFORMS.flatMap((platform) => platform.origins));
+
+export const MAX_CAPTURED_DESCRIPTION_LENGTH = MAX_JOB_DESCRIPTION_LENGTH;
+const MAX_TEXT_LENGTH = 200;
+const MAX_LINK_LENGTH = 2000;
+
+// A confirmation usually arrives within minutes; some ATSs batch them for days.
+const LINK_WINDOW_BEFORE_MS = 60 * 60 * 1000;
+const LINK_WINDOW_AFTER_MS = 14 * 24 * 60 * 60 * 1000;
+// A second submit of the same posting (a retry, a double click) updates the
+// pending capture instead of adding another.
+const DUPLICATE_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+const COMPANY_SUFFIX_PATTERN = /\b(inc|llc|ltd|limited|corp|corporation|co|gmbh|plc|sa|ag|bv)\b/g;
+const MIN_POSITION_OVERLAP = 0.5;
+
+export function jobCapturePlatformLabel(platformId) {
+  return JOB_CAPTURE_PLATFORMS.find((platform) => platform.id === platformId)?.label || 'Job board';
+}
+
+function cleanText(value, maxLength) {
+  const text = typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+  return text.length > maxLength ? text.slice(0, maxLength) : text;
+}
+
+/**
+ * Checks a CAPTURE_JOB_APPLICATION payload from the content script.
+ * @returns {{valid: true, value: {platform: string, company: string, position: string, jobUrl: string, description: string}}|{valid: false, error: string}}
+ */
+export function validateJobCaptureInput(input) {
+  if (!input || typeof input !== 'object') return { valid: false, error: 'Capture details are required.' };
+  if (!JOB_CAPTURE_PLATFORMS.some((platform) => platform.id === input.platform)) {
+    return { valid: false, error: 'Unknown job board.' };
+  }
+  const company = cleanText(input.company, MAX_TEXT_LENGTH);
+  if (!company) return { valid: false, error: 'Company is required.' };
+  const position = cleanText(input.position, MAX_TEXT_LENGTH);
+  if (!position) return { valid: false, error: 'Position is required.' };
+
+  let jobUrl = '';
+  try {
+    const url = new URL(String(input.jobUrl || ''));
+    if (url.protocol !== 'https:') throw new Error('protocol');
+    url.hash = '';
+    jobUrl = url.toString();
+  } catch (_) {
+    return { valid: false, error: 'Job URL must be an https URL.' };
+  }
+  if (jobUrl.length > MAX_LINK_LENGTH) return { valid: false, error: 'Job URL is too long.' };
+
+  // Keep paragraph breaks; the snapshot is read, not just searched.
+  const description = typeof input.description === 'string'
+    ? input.description.replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim().slice(0, MAX_CAPTURED_DESCRIPTION_LENGTH)
+    : '';
+
+  return { valid: true, value: { platform: input.platform, company, position, jobUrl, description } };
+}
+
+/** YYYY-MM-DD in the browser's timezone, the format manual applications store. */
+export function localDateString(now) {
+  const date = new Date(now);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function isPendingCapture(record) {
+  return Boolean(record?.capture) && record.pending === true;
+}
+
+/**
+ * Adds a capture as a pending manual application, or refreshes the pending
+ * one already stored for the same posting.
+ * @returns {{records: Array<object>, application: object, created: boolean}}
+ */
+export function upsertCapturedApplication(records, capture, { id, now }) {
+  const existing = (records || []).find((record) => (
+    isPendingCapture(record) &&
+    record.link === capture.jobUrl &&
+    now - record.capture.capturedAt < DUPLICATE_WINDOW_MS
+  ));
+  const captureFields = {
+    capture: { platform: capture.platform, platformLabel: jobCapturePlatformLabel(capture.platform), capturedAt: now },
+    pending: true,
+    description: capture.description,
+  };
+
+  if (existing) {
+    const application = {
+      ...existing,
+      company: capture.company,
+      position: capture.position,
+      ...captureFields,
+      description: capture.description || existing.description || '',
+      updatedAt: now,
+    };
+    return {
+      records: records.map((record) => (record.id === existing.id ? application : record)),
+      application,
+      created: false,
+    };
+  }
+
+  const application = {
+    ...createManualApplication({
+      id,
+      now,
+      fields: {
+        company: capture.company,
+        position: capture.position,
+        appliedOn: localDateString(now),
+        source: 'job_board',
+        link: capture.jobUrl,
+        stage: 'applied',
+        notes: '',
+      },
+    }),
+    ...captureFields,
+  };
+  return { records: [...(records || []), application], application, created: true };
+}
+
+function companyKey(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9 ]+/g, ' ')
+    .replace(COMPANY_SUFFIX_PATTERN, ' ')
+    .replace(/\s+/g, '');
+}
+
+function positionTokens(value) {
+  return new Set(String(value || '').toLowerCase().split(/[^a-z0-9+#]+/).filter((token) => token.length > 1));
+}
+
+function companiesMatch(a, b) {
+  const left = companyKey(a);
+  const right = companyKey(b);
+  if (!left || !right) return false;
+  if (left === right) return true;
+  // "northstar" from an ATS sender vs "northstarlabs" from the posting.
+  return Math.min(left.length, right.length) >= 4 && (left.includes(right) || right.includes(left));
+}
+
+function positionsMatch(captured, emailed) {
+  const emailedTokens = positionTokens(emailed);
+  // Many confirmations never name the role; the company has to carry it.
+  if (emailedTokens.size === 0) return true;
+  const capturedTokens = positionTokens(captured);
+  let shared = 0;
+  for (const token of emailedTokens) if (capturedTokens.has(token)) shared += 1;
+  return shared / Math.min(emailedTokens.size, capturedTokens.size || 1) >= MIN_POSITION_OVERLAP;
+}
+
+/** The earliest pipeline email that confirms this capture, if any. */
+export function findCaptureConfirmation(record, categorizedEmails) {
+  const capturedAt = record.capture.capturedAt;
+  let best = null;
+  for (const stage of MANUAL_APPLICATION_STAGES) {
+    for (const email of categorizedEmails?.[stage] || []) {
+      if (!email || email.isManual || !(email.thread_id || email.threadId)) continue;
+      const time = new Date(email.date || 0).getTime();
+      if (!Number.isFinite(time) || time < capturedAt - LINK_WINDOW_BEFORE_MS || time > capturedAt + LINK_WINDOW_AFTER_MS) continue;
+      if (!companiesMatch(record.company, email.company_name)) continue;
+      if (!positionsMatch(record.position, email.position)) continue;
+      if (!best || time < new Date(best.date).getTime()) best = email;
+    }
+  }
+  return best;
+}
+
+/**
+ * Links pending captures to their confirmation emails. Linked records keep
+ * everything captured and take the email's thread id, which
+ * mergeManualApplications uses to put them on that thread's card.
+ * @returns {{records: Array<object>, linked: number}}
+ */
+export function linkCapturedApplications(records, categorizedEmails, now) {
+  let linked = 0;
+  const claimedThreads = new Set(
+    (records || []).map((record) => record?.linkedThreadId).filter(Boolean),
+  );
+  const next = (records || []).map((record) => {
+    if (!isPendingCapture(record)) return record;
+    const email = findCaptureConfirmation(record, categorizedEmails);
+    const threadId = email ? String(email.thread_id || email.threadId) : null;
+    if (!threadId || claimedThreads.has(threadId)) return record;
+    claimedThreads.add(threadId);
+    linked += 1;
+    return { ...record, pending: false, linkedThreadId: threadId, linkedEmailId: email.id, linkedAt: now, updatedAt: now };
+  });
+  return { records: linked > 0 ? next : records, linked };
+}
@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  linkCapturedApplications,
+  upsertCapturedApplication,
+  validateJobCaptureInput,
+} from './jobCapture.mjs';
+import { manualApplicationToEmail, mergeManualApplications } from './manualApplications.mjs';
+
+const CAPTURED_AT = new Date('2026-04-02T15:00:00Z').getTime();
+const capture = (overrides = {}) => validateJobCaptureInput({
+  platform: 'greenhouse',
+  company: 'Northstar Labs, Inc.',
+  position: 'Senior Product Manager',
+  jobUrl: 'https://job-boards.greenhouse.io/northstarlabs/jobs/4012345#app',
+  description: 'About the role\n\n\n\nYou will own   the roadmap.',
+  ...overrides,
+}).value;
+const email = (id, threadId, date, overrides = {}) => ({
+  id,
+  thread_id: threadId,
+  date,
+  company_name: 'Northstar',
+  position: 'Sr. Product Manager',
+  ...overrides,
+});
+const roleKey = (item) => `cp_${String(item.company_name).toLowerCase()}_${String(item.position).toLowerCase()}`;
+
+test('capture input is cleaned and rejected when incomplete', () => {
+  const value = capture();
+  assert.equal(value.jobUrl, 'https://job-boards.greenhouse.io/northstarlabs/jobs/4012345');
+  assert.equal(value.description, 'About the role\n\nYou will own the roadmap.');
+  assert.equal(validateJobCaptureInput({ ...value, platform: 'monster' }).valid, false);
+  assert.equal(validateJobCaptureInput({ ...value, position: '  ' }).valid, false);
+  assert.equal(validateJobCaptureInput({ ...value, jobUrl: 'http://jobs.lever.co/x' }).valid, false);
+});
+
+test('a repeat submit of the same posting refreshes the pending capture', () => {
+  const first = upsertCapturedApplication([], capture(), { id: 'a', now: CAPTURED_AT });
+  assert.equal(first.created, true);
+  assert.equal(first.application.id, 'manual_a');
+  assert.equal(first.application.source, 'job_board');
+  assert.equal(first.application.pending, true);
+  assert.equal(first.application.capture.platformLabel, 'Greenhouse');
+
+  const again = upsertCapturedApplication(first.records, capture({ position: 'Senior PM' }), { id: 'b', now: CAPTURED_AT + 60_000 });
+  assert.equal(again.created, false);
+  assert.equal(again.records.length, 1);
+  assert.equal(again.application.position, 'Senior PM');
+});
+
+test('a pending capture links to the first matching confirmation and joins its thread', () => {
+  const { records } = upsertCapturedApplication([], capture(), { id: 'a', now: CAPTURED_AT });
+  const categorizedEmails = {
+    applied: [
+      email(11, 't-other', '2026-04-02T15:10:00Z', { company_name: 'Quillworks' }),
+      email(12, 't-early', '2026-03-20T10:00:00Z'),
+      email(13, 't-confirm', '2026-04-02T15:05:00Z', { applicationId: 9001 }),
+    ],
+    interviewed: [email(14, 't-later', '2026-04-09T10:00:00Z', { position: 'Interview invitation' })],
+  };
+
+  const result = linkCapturedApplications(records, categorizedEmails, CAPTURED_AT + 3_600_000);
+  assert.equal(result.linked, 1);
+  assert.equal(result.records[0].pending, false);
+  assert.equal(result.records[0].linkedThreadId, 't-confirm');
+  assert.equal(result.records[0].linkedEmailId, 13);
+
+  assert.equal(manualApplicationToEmail(result.records[0]).thread_id, 't-confirm');
+  assert.match(manualApplicationToEmail(result.records[0]).from, /^Captured on Greenhouse$/);
+  const merged = mergeManualApplications(categorizedEmails, result.records, roleKey);
+  const mergedCapture = merged.applied.find((item) => item.id === 'manual_a');
+  assert.equal(mergedCapture.thread_id, 't-confirm');
+  assert.equal(mergedCapture.applicationId, 9001);
+
+  // Linked captures are left alone on later syncs.
+  assert.equal(linkCapturedApplications(result.records, categorizedEmails, CAPTURED_AT).linked, 0);
+});
+
+test('captures stay pending without a close enough confirmation', () => {
+  const { records } = upsertCapturedApplication([], capture(), { id: 'a', now: CAPTURED_AT });
+  const result = linkCapturedApplications(records, {
+    applied: [
+      email(21, 't-1', '2026-04-02T16:00:00Z', { position: 'Data Engineer' }),
+      email(22, 't-2', '2026-05-01T16:00:00Z'),
+    ],
+  }, CAPTURED_AT);
+  assert.equal(result.linked, 0);
+  assert.equal(result.records, records);
+  assert.match(manualApplicationToEmail(records[0]).from, /awaiting confirmation/);
+});
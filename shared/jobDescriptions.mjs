@@ -0,0 +1,107 @@
+/**
+ * @file shared/jobDescriptions.mjs
+ * @description Job description snapshots attached to an application, so the
+ * posting text is still there after the role closes. The user pastes one in
+ * the preview; a job-board capture (shared/jobCapture.mjs) already carries one
+ * on its manual application record, which is shown until the user saves their
+ * own. Stored per account and keyed per application as described in
+ * shared/applicationRecords.mjs. Kept dependency-free for `node --test`.
+ */
+
+import { applicationRecordKeys, applicationRoleForEmails, findApplicationRecord, isApplicationRecordKey, putApplicationRecord } from './applicationRecords.mjs';
+
+export const JOB_DESCRIPTIONS_STORAGE_KEY = 'applendiumJobDescriptionsV1';
+
+export const MAX_JOB_DESCRIPTION_LENGTH = 20000;
+const MAX_LINK_LENGTH = 2000;
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Keep paragraph breaks; the snapshot is read, not just searched.
+function cleanDescriptionText(value) {
+  return typeof value === 'string' ? value.replace(/\r\n?/g, '\n').replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim() : '';
+}
+
+function cleanSourceUrl(value) {
+  if (typeof value !== 'string' || !value.trim() || value.length > MAX_LINK_LENGTH) return '';
+  try {
+    const url = new URL(value.trim());
+    return url.protocol === 'https:' || url.protocol === 'http:' ? url.toString() : '';
+  } catch (_) {
+    return '';
+  }
+}
+
+/**
+ * Drops a malformed snapshot. Storage is user-editable through devtools and
+ * backups, so never trust its shape.
+ * @returns {{text: string, sourceUrl: string, savedAt: number|null}|null}
+ */
+export function normalizeJobDescription(raw) {
+  if (!isPlainObject(raw)) return null;
+  const text = cleanDescriptionText(raw.text).slice(0, MAX_JOB_DESCRIPTION_LENGTH);
+  if (!text) return null;
+  return {
+    text,
+    sourceUrl: cleanSourceUrl(raw.sourceUrl),
+    savedAt: Number.isFinite(raw.savedAt) ? raw.savedAt : null,
+  };
+}
+
+export function normalizeJobDescriptionStore(raw) {
+  if (!isPlainObject(raw)) return {};
+  const store = {};
+  for (const [key, description] of Object.entries(raw)) {
+    const normalized = isApplicationRecordKey(key) ? normalizeJobDescription(description) : null;
+    if (normalized) store[key] = normalized;
+  }
+  return store;
+}
+
+/**
+ * Strict check for a snapshot sent by the popup. Refuses oversized text
+ * instead of trimming it, so a paste is never silently cut off. Empty text is
+ * valid and means "remove".
+ * @returns {{valid: true, value: {text: string, sourceUrl: string}}|{valid: false, error: string}}
+ */
+export function validateJobDescriptionInput(input) {
+  if (!isPlainObject(input)) return { valid: false, error: 'Job description is required.' };
+  if (input.text !== undefined && typeof input.text !== 'string') return { valid: false, error: 'Job description must be text.' };
+  const text = cleanDescriptionText(input.text);
+  if (text.length > MAX_JOB_DESCRIPTION_LENGTH) {
+    return { valid: false, error: `Job descriptions are limited to ${MAX_JOB_DESCRIPTION_LENGTH.toLocaleString('en-US')} characters.` };
+  }
+  if (input.sourceUrl && !cleanSourceUrl(input.sourceUrl)) return { valid: false, error: 'Posting link must be an http(s) URL.' };
+  return { valid: true, value: { text, sourceUrl: cleanSourceUrl(input.sourceUrl) } };
+}
+
+/**
+ * Writes one role's snapshot into the per-account store. Empty text removes
+ * the role's entry.
+ * @returns {object} The next store.
+ */
+export function saveJobDescriptionInStore(store, keys, description, now) {
+  return putApplicationRecord(store, keys, description?.text ? { ...description, savedAt: now } : null);
+}
+
+/**
+ * The snapshot to show for a thread or role: the one the user saved, else the
+ * description a job-board capture brought in on its manual application.
+ * @param {object} store - Snapshots keyed by application key.
+ * @param {Array<object>} emails - The thread's or role's emails.
+ * @returns {{text: string, sourceUrl: string, savedAt: number|null, captured: boolean}|null}
+ */
+export function resolveJobDescription(store, emails, getApplicationKey) {
+  const saved = findApplicationRecord(store, applicationRecordKeys(applicationRoleForEmails(emails), getApplicationKey));
+  if (saved) return { ...saved, captured: false };
+  const capturedEmail = (emails || []).find((email) => email?.isManual && email.job_description);
+  if (!capturedEmail) return null;
+  return {
+    text: capturedEmail.job_description,
+    sourceUrl: capturedEmail.job_url || '',
+    savedAt: null,
+    captured: true,
+  };
+}
@@ -0,0 +1,67 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_JOB_DESCRIPTION_LENGTH,
+  normalizeJobDescriptionStore,
+  resolveJobDescription,
+  saveJobDescriptionInStore,
+  validateJobDescriptionInput,
+} from './jobDescriptions.mjs';
+import { applicationRecordKeys, applicationRoleForEmails } from './applicationRecords.mjs';
+import { manualApplicationToEmail } from './manualApplications.mjs';
+import { getApplicationKey } from './applicationKey.mjs';
+
+const NOW = new Date('2026-06-10T15:00:00Z').getTime();
+
+test('pasted text keeps its paragraphs and oversized pastes are refused', () => {
+  const result = validateJobDescriptionInput({ text: '  About us\r\n\r\n\r\n\r\nWe  build\tthings.  ', sourceUrl: 'https://acme.example/jobs/1' });
+  assert.deepEqual(result.value, { text: 'About us\n\nWe build things.', sourceUrl: 'https://acme.example/jobs/1' });
+  assert.equal(validateJobDescriptionInput({ text: 'x'.repeat(MAX_JOB_DESCRIPTION_LENGTH + 1) }).valid, false);
+  assert.equal(validateJobDescriptionInput({ text: 'ok', sourceUrl: 'javascript:alert(1)' }).valid, false);
+  assert.equal(validateJobDescriptionInput({ text: '' }).valid, true);
+});
+
+test('a snapshot follows the role from its cp_ key to its app_ key and empty text removes it', () => {
+  let store = saveJobDescriptionInStore({}, { key: 'cp_acme_designer', fallbackKey: null }, { text: 'Design things.', sourceUrl: '' }, NOW);
+  const linkedEmails = [{ applicationId: 42, company_name: 'Acme', position: 'Designer' }];
+  assert.equal(resolveJobDescription(store, linkedEmails, getApplicationKey).text, 'Design things.');
+
+  store = saveJobDescriptionInStore(store, { key: 'app_42', fallbackKey: 'cp_acme_designer' }, { text: 'Design more things.', sourceUrl: '' }, NOW + 1);
+  assert.deepEqual(Object.keys(store), ['app_42']);
+  assert.equal(store.app_42.savedAt, NOW + 1);
+
+  store = saveJobDescriptionInStore(store, { key: 'app_42', fallbackKey: null }, { text: '', sourceUrl: '' }, NOW + 2);
+  assert.deepEqual(store, {});
+});
+
+test('a captured description shows until the user saves their own', () => {
+  const captured = manualApplicationToEmail({
+    id: 'manual_a',
+    company: 'Acme',
+    position: 'Designer',
+    appliedOn: '2026-06-01',
+    source: 'job_board',
+    link: 'https://jobs.lever.co/acme/1',
+    stage: 'applied',
+    description: 'Captured text.',
+    capture: { platform: 'lever', platformLabel: 'Lever', capturedAt: NOW },
+    pending: true,
+  });
+  const resolved = resolveJobDescription({}, [captured], getApplicationKey);
+  assert.equal(resolved.captured, true);
+  assert.equal(resolved.text, 'Captured text.');
+  assert.equal(resolved.sourceUrl, 'https://jobs.lever.co/acme/1');
+
+  const keys = applicationRecordKeys(applicationRoleForEmails([captured]), getApplicationKey);
+  const store = saveJobDescriptionInStore({}, keys, { text: 'Edited.', sourceUrl: resolved.sourceUrl }, NOW);
+  assert.equal(resolveJobDescription(store, [captured], getApplicationKey).captured, false);
+});
+
+test('malformed stored snapshots are dropped', () => {
+  assert.deepEqual(normalizeJobDescriptionStore({
+    app_1: { text: 'Keep me', sourceUrl: 'ftp://nope', savedAt: NOW },
+    app_2: { text: '   ' },
+    thread_3: { text: 'Wrong key' },
+    cp_x_y: 'not an object',
+  }), { app_1: { text: 'Keep me', sourceUrl: '', savedAt: NOW } });
+});
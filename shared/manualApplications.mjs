@@ -0,0 +1,226 @@
+/**
+ * @file shared/manualApplications.mjs
+ * @description Applications the user adds by hand: referrals, career fairs, or
+ * an ATS that never emails. The service worker owns the stored records; the
+ * popup folds them into `categorizedEmails` as email-shaped entries so they go
+ * through the same grouping, pipeline and report code as Gmail-tracked roles.
+ * Kept dependency-free for `node --test`.
+ */
+
+export const MANUAL_APPLICATIONS_STORAGE_KEY = 'applendiumManualApplicationsV1';
+export const MANUAL_APPLICATION_ID_PREFIX = 'manual_';
+// Rows per spreadsheet import; also what the service worker accepts per batch.
+export const MAX_MANUAL_APPLICATION_IMPORT = 2000;
+
+export const MANUAL_APPLICATION_STAGES = Object.freeze(['applied', 'interviewed', 'offers', 'rejected']);
+
+export const MANUAL_APPLICATION_SOURCES = Object.freeze([
+  { value: 'referral', label: 'Referral' },
+  { value: 'career_fair', label: 'Career fair' },
+  { value: 'company_site', label: 'Company website' },
+  { value: 'job_board', label: 'Job board' },
+  { value: 'recruiter', label: 'Recruiter' },
+  { value: 'import', label: 'Spreadsheet import' },
+  { value: 'other', label: 'Other' },
+]);
+
+const SOURCE_VALUES = new Set(MANUAL_APPLICATION_SOURCES.map((source) => source.value));
+const MAX_TEXT_LENGTH = 200;
+const MAX_LINK_LENGTH = 2000;
+const MAX_NOTES_LENGTH = 2000;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Local noon keeps a date-only entry on the same calendar day in every timezone.
+const DATE_ONLY_TIME_SUFFIX = 'T12:00:00';
+
+export function isManualApplicationId(id) {
+  return typeof id === 'string' && id.startsWith(MANUAL_APPLICATION_ID_PREFIX);
+}
+
+export function manualApplicationSourceLabel(source) {
+  return MANUAL_APPLICATION_SOURCES.find((entry) => entry.value === source)?.label || 'Other';
+}
+
+function validateRequiredText(value, label) {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (!text) return { valid: false, error: `${label} is required.` };
+  if (text.length > MAX_TEXT_LENGTH) return { valid: false, error: `${label} is too long.` };
+  return { valid: true, value: text };
+}
+
+function validateAppliedOn(value, now) {
+  if (typeof value !== 'string' || !DATE_ONLY_PATTERN.test(value)) {
+    return { valid: false, error: 'Date must be YYYY-MM-DD.' };
+  }
+  const time = new Date(`${value}${DATE_ONLY_TIME_SUFFIX}`).getTime();
+  if (!Number.isFinite(time)) return { valid: false, error: 'Date is not a real calendar day.' };
+  // A day of slack so "today" is accepted whatever the user's timezone.
+  if (time > now + 24 * 60 * 60 * 1000) return { valid: false, error: 'Date cannot be in the future.' };
+  return { valid: true, value };
+}
+
+function validateLink(value) {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (!text) return { valid: true, value: '' };
+  if (text.length > MAX_LINK_LENGTH) return { valid: false, error: 'Link is too long.' };
+  try {
+    const url = new URL(text);
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') throw new Error('protocol');
+    return { valid: true, value: url.toString() };
+  } catch (_) {
+    return { valid: false, error: 'Link must be an http(s) URL.' };
+  }
+}
+
+function validateNotes(value) {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (text.length > MAX_NOTES_LENGTH) return { valid: false, error: 'Notes are too long.' };
+  return { valid: true, value: text };
+}
+
+/**
+ * Checks form input (or a message payload) and returns the cleaned fields.
+ * @returns {{valid: true, value: object}|{valid: false, error: string}}
+ */
+export function validateManualApplicationInput(input, now) {
+  if (!input || typeof input !== 'object') return { valid: false, error: 'Application details are required.' };
+  const company = validateRequiredText(input.company, 'Company');
+  if (!company.valid) return company;
+  const position = validateRequiredText(input.position, 'Position');
+  if (!position.valid) return position;
+  const appliedOn = validateAppliedOn(input.appliedOn, now);
+  if (!appliedOn.valid) return appliedOn;
+  const source = input.source || 'other';
+  if (!SOURCE_VALUES.has(source)) return { valid: false, error: 'Unknown source.' };
+  const link = validateLink(input.link);
+  if (!link.valid) return link;
+  const stage = input.stage || 'applied';
+  if (!MANUAL_APPLICATION_STAGES.includes(stage)) return { valid: false, error: 'Unknown stage.' };
+  const notes = validateNotes(input.notes);
+  if (!notes.valid) return notes;
+
+  return {
+    valid: true,
+    value: {
+      company: company.value,
+      position: position.value,
+      appliedOn: appliedOn.value,
+      source,
+      link: link.value,
+      stage,
+      notes: notes.value,
+    },
+  };
+}
+
+/**
+ * @param {object} args
+ * @param {string} [args.importBatchId] - Set for rows brought in by the
+ *   spreadsheet importer, so the whole batch can be undone together.
+ */
+export function createManualApplication({ id, fields, now, importBatchId = null }) {
+  return {
+    id: `${MANUAL_APPLICATION_ID_PREFIX}${id}`,
+    ...fields,
+    ...(importBatchId ? { importBatchId } : {}),
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+export function updateManualApplication(record, fields, now) {
+  return { ...record, ...fields, id: record.id, createdAt: record.createdAt, updatedAt: now };
+}
+
+/**
+ * Drops malformed entries. Storage is user-editable through devtools, so never
+ * trust its shape.
+ */
+export function normalizeManualApplications(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw.filter((record) => (
+    record &&
+    isManualApplicationId(record.id) &&
+    typeof record.company === 'string' && record.company &&
+    typeof record.position === 'string' && record.position &&
+    typeof record.appliedOn === 'string' && DATE_ONLY_PATTERN.test(record.appliedOn) &&
+    MANUAL_APPLICATION_STAGES.includes(record.stage)
+  ));
+}
+
+function manualApplicationFrom(record, sourceLabel) {
+  if (!record.capture) return `Added manually · ${sourceLabel}`;
+  const platformLabel = record.capture.platformLabel || sourceLabel;
+  return record.pending ? `Captured on ${platformLabel} · awaiting confirmation` : `Captured on ${platformLabel}`;
+}
+
+/**
+ * The email-shaped view of a record. The id doubles as its thread id, so a
+ * manual entry is its own thread until a real email for the role joins it. A
+ * job-board capture linked to its confirmation (see shared/jobCapture.mjs)
+ * takes that email's thread id instead.
+ */
+export function manualApplicationToEmail(record) {
+  const sourceLabel = manualApplicationSourceLabel(record.source);
+  return {
+    id: record.id,
+    thread_id: record.linkedThreadId || record.id,
+    isManual: true,
+    category: record.stage,
+    company_name: record.company,
+    position: record.position,
+    date: new Date(`${record.appliedOn}${DATE_ONLY_TIME_SUFFIX}`).toISOString(),
+    subject: `${record.position} at ${record.company}`,
+    from: manualApplicationFrom(record, sourceLabel),
+    body: [
+      `Source: ${sourceLabel}`,
+      record.link ? `Posting: ${record.link}` : null,
+      record.notes ? `\n${record.notes}` : null,
+    ].filter(Boolean).join('\n'),
+    is_read: true,
+    is_starred: false,
+    manual_source: record.source,
+    job_url: record.link || null,
+    // A job-board capture's snapshot; see resolveJobDescription in shared/jobDescriptions.mjs.
+    job_description: record.description || null,
+  };
+}
+
+/**
+ * Adds manual entries to a categorized snapshot, each under its stage.
+ *
+ * Gmail-tracked emails without a backend application join a manual card through
+ * their shared `cp_*` company+position key. Backend-linked emails key on
+ * `app_*` instead, so a manual entry whose company+position matches one adopts
+ * its applicationId and merges into that role's card. A linked job-board capture
+ * already shares its confirmation's thread and adopts that thread's
+ * applicationId first. `getApplicationKey` is injected, as in
+ * mergeGroupsByApplication.
+ */
+export function mergeManualApplications(categorizedEmails, records, getApplicationKey) {
+  if (!Array.isArray(records) || records.length === 0) return categorizedEmails;
+
+  const roleKeyOf = (email) => getApplicationKey({ company_name: email?.company_name, position: email?.position });
+  const applicationIdByRole = new Map();
+  const applicationIdByThread = new Map();
+  for (const emails of Object.values(categorizedEmails || {})) {
+    for (const email of emails || []) {
+      const applicationId = email?.applicationId || email?.application_id;
+      if (!applicationId) continue;
+      const roleKey = roleKeyOf(email);
+      if (roleKey.startsWith('cp_') && !applicationIdByRole.has(roleKey)) {
+        applicationIdByRole.set(roleKey, applicationId);
+      }
+      const threadId = String(email.thread_id || email.threadId || '');
+      if (threadId && !applicationIdByThread.has(threadId)) applicationIdByThread.set(threadId, applicationId);
+    }
+  }
+
+  const next = { ...categorizedEmails };
+  for (const record of records) {
+    const email = manualApplicationToEmail(record);
+    const applicationId = (record.linkedThreadId && applicationIdByThread.get(record.linkedThreadId))
+      || applicationIdByRole.get(roleKeyOf(email));
+    next[record.stage] = [...(next[record.stage] || []), applicationId ? { ...email, applicationId } : email];
+  }
+  return next;
+}
@@ -0,0 +1,94 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createManualApplication,
+  manualApplicationToEmail,
+  mergeManualApplications,
+  normalizeManualApplications,
+  updateManualApplication,
+  validateManualApplicationInput,
+} from './manualApplications.mjs';
+import { buildActivityRows } from '../popup/src/utils/searchActivityReport.mjs';
+import { getApplicationKey } from './applicationKey.mjs';
+
+const NOW = new Date('2026-06-10T15:00:00Z').getTime();
+
+const input = (overrides = {}) => ({
+  company: '  Acme  ',
+  position: 'Designer',
+  appliedOn: '2026-06-01',
+  source: 'referral',
+  link: 'https://jobs.example.com/1',
+  stage: 'applied',
+  ...overrides,
+});
+
+const record = (overrides = {}) => {
+  const { value } = validateManualApplicationInput(input(overrides), NOW);
+  return createManualApplication({ id: 'abc', fields: value, now: NOW });
+};
+
+test('validateManualApplicationInput trims fields and rejects bad input', () => {
+  const result = validateManualApplicationInput(input(), NOW);
+  assert.equal(result.valid, true);
+  assert.equal(result.value.company, 'Acme');
+
+  assert.equal(validateManualApplicationInput(input({ company: ' ' }), NOW).valid, false);
+  assert.equal(validateManualApplicationInput(input({ appliedOn: '06/01/2026' }), NOW).valid, false);
+  assert.equal(validateManualApplicationInput(input({ appliedOn: '2026-07-01' }), NOW).valid, false);
+  assert.equal(validateManualApplicationInput(input({ link: 'javascript:alert(1)' }), NOW).valid, false);
+  assert.equal(validateManualApplicationInput(input({ stage: 'ghosted' }), NOW).valid, false);
+  assert.equal(validateManualApplicationInput(input({ source: 'carrier pigeon' }), NOW).valid, false);
+  assert.equal(validateManualApplicationInput(input({ link: '' }), NOW).value.link, '');
+});
+
+test('records keep their id and creation time across updates and survive normalization', () => {
+  const created = record();
+  assert.equal(created.id, 'manual_abc');
+  const updated = updateManualApplication(created, { stage: 'interviewed', id: 'evil' }, NOW + 1000);
+  assert.equal(updated.id, 'manual_abc');
+  assert.equal(updated.createdAt, NOW);
+  assert.equal(updated.updatedAt, NOW + 1000);
+
+  const list = normalizeManualApplications([updated, null, { ...updated, id: 'abc' }, { ...updated, stage: 'weird' }]);
+  assert.deepEqual(list.map((item) => item.id), ['manual_abc']);
+});
+
+test('a record renders as a read, dated email under its stage', () => {
+  const email = manualApplicationToEmail(record({ stage: 'interviewed' }));
+  assert.equal(email.isManual, true);
+  assert.equal(email.category, 'interviewed');
+  assert.equal(email.is_read, true);
+  assert.equal(new Date(email.date).getDate(), 1);
+  assert.equal(email.thread_id, email.id);
+});
+
+test('unlinked emails share the manual card key; linked ones lend it their applicationId', () => {
+  const unlinked = { id: 1, thread_id: 't1', company_name: 'Acme', position: 'Designer', category: 'interviewed', date: '2026-06-05T00:00:00Z' };
+  const merged = mergeManualApplications({ applied: [], interviewed: [unlinked] }, [record()], getApplicationKey);
+  const manual = merged.applied[0];
+  assert.equal(getApplicationKey(manual), getApplicationKey(unlinked));
+
+  const linked = { ...unlinked, applicationId: 77 };
+  const adopted = mergeManualApplications({ applied: [], interviewed: [linked] }, [record()], getApplicationKey).applied[0];
+  assert.equal(adopted.applicationId, 77);
+  assert.equal(getApplicationKey(adopted), 'app_77');
+});
+
+test('manual entries show up in the activity report', () => {
+  const merged = mergeManualApplications({ applied: [] }, [record()], getApplicationKey);
+  const rows = buildActivityRows(merged);
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].company, 'Acme');
+  assert.equal(rows[0].position, 'Designer');
+});
+
+test('imported records keep their batch id through edits and normalization', () => {
+  const { value } = validateManualApplicationInput(input({ source: 'import', notes: '  Met the team lead  ' }), NOW);
+  assert.equal(value.notes, 'Met the team lead');
+  const imported = createManualApplication({ id: 'imp', fields: value, now: NOW, importBatchId: 'batch-1' });
+  const edited = updateManualApplication(imported, { stage: 'rejected' }, NOW + 1);
+  assert.equal(normalizeManualApplications([edited])[0].importBatchId, 'batch-1');
+  assert.match(manualApplicationToEmail(edited).body, /Met the team lead/);
+  assert.equal(record().importBatchId, undefined);
+});
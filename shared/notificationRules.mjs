@@ -0,0 +1,280 @@
+/**
+ * @file shared/notificationRules.mjs
+ * @description Rules deciding which new-email notifications the service worker
+ * shows, and when. Evaluated in the worker before chrome.notifications.create;
+ * the popup edits the same shape in its settings modal.
+ *
+ * Per email, in order: a muted company is dropped; a watched company skips the
+ * category filter and batching; other emails need their category switched on.
+ * During quiet hours, or in batched delivery, a notification is held and shown
+ * later as one summary. Kept dependency-free for `node --test`.
+ */
+
+export const NOTIFICATION_RULES_STORAGE_KEY = 'applendiumNotificationRulesV1';
+export const HELD_NOTIFICATIONS_STORAGE_KEY = 'applendiumHeldNotificationsV1';
+export const HELD_NOTIFICATIONS_ALARM_NAME = 'applendiumHeldNotificationsFlush';
+
+export const NOTIFICATION_CATEGORIES = Object.freeze(['applied', 'interviewed', 'offers', 'rejected']);
+export const NOTIFICATION_BATCH_INTERVALS_MINUTES = Object.freeze([60, 180, 720]);
+
+const MAX_COMPANY_LIST_LENGTH = 100;
+const MAX_COMPANY_NAME_LENGTH = 120;
+const MAX_HELD_NOTIFICATIONS = 200;
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+export const DEFAULT_NOTIFICATION_RULES = Object.freeze({
+  categories: Object.freeze({ applied: true, interviewed: true, offers: true, rejected: true }),
+  mutedCompanies: Object.freeze([]),
+  watchedCompanies: Object.freeze([]),
+  quietHours: Object.freeze({ enabled: false, start: '22:00', end: '07:00' }),
+  delivery: 'immediate',
+  batchIntervalMinutes: 60,
+});
+
+export function normalizeCompanyKey(value) {
+  return String(value ?? '')
+    .toLowerCase()
+    .replace(/[.,]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function normalizeCompanyList(value) {
+  if (!Array.isArray(value)) return [];
+  const seen = new Set();
+  const list = [];
+  for (const entry of value) {
+    const name = typeof entry === 'string' ? entry.trim().slice(0, MAX_COMPANY_NAME_LENGTH) : '';
+    const key = normalizeCompanyKey(name);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    list.push(name);
+    if (list.length >= MAX_COMPANY_LIST_LENGTH) break;
+  }
+  return list;
+}
+
+/**
+ * Fills gaps from the defaults and drops anything malformed, so stored rules
+ * from an older build (or devtools edits) are always safe to evaluate.
+ */
+export function normalizeNotificationRules(raw) {
+  const input = raw && typeof raw === 'object' ? raw : {};
+  const categories = {};
+  for (const category of NOTIFICATION_CATEGORIES) {
+    const value = input.categories?.[category];
+    categories[category] = typeof value === 'boolean' ? value : DEFAULT_NOTIFICATION_RULES.categories[category];
+  }
+  const quiet = input.quietHours && typeof input.quietHours === 'object' ? input.quietHours : {};
+  return {
+    categories,
+    mutedCompanies: normalizeCompanyList(input.mutedCompanies),
+    watchedCompanies: normalizeCompanyList(input.watchedCompanies),
+    quietHours: {
+      enabled: quiet.enabled === true,
+      start: TIME_OF_DAY_PATTERN.test(quiet.start) ? quiet.start : DEFAULT_NOTIFICATION_RULES.quietHours.start,
+      end: TIME_OF_DAY_PATTERN.test(quiet.end) ? quiet.end : DEFAULT_NOTIFICATION_RULES.quietHours.end,
+    },
+    delivery: input.delivery === 'batched' ? 'batched' : 'immediate',
+    batchIntervalMinutes: NOTIFICATION_BATCH_INTERVALS_MINUTES.includes(input.batchIntervalMinutes)
+      ? input.batchIntervalMinutes
+      : DEFAULT_NOTIFICATION_RULES.batchIntervalMinutes,
+  };
+}
+
+/**
+ * Strict check for rules sent by the popup: unlike normalizeNotificationRules
+ * it reports bad values instead of quietly replacing them.
+ * @returns {{valid: true, value: object}|{valid: false, error: string}}
+ */
+export function validateNotificationRulesInput(input) {
+  if (!input || typeof input !== 'object') return { valid: false, error: 'Notification rules are required.' };
+  const quiet = input.quietHours;
+  if (quiet && (!TIME_OF_DAY_PATTERN.test(quiet.start) || !TIME_OF_DAY_PATTERN.test(quiet.end))) {
+    return { valid: false, error: 'Quiet hours must be HH:MM times.' };
+  }
+  if (input.delivery && !['immediate', 'batched'].includes(input.delivery)) {
+    return { valid: false, error: 'Unknown delivery mode.' };
+  }
+  if (input.batchIntervalMinutes !== undefined && !NOTIFICATION_BATCH_INTERVALS_MINUTES.includes(input.batchIntervalMinutes)) {
+    return { valid: false, error: 'Unsupported batch interval.' };
+  }
+  for (const field of ['mutedCompanies', 'watchedCompanies']) {
+    if (input[field] !== undefined && !Array.isArray(input[field])) return { valid: false, error: `${field} must be a list.` };
+    if ((input[field] || []).length > MAX_COMPANY_LIST_LENGTH) return { valid: false, error: 'Too many companies.' };
+  }
+  return { valid: true, value: normalizeNotificationRules(input) };
+}
+
+function minutesOfDay(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/** True when `now` (local time) falls inside the quiet window, overnight windows included. */
+export function isWithinQuietHours(rules, now) {
+  if (!rules?.quietHours?.enabled) return false;
+  const start = minutesOfDay(rules.quietHours.start);
+  const end = minutesOfDay(rules.quietHours.end);
+  if (start === end) return false;
+  const date = new Date(now);
+  const current = date.getHours() * 60 + date.getMinutes();
+  return start < end ? current >= start && current < end : current >= start || current < end;
+}
+
+/** Next local time the quiet window closes, as a timestamp. */
+export function quietHoursEndAfter(rules, now) {
+  const end = minutesOfDay(rules.quietHours.end);
+  const date = new Date(now);
+  date.setHours(Math.floor(end / 60), end % 60, 0, 0);
+  if (date.getTime() <= now) date.setDate(date.getDate() + 1);
+  return date.getTime();
+}
+
+function emailCategory(email) {
+  return String(email?.category || '').trim().toLowerCase();
+}
+
+function companyMatches(list, company) {
+  const key = normalizeCompanyKey(company);
+  return Boolean(key) && list.some((entry) => normalizeCompanyKey(entry) === key);
+}
+
+/**
+ * Splits new emails into those to notify about now, those to hold for a
+ * later summary, and those the rules drop.
+ * @returns {{immediate: Array<object>, held: Array<object>, dropped: number}}
+ */
+export function evaluateNotificationRules(emails, rules, now) {
+  const immediate = [];
+  const held = [];
+  let dropped = 0;
+  const quiet = isWithinQuietHours(rules, now);
+
+  for (const email of emails || []) {
+    const company = email?.company_name || email?.company;
+    if (companyMatches(rules.mutedCompanies, company)) {
+      dropped += 1;
+      continue;
+    }
+    const watched = companyMatches(rules.watchedCompanies, company);
+    if (!watched && !rules.categories[emailCategory(email)]) {
+      dropped += 1;
+      continue;
+    }
+    if (quiet || (rules.delivery === 'batched' && !watched)) {
+      held.push(email);
+    } else {
+      immediate.push(email);
+    }
+  }
+  return { immediate, held, dropped };
+}
+
+/**
+ * When the held queue should next be shown: the end of quiet hours, or one
+ * batch interval from now.
+ */
+export function nextHeldNotificationsFlushAt(rules, now) {
+  if (isWithinQuietHours(rules, now)) return quietHoursEndAfter(rules, now);
+  if (rules.delivery === 'batched') return now + rules.batchIntervalMinutes * 60 * 1000;
+  return now;
+}
+
+/** Adds emails to the held queue, keeping only what the summary needs. */
+export function appendHeldNotifications(existing, emails) {
+  const list = Array.isArray(existing) ? existing.filter((entry) => entry?.id) : [];
+  const ids = new Set(list.map((entry) => entry.id));
+  for (const email of emails || []) {
+    if (!email?.id || ids.has(email.id)) continue;
+    ids.add(email.id);
+    list.push({
+      id: email.id,
+      threadId: email.thread_id || email.threadId || null,
+      category: emailCategory(email),
+      company: email.company_name || email.company || '',
+      position: email.position || '',
+      date: email.date || null,
+    });
+  }
+  return list.slice(-MAX_HELD_NOTIFICATIONS);
+}
+
+const CATEGORY_SUMMARY_LABELS = {
+  offers: ['offer', 'offers'],
+  interviewed: ['interview', 'interviews'],
+  rejected: ['rejection', 'rejections'],
+  applied: ['application', 'applications'],
+};
+
+/**
+ * One notification's worth of text for the held queue.
+ * @returns {{title: string, message: string}|null}
+ */
+export function summarizeHeldNotifications(held) {
+  if (!Array.isArray(held) || held.length === 0) return null;
+  const parts = [];
+  for (const [category, [singular, plural]] of Object.entries(CATEGORY_SUMMARY_LABELS)) {
+    const count = held.filter((entry) => entry.category === category).length;
+    if (count > 0) parts.push(`${count} ${count === 1 ? singular : plural}`);
+  }
+  const latest = [...held].sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0))[0];
+  const latestLabel = [latest.company, latest.position].filter(Boolean).join(' - ');
+  return {
+    title: held.length === 1 ? '1 application update' : `${held.length} application updates`,
+    message: `${parts.join(', ')}.${latestLabel ? ` Latest: ${latestLabel}` : ''}`,
+  };
+}
+
+// --- Notification targets ---
+// What a shown notification points at, so clicks and buttons still work after
+// the worker has been evicted. Keyed by notification id in storage.
+export const NOTIFICATION_TARGETS_STORAGE_KEY = 'applendiumNotificationTargetsV1';
+export const NOTIFICATION_ACTION_TITLES = Object.freeze({
+  markRead: 'Mark read',
+  remindTomorrow: 'Remind me tomorrow',
+});
+
+const EMAIL_NOTIFICATION_PREFIX = 'applendium_';
+const MAX_NOTIFICATION_TARGETS = 50;
+const NOTIFICATION_TARGET_MAX_AGE_MS = 3 * 24 * 60 * 60 * 1000;
+const REMIND_TOMORROW_HOUR = 9;
+
+export function emailNotificationId(category, emailId) {
+  return `${EMAIL_NOTIFICATION_PREFIX}${category}_${emailId}`;
+}
+
+/**
+ * What a notification click or button should act on: the latest thread (when
+ * there is exactly one to open) and every email it announced. `actions` lists
+ * the buttons in display order, since Chrome reports clicks by index.
+ * @returns {{threadId: string|null, emailIds: Array<string>, actions: Array<string>, createdAt: number}}
+ */
+export function buildNotificationTarget(emails, now) {
+  const list = (emails || []).filter((email) => email?.id);
+  const sorted = [...list].sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0));
+  const threadIds = new Set(list.map((email) => email.thread_id || email.threadId).filter(Boolean).map(String));
+  const threadId = threadIds.size === 1 ? [...threadIds][0] : null;
+  const emailIds = sorted.map((email) => String(email.id));
+  const actions = [];
+  if (emailIds.length > 0) actions.push('markRead');
+  if (threadId) actions.push('remindTomorrow');
+  return { threadId, emailIds, actions, createdAt: now };
+}
+
+/** Adds a target, dropping expired ones and the oldest past the cap. */
+export function recordNotificationTarget(targets, notificationId, target, now) {
+  const entries = Object.entries(targets && typeof targets === 'object' ? targets : {})
+    .filter(([id, entry]) => id !== notificationId && now - Number(entry?.createdAt || 0) < NOTIFICATION_TARGET_MAX_AGE_MS)
+    .sort(([, a], [, b]) => a.createdAt - b.createdAt)
+    .slice(-(MAX_NOTIFICATION_TARGETS - 1));
+  return Object.fromEntries([...entries, [notificationId, target]]);
+}
+
+/** Local 9:00 on the day after `now`, for the "Remind me tomorrow" button. */
+export function remindTomorrowAt(now) {
+  const date = new Date(now);
+  date.setDate(date.getDate() + 1);
+  date.setHours(REMIND_TOMORROW_HOUR, 0, 0, 0);
+  return date.getTime();
+}
@@ -0,0 +1,103 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_NOTIFICATION_RULES,
+  appendHeldNotifications,
+  buildNotificationTarget,
+  evaluateNotificationRules,
+  isWithinQuietHours,
+  nextHeldNotificationsFlushAt,
+  normalizeNotificationRules,
+  recordNotificationTarget,
+  remindTomorrowAt,
+  summarizeHeldNotifications,
+  validateNotificationRulesInput,
+} from './notificationRules.mjs';
+
+const at = (hours, minutes = 0) => new Date(2026, 5, 10, hours, minutes).getTime();
+const email = (id, category, company) => ({ id, category, company_name: company, position: 'Designer', date: '2026-06-10T12:00:00Z' });
+const rules = (overrides = {}) => normalizeNotificationRules({ ...DEFAULT_NOTIFICATION_RULES, ...overrides });
+
+test('normalization fills defaults and drops malformed values', () => {
+  const normalized = normalizeNotificationRules({
+    categories: { applied: false, offers: 'yes' },
+    mutedCompanies: ['Acme', ' acme ', '', 7],
+    quietHours: { enabled: true, start: '25:00', end: '06:30' },
+    delivery: 'sometimes',
+    batchIntervalMinutes: 5,
+  });
+  assert.deepEqual(normalized.categories, { applied: false, interviewed: true, offers: true, rejected: true });
+  assert.deepEqual(normalized.mutedCompanies, ['Acme']);
+  assert.deepEqual(normalized.quietHours, { enabled: true, start: '22:00', end: '06:30' });
+  assert.equal(normalized.delivery, 'immediate');
+  assert.equal(normalized.batchIntervalMinutes, 60);
+
+  assert.equal(validateNotificationRulesInput({ quietHours: { start: '9:00', end: '10:00' } }).valid, false);
+  assert.equal(validateNotificationRulesInput({ delivery: 'digest' }).valid, false);
+  assert.equal(validateNotificationRulesInput({ delivery: 'batched', batchIntervalMinutes: 180 }).valid, true);
+});
+
+test('mute beats watch, watch beats the category filter', () => {
+  const result = evaluateNotificationRules([
+    email(1, 'applied', 'Acme Inc.'),
+    email(2, 'applied', 'Beta'),
+    email(3, 'applied', 'Gamma'),
+    email(4, 'offers', 'Gamma'),
+  ], rules({
+    categories: { applied: false, interviewed: true, offers: true, rejected: true },
+    mutedCompanies: ['acme inc'],
+    watchedCompanies: ['Beta', 'ACME INC'],
+  }), at(12));
+  assert.deepEqual(result.immediate.map((e) => e.id), [2, 4]);
+  assert.equal(result.dropped, 2);
+});
+
+test('quiet hours and batched delivery hold notifications until the right time', () => {
+  const overnight = rules({ quietHours: { enabled: true, start: '22:00', end: '07:00' } });
+  assert.equal(isWithinQuietHours(overnight, at(23)), true);
+  assert.equal(isWithinQuietHours(overnight, at(6, 59)), true);
+  assert.equal(isWithinQuietHours(overnight, at(7)), false);
+
+  const quietResult = evaluateNotificationRules([email(1, 'offers', 'Beta')], overnight, at(23));
+  assert.deepEqual(quietResult.held.map((e) => e.id), [1]);
+  assert.equal(nextHeldNotificationsFlushAt(overnight, at(23)), new Date(2026, 5, 11, 7, 0).getTime());
+
+  const batched = rules({ delivery: 'batched', batchIntervalMinutes: 180, watchedCompanies: ['Beta'] });
+  const batchedResult = evaluateNotificationRules([email(1, 'offers', 'Beta'), email(2, 'applied', 'Acme')], batched, at(12));
+  assert.deepEqual(batchedResult.immediate.map((e) => e.id), [1]);
+  assert.deepEqual(batchedResult.held.map((e) => e.id), [2]);
+  assert.equal(nextHeldNotificationsFlushAt(batched, at(12)), at(15));
+});
+
+test('held notifications dedupe and summarize into one message', () => {
+  const held = appendHeldNotifications(
+    appendHeldNotifications([], [email(1, 'applied', 'Acme'), email(2, 'interviewed', 'Beta')]),
+    [email(2, 'interviewed', 'Beta'), { ...email(3, 'applied', 'Gamma'), date: '2026-06-11T12:00:00Z' }],
+  );
+  assert.equal(held.length, 3);
+  assert.deepEqual(summarizeHeldNotifications(held), {
+    title: '3 application updates',
+    message: '1 interview, 2 applications. Latest: Gamma - Designer',
+  });
+  assert.equal(summarizeHeldNotifications([]), null);
+});
+
+test('notification targets pick one thread, offer matching buttons and stay capped', () => {
+  const single = buildNotificationTarget([
+    { ...email('e1', 'interviewed', 'Acme'), thread_id: 't1', date: '2026-06-10T09:00:00Z' },
+    { ...email('e2', 'interviewed', 'Acme'), thread_id: 't1', date: '2026-06-10T11:00:00Z' },
+  ], at(12));
+  assert.deepEqual(single, { threadId: 't1', emailIds: ['e2', 'e1'], actions: ['markRead', 'remindTomorrow'], createdAt: at(12) });
+
+  const mixed = buildNotificationTarget([{ ...email('e1', 'applied', 'Acme'), thread_id: 't1' }, { ...email('e2', 'applied', 'Beta'), thread_id: 't2' }], at(12));
+  assert.equal(mixed.threadId, null);
+  assert.deepEqual(mixed.actions, ['markRead']);
+
+  let targets = { stale: { createdAt: at(12) - 4 * 24 * 60 * 60 * 1000 } };
+  for (let i = 0; i < 60; i += 1) targets = recordNotificationTarget(targets, `n${i}`, { createdAt: at(12) + i }, at(12) + i);
+  assert.equal(Object.keys(targets).length, 50);
+  assert.equal(targets.stale, undefined);
+  assert.ok(targets.n59 && !targets.n9);
+
+  assert.equal(remindTomorrowAt(at(23, 30)), new Date(2026, 5, 11, 9, 0).getTime());
+});
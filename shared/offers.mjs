@@ -0,0 +1,268 @@
+/**
+ * @file shared/offers.mjs
+ * @description Offer details for roles in the Offers stage, and the
+ * compensation math behind the side-by-side comparison: base, bonus, equity
+ * on its vesting schedule, sign-on bonus and benefits, totalled for the first
+ * year and for four years. The service worker owns the stored records (per
+ * account, keyed per application as in shared/applicationRecords.mjs) and the
+ * alarms that remind before each offer deadline. Kept dependency-free for
+ * `node --test`.
+ */
+
+import { applicationRecordKeys, isApplicationRecordKey, putApplicationRecord } from './applicationRecords.mjs';
+
+export const OFFERS_STORAGE_KEY = 'applendiumOffersV1';
+export const OFFER_DEADLINE_ALARM_PREFIX = 'applendiumOfferDeadline:';
+export const OFFER_DEADLINE_NOTIFICATION_PREFIX = 'applendium_offer_deadline_';
+
+export const OFFER_WORK_MODES = Object.freeze([
+  { value: 'onsite', label: 'On-site' },
+  { value: 'hybrid', label: 'Hybrid' },
+  { value: 'remote', label: 'Remote' },
+]);
+
+// Percent of the grant that vests in each year.
+export const VESTING_PRESETS = Object.freeze([
+  { id: 'even4', label: '4 years, even', schedule: [25, 25, 25, 25] },
+  { id: 'backloaded', label: '5 / 15 / 40 / 40', schedule: [5, 15, 40, 40] },
+  { id: 'even3', label: '3 years, even', schedule: [33.33, 33.33, 33.34] },
+  { id: 'front', label: '40 / 30 / 20 / 10', schedule: [40, 30, 20, 10] },
+]);
+
+const COMPARISON_YEARS = 4;
+const MAX_VESTING_YEARS = 6;
+const MAX_AMOUNT = 100_000_000;
+const MAX_TEXT_LENGTH = 200;
+const MAX_BENEFITS_LENGTH = 1000;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const DEADLINE_REMINDER_HOUR = 9;
+
+const AMOUNT_FIELDS = ['baseSalary', 'bonus', 'equityValue', 'signOnBonus', 'benefitsValue'];
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+export function offerDeadlineAlarmName(key) {
+  return `${OFFER_DEADLINE_ALARM_PREFIX}${key}`;
+}
+
+export function offerKeyFromAlarmName(alarmName) {
+  if (typeof alarmName !== 'string' || !alarmName.startsWith(OFFER_DEADLINE_ALARM_PREFIX)) return null;
+  return alarmName.slice(OFFER_DEADLINE_ALARM_PREFIX.length) || null;
+}
+
+export function offerDeadlineNotificationId(key) {
+  return `${OFFER_DEADLINE_NOTIFICATION_PREFIX}${key}`;
+}
+
+export function offerKeyFromNotificationId(notificationId) {
+  if (typeof notificationId !== 'string' || !notificationId.startsWith(OFFER_DEADLINE_NOTIFICATION_PREFIX)) return null;
+  return notificationId.slice(OFFER_DEADLINE_NOTIFICATION_PREFIX.length) || null;
+}
+
+export function emptyOffer() {
+  return {
+    company: '',
+    position: '',
+    threadId: null,
+    currency: 'USD',
+    baseSalary: null,
+    bonus: null,
+    bonusType: 'amount',
+    equityValue: null,
+    vesting: [...VESTING_PRESETS[0].schedule],
+    signOnBonus: null,
+    benefitsValue: null,
+    benefits: '',
+    ptoDays: null,
+    location: '',
+    workMode: '',
+    deadline: '',
+    updatedAt: null,
+  };
+}
+
+function validateAmount(value, label) {
+  if (value === null || value === undefined || value === '') return { valid: true, value: null };
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) return { valid: false, error: `${label} must be a positive number.` };
+  if (amount > MAX_AMOUNT) return { valid: false, error: `${label} is too large.` };
+  return { valid: true, value: amount };
+}
+
+function validateVesting(value) {
+  if (!Array.isArray(value) || value.length === 0 || value.length > MAX_VESTING_YEARS) {
+    return { valid: false, error: `Vesting needs 1-${MAX_VESTING_YEARS} yearly percentages.` };
+  }
+  const schedule = value.map(Number);
+  if (schedule.some((percent) => !Number.isFinite(percent) || percent < 0)) {
+    return { valid: false, error: 'Vesting percentages must be positive numbers.' };
+  }
+  const total = schedule.reduce((sum, percent) => sum + percent, 0);
+  // Presets like 33.33 / 33.33 / 33.34 only add up to 100 within rounding.
+  if (Math.abs(total - 100) > 0.5) return { valid: false, error: 'Vesting percentages must add up to 100.' };
+  return { valid: true, value: schedule };
+}
+
+const LABELS = {
+  baseSalary: 'Base salary',
+  bonus: 'Bonus',
+  equityValue: 'Equity',
+  signOnBonus: 'Sign-on bonus',
+  benefitsValue: 'Benefits value',
+};
+
+/**
+ * Checks offer details sent by the popup and returns the cleaned record.
+ * @returns {{valid: true, value: object}|{valid: false, error: string}}
+ */
+export function validateOfferInput(input) {
+  if (!isPlainObject(input)) return { valid: false, error: 'Offer details are required.' };
+  const offer = emptyOffer();
+  for (const field of AMOUNT_FIELDS) {
+    const amount = validateAmount(input[field], LABELS[field]);
+    if (!amount.valid) return amount;
+    offer[field] = amount.value;
+  }
+  const bonusType = input.bonusType || 'amount';
+  if (bonusType !== 'amount' && bonusType !== 'percent') return { valid: false, error: 'Unknown bonus type.' };
+  if (bonusType === 'percent' && offer.bonus !== null && offer.bonus > 200) {
+    return { valid: false, error: 'Bonus percent looks too high.' };
+  }
+  offer.bonusType = bonusType;
+
+  const vesting = validateVesting(input.vesting ?? VESTING_PRESETS[0].schedule);
+  if (!vesting.valid) return vesting;
+  offer.vesting = vesting.value;
+
+  const pto = validateAmount(input.ptoDays, 'PTO');
+  if (!pto.valid) return pto;
+  if (pto.value !== null && pto.value > 366) return { valid: false, error: 'PTO must be in days per year.' };
+  offer.ptoDays = pto.value;
+
+  const currency = typeof input.currency === 'string' ? input.currency.trim().toUpperCase() : 'USD';
+  if (!CURRENCY_PATTERN.test(currency)) return { valid: false, error: 'Currency must be a 3-letter code like USD.' };
+  offer.currency = currency;
+
+  if (input.workMode && !OFFER_WORK_MODES.some((mode) => mode.value === input.workMode)) {
+    return { valid: false, error: 'Unknown work arrangement.' };
+  }
+  offer.workMode = input.workMode || '';
+
+  if (input.deadline && !(typeof input.deadline === 'string' && DATE_ONLY_PATTERN.test(input.deadline))) {
+    return { valid: false, error: 'Deadline must be YYYY-MM-DD.' };
+  }
+  offer.deadline = input.deadline || '';
+
+  if (typeof input.benefits === 'string' && input.benefits.length > MAX_BENEFITS_LENGTH) {
+    return { valid: false, error: 'Benefits notes are too long.' };
+  }
+  offer.benefits = typeof input.benefits === 'string' ? input.benefits.trim() : '';
+  for (const field of ['company', 'position', 'location']) {
+    offer[field] = typeof input[field] === 'string' ? input[field].trim().slice(0, MAX_TEXT_LENGTH) : '';
+  }
+  offer.threadId = typeof input.threadId === 'string' && input.threadId ? input.threadId.slice(0, MAX_TEXT_LENGTH) : null;
+  return { valid: true, value: offer };
+}
+
+/** Drops entries that no longer validate. Storage is user-editable, so never trust its shape. */
+export function normalizeOffers(raw) {
+  if (!isPlainObject(raw)) return {};
+  const offers = {};
+  for (const [key, record] of Object.entries(raw)) {
+    if (!isApplicationRecordKey(key)) continue;
+    const validation = validateOfferInput(record);
+    if (validation.valid) {
+      offers[key] = { ...validation.value, updatedAt: Number.isFinite(record.updatedAt) ? record.updatedAt : null };
+    }
+  }
+  return offers;
+}
+
+export function saveOfferInStore(store, keys, offer, now) {
+  return putApplicationRecord(store, keys, offer ? { ...offer, updatedAt: now } : null);
+}
+
+/**
+ * Yearly and total compensation for one offer. Salary, bonus and benefits are
+ * held flat (no raises or refreshers assumed); equity follows its vesting
+ * schedule and the sign-on bonus counts once, in year one.
+ */
+export function computeOfferCompensation(offer) {
+  const base = offer?.baseSalary || 0;
+  const bonus = offer?.bonusType === 'percent' ? (base * (offer?.bonus || 0)) / 100 : offer?.bonus || 0;
+  const benefits = offer?.benefitsValue || 0;
+  const vesting = Array.isArray(offer?.vesting) ? offer.vesting : [];
+  const years = Array.from({ length: COMPARISON_YEARS }, (_, index) => {
+    const equity = ((offer?.equityValue || 0) * (vesting[index] || 0)) / 100;
+    const signOn = index === 0 ? offer?.signOnBonus || 0 : 0;
+    return { base, bonus, equity, signOn, benefits, total: base + bonus + equity + signOn + benefits };
+  });
+  return {
+    annualBonus: bonus,
+    years,
+    firstYear: years[0].total,
+    fourYear: years.reduce((sum, year) => sum + year.total, 0),
+  };
+}
+
+function dateOnlyAt(dateOnly, hour, dayOffset = 0) {
+  const [year, month, day] = dateOnly.split('-').map(Number);
+  return new Date(year, month - 1, day + dayOffset, hour, 0, 0, 0).getTime();
+}
+
+/**
+ * When to next remind about an offer's deadline: 9:00 the day before, then
+ * 9:00 on the day itself. Null once both have passed or without a deadline.
+ */
+export function nextOfferDeadlineReminderAt(offer, now) {
+  if (!offer?.deadline || !DATE_ONLY_PATTERN.test(offer.deadline)) return null;
+  const candidates = [
+    dateOnlyAt(offer.deadline, DEADLINE_REMINDER_HOUR, -1),
+    dateOnlyAt(offer.deadline, DEADLINE_REMINDER_HOUR),
+  ];
+  return candidates.find((when) => when > now) ?? null;
+}
+
+/** Whole days from today until the deadline (0 on the day, negative after). */
+export function daysUntilOfferDeadline(offer, now) {
+  if (!offer?.deadline || !DATE_ONLY_PATTERN.test(offer.deadline)) return null;
+  const today = new Date(now);
+  const startOfToday = new Date(today.getFullYear(), today.getMonth(), today.getDate()).getTime();
+  return Math.round((dateOnlyAt(offer.deadline, 0) - startOfToday) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * One entry per role with an offer email, newest first. Roles are keyed the
+ * same way as their stored offer details, so the two can be joined.
+ * @param {object} categorizedEmails
+ * @param {(email: object) => string} getApplicationKey
+ * @returns {Array<{keys: {key: string, fallbackKey: string|null}, company: string, position: string, threadId: string|null, date: string|null}>}
+ */
+export function buildOfferRoles(categorizedEmails, getApplicationKey) {
+  const byKey = new Map();
+  for (const email of categorizedEmails?.offers || []) {
+    const keys = applicationRecordKeys({
+      applicationId: email?.applicationId || email?.application_id,
+      company: email?.company_name,
+      position: email?.position,
+    }, getApplicationKey);
+    if (!keys) continue;
+    const time = new Date(email?.date || 0).getTime() || 0;
+    const existing = byKey.get(keys.key);
+    if (existing && existing.time >= time) continue;
+    byKey.set(keys.key, {
+      keys,
+      company: email.company_name || '',
+      position: email.position || '',
+      threadId: String(email.thread_id || email.threadId || '') || null,
+      date: email.date || null,
+      time,
+    });
+  }
+  return [...byKey.values()]
+    .sort((a, b) => b.time - a.time)
+    .map(({ time, ...role }) => role);
+}
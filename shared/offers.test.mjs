@@ -0,0 +1,67 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildOfferRoles,
+  computeOfferCompensation,
+  daysUntilOfferDeadline,
+  nextOfferDeadlineReminderAt,
+  normalizeOffers,
+  validateOfferInput,
+} from './offers.mjs';
+import { getApplicationKey } from './applicationKey.mjs';
+
+test('first-year and four-year totals follow the vesting schedule', () => {
+  const { value } = validateOfferInput({
+    baseSalary: '150000',
+    bonus: 10,
+    bonusType: 'percent',
+    equityValue: 200000,
+    vesting: [5, 15, 40, 40],
+    signOnBonus: 20000,
+    benefitsValue: 5000,
+  });
+  const comp = computeOfferCompensation(value);
+  assert.equal(comp.annualBonus, 15000);
+  assert.equal(comp.firstYear, 150000 + 15000 + 10000 + 20000 + 5000);
+  assert.equal(comp.fourYear, 4 * (150000 + 15000 + 5000) + 200000 + 20000);
+  assert.deepEqual(comp.years.map((year) => year.equity), [10000, 30000, 80000, 80000]);
+
+  // A 3-year grant is fully counted inside the four-year window.
+  const threeYear = computeOfferCompensation({ ...value, vesting: [33.33, 33.33, 33.34], signOnBonus: null });
+  assert.equal(Math.round(threeYear.fourYear), 4 * 170000 + 200000);
+});
+
+test('validation rejects bad amounts, vesting and deadlines', () => {
+  assert.equal(validateOfferInput({ baseSalary: -1 }).valid, false);
+  assert.equal(validateOfferInput({ vesting: [50, 40] }).valid, false);
+  assert.equal(validateOfferInput({ deadline: 'Friday' }).valid, false);
+  assert.equal(validateOfferInput({ currency: 'dollars' }).valid, false);
+  const { value } = validateOfferInput({ currency: 'eur', baseSalary: '', workMode: 'remote' });
+  assert.equal(value.currency, 'EUR');
+  assert.equal(value.baseSalary, null);
+
+  assert.deepEqual(Object.keys(normalizeOffers({ app_1: { baseSalary: 1 }, thread_2: {}, app_3: { vesting: [1] } })), ['app_1']);
+});
+
+test('deadline reminders fire the morning before and the morning of', () => {
+  const offer = { deadline: '2026-06-12' };
+  const dayBefore = new Date(2026, 5, 11, 9).getTime();
+  const dayOf = new Date(2026, 5, 12, 9).getTime();
+  assert.equal(nextOfferDeadlineReminderAt(offer, new Date(2026, 5, 1).getTime()), dayBefore);
+  assert.equal(nextOfferDeadlineReminderAt(offer, dayBefore), dayOf);
+  assert.equal(nextOfferDeadlineReminderAt(offer, dayOf), null);
+  assert.equal(nextOfferDeadlineReminderAt({ deadline: '' }, 0), null);
+  assert.equal(daysUntilOfferDeadline(offer, new Date(2026, 5, 10, 23).getTime()), 2);
+});
+
+test('offer roles are one per application, newest first', () => {
+  const roles = buildOfferRoles({
+    offers: [
+      { id: 'a', applicationId: 9, company_name: 'Acme', position: 'Designer', thread_id: 't1', date: '2026-06-01T00:00:00Z' },
+      { id: 'b', applicationId: 9, company_name: 'Acme', position: 'Designer', thread_id: 't2', date: '2026-06-03T00:00:00Z' },
+      { id: 'c', company_name: 'Globex', position: 'Engineer', thread_id: 't3', date: '2026-06-02T00:00:00Z' },
+      { id: 'd', company_name: 'Nameless', thread_id: 't4' },
+    ],
+  }, getApplicationKey);
+  assert.deepEqual(roles.map((role) => [role.keys.key, role.threadId]), [['app_9', 't2'], ['cp_globex_engineer', 't3']]);
+});
@@ -0,0 +1,234 @@
+/**
+ * @file shared/outbox.mjs
+ * @description Pure bookkeeping for the service worker's edit outbox.
+ *
+ * User edits (company / role corrections, stars, close / reopen, category
+ * corrections) are applied to the cached `*Emails` keys straight away. When the backend can't be
+ * reached the edit is parked here and replayed on the `syncEmails` alarm with
+ * exponential backoff; edits the backend rejects become conflicts the user
+ * can see. How an operation patches an email lives in the worker (it needs the
+ * application-state helpers), so it is injected here, which keeps this module
+ * dependency-free for `node --test`.
+ */
+
+export const OUTBOX_STORAGE_KEY = 'applendiumOutboxV1';
+export const OUTBOX_CONFLICTS_STORAGE_KEY = 'applendiumOutboxConflictsV1';
+export const OUTBOX_RETRY_BASE_MS = 30 * 1000;
+export const OUTBOX_RETRY_MAX_MS = 60 * 60 * 1000;
+// Past this an edit is stale enough that silently applying it would surprise
+// the user more than dropping it, so it is surfaced as a conflict instead.
+export const OUTBOX_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+export const OUTBOX_MAX_CONFLICTS = 20;
+
+export const OUTBOX_OPERATION_KINDS = Object.freeze([
+  'company',
+  'position',
+  'star',
+  'closeApplication',
+  'reopenApplication',
+  'misclassification',
+]);
+
+const APPLICATION_KINDS = new Set(['closeApplication', 'reopenApplication']);
+// 408/429 and 5xx mean "try again later"; any other status is the backend
+// answering the edit itself.
+const RETRYABLE_STATUS_CODES = new Set([408, 429]);
+
+function isRetryableStatusCode(statusCode) {
+  const code = Number(statusCode);
+  return RETRYABLE_STATUS_CODES.has(code) || code >= 500;
+}
+
+/**
+ * Edits to the same field of the same email (or the same application, for
+ * close / reopen) share a key, so only the latest one is ever sent.
+ */
+export function outboxTargetKey(operation) {
+  if (APPLICATION_KINDS.has(operation?.kind)) return `application:${operation.applicationId}`;
+  return `${operation?.kind}:${operation?.emailId}`;
+}
+
+export function createOutboxOperation({ id, kind, emailId = null, applicationId = null, payload = {}, now }) {
+  return {
+    id: String(id),
+    kind,
+    emailId: emailId == null ? null : String(emailId),
+    applicationId: applicationId == null ? null : String(applicationId),
+    payload: { ...payload },
+    createdAt: now,
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+  };
+}
+
+/**
+ * Drops malformed entries. Storage is user-editable through devtools, so never
+ * trust its shape.
+ */
+export function normalizeOutbox(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw.filter((operation) => (
+    operation &&
+    typeof operation.id === 'string' && operation.id &&
+    OUTBOX_OPERATION_KINDS.includes(operation.kind) &&
+    (APPLICATION_KINDS.has(operation.kind) ? operation.applicationId : operation.emailId) &&
+    operation.payload && typeof operation.payload === 'object' &&
+    Number.isFinite(operation.createdAt) &&
+    Number.isFinite(operation.nextAttemptAt)
+  ));
+}
+
+export function normalizeOutboxConflicts(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter((conflict) => conflict && typeof conflict.id === 'string' && conflict.id && Number.isFinite(conflict.at))
+    .slice(-OUTBOX_MAX_CONFLICTS);
+}
+
+/**
+ * Adds an operation, coalescing it with anything already queued for the same
+ * target. A newer field edit replaces the older one in place; a close followed
+ * by a reopen (or the reverse) cancels out, since neither reached the backend.
+ */
+export function enqueueOutboxOperation(queue, operation) {
+  const targetKey = outboxTargetKey(operation);
+  const index = queue.findIndex((queued) => outboxTargetKey(queued) === targetKey);
+  if (index === -1) return [...queue, operation];
+
+  const existing = queue[index];
+  if (APPLICATION_KINDS.has(operation.kind) && existing.kind !== operation.kind) {
+    return queue.filter((_, position) => position !== index);
+  }
+  return queue.map((queued, position) => (position === index ? operation : queued));
+}
+
+export function outboxRetryDelay(attempts) {
+  const exponent = Math.max(0, Number(attempts) - 1);
+  return Math.min(OUTBOX_RETRY_BASE_MS * 2 ** exponent, OUTBOX_RETRY_MAX_MS);
+}
+
+export function markOutboxAttemptFailed(operation, message, now) {
+  const attempts = (Number(operation.attempts) || 0) + 1;
+  return {
+    ...operation,
+    attempts,
+    nextAttemptAt: now + outboxRetryDelay(attempts),
+    lastError: message || null,
+  };
+}
+
+export function outboxOperationsDue(queue, now) {
+  return queue.filter((operation) => operation.nextAttemptAt <= now);
+}
+
+export function isOutboxOperationExpired(operation, now) {
+  return now - operation.createdAt > OUTBOX_MAX_AGE_MS;
+}
+
+/**
+ * Thrown errors: network failures carry no status at all, timeouts are 408.
+ * Anything else that came back from the backend is its answer to the edit.
+ */
+export function isRetryableOutboxError(error) {
+  if (!error) return false;
+  if (error.timeout || error.aborted) return true;
+  if (error.statusCode != null) return isRetryableStatusCode(error.statusCode);
+  return !error.backendResponse;
+}
+
+/**
+ * Returned failures (`{ success: false }`) are structured backend errors, so
+ * only a retryable status code keeps them queued.
+ */
+export function isRetryableOutboxResponse(response) {
+  return Boolean(response && !response.success && response.statusCode != null && isRetryableStatusCode(response.statusCode));
+}
+
+export function describeOutboxOperation(operation) {
+  const payload = operation?.payload || {};
+  switch (operation?.kind) {
+    case 'company':
+      return `company name change to "${payload.companyName}"`;
+    case 'position':
+      return `role change to "${payload.position}"`;
+    case 'star':
+      return payload.isStarred ? 'star' : 'unstar';
+    case 'closeApplication':
+      return 'closing the application';
+    case 'reopenApplication':
+      return 'reopening the application';
+    case 'misclassification':
+      return `move to ${payload.correctedCategory}`;
+    default:
+      return 'edit';
+  }
+}
+
+export function createOutboxConflict(operation, { message, statusCode = null, expired = false }, now) {
+  return {
+    id: `${operation.id}:${now}`,
+    operationId: operation.id,
+    kind: operation.kind,
+    emailId: operation.emailId,
+    applicationId: operation.applicationId,
+    description: describeOutboxOperation(operation),
+    message: message || (expired ? 'It could not be delivered for a week.' : 'The server rejected it.'),
+    statusCode,
+    expired,
+    at: now,
+  };
+}
+
+export function outboxOperationMatchesEmail(operation, email) {
+  if (!email) return false;
+  if (APPLICATION_KINDS.has(operation.kind)) {
+    return String(email.applicationId || '') === operation.applicationId;
+  }
+  return String(email.id) === operation.emailId;
+}
+
+// The category key a category correction moves its email to, lower-cased like
+// the snapshot's keys; null for every other kind.
+function outboxOperationTargetCategory(operation) {
+  if (operation.kind !== 'misclassification') return null;
+  return String(operation.payload?.correctedCategory || '').trim().toLowerCase() || null;
+}
+
+/**
+ * Replays queued edits over a categorized snapshot, e.g. one just fetched from
+ * the backend, so pending edits don't flicker back to the server's values.
+ * `patchEmail(email, operation)` returns the patched email. A category
+ * correction also moves the email to the top of its new category, or out of
+ * the snapshot when it was marked irrelevant.
+ * @returns {object|null} The patched snapshot, or null when nothing matched.
+ */
+export function applyOutboxOperationsToCategorizedEmails(categorizedEmails, operations, patchEmail) {
+  if (!categorizedEmails || !Array.isArray(operations) || operations.length === 0) return null;
+  let changed = false;
+  const next = {};
+  const moved = [];
+  for (const [key, emails] of Object.entries(categorizedEmails)) {
+    next[key] = [];
+    for (const email of emails || []) {
+      let patched = email;
+      let targetCategory = key;
+      for (const operation of operations) {
+        if (!outboxOperationMatchesEmail(operation, patched)) continue;
+        patched = patchEmail(patched, operation);
+        targetCategory = outboxOperationTargetCategory(operation) || targetCategory;
+        changed = true;
+      }
+      if (targetCategory === key) {
+        next[key].push(patched);
+      } else {
+        moved.push({ email: patched, targetCategory });
+      }
+    }
+  }
+  for (const { email, targetCategory } of moved) {
+    if (targetCategory === 'irrelevant') continue;
+    next[targetCategory] = [email, ...(next[targetCategory] || [])];
+  }
+  return changed ? next : null;
+}
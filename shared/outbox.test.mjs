@@ -0,0 +1,122 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  OUTBOX_MAX_AGE_MS,
+  OUTBOX_RETRY_BASE_MS,
+  OUTBOX_RETRY_MAX_MS,
+  applyOutboxOperationsToCategorizedEmails,
+  createOutboxConflict,
+  createOutboxOperation,
+  enqueueOutboxOperation,
+  isOutboxOperationExpired,
+  isRetryableOutboxError,
+  isRetryableOutboxResponse,
+  markOutboxAttemptFailed,
+  normalizeOutbox,
+  outboxOperationsDue,
+} from './outbox.mjs';
+
+const NOW = 1_800_000_000_000;
+
+const companyEdit = (id, companyName, emailId = 42) => createOutboxOperation({
+  id, kind: 'company', emailId, payload: { companyName }, now: NOW,
+});
+
+test('later edits to the same field replace earlier ones; other fields queue alongside', () => {
+  let queue = enqueueOutboxOperation([], companyEdit('a', 'Acme'));
+  queue = enqueueOutboxOperation(queue, createOutboxOperation({
+    id: 'b', kind: 'position', emailId: 42, payload: { position: 'Engineer' }, now: NOW,
+  }));
+  queue = enqueueOutboxOperation(queue, companyEdit('c', 'Acme Corp'));
+
+  assert.deepEqual(queue.map((operation) => operation.id), ['c', 'b']);
+  assert.equal(queue[0].payload.companyName, 'Acme Corp');
+});
+
+test('a queued close followed by a reopen of the same application cancels out', () => {
+  const close = createOutboxOperation({ id: 'close', kind: 'closeApplication', applicationId: 7, payload: {}, now: NOW });
+  const reopen = createOutboxOperation({ id: 'reopen', kind: 'reopenApplication', applicationId: 7, payload: {}, now: NOW });
+  assert.deepEqual(enqueueOutboxOperation(enqueueOutboxOperation([], close), reopen), []);
+});
+
+test('failed attempts back off exponentially up to the cap', () => {
+  let operation = companyEdit('a', 'Acme');
+  operation = markOutboxAttemptFailed(operation, 'offline', NOW);
+  assert.equal(operation.attempts, 1);
+  assert.equal(operation.nextAttemptAt, NOW + OUTBOX_RETRY_BASE_MS);
+  operation = markOutboxAttemptFailed(operation, 'offline', NOW);
+  assert.equal(operation.nextAttemptAt, NOW + 2 * OUTBOX_RETRY_BASE_MS);
+
+  for (let i = 0; i < 20; i += 1) operation = markOutboxAttemptFailed(operation, 'offline', NOW);
+  assert.equal(operation.nextAttemptAt, NOW + OUTBOX_RETRY_MAX_MS);
+  assert.deepEqual(outboxOperationsDue([operation], NOW), []);
+  assert.equal(outboxOperationsDue([operation], NOW + OUTBOX_RETRY_MAX_MS).length, 1);
+});
+
+test('network failures, timeouts and 5xx retry; other backend answers are conflicts', () => {
+  assert.equal(isRetryableOutboxError(new Error('Network or server error: Failed to fetch')), true);
+  assert.equal(isRetryableOutboxError(Object.assign(new Error('timed out'), { timeout: true, statusCode: 408 })), true);
+  assert.equal(isRetryableOutboxError(Object.assign(new Error('bad gateway'), { backendResponse: true, statusCode: 502 })), true);
+  assert.equal(isRetryableOutboxError(Object.assign(new Error('not found'), { backendResponse: true, statusCode: 404 })), false);
+  assert.equal(isRetryableOutboxError(Object.assign(new Error('bad json'), { backendResponse: true })), false);
+
+  assert.equal(isRetryableOutboxResponse({ success: false, statusCode: 503 }), true);
+  assert.equal(isRetryableOutboxResponse({ success: false, statusCode: 409 }), false);
+  assert.equal(isRetryableOutboxResponse({ success: false }), false);
+  assert.equal(isRetryableOutboxResponse({ success: true }), false);
+});
+
+test('stale operations expire into a conflict the user can read', () => {
+  const operation = companyEdit('a', 'Acme');
+  assert.equal(isOutboxOperationExpired(operation, NOW + OUTBOX_MAX_AGE_MS), false);
+  assert.equal(isOutboxOperationExpired(operation, NOW + OUTBOX_MAX_AGE_MS + 1), true);
+
+  const conflict = createOutboxConflict(operation, { expired: true }, NOW);
+  assert.equal(conflict.description, 'company name change to "Acme"');
+  assert.equal(conflict.expired, true);
+  assert.match(conflict.message, /week/);
+});
+
+test('normalizeOutbox drops malformed entries', () => {
+  const good = companyEdit('a', 'Acme');
+  const list = normalizeOutbox([good, null, { ...good, kind: 'delete' }, { ...good, id: '' }, { ...good, emailId: null }]);
+  assert.deepEqual(list.map((operation) => operation.id), ['a']);
+  assert.deepEqual(normalizeOutbox('nope'), []);
+});
+
+test('pending operations overlay a fresh snapshot and report when nothing matched', () => {
+  const patchEmail = (email, operation) => ({ ...email, company_name: operation.payload.companyName });
+  const snapshot = {
+    applied: [{ id: 42, company_name: 'Old' }, { id: 43, company_name: 'Other' }],
+    rejected: [],
+  };
+
+  const patched = applyOutboxOperationsToCategorizedEmails(snapshot, [companyEdit('a', 'Acme')], patchEmail);
+  assert.deepEqual(patched.applied.map((email) => email.company_name), ['Acme', 'Other']);
+  assert.equal(snapshot.applied[0].company_name, 'Old');
+
+  assert.equal(applyOutboxOperationsToCategorizedEmails(snapshot, [companyEdit('b', 'X', 99)], patchEmail), null);
+  assert.equal(applyOutboxOperationsToCategorizedEmails(snapshot, [], patchEmail), null);
+});
+
+test('a pending category correction moves the email, or drops it when marked irrelevant', () => {
+  const patchEmail = (email, operation) => ({ ...email, category: operation.payload.correctedCategory });
+  const report = (id, correctedCategory, emailId) => createOutboxOperation({
+    id, kind: 'misclassification', emailId, payload: { correctedCategory }, now: NOW,
+  });
+  const snapshot = {
+    applied: [{ id: 42, category: 'Applied' }, { id: 43, category: 'Applied' }],
+    interviewed: [{ id: 50, category: 'Interviewed' }],
+    irrelevant: [],
+  };
+
+  const moved = applyOutboxOperationsToCategorizedEmails(snapshot, [report('a', 'Interviewed', 42)], patchEmail);
+  assert.deepEqual(moved.applied.map((email) => email.id), [43]);
+  assert.deepEqual(moved.interviewed.map((email) => email.id), [42, 50]);
+  assert.equal(moved.interviewed[0].category, 'Interviewed');
+
+  const dropped = applyOutboxOperationsToCategorizedEmails(snapshot, [report('b', 'Irrelevant', 43)], patchEmail);
+  assert.deepEqual(dropped.applied.map((email) => email.id), [42]);
+  assert.deepEqual(dropped.irrelevant, []);
+  assert.equal(createOutboxConflict(report('c', 'Rejected', 42), { message: 'Gone' }, NOW).description, 'move to Rejected');
+});
@@ -0,0 +1,163 @@
+/**
+ * @file shared/reminders.mjs
+ * @description Pure reminder bookkeeping shared by the service worker (which
+ * owns storage, alarms and notifications) and the popup (which renders them).
+ *
+ * A reminder is a plain record in `chrome.storage.local`; the alarm is only a
+ * wake-up call. Chrome may drop alarms across a browser restart, so the stored
+ * list is the source of truth and the worker re-arms every pending reminder
+ * from it on startup. Kept dependency-free for `node --test`.
+ */
+
+export const REMINDERS_STORAGE_KEY = 'applendiumRemindersV1';
+export const REMINDER_ALARM_PREFIX = 'applendiumReminder:';
+export const REMINDER_NOTIFICATION_PREFIX = 'applendium_reminder_';
+// Reminders further out than this are almost certainly a unit mix-up (seconds vs ms).
+export const REMINDER_MAX_LEAD_MS = 365 * 24 * 60 * 60 * 1000;
+// Done reminders are kept briefly so the popup can show them, then pruned.
+export const REMINDER_DONE_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+// Handoff from a notification click to the popup: the worker cannot address the
+// popup directly, so it parks the thread here, with the surface it opened, and
+// that surface opens on it.
+export const PENDING_THREAD_FOCUS_STORAGE_KEY = 'applendiumPendingThreadFocusV1';
+export const PENDING_THREAD_FOCUS_MAX_AGE_MS = 5 * 60 * 1000;
+
+const REMINDER_STATUSES = new Set(['pending', 'fired', 'done']);
+
+export function reminderAlarmName(reminderId) {
+  return `${REMINDER_ALARM_PREFIX}${reminderId}`;
+}
+
+export function reminderIdFromAlarmName(alarmName) {
+  if (typeof alarmName !== 'string' || !alarmName.startsWith(REMINDER_ALARM_PREFIX)) return null;
+  return alarmName.slice(REMINDER_ALARM_PREFIX.length) || null;
+}
+
+export function reminderNotificationId(reminderId) {
+  return `${REMINDER_NOTIFICATION_PREFIX}${reminderId}`;
+}
+
+export function reminderIdFromNotificationId(notificationId) {
+  if (typeof notificationId !== 'string' || !notificationId.startsWith(REMINDER_NOTIFICATION_PREFIX)) return null;
+  return notificationId.slice(REMINDER_NOTIFICATION_PREFIX.length) || null;
+}
+
+/**
+ * Checks a requested fire time. Past times are rejected rather than fired
+ * immediately so a stale popup clock can't spam a notification.
+ * @returns {{valid: true, when: number}|{valid: false, error: string}}
+ */
+export function validateReminderWhen(when, now) {
+  const value = Number(when);
+  if (!Number.isFinite(value) || value <= 0) return { valid: false, error: 'Reminder time must be a timestamp.' };
+  if (value <= now) return { valid: false, error: 'Reminder time must be in the future.' };
+  if (value - now > REMINDER_MAX_LEAD_MS) return { valid: false, error: 'Reminder time is too far in the future.' };
+  return { valid: true, when: Math.round(value) };
+}
+
+export function createReminder({ id, threadId, when, now }) {
+  return {
+    id: String(id),
+    threadId: String(threadId),
+    when,
+    createdAt: now,
+    updatedAt: now,
+    status: 'pending',
+    firedAt: null,
+  };
+}
+
+/**
+ * Drops malformed entries and prunes done reminders past the retention window.
+ * Storage is user-editable through devtools, so never trust its shape.
+ */
+export function normalizeReminderList(raw, now) {
+  if (!Array.isArray(raw)) return [];
+  return raw.filter((reminder) => (
+    reminder &&
+    typeof reminder.id === 'string' && reminder.id &&
+    typeof reminder.threadId === 'string' && reminder.threadId &&
+    Number.isFinite(reminder.when) &&
+    REMINDER_STATUSES.has(reminder.status) &&
+    !(reminder.status === 'done' && now - (reminder.updatedAt || 0) > REMINDER_DONE_RETENTION_MS)
+  ));
+}
+
+export function rescheduleReminder(reminder, when, now) {
+  return { ...reminder, when, status: 'pending', firedAt: null, updatedAt: now };
+}
+
+export function markReminderFired(reminder, now) {
+  return { ...reminder, status: 'fired', firedAt: now, updatedAt: now };
+}
+
+export function markReminderDone(reminder, now) {
+  return { ...reminder, status: 'done', updatedAt: now };
+}
+
+/**
+ * What the user should see for a reminder right now. `overdue` is a pending
+ * reminder whose alarm never delivered (browser closed, worker evicted) — the
+ * worker fires those on its next start, but the popup can show them first.
+ * @returns {'pending'|'overdue'|'fired'|'done'}
+ */
+export function deriveReminderDisplayState(reminder, now) {
+  if (reminder?.status === 'done') return 'done';
+  if (reminder?.status === 'fired') return 'fired';
+  return Number(reminder?.when) <= now ? 'overdue' : 'pending';
+}
+
+/**
+ * Pending reminders and the alarm time each should be armed with. Chrome fires
+ * an alarm whose `when` is in the past on the next tick, but clamping keeps a
+ * burst of overdue reminders from all landing in the same instant.
+ */
+export function remindersToArm(reminders, now, { staggerMs = 1000 } = {}) {
+  let overdueIndex = 0;
+  return (reminders || [])
+    .filter((reminder) => reminder?.status === 'pending')
+    .map((reminder) => {
+      if (reminder.when > now) return { reminder, when: reminder.when };
+      overdueIndex += 1;
+      return { reminder, when: now + overdueIndex * staggerMs };
+    });
+}
+
+/**
+ * Thread id from a parked notification handoff, or null when it is missing or
+ * old enough that jumping to it would surprise the user on an unrelated open.
+ */
+export function resolvePendingThreadFocus(value, now) {
+  if (!value || typeof value.threadId !== 'string' || !value.threadId) return null;
+  const requestedAt = Number(value.requestedAt);
+  if (!Number.isFinite(requestedAt) || now - requestedAt > PENDING_THREAD_FOCUS_MAX_AGE_MS) return null;
+  return value.threadId;
+}
+
+/**
+ * Whether a parked handoff is addressed to `surface` (App's prop). The popup,
+ * full view and side panel all watch the key, so only the one the worker
+ * opened takes it; handoffs without a surface were parked for the popup.
+ */
+export function isPendingThreadFocusFor(value, surface) {
+  return (value?.surface || 'popup') === surface;
+}
+
+/**
+ * Buckets reminders for the popup: `due` (fired or overdue, oldest first),
+ * `upcoming` (soonest first) and `done` (most recently handled first).
+ */
+export function groupRemindersForDisplay(reminders, now) {
+  const groups = { due: [], upcoming: [], done: [] };
+  for (const reminder of reminders || []) {
+    const displayState = deriveReminderDisplayState(reminder, now);
+    const entry = { reminder, displayState };
+    if (displayState === 'done') groups.done.push(entry);
+    else if (displayState === 'pending') groups.upcoming.push(entry);
+    else groups.due.push(entry);
+  }
+  groups.due.sort((a, b) => a.reminder.when - b.reminder.when);
+  groups.upcoming.sort((a, b) => a.reminder.when - b.reminder.when);
+  groups.done.sort((a, b) => (b.reminder.updatedAt || 0) - (a.reminder.updatedAt || 0));
+  return groups;
+}
@@ -0,0 +1,113 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PENDING_THREAD_FOCUS_MAX_AGE_MS,
+  REMINDER_DONE_RETENTION_MS,
+  REMINDER_MAX_LEAD_MS,
+  createReminder,
+  deriveReminderDisplayState,
+  groupRemindersForDisplay,
+  markReminderDone,
+  markReminderFired,
+  normalizeReminderList,
+  reminderAlarmName,
+  reminderIdFromAlarmName,
+  reminderIdFromNotificationId,
+  reminderNotificationId,
+  remindersToArm,
+  rescheduleReminder,
+  isPendingThreadFocusFor,
+  resolvePendingThreadFocus,
+  validateReminderWhen,
+} from './reminders.mjs';
+
+const NOW = 1_800_000_000_000;
+const HOUR = 60 * 60 * 1000;
+
+test('alarm and notification ids round-trip and ignore unrelated names', () => {
+  assert.equal(reminderIdFromAlarmName(reminderAlarmName('abc')), 'abc');
+  assert.equal(reminderIdFromNotificationId(reminderNotificationId('abc')), 'abc');
+  assert.equal(reminderIdFromAlarmName('syncEmails'), null);
+  assert.equal(reminderIdFromNotificationId('applendium_offers_42'), null);
+  assert.equal(reminderIdFromAlarmName(undefined), null);
+});
+
+test('validateReminderWhen accepts future times and rejects past or absurd ones', () => {
+  assert.deepEqual(validateReminderWhen(NOW + HOUR, NOW), { valid: true, when: NOW + HOUR });
+  assert.equal(validateReminderWhen(NOW - 1, NOW).valid, false);
+  assert.equal(validateReminderWhen('soon', NOW).valid, false);
+  assert.equal(validateReminderWhen(NOW + REMINDER_MAX_LEAD_MS + 1, NOW).valid, false);
+});
+
+test('a reminder moves pending -> fired -> rescheduled back to pending', () => {
+  const reminder = createReminder({ id: 'r1', threadId: 't1', when: NOW + HOUR, now: NOW });
+  assert.equal(reminder.status, 'pending');
+
+  const fired = markReminderFired(reminder, NOW + HOUR);
+  assert.equal(fired.status, 'fired');
+  assert.equal(fired.firedAt, NOW + HOUR);
+
+  const snoozed = rescheduleReminder(fired, NOW + 3 * HOUR, NOW + HOUR);
+  assert.equal(snoozed.status, 'pending');
+  assert.equal(snoozed.firedAt, null);
+  assert.equal(snoozed.when, NOW + 3 * HOUR);
+});
+
+test('display state flags pending reminders whose alarm never delivered as overdue', () => {
+  const reminder = createReminder({ id: 'r1', threadId: 't1', when: NOW + HOUR, now: NOW });
+  assert.equal(deriveReminderDisplayState(reminder, NOW), 'pending');
+  assert.equal(deriveReminderDisplayState(reminder, NOW + 2 * HOUR), 'overdue');
+  assert.equal(deriveReminderDisplayState(markReminderFired(reminder, NOW), NOW), 'fired');
+  assert.equal(deriveReminderDisplayState(markReminderDone(reminder, NOW), NOW), 'done');
+});
+
+test('normalizeReminderList drops malformed entries and expired done reminders', () => {
+  const keep = createReminder({ id: 'r1', threadId: 't1', when: NOW + HOUR, now: NOW });
+  const recentDone = markReminderDone(createReminder({ id: 'r2', threadId: 't2', when: NOW, now: NOW }), NOW);
+  const oldDone = { ...recentDone, id: 'r3', updatedAt: NOW - REMINDER_DONE_RETENTION_MS - 1 };
+  const list = normalizeReminderList([keep, recentDone, oldDone, null, { id: 'x' }, { ...keep, status: 'weird' }], NOW);
+  assert.deepEqual(list.map((reminder) => reminder.id), ['r1', 'r2']);
+  assert.deepEqual(normalizeReminderList('nope', NOW), []);
+});
+
+test('remindersToArm re-arms only pending reminders and staggers the overdue ones', () => {
+  const future = createReminder({ id: 'future', threadId: 't1', when: NOW + HOUR, now: NOW });
+  const missedA = createReminder({ id: 'a', threadId: 't2', when: NOW - HOUR, now: NOW - 2 * HOUR });
+  const missedB = createReminder({ id: 'b', threadId: 't3', when: NOW - HOUR, now: NOW - 2 * HOUR });
+  const fired = markReminderFired(createReminder({ id: 'f', threadId: 't4', when: NOW - HOUR, now: NOW }), NOW);
+
+  const armed = remindersToArm([future, missedA, fired, missedB], NOW, { staggerMs: 500 });
+  assert.deepEqual(armed.map(({ reminder, when }) => [reminder.id, when]), [
+    ['future', NOW + HOUR],
+    ['a', NOW + 500],
+    ['b', NOW + 1000],
+  ]);
+});
+
+test('resolvePendingThreadFocus honours fresh handoffs only', () => {
+  assert.equal(resolvePendingThreadFocus({ threadId: 't1', requestedAt: NOW - 1000 }, NOW), 't1');
+  assert.equal(resolvePendingThreadFocus({ threadId: 't1', requestedAt: NOW - PENDING_THREAD_FOCUS_MAX_AGE_MS - 1 }, NOW), null);
+  assert.equal(resolvePendingThreadFocus({ requestedAt: NOW }, NOW), null);
+  assert.equal(resolvePendingThreadFocus(null, NOW), null);
+});
+
+test('a parked handoff is only taken by the surface it names, the popup by default', () => {
+  assert.equal(isPendingThreadFocusFor({ threadId: 't1', surface: 'popup' }, 'popup'), true);
+  assert.equal(isPendingThreadFocusFor({ threadId: 't1', surface: 'popup' }, 'full'), false);
+  assert.equal(isPendingThreadFocusFor({ threadId: 't1', surface: 'popup' }, 'sidepanel'), false);
+  assert.equal(isPendingThreadFocusFor({ threadId: 't1' }, 'popup'), true);
+});
+
+test('groupRemindersForDisplay splits due, upcoming and done with sensible ordering', () => {
+  const later = createReminder({ id: 'later', threadId: 't1', when: NOW + 2 * HOUR, now: NOW });
+  const sooner = createReminder({ id: 'sooner', threadId: 't2', when: NOW + HOUR, now: NOW });
+  const overdue = createReminder({ id: 'overdue', threadId: 't3', when: NOW - HOUR, now: NOW - 2 * HOUR });
+  const fired = markReminderFired(createReminder({ id: 'fired', threadId: 't4', when: NOW - 3 * HOUR, now: NOW - 4 * HOUR }), NOW - 3 * HOUR);
+  const doneOld = markReminderDone(sooner, NOW - HOUR);
+  const doneNew = { ...markReminderDone(later, NOW), id: 'doneNew' };
+
+  const groups = groupRemindersForDisplay([later, sooner, overdue, fired, { ...doneOld, id: 'doneOld' }, doneNew], NOW);
+  assert.deepEqual(groups.due.map((entry) => [entry.reminder.id, entry.displayState]), [['fired', 'fired'], ['overdue', 'overdue']]);
+  assert.deepEqual(groups.upcoming.map((entry) => entry.reminder.id), ['sooner', 'later']);
+  assert.deepEqual(groups.done.map((entry) => entry.reminder.id), ['doneNew', 'doneOld']);
+});